@@ -297,6 +297,42 @@ const options = {
         name: 'Products',
         description: 'Product catalog management endpoints'
       },
+      {
+        name: 'Reviews',
+        description: 'Verified-purchase product reviews and moderation endpoints'
+      },
+      {
+        name: 'Stock Alerts',
+        description: 'Back-in-stock email subscription endpoints'
+      },
+      {
+        name: 'Price Rules',
+        description: 'Scheduled sale pricing endpoints'
+      },
+      {
+        name: 'Promotions',
+        description: 'Coupon code and automatic promotion endpoints'
+      },
+      {
+        name: 'Quiz',
+        description: 'Fragrance finder quiz and its analytics endpoints'
+      },
+      {
+        name: 'Wishlist',
+        description: 'Customer wishlist, sharing and price-drop alert endpoints'
+      },
+      {
+        name: 'Cart',
+        description: 'Server-side cart and abandoned-cart reminder endpoints'
+      },
+      {
+        name: 'Loyalty',
+        description: 'Loyalty points balance, history and program endpoints'
+      },
+      {
+        name: 'Gift Cards',
+        description: 'Gift card, store credit and balance check endpoints'
+      },
       {
         name: 'Media',
         description: 'Image and media file management endpoints'
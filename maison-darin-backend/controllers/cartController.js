@@ -0,0 +1,152 @@
+const cartService = require('../services/cartService');
+
+/**
+ * Map cart service errors to HTTP status codes
+ * @param {Error} error - Service error
+ * @returns {number} Status code
+ */
+const getStatusCode = (error) => {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('Invalid') || error.message.includes('validation failed')) return 400;
+  return 500;
+};
+
+// Carts are only attached to customer accounts, never to staff
+const customerId = (req) => (req.user && req.user.role === 'customer' ? req.user.id : null);
+
+class CartController {
+  /**
+   * Start a cart, or get back the logged-in customer's cart with these items added
+   * POST /api/cart
+   */
+  async createCart(req, res) {
+    try {
+      const cart = await cartService.createCart(req.body, customerId(req));
+
+      res.status(201).json({
+        success: true,
+        data: cart,
+        message: 'Cart created successfully'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 400 ? 'VALIDATION_ERROR' : 'CART_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Get a cart re-validated against current prices and stock
+   * GET /api/cart/:token
+   */
+  async getCart(req, res) {
+    try {
+      const cart = await cartService.getCart(req.params.token, customerId(req));
+
+      res.status(200).json({
+        success: true,
+        data: cart,
+        message: 'Cart retrieved successfully'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'CART_NOT_FOUND' :
+                statusCode === 400 ? 'VALIDATION_ERROR' : 'CART_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Replace the items of a cart
+   * PUT /api/cart/:token
+   */
+  async updateCart(req, res) {
+    try {
+      const cart = await cartService.updateItems(req.params.token, req.body, customerId(req));
+
+      res.status(200).json({
+        success: true,
+        data: cart,
+        message: 'Cart updated successfully'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'CART_NOT_FOUND' :
+                statusCode === 400 ? 'VALIDATION_ERROR' : 'CART_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Record the email step of checkout
+   * PUT /api/cart/:token/checkout
+   */
+  async startCheckout(req, res) {
+    try {
+      const cart = await cartService.startCheckout(req.params.token, req.body, customerId(req));
+
+      res.status(200).json({
+        success: true,
+        data: cart,
+        message: 'Checkout started'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'CART_NOT_FOUND' :
+                statusCode === 400 ? 'VALIDATION_ERROR' : 'CART_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Stop abandoned-cart reminders
+   * DELETE /api/cart/:token/reminders
+   */
+  async stopReminders(req, res) {
+    try {
+      await cartService.stopReminders(req.params.token);
+
+      res.status(200).json({
+        success: true,
+        message: 'Cart reminders stopped'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'CART_NOT_FOUND' :
+                statusCode === 400 ? 'VALIDATION_ERROR' : 'CART_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+}
+
+module.exports = new CartController();
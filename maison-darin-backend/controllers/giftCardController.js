@@ -0,0 +1,235 @@
+const giftCardService = require('../services/giftCardService');
+
+/**
+ * Map gift card service errors to HTTP status codes
+ * @param {Error} error - Service error
+ * @returns {number} Status code
+ */
+const getStatusCode = (error) => {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('cannot') ||
+      error.message.includes('required') ||
+      error.message.includes('must be') ||
+      error.message.includes('validation failed')) return 400;
+  return 500;
+};
+
+class GiftCardController {
+  /**
+   * Check the balance of a gift card
+   * POST /api/gift-cards/check
+   */
+  async checkBalance(req, res) {
+    try {
+      const balance = await giftCardService.checkBalance(req.body.code);
+
+      res.status(200).json({
+        success: true,
+        data: balance,
+        message: 'Gift card balance retrieved successfully'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'GIFT_CARD_NOT_FOUND' : 'GIFT_CARD_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Get the logged-in customer's store credit
+   * GET /api/gift-cards/store-credit
+   */
+  async getStoreCredit(req, res) {
+    try {
+      const storeCredit = await giftCardService.getStoreCredit(req.user.email);
+
+      res.status(200).json({
+        success: true,
+        data: storeCredit,
+        message: 'Store credit retrieved successfully'
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'STORE_CREDIT_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Get gift cards and store credit
+   * GET /api/gift-cards
+   */
+  async getGiftCards(req, res) {
+    try {
+      const result = await giftCardService.getGiftCards({
+        kind: req.query.kind,
+        status: req.query.status,
+        search: req.query.search,
+        page: req.query.page,
+        limit: req.query.limit
+      });
+
+      res.status(200).json({
+        success: true,
+        data: result.giftCards,
+        pagination: result.pagination,
+        message: 'Gift cards retrieved successfully'
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'GIFT_CARDS_FETCH_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Get a gift card with its history
+   * GET /api/gift-cards/:id
+   */
+  async getGiftCard(req, res) {
+    try {
+      const giftCard = await giftCardService.getGiftCardById(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        data: giftCard,
+        message: 'Gift card retrieved successfully'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'GIFT_CARD_NOT_FOUND' : 'GIFT_CARD_FETCH_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Issue a gift card and email it to its recipient
+   * POST /api/gift-cards
+   */
+  async issueGiftCard(req, res) {
+    try {
+      const giftCard = await giftCardService.issueGiftCard(req.body, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        data: giftCard,
+        message: 'Gift card issued successfully'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 400 ? 'VALIDATION_ERROR' : 'GIFT_CARD_ISSUE_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Credit a customer's account
+   * POST /api/gift-cards/store-credit
+   */
+  async issueStoreCredit(req, res) {
+    try {
+      const giftCard = await giftCardService.issueStoreCredit(req.body, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        data: giftCard,
+        message: 'Store credit issued successfully'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'CUSTOMER_NOT_FOUND' : 'STORE_CREDIT_ISSUE_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Add to or take from a card's balance
+   * POST /api/gift-cards/:id/adjust
+   */
+  async adjustBalance(req, res) {
+    try {
+      const giftCard = await giftCardService.adjustBalance(
+        req.params.id,
+        req.body.amount,
+        req.body.note,
+        req.user.id
+      );
+
+      res.status(200).json({
+        success: true,
+        data: giftCard,
+        message: 'Gift card balance adjusted successfully'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'GIFT_CARD_NOT_FOUND' : 'GIFT_CARD_ADJUST_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Disable or re-enable a card
+   * PATCH /api/gift-cards/:id/status
+   */
+  async updateStatus(req, res) {
+    try {
+      const giftCard = await giftCardService.setStatus(req.params.id, req.body.status);
+
+      res.status(200).json({
+        success: true,
+        data: giftCard,
+        message: 'Gift card updated successfully'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'GIFT_CARD_NOT_FOUND' : 'GIFT_CARD_UPDATE_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+}
+
+module.exports = new GiftCardController();
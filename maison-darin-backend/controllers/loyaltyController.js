@@ -0,0 +1,82 @@
+const loyaltyService = require('../services/loyaltyService');
+const settingsService = require('../services/settingsService');
+
+class LoyaltyController {
+  /**
+   * Get the loyalty program rules
+   * GET /api/loyalty/program
+   */
+  async getProgram(req, res) {
+    try {
+      const program = await settingsService.getLoyaltySettings();
+
+      res.status(200).json({
+        success: true,
+        data: program,
+        message: 'Loyalty program retrieved successfully'
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'LOYALTY_PROGRAM_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Get the logged-in customer's points balance
+   * GET /api/loyalty
+   */
+  async getSummary(req, res) {
+    try {
+      const summary = await loyaltyService.getSummary(req.user.email);
+
+      res.status(200).json({
+        success: true,
+        data: summary,
+        message: 'Loyalty points retrieved successfully'
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'LOYALTY_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Get the logged-in customer's points history
+   * GET /api/loyalty/transactions
+   */
+  async getTransactions(req, res) {
+    try {
+      const result = await loyaltyService.getTransactions(req.user.email, {
+        page: req.query.page,
+        limit: req.query.limit
+      });
+
+      res.status(200).json({
+        success: true,
+        data: result.transactions,
+        pagination: result.pagination,
+        message: 'Loyalty history retrieved successfully'
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'LOYALTY_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+}
+
+module.exports = new LoyaltyController();
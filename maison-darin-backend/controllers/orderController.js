@@ -1,4 +1,12 @@
 const orderService = require('../services/orderService');
+const invoiceService = require('../services/invoiceService');
+const refundService = require('../services/refundService');
+
+// Loyalty points and store credit are only redeemed by customer accounts, never by staff
+const customerEmail = (req) => (req.user && req.user.role === 'customer' ? req.user.email : undefined);
+
+// The admin making a status change, for the order's timeline
+const actor = (req) => ({ type: 'admin', user: req.user.id, name: req.user.email });
 
 class OrderController {
   /**
@@ -8,7 +16,7 @@ class OrderController {
   async createOrder(req, res) {
     try {
       const orderData = req.body;
-      const order = await orderService.createOrder(orderData);
+      const order = await orderService.createOrder(orderData, { customerEmail: customerEmail(req) });
 
       res.status(201).json({
         success: true,
@@ -20,6 +28,42 @@ class OrderController {
         success: false,
         error: {
           code: 'ORDER_CREATE_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Price a cart as it would be charged, without placing the order
+   * POST /api/orders/quote
+   */
+  async quoteOrder(req, res) {
+    try {
+      const quote = await orderService.quoteOrder(req.body, { customerEmail: customerEmail(req) });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          ...quote,
+          items: quote.items.map(item => ({
+            productId: item.productId,
+            variantId: item.variantId,
+            productName: item.productName,
+            quantity: item.quantity,
+            price: item.price,
+            regularPrice: item.regularPrice,
+            subtotal: item.subtotal
+          }))
+        },
+        message: 'Order quoted successfully'
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: {
+          code: 'ORDER_QUOTE_ERROR',
+          message: error.message
         }
       });
     }
@@ -96,7 +140,7 @@ class OrderController {
   async updateOrderStatus(req, res) {
     try {
       const { id } = req.params;
-      const { status, statusType = 'order' } = req.body;
+      const { status, reason, trackingNumber } = req.body;
 
       if (!status) {
         return res.status(400).json({
@@ -108,12 +152,16 @@ class OrderController {
         });
       }
 
-      const order = await orderService.updateOrderStatus(id, status, statusType);
+      const order = await orderService.updateOrderStatus(id, status, {
+        actor: actor(req),
+        reason,
+        trackingNumber
+      });
 
       res.status(200).json({
         success: true,
         data: order,
-        message: `Order ${statusType} status updated successfully`
+        message: 'Order status updated successfully'
       });
     } catch (error) {
       const statusCode = error.message.includes('not found') ? 404 : 400;
@@ -136,7 +184,7 @@ class OrderController {
       const { id } = req.params;
       const { reason } = req.body;
 
-      const order = await orderService.cancelOrder(id, reason);
+      const order = await orderService.cancelOrder(id, reason, actor(req));
 
       res.status(200).json({
         success: true,
@@ -162,7 +210,7 @@ class OrderController {
   async confirmOrder(req, res) {
     try {
       const { id } = req.params;
-      const order = await orderService.confirmOrder(id);
+      const order = await orderService.confirmOrder(id, actor(req));
 
       res.status(200).json({
         success: true,
@@ -182,20 +230,22 @@ class OrderController {
   }
 
   /**
-   * Refund an order
+   * Refund some lines, shipping or an amount of an order, or all of it
    * PUT /api/orders/:id/refund
    */
   async refundOrder(req, res) {
     try {
       const { id } = req.params;
-      const { reason } = req.body;
+      const { reference, ...request } = req.body;
 
-      const order = await orderService.refundOrder(id, reason);
+      const { order, refund } = await refundService.refundOrder(id, request, { actor: actor(req), reference });
 
       res.status(200).json({
         success: true,
         data: order,
-        message: 'Order refunded successfully'
+        message: refund.status === 'failed'
+          ? `Refund ${refund.refundId} failed: ${refund.error}`
+          : 'Order refunded successfully'
       });
     } catch (error) {
       const statusCode = error.message.includes('not found') ? 404 : 400;
@@ -209,6 +259,62 @@ class OrderController {
     }
   }
 
+  /**
+   * Retry a failed refund, or complete one paid by hand
+   * POST /api/orders/:id/refunds/:refundId/retry
+   */
+  async retryRefund(req, res) {
+    try {
+      const { id, refundId } = req.params;
+      const { reference } = req.body;
+
+      const { order, refund } = await refundService.retryRefund(id, refundId, { actor: actor(req), reference });
+
+      res.status(200).json({
+        success: true,
+        data: order,
+        message: refund.status === 'failed'
+          ? `Refund ${refund.refundId} failed: ${refund.error}`
+          : 'Refund made successfully'
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'REFUND_NOT_FOUND' : 'REFUND_RETRY_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Track an order by its number and email
+   * POST /api/orders/track
+   */
+  async trackOrder(req, res) {
+    try {
+      const { orderNumber, email } = req.body;
+      const order = await orderService.trackOrder(orderNumber, email);
+
+      res.status(200).json({
+        success: true,
+        data: order,
+        message: 'Order retrieved successfully'
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 : 500;
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'ORDER_NOT_FOUND' : 'ORDER_TRACK_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
   /**
    * Get order statistics
    * GET /api/orders/stats
@@ -264,6 +370,74 @@ class OrderController {
     }
   }
 
+  /**
+   * Download an order's tax invoice as a PDF
+   * GET /api/orders/:id/invoice
+   */
+  async downloadInvoice(req, res) {
+    try {
+      const { id } = req.params;
+      const invoice = await invoiceService.getOrderInvoice(id, { email: customerEmail(req) });
+
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${invoice.invoiceNumber}.pdf"`
+      });
+      res.status(200).send(invoice.pdf);
+    } catch (error) {
+      let statusCode = 500;
+      let code = 'INVOICE_FETCH_ERROR';
+      if (error.message.includes('not found')) {
+        statusCode = 404;
+        code = 'INVOICE_NOT_FOUND';
+      } else if (error.message.includes('until it is paid')) {
+        statusCode = 400;
+        code = 'INVOICE_NOT_AVAILABLE';
+      }
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code,
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Download the credit note of an order's refund as a PDF
+   * GET /api/orders/:id/credit-notes/:refundId
+   */
+  async downloadCreditNote(req, res) {
+    try {
+      const { id, refundId } = req.params;
+      const creditNote = await invoiceService.getOrderCreditNote(id, refundId, { email: customerEmail(req) });
+
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${creditNote.creditNoteNumber}.pdf"`
+      });
+      res.status(200).send(creditNote.pdf);
+    } catch (error) {
+      let statusCode = 500;
+      let code = 'CREDIT_NOTE_FETCH_ERROR';
+      if (error.message.includes('not found')) {
+        statusCode = 404;
+        code = 'CREDIT_NOTE_NOT_FOUND';
+      } else if (error.message.includes('once the refund is made')) {
+        statusCode = 400;
+        code = 'CREDIT_NOTE_NOT_AVAILABLE';
+      }
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code,
+          message: error.message
+        }
+      });
+    }
+  }
+
   /**
    * Get order by order number (public endpoint for success page)
    * GET /api/orders/public/:orderNumber
@@ -342,7 +516,7 @@ class OrderController {
       }
 
       // Check if order is paid - prevent deletion of paid orders
-      if (order.paymentStatus === 'completed' || order.paymentStatus === 'paid') {
+      if (['completed', 'paid', 'partially_paid'].includes(order.paymentStatus)) {
         return res.status(400).json({
           success: false,
           error: {
@@ -0,0 +1,130 @@
+const priceRuleService = require('../services/priceRuleService');
+
+/**
+ * Map price rule service errors to HTTP status codes
+ * @param {Error} error - Service error
+ * @returns {number} Status code
+ */
+const getStatusCode = (error) => {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('Invalid') ||
+      error.message.includes('required') ||
+      error.message.includes('must be')) return 400;
+  return 500;
+};
+
+class PriceRuleController {
+  /**
+   * Get price rules
+   * GET /api/price-rules
+   */
+  async getRules(req, res) {
+    try {
+      const result = await priceRuleService.getRules({
+        status: req.query.status,
+        product: req.query.product,
+        category: req.query.category,
+        page: req.query.page,
+        limit: req.query.limit
+      });
+
+      res.status(200).json({
+        success: true,
+        data: result.rules,
+        pagination: result.pagination,
+        message: 'Price rules retrieved successfully'
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'PRICE_RULES_FETCH_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Schedule a sale
+   * POST /api/price-rules
+   */
+  async createRule(req, res) {
+    try {
+      const rule = await priceRuleService.createRule(req.body, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        data: rule,
+        message: 'Price rule created successfully'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'PRODUCT_NOT_FOUND' :
+                statusCode === 400 ? 'VALIDATION_ERROR' : 'PRICE_RULE_CREATE_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Update a sale
+   * PUT /api/price-rules/:id
+   */
+  async updateRule(req, res) {
+    try {
+      const rule = await priceRuleService.updateRule(req.params.id, req.body, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        data: rule,
+        message: 'Price rule updated successfully'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'NOT_FOUND' :
+                statusCode === 400 ? 'VALIDATION_ERROR' : 'PRICE_RULE_UPDATE_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Delete a sale
+   * DELETE /api/price-rules/:id
+   */
+  async deleteRule(req, res) {
+    try {
+      const rule = await priceRuleService.deleteRule(req.params.id, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        data: { _id: rule._id },
+        message: 'Price rule deleted successfully'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'PRICE_RULE_NOT_FOUND' :
+                statusCode === 400 ? 'VALIDATION_ERROR' : 'PRICE_RULE_DELETE_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+}
+
+module.exports = new PriceRuleController();
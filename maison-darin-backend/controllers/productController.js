@@ -1,4 +1,5 @@
 const productService = require('../services/productService');
+const recommendationService = require('../services/recommendationService');
 
 class ProductController {
   /**
@@ -15,10 +16,18 @@ class ProductController {
         maxPrice: req.query.maxPrice,
         inStock: req.query.inStock,
         featured: req.query.featured,
+        type: req.query.type,
         search: req.query.search,
         language: req.query.language,
         sortBy: req.query.sortBy,
-        sortOrder: req.query.sortOrder
+        sortOrder: req.query.sortOrder,
+        topNotes: req.query.topNotes,
+        middleNotes: req.query.middleNotes,
+        baseNotes: req.query.baseNotes,
+        concentration: req.query.concentration,
+        size: req.query.size,
+        priceBand: req.query.priceBand,
+        availability: req.query.availability
       };
 
       const result = await productService.getProducts(options);
@@ -27,6 +36,7 @@ class ProductController {
         success: true,
         data: result.products,
         pagination: result.pagination,
+        facets: result.facets,
         message: 'Products retrieved successfully'
       });
     } catch (error) {
@@ -76,7 +86,7 @@ class ProductController {
   async createProduct(req, res) {
     try {
       const productData = req.body;
-      const product = await productService.createProduct(productData);
+      const product = await productService.createProduct(productData, req.user?.id);
 
       res.status(201).json({
         success: true,
@@ -86,6 +96,7 @@ class ProductController {
     } catch (error) {
       const statusCode = error.message.includes('required') || 
                         error.message.includes('must be') ||
+                        error.message.includes('Invalid') ||
                         error.message.includes('format') ? 400 : 500;
 
       res.status(statusCode).json({
@@ -107,7 +118,7 @@ class ProductController {
       const { id } = req.params;
       const updateData = req.body;
       
-      const product = await productService.updateProduct(id, updateData);
+      const product = await productService.updateProduct(id, updateData, req.user?.id);
 
       res.status(200).json({
         success: true,
@@ -147,13 +158,15 @@ class ProductController {
       });
     } catch (error) {
       const statusCode = error.message.includes('not found') ? 404 : 
-                        error.message.includes('Invalid') ? 400 : 500;
+                        error.message.includes('Invalid') ? 400 :
+                        error.message.includes('part of the bundle') ? 409 : 500;
       
       res.status(statusCode).json({
         success: false,
         error: {
           code: statusCode === 404 ? 'PRODUCT_NOT_FOUND' : 
-                statusCode === 400 ? 'INVALID_PRODUCT_ID' : 'PRODUCT_DELETE_ERROR',
+                statusCode === 400 ? 'INVALID_PRODUCT_ID' :
+                statusCode === 409 ? 'PRODUCT_IN_BUNDLE' : 'PRODUCT_DELETE_ERROR',
           message: error.message
         }
       });
@@ -185,6 +198,55 @@ class ProductController {
     }
   }
 
+  /**
+   * Get search suggestions for the storefront header
+   * GET /api/products/autocomplete
+   */
+  async autocomplete(req, res) {
+    try {
+      const { q, limit } = req.query;
+      const suggestions = await productService.autocomplete(q, limit);
+
+      res.status(200).json({
+        success: true,
+        data: suggestions,
+        message: 'Search suggestions retrieved successfully'
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'AUTOCOMPLETE_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Compare products side by side
+   * GET /api/products/compare
+   */
+  async compareProducts(req, res) {
+    try {
+      const comparison = await productService.compareProducts(req.query.ids);
+
+      res.status(200).json({
+        success: true,
+        data: comparison,
+        message: 'Product comparison retrieved successfully'
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'PRODUCT_COMPARISON_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
   /**
    * Get all categories
    * GET /api/products/categories
@@ -216,7 +278,7 @@ class ProductController {
   async updateStock(req, res) {
     try {
       const { id } = req.params;
-      const { stock, inStock } = req.body;
+      const { stock, inStock, reason } = req.body;
 
       if (typeof stock !== 'number' || stock < 0) {
         return res.status(400).json({
@@ -228,7 +290,10 @@ class ProductController {
         });
       }
 
-      const product = await productService.updateProductStock(id, stock, inStock);
+      const product = await productService.updateProductStock(id, stock, inStock, {
+        performedBy: req.user?.id,
+        reason
+      });
 
       res.status(200).json({
         success: true,
@@ -253,6 +318,42 @@ class ProductController {
     }
   }
 
+  /**
+   * Update stock for a single product variant
+   * PATCH /api/products/:id/variants/:variantId/stock
+   */
+  async updateVariantStock(req, res) {
+    try {
+      const { id, variantId } = req.params;
+      const { stock, reason } = req.body;
+
+      const product = await productService.updateVariantStock(id, variantId, stock, {
+        performedBy: req.user?.id,
+        reason
+      });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          product
+        },
+        message: 'Variant stock updated successfully'
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 : 
+                        error.message.includes('Invalid') ? 400 : 500;
+      
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'VARIANT_NOT_FOUND' : 
+                statusCode === 400 ? 'STOCK_UPDATE_ERROR' : 'INTERNAL_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
   /**
    * Check product availability
    * GET /api/products/:id/availability
@@ -261,14 +362,16 @@ class ProductController {
     try {
       const { id } = req.params;
       const quantity = req.query.quantity ? parseInt(req.query.quantity) : 1;
+      const variantId = req.query.variantId || null;
 
-      const isAvailable = await productService.checkAvailability(id, quantity);
+      const isAvailable = await productService.checkAvailability(id, quantity, variantId);
 
       res.status(200).json({
         success: true,
         data: {
           available: isAvailable,
-          quantity: quantity
+          quantity: quantity,
+          variantId
         },
         message: 'Availability checked successfully'
       });
@@ -286,6 +389,156 @@ class ProductController {
       });
     }
   }
+  /**
+   * Get the price history of a product
+   * GET /api/products/:id/price-history
+   */
+  async getPriceHistory(req, res) {
+    try {
+      const result = await productService.getPriceHistory(req.params.id, {
+        page: req.query.page,
+        limit: req.query.limit
+      });
+
+      res.status(200).json({
+        success: true,
+        data: result.history,
+        pagination: result.pagination,
+        message: 'Price history retrieved successfully'
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 :
+                        error.message.includes('Invalid') ? 400 : 500;
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'PRODUCT_NOT_FOUND' :
+                statusCode === 400 ? 'INVALID_PRODUCT_ID' : 'PRICE_HISTORY_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Get product stock ledger
+   * GET /api/products/:id/stock-movements
+   */
+  async getStockMovements(req, res) {
+    try {
+      const result = await productService.getStockMovements(req.params.id, {
+        type: req.query.type,
+        page: req.query.page,
+        limit: req.query.limit
+      });
+
+      res.status(200).json({
+        success: true,
+        data: result.movements,
+        pagination: result.pagination,
+        message: 'Stock movements retrieved successfully'
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 :
+                        error.message.includes('Invalid') ? 400 : 500;
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'PRODUCT_NOT_FOUND' :
+                statusCode === 400 ? 'INVALID_PRODUCT_ID' : 'STOCK_MOVEMENTS_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Record damage, sample usage, a stock count or a manual adjustment
+   * POST /api/products/:id/stock-movements
+   */
+  async recordStockMovement(req, res) {
+    try {
+      const movement = await productService.recordStockMovement(req.params.id, req.body, req.user?.id);
+
+      res.status(201).json({
+        success: true,
+        data: movement,
+        message: 'Stock movement recorded successfully'
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 :
+                        error.message.includes('Invalid') ||
+                        error.message.includes('Insufficient') ||
+                        error.message.includes('required') ? 400 : 500;
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'NOT_FOUND' :
+                statusCode === 400 ? 'STOCK_UPDATE_ERROR' : 'STOCK_MOVEMENT_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Check every product's stock against its ledger
+   * POST /api/products/inventory/reconcile
+   */
+  async reconcileStock(req, res) {
+    try {
+      const result = await productService.reconcileStock();
+
+      res.status(200).json({
+        success: true,
+        data: result,
+        message: result.drifted.length > 0
+          ? `${result.drifted.length} product(s) do not match the stock ledger`
+          : 'All product stock matches the stock ledger'
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'STOCK_RECONCILIATION_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Get similar and frequently-bought-together products
+   * GET /api/products/:id/recommendations
+   */
+  async getRecommendations(req, res) {
+    try {
+      const recommendations = await recommendationService.getRecommendations(req.params.id, {
+        limit: req.query.limit
+      });
+
+      res.status(200).json({
+        success: true,
+        data: recommendations,
+        message: 'Recommendations retrieved successfully'
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 : 
+                        error.message.includes('Invalid') ? 400 : 500;
+      
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'PRODUCT_NOT_FOUND' : 
+                statusCode === 400 ? 'INVALID_PRODUCT_ID' : 'RECOMMENDATIONS_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
 
   /**
    * Get category statistics
@@ -331,7 +584,7 @@ class ProductController {
         });
       }
 
-      const results = await productService.bulkUpdateStock(updates);
+      const results = await productService.bulkUpdateStock(updates, req.user?.id);
 
       res.status(200).json({
         success: true,
@@ -0,0 +1,130 @@
+const promotionService = require('../services/promotionService');
+
+/**
+ * Map promotion service errors to HTTP status codes
+ * @param {Error} error - Service error
+ * @returns {number} Status code
+ */
+const getStatusCode = (error) => {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('Invalid') ||
+      error.message.includes('required') ||
+      error.message.includes('must be') ||
+      error.message.includes('validation failed')) return 400;
+  return 500;
+};
+
+class PromotionController {
+  /**
+   * Get promotions
+   * GET /api/promotions
+   */
+  async getPromotions(req, res) {
+    try {
+      const result = await promotionService.getPromotions({
+        status: req.query.status,
+        type: req.query.type,
+        search: req.query.search,
+        page: req.query.page,
+        limit: req.query.limit
+      });
+
+      res.status(200).json({
+        success: true,
+        data: result.promotions,
+        pagination: result.pagination,
+        message: 'Promotions retrieved successfully'
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'PROMOTIONS_FETCH_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Create a coupon or automatic promotion
+   * POST /api/promotions
+   */
+  async createPromotion(req, res) {
+    try {
+      const promotion = await promotionService.createPromotion(req.body, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        data: promotion,
+        message: 'Promotion created successfully'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 400 ? 'VALIDATION_ERROR' : 'PROMOTION_CREATE_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Update a promotion
+   * PUT /api/promotions/:id
+   */
+  async updatePromotion(req, res) {
+    try {
+      const promotion = await promotionService.updatePromotion(req.params.id, req.body);
+
+      res.status(200).json({
+        success: true,
+        data: promotion,
+        message: 'Promotion updated successfully'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'PROMOTION_NOT_FOUND' :
+                statusCode === 400 ? 'VALIDATION_ERROR' : 'PROMOTION_UPDATE_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Delete a promotion
+   * DELETE /api/promotions/:id
+   */
+  async deletePromotion(req, res) {
+    try {
+      const promotion = await promotionService.deletePromotion(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        data: { _id: promotion._id },
+        message: 'Promotion deleted successfully'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'PROMOTION_NOT_FOUND' :
+                statusCode === 400 ? 'VALIDATION_ERROR' : 'PROMOTION_DELETE_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+}
+
+module.exports = new PromotionController();
@@ -0,0 +1,199 @@
+const quizService = require('../services/quizService');
+
+/**
+ * Map quiz service errors to HTTP status codes
+ * @param {Error} error - Service error
+ * @returns {number} Status code
+ */
+const getStatusCode = (error) => {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('Invalid') ||
+      error.message.includes('required') ||
+      error.message.includes('validation failed')) return 400;
+  return 500;
+};
+
+class QuizController {
+  /**
+   * Get the quiz questions for the storefront
+   * GET /api/quiz/questions
+   */
+  async getQuestions(req, res) {
+    try {
+      const questions = await quizService.getQuestions();
+
+      res.status(200).json({
+        success: true,
+        data: questions,
+        message: 'Quiz questions retrieved successfully'
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'QUIZ_QUESTIONS_FETCH_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Score a completed quiz and get the products that suit it
+   * POST /api/quiz/results
+   */
+  async submitQuiz(req, res) {
+    try {
+      const { result, recommendations } = await quizService.submitQuiz(req.body);
+
+      res.status(201).json({
+        success: true,
+        data: { result, recommendations },
+        message: 'Quiz scored successfully'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 400 ? 'VALIDATION_ERROR' : 'QUIZ_SCORE_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Get every quiz question with its answer weights
+   * GET /api/quiz/admin/questions
+   */
+  async getAllQuestions(req, res) {
+    try {
+      const questions = await quizService.getAllQuestions();
+
+      res.status(200).json({
+        success: true,
+        data: questions,
+        message: 'Quiz questions retrieved successfully'
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'QUIZ_QUESTIONS_FETCH_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Create a quiz question
+   * POST /api/quiz/admin/questions
+   */
+  async createQuestion(req, res) {
+    try {
+      const question = await quizService.createQuestion(req.body);
+
+      res.status(201).json({
+        success: true,
+        data: question,
+        message: 'Quiz question created successfully'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 400 ? 'VALIDATION_ERROR' : 'QUIZ_QUESTION_CREATE_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Update a quiz question
+   * PUT /api/quiz/admin/questions/:id
+   */
+  async updateQuestion(req, res) {
+    try {
+      const question = await quizService.updateQuestion(req.params.id, req.body);
+
+      res.status(200).json({
+        success: true,
+        data: question,
+        message: 'Quiz question updated successfully'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'QUIZ_QUESTION_NOT_FOUND' :
+                statusCode === 400 ? 'VALIDATION_ERROR' : 'QUIZ_QUESTION_UPDATE_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Delete a quiz question
+   * DELETE /api/quiz/admin/questions/:id
+   */
+  async deleteQuestion(req, res) {
+    try {
+      const question = await quizService.deleteQuestion(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        data: { _id: question._id },
+        message: 'Quiz question deleted successfully'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'QUIZ_QUESTION_NOT_FOUND' :
+                statusCode === 400 ? 'VALIDATION_ERROR' : 'QUIZ_QUESTION_DELETE_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Get quiz analytics
+   * GET /api/quiz/admin/stats
+   */
+  async getStats(req, res) {
+    try {
+      const stats = await quizService.getStats({
+        from: req.query.from,
+        to: req.query.to
+      });
+
+      res.status(200).json({
+        success: true,
+        data: stats,
+        message: 'Quiz stats retrieved successfully'
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'QUIZ_STATS_FETCH_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+}
+
+module.exports = new QuizController();
@@ -0,0 +1,201 @@
+const returnService = require('../services/returnService');
+
+// Admin moving a return along, as recorded on its timeline
+const actor = (req) => ({ type: 'admin', user: req.user.id, name: req.user.email });
+
+/**
+ * Map return service errors to HTTP status codes
+ * @param {Error} error - Service error
+ * @returns {number} Status code
+ */
+const getStatusCode = (error) => {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('cannot') ||
+      error.message.includes('must') ||
+      error.message.includes('Only') ||
+      error.message.includes('already') ||
+      error.message.includes('someone else') ||
+      error.message.includes('Invalid') ||
+      error.message.includes('validation failed')) return 400;
+  return 500;
+};
+
+class ReturnController {
+  /**
+   * Request a return of some items of a delivered order
+   * POST /api/returns
+   */
+  async requestReturn(req, res) {
+    try {
+      const returnRequest = await returnService.requestReturn(req.body, req.files || []);
+
+      res.status(201).json({
+        success: true,
+        data: {
+          returnNumber: returnRequest.returnNumber,
+          status: returnRequest.status,
+          items: returnRequest.items,
+          createdAt: returnRequest.createdAt
+        },
+        message: 'Return requested successfully'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'ORDER_NOT_FOUND' : 'RETURN_REQUEST_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Get the returns of an order and what can still be returned
+   * POST /api/returns/lookup
+   */
+  async lookupReturns(req, res) {
+    try {
+      const { orderNumber, email } = req.body;
+      const result = await returnService.getOrderReturns(orderNumber, email);
+
+      res.status(200).json({
+        success: true,
+        data: result,
+        message: 'Returns retrieved successfully'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'ORDER_NOT_FOUND' : 'RETURNS_FETCH_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Get returns
+   * GET /api/returns
+   */
+  async getReturns(req, res) {
+    try {
+      const result = await returnService.getReturns({
+        status: req.query.status,
+        search: req.query.search,
+        page: req.query.page,
+        limit: req.query.limit
+      });
+
+      res.status(200).json({
+        success: true,
+        data: result.returns,
+        pagination: result.pagination,
+        message: 'Returns retrieved successfully'
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'RETURNS_FETCH_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Get a return
+   * GET /api/returns/:id
+   */
+  async getReturn(req, res) {
+    try {
+      const returnRequest = await returnService.getReturnById(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        data: returnRequest,
+        message: 'Return retrieved successfully'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'RETURN_NOT_FOUND' : 'RETURN_FETCH_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Approve, reject, receive or inspect a return
+   * PUT /api/returns/:id/status
+   */
+  async updateStatus(req, res) {
+    try {
+      const { status, note, items } = req.body;
+      const returnRequest = await returnService.changeStatus(req.params.id, status, {
+        actor: actor(req),
+        note,
+        items
+      });
+
+      res.status(200).json({
+        success: true,
+        data: returnRequest,
+        message: 'Return updated successfully'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'RETURN_NOT_FOUND' : 'RETURN_UPDATE_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Refund an inspected return, or retry a refund that failed
+   * POST /api/returns/:id/refund
+   */
+  async refundReturn(req, res) {
+    try {
+      const returnRequest = await returnService.refundReturn(req.params.id, {
+        actor: actor(req),
+        reference: req.body.reference
+      });
+
+      res.status(200).json({
+        success: true,
+        data: returnRequest,
+        message: returnRequest.refund.status === 'failed'
+          ? 'Refund could not be sent'
+          : 'Return refunded successfully'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'RETURN_NOT_FOUND' : 'RETURN_REFUND_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+}
+
+module.exports = new ReturnController();
@@ -0,0 +1,171 @@
+const reviewService = require('../services/reviewService');
+
+/**
+ * Map review service errors to HTTP status codes
+ * @param {Error} error - Service error
+ * @returns {number} Status code
+ */
+const getStatusCode = (error) => {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('already been reviewed')) return 409;
+  if (error.message.includes('eligible')) return 403;
+  if (error.message.includes('Invalid') ||
+      error.message.includes('required') ||
+      error.message.includes('must be') ||
+      error.message.includes('cannot exceed')) return 400;
+  return 500;
+};
+
+class ReviewController {
+  /**
+   * Get approved reviews and rating summary of a product
+   * GET /api/reviews/products/:productId
+   */
+  async getProductReviews(req, res) {
+    try {
+      const result = await reviewService.getProductReviews(req.params.productId, {
+        page: req.query.page,
+        limit: req.query.limit,
+        sort: req.query.sort
+      });
+
+      res.status(200).json({
+        success: true,
+        data: result.reviews,
+        summary: result.summary,
+        pagination: result.pagination,
+        message: 'Reviews retrieved successfully'
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'REVIEWS_FETCH_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Submit a verified-purchase review with optional photos
+   * POST /api/reviews/products/:productId
+   */
+  async createReview(req, res) {
+    try {
+      const review = await reviewService.createReview(
+        req.params.productId,
+        req.body,
+        req.files || []
+      );
+
+      res.status(201).json({
+        success: true,
+        data: {
+          _id: review._id,
+          status: review.status,
+          createdAt: review.createdAt
+        },
+        message: 'Review submitted successfully and is awaiting moderation'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'NOT_FOUND' :
+                statusCode === 409 ? 'REVIEW_EXISTS' :
+                statusCode === 403 ? 'NOT_ELIGIBLE' :
+                statusCode === 400 ? 'VALIDATION_ERROR' : 'REVIEW_CREATE_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Get reviews for moderation
+   * GET /api/reviews
+   */
+  async getReviews(req, res) {
+    try {
+      const result = await reviewService.getReviews({
+        status: req.query.status,
+        product: req.query.product,
+        page: req.query.page,
+        limit: req.query.limit
+      });
+
+      res.status(200).json({
+        success: true,
+        data: result.reviews,
+        pagination: result.pagination,
+        message: 'Reviews retrieved successfully'
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'REVIEWS_FETCH_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Approve or reject a review
+   * PATCH /api/reviews/:id/moderate
+   */
+  async moderateReview(req, res) {
+    try {
+      const review = await reviewService.moderateReview(req.params.id, req.body, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        data: review,
+        message: `Review ${review.status}`
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'REVIEW_NOT_FOUND' :
+                statusCode === 400 ? 'VALIDATION_ERROR' : 'REVIEW_MODERATION_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Delete a review
+   * DELETE /api/reviews/:id
+   */
+  async deleteReview(req, res) {
+    try {
+      const review = await reviewService.deleteReview(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        data: { _id: review._id },
+        message: 'Review deleted successfully'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'REVIEW_NOT_FOUND' : 'REVIEW_DELETE_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+}
+
+module.exports = new ReviewController();
@@ -0,0 +1,79 @@
+const stockAlertService = require('../services/stockAlertService');
+
+/**
+ * Map stock alert service errors to HTTP status codes
+ * @param {Error} error - Service error
+ * @returns {number} Status code
+ */
+const getStatusCode = (error) => {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('product is in stock')) return 409;
+  if (error.message.includes('Invalid') || error.message.includes('required')) return 400;
+  return 500;
+};
+
+class StockAlertController {
+  /**
+   * Ask to be emailed when a sold-out product is back in stock
+   * POST /api/stock-alerts/products/:productId
+   */
+  async subscribe(req, res) {
+    try {
+      const subscription = await stockAlertService.subscribe(req.params.productId, req.body);
+
+      res.status(201).json({
+        success: true,
+        data: {
+          product: subscription.product,
+          email: subscription.email,
+          status: subscription.status
+        },
+        message: 'You will be notified when this product is back in stock'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'NOT_FOUND' :
+                statusCode === 409 ? 'IN_STOCK' :
+                statusCode === 400 ? 'VALIDATION_ERROR' : 'SUBSCRIBE_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Stop a back-in-stock subscription from the link in its email
+   * DELETE /api/stock-alerts/subscriptions/:token
+   */
+  async unsubscribe(req, res) {
+    try {
+      const subscription = await stockAlertService.unsubscribe(req.params.token);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          product: subscription.product,
+          email: subscription.email,
+          status: subscription.status
+        },
+        message: 'Unsubscribed successfully'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'SUBSCRIPTION_NOT_FOUND' : 'UNSUBSCRIBE_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+}
+
+module.exports = new StockAlertController();
@@ -0,0 +1,231 @@
+const wishlistService = require('../services/wishlistService');
+
+/**
+ * Map wishlist service errors to HTTP status codes
+ * @param {Error} error - Service error
+ * @returns {number} Status code
+ */
+const getStatusCode = (error) => {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('Invalid') || error.message.includes('validation failed')) return 400;
+  return 500;
+};
+
+class WishlistController {
+  /**
+   * Get the logged-in customer's wishlist
+   * GET /api/wishlist
+   */
+  async getWishlist(req, res) {
+    try {
+      const wishlist = await wishlistService.getWishlist(req.user.id);
+
+      res.status(200).json({
+        success: true,
+        data: wishlist,
+        message: 'Wishlist retrieved successfully'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'NOT_FOUND' :
+                statusCode === 400 ? 'VALIDATION_ERROR' : 'WISHLIST_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Save a product to the wishlist
+   * POST /api/wishlist/items
+   */
+  async addItem(req, res) {
+    try {
+      const wishlist = await wishlistService.addItem(req.user.id, req.body.product);
+
+      res.status(200).json({
+        success: true,
+        data: wishlist,
+        message: 'Product saved to wishlist'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'NOT_FOUND' :
+                statusCode === 400 ? 'VALIDATION_ERROR' : 'WISHLIST_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Take a product off the wishlist
+   * DELETE /api/wishlist/items/:productId
+   */
+  async removeItem(req, res) {
+    try {
+      const wishlist = await wishlistService.removeItem(req.user.id, req.params.productId);
+
+      res.status(200).json({
+        success: true,
+        data: wishlist,
+        message: 'Product removed from wishlist'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'NOT_FOUND' :
+                statusCode === 400 ? 'VALIDATION_ERROR' : 'WISHLIST_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Merge the guest wishlist kept in the browser into the account
+   * POST /api/wishlist/merge
+   */
+  async mergeItems(req, res) {
+    try {
+      const wishlist = await wishlistService.mergeItems(req.user.id, req.body);
+
+      res.status(200).json({
+        success: true,
+        data: wishlist,
+        message: 'Wishlist merged successfully'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'NOT_FOUND' :
+                statusCode === 400 ? 'VALIDATION_ERROR' : 'WISHLIST_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Update price-alert and language preferences
+   * PUT /api/wishlist/settings
+   */
+  async updateSettings(req, res) {
+    try {
+      const wishlist = await wishlistService.updateSettings(req.user.id, req.body);
+
+      res.status(200).json({
+        success: true,
+        data: wishlist,
+        message: 'Wishlist settings updated successfully'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'NOT_FOUND' :
+                statusCode === 400 ? 'VALIDATION_ERROR' : 'WISHLIST_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Turn on the public share link
+   * POST /api/wishlist/share
+   */
+  async share(req, res) {
+    try {
+      const shareToken = await wishlistService.share(req.user.id);
+
+      res.status(200).json({
+        success: true,
+        data: { shareToken },
+        message: 'Wishlist shared successfully'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'NOT_FOUND' :
+                statusCode === 400 ? 'VALIDATION_ERROR' : 'SHARE_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Turn off the public share link
+   * DELETE /api/wishlist/share
+   */
+  async unshare(req, res) {
+    try {
+      await wishlistService.unshare(req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Wishlist is no longer shared'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'NOT_FOUND' :
+                statusCode === 400 ? 'VALIDATION_ERROR' : 'SHARE_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * View a wishlist from its public share link
+   * GET /api/wishlist/shared/:token
+   */
+  async getSharedWishlist(req, res) {
+    try {
+      const wishlist = await wishlistService.getSharedWishlist(req.params.token);
+
+      res.status(200).json({
+        success: true,
+        data: wishlist,
+        message: 'Shared wishlist retrieved successfully'
+      });
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 404 ? 'NOT_FOUND' :
+                statusCode === 400 ? 'VALIDATION_ERROR' : 'WISHLIST_ERROR',
+          message: error.message
+        }
+      });
+    }
+  }
+}
+
+module.exports = new WishlistController();
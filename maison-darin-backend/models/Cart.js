@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+// Same limits as an order, so any cart can be checked out
+const MAX_ITEMS = 20;
+const MAX_QUANTITY = 10;
+
+const cartItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  // Size, for products sold in sizes
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1'],
+    max: [MAX_QUANTITY, `Quantity cannot exceed ${MAX_QUANTITY}`]
+  },
+  // Unit price when the item was added, to tell the customer the price has changed since
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A shopping cart kept on the server so it follows the customer across devices
+// and can be recovered if checkout is abandoned. Guests hold it by its token;
+// it is attached to a customer's account once they log in.
+const cartSchema = new mongoose.Schema({
+  // Secret carried by the browser and by the restore link in reminder emails
+  token: {
+    type: String,
+    required: [true, 'Cart token is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  items: {
+    type: [cartItemSchema],
+    validate: {
+      validator: function(items) {
+        return items.length <= MAX_ITEMS;
+      },
+      message: `A cart can hold at most ${MAX_ITEMS} products`
+    }
+  },
+  status: {
+    type: String,
+    enum: ['active', 'converted'],
+    default: 'active'
+  },
+  // Order the cart was checked out as
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  // Given at the email step of checkout; reminders only go to carts that reached it
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  firstName: {
+    type: String,
+    trim: true
+  },
+  language: {
+    type: String,
+    enum: ['en', 'ar'],
+    default: 'ar'
+  },
+  checkoutStartedAt: {
+    type: Date
+  },
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  },
+  reminders: {
+    sent: {
+      type: Number,
+      default: 0
+    },
+    lastSentAt: {
+      type: Date
+    },
+    optedOut: {
+      type: Boolean,
+      default: false
+    }
+  }
+}, {
+  timestamps: true
+});
+
+cartSchema.index({ token: 1 }, { unique: true });
+cartSchema.index({ user: 1, status: 1 });
+cartSchema.index({ status: 1, checkoutStartedAt: 1, 'reminders.sent': 1 });
+// Carts nobody has touched for 90 days are removed
+cartSchema.index({ lastActivityAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+cartSchema.statics.MAX_ITEMS = MAX_ITEMS;
+cartSchema.statics.MAX_QUANTITY = MAX_QUANTITY;
+
+module.exports = mongoose.model('Cart', cartSchema);
@@ -35,6 +35,17 @@ const categorySchema = new mongoose.Schema({
     trim: true,
     match: [/^[a-z0-9-]+$/, 'Slug can only contain lowercase letters, numbers, and hyphens']
   },
+  // Subcategories (e.g. Women > Oriental) point at their parent; top-level ones have none
+  parentCategory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Path from the top-level category down to the parent, kept in sync with parentCategory
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -71,7 +82,7 @@ const categorySchema = new mongoose.Schema({
 categorySchema.virtual('productCount', {
   ref: 'Product',
   localField: '_id',
-  foreignField: 'category',
+  foreignField: 'categories',
   count: true
 });
 
@@ -79,6 +90,8 @@ categorySchema.virtual('productCount', {
 categorySchema.index({ slug: 1 });
 categorySchema.index({ isActive: 1 });
 categorySchema.index({ sortOrder: 1 });
+categorySchema.index({ parentCategory: 1 });
+categorySchema.index({ ancestors: 1 });
 categorySchema.index({ 'name.en': 'text', 'name.ar': 'text' });
 
 // Pre-save middleware to generate slug
@@ -94,6 +107,49 @@ categorySchema.pre('save', function(next) {
   next();
 });
 
+// Derive the ancestors from the parent, refusing a parent inside the category's own subtree
+categorySchema.pre('validate', async function() {
+  if (!this.isNew && !this.isModified('parentCategory')) {
+    return;
+  }
+
+  if (!this.parentCategory) {
+    this.ancestors = [];
+    return;
+  }
+
+  const parent = await this.constructor.findById(this.parentCategory).select('ancestors');
+  if (!parent) {
+    this.invalidate('parentCategory', 'Parent category not found');
+    return;
+  }
+  if (parent._id.equals(this._id) || parent.ancestors.some(id => id.equals(this._id))) {
+    this.invalidate('parentCategory', 'Invalid parent: a category cannot be placed under itself');
+    return;
+  }
+
+  this.ancestors = [...parent.ancestors, parent._id];
+});
+
+// Static method to get the IDs of a category and every category below it
+categorySchema.statics.getSubtreeIds = async function(categoryId) {
+  const descendants = await this.find({ ancestors: categoryId }).select('_id').lean();
+  return [categoryId, ...descendants.map(category => category._id)];
+};
+
+// Static method to re-derive the ancestors below a category whose parent changed
+categorySchema.statics.rebuildDescendantAncestors = async function(category) {
+  const descendants = await this.find({ ancestors: category._id }).select('ancestors');
+  const prefix = [...category.ancestors, category._id];
+
+  for (const descendant of descendants) {
+    const below = descendant.ancestors.slice(descendant.ancestors.findIndex(id => id.equals(category._id)) + 1);
+    await this.updateOne({ _id: descendant._id }, { $set: { ancestors: [...prefix, ...below] } });
+  }
+
+  return descendants.length;
+};
+
 // Static method to get active categories
 categorySchema.statics.getActive = function() {
   return this.find({ isActive: true }).sort({ sortOrder: 1, 'name.en': 1 });
@@ -106,7 +162,7 @@ categorySchema.statics.getWithProductCount = function() {
       $lookup: {
         from: 'products',
         localField: '_id',
-        foreignField: 'category',
+        foreignField: 'categories',
         as: 'products'
       }
     },
@@ -134,10 +190,10 @@ categorySchema.statics.getWithProductCount = function() {
   ]);
 };
 
-// Instance method to get products in this category
-categorySchema.methods.getProducts = function(options = {}) {
+// Instance method to get products in this category or any of its subcategories
+categorySchema.methods.getProducts = async function(options = {}) {
   const Product = mongoose.model('Product');
-  const query = { category: this._id };
+  const query = { categories: { $in: await this.constructor.getSubtreeIds(this._id) } };
   
   if (options.inStock) {
     query.inStock = true;
@@ -155,7 +211,7 @@ categorySchema.methods.getProducts = function(options = {}) {
 // Instance method to update product count cache
 categorySchema.methods.updateProductCount = async function() {
   const Product = mongoose.model('Product');
-  const count = await Product.countDocuments({ category: this._id });
+  const count = await Product.countDocuments({ categories: this._id });
   this.productCount = count;
   return this.save();
 };
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const creditNoteLineSchema = new mongoose.Schema({
+  description: { type: String, required: true },
+  variantSize: { type: String },
+  quantity: { type: Number, required: true, min: 1 },
+  // What is paid back per unit, VAT included
+  unitPrice: { type: Number, required: true },
+  vatRate: { type: Number, required: true, min: 0 },
+  total: { type: Number, required: true }
+}, { _id: false });
+
+// Credit note for a refund of an invoiced order. Like the invoice it corrects,
+// everything printed on it is copied when it is issued and never changed.
+const creditNoteSchema = new mongoose.Schema({
+  creditNoteNumber: {
+    type: String,
+    required: [true, 'Credit note number is required'],
+    unique: true
+  },
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: [true, 'Invoice is required']
+  },
+  invoiceNumber: { type: String, required: true },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required']
+  },
+  orderNumber: { type: String, required: true },
+  // Refund of the order it was issued for; each refund has one credit note
+  refundId: {
+    type: String,
+    required: [true, 'Refund is required'],
+    unique: true
+  },
+  reason: { type: String, required: true },
+  issuedAt: { type: Date, required: true },
+  currency: { type: String, uppercase: true, trim: true, default: 'SAR' },
+
+  seller: {
+    name: {
+      en: { type: String },
+      ar: { type: String }
+    },
+    vatNumber: { type: String, required: [true, 'Seller VAT number is required'] },
+    address: { type: String },
+    email: { type: String },
+    phone: { type: String }
+  },
+  customer: {
+    name: { type: String },
+    email: { type: String },
+    phone: { type: String },
+    address: { type: String }
+  },
+
+  // Empty when only shipping is paid back
+  lines: [creditNoteLineSchema],
+  shipping: { type: Number, default: 0 },
+  // Amount VAT is credited on, VAT excluded
+  taxableAmount: { type: Number, required: true },
+  vatRate: { type: Number, default: 0 },
+  vat: { type: Number, required: true },
+  // Total credited, VAT included
+  total: { type: Number, required: true },
+  // Part of the total paid back as store credit
+  storeCredit: { type: Number, default: 0 },
+
+  // Same TLV content as the invoice's QR code, for the amounts credited
+  qrCode: { type: String, required: true },
+  pdf: {
+    type: Buffer,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+creditNoteSchema.index({ order: 1, issuedAt: 1 });
+
+creditNoteSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Credit notes cannot be changed once issued'));
+  }
+  next();
+});
+
+creditNoteSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function(next) {
+    next(new Error('Credit notes cannot be changed once issued'));
+  }
+);
+
+module.exports = mongoose.model('CreditNote', creditNoteSchema);
@@ -317,16 +317,14 @@ customerSchema.statics.getCustomerStats = async function(filters = {}) {
   };
 };
 
-// Instance method to update customer statistics
-customerSchema.methods.updateStats = async function(orderData) {
+// Instance method to update customer statistics; loyalty points are awarded
+// separately, through the loyalty ledger
+customerSchema.methods.updateStats = async function(orderData, options = {}) {
   this.totalOrders += 1;
   this.totalSpent += orderData.total;
   this.lastOrderDate = new Date();
   
-  // Award loyalty points (1 point per EGP spent)
-  this.loyaltyPoints += Math.floor(orderData.total);
-  
-  return await this.save();
+  return await this.save(options);
 };
 
 // Instance method to add address
@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const KINDS = ['gift_card', 'store_credit'];
+
+// Where the card came from: bought in the shop, issued by an admin, or
+// credited to a customer for a return, another refund or as a goodwill gesture
+const SOURCES = ['purchase', 'manual', 'return', 'refund', 'goodwill'];
+
+const TRANSACTION_TYPES = ['issue', 'redeem', 'release', 'adjust', 'void'];
+
+// No 0/O or 1/I, so codes read back over the phone are not mistyped
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const giftCardTransactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: TRANSACTION_TYPES,
+    required: true
+  },
+  // Signed change: negative when the card pays for an order or is voided
+  amount: {
+    type: Number,
+    required: true
+  },
+  // Balance after the entry
+  balance: {
+    type: Number,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  orderNumber: {
+    type: String,
+    trim: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters']
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const giftCardSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: KINDS,
+    default: 'gift_card'
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  source: {
+    type: String,
+    enum: SOURCES,
+    default: 'purchase'
+  },
+  initialBalance: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be positive']
+  },
+  balance: {
+    type: Number,
+    required: true,
+    min: [0, 'Balance cannot be negative']
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'SAR'
+  },
+  // null keeps the card valid forever
+  expiresAt: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: ['active', 'disabled'],
+    default: 'active'
+  },
+  // Owner of store credit; it is only spent from their account
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  recipient: {
+    name: { type: String, trim: true, maxlength: [100, 'Recipient name cannot exceed 100 characters'] },
+    email: { type: String, lowercase: true, trim: true }
+  },
+  sender: {
+    name: { type: String, trim: true, maxlength: [100, 'Sender name cannot exceed 100 characters'] }
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  // Order the card was bought with
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  orderNumber: {
+    type: String,
+    trim: true
+  },
+  deliveredAt: {
+    type: Date
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  transactions: [giftCardTransactionSchema]
+}, {
+  timestamps: true
+});
+
+giftCardSchema.index({ customer: 1, kind: 1, status: 1 });
+giftCardSchema.index({ order: 1 });
+giftCardSchema.index({ 'recipient.email': 1 });
+
+// Instance method to check whether the card can pay for an order
+giftCardSchema.methods.isUsable = function(now = new Date()) {
+  return this.status === 'active' && this.balance > 0 && (!this.expiresAt || this.expiresAt > now);
+};
+
+// Static method to generate a code like ABCD-EFGH-JKLM-NPQR
+giftCardSchema.statics.generateCode = function() {
+  const bytes = crypto.randomBytes(16);
+  const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return chars.match(/.{4}/g).join('-');
+};
+
+// Static method to show a code without giving it away
+giftCardSchema.statics.maskCode = function(code) {
+  return `****-${String(code).slice(-4)}`;
+};
+
+// Static method to normalise a code typed by a customer
+giftCardSchema.statics.normalizeCode = function(code) {
+  const chars = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return chars.length === 16 ? chars.match(/.{4}/g).join('-') : chars;
+};
+
+giftCardSchema.statics.KINDS = KINDS;
+giftCardSchema.statics.SOURCES = SOURCES;
+
+module.exports = mongoose.model('GiftCard', giftCardSchema);
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const invoiceLineSchema = new mongoose.Schema({
+  description: { type: String, required: true },
+  variantSize: { type: String },
+  quantity: { type: Number, required: true, min: 1 },
+  // Unit price charged, as the order's prices (VAT included or not, see vatIncluded)
+  unitPrice: { type: Number, required: true },
+  // 0 for gift card lines: gift cards are taxed when spent
+  vatRate: { type: Number, required: true, min: 0 },
+  total: { type: Number, required: true }
+}, { _id: false });
+
+// Simplified tax invoice for a paid order. Everything printed on it is copied
+// from the order and the settings when it is issued, and it is never changed
+// afterwards; a correction is made with a credit note.
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: [true, 'Invoice number is required'],
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['simplified'],
+    default: 'simplified'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required'],
+    unique: true
+  },
+  orderNumber: { type: String, required: true },
+  issuedAt: { type: Date, required: true },
+  currency: { type: String, uppercase: true, trim: true, default: 'SAR' },
+
+  seller: {
+    name: {
+      en: { type: String },
+      ar: { type: String }
+    },
+    vatNumber: { type: String, required: [true, 'Seller VAT number is required'] },
+    address: { type: String },
+    email: { type: String },
+    phone: { type: String }
+  },
+  customer: {
+    name: { type: String },
+    email: { type: String },
+    phone: { type: String },
+    address: { type: String }
+  },
+
+  lines: {
+    type: [invoiceLineSchema],
+    validate: [lines => lines.length > 0, 'An invoice needs at least one line']
+  },
+  subtotal: { type: Number, required: true },
+  // Promotions and redeemed loyalty points
+  discount: { type: Number, default: 0 },
+  shipping: { type: Number, default: 0 },
+  // Amount VAT is charged on, VAT excluded
+  taxableAmount: { type: Number, required: true },
+  vatRate: { type: Number, default: 0 },
+  vatIncluded: { type: Boolean, default: false },
+  vat: { type: Number, required: true },
+  // Total with VAT
+  total: { type: Number, required: true },
+  // Part of the total paid with gift cards and store credit
+  giftCardsApplied: { type: Number, default: 0 },
+
+  // Base64 TLV of seller name, VAT number, time, total and VAT, as the QR
+  // code of a simplified tax invoice must carry
+  qrCode: { type: String, required: true },
+  pdf: {
+    type: Buffer,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ issuedAt: -1 });
+
+invoiceSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Invoices cannot be changed once issued'));
+  }
+  next();
+});
+
+invoiceSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function(next) {
+    next(new Error('Invoices cannot be changed once issued'));
+  }
+);
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
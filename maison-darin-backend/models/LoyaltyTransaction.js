@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+const TRANSACTION_TYPES = [
+  'earn',
+  'redeem',
+  'reverse',
+  'restore',
+  'expire'
+];
+
+// Ledger of a customer's loyalty points. The points of a customer's entries add
+// up to Customer.loyaltyPoints. Credits ('earn') are lots that are spent oldest
+// expiry first; what is left of a lot is the only thing that changes after an
+// entry is written.
+const loyaltyTransactionSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Customer is required']
+  },
+  type: {
+    type: String,
+    enum: TRANSACTION_TYPES,
+    required: [true, 'Transaction type is required']
+  },
+  // Signed change: negative when points are spent, reversed or expire
+  points: {
+    type: Number,
+    required: [true, 'Points are required']
+  },
+  // Customer's balance after the entry
+  balance: {
+    type: Number,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  orderNumber: {
+    type: String,
+    trim: true
+  },
+  // Earned points not yet spent, reversed or expired, and when they expire
+  // (null keeps them forever)
+  remaining: {
+    type: Number,
+    min: 0
+  },
+  expiresAt: {
+    type: Date
+  },
+  // Tier and multiplier the points were earned at
+  tier: {
+    type: String,
+    enum: ['bronze', 'silver', 'gold', 'platinum']
+  },
+  multiplier: {
+    type: Number
+  },
+  // Lots a debit was taken from, so a cancelled redemption goes back to them
+  lots: {
+    type: [{
+      _id: false,
+      transaction: { type: mongoose.Schema.Types.ObjectId, ref: 'LoyaltyTransaction', required: true },
+      points: { type: Number, required: true, min: 1 }
+    }],
+    default: undefined
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+loyaltyTransactionSchema.index({ customer: 1, createdAt: -1 });
+loyaltyTransactionSchema.index({ order: 1, type: 1 });
+loyaltyTransactionSchema.index(
+  { expiresAt: 1 },
+  { partialFilterExpression: { type: 'earn', remaining: { $gt: 0 } } }
+);
+
+// Entries are corrected by recording another one, never removed
+loyaltyTransactionSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], function(next) {
+  next(new Error('Loyalty transactions cannot be deleted'));
+});
+
+// Static method to get a customer's lots with points left, in the order they
+// are spent: soonest expiry first, points that never expire last
+loyaltyTransactionSchema.statics.findOpenLots = async function(customerId, { session = null } = {}) {
+  const lots = await this.find({ customer: customerId, type: 'earn', remaining: { $gt: 0 } })
+    .sort({ createdAt: 1 })
+    .session(session);
+
+  return lots.sort((a, b) => {
+    if (!a.expiresAt || !b.expiresAt) {
+      return (a.expiresAt ? 0 : 1) - (b.expiresAt ? 0 : 1);
+    }
+    return a.expiresAt - b.expiresAt;
+  });
+};
+
+loyaltyTransactionSchema.statics.TRANSACTION_TYPES = TRANSACTION_TYPES;
+
+module.exports = mongoose.model('LoyaltyTransaction', loyaltyTransactionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const Sequence = require('./Sequence');
 
 const orderItemSchema = new mongoose.Schema({
   productId: {
@@ -14,10 +15,42 @@ const orderItemSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Variant purchased when the product is sold in several sizes
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  variantSku: {
+    type: String,
+    trim: true
+  },
+  variantSize: {
+    type: String,
+    trim: true
+  },
+  // Components of a bundle at the time of ordering (per bundle), so stock is
+  // moved for what was actually sold even if the bundle is edited later
+  bundleComponents: {
+    type: [{
+      _id: false,
+      productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+      variantId: { type: mongoose.Schema.Types.ObjectId },
+      quantity: { type: Number, required: true, min: 1 }
+    }],
+    default: undefined
+  },
+  // Unit price charged, after any sale
   price: {
     type: Number,
     required: true
   },
+  // Unit price before the sale, and the price rule that discounted it
+  regularPrice: {
+    type: Number
+  },
+  priceRule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceRule'
+  },
   quantity: {
     type: Number,
     required: true,
@@ -26,9 +59,131 @@ const orderItemSchema = new mongoose.Schema({
   subtotal: {
     type: Number,
     required: true
+  },
+  // Set on lines of a product ordered before its release. They take no stock
+  // until released; deposit is what was due for the line at checkout.
+  preOrder: {
+    type: {
+      _id: false,
+      releaseDate: { type: Date },
+      deposit: { type: Number },
+      releasedAt: { type: Date }
+    },
+    default: undefined
+  },
+  // Set on gift card lines: who the cards are emailed to, and the cards issued
+  // for the line once the order is paid
+  giftCard: {
+    type: {
+      _id: false,
+      recipientName: { type: String, trim: true },
+      recipientEmail: { type: String, lowercase: true, trim: true },
+      senderName: { type: String, trim: true },
+      message: { type: String, trim: true },
+      cards: [{ type: mongoose.Schema.Types.ObjectId, ref: 'GiftCard' }]
+    },
+    default: undefined
   }
 });
 
+// Statuses an order can move to from each status; every move is recorded in
+// the order's timeline
+const STATUS_TRANSITIONS = {
+  pending: ['awaiting_release', 'confirmed', 'cancelled'],
+  awaiting_release: ['processing', 'cancelled'],
+  confirmed: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'returned'],
+  delivered: ['returned', 'refunded'],
+  returned: ['refunded'],
+  cancelled: ['refunded'],
+  refunded: []
+};
+const STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+// Paid for at the door or by transfer, and settled outside the store
+const OFFLINE_PAYMENT_METHODS = ['cash_on_delivery', 'bank_transfer'];
+// A partly refunded order was paid, and may still be fulfilled or refunded further
+const PAID_STATUSES = ['paid', 'partially_paid', 'partially_refunded'];
+
+// Why money was paid back, as recorded on each refund and its credit note
+const REFUND_REASONS = [
+  'returned',
+  'damaged',
+  'wrong_item',
+  'not_delivered',
+  'late_delivery',
+  'cancelled',
+  'price_adjustment',
+  'duplicate_payment',
+  'goodwill',
+  'other'
+];
+// How a refund is paid: through the gateway the order was paid with, as
+// store credit only, or by hand for cash on delivery and bank transfers
+const REFUND_METHODS = ['paypal', 'paymob', 'fawry', 'card', 'store_credit', 'manual'];
+
+const timelineEntrySchema = new mongoose.Schema({
+  status: { type: String, enum: STATUSES, required: true },
+  at: { type: Date, default: Date.now },
+  // Who made the change: an admin, the customer placing the order, or the
+  // store itself (payments, expired reservations, pre-order releases)
+  actor: {
+    type: { type: String, enum: ['admin', 'customer', 'system'], default: 'system' },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: { type: String, trim: true }
+  },
+  reason: { type: String, trim: true },
+  // What the change set off, e.g. stock_restored, points_awarded
+  effects: [{ type: String }]
+});
+
+// Money paid back on an order. Each refund takes its number before any money
+// moves; its credit note is issued once it is completed or left to be paid by hand.
+const refundSchema = new mongoose.Schema({
+  refundId: { type: String, required: true },
+  reason: { type: String, enum: REFUND_REASONS, required: true },
+  note: { type: String, trim: true, maxlength: 500 },
+  // Lines paid back, at what the customer paid for them after discounts and tax
+  lines: [{
+    _id: false,
+    orderItem: { type: mongoose.Schema.Types.ObjectId, required: true },
+    productName: { type: String },
+    variantSize: { type: String },
+    quantity: { type: Number, required: true, min: 1 },
+    amount: { type: Number, required: true }
+  }],
+  shipping: { type: Number, default: 0 },
+  // Paid back on top of lines and shipping, e.g. a price adjustment
+  adjustment: { type: Number, default: 0 },
+  amount: { type: Number, required: true, min: 0.01 },
+  // The part gift cards and store credit paid comes back as store credit
+  gatewayAmount: { type: Number, default: 0 },
+  storeCreditAmount: { type: Number, default: 0 },
+  method: { type: String, enum: REFUND_METHODS },
+  status: {
+    type: String,
+    enum: ['processing', 'pending', 'completed', 'failed'],
+    default: 'processing'
+  },
+  storeCredit: { type: mongoose.Schema.Types.ObjectId, ref: 'GiftCard' },
+  gatewayRefundId: { type: String },
+  // Reference of a refund paid by hand, such as a bank transfer
+  reference: { type: String, trim: true },
+  error: { type: String },
+  // Return the refund pays for, if any
+  return: { type: mongoose.Schema.Types.ObjectId, ref: 'Return' },
+  creditNote: { type: mongoose.Schema.Types.ObjectId, ref: 'CreditNote' },
+  creditNoteNumber: { type: String },
+  actor: {
+    type: { type: String, enum: ['admin', 'customer', 'system'], default: 'system' },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: { type: String, trim: true }
+  },
+  createdAt: { type: Date, default: Date.now },
+  completedAt: { type: Date }
+}, { _id: false });
+
 const orderSchema = new mongoose.Schema({
   orderNumber: {
     type: String,
@@ -45,32 +200,93 @@ const orderSchema = new mongoose.Schema({
     city: { type: String, required: true, trim: true },
     postalCode: { type: String, trim: true },
     country: { type: String, required: true, trim: true },
+    // ISO 3166 code used for the shipping zone and tax rate
+    countryCode: { type: String, uppercase: true, trim: true },
     notes: { type: String, trim: true }
   },
 
   items: [orderItemSchema],
 
+  // Price breakdown, computed by the server when the order is placed
   subtotal: { type: Number, required: true },
+  // Saved on items by sales, already deducted from the subtotal
+  discountTotal: { type: Number, default: 0 },
+  // Promotions and coupons applied to the order, deducted from the subtotal before tax
+  promotions: [{
+    promotion: { type: mongoose.Schema.Types.ObjectId, ref: 'Promotion' },
+    code: { type: String },
+    name: {
+      en: { type: String },
+      ar: { type: String }
+    },
+    type: { type: String },
+    discount: { type: Number, default: 0 },
+    freeShipping: { type: Boolean, default: false },
+    _id: false
+  }],
+  promotionDiscount: { type: Number, default: 0 },
+  couponCode: { type: String, uppercase: true, trim: true },
+  // Loyalty points redeemed as a discount (taken off before tax, like promotions)
+  // and the points earned once the order is delivered
+  loyalty: {
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' },
+    pointsRedeemed: { type: Number, default: 0 },
+    discount: { type: Number, default: 0 },
+    pointsEarned: { type: Number, default: 0 },
+    earnedAt: { type: Date },
+    // Earned points taken back by a refund, redeemed points given back by a cancellation or refund
+    reversedAt: { type: Date },
+    restoredAt: { type: Date }
+  },
+  // Gift cards and store credit paying for part or all of the order; the rest
+  // is paid with the payment method
+  giftCards: [{
+    giftCard: { type: mongoose.Schema.Types.ObjectId, ref: 'GiftCard' },
+    kind: { type: String, enum: ['gift_card', 'store_credit'] },
+    code: { type: String },
+    amount: { type: Number },
+    _id: false
+  }],
+  giftCardTotal: { type: Number, default: 0 },
+  // Gift cards bought with the order are issued once it is paid; the amounts
+  // taken from gift cards paying for it are given back once if it is cancelled
+  giftCardsIssuedAt: { type: Date },
+  giftCardsReleasedAt: { type: Date },
+  shippingType: { type: String, enum: ['standard', 'express'], default: 'standard' },
   shippingCost: { type: Number, default: 0 },
+  taxRate: { type: Number, default: 0 },
+  // Tax included in item prices is recorded but not added to the total
+  taxIncluded: { type: Boolean, default: false },
   tax: { type: Number, default: 0 },
   total: { type: Number, required: true },
+  // Left to pay on release when pre-ordered lines only took a deposit
+  balanceDue: { type: Number, default: 0 },
+  // Tax invoice issued once the order is paid in full
+  invoice: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice', default: null },
+  invoiceNumber: { type: String },
 
   paymentMethod: {
     type: String,
-    enum: ['cash_on_delivery', 'bank_transfer', 'credit_card', 'paypal'],
+    enum: ['cash_on_delivery', 'bank_transfer', 'credit_card', 'paypal', 'gift_card', 'store_credit'],
     default: 'cash_on_delivery'
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed', 'refunded'],
+    enum: ['pending', 'partially_paid', 'paid', 'failed', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
+  // Refunds paid or owed on the order, and their sum; a failed refund still
+  // counts until it is retried, as the money is owed to the customer
+  refunds: [refundSchema],
+  refundedTotal: { type: Number, default: 0 },
 
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'],
+    enum: STATUSES,
     default: 'pending'
   },
+  // Every status the order has been in, oldest first
+  timeline: [timelineEntrySchema],
 
   trackingNumber: { type: String, trim: true },
   orderDate: { type: Date, default: Date.now },
@@ -87,6 +303,14 @@ const orderSchema = new mongoose.Schema({
       currency_code: { type: String },
       value: { type: String }
     }
+  },
+
+  // Stock taken for an order paid online is only held until its payment expires;
+  // an unpaid hold is released and the stock returned to sale
+  stockReservation: {
+    status: { type: String, enum: ['held', 'committed', 'released'] },
+    expiresAt: { type: Date },
+    releasedAt: { type: Date }
   }
 }, {
   timestamps: true
@@ -95,52 +319,85 @@ const orderSchema = new mongoose.Schema({
 // Generate order number
 orderSchema.pre('save', async function(next) {
   if (!this.orderNumber) {
-    const date = new Date();
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    
-    const todayStart = new Date(year, date.getMonth(), date.getDate());
-    const todayEnd = new Date(year, date.getMonth(), date.getDate() + 1);
-    
-    const lastOrder = await this.constructor.findOne({
-      createdAt: { $gte: todayStart, $lt: todayEnd }
-    }).sort({ createdAt: -1 });
-    
-    let orderCount = 1;
-    if (lastOrder && lastOrder.orderNumber) {
-      const lastNumber = parseInt(lastOrder.orderNumber.split('-').pop());
-      orderCount = lastNumber + 1;
-    }
-    
-    this.orderNumber = `MD-${year}${month}${day}-${String(orderCount).padStart(3, '0')}`;
+    this.orderNumber = await Sequence.next('order', { session: this.$session() });
   }
   next();
 });
 
-// Static method to generate order number
-orderSchema.statics.generateOrderNumber = async function() {
-  const date = new Date();
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  
-  const todayStart = new Date(year, date.getMonth(), date.getDate());
-  const todayEnd = new Date(year, date.getMonth(), date.getDate() + 1);
-  
-  const lastOrder = await this.findOne({
-    createdAt: { $gte: todayStart, $lt: todayEnd }
-  }).sort({ createdAt: -1 });
-  
-  let orderCount = 1;
-  if (lastOrder && lastOrder.orderNumber) {
-    const lastNumber = parseInt(lastOrder.orderNumber.split('-').pop());
-    if (!isNaN(lastNumber)) {
-      orderCount = lastNumber + 1;
-    }
+// Once paid (or its deposit is), the held stock belongs to the order for good
+orderSchema.pre('save', function(next) {
+  const paid = ['paid', 'partially_paid'].includes(this.paymentStatus);
+  if (paid && this.stockReservation && this.stockReservation.status === 'held') {
+    this.stockReservation.status = 'committed';
   }
-  
-  return `MD-${year}${month}${day}-${String(orderCount).padStart(3, '0')}`;
+  next();
+});
+
+// A new order starts its timeline with the status it was placed in
+orderSchema.pre('save', function(next) {
+  if (this.isNew && this.timeline.length === 0) {
+    this.timeline.push({ status: this.status, at: this.orderDate, actor: { type: 'customer' } });
+  }
+  next();
+});
+
+/**
+ * Check whether the order may move to a status
+ * @param {string} status - New status
+ * @returns {string|null} Why the move is not allowed, or null if it is
+ */
+orderSchema.methods.checkTransition = function(status) {
+  if (!STATUS_TRANSITIONS[status]) {
+    return `Invalid order status: ${status}`;
+  }
+  if (!STATUS_TRANSITIONS[this.status].includes(status)) {
+    return `Order cannot be moved from ${this.status} to ${status}`;
+  }
+
+  const paid = PAID_STATUSES.includes(this.paymentStatus);
+  const paidOffline = OFFLINE_PAYMENT_METHODS.includes(this.paymentMethod);
+  // Orders paid online go ahead once their payment (or deposit) is in
+  if (['awaiting_release', 'confirmed', 'processing', 'shipped'].includes(status) && !paid && !paidOffline) {
+    return `Order cannot be ${status === 'awaiting_release' ? 'sent for release' : status} before it is paid`;
+  }
+  if (status === 'refunded' && !paid) {
+    return 'Only paid orders can be refunded';
+  }
+
+  return null;
+};
+
+orderSchema.methods.canTransitionTo = function(status) {
+  return this.checkTransition(status) === null;
+};
+
+orderSchema.methods.canBeCancelled = function() {
+  return this.canTransitionTo('cancelled');
+};
+
+orderSchema.methods.canBeRefunded = function() {
+  return this.canTransitionTo('refunded');
+};
+
+/**
+ * What is left to refund of the order: what was paid, less what earlier
+ * refunds paid or owe
+ * @returns {number} Refundable amount
+ */
+orderSchema.methods.getRefundableAmount = function() {
+  if (!PAID_STATUSES.includes(this.paymentStatus)) return 0;
+  const paid = this.total - (this.balanceDue || 0);
+  return Math.max(Math.round((paid - (this.refundedTotal || 0)) * 100) / 100, 0);
+};
+
+orderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+orderSchema.statics.REFUND_REASONS = REFUND_REASONS;
+orderSchema.statics.REFUND_METHODS = REFUND_METHODS;
+
+// Static method to generate order number; taken in the session that saves
+// the order, a failed checkout leaves no gap in the sequence
+orderSchema.statics.generateOrderNumber = function(options = {}) {
+  return Sequence.next('order', options);
 };
 
 // Add static method for filtering orders
@@ -188,4 +445,8 @@ orderSchema.statics.findWithFilters = function(filters = {}) {
   return query.populate('items.productId');
 };
 
+orderSchema.index({ 'stockReservation.status': 1, 'stockReservation.expiresAt': 1 });
+// Per-customer promotion limits count a customer's orders with each promotion
+orderSchema.index({ 'promotions.promotion': 1, 'customerInfo.email': 1 });
+
 module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
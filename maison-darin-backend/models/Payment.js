@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const Sequence = require('./Sequence');
+
+// How long a pending payment (and the stock held for its order) stays open
+const PAYMENT_EXPIRY_MINUTES = 30;
+
+const getDefaultExpiry = (from = new Date()) => new Date(from.getTime() + PAYMENT_EXPIRY_MINUTES * 60 * 1000);
 
 const paymentSchema = new mongoose.Schema({
   paymentId: {
@@ -207,10 +213,7 @@ const paymentSchema = new mongoose.Schema({
   completedAt: Date,
   expiresAt: {
     type: Date,
-    default: function() {
-      // Payment expires in 30 minutes by default
-      return new Date(Date.now() + 30 * 60 * 1000);
-    }
+    default: () => getDefaultExpiry()
   },
   createdAt: {
     type: Date,
@@ -236,6 +239,27 @@ paymentSchema.pre('save', function(next) {
   next();
 });
 
+// Keep the order's stock reservation in step with the payment's expiry, so stock is
+// released when the payment window closes rather than at a separately tracked time
+paymentSchema.pre('save', function(next) {
+  this.$locals.expiryChanged = this.isNew || this.isModified('expiresAt');
+  next();
+});
+
+paymentSchema.post('save', async function(doc) {
+  if (!doc.$locals.expiryChanged || doc.status !== 'pending' || !doc.expiresAt) {
+    return;
+  }
+
+  await mongoose.model('Order').updateOne(
+    { _id: doc.order, 'stockReservation.status': 'held' },
+    { $set: { 'stockReservation.expiresAt': doc.expiresAt } }
+  );
+});
+
+// Static method to get when a payment started now expires
+paymentSchema.statics.getDefaultExpiry = getDefaultExpiry;
+
 // Static method to generate unique payment ID
 paymentSchema.statics.generatePaymentId = async function() {
   const prefix = 'PAY';
@@ -414,21 +438,27 @@ paymentSchema.methods.updateStatus = async function(newStatus, gatewayData = {})
   return await this.save();
 };
 
-// Instance method to process refund
-paymentSchema.methods.processRefund = async function(amount, reason, gatewayRefundId = null) {
-  if (this.status !== 'completed') {
+// Refunds that were paid or are still to be paid by hand
+const outstandingRefunds = payment => payment.refunds.reduce((sum, refund) => {
+  return refund.status !== 'failed' ? sum + refund.amount : sum;
+}, 0);
+
+// Instance method to process refund; an order refund passes its own number,
+// so the payment's refund and the order's share it
+paymentSchema.methods.processRefund = async function(amount, reason, gatewayRefundId = null, refundId = null) {
+  if (!['completed', 'partially_refunded'].includes(this.status)) {
     throw new Error('Can only refund completed payments');
   }
   
-  const totalRefunded = this.refunds.reduce((sum, refund) => {
-    return refund.status === 'completed' ? sum + refund.amount : sum;
-  }, 0);
+  const totalRefunded = outstandingRefunds(this);
   
   if (totalRefunded + amount > this.amount) {
     throw new Error('Refund amount exceeds payment amount');
   }
   
-  const refundId = await this.constructor.generatePaymentId();
+  if (!refundId) {
+    refundId = await Sequence.next('refund', { session: this.$session() });
+  }
   
   this.refunds.push({
     refundId,
@@ -455,7 +485,7 @@ paymentSchema.methods.isExpired = function() {
 };
 
 // Instance method to extend expiration
-paymentSchema.methods.extendExpiration = function(minutes = 30) {
+paymentSchema.methods.extendExpiration = function(minutes = PAYMENT_EXPIRY_MINUTES) {
   if (this.status === 'pending') {
     this.expiresAt = new Date(Date.now() + minutes * 60 * 1000);
     return this.save();
@@ -477,8 +507,8 @@ paymentSchema.methods.getRefundedAmount = function() {
 
 // Instance method to get remaining refundable amount
 paymentSchema.methods.getRefundableAmount = function() {
-  if (this.status !== 'completed') return 0;
-  return this.amount - this.getRefundedAmount();
+  if (!['completed', 'partially_refunded'].includes(this.status)) return 0;
+  return this.amount - outstandingRefunds(this);
 };
 
 // Indexes for better query performance
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// Append-only record of every change to what a product costs: edits of its
+// regular price and sales scheduled, changed or cancelled on it
+const priceHistorySchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  // Set when the change concerns one size of a product sold in several sizes
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  size: {
+    type: String,
+    trim: true
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'price_rule'],
+    required: [true, 'Price change source is required']
+  },
+  action: {
+    type: String,
+    enum: ['created', 'changed', 'sale_scheduled', 'sale_updated', 'sale_cancelled'],
+    required: [true, 'Price change action is required']
+  },
+  previousPrice: {
+    type: Number,
+    min: 0
+  },
+  price: {
+    type: Number,
+    required: [true, 'Price is required'],
+    min: 0
+  },
+  // Sale window, for changes made by a price rule
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceRule'
+  },
+  startsAt: {
+    type: Date
+  },
+  endsAt: {
+    type: Date
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+priceHistorySchema.index({ product: 1, createdAt: -1 });
+priceHistorySchema.index({ rule: 1 });
+
+// Static method to record regular price edits from a product's prices before and after a save
+priceHistorySchema.statics.recordProductChanges = async function(product, previous, changedBy) {
+  const entries = [];
+  const action = previous ? 'changed' : 'created';
+  const hasVariants = product.variants && product.variants.length > 0;
+
+  // The listing price of a product sold in sizes is derived from its variants
+  if (!hasVariants && (!previous || previous.price !== product.price)) {
+    entries.push({
+      product: product._id,
+      source: 'manual',
+      action,
+      previousPrice: previous ? previous.price : undefined,
+      price: product.price,
+      changedBy
+    });
+  }
+
+  for (const variant of product.variants || []) {
+    const previousPrice = previous ? previous.variants[String(variant._id)] : undefined;
+    if (previousPrice === variant.price) {
+      continue;
+    }
+
+    entries.push({
+      product: product._id,
+      variant: variant._id,
+      size: variant.size,
+      source: 'manual',
+      action: previousPrice === undefined ? 'created' : 'changed',
+      previousPrice,
+      price: variant.price,
+      changedBy
+    });
+  }
+
+  if (entries.length > 0) {
+    await this.insertMany(entries);
+  }
+
+  return entries.length;
+};
+
+module.exports = mongoose.model('PriceHistory', priceHistorySchema);
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+const roundPrice = value => Math.round(value * 100) / 100;
+
+const priceRuleSchema = new mongoose.Schema({
+  name: {
+    en: {
+      type: String,
+      required: [true, 'English rule name is required'],
+      trim: true,
+      maxlength: [100, 'English rule name cannot exceed 100 characters']
+    },
+    ar: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Arabic rule name cannot exceed 100 characters']
+    }
+  },
+  // A rule discounts either one product or every product in a category and its subcategories
+  scope: {
+    type: String,
+    enum: ['product', 'category'],
+    required: [true, 'Rule scope is required']
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: [true, 'Discount type is required']
+  },
+  value: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0.01, 'Discount value must be greater than 0']
+  },
+  startsAt: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endsAt: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  // Lets an admin pause a sale without deleting it
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+priceRuleSchema.index({ active: 1, startsAt: 1, endsAt: 1 });
+priceRuleSchema.index({ product: 1 });
+priceRuleSchema.index({ category: 1 });
+
+priceRuleSchema.pre('validate', function(next) {
+  if (this.scope === 'product' && !this.product) {
+    this.invalidate('product', 'Invalid price rule: a product is required');
+  }
+  if (this.scope === 'category' && !this.category) {
+    this.invalidate('category', 'Invalid price rule: a category is required');
+  }
+  if (this.discountType === 'percentage' && this.value >= 100) {
+    this.invalidate('value', 'Invalid price rule: a percentage discount must be below 100');
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'Invalid price rule: the end date must be after the start date');
+  }
+  next();
+});
+
+// Static method to discount a price by a rule (document or lean object)
+priceRuleSchema.statics.applyDiscount = function(rule, price) {
+  const discounted = rule.discountType === 'percentage'
+    ? price * (1 - rule.value / 100)
+    : price - rule.value;
+
+  return Math.max(0, roundPrice(discounted));
+};
+
+// Static method to find the rules running at a moment for some products
+priceRuleSchema.statics.findActive = function({ productIds = [], categories = [] }, at = new Date()) {
+  return this.find({
+    active: true,
+    startsAt: { $lte: at },
+    endsAt: { $gt: at },
+    $or: [
+      { scope: 'product', product: { $in: productIds } },
+      { scope: 'category', category: { $in: categories } }
+    ]
+  });
+};
+
+// Static method to build the query for rules in a lifecycle state
+priceRuleSchema.statics.statusQuery = function(status, at = new Date()) {
+  switch (status) {
+    case 'running':
+      return { active: true, startsAt: { $lte: at }, endsAt: { $gt: at } };
+    case 'scheduled':
+      return { active: true, startsAt: { $gt: at } };
+    case 'ended':
+      return { endsAt: { $lte: at } };
+    case 'paused':
+      return { active: false, endsAt: { $gt: at } };
+    default:
+      return {};
+  }
+};
+
+module.exports = mongoose.model('PriceRule', priceRuleSchema);
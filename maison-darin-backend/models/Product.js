@@ -1,4 +1,98 @@
 const mongoose = require('mongoose');
+const TextSearch = require('../utils/textSearch');
+const PriceHistory = require('./PriceHistory');
+const StockMovement = require('./StockMovement');
+const Category = require('./Category');
+
+// Size format shared by products and their variants (e.g. "50ml", "100ml", "3.4oz")
+const SIZE_FORMAT = /^\d+(\.\d+)?(ml|oz|g)$/i;
+
+// Canonical concentration codes, strongest first, with their display labels
+const CONCENTRATIONS = {
+  extrait: { en: 'Extrait de Parfum', ar: 'خلاصة العطر' },
+  parfum: { en: 'Parfum', ar: 'بارفان' },
+  edp: { en: 'Eau de Parfum', ar: 'ماء العطر' },
+  edt: { en: 'Eau de Toilette', ar: 'ماء التواليت' },
+  edc: { en: 'Eau de Cologne', ar: 'ماء الكولونيا' }
+};
+
+const productVariantSchema = new mongoose.Schema({
+  size: {
+    type: String,
+    required: [true, 'Variant size is required'],
+    trim: true,
+    validate: {
+      validator: function(value) {
+        return SIZE_FORMAT.test(value);
+      },
+      message: 'Variant size must be in format like "50ml", "100ml", or "3.4oz"'
+    }
+  },
+  sku: {
+    type: String,
+    required: [true, 'Variant SKU is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [64, 'SKU cannot exceed 64 characters']
+  },
+  price: {
+    type: Number,
+    required: [true, 'Variant price is required'],
+    min: [0, 'Variant price cannot be negative']
+  },
+  compareAtPrice: {
+    type: Number,
+    min: [0, 'Compare-at price cannot be negative'],
+    validate: {
+      validator: function(value) {
+        return value === undefined || value === null || value >= this.price;
+      },
+      message: 'Compare-at price must be greater than or equal to the variant price'
+    }
+  },
+  stock: {
+    type: Number,
+    default: 0,
+    min: [0, 'Variant stock cannot be negative'],
+    validate: {
+      validator: function(value) {
+        return Number.isInteger(value) && value >= 0;
+      },
+      message: 'Variant stock must be a non-negative integer'
+    }
+  },
+  barcode: {
+    type: String,
+    trim: true,
+    maxlength: [64, 'Barcode cannot exceed 64 characters']
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+});
+
+// One fragrance (or one size of it) inside a gift set or discovery bundle
+const bundleComponentSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Component product is required']
+  },
+  // Required when the component product is sold in variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [1, 'Component quantity must be at least 1'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Component quantity must be a whole number'
+    }
+  }
+}, { _id: false });
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -58,20 +152,25 @@ const productSchema = new mongoose.Schema({
     trim: true,
     validate: {
       validator: function(value) {
-        // Validate size format (e.g., "50ml", "100ml", "3.4oz")
-        return /^\d+(\.\d+)?(ml|oz|g)$/i.test(value);
+        // Validate size format (e.g., "50ml", "100ml", "3.4oz"); bundles describe
+        // their contents freely (e.g. "5 x 10ml") and gift cards have no size
+        return this.type === 'bundle' || this.type === 'gift_card' || SIZE_FORMAT.test(value);
       },
       message: 'Size must be in format like "50ml", "100ml", or "3.4oz"'
     }
   },
-  category: {
-    type: String,
-    required: [true, 'Category is required'],
-    enum: {
-      values: ['floral', 'oriental', 'fresh', 'woody', 'citrus', 'spicy', 'aquatic', 'gourmand'],
-      message: 'Category must be one of: floral, oriental, fresh, woody, citrus, spicy, aquatic, gourmand'
-    },
-    lowercase: true
+  // A product can sit in several categories, at any level of the category tree
+  categories: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
+    }],
+    validate: {
+      validator: function(value) {
+        return Array.isArray(value) && value.length > 0;
+      },
+      message: 'At least one category is required'
+    }
   },
   images: [{
     url: {
@@ -104,6 +203,18 @@ const productSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Aggregated from approved reviews by reviewService; not edited directly
+  averageRating: {
+    type: Number,
+    default: 0,
+    min: [0, 'Average rating cannot be negative'],
+    max: [5, 'Average rating cannot exceed 5']
+  },
+  reviewCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Review count cannot be negative']
+  },
   inStock: {
     type: Boolean,
     default: true
@@ -119,6 +230,87 @@ const productSchema = new mongoose.Schema({
       message: 'Stock must be a non-negative integer'
     }
   },
+  // Stock level at or below which a low-stock alert is raised; no alerts when unset
+  lowStockThreshold: {
+    type: Number,
+    default: null,
+    min: [0, 'Low stock threshold cannot be negative'],
+    validate: {
+      validator: function(value) {
+        return value === null || Number.isInteger(value);
+      },
+      message: 'Low stock threshold must be an integer'
+    }
+  },
+  // When the current low-stock alert was raised; cleared once stock recovers
+  // so the next crossing alerts again
+  lowStockAlertedAt: {
+    type: Date
+  },
+  // Set by stock reconciliation when the stock no longer matches the sum of its
+  // ledger movements; cleared once they agree again
+  stockDrift: {
+    ledgerStock: { type: Number },
+    difference: { type: Number },
+    detectedAt: { type: Date }
+  },
+  // Upcoming launch sold ahead of its release. Pre-ordered units take no stock
+  // until the release job ships them; it turns the mode off on the release date.
+  preOrder: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    releaseDate: {
+      type: Date
+    },
+    // Most units that can be on pre-order at once; no limit when unset
+    cap: {
+      type: Number,
+      default: null,
+      min: [1, 'Pre-order cap must be at least 1']
+    },
+    // Share of the price paid at checkout, the rest on release; the full price when unset
+    depositPercent: {
+      type: Number,
+      default: null,
+      min: [1, 'Deposit must be at least 1%'],
+      max: [100, 'Deposit cannot exceed 100%']
+    },
+    // Units ordered and not yet released, kept by adjustPreOrders
+    reserved: {
+      type: Number,
+      default: 0,
+      min: [0, 'Reserved pre-orders cannot be negative']
+    },
+    releasedAt: {
+      type: Date
+    }
+  },
+  // Bundles are sold at their own price; their stock is derived from the components.
+  // Gift cards are digital: their price is the card's value and orders take no stock.
+  type: {
+    type: String,
+    enum: {
+      values: ['single', 'bundle', 'gift_card'],
+      message: 'Product type must be single, bundle or gift_card'
+    },
+    default: 'single'
+  },
+  components: {
+    type: [bundleComponentSchema],
+    default: undefined
+  },
+  variants: {
+    type: [productVariantSchema],
+    validate: {
+      validator: function(variants) {
+        const skus = variants.map(variant => variant.sku);
+        return new Set(skus).size === skus.length;
+      },
+      message: 'Variant SKUs must be unique within a product'
+    }
+  },
   concentration: {
     en: {
       type: String,
@@ -131,6 +323,11 @@ const productSchema = new mongoose.Schema({
       maxlength: [100, 'Arabic concentration cannot exceed 100 characters']
     }
   },
+  // Derived from the concentration text; used for catalog filtering
+  concentrationCode: {
+    type: String,
+    enum: Object.keys(CONCENTRATIONS)
+  },
   notes: {
     top: {
       en: [{
@@ -195,6 +392,11 @@ const productSchema = new mongoose.Schema({
       }
     }
   },
+  // Normalized, stemmed tokens from every searchable field in both languages
+  searchKeywords: {
+    type: [String],
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -205,25 +407,254 @@ const productSchema = new mongoose.Schema({
   }
 });
 
+// Paths whose changes require the search keywords to be rebuilt
+const SEARCHABLE_PATHS = ['name', 'description', 'longDescription', 'concentration', 'notes', 'categories', 'variants'];
+
 // Update the updatedAt field before saving
 productSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   next();
 });
 
+// Keep product-level price, size and stock in sync with variants before validation
+productSchema.pre('validate', function(next) {
+  if (this.variants && this.variants.length > 0) {
+    this.syncFromVariants();
+  }
+  next();
+});
+
+// Check bundle composition and derive the bundle's stock from its components
+productSchema.pre('validate', async function() {
+  if (this.type !== 'bundle') {
+    return;
+  }
+
+  if (!this.components || this.components.length === 0) {
+    this.invalidate('components', 'Invalid bundle: at least one component is required');
+    return;
+  }
+  if (this.hasVariants()) {
+    this.invalidate('variants', 'Invalid bundle: a bundle cannot have variants');
+    return;
+  }
+
+  await this.syncFromComponents();
+});
+
+// A pre-order needs a release date, and bundles follow their components
+productSchema.pre('validate', function(next) {
+  if (this.preOrder && this.preOrder.enabled) {
+    if (this.type === 'bundle') {
+      this.invalidate('preOrder.enabled', 'Invalid pre-order: bundles cannot be pre-ordered');
+    } else if (!this.preOrder.releaseDate) {
+      this.invalidate('preOrder.releaseDate', 'Release date is required for pre-orders');
+    }
+  }
+  next();
+});
+
+// A gift card is worth its price, so it comes in one value and is never pre-ordered
+productSchema.pre('validate', function(next) {
+  if (this.type === 'gift_card') {
+    if (this.hasVariants()) {
+      this.invalidate('variants', 'Invalid gift card: a gift card cannot have variants');
+    }
+    if (this.preOrder && this.preOrder.enabled) {
+      this.invalidate('preOrder.enabled', 'Invalid pre-order: gift cards cannot be pre-ordered');
+    }
+  }
+  next();
+});
+
+// Derive the concentration code from the free-text concentration
+productSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('concentration')) {
+    this.concentrationCode = this.constructor.detectConcentrationCode(this.concentration);
+  }
+  next();
+});
+
 // Validate that inStock matches stock availability
 productSchema.pre('save', function(next) {
-  if (this.stock === 0) {
+  // Gift cards are issued on demand and never run out
+  if (this.stock === 0 && this.type !== 'gift_card') {
     this.inStock = false;
   }
   next();
 });
 
+// Remember stock changes so bundles containing this product can be refreshed after save
+productSchema.pre('save', function(next) {
+  this.$locals.componentStockChanged = !this.isNew && this.type !== 'bundle' &&
+    (this.isModified('stock') || this.isModified('variants'));
+  next();
+});
+
+productSchema.post('save', async function(doc) {
+  if (doc.$locals.componentStockChanged) {
+    await doc.constructor.refreshBundleStock(doc._id);
+  }
+});
+
+// Remember the prices a product was loaded with so price edits can be recorded
+productSchema.post('init', function(doc) {
+  doc.$locals.loadedPrices = doc.getPriceSnapshot();
+});
+
+productSchema.pre('save', function(next) {
+  this.$locals.pricesChanged = this.isNew || this.isModified('price') || this.isModified('variants');
+  next();
+});
+
+// Remember the stock a product was loaded with so every stock change lands in the ledger
+productSchema.post('init', function(doc) {
+  doc.$locals.loadedStock = doc.getStockSnapshot();
+});
+
+productSchema.pre('save', function(next) {
+  // A bundle's stock is derived from its components, which carry the movements
+  this.$locals.stockChanged = this.type !== 'bundle' &&
+    (this.isNew || this.isModified('stock') || this.isModified('variants'));
+  next();
+});
+
+productSchema.post('save', async function(doc) {
+  if (!doc.$locals.stockChanged) {
+    return;
+  }
+
+  // Why the stock moved: set by the caller in $locals.stockMovement, a manual edit otherwise
+  const details = { performedBy: doc.$locals.changedBy, ...doc.$locals.stockMovement };
+  try {
+    await StockMovement.recordProductChanges(doc, doc.$locals.loadedStock, details);
+  } catch (error) {
+    console.error(`Failed to record stock movement for product ${doc._id}:`, error.message);
+  }
+  doc.$locals.loadedStock = doc.getStockSnapshot();
+});
+
+productSchema.post('save', async function(doc) {
+  if (!doc.$locals.pricesChanged) {
+    return;
+  }
+
+  // Price history is an audit trail; failing to write it must not undo the save
+  try {
+    await PriceHistory.recordProductChanges(doc, doc.$locals.loadedPrices, doc.$locals.changedBy);
+  } catch (error) {
+    console.error(`Failed to record price history for product ${doc._id}:`, error.message);
+  }
+  doc.$locals.loadedPrices = doc.getPriceSnapshot();
+});
+
+// Rebuild search keywords when searchable content changes; category names are
+// looked up since the product only stores their IDs
+productSchema.pre('save', async function() {
+  if (this.isNew || SEARCHABLE_PATHS.some(path => this.isModified(path))) {
+    const categories = await Category.find({ _id: { $in: this.categories } }).select('name').lean();
+    this.searchKeywords = this.constructor.buildSearchKeywords(this, categories);
+  }
+});
+
+// Instance method to derive listing price, size and total stock from variants
+productSchema.methods.syncFromVariants = function() {
+  const defaultVariant = this.getDefaultVariant();
+  
+  this.price = Math.min(...this.variants.map(variant => variant.price));
+  this.size = defaultVariant.size;
+  this.stock = this.variants.reduce((sum, variant) => sum + variant.stock, 0);
+  this.inStock = this.stock > 0;
+};
+
+// Instance method to validate bundle components and derive the bundle's stock:
+// the number of complete sets the component stock can make
+productSchema.methods.syncFromComponents = async function() {
+  const ids = this.components.map(component => component.product);
+  const products = await this.constructor.find({ _id: { $in: ids } });
+  const byId = new Map(products.map(product => [String(product._id), product]));
+
+  let sets = Infinity;
+
+  for (const component of this.components) {
+    const product = byId.get(String(component.product));
+
+    if (!product) {
+      throw new Error(`Invalid bundle: component product ${component.product} does not exist`);
+    }
+    if (this._id && String(product._id) === String(this._id)) {
+      throw new Error('Invalid bundle: a bundle cannot contain itself');
+    }
+    if (product.type === 'bundle') {
+      throw new Error('Invalid bundle: a bundle cannot contain another bundle');
+    }
+
+    let available = product.stock;
+    if (product.hasVariants()) {
+      const variant = product.getVariant(component.variant);
+      if (!variant) {
+        throw new Error(`Invalid bundle: choose a size of ${product.name.en}`);
+      }
+      available = variant.stock;
+    } else if (component.variant) {
+      throw new Error(`Invalid bundle: ${product.name.en} is not sold in sizes`);
+    }
+
+    sets = Math.min(sets, Math.floor(available / (component.quantity || 1)));
+  }
+
+  this.stock = Number.isFinite(sets) ? sets : 0;
+  this.inStock = this.stock > 0;
+};
+
+// Instance method to check whether the product is sold in variants
+productSchema.methods.hasVariants = function() {
+  return Array.isArray(this.variants) && this.variants.length > 0;
+};
+
+// Instance method to get a variant by ID
+productSchema.methods.getVariant = function(variantId) {
+  if (!variantId || !this.hasVariants()) {
+    return null;
+  }
+  
+  return this.variants.id(variantId) || null;
+};
+
+// Instance method to get the default variant (first one if none is flagged)
+productSchema.methods.getDefaultVariant = function() {
+  if (!this.hasVariants()) {
+    return null;
+  }
+  
+  return this.variants.find(variant => variant.isDefault) || this.variants[0];
+};
+
 // Instance method to update stock
-productSchema.methods.updateStock = async function(quantity) {
+productSchema.methods.updateStock = async function(quantity, variantId = null) {
   if (typeof quantity !== 'number' || !Number.isInteger(quantity)) {
     throw new Error('Quantity must be an integer');
   }
+
+  if (this.type === 'bundle') {
+    throw new Error('Bundle stock is derived from its components');
+  }
+  
+  if (variantId) {
+    const variant = this.getVariant(variantId);
+    if (!variant) {
+      throw new Error('Variant not found');
+    }
+    
+    const newVariantStock = variant.stock + quantity;
+    if (newVariantStock < 0) {
+      throw new Error('Insufficient stock');
+    }
+    
+    variant.stock = newVariantStock;
+    this.syncFromVariants();
+    return await this.save();
+  }
   
   const newStock = this.stock + quantity;
   if (newStock < 0) {
@@ -235,14 +666,154 @@ productSchema.methods.updateStock = async function(quantity) {
   return await this.save();
 };
 
+// Instance method to check whether the product takes pre-orders
+productSchema.methods.isPreOrderable = function() {
+  return !!(this.preOrder && this.preOrder.enabled);
+};
+
 // Instance method to check availability
-productSchema.methods.isAvailable = function(quantity = 1) {
+productSchema.methods.isAvailable = function(quantity = 1, variantId = null) {
+  if (variantId) {
+    const variant = this.getVariant(variantId);
+    return !!variant && variant.stock >= quantity;
+  }
+  
   return this.inStock && this.stock >= quantity;
 };
 
-// Static method to find products by category
-productSchema.statics.findByCategory = function(category) {
-  return this.find({ category: category.toLowerCase() });
+// Instance method to capture the regular price and variant prices, keyed by variant ID
+productSchema.methods.getPriceSnapshot = function() {
+  return {
+    price: this.price,
+    variants: Object.fromEntries((this.variants || []).map(variant => [String(variant._id), variant.price]))
+  };
+};
+
+// Instance method to get stock levels keyed by variant ID ('' when not sold in sizes)
+productSchema.methods.getStockSnapshot = function() {
+  if (this.variants && this.variants.length > 0) {
+    return Object.fromEntries(this.variants.map(variant => [String(variant._id), variant.stock]));
+  }
+  return { '': this.stock };
+};
+
+// Instance method to get the unit price for a product or one of its variants
+productSchema.methods.getUnitPrice = function(variantId = null) {
+  const variant = this.getVariant(variantId);
+  return variant ? variant.price : this.price;
+};
+
+// Static method to move stock with a single conditional update, so concurrent orders
+// can't both take the last unit, and record the movement in the ledger. Bundles are
+// refreshed separately (refreshBundleStock) since their stock is derived.
+// Options: variantId, session, and the movement's type, order, sampleRequest,
+// performedBy and reason.
+productSchema.statics.adjustStock = async function(productId, change, options = {}) {
+  const { variantId = null, session = null, type = 'manual_adjustment', ...details } = options;
+
+  if (!Number.isInteger(change) || change === 0) {
+    throw new Error('Quantity must be a non-zero integer');
+  }
+
+  const available = change < 0 ? { $gte: -change } : { $exists: true };
+  const filter = variantId
+    ? { _id: productId, variants: { $elemMatch: { _id: variantId, stock: available } } }
+    : { _id: productId, type: { $ne: 'bundle' }, 'variants.0': { $exists: false }, stock: available };
+  const update = variantId
+    ? { $inc: { 'variants.$.stock': change, stock: change } }
+    : { $inc: { stock: change } };
+  if (change > 0) {
+    update.$set = { inStock: true };
+  }
+
+  const product = await this.findOneAndUpdate(filter, update, {
+    new: true,
+    session,
+    projection: { stock: 1, variants: 1 }
+  });
+  if (!product) {
+    throw new Error(change < 0 ? 'Insufficient stock' : 'Product not found');
+  }
+
+  if (change < 0) {
+    await this.updateOne({ _id: productId, stock: { $lte: 0 } }, { $set: { inStock: false } }, { session });
+  }
+
+  const variant = variantId ? product.variants.id(variantId) : null;
+  const newStock = variant ? variant.stock : product.stock;
+  await StockMovement.create([{
+    ...details,
+    product: productId,
+    variant: variantId || undefined,
+    size: variant ? variant.size : undefined,
+    type,
+    quantity: change,
+    previousStock: newStock - change,
+    newStock
+  }], { session });
+
+  return product;
+};
+
+// Static method to reserve (positive change) or give back (negative) pre-order
+// units. A reservation only applies while the product takes pre-orders and
+// stays within its cap; pass a session to run it in a transaction.
+productSchema.statics.adjustPreOrders = async function(productId, change, { session = null } = {}) {
+  if (!Number.isInteger(change) || change === 0) {
+    throw new Error('Quantity must be a non-zero integer');
+  }
+
+  const filter = change > 0
+    ? {
+      _id: productId,
+      'preOrder.enabled': true,
+      $or: [
+        { 'preOrder.cap': null },
+        { $expr: { $lte: [{ $add: ['$preOrder.reserved', change] }, '$preOrder.cap'] } }
+      ]
+    }
+    : { _id: productId };
+  // Giving back never takes the count below zero
+  const update = change > 0
+    ? { $inc: { 'preOrder.reserved': change } }
+    : [{ $set: { 'preOrder.reserved': { $max: [0, { $add: [{ $ifNull: ['$preOrder.reserved', 0] }, change] }] } } }];
+
+  const product = await this.findOneAndUpdate(filter, update, {
+    new: true,
+    session,
+    projection: { preOrder: 1 }
+  });
+  if (!product) {
+    throw new Error(change > 0 ? 'Pre-order limit reached' : 'Product not found');
+  }
+
+  return product;
+};
+
+// Static method to re-derive the stock of every bundle containing a product
+productSchema.statics.refreshBundleStock = async function(productId) {
+  const bundles = await this.find({ type: 'bundle', 'components.product': productId });
+
+  for (const bundle of bundles) {
+    try {
+      await bundle.syncFromComponents();
+    } catch (error) {
+      // A bundle whose components are no longer valid cannot be sold
+      bundle.stock = 0;
+      bundle.inStock = false;
+    }
+    await this.updateOne(
+      { _id: bundle._id },
+      { $set: { stock: bundle.stock, inStock: bundle.inStock } }
+    );
+  }
+
+  return bundles.length;
+};
+
+// Static method to find products in a category or any of its subcategories
+productSchema.statics.findByCategory = async function(categoryId) {
+  return this.find({ categories: { $in: await Category.getSubtreeIds(categoryId) } });
 };
 
 // Static method to find featured products
@@ -252,36 +823,88 @@ productSchema.statics.findFeatured = function(limit = 10) {
     .sort({ createdAt: -1 });
 };
 
-// Static method to search products in both languages
-productSchema.statics.searchProducts = function(query, language = 'en') {
-  const searchRegex = new RegExp(query, 'i');
+// Static method to map free-text concentration (either language) to a code
+productSchema.statics.detectConcentrationCode = function(concentration) {
+  if (!concentration) {
+    return undefined;
+  }
   
-  if (language === 'ar') {
-    return this.find({
-      $or: [
-        { 'name.ar': searchRegex },
-        { 'description.ar': searchRegex },
-        { 'longDescription.ar': searchRegex }
-      ]
-    });
-  } else {
-    return this.find({
-      $or: [
-        { 'name.en': searchRegex },
-        { 'description.en': searchRegex },
-        { 'longDescription.en': searchRegex }
-      ]
-    });
+  const tokens = TextSearch.tokenize(`${concentration.en || ''} ${concentration.ar || ''}`);
+  if (tokens.includes('cologne') || tokens.includes('كولونيا')) {
+    tokens.push('edc');
+  }
+  
+  // "Eau de Parfum" tokenizes to "edp", so plain "parfum" is only checked last
+  const parfumForms = TextSearch.expandToken('parfum');
+  return ['extrait', 'edp', 'edt', 'edc'].find(code => tokens.includes(code)) ||
+    (tokens.some(token => parfumForms.includes(token)) ? 'parfum' : undefined);
+};
+
+// Static method to get concentration codes with their labels
+productSchema.statics.getConcentrations = function() {
+  return Object.entries(CONCENTRATIONS).map(([value, label]) => ({ value, label }));
+};
+
+// Static method to collect the searchable text of a product, grouped by field.
+// Category names come from `categories` (or the product's populated categories).
+productSchema.statics.getSearchFields = function(product, categories = product.categories) {
+  const bilingual = value => (value ? [value.en, value.ar].filter(Boolean) : []);
+  const notes = product.notes || {};
+  
+  return {
+    name: bilingual(product.name),
+    notes: ['top', 'middle', 'base'].flatMap(level => [
+      ...((notes[level] && notes[level].en) || []),
+      ...((notes[level] && notes[level].ar) || [])
+    ]),
+    concentration: bilingual(product.concentration),
+    category: (categories || []).flatMap(category => (category && category.name ? bilingual(category.name) : [])),
+    sku: (product.variants || []).map(variant => variant.sku).filter(Boolean),
+    description: [...bilingual(product.description), ...bilingual(product.longDescription)]
+  };
+};
+
+// Static method to build the keyword list stored on a product for search
+productSchema.statics.buildSearchKeywords = function(product, categories) {
+  const fields = this.getSearchFields(product, categories);
+  const tokens = Object.values(fields).flatMap(texts => texts.flatMap(text => TextSearch.tokenize(text)));
+  return [...new Set(tokens)];
+};
+
+// Static method to build a candidate filter for a search query.
+// Every query term (or one of its cross-language synonyms) must match the start
+// of a keyword; terms long enough to allow typos only anchor on their first letters.
+productSchema.statics.buildSearchFilter = function(query) {
+  const terms = TextSearch.tokenize(query);
+  
+  if (terms.length === 0) {
+    return null;
   }
+  
+  return {
+    $and: terms.map(term => ({
+      searchKeywords: {
+        $in: TextSearch.expandToken(term).map(form => {
+          const anchor = TextSearch.allowedTypos(form.length) > 0 ? form.slice(0, 2) : form;
+          return new RegExp(`^${TextSearch.escapeRegex(anchor)}`);
+        })
+      }
+    }))
+  };
+};
+
+// Static method to search products in both languages
+productSchema.statics.searchProducts = function(query) {
+  return this.find(this.buildSearchFilter(query) || { _id: null });
 };
 
 // Static method to find products with filters
-productSchema.statics.findWithFilters = function(filters = {}) {
+productSchema.statics.findWithFilters = async function(filters = {}) {
   const query = {};
   
-  // Category filter
+  // Category filter, including subcategories
   if (filters.category) {
-    query.category = filters.category.toLowerCase();
+    query.categories = { $in: await Category.getSubtreeIds(filters.category) };
   }
   
   // Price range filter
@@ -308,78 +931,21 @@ productSchema.statics.findWithFilters = function(filters = {}) {
   return this.find(query);
 };
 
-// Static method to get all categories with translations
-productSchema.statics.getCategories = function() {
-  const categories = [
-    {
-      value: 'floral',
-      label: {
-        en: 'Floral',
-        ar: 'زهري'
-      }
-    },
-    {
-      value: 'oriental',
-      label: {
-        en: 'Oriental',
-        ar: 'شرقي'
-      }
-    },
-    {
-      value: 'fresh',
-      label: {
-        en: 'Fresh',
-        ar: 'منعش'
-      }
-    },
-    {
-      value: 'woody',
-      label: {
-        en: 'Woody',
-        ar: 'خشبي'
-      }
-    },
-    {
-      value: 'citrus',
-      label: {
-        en: 'Citrus',
-        ar: 'حمضي'
-      }
-    },
-    {
-      value: 'spicy',
-      label: {
-        en: 'Spicy',
-        ar: 'حار'
-      }
-    },
-    {
-      value: 'aquatic',
-      label: {
-        en: 'Aquatic',
-        ar: 'مائي'
-      }
-    },
-    {
-      value: 'gourmand',
-      label: {
-        en: 'Gourmand',
-        ar: 'حلو'
-      }
-    }
-  ];
-  
-  return Promise.resolve(categories);
-};
-
 // Indexes for better query performance
-productSchema.index({ category: 1 });
+productSchema.index({ categories: 1 });
 productSchema.index({ price: 1 });
 productSchema.index({ inStock: 1 });
 productSchema.index({ featured: 1 });
 productSchema.index({ createdAt: -1 });
-productSchema.index({ 'name.en': 'text', 'description.en': 'text', 'longDescription.en': 'text' });
-productSchema.index({ 'name.ar': 'text', 'description.ar': 'text', 'longDescription.ar': 'text' });
+productSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true });
+productSchema.index({ searchKeywords: 1 });
+productSchema.index({ concentrationCode: 1 });
+productSchema.index({ type: 1 });
+productSchema.index({ 'components.product': 1 });
+productSchema.index({ averageRating: -1, reviewCount: -1 });
+productSchema.index({ 'notes.top.en': 1 });
+productSchema.index({ 'notes.middle.en': 1 });
+productSchema.index({ 'notes.base.en': 1 });
 
 const Product = mongoose.model('Product', productSchema);
 
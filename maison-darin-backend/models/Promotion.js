@@ -0,0 +1,213 @@
+const mongoose = require('mongoose');
+
+const roundPrice = value => Math.round(value * 100) / 100;
+
+const CUSTOMER_TIERS = ['bronze', 'silver', 'gold', 'platinum'];
+
+const promotionSchema = new mongoose.Schema({
+  name: {
+    en: {
+      type: String,
+      required: [true, 'English promotion name is required'],
+      trim: true,
+      maxlength: [100, 'English promotion name cannot exceed 100 characters']
+    },
+    ar: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Arabic promotion name cannot exceed 100 characters']
+    }
+  },
+  // A promotion with a code is a coupon; without one it applies to every order that qualifies
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [30, 'Promotion code cannot exceed 30 characters'],
+    match: [/^[A-Z0-9_-]+$/, 'Promotion code can only contain letters, numbers, dashes and underscores']
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed', 'free_shipping', 'buy_x_get_y'],
+    required: [true, 'Promotion type is required']
+  },
+  // Percentage off, or amount off the order, for those types
+  value: {
+    type: Number,
+    min: [0.01, 'Promotion value must be greater than 0']
+  },
+  // Buy X get Y: of every buyQuantity + getQuantity units, the cheapest getQuantity are discounted
+  buyQuantity: {
+    type: Number,
+    min: [1, 'Buy quantity must be at least 1']
+  },
+  getQuantity: {
+    type: Number,
+    min: [1, 'Get quantity must be at least 1']
+  },
+  getDiscountPercent: {
+    type: Number,
+    min: [1, 'Get discount must be at least 1%'],
+    max: [100, 'Get discount cannot exceed 100%'],
+    default: 100
+  },
+  // Items subtotal the order must reach
+  minOrderValue: {
+    type: Number,
+    min: [0, 'Minimum order value cannot be negative'],
+    default: 0
+  },
+  // Which items are discounted; categories include their subcategories
+  appliesTo: {
+    type: String,
+    enum: ['all', 'products', 'categories'],
+    default: 'all'
+  },
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  // Empty means every customer
+  customerTiers: [{
+    type: String,
+    enum: CUSTOMER_TIERS
+  }],
+  // Items already on sale keep their sale price only
+  excludeSaleItems: {
+    type: Boolean,
+    default: false
+  },
+  // Stackable promotions combine with each other; any other promotion is used on its own
+  stackable: {
+    type: Boolean,
+    default: false
+  },
+  // Null means unlimited
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1'],
+    default: null
+  },
+  perCustomerLimit: {
+    type: Number,
+    min: [1, 'Per-customer limit must be at least 1'],
+    default: null
+  },
+  usedCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  startsAt: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  // Null means the promotion runs until it is paused or deleted
+  endsAt: {
+    type: Date,
+    default: null
+  },
+  // Lets an admin pause a promotion without deleting it
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+promotionSchema.index({ code: 1 }, { unique: true, sparse: true });
+promotionSchema.index({ active: 1, startsAt: 1, endsAt: 1 });
+
+promotionSchema.pre('validate', function(next) {
+  if (['percentage', 'fixed'].includes(this.type) && !this.value) {
+    this.invalidate('value', 'Invalid promotion: a discount value is required');
+  }
+  if (this.type === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'Invalid promotion: a percentage discount cannot exceed 100');
+  }
+  if (this.type === 'buy_x_get_y' && (!this.buyQuantity || !this.getQuantity)) {
+    this.invalidate('buyQuantity', 'Invalid promotion: buy and get quantities are required');
+  }
+  if (this.appliesTo === 'products' && this.products.length === 0) {
+    this.invalidate('products', 'Invalid promotion: at least one product is required');
+  }
+  if (this.appliesTo === 'categories' && this.categories.length === 0) {
+    this.invalidate('categories', 'Invalid promotion: at least one category is required');
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'Invalid promotion: the end date must be after the start date');
+  }
+  next();
+});
+
+// Static method to compute the discount a promotion gives on the items it covers
+// (document or lean object); free shipping is accounted for separately
+promotionSchema.statics.calculateDiscount = function(promotion, items) {
+  const amount = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+  switch (promotion.type) {
+    case 'percentage':
+      return roundPrice(amount * Math.min(promotion.value, 100) / 100);
+    case 'fixed':
+      return roundPrice(Math.min(promotion.value, amount));
+    case 'buy_x_get_y': {
+      // The cheapest units are the ones given away
+      const units = items
+        .flatMap(item => Array(item.quantity).fill(item.price))
+        .sort((a, b) => a - b);
+      const groups = Math.floor(units.length / (promotion.buyQuantity + promotion.getQuantity));
+      const discounted = units.slice(0, groups * promotion.getQuantity);
+      const percent = promotion.getDiscountPercent || 100;
+      return roundPrice(discounted.reduce((sum, price) => sum + price, 0) * percent / 100);
+    }
+    default:
+      return 0;
+  }
+};
+
+// Static method to find the promotions running at a moment: every automatic one and,
+// when a code is given, the coupon with that code
+promotionSchema.statics.findRunning = function(code = null, at = new Date()) {
+  const codes = [{ code: null }];
+  if (code) {
+    codes.push({ code: String(code).trim().toUpperCase() });
+  }
+
+  return this.find({
+    active: true,
+    startsAt: { $lte: at },
+    $and: [
+      { $or: [{ endsAt: null }, { endsAt: { $gt: at } }] },
+      { $or: codes }
+    ]
+  });
+};
+
+// Static method to build the query for promotions in a lifecycle state
+promotionSchema.statics.statusQuery = function(status, at = new Date()) {
+  switch (status) {
+    case 'running':
+      return { active: true, startsAt: { $lte: at }, $or: [{ endsAt: null }, { endsAt: { $gt: at } }] };
+    case 'scheduled':
+      return { active: true, startsAt: { $gt: at } };
+    case 'ended':
+      return { endsAt: { $lte: at } };
+    case 'paused':
+      return { active: false, $or: [{ endsAt: null }, { endsAt: { $gt: at } }] };
+    default:
+      return {};
+  }
+};
+
+promotionSchema.statics.CUSTOMER_TIERS = CUSTOMER_TIERS;
+
+module.exports = mongoose.model('Promotion', promotionSchema);
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// How strongly an answer pulls towards (positive) or away from (negative) a trait
+const weight = {
+  type: Number,
+  default: 1,
+  min: [-5, 'Weight cannot be below -5'],
+  max: [5, 'Weight cannot exceed 5']
+};
+
+const quizAnswerSchema = new mongoose.Schema({
+  label: {
+    en: {
+      type: String,
+      required: [true, 'English answer label is required'],
+      trim: true,
+      maxlength: [200, 'English answer label cannot exceed 200 characters']
+    },
+    ar: {
+      type: String,
+      required: [true, 'Arabic answer label is required'],
+      trim: true,
+      maxlength: [200, 'Arabic answer label cannot exceed 200 characters']
+    }
+  },
+  // Matched against the English notes of a product, in any layer
+  notes: [{
+    _id: false,
+    name: {
+      type: String,
+      required: [true, 'Note name is required'],
+      trim: true,
+      lowercase: true,
+      maxlength: [100, 'Note name cannot exceed 100 characters']
+    },
+    weight
+  }],
+  // A category also covers its subcategories
+  categories: [{
+    _id: false,
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      required: [true, 'Category is required']
+    },
+    weight
+  }],
+  // Product concentration codes
+  concentrations: [{
+    _id: false,
+    code: {
+      type: String,
+      required: [true, 'Concentration is required'],
+      enum: ['extrait', 'parfum', 'edp', 'edt', 'edc']
+    },
+    weight
+  }]
+});
+
+const quizQuestionSchema = new mongoose.Schema({
+  question: {
+    en: {
+      type: String,
+      required: [true, 'English question is required'],
+      trim: true,
+      maxlength: [300, 'English question cannot exceed 300 characters']
+    },
+    ar: {
+      type: String,
+      required: [true, 'Arabic question is required'],
+      trim: true,
+      maxlength: [300, 'Arabic question cannot exceed 300 characters']
+    }
+  },
+  // Whether the customer may pick several answers
+  multiple: {
+    type: Boolean,
+    default: false
+  },
+  answers: {
+    type: [quizAnswerSchema],
+    validate: {
+      validator: function(answers) {
+        return answers.length >= 2;
+      },
+      message: 'A question needs at least two answers'
+    }
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+quizQuestionSchema.index({ isActive: 1, sortOrder: 1 });
+
+module.exports = mongoose.model('QuizQuestion', quizQuestionSchema);
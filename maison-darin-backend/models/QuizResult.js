@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// A completed fragrance quiz, kept for analytics
+const quizResultSchema = new mongoose.Schema({
+  answers: [{
+    _id: false,
+    question: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'QuizQuestion',
+      required: true
+    },
+    answers: [{
+      type: mongoose.Schema.Types.ObjectId
+    }]
+  }],
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  // Set when the email belongs to a customer
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  language: {
+    type: String,
+    enum: ['en', 'ar'],
+    default: 'ar'
+  },
+  // Products recommended, best match first
+  recommendations: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    match: {
+      type: Number,
+      min: 0,
+      max: 100
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+quizResultSchema.index({ createdAt: -1 });
+quizResultSchema.index({ email: 1 });
+quizResultSchema.index({ customer: 1 });
+
+module.exports = mongoose.model('QuizResult', quizResultSchema);
@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const Sequence = require('./Sequence');
+
+const MAX_PHOTOS = 5;
+
+const REASONS = ['damaged', 'wrong_item', 'not_as_described', 'allergic_reaction', 'changed_mind', 'other'];
+
+// Stages a return can move to from each stage. Items are received once the
+// parcel is in, inspected items go back into stock unless damaged, and the
+// return is refunded once the money is back with the customer.
+const STATUS_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['received', 'rejected'],
+  received: ['inspected'],
+  inspected: ['refunded'],
+  rejected: [],
+  refunded: []
+};
+
+const STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+const returnItemSchema = new mongoose.Schema({
+  // Line of the order being returned
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Order item is required']
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: { type: String, required: true },
+  variantId: { type: mongoose.Schema.Types.ObjectId },
+  variantSize: { type: String, trim: true },
+  bundleComponents: {
+    type: [{
+      _id: false,
+      productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+      variantId: { type: mongoose.Schema.Types.ObjectId },
+      quantity: { type: Number, required: true, min: 1 }
+    }],
+    default: undefined
+  },
+  // Unit price charged on the order
+  price: { type: Number, required: true },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  // Filled in as the parcel is received and inspected
+  receivedQuantity: { type: Number, min: 0 },
+  condition: { type: String, enum: ['resellable', 'damaged'] }
+}, { _id: false });
+
+const returnPhotoSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  cloudinaryId: { type: String, required: true },
+  thumbnail: { type: String }
+}, { _id: false });
+
+const returnSchema = new mongoose.Schema({
+  returnNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required']
+  },
+  orderNumber: { type: String, required: true },
+  customer: {
+    name: { type: String, trim: true },
+    email: { type: String, required: true, lowercase: true, trim: true }
+  },
+  // Language the customer's emails lead with
+  language: { type: String, enum: ['en', 'ar'], default: 'ar' },
+
+  items: {
+    type: [returnItemSchema],
+    validate: [items => items.length > 0, 'A return needs at least one item']
+  },
+  reason: {
+    type: String,
+    enum: REASONS,
+    required: [true, 'Return reason is required']
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Details cannot exceed 1000 characters']
+  },
+  photos: {
+    type: [returnPhotoSchema],
+    validate: [photos => photos.length <= MAX_PHOTOS, `A return can have at most ${MAX_PHOTOS} photos`]
+  },
+
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'requested'
+  },
+  // Every stage the return went through, who moved it there and why
+  timeline: [{
+    status: { type: String, enum: STATUSES, required: true },
+    at: { type: Date, default: Date.now },
+    actor: {
+      type: { type: String, enum: ['admin', 'customer', 'system'], default: 'system' },
+      user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      name: { type: String }
+    },
+    note: { type: String, trim: true, maxlength: 500 }
+  }],
+
+  // Money going back for the items received, through the way the order was
+  // paid; a copy of the order's refund that pays it, numbered refundId
+  refund: {
+    amount: { type: Number, min: 0 },
+    // Paid back through the payment gateway, as store credit for what gift
+    // cards paid, or by hand for cash and bank transfers
+    gatewayAmount: { type: Number, min: 0 },
+    storeCreditAmount: { type: Number, min: 0 },
+    method: { type: String, enum: ['paypal', 'paymob', 'fawry', 'card', 'store_credit', 'manual'] },
+    // processing while a refund is being sent; pending while it is paid by hand
+    status: { type: String, enum: ['processing', 'pending', 'completed', 'failed'] },
+    refundId: { type: String },
+    gatewayRefundId: { type: String },
+    storeCredit: { type: mongoose.Schema.Types.ObjectId, ref: 'GiftCard' },
+    reference: { type: String, trim: true },
+    error: { type: String },
+    refundedAt: { type: Date }
+  }
+}, {
+  timestamps: true
+});
+
+returnSchema.index({ order: 1 });
+returnSchema.index({ 'customer.email': 1, createdAt: -1 });
+returnSchema.index({ status: 1, createdAt: -1 });
+
+returnSchema.pre('validate', async function(next) {
+  if (!this.isNew || this.returnNumber) return next();
+
+  try {
+    this.returnNumber = await Sequence.next('return', { session: this.$session() });
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Why the return cannot move to a stage, if it cannot
+ * @param {string} status - Stage to move to
+ * @returns {string|null} Reason, or null when the move is allowed
+ */
+returnSchema.methods.checkTransition = function(status) {
+  if (!STATUS_TRANSITIONS[status]) {
+    return `Invalid return status: ${status}`;
+  }
+  if (!STATUS_TRANSITIONS[this.status].includes(status)) {
+    return `Return cannot be moved from ${this.status} to ${status}`;
+  }
+  return null;
+};
+
+returnSchema.statics.REASONS = REASONS;
+returnSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+returnSchema.statics.MAX_PHOTOS = MAX_PHOTOS;
+
+module.exports = mongoose.model('Return', returnSchema);
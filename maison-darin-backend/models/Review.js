@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+
+const MAX_PHOTOS = 3;
+
+const reviewPhotoSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'Photo URL is required']
+  },
+  cloudinaryId: {
+    type: String,
+    required: [true, 'Photo Cloudinary ID is required']
+  },
+  thumbnail: {
+    type: String
+  }
+}, { _id: false });
+
+const reviewSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  // The delivered order that proves the purchase
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required']
+  },
+  orderNumber: {
+    type: String,
+    required: [true, 'Order number is required'],
+    trim: true
+  },
+  customer: {
+    // Shown publicly as first name and last initial
+    name: {
+      type: String,
+      required: [true, 'Customer name is required'],
+      trim: true,
+      maxlength: [100, 'Customer name cannot exceed 100 characters']
+    },
+    email: {
+      type: String,
+      required: [true, 'Customer email is required'],
+      trim: true,
+      lowercase: true
+    }
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number'
+    }
+  },
+  // Language the customer wrote in; the other language may be added by an admin
+  language: {
+    type: String,
+    enum: ['en', 'ar'],
+    required: [true, 'Review language is required']
+  },
+  title: {
+    en: {
+      type: String,
+      trim: true,
+      maxlength: [150, 'English title cannot exceed 150 characters']
+    },
+    ar: {
+      type: String,
+      trim: true,
+      maxlength: [150, 'Arabic title cannot exceed 150 characters']
+    }
+  },
+  comment: {
+    en: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'English comment cannot exceed 2000 characters']
+    },
+    ar: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Arabic comment cannot exceed 2000 characters']
+    }
+  },
+  photos: {
+    type: [reviewPhotoSchema],
+    validate: {
+      validator: function(photos) {
+        return photos.length <= MAX_PHOTOS;
+      },
+      message: `A review can have at most ${MAX_PHOTOS} photos`
+    }
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  moderation: {
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    moderatedAt: {
+      type: Date
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Moderation reason cannot exceed 500 characters']
+    }
+  },
+  verifiedPurchase: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// One review per product per order
+reviewSchema.index({ product: 1, order: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: -1 });
+
+// The comment is required in the language the review was written in
+reviewSchema.pre('validate', function(next) {
+  if (this.language && !(this.comment && this.comment[this.language])) {
+    this.invalidate(`comment.${this.language}`, 'Review comment is required');
+  }
+  next();
+});
+
+// Static method to aggregate the approved ratings of a product
+reviewSchema.statics.getRatingSummary = async function(productId) {
+  const [summary] = await this.aggregate([
+    {
+      $match: {
+        product: new mongoose.Types.ObjectId(String(productId)),
+        status: 'approved'
+      }
+    },
+    {
+      $group: {
+        _id: '$rating',
+        count: { $sum: 1 }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        reviewCount: { $sum: '$count' },
+        ratingTotal: { $sum: { $multiply: ['$_id', '$count'] } },
+        distribution: { $push: { rating: '$_id', count: '$count' } }
+      }
+    }
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  if (!summary) {
+    return { averageRating: 0, reviewCount: 0, distribution };
+  }
+
+  for (const { rating, count } of summary.distribution) {
+    distribution[rating] = count;
+  }
+
+  return {
+    averageRating: Math.round((summary.ratingTotal / summary.reviewCount) * 10) / 10,
+    reviewCount: summary.reviewCount,
+    distribution
+  };
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const Sequence = require('./Sequence');
 
 const sampleRequestSchema = new mongoose.Schema({
   // Customer Information
@@ -200,13 +201,17 @@ sampleRequestSchema.index({ 'customerInfo.email': 1, createdAt: -1 });
 sampleRequestSchema.index({ status: 1, createdAt: -1 });
 sampleRequestSchema.index({ createdAt: -1 });
 
-// Pre-save middleware to generate request number
+// Number new requests before validation, which requires the number
+sampleRequestSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.requestNumber) {
+    this.requestNumber = await Sequence.next('sampleRequest', { session: this.$session() });
+  }
+  next();
+});
+
+// Pre-save middleware to set up new requests
 sampleRequestSchema.pre('save', async function(next) {
   if (this.isNew) {
-    // Generate unique request number
-    const count = await this.constructor.countDocuments();
-    this.requestNumber = `SR${Date.now().toString().slice(-6)}${(count + 1).toString().padStart(4, '0')}`;
-    
     // Generate duplicate check hash
     this.duplicateCheckHash = this.generateDuplicateHash();
     
@@ -305,7 +310,7 @@ sampleRequestSchema.statics.findByStatus = function(status, options = {}) {
   }
   
   return this.find(query)
-    .populate('requestedProducts.product', 'name price category images')
+    .populate('requestedProducts.product', 'name price categories images')
     .populate('adminNotes.addedBy', 'email')
     .populate('statusHistory.changedBy', 'email')
     .sort({ createdAt: -1 });
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const Settings = require('./Settings');
+
+// How each document's number looks until the admin changes it in the
+// numbering settings: PREFIX-PERIOD-NNN, where the period is the day
+// (YYYYMMDD) or the year (YYYY) the counter restarts on
+const SEQUENCE_DEFAULTS = {
+  order: { prefix: 'MD', reset: 'daily', padding: 3 },
+  invoice: { prefix: 'INV', reset: 'yearly', padding: 6 },
+  creditNote: { prefix: 'CN', reset: 'yearly', padding: 6 },
+  sampleRequest: { prefix: 'SR', reset: 'yearly', padding: 5 },
+  refund: { prefix: 'RF', reset: 'yearly', padding: 5 },
+  return: { prefix: 'RMA', reset: 'yearly', padding: 5 }
+};
+
+// One counter per sequence and period. A number is taken with a single $inc,
+// so two checkouts can never get the same one, and when it is taken inside
+// the transaction that creates the document, an aborted transaction hands
+// the number back: the sequence has no gaps.
+const sequenceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    enum: Object.keys(SEQUENCE_DEFAULTS),
+    required: [true, 'Sequence name is required']
+  },
+  // '20261019' for a daily sequence, '2026' for a yearly one
+  period: {
+    type: String,
+    required: [true, 'Sequence period is required']
+  },
+  // Last number handed out
+  value: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+sequenceSchema.index({ name: 1, period: 1 }, { unique: true });
+
+/**
+ * Period a date falls in, in the store's timezone
+ * @param {string} reset - 'daily' or 'yearly'
+ * @param {Date} date - Date the number is taken on
+ * @param {string} timeZone - IANA timezone of the store
+ * @returns {string} YYYYMMDD or YYYY
+ */
+sequenceSchema.statics.periodOf = function(reset, date, timeZone = 'UTC') {
+  let day;
+  try {
+    // en-CA formats as YYYY-MM-DD
+    day = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+  } catch (error) {
+    day = date.toISOString().slice(0, 10);
+  }
+  const compact = day.replace(/-/g, '');
+  return reset === 'daily' ? compact : compact.slice(0, 4);
+};
+
+/**
+ * Take the next number of a sequence
+ * @param {string} name - Sequence name, e.g. 'order' or 'invoice'
+ * @param {Object} options - session to take it in, and the date (defaults to now)
+ * @returns {Promise<string>} Formatted number, e.g. MD-20261019-007
+ */
+sequenceSchema.statics.next = async function(name, { session = null, date = new Date() } = {}) {
+  if (!SEQUENCE_DEFAULTS[name]) {
+    throw new Error(`Unknown sequence: ${name}`);
+  }
+
+  const settings = await Settings.getSettings();
+  const configured = (settings.numbering && settings.numbering[name]) || {};
+  const format = { ...SEQUENCE_DEFAULTS[name], ...(configured.toObject ? configured.toObject() : configured) };
+  const timeZone = settings.localization && settings.localization.timezone;
+  const period = this.periodOf(format.reset, date, timeZone);
+
+  const increment = () => this.findOneAndUpdate(
+    { name, period },
+    { $inc: { value: 1 } },
+    { new: true, upsert: true, session }
+  );
+
+  let counter;
+  try {
+    counter = await increment();
+  } catch (error) {
+    // Two first numbers of a period can race to create the counter; the
+    // loser finds it created. In a transaction the transaction retries.
+    if (error.code !== 11000 || session) throw error;
+    counter = await increment();
+  }
+
+  return `${format.prefix}-${period}-${String(counter.value).padStart(format.padding, '0')}`;
+};
+
+sequenceSchema.statics.SEQUENCE_DEFAULTS = SEQUENCE_DEFAULTS;
+
+module.exports = mongoose.model('Sequence', sequenceSchema);
@@ -122,7 +122,63 @@ const settingsSchema = new mongoose.Schema({
       enabled: { type: Boolean, default: true }
     }],
     taxExemptProducts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
-    displayTaxBreakdown: { type: Boolean, default: true }
+    displayTaxBreakdown: { type: Boolean, default: true },
+    // Seller's VAT registration number, printed on tax invoices and in their QR code
+    vatNumber: { type: String, trim: true, default: '' }
+  },
+
+  // Loyalty Program Settings
+  loyalty: {
+    enabled: { type: Boolean, default: true },
+    // Points earned per SAR paid for the items of a delivered order
+    pointsPerCurrency: { type: Number, default: 1, min: 0 },
+    // SAR a point is worth when redeemed at checkout
+    pointValue: { type: Number, default: 0.05, min: 0 },
+    minRedeemPoints: { type: Number, default: 100, min: 0 },
+    // Share of the order, after promotions, that points may pay for
+    maxRedeemPercent: { type: Number, default: 50, min: 0, max: 100 },
+    // Months until earned points expire; 0 keeps them forever
+    expiryMonths: { type: Number, default: 12, min: 0 },
+    tierMultipliers: {
+      bronze: { type: Number, default: 1, min: 0 },
+      silver: { type: Number, default: 1.25, min: 0 },
+      gold: { type: Number, default: 1.5, min: 0 },
+      platinum: { type: Number, default: 2, min: 0 }
+    }
+  },
+
+  // Document Numbering Settings: PREFIX-PERIOD-NNN, restarting every day or year
+  numbering: {
+    order: {
+      prefix: { type: String, trim: true, default: 'MD' },
+      reset: { type: String, enum: ['daily', 'yearly'], default: 'daily' },
+      padding: { type: Number, default: 3, min: 1, max: 10 }
+    },
+    invoice: {
+      prefix: { type: String, trim: true, default: 'INV' },
+      reset: { type: String, enum: ['daily', 'yearly'], default: 'yearly' },
+      padding: { type: Number, default: 6, min: 1, max: 10 }
+    },
+    creditNote: {
+      prefix: { type: String, trim: true, default: 'CN' },
+      reset: { type: String, enum: ['daily', 'yearly'], default: 'yearly' },
+      padding: { type: Number, default: 6, min: 1, max: 10 }
+    },
+    sampleRequest: {
+      prefix: { type: String, trim: true, default: 'SR' },
+      reset: { type: String, enum: ['daily', 'yearly'], default: 'yearly' },
+      padding: { type: Number, default: 5, min: 1, max: 10 }
+    },
+    refund: {
+      prefix: { type: String, trim: true, default: 'RF' },
+      reset: { type: String, enum: ['daily', 'yearly'], default: 'yearly' },
+      padding: { type: Number, default: 5, min: 1, max: 10 }
+    },
+    return: {
+      prefix: { type: String, trim: true, default: 'RMA' },
+      reset: { type: String, enum: ['daily', 'yearly'], default: 'yearly' },
+      padding: { type: Number, default: 5, min: 1, max: 10 }
+    }
   },
 
   // Localization Settings
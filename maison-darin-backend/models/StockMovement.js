@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+
+const MOVEMENT_TYPES = [
+  'opening_balance',
+  'sale',
+  'cancellation_restock',
+  'return',
+  'refund',
+  'manual_adjustment',
+  'damage',
+  'sample_usage',
+  'stock_count'
+];
+
+// Append-only ledger of every change to a product's stock. The quantities of a
+// product's movements add up to its stock, which is what reconciliation checks.
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  // Set when the movement concerns one size of a product sold in several sizes
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  size: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: MOVEMENT_TYPES,
+    required: [true, 'Movement type is required']
+  },
+  // Signed change: negative when stock leaves
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required']
+  },
+  previousStock: {
+    type: Number,
+    required: true
+  },
+  newStock: {
+    type: Number,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  sampleRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SampleRequest'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ order: 1 });
+stockMovementSchema.index({ sampleRequest: 1 });
+
+// A wrong movement is corrected by recording another one, never by editing it
+stockMovementSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Stock movements cannot be changed'));
+  }
+  next();
+});
+
+stockMovementSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function(next) {
+    next(new Error('Stock movements cannot be changed'));
+  }
+);
+
+// Static method to record how a save changed a product's stock, from its stock
+// levels before (undefined for a new product) and after the save
+stockMovementSchema.statics.recordProductChanges = async function(product, previous, details = {}) {
+  const current = product.getStockSnapshot();
+  const sizes = new Map((product.variants || []).map(variant => [String(variant._id), variant.size]));
+  const keys = new Set([...Object.keys(previous || {}), ...Object.keys(current)]);
+  // Opening balances are kept even at zero: they mark where the ledger starts
+  const opening = !previous || details.type === 'opening_balance';
+  const entries = [];
+
+  for (const key of keys) {
+    const previousStock = previous ? previous[key] || 0 : 0;
+    const newStock = current[key] || 0;
+    if (!opening && previousStock === newStock) {
+      continue;
+    }
+
+    entries.push({
+      ...details,
+      product: product._id,
+      variant: key || undefined,
+      size: key ? sizes.get(key) : undefined,
+      type: previous ? details.type || 'manual_adjustment' : 'opening_balance',
+      quantity: newStock - previousStock,
+      previousStock,
+      newStock
+    });
+  }
+
+  if (entries.length > 0) {
+    await this.insertMany(entries);
+  }
+
+  return entries.length;
+};
+
+// Static method to sum the ledger per product and size, in the shape of
+// Product#getStockSnapshot ('' holds stock not tracked per size), noting
+// which products have an opening balance
+stockMovementSchema.statics.getLedgerStock = async function(productIds) {
+  const totals = await this.aggregate([
+    { $match: { product: { $in: productIds } } },
+    {
+      $group: {
+        _id: { product: '$product', variant: '$variant' },
+        quantity: { $sum: '$quantity' },
+        opened: { $max: { $eq: ['$type', 'opening_balance'] } }
+      }
+    }
+  ]);
+
+  const ledger = new Map();
+  for (const { _id, quantity, opened } of totals) {
+    const productId = String(_id.product);
+    if (!ledger.has(productId)) {
+      ledger.set(productId, { stock: {}, opened: false });
+    }
+    const entry = ledger.get(productId);
+    entry.stock[_id.variant ? String(_id.variant) : ''] = quantity;
+    entry.opened = entry.opened || opened;
+  }
+
+  return ledger;
+};
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
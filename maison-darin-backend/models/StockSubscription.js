@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A customer's request to be emailed once a sold-out product is back in stock.
+// Each subscription is notified once; subscribing again reactivates it.
+const stockSubscriptionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  // Language of the storefront the customer subscribed from; the email leads with it
+  language: {
+    type: String,
+    enum: ['en', 'ar'],
+    default: 'ar'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'notified', 'unsubscribed'],
+    default: 'active'
+  },
+  // Secret carried by the unsubscribe link, so no login is needed to opt out
+  unsubscribeToken: {
+    type: String,
+    required: true,
+    default: () => crypto.randomBytes(24).toString('hex')
+  },
+  notifiedAt: {
+    type: Date
+  },
+  unsubscribedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+stockSubscriptionSchema.index({ product: 1, email: 1 }, { unique: true });
+stockSubscriptionSchema.index({ product: 1, status: 1 });
+stockSubscriptionSchema.index({ unsubscribeToken: 1 }, { unique: true });
+
+module.exports = mongoose.model('StockSubscription', stockSubscriptionSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const MAX_ITEMS = 100;
+
+const wishlistItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Price the customer last saw: when the product was added, or when they were
+  // last told it dropped. A price-drop email goes out once the price falls below it.
+  alertPrice: {
+    type: Number,
+    min: [0, 'Alert price cannot be negative']
+  }
+}, { _id: false });
+
+// A customer's saved products. Guests keep theirs in the browser; it is merged
+// in here when they log in.
+const wishlistSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  items: {
+    type: [wishlistItemSchema],
+    validate: {
+      validator: function(items) {
+        return items.length <= MAX_ITEMS;
+      },
+      message: `A wishlist can hold at most ${MAX_ITEMS} products`
+    }
+  },
+  // Language of the storefront the customer last used; price-drop emails lead with it
+  language: {
+    type: String,
+    enum: ['en', 'ar'],
+    default: 'ar'
+  },
+  priceAlerts: {
+    type: Boolean,
+    default: true
+  },
+  // Secret carried by the public share link; the wishlist is private while unset
+  shareToken: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+wishlistSchema.index({ user: 1 }, { unique: true });
+wishlistSchema.index({ shareToken: 1 }, { unique: true, sparse: true });
+wishlistSchema.index({ 'items.product': 1 });
+
+wishlistSchema.statics.MAX_ITEMS = MAX_ITEMS;
+
+module.exports = mongoose.model('Wishlist', wishlistSchema);
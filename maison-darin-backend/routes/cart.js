@@ -0,0 +1,289 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const cartController = require('../controllers/cartController');
+const { optionalAuth } = require('../middleware/auth');
+const { validate, sanitizeInput, preventMongoInjection } = require('../middleware/validation');
+const { cartSchemas } = require('../validation/schemas');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CartItemInput:
+ *       type: object
+ *       required:
+ *         - productId
+ *         - quantity
+ *       properties:
+ *         productId:
+ *           type: string
+ *         variantId:
+ *           type: string
+ *           nullable: true
+ *         quantity:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 10
+ *     Cart:
+ *       type: object
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: Secret that identifies the cart; keep it to read or change the cart later
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               productId:
+ *                 type: string
+ *               variantId:
+ *                 type: string
+ *                 nullable: true
+ *               quantity:
+ *                 type: integer
+ *               product:
+ *                 $ref: '#/components/schemas/Product'
+ *               price:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Unit price now
+ *               previousPrice:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Unit price when the item was added, if it has changed since
+ *               available:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Units in stock; null when not limited
+ *               issue:
+ *                 type: string
+ *                 nullable: true
+ *                 enum: [unavailable, out_of_stock, insufficient_stock, price_changed]
+ *         subtotal:
+ *           type: number
+ *           description: Current price of the items that can still be ordered
+ *         hasIssues:
+ *           type: boolean
+ *           description: Some item can't be ordered as it is
+ *         email:
+ *           type: string
+ *           nullable: true
+ *         language:
+ *           type: string
+ *           enum: [en, ar]
+ */
+
+const createCartLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // Maximum 30 new carts per 15 minutes per IP
+  message: {
+    success: false,
+    error: {
+      code: 'RATE_LIMIT_EXCEEDED',
+      message: 'Too many requests. Please try again later.'
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * @swagger
+ * /api/cart:
+ *   post:
+ *     summary: Create a cart
+ *     description: Starts a guest cart. A logged-in customer who already has a cart gets it back with these items added.
+ *     tags: [Cart]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 maxItems: 20
+ *                 items:
+ *                   $ref: '#/components/schemas/CartItemInput'
+ *               language:
+ *                 type: string
+ *                 enum: [en, ar]
+ *     responses:
+ *       201:
+ *         description: Cart created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Cart'
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Validation error
+ *       429:
+ *         description: Too many requests
+ */
+router.post('/',
+  createCartLimiter,
+  optionalAuth,
+  sanitizeInput,
+  preventMongoInjection,
+  validate(cartSchemas.create),
+  cartController.createCart
+);
+
+/**
+ * @swagger
+ * /api/cart/{token}:
+ *   get:
+ *     summary: Get a cart
+ *     description: Re-validates the cart against current prices and stock. When a logged-in customer opens a guest cart it is attached to their account, or merged into the cart they already have; the response then carries that cart's token.
+ *     tags: [Cart]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cart retrieved successfully
+ *       400:
+ *         description: Invalid cart token
+ *       404:
+ *         description: Cart not found or already checked out
+ */
+router.get('/:token',
+  optionalAuth,
+  validate(cartSchemas.params, 'params'),
+  cartController.getCart
+);
+
+/**
+ * @swagger
+ * /api/cart/{token}:
+ *   put:
+ *     summary: Replace the items of a cart
+ *     description: Items already in the cart keep the price they were added at, so price changes can be shown.
+ *     tags: [Cart]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 maxItems: 20
+ *                 items:
+ *                   $ref: '#/components/schemas/CartItemInput'
+ *               language:
+ *                 type: string
+ *                 enum: [en, ar]
+ *     responses:
+ *       200:
+ *         description: Cart updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Cart not found or already checked out
+ */
+router.put('/:token',
+  optionalAuth,
+  sanitizeInput,
+  preventMongoInjection,
+  validate(cartSchemas.params, 'params'),
+  validate(cartSchemas.update),
+  cartController.updateCart
+);
+
+/**
+ * @swagger
+ * /api/cart/{token}/checkout:
+ *   put:
+ *     summary: Record the email step of checkout
+ *     description: From then on the customer gets reminder emails if the cart isn't checked out.
+ *     tags: [Cart]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               firstName:
+ *                 type: string
+ *               language:
+ *                 type: string
+ *                 enum: [en, ar]
+ *                 description: Language reminder emails lead with
+ *     responses:
+ *       200:
+ *         description: Checkout started
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Cart not found or already checked out
+ */
+router.put('/:token/checkout',
+  optionalAuth,
+  sanitizeInput,
+  preventMongoInjection,
+  validate(cartSchemas.params, 'params'),
+  validate(cartSchemas.checkout),
+  cartController.startCheckout
+);
+
+/**
+ * @swagger
+ * /api/cart/{token}/reminders:
+ *   delete:
+ *     summary: Stop abandoned-cart reminders
+ *     description: Uses the token from the link in the reminder email; stopping twice is harmless
+ *     tags: [Cart]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cart reminders stopped
+ *       400:
+ *         description: Invalid cart token
+ *       404:
+ *         description: Cart not found
+ */
+router.delete('/:token/reminders',
+  validate(cartSchemas.params, 'params'),
+  cartController.stopReminders
+);
+
+module.exports = router;
@@ -0,0 +1,476 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const giftCardController = require('../controllers/giftCardController');
+const { authenticate, authorize, requireAdmin } = require('../middleware/auth');
+const { validate, sanitizeInput, preventMongoInjection } = require('../middleware/validation');
+const { giftCardSchemas } = require('../validation/schemas');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GiftCard:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         kind:
+ *           type: string
+ *           enum: [gift_card, store_credit]
+ *         code:
+ *           type: string
+ *           example: ABCD-EFGH-JKLM-NPQR
+ *         source:
+ *           type: string
+ *           enum: [purchase, manual, return, goodwill]
+ *         initialBalance:
+ *           type: number
+ *         balance:
+ *           type: number
+ *         currency:
+ *           type: string
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [active, disabled]
+ *         customer:
+ *           type: string
+ *           description: Owner of store credit
+ *         recipient:
+ *           type: object
+ *           properties:
+ *             name:
+ *               type: string
+ *             email:
+ *               type: string
+ *         sender:
+ *           type: object
+ *           properties:
+ *             name:
+ *               type: string
+ *         message:
+ *           type: string
+ *         orderNumber:
+ *           type: string
+ *           description: Order the card was bought with
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *         transactions:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [issue, redeem, release, adjust, void]
+ *               amount:
+ *                 type: number
+ *               balance:
+ *                 type: number
+ *               orderNumber:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *               createdAt:
+ *                 type: string
+ *                 format: date-time
+ */
+
+// Codes are guessed one at a time, so balance checks are kept few
+const checkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // Maximum 10 balance checks per 15 minutes per IP
+  message: {
+    success: false,
+    error: {
+      code: 'RATE_LIMIT_EXCEEDED',
+      message: 'Too many gift card checks. Please try again later.'
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * @swagger
+ * /api/gift-cards/check:
+ *   post:
+ *     summary: Check the balance of a gift card
+ *     tags: [Gift Cards]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Gift card balance retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     code:
+ *                       type: string
+ *                       description: Masked code
+ *                     kind:
+ *                       type: string
+ *                     balance:
+ *                       type: number
+ *                     currency:
+ *                       type: string
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     usable:
+ *                       type: boolean
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       429:
+ *         description: Too many gift card checks
+ */
+router.post('/check',
+  checkLimiter,
+  sanitizeInput,
+  preventMongoInjection,
+  validate(giftCardSchemas.check),
+  giftCardController.checkBalance
+);
+
+/**
+ * @swagger
+ * /api/gift-cards/store-credit:
+ *   get:
+ *     summary: Get the customer's store credit
+ *     tags: [Gift Cards]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Store credit retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     balance:
+ *                       type: number
+ *                     credits:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           code:
+ *                             type: string
+ *                           balance:
+ *                             type: number
+ *                           source:
+ *                             type: string
+ *                           expiresAt:
+ *                             type: string
+ *                             format: date-time
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/store-credit',
+  authenticate,
+  authorize(['customer']),
+  giftCardController.getStoreCredit
+);
+
+// Everything below issues or changes money on cards, so only admins may
+router.use(authenticate, requireAdmin);
+
+/**
+ * @swagger
+ * /api/gift-cards:
+ *   get:
+ *     summary: List gift cards and store credit
+ *     tags: [Gift Cards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: kind
+ *         schema:
+ *           type: string
+ *           enum: [gift_card, store_credit]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, disabled]
+ *       - in: query
+ *         name: search
+ *         description: Matches the code, recipient email or order number
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Gift cards retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/',
+  sanitizeInput,
+  preventMongoInjection,
+  validate(giftCardSchemas.query, 'query'),
+  giftCardController.getGiftCards
+);
+
+/**
+ * @swagger
+ * /api/gift-cards:
+ *   post:
+ *     summary: Issue a gift card and email it to its recipient
+ *     tags: [Gift Cards]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - recipientName
+ *               - recipientEmail
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               recipientName:
+ *                 type: string
+ *               recipientEmail:
+ *                 type: string
+ *                 format: email
+ *               senderName:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to 12 months from now
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Gift card issued successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.post('/',
+  sanitizeInput,
+  preventMongoInjection,
+  validate(giftCardSchemas.issue),
+  giftCardController.issueGiftCard
+);
+
+/**
+ * @swagger
+ * /api/gift-cards/store-credit:
+ *   post:
+ *     summary: Credit a customer's account for a return or as a goodwill gesture
+ *     tags: [Gift Cards]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - amount
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               amount:
+ *                 type: number
+ *               source:
+ *                 type: string
+ *                 enum: [return, goodwill]
+ *                 default: goodwill
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Store credit issued successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: No customer with this email
+ */
+router.post('/store-credit',
+  sanitizeInput,
+  preventMongoInjection,
+  validate(giftCardSchemas.storeCredit),
+  giftCardController.issueStoreCredit
+);
+
+/**
+ * @swagger
+ * /api/gift-cards/{id}:
+ *   get:
+ *     summary: Get a gift card with its history
+ *     tags: [Gift Cards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Gift card retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/GiftCard'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id',
+  validate(giftCardSchemas.params, 'params'),
+  giftCardController.getGiftCard
+);
+
+/**
+ * @swagger
+ * /api/gift-cards/{id}/adjust:
+ *   post:
+ *     summary: Add to or take from a card's balance
+ *     tags: [Gift Cards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - note
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Negative to take from the balance
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Gift card balance adjusted successfully
+ *       400:
+ *         description: The balance would go below zero
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/:id/adjust',
+  sanitizeInput,
+  preventMongoInjection,
+  validate(giftCardSchemas.params, 'params'),
+  validate(giftCardSchemas.adjust),
+  giftCardController.adjustBalance
+);
+
+/**
+ * @swagger
+ * /api/gift-cards/{id}/status:
+ *   patch:
+ *     summary: Disable a card or enable it again
+ *     tags: [Gift Cards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [active, disabled]
+ *     responses:
+ *       200:
+ *         description: Gift card updated successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.patch('/:id/status',
+  sanitizeInput,
+  preventMongoInjection,
+  validate(giftCardSchemas.params, 'params'),
+  validate(giftCardSchemas.status),
+  giftCardController.updateStatus
+);
+
+module.exports = router;
@@ -0,0 +1,198 @@
+const express = require('express');
+const router = express.Router();
+const loyaltyController = require('../controllers/loyaltyController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { loyaltySchemas } = require('../validation/schemas');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LoyaltyProgram:
+ *       type: object
+ *       properties:
+ *         enabled:
+ *           type: boolean
+ *         pointsPerCurrency:
+ *           type: number
+ *           description: Points earned per SAR spent, before the tier multiplier
+ *         pointValue:
+ *           type: number
+ *           description: Discount in SAR of one point
+ *         minRedeemPoints:
+ *           type: integer
+ *         maxRedeemPercent:
+ *           type: number
+ *           description: Largest share of an order's subtotal that points can pay for
+ *         expiryMonths:
+ *           type: integer
+ *           description: Months earned points last; 0 keeps them forever
+ *         tierMultipliers:
+ *           type: object
+ *           properties:
+ *             bronze:
+ *               type: number
+ *             silver:
+ *               type: number
+ *             gold:
+ *               type: number
+ *             platinum:
+ *               type: number
+ *     LoyaltySummary:
+ *       type: object
+ *       properties:
+ *         balance:
+ *           type: integer
+ *         balanceValue:
+ *           type: number
+ *           description: What the balance is worth in SAR
+ *         tier:
+ *           type: string
+ *           enum: [bronze, silver, gold, platinum]
+ *         multiplier:
+ *           type: number
+ *         expiring:
+ *           type: object
+ *           nullable: true
+ *           description: Points expiring within the next 30 days
+ *           properties:
+ *             points:
+ *               type: integer
+ *             expiresAt:
+ *               type: string
+ *               format: date-time
+ *         program:
+ *           $ref: '#/components/schemas/LoyaltyProgram'
+ *     LoyaltyTransaction:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [earn, redeem, reverse, restore, expire]
+ *         points:
+ *           type: integer
+ *           description: Signed change to the balance
+ *         balance:
+ *           type: integer
+ *           description: Balance after the entry
+ *         orderNumber:
+ *           type: string
+ *         remaining:
+ *           type: integer
+ *           description: Earned points not yet spent or expired
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         tier:
+ *           type: string
+ *         multiplier:
+ *           type: number
+ *         description:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/loyalty/program:
+ *   get:
+ *     summary: Get the loyalty program rules
+ *     tags: [Loyalty]
+ *     responses:
+ *       200:
+ *         description: Loyalty program retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/LoyaltyProgram'
+ */
+router.get('/program', loyaltyController.getProgram);
+
+// Everything below belongs to the logged-in customer
+router.use(authenticate);
+router.use(authorize(['customer']));
+
+/**
+ * @swagger
+ * /api/loyalty:
+ *   get:
+ *     summary: Get the customer's points balance
+ *     tags: [Loyalty]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Loyalty points retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/LoyaltySummary'
+ *                 message:
+ *                   type: string
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/', loyaltyController.getSummary);
+
+/**
+ * @swagger
+ * /api/loyalty/transactions:
+ *   get:
+ *     summary: Get the customer's points history
+ *     tags: [Loyalty]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Loyalty history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LoyaltyTransaction'
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/transactions',
+  validate(loyaltySchemas.transactionsQuery, 'query'),
+  loyaltyController.getTransactions
+);
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
+const rateLimit = require('express-rate-limit');
 const orderController = require('../controllers/orderController');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, optionalAuth, requireAdmin } = require('../middleware/auth');
 const { validate, sanitizeInput, preventMongoInjection } = require('../middleware/validation');
 const { orderSchemas } = require('../validation/schemas');
 
@@ -52,13 +53,27 @@ const { orderSchemas } = require('../validation/schemas');
  *               type: string
  *         paymentMethod:
  *           type: string
- *           enum: [paypal, card, bank_transfer]
+ *           enum: [paypal, card, bank_transfer, gift_card, store_credit]
  *         paymentStatus:
  *           type: string
- *           enum: [pending, completed, failed, refunded]
- *         orderStatus:
+ *           enum: [pending, partially_paid, completed, failed, partially_refunded, refunded]
+ *         status:
  *           type: string
- *           enum: [pending, confirmed, processing, shipped, delivered, cancelled]
+ *           enum: [pending, awaiting_release, confirmed, processing, shipped, delivered, cancelled, returned, refunded]
+ *         trackingNumber:
+ *           type: string
+ *         timeline:
+ *           type: array
+ *           description: Every status the order has been in, oldest first
+ *           items:
+ *             $ref: '#/components/schemas/OrderTimelineEntry'
+ *         refunds:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/OrderRefund'
+ *         refundedTotal:
+ *           type: number
+ *           description: Paid back or owed by the order's refunds
  *         notes:
  *           type: string
  *         createdAt:
@@ -68,6 +83,213 @@ const { orderSchemas } = require('../validation/schemas');
  *           type: string
  *           format: date-time
  *     
+ *     OrderRefund:
+ *       type: object
+ *       properties:
+ *         refundId:
+ *           type: string
+ *           example: RF-2026-00001
+ *         reason:
+ *           type: string
+ *         note:
+ *           type: string
+ *         lines:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               orderItem:
+ *                 type: string
+ *               productName:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *               amount:
+ *                 type: number
+ *         shipping:
+ *           type: number
+ *         adjustment:
+ *           type: number
+ *         amount:
+ *           type: number
+ *         gatewayAmount:
+ *           type: number
+ *         storeCreditAmount:
+ *           type: number
+ *         method:
+ *           type: string
+ *           enum: [paypal, paymob, fawry, card, store_credit, manual]
+ *         status:
+ *           type: string
+ *           enum: [processing, pending, completed, failed]
+ *         reference:
+ *           type: string
+ *         error:
+ *           type: string
+ *         creditNoteNumber:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     OrderTimelineEntry:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *         at:
+ *           type: string
+ *           format: date-time
+ *         actor:
+ *           type: object
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [admin, customer, system]
+ *             user:
+ *               type: string
+ *             name:
+ *               type: string
+ *         reason:
+ *           type: string
+ *         effects:
+ *           type: array
+ *           description: What the change set off, e.g. stock_restored, points_awarded, customer_notified
+ *           items:
+ *             type: string
+ *     OrderQuote:
+ *       type: object
+ *       properties:
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               productId:
+ *                 type: string
+ *               variantId:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *               price:
+ *                 type: number
+ *                 description: Unit price charged, after any sale
+ *               regularPrice:
+ *                 type: number
+ *               subtotal:
+ *                 type: number
+ *               preOrder:
+ *                 type: object
+ *                 description: Present on pre-order lines, which ship on the release date
+ *                 properties:
+ *                   releaseDate:
+ *                     type: string
+ *                     format: date-time
+ *                   deposit:
+ *                     type: number
+ *                     description: Amount of the line paid up front
+ *         subtotal:
+ *           type: number
+ *         discountTotal:
+ *           type: number
+ *           description: Amount saved by sales, already deducted from the subtotal
+ *         promotions:
+ *           type: array
+ *           description: Promotions and coupon applied to the order
+ *           items:
+ *             type: object
+ *             properties:
+ *               promotion:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 nullable: true
+ *               name:
+ *                 $ref: '#/components/schemas/MultilingualText'
+ *               type:
+ *                 type: string
+ *               discount:
+ *                 type: number
+ *               freeShipping:
+ *                 type: boolean
+ *         promotionDiscount:
+ *           type: number
+ *           description: Amount taken off the subtotal by promotions, before tax
+ *         couponCode:
+ *           type: string
+ *           nullable: true
+ *         loyalty:
+ *           type: object
+ *           nullable: true
+ *           description: Points of the logged-in customer; null for guests
+ *           properties:
+ *             balance:
+ *               type: integer
+ *             tier:
+ *               type: string
+ *             maxRedeemablePoints:
+ *               type: integer
+ *               description: Most points this order can take; 0 when none can be redeemed
+ *             pointsRedeemed:
+ *               type: integer
+ *             discount:
+ *               type: number
+ *               description: Amount taken off the subtotal by the points, before tax
+ *             pointsToEarn:
+ *               type: integer
+ *               description: Points the order earns once delivered
+ *         shippingType:
+ *           type: string
+ *         shippingCost:
+ *           type: number
+ *         freeShipping:
+ *           type: boolean
+ *         taxRate:
+ *           type: number
+ *         taxIncluded:
+ *           type: boolean
+ *           description: When true the tax is part of the item prices and not added to the total
+ *         tax:
+ *           type: number
+ *         total:
+ *           type: number
+ *         balanceDue:
+ *           type: number
+ *           description: Part of the total left to pay when pre-ordered products are released
+ *         giftCards:
+ *           type: array
+ *           description: Gift cards and store credit paying for the order, in the order they are used
+ *           items:
+ *             type: object
+ *             properties:
+ *               giftCard:
+ *                 type: string
+ *               kind:
+ *                 type: string
+ *                 enum: [gift_card, store_credit]
+ *               code:
+ *                 type: string
+ *                 description: Masked code, e.g. ****-AB12
+ *               balance:
+ *                 type: number
+ *               amount:
+ *                 type: number
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *         giftCardTotal:
+ *           type: number
+ *         storeCreditBalance:
+ *           type: number
+ *           description: Store credit the logged-in customer can spend; 0 for guests
+ *         amountDue:
+ *           type: number
+ *           description: Amount charged at checkout with the payment method (total minus balanceDue and giftCardTotal)
+ *
  *     OrderCreate:
  *       type: object
  *       required:
@@ -80,14 +302,36 @@ const { orderSchemas } = require('../validation/schemas');
  *           items:
  *             type: object
  *             required:
- *               - product
+ *               - productId
  *               - quantity
  *             properties:
- *               product:
+ *               productId:
+ *                 type: string
+ *               variantId:
  *                 type: string
  *               quantity:
  *                 type: number
  *                 minimum: 1
+ *               giftCard:
+ *                 type: object
+ *                 description: Required for gift card products; the cards are emailed here once the order is paid
+ *                 properties:
+ *                   recipientName:
+ *                     type: string
+ *                   recipientEmail:
+ *                     type: string
+ *                     format: email
+ *                   senderName:
+ *                     type: string
+ *                   message:
+ *                     type: string
+ *                     maxLength: 500
+ *         shippingType:
+ *           type: string
+ *           enum: [standard, express]
+ *         total:
+ *           type: number
+ *           description: Total shown at checkout (from the quote); the order is rejected if it no longer matches
  *         customerInfo:
  *           type: object
  *           required:
@@ -116,11 +360,30 @@ const { orderSchemas } = require('../validation/schemas');
  *               type: string
  *             country:
  *               type: string
+ *             countryCode:
+ *               type: string
+ *               description: ISO 3166 code used for shipping and tax
  *         paymentMethod:
  *           type: string
- *           enum: [paypal, card, bank_transfer]
+ *           enum: [paypal, card, bank_transfer, gift_card, store_credit]
+ *           description: gift_card or store_credit when the cards cover the whole amount due
  *         notes:
  *           type: string
+ *         couponCode:
+ *           type: string
+ *           description: Coupon shown in the quote; the order fails if it can no longer be used
+ *         loyaltyPoints:
+ *           type: integer
+ *           description: Loyalty points to redeem; needs a logged-in customer
+ *         giftCardCodes:
+ *           type: array
+ *           maxItems: 5
+ *           items:
+ *             type: string
+ *           description: Gift cards to pay with; they cannot pay for gift cards
+ *         useStoreCredit:
+ *           type: boolean
+ *           description: Pay with the logged-in customer's store credit
  */
 
 /**
@@ -157,14 +420,147 @@ const { orderSchemas } = require('../validation/schemas');
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
+// Order lookups by number and email are limited to slow down guessing
+const trackLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // Maximum 20 lookups per 15 minutes per IP
+  message: {
+    success: false,
+    error: {
+      code: 'RATE_LIMIT_EXCEEDED',
+      message: 'Too many order lookups. Please try again later.'
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 // Public routes (for customers)
 router.post('/', 
+  optionalAuth,
   sanitizeInput, 
   preventMongoInjection, 
   validate(orderSchemas.create), 
   orderController.createOrder
 );
 
+/**
+ * @swagger
+ * /api/orders/quote:
+ *   post:
+ *     summary: Price a cart before checkout
+ *     description: Prices each item from the catalogue (including running sales) and adds shipping and tax from the store settings. Orders are charged exactly these amounts.
+ *     tags: [Orders]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *               - countryCode
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - productId
+ *                     - quantity
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     variantId:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
+ *                       minimum: 1
+ *               countryCode:
+ *                 type: string
+ *                 example: SA
+ *               shippingType:
+ *                 type: string
+ *                 enum: [standard, express]
+ *                 default: standard
+ *               couponCode:
+ *                 type: string
+ *                 description: Coupon to apply; an invalid or ineligible code fails the quote with the reason
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: Customer email, for coupons limited per customer or to customer tiers
+ *               loyaltyPoints:
+ *                 type: integer
+ *                 description: Loyalty points to redeem; more than the order allows are capped to the maximum
+ *               giftCardCodes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Gift cards to pay with; an invalid, expired or empty card fails the quote with the reason
+ *               useStoreCredit:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Order quoted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/OrderQuote'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ */
+router.post('/quote',
+  optionalAuth,
+  sanitizeInput,
+  preventMongoInjection,
+  validate(orderSchemas.quote),
+  orderController.quoteOrder
+);
+
+/**
+ * @swagger
+ * /api/orders/track:
+ *   post:
+ *     summary: Track an order
+ *     description: Look up an order's status and timeline by its number and the email it was placed with
+ *     tags: [Orders]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderNumber
+ *               - email
+ *             properties:
+ *               orderNumber:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Order status, items and timeline (statuses and dates only)
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       429:
+ *         description: Too many lookups
+ */
+router.post('/track',
+  trackLimiter,
+  sanitizeInput,
+  preventMongoInjection,
+  validate(orderSchemas.track),
+  orderController.trackOrder
+);
+
 // Public route to get order by order number (for success page)
 router.get('/public/:orderNumber', 
   sanitizeInput, 
@@ -201,13 +597,13 @@ router.get('/public/:orderNumber',
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, confirmed, processing, shipped, delivered, cancelled]
+ *           enum: [pending, awaiting_release, confirmed, processing, shipped, delivered, cancelled]
  *         description: Filter by order status
  *       - in: query
  *         name: paymentStatus
  *         schema:
  *           type: string
- *           enum: [pending, completed, failed, refunded]
+ *           enum: [pending, partially_paid, completed, failed, partially_refunded, refunded]
  *         description: Filter by payment status
  *       - in: query
  *         name: search
@@ -315,7 +711,14 @@ router.get('/:id',
  * /api/orders/{id}/status:
  *   put:
  *     summary: Update order status
- *     description: Update the status of an order (admin only)
+ *     description: |
+ *       Move an order to a new status (admin only). Allowed moves:
+ *       pending → awaiting_release, confirmed, cancelled;
+ *       awaiting_release → processing, cancelled; confirmed → processing, cancelled;
+ *       processing → shipped, cancelled; shipped → delivered, returned;
+ *       delivered → returned, refunded; returned → refunded; cancelled → refunded.
+ *       Orders paid online must be paid before they go ahead, and only paid orders
+ *       can be refunded. The change is added to the order's timeline.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -337,12 +740,17 @@ router.get('/:id',
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [pending, confirmed, processing, shipped, delivered, cancelled]
- *               notes:
+ *                 enum: [pending, awaiting_release, confirmed, processing, shipped, delivered, cancelled, returned, refunded]
+ *               reason:
  *                 type: string
+ *               trackingNumber:
+ *                 type: string
+ *                 description: Courier tracking number, when shipping
  *     responses:
  *       200:
  *         description: Order status updated successfully
+ *       400:
+ *         description: The order cannot move to that status
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  *       404:
@@ -352,6 +760,7 @@ router.get('/:id',
  */
 router.put('/:id/status', 
   authenticate, 
+  requireAdmin,
   sanitizeInput, 
   preventMongoInjection, 
   validate(orderSchemas.params, 'params'), 
@@ -387,6 +796,7 @@ router.put('/:id/status',
  */
 router.put('/:id/confirm', 
   authenticate, 
+  requireAdmin,
   sanitizeInput, 
   preventMongoInjection, 
   validate(orderSchemas.params, 'params'), 
@@ -409,6 +819,14 @@ router.put('/:id/confirm',
  *         schema:
  *           type: string
  *         description: Order ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Order cancelled successfully
@@ -421,9 +839,11 @@ router.put('/:id/confirm',
  */
 router.put('/:id/cancel', 
   authenticate, 
+  requireAdmin,
   sanitizeInput, 
   preventMongoInjection, 
   validate(orderSchemas.params, 'params'), 
+  validate(orderSchemas.statusReason), 
   orderController.cancelOrder
 );
 
@@ -432,7 +852,14 @@ router.put('/:id/cancel',
  * /api/orders/{id}/refund:
  *   put:
  *     summary: Refund an order
- *     description: Process a refund for an order (admin only)
+ *     description: |
+ *       Refund some lines of a paid order at what was paid for them, its
+ *       shipping, an amount on top, or everything left to refund when none
+ *       is given (admin only). What gift cards paid comes back as store
+ *       credit, the rest through PayPal, Paymob or Fawry; cash on delivery
+ *       and bank transfers are refunded by hand, recorded with a reference.
+ *       Each refund gets a credit note; the order is marked refunded once
+ *       nothing is left to refund.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -443,24 +870,150 @@ router.put('/:id/cancel',
  *         schema:
  *           type: string
  *         description: Order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     orderItem:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *               shipping:
+ *                 type: number
+ *               amount:
+ *                 type: number
+ *                 description: Paid back on top of the lines and shipping
+ *               reason:
+ *                 type: string
+ *                 enum: [returned, damaged, wrong_item, not_delivered, late_delivery, cancelled, price_adjustment, duplicate_payment, goodwill, other]
+ *               note:
+ *                 type: string
+ *               reference:
+ *                 type: string
+ *                 description: Reference of a refund paid by hand
  *     responses:
  *       200:
- *         description: Order refunded successfully
+ *         description: Refund made, left to be paid by hand, or recorded as failed
+ *       400:
+ *         description: The order or what was asked cannot be refunded
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  *       404:
  *         $ref: '#/components/responses/NotFound'
- *       500:
- *         $ref: '#/components/responses/InternalServerError'
  */
 router.put('/:id/refund', 
   authenticate, 
+  requireAdmin,
   sanitizeInput, 
   preventMongoInjection, 
   validate(orderSchemas.params, 'params'), 
+  validate(orderSchemas.refund), 
   orderController.refundOrder
 );
 
+/**
+ * @swagger
+ * /api/orders/{id}/refunds/{refundId}/retry:
+ *   post:
+ *     summary: Retry a refund
+ *     description: |
+ *       Send a refund that failed again, or, with a reference, record a refund
+ *       paid by hand (admin only)
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: refundId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: RF-2026-00001
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reference:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Refund made, or recorded as failed again
+ *       400:
+ *         description: The refund cannot be retried
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/:id/refunds/:refundId/retry',
+  authenticate,
+  requireAdmin,
+  sanitizeInput,
+  preventMongoInjection,
+  validate(orderSchemas.refundParams, 'params'),
+  validate(orderSchemas.retryRefund),
+  orderController.retryRefund
+);
+
+/**
+ * @swagger
+ * /api/orders/{id}/credit-notes/{refundId}:
+ *   get:
+ *     summary: Download the credit note of a refund
+ *     description: |
+ *       The credit note of a refund as a bilingual PDF, correcting the order's
+ *       tax invoice. Customers can only download those of their own orders.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: refundId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Credit note PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: The refund has not been made
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id/credit-notes/:refundId',
+  authenticate,
+  sanitizeInput,
+  preventMongoInjection,
+  validate(orderSchemas.refundParams, 'params'),
+  orderController.downloadCreditNote
+);
+
 /**
  * @swagger
  * /api/orders/{id}/refund-eligibility:
@@ -509,9 +1062,14 @@ router.get('/:id/refund-eligibility',
 
 /**
  * @swagger
- * /orders/{id}/status:
- *   put:
- *     summary: Update order status
+ * /api/orders/{id}/invoice:
+ *   get:
+ *     summary: Download an order's tax invoice
+ *     description: |
+ *       The simplified tax invoice of a paid order as a bilingual PDF with its
+ *       QR code. It is issued when the order is paid; an order paid before
+ *       invoices were issued is invoiced on first download. Customers can only
+ *       download the invoices of their own orders.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -521,35 +1079,30 @@ router.get('/:id/refund-eligibility',
  *         required: true
  *         schema:
  *           type: string
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               status:
- *                 type: string
- *                 enum: [pending, confirmed, processing, shipped, delivered, cancelled]
- *               statusType:
- *                 type: string
- *                 enum: [order, payment]
- *                 default: order
+ *         description: Order ID
  *     responses:
  *       200:
- *         description: Order status updated successfully
+ *         description: Invoice PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
  *       400:
- *         $ref: '#/components/responses/BadRequest'
+ *         description: The order is not paid yet
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  *       404:
  *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
  */
-router.put('/:id/status', 
-  authenticate, 
-  sanitizeInput, 
-  preventMongoInjection, 
-  orderController.updateOrderStatus
+router.get('/:id/invoice',
+  authenticate,
+  sanitizeInput,
+  preventMongoInjection,
+  validate(orderSchemas.params, 'params'),
+  orderController.downloadInvoice
 );
 
 /**
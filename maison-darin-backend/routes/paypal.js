@@ -1,9 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const axios = require('axios');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, optionalAuth } = require('../middleware/auth');
 const SiteSettings = require('../models/SiteSettings');
 const orderService = require('../services/orderService');
+const giftCardService = require('../services/giftCardService');
+const invoiceService = require('../services/invoiceService');
 const currencyService = require('../services/currencyService');
 
 // PayPal configuration interface
@@ -405,25 +407,42 @@ router.post('/execute-payment', async (req, res) => {
 });
 
 // Create PayPal order with local order integration
-router.post('/orders', async (req, res) => {
+router.post('/orders', optionalAuth, async (req, res) => {
   try {
     console.log('📦 Creating PayPal order with data:', req.body);
     
     const { 
-      amount, 
       currency, 
       orderData,
       returnUrl, 
       cancelUrl
     } = req.body;
+    // A logged-in customer can pay part of the order with loyalty points or store credit
+    const customerEmail = req.user && req.user.role === 'customer' ? req.user.email : undefined;
 
     console.log('📍 PayPal Order Creation - Development Mode');
 
     // Validate required data
-    if (!amount || !orderData) {
+    if (!orderData) {
       return res.status(400).json({ 
         success: false,
-        message: 'Amount and order data are required' 
+        message: 'Order data is required' 
+      });
+    }
+
+    // Charge what the server prices the order at, never an amount sent by the client;
+    // pre-orders with a deposit only charge the deposit now
+    let amount;
+    try {
+      const quote = await orderService.quoteOrder(orderData, { customerEmail });
+      amount = quote.amountDue;
+      if (amount <= 0) {
+        throw new Error('Nothing is left to pay with PayPal; place the order without it');
+      }
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
       });
     }
 
@@ -519,7 +538,7 @@ router.post('/orders', async (req, res) => {
       status: 'pending'
     };
 
-    const localOrder = await orderService.createOrder(localOrderData);
+    const localOrder = await orderService.createOrder(localOrderData, { customerEmail });
     console.log('✅ Local order created:', localOrder.orderNumber);
 
     // Create PayPal order
@@ -587,8 +606,8 @@ router.post('/orders', async (req, res) => {
     } else {
       console.error('❌ PayPal order creation failed:', paypalResult);
       
-      // Delete the local order if PayPal order creation failed
-      await orderService.cancelOrder(localOrder._id, 'PayPal order creation failed');
+      // Cancel the local order and put its stock back on sale
+      await orderService.releaseStockReservation(localOrder._id);
       
       res.status(400).json({ 
         success: false,
@@ -706,6 +725,18 @@ router.post('/orders/:orderId/capture', async (req, res) => {
     
     console.log('✅ Access token obtained successfully');
 
+    // Take the held stock before charging; once the hold has expired the items
+    // may have been sold to someone else
+    const reservationClaimed = await orderService.claimStockReservation(orderId);
+    if (!reservationClaimed) {
+      console.error('❌ Stock reservation expired for PayPal order:', orderId);
+      return res.status(409).json({
+        success: false,
+        message: 'انتهت مدة حجز المنتجات، يرجى إعادة الطلب',
+        error: 'RESERVATION_EXPIRED'
+      });
+    }
+
     // Capture PayPal order
     console.log('\n💳 Attempting to capture PayPal order...');
     console.log('   Endpoint:', `${baseURL}/v2/checkout/orders/${orderId}/capture`);
@@ -739,29 +770,23 @@ router.post('/orders/:orderId/capture', async (req, res) => {
       if (localOrder) {
         console.log('✅ Local order found:', localOrder.orderNumber);
         
-        // Update local order status
-        localOrder.paymentStatus = 'paid';
-        localOrder.status = 'confirmed';
-        localOrder.paypalCaptureId = captureResult.id;
-        localOrder.paymentDetails = {
-          paypalOrderId: orderId,
+        // Record the payment and confirm the order; a pre-order keeps waiting
+        // for its release, and one that only took a deposit still has its balance to pay
+        const paidOrder = await orderService.markOrderPaid(localOrder._id, {
           paypalCaptureId: captureResult.id,
-          captureTime: new Date(),
-          amount: captureResult.purchase_units[0].payments.captures[0].amount
-        };
-        
-        await localOrder.save();
-        
-        console.log(`✅ Order ${localOrder.orderNumber} marked as paid and confirmed`);
-
-        // Now send confirmation emails since payment is successful
-        try {
-          console.log('📧 Sending confirmation emails...');
-          await orderService.sendOrderConfirmationEmails(localOrder);
-          console.log(`✅ Confirmation emails sent for order ${localOrder.orderNumber}`);
-        } catch (emailError) {
-          console.error(`❌ Failed to send confirmation emails for order ${localOrder.orderNumber}:`, emailError.message);
-          // Don't fail the payment completion if email fails
+          paymentDetails: {
+            paypalOrderId: orderId,
+            paypalCaptureId: captureResult.id,
+            captureTime: new Date(),
+            amount: captureResult.purchase_units[0].payments.captures[0].amount
+          }
+        });
+
+        if (paidOrder) {
+          console.log(`✅ Order ${paidOrder.orderNumber} marked as paid (${paidOrder.status})`);
+          await completePaidOrder(paidOrder);
+        } else {
+          console.log(`ℹ️ Payment for order ${localOrder.orderNumber} was already recorded`);
         }
 
         console.log('\n═══════════════════════════════════════');
@@ -795,6 +820,9 @@ router.post('/orders/:orderId/capture', async (req, res) => {
       console.error('   Response Status:', captureResponse.status);
       console.error('   Result Status:', captureResult.status);
       console.error('   Error Details:', JSON.stringify(captureResult, null, 2));
+
+      // Keep holding the stock until the reservation expires, so the customer can retry
+      await orderService.unclaimStockReservation(orderId);
       
       // Parse specific PayPal error messages
       let errorMessage = 'فشل في تأكيد الدفع';
@@ -860,6 +888,12 @@ router.post('/orders/:orderId/capture', async (req, res) => {
     console.error('Error Message:', error.message);
     console.error('Stack Trace:', error.stack);
     console.error('═══════════════════════════════════════\n');
+
+    try {
+      await orderService.unclaimStockReservation(req.params.orderId);
+    } catch (unclaimError) {
+      console.error('Failed to put stock reservation back on hold:', unclaimError.message);
+    }
     
     res.status(500).json({
       success: false,
@@ -924,6 +958,27 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
   }
 });
 
+// Issue the gift cards bought with a newly paid order and its tax invoice,
+// and email its confirmation
+async function completePaidOrder(order) {
+  try {
+    await giftCardService.issueOrderGiftCards(order._id);
+  } catch (giftCardError) {
+    console.error(`❌ Failed to issue gift cards for order ${order.orderNumber}:`, giftCardError.message);
+  }
+
+  const invoice = await invoiceService.issueInvoiceSafely(order);
+
+  // Don't fail the payment completion if email fails
+  try {
+    console.log('📧 Sending confirmation emails...');
+    await orderService.sendOrderConfirmationEmails(order, invoice);
+    console.log(`✅ Confirmation emails sent for order ${order.orderNumber}`);
+  } catch (emailError) {
+    console.error(`❌ Failed to send confirmation emails for order ${order.orderNumber}:`, emailError.message);
+  }
+}
+
 // Webhook event handlers
 async function handlePaymentCaptureCompleted(event) {
   try {
@@ -938,19 +993,12 @@ async function handlePaymentCaptureCompleted(event) {
     console.log(`   Custom ID: ${customId}`);
 
     if (customId) {
-      // Update local order status
-      const order = await orderService.updateOrderStatus(customId, 'completed', {
-        paymentStatus: 'completed',
-        paypalCaptureId: captureId,
-        webhookProcessed: true,
-        webhookTimestamp: new Date()
-      });
+      // Usually the capture request has recorded the payment already
+      const order = await orderService.markOrderPaid(customId, { paypalCaptureId: captureId });
 
       if (order) {
-        console.log(`✅ Order ${order.orderNumber} marked as completed via webhook`);
-        
-        // Send confirmation email if needed
-        // await emailService.sendOrderConfirmation(order);
+        console.log(`✅ Order ${order.orderNumber} marked as paid via webhook`);
+        await completePaidOrder(order);
       }
     }
   } catch (error) {
@@ -969,15 +1017,12 @@ async function handlePaymentCaptureDenied(event) {
     console.log(`   Custom ID: ${customId}`);
 
     if (customId) {
-      await orderService.updateOrderStatus(customId, 'cancelled', {
-        paymentStatus: 'failed',
-        paypalCaptureId: captureId,
-        webhookProcessed: true,
-        webhookTimestamp: new Date(),
-        cancellationReason: 'Payment capture denied by PayPal'
-      });
+      // Cancels the order and returns its stock, unless it was paid after all
+      const order = await orderService.releaseStockReservation(customId);
 
-      console.log(`❌ Order marked as cancelled due to payment denial`);
+      if (order) {
+        console.log(`❌ Order ${order.orderNumber} cancelled due to payment denial`);
+      }
     }
   } catch (error) {
     console.error('❌ Error handling payment capture denied:', error);
@@ -985,52 +1030,18 @@ async function handlePaymentCaptureDenied(event) {
 }
 
 async function handlePaymentCapturePending(event) {
-  try {
-    const resource = event.resource;
-    const customId = resource.custom_id;
-    const captureId = resource.id;
-
-    console.log('⏳ Payment Capture Pending:');
-    console.log(`   Capture ID: ${captureId}`);
-    console.log(`   Custom ID: ${customId}`);
+  const resource = event.resource;
 
-    if (customId) {
-      await orderService.updateOrderStatus(customId, 'processing', {
-        paymentStatus: 'pending',
-        paypalCaptureId: captureId,
-        webhookProcessed: true,
-        webhookTimestamp: new Date()
-      });
-
-      console.log(`⏳ Order marked as processing (payment pending)`);
-    }
-  } catch (error) {
-    console.error('❌ Error handling payment capture pending:', error);
-  }
+  // The order keeps waiting for its payment; the completed or denied event settles it
+  console.log('⏳ Payment Capture Pending:');
+  console.log(`   Capture ID: ${resource.id}`);
+  console.log(`   Custom ID: ${resource.custom_id}`);
 }
 
 async function handleOrderApproved(event) {
-  try {
-    const resource = event.resource;
-    const orderId = resource.id;
-
-    console.log('✅ Order Approved:');
-    console.log(`   PayPal Order ID: ${orderId}`);
-
-    // Find local order by PayPal order ID
-    const order = await orderService.findByPayPalOrderId(orderId);
-    if (order) {
-      await orderService.updateOrderStatus(order._id, 'processing', {
-        paymentStatus: 'approved',
-        webhookProcessed: true,
-        webhookTimestamp: new Date()
-      });
-
-      console.log(`✅ Order ${order.orderNumber} marked as approved`);
-    }
-  } catch (error) {
-    console.error('❌ Error handling order approved:', error);
-  }
+  // Approval is not payment; the order is paid once its capture completes
+  console.log('✅ Order Approved:');
+  console.log(`   PayPal Order ID: ${event.resource.id}`);
 }
 
 async function handleOrderCompleted(event) {
@@ -1042,15 +1053,14 @@ async function handleOrderCompleted(event) {
     console.log(`   PayPal Order ID: ${orderId}`);
 
     // Find local order by PayPal order ID
-    const order = await orderService.findByPayPalOrderId(orderId);
-    if (order) {
-      await orderService.updateOrderStatus(order._id, 'completed', {
-        paymentStatus: 'completed',
-        webhookProcessed: true,
-        webhookTimestamp: new Date()
-      });
+    const localOrder = await orderService.findByPayPalOrderId(orderId);
+    if (localOrder) {
+      const order = await orderService.markOrderPaid(localOrder._id);
 
-      console.log(`🎉 Order ${order.orderNumber} completed via webhook`);
+      if (order) {
+        console.log(`🎉 Order ${order.orderNumber} marked as paid via webhook`);
+        await completePaidOrder(order);
+      }
     }
   } catch (error) {
     console.error('❌ Error handling order completed:', error);
@@ -0,0 +1,205 @@
+const express = require('express');
+const router = express.Router();
+const priceRuleController = require('../controllers/priceRuleController');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { validate, sanitizeInput, preventMongoInjection } = require('../middleware/validation');
+const { priceRuleSchemas } = require('../validation/schemas');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PriceRule:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           $ref: '#/components/schemas/MultilingualText'
+ *         scope:
+ *           type: string
+ *           enum: [product, category]
+ *         product:
+ *           type: string
+ *           description: Product discounted, when scope is product
+ *         category:
+ *           type: string
+ *           description: ID of the category discounted with its subcategories, when scope is category
+ *         discountType:
+ *           type: string
+ *           enum: [percentage, fixed]
+ *         value:
+ *           type: number
+ *           description: Percentage off (below 100) or amount off each unit
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *         active:
+ *           type: boolean
+ *           description: Paused rules don't apply even within their window
+ */
+
+/**
+ * @swagger
+ * /api/price-rules:
+ *   get:
+ *     summary: Get price rules
+ *     tags: [Price Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [running, scheduled, ended, paused]
+ *       - in: query
+ *         name: product
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Price rules retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/',
+  authenticate,
+  requireAdmin,
+  sanitizeInput,
+  preventMongoInjection,
+  validate(priceRuleSchemas.query, 'query'),
+  priceRuleController.getRules
+);
+
+/**
+ * @swagger
+ * /api/price-rules:
+ *   post:
+ *     summary: Schedule a sale on a product or category
+ *     description: When several rules apply to a product at once, customers get the lowest price. The change is recorded in the price history of every product covered.
+ *     tags: [Price Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PriceRule'
+ *     responses:
+ *       201:
+ *         description: Price rule created successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/',
+  authenticate,
+  requireAdmin,
+  sanitizeInput,
+  preventMongoInjection,
+  validate(priceRuleSchemas.create),
+  priceRuleController.createRule
+);
+
+/**
+ * @swagger
+ * /api/price-rules/{id}:
+ *   put:
+ *     summary: Update a sale
+ *     tags: [Price Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PriceRule'
+ *     responses:
+ *       200:
+ *         description: Price rule updated successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.put('/:id',
+  authenticate,
+  requireAdmin,
+  sanitizeInput,
+  preventMongoInjection,
+  validate(priceRuleSchemas.params, 'params'),
+  validate(priceRuleSchemas.update),
+  priceRuleController.updateRule
+);
+
+/**
+ * @swagger
+ * /api/price-rules/{id}:
+ *   delete:
+ *     summary: Delete a sale
+ *     tags: [Price Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Price rule deleted successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.delete('/:id',
+  authenticate,
+  requireAdmin,
+  sanitizeInput,
+  preventMongoInjection,
+  validate(priceRuleSchemas.params, 'params'),
+  priceRuleController.deleteRule
+);
+
+module.exports = router;
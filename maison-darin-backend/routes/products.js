@@ -23,11 +23,29 @@ const { productSchemas } = require('../validation/schemas');
  *         price:
  *           type: number
  *           minimum: 0
+ *           description: Regular price
+ *         effectivePrice:
+ *           type: number
+ *           description: Price after any running sale (read-only)
+ *         sale:
+ *           $ref: '#/components/schemas/ProductSale'
  *         size:
  *           type: string
- *         category:
- *           type: string
- *           enum: [floral, oriental, fresh, woody, citrus, spicy, aquatic, gourmand]
+ *         categories:
+ *           type: array
+ *           description: The product's categories
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               name:
+ *                 $ref: '#/components/schemas/MultilingualText'
+ *               slug:
+ *                 type: string
+ *               parentCategory:
+ *                 type: string
+ *                 nullable: true
  *         images:
  *           type: array
  *           items:
@@ -43,10 +61,73 @@ const { productSchemas } = require('../validation/schemas');
  *                 type: number
  *         featured:
  *           type: boolean
+ *         averageRating:
+ *           type: number
+ *           description: Average of approved review ratings (read-only)
+ *         reviewCount:
+ *           type: integer
+ *           description: Number of approved reviews (read-only)
  *         inStock:
  *           type: boolean
  *         stock:
  *           type: number
+ *         lowStockThreshold:
+ *           type: integer
+ *           nullable: true
+ *           description: Stock level at or below which a low-stock alert is raised; no alerts when null
+ *         lowStockAlertedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the current low-stock alert was raised (read-only)
+ *         preOrder:
+ *           type: object
+ *           description: Pre-order mode for upcoming launches; switched off on the release date
+ *           properties:
+ *             enabled:
+ *               type: boolean
+ *             releaseDate:
+ *               type: string
+ *               format: date-time
+ *             cap:
+ *               type: integer
+ *               nullable: true
+ *               description: Maximum units that can be pre-ordered; unlimited when null
+ *             depositPercent:
+ *               type: number
+ *               nullable: true
+ *               description: Share of the price paid up front; the full price when null
+ *             reserved:
+ *               type: integer
+ *               description: Units currently pre-ordered (read-only)
+ *             releasedAt:
+ *               type: string
+ *               format: date-time
+ *               description: When the product was launched (read-only)
+ *         stockDrift:
+ *           type: object
+ *           description: Set by stock reconciliation when stock differs from the stock ledger (read-only)
+ *           properties:
+ *             ledgerStock:
+ *               type: integer
+ *             difference:
+ *               type: integer
+ *             detectedAt:
+ *               type: string
+ *               format: date-time
+ *         variants:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ProductVariant'
+ *         type:
+ *           type: string
+ *           enum: [single, bundle]
+ *           default: single
+ *           description: Bundles (gift sets) are sold at their own price; their stock is derived from the components
+ *         components:
+ *           type: array
+ *           description: Products inside a bundle
+ *           items:
+ *             $ref: '#/components/schemas/BundleComponent'
  *         concentration:
  *           $ref: '#/components/schemas/MultilingualText'
  *         notes:
@@ -71,15 +152,78 @@ const { productSchemas } = require('../validation/schemas');
  *         updatedAt:
  *           type: string
  *           format: date-time
+ *
+ *     ProductSale:
+ *       type: object
+ *       nullable: true
+ *       description: The price rule discounting the product right now (read-only)
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           $ref: '#/components/schemas/MultilingualText'
+ *         discountType:
+ *           type: string
+ *           enum: [percentage, fixed]
+ *         value:
+ *           type: number
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     ProductVariant:
+ *       type: object
+ *       required:
+ *         - size
+ *         - sku
+ *         - price
+ *       properties:
+ *         _id:
+ *           type: string
+ *         size:
+ *           type: string
+ *           example: 50ml
+ *         sku:
+ *           type: string
+ *         price:
+ *           type: number
+ *           minimum: 0
+ *         compareAtPrice:
+ *           type: number
+ *           minimum: 0
+ *         effectivePrice:
+ *           type: number
+ *           description: Price after any running sale (read-only)
+ *         stock:
+ *           type: number
+ *         barcode:
+ *           type: string
+ *         isDefault:
+ *           type: boolean
  *     
+ *     BundleComponent:
+ *       type: object
+ *       required: [product]
+ *       properties:
+ *         product:
+ *           type: string
+ *           description: Component product ID
+ *         variant:
+ *           type: string
+ *           description: Variant ID, required when the component is sold in sizes
+ *         quantity:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
  *     ProductCreate:
  *       type: object
+ *       description: price and size may be omitted when variants are provided
  *       required:
  *         - name
  *         - description
  *         - price
  *         - size
- *         - category
+ *         - categories
  *       properties:
  *         name:
  *           $ref: '#/components/schemas/MultilingualText'
@@ -92,9 +236,12 @@ const { productSchemas } = require('../validation/schemas');
  *           minimum: 0
  *         size:
  *           type: string
- *         category:
- *           type: string
- *           enum: [floral, oriental, fresh, woody, citrus, spicy, aquatic, gourmand]
+ *         categories:
+ *           type: array
+ *           description: IDs of the categories and subcategories the product is listed under
+ *           minItems: 1
+ *           items:
+ *             type: string
  *         images:
  *           type: array
  *           items:
@@ -114,6 +261,20 @@ const { productSchemas } = require('../validation/schemas');
  *           type: boolean
  *         stock:
  *           type: number
+ *         variants:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ProductVariant'
+ *         type:
+ *           type: string
+ *           enum: [single, bundle]
+ *           default: single
+ *           description: Bundles (gift sets) are sold at their own price; their stock is derived from the components
+ *         components:
+ *           type: array
+ *           description: Products inside a bundle
+ *           items:
+ *             $ref: '#/components/schemas/BundleComponent'
  *         concentration:
  *           $ref: '#/components/schemas/MultilingualText'
  *         notes:
@@ -161,8 +322,7 @@ const { productSchemas } = require('../validation/schemas');
  *         name: category
  *         schema:
  *           type: string
- *           enum: [floral, oriental, fresh, woody, citrus, spicy, aquatic, gourmand]
- *         description: Filter by product category
+ *         description: Filter by category ID or slug; products in its subcategories are included
  *       - in: query
  *         name: featured
  *         schema:
@@ -174,10 +334,18 @@ const { productSchemas } = require('../validation/schemas');
  *           type: boolean
  *         description: Filter by stock availability
  *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [single, bundle]
+ *         description: Filter by product type, e.g. gift sets only
+ *       - in: query
  *         name: search
  *         schema:
  *           type: string
- *         description: Search in product names and descriptions (both languages)
+ *         description: |
+ *           Relevance-ranked search over names, descriptions, fragrance notes,
+ *           concentration and category in both languages, with typo tolerance
  *       - in: query
  *         name: minPrice
  *         schema:
@@ -194,9 +362,8 @@ const { productSchemas } = require('../validation/schemas');
  *         name: sortBy
  *         schema:
  *           type: string
- *           enum: [name, price, createdAt, updatedAt]
- *           default: createdAt
- *         description: Sort field
+ *           enum: [relevance, name, price, averageRating, createdAt, updatedAt]
+ *         description: Sort field (defaults to relevance when searching, createdAt otherwise)
  *       - in: query
  *         name: sortOrder
  *         schema:
@@ -204,9 +371,78 @@ const { productSchemas } = require('../validation/schemas');
  *           enum: [asc, desc]
  *           default: desc
  *         description: Sort order
+ *       - in: query
+ *         name: topNotes
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *         style: form
+ *         explode: false
+ *         description: Top notes (English names, comma-separated or repeated); any may match
+ *       - in: query
+ *         name: middleNotes
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *         style: form
+ *         explode: false
+ *         description: Middle notes; any may match
+ *       - in: query
+ *         name: baseNotes
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *         style: form
+ *         explode: false
+ *         description: Base notes; any may match
+ *       - in: query
+ *         name: concentration
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [extrait, parfum, edp, edt, edc]
+ *         style: form
+ *         explode: false
+ *         description: Concentration codes
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *         style: form
+ *         explode: false
+ *         description: Bottle sizes (e.g. 50ml), matched against the product and its variants
+ *       - in: query
+ *         name: priceBand
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: ['0-100', '100-200', '200-300', '300-500', '500+']
+ *         style: form
+ *         explode: false
+ *         description: Price bands
+ *       - in: query
+ *         name: availability
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [inStock, outOfStock]
+ *         style: form
+ *         explode: false
+ *         description: Stock availability
  *     responses:
  *       200:
- *         description: Products retrieved successfully
+ *         description: |
+ *           Products retrieved successfully. `facets` holds the values of each
+ *           facet dimension with product counts; a dimension's counts apply
+ *           every other selected filter but not its own.
  *         content:
  *           application/json:
  *             schema:
@@ -223,6 +459,19 @@ const { productSchemas } = require('../validation/schemas');
  *                         $ref: '#/components/schemas/Product'
  *                     pagination:
  *                       $ref: '#/components/schemas/PaginationMeta'
+ *                 facets:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         value:
+ *                           type: string
+ *                         label:
+ *                           $ref: '#/components/schemas/MultilingualText'
+ *                         count:
+ *                           type: integer
  *                 message:
  *                   type: string
  *       400:
@@ -267,16 +516,37 @@ router.get('/',
  *         $ref: '#/components/responses/InternalServerError'
  */
 router.get('/featured', productController.getFeaturedProducts);
+
 /**
  * @swagger
- * /api/products/categories:
+ * /api/products/autocomplete:
  *   get:
- *     summary: Get product categories
- *     description: Retrieve all available product categories with translations
+ *     summary: Search suggestions
+ *     description: |
+ *       Search-as-you-type suggestions for the storefront header. Matching is
+ *       Arabic-aware (hamza, taa marbuta and diacritics are ignored), works across
+ *       languages (e.g. "oud" finds "عود"), tolerates small typos and covers names,
+ *       fragrance notes, concentration and category.
  *     tags: [Products]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 100
+ *         description: Partial search query in English or Arabic
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 10
+ *           default: 6
+ *         description: Maximum number of product suggestions
  *     responses:
  *       200:
- *         description: Categories retrieved successfully
+ *         description: Suggestions retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -287,15 +557,195 @@ router.get('/featured', productController.getFeaturedProducts);
  *                 data:
  *                   type: object
  *                   properties:
- *                     categories:
+ *                     products:
  *                       type: array
  *                       items:
  *                         type: object
  *                         properties:
- *                           value:
+ *                           _id:
  *                             type: string
+ *                           name:
+ *                             $ref: '#/components/schemas/MultilingualText'
+ *                           price:
+ *                             type: number
+ *                           categories:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                           image:
+ *                             type: string
+ *                           inStock:
+ *                             type: boolean
+ *                     notes:
+ *                       type: array
+ *                       description: Fragrance notes matching the query
+ *                       items:
+ *                         type: string
+ *                 message:
+ *                   type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/autocomplete',
+  sanitizeInput,
+  preventMongoInjection,
+  validate(productSchemas.autocomplete, 'query'),
+  productController.autocomplete
+);
+
+/**
+ * @swagger
+ * /api/products/compare:
+ *   get:
+ *     summary: Compare products
+ *     description: |
+ *       Side-by-side data for up to four products: price per ml, concentration,
+ *       sizes, notes by layer, rating and availability, with bilingual labels.
+ *       Products that no longer exist are left out.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: query
+ *         name: ids
+ *         required: true
+ *         schema:
+ *           type: array
+ *           maxItems: 4
+ *           items:
+ *             type: string
+ *         style: form
+ *         explode: false
+ *         description: Product IDs, comma-separated, in display order
+ *     responses:
+ *       200:
+ *         description: Comparison retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       name:
+ *                         $ref: '#/components/schemas/MultilingualText'
+ *                       image:
+ *                         type: string
+ *                         nullable: true
+ *                       effectivePrice:
+ *                         type: number
+ *                       pricePerMl:
+ *                         type: number
+ *                         nullable: true
+ *                         description: Cheapest price per ml across the product's sizes
+ *                       sizes:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             variant:
+ *                               type: string
+ *                               nullable: true
+ *                             size:
+ *                               type: string
+ *                             price:
+ *                               type: number
+ *                             effectivePrice:
+ *                               type: number
+ *                             pricePerMl:
+ *                               type: number
+ *                               nullable: true
+ *                             inStock:
+ *                               type: boolean
+ *                       concentration:
+ *                         type: object
+ *                         properties:
+ *                           code:
+ *                             type: string
+ *                             nullable: true
  *                           label:
  *                             $ref: '#/components/schemas/MultilingualText'
+ *                       notes:
+ *                         type: object
+ *                         properties:
+ *                           top:
+ *                             $ref: '#/components/schemas/MultilingualText'
+ *                           middle:
+ *                             $ref: '#/components/schemas/MultilingualText'
+ *                           base:
+ *                             $ref: '#/components/schemas/MultilingualText'
+ *                       rating:
+ *                         type: object
+ *                         properties:
+ *                           average:
+ *                             type: number
+ *                           count:
+ *                             type: integer
+ *                       availability:
+ *                         type: object
+ *                         properties:
+ *                           status:
+ *                             type: string
+ *                             enum: [in_stock, low_stock, out_of_stock, pre_order]
+ *                           releaseDate:
+ *                             type: string
+ *                             format: date-time
+ *                             nullable: true
+ *                 message:
+ *                   type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/compare',
+  sanitizeInput,
+  preventMongoInjection,
+  validate(productSchemas.compare, 'query'),
+  productController.compareProducts
+);
+/**
+ * @swagger
+ * /api/products/categories:
+ *   get:
+ *     summary: Get product categories
+ *     description: Retrieve the active categories, parents before their subcategories
+ *     tags: [Products]
+ *     responses:
+ *       200:
+ *         description: Categories retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       name:
+ *                         $ref: '#/components/schemas/MultilingualText'
+ *                       slug:
+ *                         type: string
+ *                       parentCategory:
+ *                         type: string
+ *                         nullable: true
+ *                       ancestors:
+ *                         type: array
+ *                         items:
+ *                           type: string
  *                 message:
  *                   type: string
  *       500:
@@ -332,6 +782,14 @@ router.get('/categories', productController.getCategories);
  *                         properties:
  *                           category:
  *                             type: string
+ *                             description: Category ID; counts include its subcategories
+ *                           slug:
+ *                             type: string
+ *                           parentCategory:
+ *                             type: string
+ *                             nullable: true
+ *                           label:
+ *                             $ref: '#/components/schemas/MultilingualText'
  *                           totalProducts:
  *                             type: number
  *                           inStockProducts:
@@ -411,6 +869,18 @@ router.get('/:id',
  *         schema:
  *           type: string
  *         description: Product ID
+ *       - in: query
+ *         name: quantity
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Quantity to check
+ *       - in: query
+ *         name: variantId
+ *         schema:
+ *           type: string
+ *         description: Variant to check when the product is sold in variants
  *     responses:
  *       200:
  *         description: Availability checked successfully
@@ -446,6 +916,304 @@ router.get('/:id/availability',
   productController.checkAvailability
 );
 
+/**
+ * @swagger
+ * /api/products/{id}/recommendations:
+ *   get:
+ *     summary: Get product recommendations
+ *     description: |
+ *       Products similar to this one, ranked by shared fragrance notes (base notes
+ *       weigh most), category and price proximity, plus products that customers
+ *       frequently ordered together with it. Only in-stock products are returned.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 12
+ *           default: 4
+ *         description: Products per list
+ *     responses:
+ *       200:
+ *         description: Recommendations retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     similar:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Product'
+ *                           - type: object
+ *                             properties:
+ *                               recommendation:
+ *                                 type: object
+ *                                 properties:
+ *                                   score:
+ *                                     type: number
+ *                                     description: Similarity from 0 to 1
+ *                                   sharedNotes:
+ *                                     type: object
+ *                                     description: Notes in common with the viewed product
+ *                                     properties:
+ *                                       en:
+ *                                         type: array
+ *                                         items:
+ *                                           type: string
+ *                                       ar:
+ *                                         type: array
+ *                                         items:
+ *                                           type: string
+ *                     boughtTogether:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Product'
+ *                           - type: object
+ *                             properties:
+ *                               recommendation:
+ *                                 type: object
+ *                                 properties:
+ *                                   orders:
+ *                                     type: integer
+ *                                     description: Orders containing both products
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id/recommendations',
+  sanitizeInput,
+  preventMongoInjection,
+  validate(productSchemas.params, 'params'),
+  validate(productSchemas.recommendations, 'query'),
+  productController.getRecommendations
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/price-history:
+ *   get:
+ *     summary: Get product price history
+ *     description: Regular price edits and sales scheduled, changed or cancelled on the product, newest first (admin only)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Price history retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id/price-history',
+  authMiddleware.authenticate,
+  authMiddleware.requireAdmin,
+  sanitizeInput,
+  preventMongoInjection,
+  validate(productSchemas.params, 'params'),
+  validate(productSchemas.priceHistory, 'query'),
+  productController.getPriceHistory
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StockMovement:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         product:
+ *           type: string
+ *         variant:
+ *           type: string
+ *         size:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [opening_balance, sale, cancellation_restock, refund, manual_adjustment, damage, sample_usage, stock_count]
+ *         quantity:
+ *           type: integer
+ *           description: Signed change, negative when stock leaves
+ *         previousStock:
+ *           type: integer
+ *         newStock:
+ *           type: integer
+ *         order:
+ *           type: string
+ *         sampleRequest:
+ *           type: string
+ *         reason:
+ *           type: string
+ *         performedBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/products/{id}/stock-movements:
+ *   get:
+ *     summary: Get product stock ledger
+ *     description: Every change to the product's stock with its reason, newest first (admin only)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Stock movements retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StockMovement'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id/stock-movements',
+  authMiddleware.authenticate,
+  authMiddleware.requireAdmin,
+  sanitizeInput,
+  preventMongoInjection,
+  validate(productSchemas.params, 'params'),
+  validate(productSchemas.stockMovements, 'query'),
+  productController.getStockMovements
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/stock-movements:
+ *   post:
+ *     summary: Record a stock movement
+ *     description: Record damage, sample usage, a stock count or a manual adjustment and move the stock accordingly (admin only)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [manual_adjustment, damage, sample_usage, stock_count]
+ *               quantity:
+ *                 type: integer
+ *                 description: Signed change for an adjustment; units taken for damage and sample usage
+ *               stock:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Units counted, for a stock count
+ *               variantId:
+ *                 type: string
+ *                 description: Required for products sold in several sizes
+ *               reason:
+ *                 type: string
+ *               sampleRequest:
+ *                 type: string
+ *                 description: Sample request the stock was used for
+ *     responses:
+ *       201:
+ *         description: Stock movement recorded successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/:id/stock-movements',
+  authMiddleware.authenticate,
+  authMiddleware.requireAdmin,
+  sanitizeInput,
+  preventMongoInjection,
+  validate(productSchemas.params, 'params'),
+  validate(productSchemas.stockMovement),
+  productController.recordStockMovement
+);
+
 /**
  * @swagger
  * /api/products:
@@ -589,6 +1357,8 @@ router.put('/:id',
  *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The product is a component of a bundle
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
@@ -631,6 +1401,9 @@ router.delete('/:id',
  *               inStock:
  *                 type: boolean
  *                 description: Whether product is in stock
+ *               reason:
+ *                 type: string
+ *                 description: Recorded in the stock ledger
  *     responses:
  *       200:
  *         description: Stock updated successfully
@@ -667,6 +1440,68 @@ router.patch('/:id/stock',
   productController.updateStock
 );
 
+/**
+ * @swagger
+ * /api/products/{id}/variants/{variantId}/stock:
+ *   patch:
+ *     summary: Update variant stock
+ *     description: Set the stock quantity for a single product variant (admin only)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Variant ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - stock
+ *             properties:
+ *               stock:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: New stock quantity for the variant
+ *               reason:
+ *                 type: string
+ *                 description: Recorded in the stock ledger
+ *     responses:
+ *       200:
+ *         description: Variant stock updated successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.patch('/:id/variants/:variantId/stock', 
+  authMiddleware.authenticate, 
+  authMiddleware.requireAdmin,
+  sanitizeInput, 
+  preventMongoInjection, 
+  validate(productSchemas.variantParams, 'params'), 
+  validate(productSchemas.variantStock), 
+  productController.updateVariantStock
+);
+
 /**
  * @swagger
  * /api/products/bulk/stock:
@@ -700,6 +1535,8 @@ router.patch('/:id/stock',
  *                       minimum: 0
  *                     inStock:
  *                       type: boolean
+ *                     reason:
+ *                       type: string
  *     responses:
  *       200:
  *         description: Bulk stock update completed
@@ -793,6 +1630,10 @@ router.patch('/bulk/stock',
  *                         properties:
  *                           category:
  *                             type: string
+ *                           name:
+ *                             $ref: '#/components/schemas/MultilingualText'
+ *                           slug:
+ *                             type: string
  *                           count:
  *                             type: number
  *                           value:
@@ -809,4 +1650,59 @@ router.get('/inventory/report',
   productController.getInventoryReport
 );
 
+/**
+ * @swagger
+ * /api/products/inventory/reconcile:
+ *   post:
+ *     summary: Reconcile stock with the stock ledger
+ *     description: >
+ *       Compare each product's stock with the sum of its stock movements and flag
+ *       (stockDrift) the ones that differ. Products stocked before the ledger existed
+ *       get an opening balance first. Also runs daily (admin only).
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Stock reconciled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     checked:
+ *                       type: integer
+ *                     openingBalances:
+ *                       type: integer
+ *                     drifted:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           product:
+ *                             type: string
+ *                           stock:
+ *                             type: integer
+ *                           ledgerStock:
+ *                             type: integer
+ *                           difference:
+ *                             type: integer
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/inventory/reconcile',
+  authMiddleware.authenticate,
+  authMiddleware.requireAdmin,
+  productController.reconcileStock
+);
+
 module.exports = router;
\ No newline at end of file
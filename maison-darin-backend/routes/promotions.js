@@ -0,0 +1,245 @@
+const express = require('express');
+const router = express.Router();
+const promotionController = require('../controllers/promotionController');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { validate, sanitizeInput, preventMongoInjection } = require('../middleware/validation');
+const { promotionSchemas } = require('../validation/schemas');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Promotion:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           $ref: '#/components/schemas/MultilingualText'
+ *         code:
+ *           type: string
+ *           nullable: true
+ *           description: Coupon code entered at checkout; without one the promotion applies to every order that qualifies
+ *         type:
+ *           type: string
+ *           enum: [percentage, fixed, free_shipping, buy_x_get_y]
+ *         value:
+ *           type: number
+ *           description: Percentage off the covered items, or amount off them, for those types
+ *         buyQuantity:
+ *           type: integer
+ *         getQuantity:
+ *           type: integer
+ *           description: Of every buyQuantity + getQuantity covered units, the cheapest getQuantity are discounted
+ *         getDiscountPercent:
+ *           type: number
+ *           default: 100
+ *         minOrderValue:
+ *           type: number
+ *           description: Items subtotal the order must reach
+ *         appliesTo:
+ *           type: string
+ *           enum: [all, products, categories]
+ *         products:
+ *           type: array
+ *           items:
+ *             type: string
+ *         categories:
+ *           type: array
+ *           description: Categories covered with their subcategories
+ *           items:
+ *             type: string
+ *         customerTiers:
+ *           type: array
+ *           description: Tiers by amount spent; empty for every customer
+ *           items:
+ *             type: string
+ *             enum: [bronze, silver, gold, platinum]
+ *         excludeSaleItems:
+ *           type: boolean
+ *         stackable:
+ *           type: boolean
+ *           description: Stackable promotions combine with each other; any other is used on its own
+ *         usageLimit:
+ *           type: integer
+ *           nullable: true
+ *         perCustomerLimit:
+ *           type: integer
+ *           nullable: true
+ *           description: Orders per customer email
+ *         usedCount:
+ *           type: integer
+ *           readOnly: true
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         active:
+ *           type: boolean
+ *           description: Paused promotions don't apply even within their window
+ */
+
+/**
+ * @swagger
+ * /api/promotions:
+ *   get:
+ *     summary: Get promotions and coupons
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [running, scheduled, ended, paused]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [percentage, fixed, free_shipping, buy_x_get_y]
+ *       - in: query
+ *         name: search
+ *         description: Matches the code or name
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Promotions retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/',
+  authenticate,
+  requireAdmin,
+  sanitizeInput,
+  preventMongoInjection,
+  validate(promotionSchemas.query, 'query'),
+  promotionController.getPromotions
+);
+
+/**
+ * @swagger
+ * /api/promotions:
+ *   post:
+ *     summary: Create a coupon or automatic promotion
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *     responses:
+ *       201:
+ *         description: Promotion created successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/',
+  authenticate,
+  requireAdmin,
+  sanitizeInput,
+  preventMongoInjection,
+  validate(promotionSchemas.create),
+  promotionController.createPromotion
+);
+
+/**
+ * @swagger
+ * /api/promotions/{id}:
+ *   put:
+ *     summary: Update a promotion
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *     responses:
+ *       200:
+ *         description: Promotion updated successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.put('/:id',
+  authenticate,
+  requireAdmin,
+  sanitizeInput,
+  preventMongoInjection,
+  validate(promotionSchemas.params, 'params'),
+  validate(promotionSchemas.update),
+  promotionController.updatePromotion
+);
+
+/**
+ * @swagger
+ * /api/promotions/{id}:
+ *   delete:
+ *     summary: Delete a promotion
+ *     description: Orders that used it keep their record of the discount
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Promotion deleted successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.delete('/:id',
+  authenticate,
+  requireAdmin,
+  sanitizeInput,
+  preventMongoInjection,
+  validate(promotionSchemas.params, 'params'),
+  promotionController.deletePromotion
+);
+
+module.exports = router;
@@ -0,0 +1,319 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const quizController = require('../controllers/quizController');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { validate, sanitizeInput, preventMongoInjection } = require('../middleware/validation');
+const { quizSchemas } = require('../validation/schemas');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     QuizAnswer:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         label:
+ *           $ref: '#/components/schemas/MultilingualText'
+ *         notes:
+ *           type: array
+ *           description: English note names; matched against every layer of a product's notes
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               weight:
+ *                 type: number
+ *                 minimum: -5
+ *                 maximum: 5
+ *                 description: Negative weights steer away from the trait
+ *         categories:
+ *           type: array
+ *           description: Categories, covering their subcategories
+ *           items:
+ *             type: object
+ *             properties:
+ *               category:
+ *                 type: string
+ *               weight:
+ *                 type: number
+ *         concentrations:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 enum: [extrait, parfum, edp, edt, edc]
+ *               weight:
+ *                 type: number
+ *     QuizQuestion:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         question:
+ *           $ref: '#/components/schemas/MultilingualText'
+ *         multiple:
+ *           type: boolean
+ *           description: Whether several answers may be chosen
+ *         answers:
+ *           type: array
+ *           minItems: 2
+ *           items:
+ *             $ref: '#/components/schemas/QuizAnswer'
+ *         sortOrder:
+ *           type: number
+ *         isActive:
+ *           type: boolean
+ */
+
+const submitLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // Maximum 30 completed quizzes per 15 minutes per IP
+  message: {
+    success: false,
+    error: {
+      code: 'RATE_LIMIT_EXCEEDED',
+      message: 'Too many quiz submissions. Please try again later.'
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * @swagger
+ * /api/quiz/questions:
+ *   get:
+ *     summary: Get the fragrance quiz
+ *     description: Active questions in order. The weights behind the answers are left out.
+ *     tags: [Quiz]
+ *     responses:
+ *       200:
+ *         description: Quiz questions retrieved successfully
+ */
+router.get('/questions', quizController.getQuestions);
+
+/**
+ * @swagger
+ * /api/quiz/results:
+ *   post:
+ *     summary: Score a completed quiz
+ *     description: Adds up the weights of the chosen answers and ranks in-stock products against them. The completed quiz is recorded for analytics, linked to the customer with the given email if there is one.
+ *     tags: [Quiz]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - answers
+ *             properties:
+ *               answers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     question:
+ *                       type: string
+ *                     answers:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               language:
+ *                 type: string
+ *                 enum: [en, ar]
+ *                 default: ar
+ *               limit:
+ *                 type: integer
+ *                 default: 6
+ *                 maximum: 12
+ *     responses:
+ *       201:
+ *         description: Products ranked best match first, each with `quiz.match` (0-100) and `quiz.matchedNotes`
+ *       400:
+ *         description: Unknown question or answer, or several answers to a single-answer question
+ *       429:
+ *         description: Too many quiz submissions
+ */
+router.post('/results',
+  submitLimiter,
+  sanitizeInput,
+  preventMongoInjection,
+  validate(quizSchemas.submit),
+  quizController.submitQuiz
+);
+
+/**
+ * @swagger
+ * /api/quiz/admin/questions:
+ *   get:
+ *     summary: Get every quiz question with its answer weights
+ *     tags: [Quiz]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Quiz questions retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/admin/questions',
+  authenticate,
+  requireAdmin,
+  quizController.getAllQuestions
+);
+
+/**
+ * @swagger
+ * /api/quiz/admin/questions:
+ *   post:
+ *     summary: Create a quiz question
+ *     tags: [Quiz]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuizQuestion'
+ *     responses:
+ *       201:
+ *         description: Quiz question created successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/admin/questions',
+  authenticate,
+  requireAdmin,
+  sanitizeInput,
+  preventMongoInjection,
+  validate(quizSchemas.createQuestion),
+  quizController.createQuestion
+);
+
+/**
+ * @swagger
+ * /api/quiz/admin/questions/{id}:
+ *   put:
+ *     summary: Update a quiz question
+ *     description: Answers sent with their `_id` keep it, so completed quizzes still count them
+ *     tags: [Quiz]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuizQuestion'
+ *     responses:
+ *       200:
+ *         description: Quiz question updated successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.put('/admin/questions/:id',
+  authenticate,
+  requireAdmin,
+  sanitizeInput,
+  preventMongoInjection,
+  validate(quizSchemas.params, 'params'),
+  validate(quizSchemas.updateQuestion),
+  quizController.updateQuestion
+);
+
+/**
+ * @swagger
+ * /api/quiz/admin/questions/{id}:
+ *   delete:
+ *     summary: Delete a quiz question
+ *     tags: [Quiz]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Quiz question deleted successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.delete('/admin/questions/:id',
+  authenticate,
+  requireAdmin,
+  validate(quizSchemas.params, 'params'),
+  quizController.deleteQuestion
+);
+
+/**
+ * @swagger
+ * /api/quiz/admin/stats:
+ *   get:
+ *     summary: Get quiz analytics
+ *     description: Completions, how often each answer is chosen and the products most often recommended first
+ *     tags: [Quiz]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Quiz stats retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/admin/stats',
+  authenticate,
+  requireAdmin,
+  validate(quizSchemas.statsQuery, 'query'),
+  quizController.getStats
+);
+
+module.exports = router;
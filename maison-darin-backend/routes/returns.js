@@ -0,0 +1,476 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const returnController = require('../controllers/returnController');
+const Return = require('../models/Return');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { validate, sanitizeInput, preventMongoInjection } = require('../middleware/validation');
+const { createUploadMiddleware, validateFile, handleMulterError } = require('../middleware/fileValidation');
+const { returnSchemas } = require('../validation/schemas');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Return:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         returnNumber:
+ *           type: string
+ *           example: RMA-2026-00001
+ *         order:
+ *           type: string
+ *         orderNumber:
+ *           type: string
+ *         customer:
+ *           type: object
+ *           properties:
+ *             name:
+ *               type: string
+ *             email:
+ *               type: string
+ *         language:
+ *           type: string
+ *           enum: [en, ar]
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               orderItem:
+ *                 type: string
+ *                 description: Line of the order being returned
+ *               productName:
+ *                 type: string
+ *               variantSize:
+ *                 type: string
+ *               price:
+ *                 type: number
+ *               quantity:
+ *                 type: integer
+ *               receivedQuantity:
+ *                 type: integer
+ *               condition:
+ *                 type: string
+ *                 enum: [resellable, damaged]
+ *         reason:
+ *           type: string
+ *           enum: [damaged, wrong_item, not_as_described, allergic_reaction, changed_mind, other]
+ *         details:
+ *           type: string
+ *         photos:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               thumbnail:
+ *                 type: string
+ *         status:
+ *           type: string
+ *           enum: [requested, approved, rejected, received, inspected, refunded]
+ *         timeline:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *               note:
+ *                 type: string
+ *         refund:
+ *           type: object
+ *           properties:
+ *             amount:
+ *               type: number
+ *             gatewayAmount:
+ *               type: number
+ *             storeCreditAmount:
+ *               type: number
+ *             method:
+ *               type: string
+ *               enum: [paypal, paymob, fawry, card, store_credit, manual]
+ *             status:
+ *               type: string
+ *               enum: [processing, pending, completed, failed]
+ *             refundId:
+ *               type: string
+ *             reference:
+ *               type: string
+ *             error:
+ *               type: string
+ *             refundedAt:
+ *               type: string
+ *               format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const returnLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // Maximum 5 return requests per hour per IP
+  message: {
+    success: false,
+    error: {
+      code: 'RATE_LIMIT_EXCEEDED',
+      message: 'Too many return requests. Please try again later.'
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Looking up returns takes an order number and email, so guessing pairs is slowed down
+const lookupLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // Maximum 20 lookups per 15 minutes per IP
+  message: {
+    success: false,
+    error: {
+      code: 'RATE_LIMIT_EXCEEDED',
+      message: 'Too many return lookups. Please try again later.'
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Photos are optional, so only run file validation when some were uploaded
+const validatePhotos = (req, res, next) => {
+  if (!req.files || req.files.length === 0) {
+    return next();
+  }
+  return validateFile(req, res, next);
+};
+
+// Multipart forms send the items as a JSON string; a string that does not
+// parse is left for validation to reject
+const parseItems = (req, res, next) => {
+  if (typeof req.body.items === 'string') {
+    try {
+      req.body.items = JSON.parse(req.body.items);
+    } catch (error) {
+      // Rejected by the schema below
+    }
+  }
+  next();
+};
+
+/**
+ * @swagger
+ * /api/returns:
+ *   post:
+ *     summary: Request a return
+ *     description: |
+ *       Request a return of some items of a delivered order within its return
+ *       window. The order number and checkout email must match the order.
+ *     tags: [Returns]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [orderNumber, email, items, reason]
+ *             properties:
+ *               orderNumber:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               items:
+ *                 type: string
+ *                 description: JSON array of { orderItem, quantity }
+ *               reason:
+ *                 type: string
+ *                 enum: [damaged, wrong_item, not_as_described, allergic_reaction, changed_mind, other]
+ *               details:
+ *                 type: string
+ *               language:
+ *                 type: string
+ *                 enum: [en, ar]
+ *               photos:
+ *                 type: array
+ *                 maxItems: 5
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Return requested successfully
+ *       400:
+ *         description: The order or its items cannot be returned
+ *       404:
+ *         description: Order not found for this email address
+ *       429:
+ *         description: Too many return requests
+ */
+router.post('/',
+  returnLimiter,
+  createUploadMiddleware('photos', Return.MAX_PHOTOS),
+  handleMulterError,
+  validatePhotos,
+  parseItems,
+  sanitizeInput,
+  preventMongoInjection,
+  validate(returnSchemas.create),
+  returnController.requestReturn
+);
+
+/**
+ * @swagger
+ * /api/returns/lookup:
+ *   post:
+ *     summary: Get the returns of an order
+ *     description: Returns of an order and the items that can still be returned
+ *     tags: [Returns]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [orderNumber, email]
+ *             properties:
+ *               orderNumber:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Returns retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     returns:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Return'
+ *                     windowEndsAt:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     returnableItems:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           orderItem:
+ *                             type: string
+ *                           productName:
+ *                             type: string
+ *                           variantSize:
+ *                             type: string
+ *                           returnableQuantity:
+ *                             type: integer
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       429:
+ *         description: Too many return lookups
+ */
+router.post('/lookup',
+  lookupLimiter,
+  sanitizeInput,
+  preventMongoInjection,
+  validate(returnSchemas.lookup),
+  returnController.lookupReturns
+);
+
+// Everything below moves stock and money, so only admins may
+router.use(authenticate, requireAdmin);
+
+/**
+ * @swagger
+ * /api/returns:
+ *   get:
+ *     summary: Get returns
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, approved, rejected, received, inspected, refunded]
+ *       - in: query
+ *         name: search
+ *         description: Return number, order number or email
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Returns retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/',
+  sanitizeInput,
+  preventMongoInjection,
+  validate(returnSchemas.query, 'query'),
+  returnController.getReturns
+);
+
+/**
+ * @swagger
+ * /api/returns/{id}:
+ *   get:
+ *     summary: Get a return
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Return retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Return'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id',
+  validate(returnSchemas.params, 'params'),
+  returnController.getReturn
+);
+
+/**
+ * @swagger
+ * /api/returns/{id}/status:
+ *   put:
+ *     summary: Move a return to its next stage
+ *     description: |
+ *       Approve or reject a requested return, record how many of each item
+ *       were received, or record their condition once inspected. Inspecting
+ *       puts resellable items back into stock and refunds what was received.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [approved, rejected, received, inspected]
+ *               note:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     orderItem:
+ *                       type: string
+ *                     receivedQuantity:
+ *                       type: integer
+ *                     condition:
+ *                       type: string
+ *                       enum: [resellable, damaged]
+ *     responses:
+ *       200:
+ *         description: Return updated successfully
+ *       400:
+ *         description: The return cannot be moved to this stage
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.put('/:id/status',
+  sanitizeInput,
+  preventMongoInjection,
+  validate(returnSchemas.params, 'params'),
+  validate(returnSchemas.status),
+  returnController.updateStatus
+);
+
+/**
+ * @swagger
+ * /api/returns/{id}/refund:
+ *   post:
+ *     summary: Refund an inspected return
+ *     description: |
+ *       Refund the received items through the order's payment gateway, and as
+ *       store credit for what gift cards paid. Retries a refund that failed;
+ *       with a reference, records a refund paid by hand.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reference:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Refund sent, or recorded as failed
+ *       400:
+ *         description: The return cannot be refunded
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/:id/refund',
+  sanitizeInput,
+  preventMongoInjection,
+  validate(returnSchemas.params, 'params'),
+  validate(returnSchemas.refund),
+  returnController.refundReturn
+);
+
+module.exports = router;
@@ -0,0 +1,355 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const reviewController = require('../controllers/reviewController');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { validate, sanitizeInput, preventMongoInjection } = require('../middleware/validation');
+const { createUploadMiddleware, validateFile, handleMulterError } = require('../middleware/fileValidation');
+const { reviewSchemas } = require('../validation/schemas');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Review:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         product:
+ *           type: string
+ *         customer:
+ *           type: object
+ *           properties:
+ *             name:
+ *               type: string
+ *               description: First name and last initial
+ *         rating:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         language:
+ *           type: string
+ *           enum: [en, ar]
+ *         title:
+ *           $ref: '#/components/schemas/MultilingualText'
+ *         comment:
+ *           $ref: '#/components/schemas/MultilingualText'
+ *         photos:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               thumbnail:
+ *                 type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *         verifiedPurchase:
+ *           type: boolean
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     ReviewSummary:
+ *       type: object
+ *       properties:
+ *         averageRating:
+ *           type: number
+ *         reviewCount:
+ *           type: integer
+ *         distribution:
+ *           type: object
+ *           description: Number of approved reviews per star rating (1-5)
+ *           additionalProperties:
+ *             type: integer
+ */
+
+// Review photos share the media pipeline's limits; at most 3 per review
+const MAX_REVIEW_PHOTOS = 3;
+
+const reviewLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // Maximum 10 review submissions per hour per IP
+  message: {
+    success: false,
+    error: {
+      code: 'RATE_LIMIT_EXCEEDED',
+      message: 'Too many reviews submitted. Please try again later.'
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Photos are optional, so only run file validation when some were uploaded
+const validatePhotos = (req, res, next) => {
+  if (!req.files || req.files.length === 0) {
+    return next();
+  }
+  return validateFile(req, res, next);
+};
+
+/**
+ * @swagger
+ * /api/reviews/products/{productId}:
+ *   get:
+ *     summary: Get product reviews
+ *     description: Approved reviews of a product with its rating summary
+ *     tags: [Reviews]
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *           maximum: 20
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, highest, lowest]
+ *           default: newest
+ *     responses:
+ *       200:
+ *         description: Reviews retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Review'
+ *                 summary:
+ *                   $ref: '#/components/schemas/ReviewSummary'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ */
+router.get('/products/:productId',
+  sanitizeInput,
+  preventMongoInjection,
+  validate(reviewSchemas.productParams, 'params'),
+  validate(reviewSchemas.productQuery, 'query'),
+  reviewController.getProductReviews
+);
+
+/**
+ * @swagger
+ * /api/reviews/products/{productId}:
+ *   post:
+ *     summary: Submit a product review
+ *     description: |
+ *       Submit a review as a verified buyer. The order number and checkout email
+ *       must match a delivered order containing the product. Reviews are held
+ *       for moderation before they appear on the storefront.
+ *     tags: [Reviews]
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [orderNumber, email, rating, comment]
+ *             properties:
+ *               orderNumber:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               language:
+ *                 type: string
+ *                 enum: [en, ar]
+ *               title:
+ *                 type: string
+ *               comment:
+ *                 type: string
+ *               photos:
+ *                 type: array
+ *                 maxItems: 3
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Review submitted and awaiting moderation
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: The order is not eligible to review this product
+ *       404:
+ *         description: Product or order not found
+ *       409:
+ *         description: The product was already reviewed for this order
+ *       429:
+ *         description: Too many reviews submitted
+ */
+router.post('/products/:productId',
+  reviewLimiter,
+  createUploadMiddleware('photos', MAX_REVIEW_PHOTOS),
+  handleMulterError,
+  validatePhotos,
+  sanitizeInput,
+  preventMongoInjection,
+  validate(reviewSchemas.productParams, 'params'),
+  validate(reviewSchemas.create),
+  reviewController.createReview
+);
+
+/**
+ * @swagger
+ * /api/reviews:
+ *   get:
+ *     summary: Get reviews for moderation
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *       - in: query
+ *         name: product
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Reviews retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/',
+  authenticate,
+  requireAdmin,
+  sanitizeInput,
+  preventMongoInjection,
+  validate(reviewSchemas.query, 'query'),
+  reviewController.getReviews
+);
+
+/**
+ * @swagger
+ * /api/reviews/{id}/moderate:
+ *   patch:
+ *     summary: Approve or reject a review
+ *     description: Records the decision and refreshes the product's aggregated rating. Translations of the title and comment can be added at the same time.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [approved, rejected]
+ *               reason:
+ *                 type: string
+ *               title:
+ *                 $ref: '#/components/schemas/MultilingualText'
+ *               comment:
+ *                 $ref: '#/components/schemas/MultilingualText'
+ *     responses:
+ *       200:
+ *         description: Review moderated
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.patch('/:id/moderate',
+  authenticate,
+  requireAdmin,
+  sanitizeInput,
+  preventMongoInjection,
+  validate(reviewSchemas.params, 'params'),
+  validate(reviewSchemas.moderate),
+  reviewController.moderateReview
+);
+
+/**
+ * @swagger
+ * /api/reviews/{id}:
+ *   delete:
+ *     summary: Delete a review
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Review deleted
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.delete('/:id',
+  authenticate,
+  requireAdmin,
+  sanitizeInput,
+  preventMongoInjection,
+  validate(reviewSchemas.params, 'params'),
+  reviewController.deleteReview
+);
+
+module.exports = router;
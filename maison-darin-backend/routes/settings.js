@@ -30,6 +30,12 @@ const { settingsSchemas } = require('../validation/schemas');
  *         taxes:
  *           type: object
  *           description: Tax settings
+ *         loyalty:
+ *           type: object
+ *           description: Loyalty points earn and redeem settings
+ *         numbering:
+ *           type: object
+ *           description: Prefix, reset period and padding of order, invoice, credit note, sample request, refund and return numbers
  *         localization:
  *           type: object
  *           description: Localization settings
@@ -245,7 +251,7 @@ router.put('/',
  *         required: true
  *         schema:
  *           type: string
- *           enum: [site, seo, appearance, features, shipping, taxes, localization]
+ *           enum: [site, seo, appearance, features, shipping, taxes, loyalty, numbering, localization]
  *     responses:
  *       200:
  *         description: Setting section retrieved successfully
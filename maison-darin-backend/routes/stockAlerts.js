@@ -0,0 +1,157 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const stockAlertController = require('../controllers/stockAlertController');
+const { validate, sanitizeInput, preventMongoInjection } = require('../middleware/validation');
+const { stockAlertSchemas } = require('../validation/schemas');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StockSubscription:
+ *       type: object
+ *       properties:
+ *         product:
+ *           type: string
+ *         email:
+ *           type: string
+ *           format: email
+ *         status:
+ *           type: string
+ *           enum: [active, notified, unsubscribed]
+ */
+
+const subscribeLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // Maximum 10 subscriptions per hour per IP
+  message: {
+    success: false,
+    error: {
+      code: 'RATE_LIMIT_EXCEEDED',
+      message: 'Too many subscription requests. Please try again later.'
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+const unsubscribeLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // Maximum 20 unsubscribe attempts per 15 minutes per IP
+  message: {
+    success: false,
+    error: {
+      code: 'RATE_LIMIT_EXCEEDED',
+      message: 'Too many unsubscribe requests. Please try again later.'
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * @swagger
+ * /api/stock-alerts/products/{productId}:
+ *   post:
+ *     summary: Subscribe to a back-in-stock email
+ *     description: Email the given address once the sold-out product is back in stock. Subscribing again reactivates the subscription.
+ *     tags: [Stock Alerts]
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               language:
+ *                 type: string
+ *                 enum: [en, ar]
+ *                 default: ar
+ *                 description: Language the email leads with
+ *     responses:
+ *       201:
+ *         description: Subscribed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/StockSubscription'
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: Product is in stock
+ *       429:
+ *         description: Too many subscription requests
+ */
+router.post('/products/:productId',
+  subscribeLimiter,
+  sanitizeInput,
+  preventMongoInjection,
+  validate(stockAlertSchemas.productParams, 'params'),
+  validate(stockAlertSchemas.subscribe),
+  stockAlertController.subscribe
+);
+
+/**
+ * @swagger
+ * /api/stock-alerts/subscriptions/{token}:
+ *   delete:
+ *     summary: Unsubscribe from a back-in-stock email
+ *     description: Uses the token from the unsubscribe link in the email; unsubscribing twice is harmless
+ *     tags: [Stock Alerts]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Unsubscribed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/StockSubscription'
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Invalid unsubscribe link
+ *       404:
+ *         description: Subscription not found
+ *       429:
+ *         description: Too many unsubscribe requests
+ */
+router.delete('/subscriptions/:token',
+  unsubscribeLimiter,
+  sanitizeInput,
+  preventMongoInjection,
+  validate(stockAlertSchemas.tokenParams, 'params'),
+  stockAlertController.unsubscribe
+);
+
+module.exports = router;
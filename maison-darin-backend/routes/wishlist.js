@@ -0,0 +1,295 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const wishlistController = require('../controllers/wishlistController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate, sanitizeInput, preventMongoInjection } = require('../middleware/validation');
+const { wishlistSchemas } = require('../validation/schemas');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Wishlist:
+ *       type: object
+ *       properties:
+ *         items:
+ *           type: array
+ *           description: Saved products, newest first
+ *           items:
+ *             type: object
+ *             properties:
+ *               product:
+ *                 $ref: '#/components/schemas/Product'
+ *               addedAt:
+ *                 type: string
+ *                 format: date-time
+ *               priceDrop:
+ *                 type: object
+ *                 nullable: true
+ *                 description: Set when the product sells for less than when it was saved
+ *                 properties:
+ *                   from:
+ *                     type: number
+ *                   to:
+ *                     type: number
+ *         priceAlerts:
+ *           type: boolean
+ *           description: Email the customer when a saved product drops in price
+ *         language:
+ *           type: string
+ *           enum: [en, ar]
+ *         shareToken:
+ *           type: string
+ *           nullable: true
+ *           description: Token of the public share link; null while the wishlist is private
+ */
+
+const sharedWishlistLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60, // Maximum 60 shared wishlist views per 15 minutes per IP
+  message: {
+    success: false,
+    error: {
+      code: 'RATE_LIMIT_EXCEEDED',
+      message: 'Too many requests. Please try again later.'
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * @swagger
+ * /api/wishlist/shared/{token}:
+ *   get:
+ *     summary: View a shared wishlist
+ *     description: Public view of a wishlist through its share link; shows the owner's first name only
+ *     tags: [Wishlist]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shared wishlist retrieved successfully
+ *       400:
+ *         description: Invalid share link
+ *       404:
+ *         description: Wishlist not found or no longer shared
+ *       429:
+ *         description: Too many requests
+ */
+router.get('/shared/:token',
+  sharedWishlistLimiter,
+  validate(wishlistSchemas.shareParams, 'params'),
+  wishlistController.getSharedWishlist
+);
+
+// Everything below belongs to the logged-in customer
+router.use(authenticate);
+router.use(authorize(['customer']));
+
+/**
+ * @swagger
+ * /api/wishlist:
+ *   get:
+ *     summary: Get the customer's wishlist
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Wishlist retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Wishlist'
+ *                 message:
+ *                   type: string
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/', wishlistController.getWishlist);
+
+/**
+ * @swagger
+ * /api/wishlist/items:
+ *   post:
+ *     summary: Save a product to the wishlist
+ *     description: Saving a product that is already on the wishlist is harmless
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - product
+ *             properties:
+ *               product:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Product saved to wishlist
+ *       400:
+ *         description: Validation error or wishlist full
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Product not found
+ */
+router.post('/items',
+  sanitizeInput,
+  preventMongoInjection,
+  validate(wishlistSchemas.addItem),
+  wishlistController.addItem
+);
+
+/**
+ * @swagger
+ * /api/wishlist/items/{productId}:
+ *   delete:
+ *     summary: Remove a product from the wishlist
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product removed from wishlist
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.delete('/items/:productId',
+  validate(wishlistSchemas.productParams, 'params'),
+  wishlistController.removeItem
+);
+
+/**
+ * @swagger
+ * /api/wishlist/merge:
+ *   post:
+ *     summary: Merge a guest wishlist into the account
+ *     description: Adds the products saved in the browser before logging in. Products that no longer exist, or don't fit once the wishlist is full, are skipped.
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               products:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *               language:
+ *                 type: string
+ *                 enum: [en, ar]
+ *     responses:
+ *       200:
+ *         description: Wishlist merged successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.post('/merge',
+  sanitizeInput,
+  preventMongoInjection,
+  validate(wishlistSchemas.merge),
+  wishlistController.mergeItems
+);
+
+/**
+ * @swagger
+ * /api/wishlist/settings:
+ *   put:
+ *     summary: Update wishlist preferences
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               priceAlerts:
+ *                 type: boolean
+ *               language:
+ *                 type: string
+ *                 enum: [en, ar]
+ *                 description: Language price-drop emails lead with
+ *     responses:
+ *       200:
+ *         description: Wishlist settings updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.put('/settings',
+  sanitizeInput,
+  preventMongoInjection,
+  validate(wishlistSchemas.settings),
+  wishlistController.updateSettings
+);
+
+/**
+ * @swagger
+ * /api/wishlist/share:
+ *   post:
+ *     summary: Turn on the public share link
+ *     description: Sharing again returns the same link
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Wishlist shared successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.post('/share', wishlistController.share);
+
+/**
+ * @swagger
+ * /api/wishlist/share:
+ *   delete:
+ *     summary: Turn off the public share link
+ *     description: The old link stops working; sharing again creates a new one
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Wishlist is no longer shared
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.delete('/share', wishlistController.unshare);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const Product = require('../../models/Product');
+
+/**
+ * Backfill Product.searchKeywords for existing products and drop the old
+ * per-language text indexes, which the keyword search replaces.
+ */
+module.exports = {
+  async up(db) {
+    const products = db.collection('products');
+    const cursor = products.find({});
+    let updated = 0;
+
+    for await (const product of cursor) {
+      await products.updateOne(
+        { _id: product._id },
+        { $set: { searchKeywords: Product.buildSearchKeywords(product) } }
+      );
+      updated++;
+    }
+
+    const indexes = await products.indexes();
+    for (const index of indexes) {
+      if (index.textIndexVersion) {
+        await products.dropIndex(index.name);
+      }
+    }
+
+    await products.createIndex({ searchKeywords: 1 });
+    console.log(`   Indexed search keywords for ${updated} products`);
+  },
+
+  async down(db) {
+    const products = db.collection('products');
+
+    await products.updateMany({}, { $unset: { searchKeywords: '' } });
+    await products.dropIndex('searchKeywords_1').catch(() => {});
+  }
+};
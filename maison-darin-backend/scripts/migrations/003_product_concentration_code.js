@@ -0,0 +1,34 @@
+const Product = require('../../models/Product');
+
+/**
+ * Derive Product.concentrationCode from the free-text concentration of
+ * existing products so they show up under the concentration facet.
+ */
+module.exports = {
+  async up(db) {
+    const products = db.collection('products');
+    const cursor = products.find({}, { projection: { concentration: 1 } });
+    let updated = 0;
+
+    for await (const product of cursor) {
+      const code = Product.detectConcentrationCode(product.concentration);
+      await products.updateOne(
+        { _id: product._id },
+        code ? { $set: { concentrationCode: code } } : { $unset: { concentrationCode: '' } }
+      );
+      if (code) {
+        updated++;
+      }
+    }
+
+    await products.createIndex({ concentrationCode: 1 });
+    console.log(`   Set concentration code on ${updated} products`);
+  },
+
+  async down(db) {
+    const products = db.collection('products');
+
+    await products.updateMany({}, { $unset: { concentrationCode: '' } });
+    await products.dropIndex('concentrationCode_1').catch(() => {});
+  }
+};
@@ -0,0 +1,27 @@
+/**
+ * Mark existing products as single fragrances so filtering by type
+ * (e.g. excluding gift sets) matches them, and index bundle components
+ * so component stock changes can find the bundles to refresh.
+ */
+module.exports = {
+  async up(db) {
+    const products = db.collection('products');
+
+    const result = await products.updateMany(
+      { type: { $exists: false } },
+      { $set: { type: 'single' } }
+    );
+
+    await products.createIndex({ type: 1 });
+    await products.createIndex({ 'components.product': 1 });
+    console.log(`   Set type on ${result.modifiedCount} products`);
+  },
+
+  async down(db) {
+    const products = db.collection('products');
+
+    await products.updateMany({ type: 'single' }, { $unset: { type: '' } });
+    await products.dropIndex('type_1').catch(() => {});
+    await products.dropIndex('components.product_1').catch(() => {});
+  }
+};
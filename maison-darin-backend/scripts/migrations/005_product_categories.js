@@ -0,0 +1,103 @@
+const Product = require('../../models/Product');
+const { fragranceFamilies } = require('../seedData/categories');
+
+/**
+ * Move products from the hard-coded category enum to Category documents:
+ * create a top-level category for each old enum value (reusing one that
+ * already has the slug), point products and category price rules at it,
+ * and rebuild the search keywords, which now come from category names.
+ */
+module.exports = {
+  async up(db) {
+    const categories = db.collection('categories');
+    const products = db.collection('products');
+    const priceRules = db.collection('pricerules');
+
+    await categories.updateMany({ parentCategory: { $exists: false } }, { $set: { parentCategory: null, ancestors: [] } });
+
+    const bySlug = new Map();
+    for (const family of fragranceFamilies) {
+      const now = new Date();
+      const category = await categories.findOneAndUpdate(
+        { slug: family.slug },
+        {
+          $setOnInsert: {
+            ...family,
+            parentCategory: null,
+            ancestors: [],
+            isActive: true,
+            createdAt: now,
+            updatedAt: now
+          }
+        },
+        { upsert: true, returnDocument: 'after' }
+      );
+      bySlug.set(family.slug, category);
+    }
+
+    let migrated = 0;
+    for await (const product of products.find({ category: { $type: 'string' } })) {
+      const category = bySlug.get(product.category);
+      if (!category) {
+        console.log(`   Skipped product ${product._id}: unknown category "${product.category}"`);
+        continue;
+      }
+
+      await products.updateOne(
+        { _id: product._id },
+        {
+          $set: {
+            categories: [category._id],
+            searchKeywords: Product.buildSearchKeywords(product, [category])
+          },
+          $unset: { category: '' }
+        }
+      );
+      migrated++;
+    }
+
+    for await (const rule of priceRules.find({ category: { $type: 'string' } })) {
+      const category = bySlug.get(rule.category);
+      await priceRules.updateOne(
+        { _id: rule._id },
+        category ? { $set: { category: category._id } } : { $set: { category: null, active: false } }
+      );
+    }
+
+    await products.dropIndex('category_1').catch(() => {});
+    await products.createIndex({ categories: 1 });
+    await categories.createIndex({ parentCategory: 1 });
+    await categories.createIndex({ ancestors: 1 });
+    console.log(`   Linked ${migrated} products to categories`);
+  },
+
+  async down(db) {
+    const categories = db.collection('categories');
+    const products = db.collection('products');
+    const priceRules = db.collection('pricerules');
+
+    // The enum only had the old fragrance families; a product keeps the first one it is in
+    const slugs = new Map();
+    for await (const category of categories.find({ slug: { $in: fragranceFamilies.map(family => family.slug) } })) {
+      slugs.set(String(category._id), category.slug);
+    }
+
+    for await (const product of products.find({ categories: { $exists: true } })) {
+      const slug = (product.categories || []).map(id => slugs.get(String(id))).find(Boolean);
+      // The search keywords keep the category names, which still match the old slugs
+      await products.updateOne(
+        { _id: product._id },
+        { ...(slug && { $set: { category: slug } }), $unset: { categories: '' } }
+      );
+    }
+
+    for await (const rule of priceRules.find({ category: { $type: 'objectId' } })) {
+      await priceRules.updateOne({ _id: rule._id }, { $set: { category: slugs.get(String(rule.category)) || null } });
+    }
+
+    await products.dropIndex('categories_1').catch(() => {});
+    await products.createIndex({ category: 1 });
+    await categories.dropIndex('parentCategory_1').catch(() => {});
+    await categories.dropIndex('ancestors_1').catch(() => {});
+  }
+};
@@ -7,11 +7,13 @@ require('dotenv').config({ path: path.join(__dirname, '../.env') });
 // Import models
 const User = require('../models/User');
 const Product = require('../models/Product');
+const Category = require('../models/Category');
 const Content = require('../models/Content');
 
 // Import seed data
 const { adminUsers } = require('./seedData/users');
 const { products } = require('./seedData/products');
+const { fragranceFamilies } = require('./seedData/categories');
 const { contentSections } = require('./seedData/content');
 
 class DatabaseSeeder {
@@ -77,11 +79,29 @@ class DatabaseSeeder {
     }
   }
 
+  async seedCategories() {
+    console.log('🏷️  Seeding fragrance families...');
+
+    const categoryIds = {};
+    for (const family of fragranceFamilies) {
+      const category = await Category.findOneAndUpdate(
+        { slug: family.slug },
+        { $setOnInsert: family },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
+      categoryIds[family.slug] = category._id;
+    }
+
+    return categoryIds;
+  }
+
   async seedProducts() {
     try {
+      const categoryIds = await this.seedCategories();
+
       console.log('🧴 Seeding products...');
       
-      for (const productData of products) {
+      for (const { category, ...productData } of products) {
         const existingProduct = await Product.findOne({ 
           'name.en': productData.name.en 
         });
@@ -91,7 +111,7 @@ class DatabaseSeeder {
           continue;
         }
 
-        const product = await Product.create(productData);
+        const product = await Product.create({ ...productData, categories: [categoryIds[category]] });
         console.log(`✅ Created product: ${product.name.en}`);
       }
       
@@ -188,8 +208,8 @@ class DatabaseSeeder {
       console.log(`📄 Content Sections: ${contentCount}`);
       
       // Display categories
-      const categories = await Product.getCategories();
-      console.log(`🏷️  Product Categories: ${categories.join(', ')}`);
+      const categories = await Category.find({ isActive: true }).select('slug');
+      console.log(`🏷️  Product Categories: ${categories.map(category => category.slug).join(', ')}`);
       
       // Display featured products count
       const featuredCount = await Product.countDocuments({ featured: true });
@@ -0,0 +1,16 @@
+// The fragrance families products used to be tagged with; the slugs are the
+// old Product.category values so existing links like ?category=oriental keep working
+const fragranceFamilies = [
+  { slug: 'floral', name: { en: 'Floral', ar: 'زهري' }, sortOrder: 1 },
+  { slug: 'oriental', name: { en: 'Oriental', ar: 'شرقي' }, sortOrder: 2 },
+  { slug: 'fresh', name: { en: 'Fresh', ar: 'منعش' }, sortOrder: 3 },
+  { slug: 'woody', name: { en: 'Woody', ar: 'خشبي' }, sortOrder: 4 },
+  { slug: 'citrus', name: { en: 'Citrus', ar: 'حمضي' }, sortOrder: 5 },
+  { slug: 'spicy', name: { en: 'Spicy', ar: 'حار' }, sortOrder: 6 },
+  { slug: 'aquatic', name: { en: 'Aquatic', ar: 'مائي' }, sortOrder: 7 },
+  { slug: 'gourmand', name: { en: 'Gourmand', ar: 'حلو' }, sortOrder: 8 }
+];
+
+module.exports = {
+  fragranceFamilies
+};
@@ -5,6 +5,8 @@ const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '../.env') });
 
 const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { fragranceFamilies } = require('./seedData/categories');
 // Import real product data from website migration
 const realProductData = require('./seedData/realProducts');
 const { products: realProducts } = realProductData;
@@ -24,10 +26,22 @@ async function seedProducts() {
     await Product.deleteMany({});
     console.log('✅ Existing products cleared');
 
+    // Products are tagged with a fragrance family slug
+    const categoryIds = {};
+    for (const family of fragranceFamilies) {
+      const category = await Category.findOneAndUpdate(
+        { slug: family.slug },
+        { $setOnInsert: family },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
+      categoryIds[family.slug] = category._id;
+    }
+
     let createdCount = 0;
     let updatedCount = 0;
 
-    for (const productData of realProducts) {
+    for (const { category, ...data } of realProducts) {
+      const productData = { ...data, categories: [categoryIds[category]] };
       try {
         // Check if product already exists by frontend ID or name
         const existingProduct = await Product.findOne({ 
@@ -44,7 +58,7 @@ async function seedProducts() {
           updatedCount++;
         } else {
           const product = await Product.create(productData);
-          console.log(`✅ Created product: ${product.name.en} (${product.category})`);
+          console.log(`✅ Created product: ${product.name.en} (${category})`);
           createdCount++;
         }
       } catch (error) {
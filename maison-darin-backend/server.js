@@ -104,9 +104,19 @@ app.get('/health', async (req, res) => {
 // API routes
 const authRoutes = require('./routes/auth');
 const productRoutes = require('./routes/products');
+const reviewRoutes = require('./routes/reviews');
+const stockAlertRoutes = require('./routes/stockAlerts');
+const priceRuleRoutes = require('./routes/priceRules');
+const promotionRoutes = require('./routes/promotions');
+const quizRoutes = require('./routes/quiz');
+const wishlistRoutes = require('./routes/wishlist');
+const cartRoutes = require('./routes/cart');
+const loyaltyRoutes = require('./routes/loyalty');
+const giftCardRoutes = require('./routes/giftCards');
 const categoryRoutes = require('./routes/categories');
 const mediaRoutes = require('./routes/media');
 const orderRoutes = require('./routes/orders');
+const returnRoutes = require('./routes/returns');
 const customerRoutes = require('./routes/customers');
 const paymentRoutes = require('./routes/payments');
 const paypalRoutes = require('./routes/paypal');
@@ -116,8 +126,18 @@ const dashboardRoutes = require('./routes/dashboard');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/stock-alerts', stockAlertRoutes);
+app.use('/api/price-rules', priceRuleRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/quiz', quizRoutes);
+app.use('/api/wishlist', wishlistRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/loyalty', loyaltyRoutes);
+app.use('/api/gift-cards', giftCardRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/returns', returnRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/paypal', paypalRoutes);
 app.use('/api/customers', customerRoutes);
@@ -222,6 +242,24 @@ async function startServer() {
         console.log(`⚡ Performance optimizations enabled`);
       });
 
+      // Return stock held for PayPal orders whose payment window has passed
+      require('./services/orderService').startReservationCleanup();
+
+      // Ship pre-orders of products whose release date has come
+      require('./services/orderService').startPreOrderReleases();
+
+      // Flag products whose stock no longer matches the stock ledger
+      require('./services/productService').startStockReconciliation();
+
+      // Email customers when products on their wishlist go on sale
+      require('./services/wishlistService').startPriceDropAlerts();
+
+      // Remind customers who left checkout after giving their email
+      require('./services/cartService').startAbandonedCartReminders();
+
+      // Take back loyalty points that have gone unused past the program's expiry
+      require('./services/loyaltyService').startPointsExpiry();
+
       // Set up graceful shutdown handlers
       handleGracefulShutdown(server);
       
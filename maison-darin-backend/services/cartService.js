@@ -0,0 +1,441 @@
+const crypto = require('crypto');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const pricingService = require('./pricingService');
+const emailService = require('./emailService');
+const logger = require('../utils/logger');
+
+// Product fields a cart shows, and needs to rebuild the storefront cart from a restore link
+const CART_PRODUCT_FIELDS = 'name description images price size variants categories stock inStock type preOrder featured';
+
+// How long after the last change to a cart each abandoned-cart reminder goes out
+const REMINDER_DELAYS = [
+  60 * 60 * 1000, // 1 hour
+  24 * 60 * 60 * 1000, // 1 day
+  3 * 24 * 60 * 60 * 1000 // 3 days
+];
+
+// Issues that keep an item out of the order altogether
+const BLOCKING_ISSUES = ['unavailable', 'out_of_stock'];
+
+const roundCurrency = value => Math.round(value * 100) / 100;
+const hasPrice = value => value !== null && value !== undefined;
+const itemKey = (productId, variantId) => `${productId}:${variantId || ''}`;
+
+class CartService {
+  /**
+   * Start a cart. A customer who already has one gets it back with these items
+   * added, so their cart is the same on every device.
+   * @param {Object} data - items ({ productId, variantId, quantity }) and language
+   * @param {string|null} userId - Logged-in customer, if any
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Validated cart
+   */
+  async createCart({ items = [], language }, userId = null, now = new Date()) {
+    try {
+      let cart = userId ? await Cart.findOne({ user: userId, status: 'active' }) : null;
+
+      if (cart) {
+        this.mergeItems(cart, items.map(item => this.toCartItem(item, now)));
+      } else {
+        cart = new Cart({
+          token: crypto.randomBytes(24).toString('hex'),
+          user: userId,
+          items: this.combineItems(items.map(item => this.toCartItem(item, now)))
+        });
+      }
+      if (language) {
+        cart.language = language;
+      }
+      cart.lastActivityAt = now;
+
+      return await this.saveAndRespond(cart, now);
+    } catch (error) {
+      throw new Error(`Failed to create cart: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a cart re-validated against current prices and stock
+   * @param {string} token - Cart token
+   * @param {string|null} userId - Logged-in customer, if any
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Validated cart; its token changes if it was merged
+   *   into the customer's own cart
+   */
+  async getCart(token, userId = null, now = new Date()) {
+    try {
+      const cart = await this.findCart(token, userId);
+      return await this.saveAndRespond(cart, now);
+    } catch (error) {
+      throw new Error(`Failed to get cart: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace the items of a cart with what the storefront holds. Items already
+   * in the cart keep the price they were added at.
+   * @param {string} token - Cart token
+   * @param {Object} data - items and language
+   * @param {string|null} userId - Logged-in customer, if any
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Validated cart
+   */
+  async updateItems(token, { items, language }, userId = null, now = new Date()) {
+    try {
+      const cart = await this.findCart(token, userId);
+      const existing = new Map(cart.items.map(item => [itemKey(item.product, item.variant), item]));
+
+      cart.items = this.combineItems(items.map(item => {
+        const previous = existing.get(itemKey(item.productId, item.variantId));
+        return previous
+          ? { product: previous.product, variant: previous.variant, quantity: item.quantity, price: previous.price, addedAt: previous.addedAt }
+          : this.toCartItem(item, now);
+      }));
+      if (language) {
+        cart.language = language;
+      }
+      cart.lastActivityAt = now;
+
+      return await this.saveAndRespond(cart, now);
+    } catch (error) {
+      throw new Error(`Failed to update cart: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record that the customer reached the email step of checkout; from then on
+   * the cart is followed up with reminders if it isn't checked out
+   * @param {string} token - Cart token
+   * @param {Object} data - email, firstName and language
+   * @param {string|null} userId - Logged-in customer, if any
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Validated cart
+   */
+  async startCheckout(token, { email, firstName, language }, userId = null, now = new Date()) {
+    try {
+      const cart = await this.findCart(token, userId);
+
+      cart.email = email;
+      if (firstName) {
+        cart.firstName = firstName;
+      }
+      if (language) {
+        cart.language = language;
+      }
+      cart.checkoutStartedAt = cart.checkoutStartedAt || now;
+      cart.lastActivityAt = now;
+
+      return await this.saveAndRespond(cart, now);
+    } catch (error) {
+      throw new Error(`Failed to start checkout: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stop abandoned-cart reminders for a cart, from the link in the email
+   * @param {string} token - Cart token
+   */
+  async stopReminders(token) {
+    try {
+      const result = await Cart.updateOne({ token }, { $set: { 'reminders.optedOut': true } });
+      if (result.matchedCount === 0) {
+        throw new Error('Cart not found');
+      }
+    } catch (error) {
+      throw new Error(`Failed to stop reminders: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark a cart as checked out so it gets no more reminders
+   * @param {string} token - Cart token
+   * @param {string} orderId - Order placed from the cart
+   */
+  async markConverted(token, orderId) {
+    await Cart.updateOne({ token, status: 'active' }, { $set: { status: 'converted', order: orderId } });
+  }
+
+  /**
+   * Find an active cart by its token. A guest cart is attached to the customer
+   * who logs in with it, or merged into the cart they already have.
+   * @param {string} token - Cart token
+   * @param {string|null} userId - Logged-in customer, if any
+   * @returns {Promise<Object>} Cart document (not saved)
+   */
+  async findCart(token, userId = null) {
+    const cart = await Cart.findOne({ token, status: 'active' });
+    if (!cart) {
+      throw new Error('Cart not found');
+    }
+    if (!userId || cart.user) {
+      return cart;
+    }
+
+    const own = await Cart.findOne({ user: userId, status: 'active' });
+    if (!own) {
+      cart.user = userId;
+      return cart;
+    }
+
+    this.mergeItems(own, cart.items);
+    own.lastActivityAt = cart.lastActivityAt > own.lastActivityAt ? cart.lastActivityAt : own.lastActivityAt;
+    await Cart.deleteOne({ _id: cart._id });
+    return own;
+  }
+
+  /**
+   * Shape an order-style item ({ productId, variantId, quantity }) as a cart item
+   * @param {Object} item - Item from the storefront
+   * @param {Date} now - Time it was added
+   * @returns {Object} Cart item
+   */
+  toCartItem(item, now) {
+    return {
+      product: item.productId,
+      variant: item.variantId || null,
+      quantity: item.quantity,
+      addedAt: now
+    };
+  }
+
+  /**
+   * Collapse items for the same product and size, keeping the last quantity,
+   * and keep the cart within its limit
+   * @param {Array<Object>} items - Cart items
+   * @returns {Array<Object>} Unique cart items
+   */
+  combineItems(items) {
+    const byKey = new Map();
+    for (const item of items) {
+      byKey.set(itemKey(item.product, item.variant), item);
+    }
+    return [...byKey.values()].slice(0, Cart.MAX_ITEMS);
+  }
+
+  /**
+   * Add items to a cart; for a product and size already in it, the larger quantity wins
+   * @param {Object} cart - Cart document
+   * @param {Array<Object>} items - Cart items to add
+   */
+  mergeItems(cart, items) {
+    const existing = new Map(cart.items.map(item => [itemKey(item.product, item.variant), item]));
+
+    for (const item of items) {
+      const current = existing.get(itemKey(item.product, item.variant));
+      if (current) {
+        current.quantity = Math.max(current.quantity, item.quantity);
+      } else if (cart.items.length < Cart.MAX_ITEMS) {
+        cart.items.push({
+          product: item.product,
+          variant: item.variant,
+          quantity: item.quantity,
+          price: item.price,
+          addedAt: item.addedAt
+        });
+      }
+    }
+  }
+
+  /**
+   * Validate a cart, remember the price of items added since, save it and
+   * shape it for the storefront
+   * @param {Object} cart - Cart document
+   * @param {Date} now - Time to price at
+   * @returns {Promise<Object>} Validated cart
+   */
+  async saveAndRespond(cart, now) {
+    const lines = await this.validateItems(cart.items, now);
+
+    cart.items.forEach((item, index) => {
+      if (!hasPrice(item.price) && hasPrice(lines[index].price)) {
+        item.price = lines[index].price;
+      }
+    });
+    await cart.save();
+
+    return this.toResponse(cart, lines);
+  }
+
+  /**
+   * Check cart items against the catalogue as it is now. Each line carries the
+   * current unit price, the stock it can have (null when not limited) and the
+   * first issue found: unavailable (product or size gone), out_of_stock,
+   * insufficient_stock or price_changed.
+   * @param {Array<Object>} items - Cart items
+   * @param {Date} now - Time to price at
+   * @returns {Promise<Array<Object>>} One line per item, in order
+   */
+  async validateItems(items, now = new Date()) {
+    const ids = [...new Set(items.map(item => String(item.product)))];
+    const products = ids.length > 0
+      ? await Product.find({ _id: { $in: ids } }).select(CART_PRODUCT_FIELDS).lean()
+      : [];
+    const priced = await pricingService.applyEffectivePrices(products, now);
+    const byId = new Map(priced.map(product => [String(product._id), product]));
+
+    return items.map(item => {
+      const line = {
+        productId: item.product,
+        variantId: item.variant || null,
+        quantity: item.quantity,
+        addedAt: item.addedAt
+      };
+      const product = byId.get(String(item.product));
+      const hasVariants = !!product && Array.isArray(product.variants) && product.variants.length > 0;
+      const variant = hasVariants && item.variant
+        ? product.variants.find(v => String(v._id) === String(item.variant))
+        : null;
+
+      // A size that is gone, or a product that started or stopped selling in sizes
+      if (!product || hasVariants !== !!variant) {
+        return { ...line, product: product || null, price: null, previousPrice: null, available: 0, issue: 'unavailable' };
+      }
+
+      const price = variant ? variant.effectivePrice : product.effectivePrice;
+      const available = this.getAvailableStock(product, variant);
+      const priceChanged = hasPrice(item.price) && item.price !== price;
+
+      let issue = null;
+      if (available !== null && available <= 0) {
+        issue = 'out_of_stock';
+      } else if (available !== null && available < item.quantity) {
+        issue = 'insufficient_stock';
+      } else if (priceChanged) {
+        issue = 'price_changed';
+      }
+
+      return {
+        ...line,
+        product,
+        price,
+        previousPrice: priceChanged ? item.price : null,
+        available,
+        issue
+      };
+    });
+  }
+
+  /**
+   * Stock a customer can put in their cart: what's left of the pre-order cap for
+   * a product not released yet (null when uncapped), otherwise the size's or
+   * product's stock. Gift cards are not limited.
+   * @param {Object} product - Lean product
+   * @param {Object|null} variant - Lean variant
+   * @returns {number|null} Units available
+   */
+  getAvailableStock(product, variant) {
+    if (product.type === 'gift_card') {
+      return null;
+    }
+    if (product.preOrder && product.preOrder.enabled) {
+      const { cap, reserved = 0 } = product.preOrder;
+      return cap ? Math.max(cap - reserved, 0) : null;
+    }
+    if (variant) {
+      return variant.stock;
+    }
+    return product.inStock === false ? 0 : product.stock;
+  }
+
+  /**
+   * Shape a cart for the storefront
+   * @param {Object} cart - Cart document
+   * @param {Array<Object>} lines - Lines from validateItems
+   * @returns {Object} { token, items, subtotal, hasIssues, email, language }
+   */
+  toResponse(cart, lines) {
+    const orderable = lines.filter(line => !BLOCKING_ISSUES.includes(line.issue));
+
+    return {
+      token: cart.token,
+      items: lines,
+      // What the items that can still be ordered cost now, before shipping and tax
+      subtotal: roundCurrency(orderable.reduce((sum, line) => sum + line.price * line.quantity, 0)),
+      hasIssues: lines.some(line => line.issue && line.issue !== 'price_changed'),
+      email: cart.email || null,
+      language: cart.language
+    };
+  }
+
+  /**
+   * Email the customers who left checkout after giving their email. Each cart
+   * gets up to one reminder per step of REMINDER_DELAYS, counted from the last
+   * change to it; carts whose products are all gone are skipped.
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { checked, sent }
+   */
+  async sendAbandonedCartReminders(now = new Date()) {
+    const carts = await Cart.find({
+      status: 'active',
+      checkoutStartedAt: { $ne: null },
+      email: { $ne: null },
+      'reminders.optedOut': { $ne: true },
+      'items.0': { $exists: true },
+      $or: REMINDER_DELAYS.map((delay, step) => ({
+        'reminders.sent': step,
+        lastActivityAt: { $lte: new Date(now.getTime() - delay) }
+      }))
+    }).limit(100).lean();
+
+    let sent = 0;
+    for (const cart of carts) {
+      const step = cart.reminders.sent;
+
+      try {
+        const lines = await this.validateItems(cart.items, now);
+        const orderable = lines.filter(line => !BLOCKING_ISSUES.includes(line.issue));
+        if (orderable.length === 0) {
+          continue;
+        }
+
+        // Claim the step first so a second server can't send it too
+        const claim = await Cart.updateOne(
+          { _id: cart._id, status: 'active', 'reminders.sent': step },
+          { $inc: { 'reminders.sent': 1 }, $set: { 'reminders.lastSentAt': now } }
+        );
+        if (claim.modifiedCount === 0) {
+          continue;
+        }
+
+        try {
+          await emailService.sendAbandonedCartReminder(cart, orderable, step, cart.language);
+          sent++;
+        } catch (error) {
+          // Give the step back so the next run retries it
+          await Cart.updateOne(
+            { _id: cart._id, 'reminders.sent': step + 1 },
+            { $inc: { 'reminders.sent': -1 } }
+          );
+          throw error;
+        }
+      } catch (error) {
+        logger.error(`Abandoned-cart reminder failed for cart ${cart._id}:`, error);
+      }
+    }
+
+    return { checked: carts.length, sent };
+  }
+
+  /**
+   * Send abandoned-cart reminders periodically
+   * @param {number} intervalMs - Check interval
+   * @returns {Object} Interval timer
+   */
+  startAbandonedCartReminders(intervalMs = 15 * 60 * 1000) {
+    const timer = setInterval(() => {
+      this.sendAbandonedCartReminders().catch(error => {
+        console.error('Abandoned-cart reminders failed:', error.message);
+      });
+    }, intervalMs);
+
+    // Don't keep the process alive just for the reminders
+    if (timer.unref) {
+      timer.unref();
+    }
+
+    return timer;
+  }
+}
+
+module.exports = new CartService();
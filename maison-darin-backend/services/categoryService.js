@@ -60,11 +60,12 @@ class CategoryService {
   }
 
   /**
-   * Get category by slug
+   * Get category by slug, with its ancestors for the breadcrumb
    */
   async getCategoryBySlug(slug) {
     try {
-      const category = await Category.findOne({ slug, isActive: true });
+      const category = await Category.findOne({ slug, isActive: true })
+        .populate('ancestors', 'name slug');
       if (!category) {
         throw new AppError('Category not found', 404);
       }
@@ -100,6 +101,9 @@ class CategoryService {
       if (error.code === 11000) {
         throw new AppError('Category with this slug already exists', 400);
       }
+      if (error.name === 'ValidationError' && error.errors.parentCategory) {
+        throw new AppError(error.errors.parentCategory.message, 400);
+      }
       if (error instanceof AppError) throw error;
       throw new AppError('Failed to create category', 500);
     }
@@ -126,21 +130,28 @@ class CategoryService {
         }
       }
 
-      const category = await Category.findByIdAndUpdate(
-        id,
-        updateData,
-        { new: true, runValidators: true }
-      );
-
+      // Save rather than update in place so the ancestors follow a new parent
+      const category = await Category.findById(id);
       if (!category) {
         throw new AppError('Category not found', 404);
       }
 
+      category.set(updateData);
+      const parentChanged = category.isModified('parentCategory');
+      await category.save();
+
+      if (parentChanged) {
+        await Category.rebuildDescendantAncestors(category);
+      }
+
       return category;
     } catch (error) {
       if (error.code === 11000) {
         throw new AppError('Category with this slug already exists', 400);
       }
+      if (error.name === 'ValidationError' && error.errors.parentCategory) {
+        throw new AppError(error.errors.parentCategory.message, 400);
+      }
       if (error instanceof AppError) throw error;
       throw new AppError('Failed to update category', 500);
     }
@@ -152,7 +163,7 @@ class CategoryService {
   async deleteCategory(id) {
     try {
       // Check if category has products
-      const productCount = await Product.countDocuments({ category: id });
+      const productCount = await Product.countDocuments({ categories: id });
       if (productCount > 0) {
         throw new AppError(
           `Cannot delete category. It has ${productCount} product(s) associated with it.`,
@@ -160,6 +171,14 @@ class CategoryService {
         );
       }
 
+      const subcategoryCount = await Category.countDocuments({ parentCategory: id });
+      if (subcategoryCount > 0) {
+        throw new AppError(
+          `Cannot delete category. It has ${subcategoryCount} subcategory(ies).`,
+          400
+        );
+      }
+
       const category = await Category.findByIdAndDelete(id);
       if (!category) {
         throw new AppError('Category not found', 404);
@@ -182,7 +201,7 @@ class CategoryService {
           $lookup: {
             from: 'products',
             localField: '_id',
-            foreignField: 'category',
+            foreignField: 'categories',
             as: 'products'
           }
         },
@@ -230,6 +249,7 @@ class CategoryService {
           $project: {
             name: 1,
             slug: 1,
+            parentCategory: 1,
             isActive: 1,
             totalProducts: 1,
             inStockProducts: 1,
@@ -260,6 +280,8 @@ class CategoryService {
         _id: cat._id,
         name: cat.name,
         slug: cat.slug,
+        parentCategory: cat.parentCategory,
+        ancestors: cat.ancestors,
         description: cat.description,
         image: cat.image
       }));
@@ -361,6 +383,10 @@ class CategoryService {
       errors.push('Slug can only contain lowercase letters, numbers, and hyphens');
     }
 
+    if (data.parentCategory && !/^[0-9a-fA-F]{24}$/.test(String(data.parentCategory))) {
+      errors.push('Invalid parent category ID');
+    }
+
     return errors;
   }
 }
@@ -284,14 +284,15 @@ class CustomerService {
   /**
    * Update customer from order
    * @param {Object} orderData - Order data
+   * @param {Object} [options] - session of an enclosing transaction
    * @returns {Promise<Object>} Updated customer
    */
-  async updateCustomerFromOrder(orderData) {
+  async updateCustomerFromOrder(orderData, { session = null } = {}) {
     try {
       const { customerInfo, total } = orderData;
       
       // Find or create customer
-      let customer = await Customer.findOne({ email: customerInfo.email });
+      let customer = await Customer.findOne({ email: customerInfo.email }).session(session);
       
       if (!customer) {
         // Create new customer from order data
@@ -312,7 +313,7 @@ class CustomerService {
       }
 
       // Update customer statistics
-      await customer.updateStats({ total });
+      await customer.updateStats({ total }, { session });
       
       return customer;
     } catch (error) {
@@ -1,6 +1,7 @@
 const Product = require('../models/Product');
 const Order = require('../models/Order');
 const User = require('../models/User');
+const Wishlist = require('../models/Wishlist');
 
 /**
  * Dashboard Statistics Service
@@ -132,6 +133,45 @@ class DashboardService {
     });
   }
 
+  /**
+   * Get the products saved to the most wishlists
+   * @param {number} limit - Number of products
+   * @returns {Promise<Array>} Products with their wishlist count
+   */
+  async getMostWishlisted(limit = 5) {
+    return await this.getCachedData('mostWishlisted', async () => {
+      return await Wishlist.aggregate([
+        { $unwind: '$items' },
+        {
+          $group: {
+            _id: '$items.product',
+            count: { $sum: 1 }
+          }
+        },
+        { $sort: { count: -1 } },
+        { $limit: limit },
+        {
+          $lookup: {
+            from: 'products',
+            localField: '_id',
+            foreignField: '_id',
+            as: 'product'
+          }
+        },
+        { $unwind: '$product' },
+        {
+          $project: {
+            _id: 1,
+            count: 1,
+            name: '$product.name',
+            image: { $arrayElemAt: ['$product.images.url', 0] },
+            price: '$product.price'
+          }
+        }
+      ]);
+    });
+  }
+
   /**
    * Get orders by status
    * @returns {Promise<Object>} Orders status breakdown
@@ -260,7 +300,8 @@ class DashboardService {
         pendingOrders,
         stockStats,
         ordersByStatus,
-        revenueStats
+        revenueStats,
+        mostWishlisted
       ] = await Promise.all([
         this.getTotalProducts(),
         this.getTotalCustomers(),
@@ -269,7 +310,8 @@ class DashboardService {
         this.getPendingOrdersCount(),
         this.getProductStockStats(),
         this.getOrdersByStatus(),
-        this.getRevenueStats()
+        this.getRevenueStats(),
+        this.getMostWishlisted()
       ]);
 
       return {
@@ -281,7 +323,8 @@ class DashboardService {
         },
         products: {
           total: totalProducts,
-          ...stockStats
+          ...stockStats,
+          mostWishlisted
         },
         orders: {
           today: todayOrders,
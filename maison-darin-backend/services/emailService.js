@@ -2,6 +2,14 @@ const nodemailer = require('nodemailer');
 const SiteSettings = require('../models/SiteSettings');
 const logger = require('../utils/logger');
 
+// Escape text customers wrote themselves before putting it in an email
+const escapeHtml = value => String(value || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 class EmailService {
   constructor() {
     this.transporter = null;
@@ -1078,9 +1086,10 @@ ${message}
   }
 
   /**
-   * Send order confirmation email to customer
+   * Send order confirmation email to customer, with the tax invoice attached
+   * when there is one
    */
-  async sendOrderConfirmation(order) {
+  async sendOrderConfirmation(order, invoice = null) {
     try {
       if (!this.transporter) {
         await this.initializeTransporter();
@@ -1096,6 +1105,14 @@ ${message}
         html: this.generateOrderConfirmationHTML(order)
       };
 
+      if (invoice && invoice.pdf) {
+        mailOptions.attachments = [{
+          filename: `${invoice.invoiceNumber}.pdf`,
+          content: invoice.pdf,
+          contentType: 'application/pdf'
+        }];
+      }
+
       const result = await this.transporter.sendMail(mailOptions);
       logger.info(`Order confirmation email sent to ${order.customerInfo.email}`, {
         orderNumber: order.orderNumber,
@@ -1596,6 +1613,1044 @@ ${message}
     `;
   }
 
+  /**
+   * Send a back-in-stock notification to a subscriber, in both languages with
+   * the one they subscribed in first, and with a link to unsubscribe
+   */
+  async sendBackInStockNotification(subscription, product) {
+    try {
+      if (!this.transporter) {
+        await this.initializeTransporter();
+      }
+
+      const frontendUrl = process.env.FRONTEND_URL || 'https://maisondarin.com';
+      const links = {
+        product: `${frontendUrl}/product/${product._id}`,
+        unsubscribe: `${frontendUrl}/stock-alerts/unsubscribe/${subscription.unsubscribeToken}`
+      };
+      const subject = subscription.language === 'en'
+        ? `${product.name.en} is back in stock - Maison Darin`
+        : `${product.name.ar} متوفر الآن من جديد - ميزون دارين`;
+
+      const mailOptions = {
+        from: {
+          name: 'ميزون دارين - Maison Darin',
+          address: this.settings.adminEmail || 'maisondarin2025@gmail.com'
+        },
+        to: subscription.email,
+        subject,
+        headers: {
+          'List-Unsubscribe': `<${links.unsubscribe}>`
+        },
+        html: this.generateBackInStockHTML(product, links, subscription.language),
+        text: this.generateBackInStockText(product, links, subscription.language)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      logger.info(`Back-in-stock email sent to ${subscription.email}`, {
+        product: String(product._id),
+        messageId: result.messageId
+      });
+
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      logger.error('Failed to send back-in-stock email:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate back-in-stock email HTML with an Arabic and an English section
+   */
+  generateBackInStockHTML(product, links, language = 'ar') {
+    const image = product.images && product.images[0];
+    const imageUrl = typeof image === 'string' ? image : image && image.url;
+
+    const sections = {
+      ar: `
+            <div class="section" dir="rtl" lang="ar">
+                <h2>${product.name.ar} متوفر الآن 🎉</h2>
+                <p>طلبت منا أن نخبرك عند توفر هذا العطر من جديد، وقد وصل للتو. الكمية محدودة، فلا تتأخر!</p>
+                <a class="button" href="${links.product}">تسوق الآن</a>
+            </div>`,
+      en: `
+            <div class="section" dir="ltr" lang="en">
+                <h2>${product.name.en} is back 🎉</h2>
+                <p>You asked us to let you know when this fragrance returned, and it just has. Quantities are limited, so don't wait too long!</p>
+                <a class="button" href="${links.product}">Shop now</a>
+            </div>`
+    };
+    const order = language === 'en' ? ['en', 'ar'] : ['ar', 'en'];
+
+    return `
+    <!DOCTYPE html>
+    <html dir="${language === 'en' ? 'ltr' : 'rtl'}" lang="${language}">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${language === 'en' ? 'Back in stock - Maison Darin' : 'متوفر من جديد - ميزون دارين'}</title>
+        <style>
+            * { margin: 0; padding: 0; box-sizing: border-box; }
+            body {
+                font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                background: linear-gradient(135deg, #f5f7fa 0%, #c3cfe2 100%);
+                padding: 20px;
+                line-height: 1.6;
+            }
+            .container {
+                max-width: 600px;
+                margin: 0 auto;
+                background: white;
+                border-radius: 20px;
+                box-shadow: 0 20px 40px rgba(0,0,0,0.1);
+                overflow: hidden;
+            }
+            .header {
+                background: linear-gradient(135deg, #d4af37 0%, #b8860b 100%);
+                color: white;
+                padding: 30px;
+                text-align: center;
+            }
+            .header h1 {
+                font-size: 28px;
+                font-weight: 700;
+            }
+            .product-image {
+                display: block;
+                width: 100%;
+                max-height: 320px;
+                object-fit: cover;
+            }
+            .section {
+                padding: 30px;
+                text-align: center;
+                color: #374151;
+            }
+            .section + .section { border-top: 1px solid #e5e7eb; }
+            .section h2 {
+                font-size: 22px;
+                margin-bottom: 12px;
+                color: #1f2937;
+            }
+            .section p { margin-bottom: 20px; }
+            .button {
+                display: inline-block;
+                background: #b8860b;
+                color: white !important;
+                text-decoration: none;
+                padding: 12px 28px;
+                border-radius: 25px;
+                font-weight: 600;
+            }
+            .footer {
+                background: #f9fafb;
+                padding: 20px;
+                text-align: center;
+                border-top: 1px solid #e5e7eb;
+                color: #6b7280;
+                font-size: 13px;
+            }
+            .footer a { color: #6b7280; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>🌸 ميزون دارين - Maison Darin</h1>
+            </div>
+
+            ${imageUrl ? `<img class="product-image" src="${imageUrl}" alt="${product.name.en}">` : ''}
+            ${order.map(key => sections[key]).join('')}
+
+            <div class="footer">
+                <p>وصلتك هذه الرسالة لأنك طلبت إشعاراً عند توفر هذا المنتج.</p>
+                <p>You received this email because you asked to be notified about this product.</p>
+                <p style="margin-top: 10px;">
+                    <a href="${links.unsubscribe}">إلغاء الاشتراك / Unsubscribe</a>
+                </p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+  }
+
+  /**
+   * Generate back-in-stock email plain text
+   */
+  generateBackInStockText(product, links, language = 'ar') {
+    const sections = {
+      ar: `${product.name.ar} متوفر الآن من جديد.\nتسوق الآن: ${links.product}`,
+      en: `${product.name.en} is back in stock.\nShop now: ${links.product}`
+    };
+    const order = language === 'en' ? ['en', 'ar'] : ['ar', 'en'];
+
+    return `${order.map(key => sections[key]).join('\n\n')}\n\nإلغاء الاشتراك / Unsubscribe: ${links.unsubscribe}`;
+  }
+
+  /**
+   * Tell a customer that products on their wishlist now sell for less
+   * @param {Object} user - Customer with email and firstName
+   * @param {Array<Object>} drops - { product, previousPrice, price } per product
+   * @param {string} language - Language the email leads with
+   */
+  async sendWishlistPriceDropNotification(user, drops, language = 'ar') {
+    try {
+      if (!this.transporter) {
+        await this.initializeTransporter();
+      }
+
+      const frontendUrl = process.env.FRONTEND_URL || 'https://maisondarin.com';
+      const links = {
+        products: Object.fromEntries(drops.map(({ product }) => [String(product._id), `${frontendUrl}/product/${product._id}`])),
+        wishlist: `${frontendUrl}/wishlist`
+      };
+      const subject = language === 'en'
+        ? (drops.length === 1
+          ? `${drops[0].product.name.en} on your wishlist is now cheaper - Maison Darin`
+          : `${drops.length} products on your wishlist are now cheaper - Maison Darin`)
+        : (drops.length === 1
+          ? `انخفض سعر ${drops[0].product.name.ar} في قائمة أمنياتك - ميزون دارين`
+          : `انخفضت أسعار ${drops.length} منتجات في قائمة أمنياتك - ميزون دارين`);
+
+      const mailOptions = {
+        from: {
+          name: 'ميزون دارين - Maison Darin',
+          address: this.settings.adminEmail || 'maisondarin2025@gmail.com'
+        },
+        to: user.email,
+        subject,
+        html: this.generateWishlistPriceDropHTML(user, drops, links, language),
+        text: this.generateWishlistPriceDropText(drops, links, language)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      logger.info(`Wishlist price-drop email sent to ${user.email}`, {
+        products: drops.map(({ product }) => String(product._id)),
+        messageId: result.messageId
+      });
+
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      logger.error('Failed to send wishlist price-drop email:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate wishlist price-drop email HTML with an Arabic and an English section
+   */
+  generateWishlistPriceDropHTML(user, drops, links, language = 'ar') {
+    const rows = (lang) => drops.map(({ product, previousPrice, price }) => {
+      const image = product.images && product.images[0];
+      const imageUrl = typeof image === 'string' ? image : image && image.url;
+      const currency = lang === 'ar' ? 'ريال' : 'SAR';
+
+      return `
+                <a class="item" href="${links.products[String(product._id)]}">
+                    ${imageUrl ? `<img src="${imageUrl}" alt="${product.name[lang]}">` : ''}
+                    <span class="name">${product.name[lang]}</span>
+                    <span class="price"><s>${previousPrice} ${currency}</s> ${price} ${currency}</span>
+                </a>`;
+    }).join('');
+    const name = user.firstName ? ` ${user.firstName}` : '';
+
+    const sections = {
+      ar: `
+            <div class="section" dir="rtl" lang="ar">
+                <h2>أخبار سارة${name}! 🎉</h2>
+                <p>انخفض سعر ${drops.length === 1 ? 'منتج' : 'منتجات'} في قائمة أمنياتك:</p>
+                ${rows('ar')}
+                <a class="button" href="${links.wishlist}">عرض قائمة الأمنيات</a>
+            </div>`,
+      en: `
+            <div class="section" dir="ltr" lang="en">
+                <h2>Good news${name}! 🎉</h2>
+                <p>${drops.length === 1 ? 'A product' : 'Products'} on your wishlist just got cheaper:</p>
+                ${rows('en')}
+                <a class="button" href="${links.wishlist}">View your wishlist</a>
+            </div>`
+    };
+    const order = language === 'en' ? ['en', 'ar'] : ['ar', 'en'];
+
+    return `
+    <!DOCTYPE html>
+    <html dir="${language === 'en' ? 'ltr' : 'rtl'}" lang="${language}">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${language === 'en' ? 'Price drop - Maison Darin' : 'انخفاض السعر - ميزون دارين'}</title>
+        <style>
+            * { margin: 0; padding: 0; box-sizing: border-box; }
+            body {
+                font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                background: linear-gradient(135deg, #f5f7fa 0%, #c3cfe2 100%);
+                padding: 20px;
+                line-height: 1.6;
+            }
+            .container {
+                max-width: 600px;
+                margin: 0 auto;
+                background: white;
+                border-radius: 20px;
+                box-shadow: 0 20px 40px rgba(0,0,0,0.1);
+                overflow: hidden;
+            }
+            .header {
+                background: linear-gradient(135deg, #d4af37 0%, #b8860b 100%);
+                color: white;
+                padding: 30px;
+                text-align: center;
+            }
+            .header h1 {
+                font-size: 28px;
+                font-weight: 700;
+            }
+            .section {
+                padding: 30px;
+                text-align: center;
+                color: #374151;
+            }
+            .section + .section { border-top: 1px solid #e5e7eb; }
+            .section h2 {
+                font-size: 22px;
+                margin-bottom: 12px;
+                color: #1f2937;
+            }
+            .section p { margin-bottom: 20px; }
+            .item {
+                display: block;
+                padding: 12px;
+                margin-bottom: 12px;
+                border: 1px solid #e5e7eb;
+                border-radius: 12px;
+                color: #1f2937;
+                text-decoration: none;
+            }
+            .item img {
+                display: block;
+                width: 100%;
+                max-height: 200px;
+                object-fit: cover;
+                border-radius: 8px;
+                margin-bottom: 8px;
+            }
+            .item .name { display: block; font-weight: 600; }
+            .item .price { color: #b8860b; font-weight: 700; }
+            .item s { color: #9ca3af; font-weight: 400; margin: 0 6px; }
+            .button {
+                display: inline-block;
+                background: #b8860b;
+                color: white !important;
+                text-decoration: none;
+                padding: 12px 28px;
+                border-radius: 25px;
+                font-weight: 600;
+                margin-top: 8px;
+            }
+            .footer {
+                background: #f9fafb;
+                padding: 20px;
+                text-align: center;
+                border-top: 1px solid #e5e7eb;
+                color: #6b7280;
+                font-size: 13px;
+            }
+            .footer a { color: #6b7280; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>🌸 ميزون دارين - Maison Darin</h1>
+            </div>
+
+            ${order.map(key => sections[key]).join('')}
+
+            <div class="footer">
+                <p>وصلتك هذه الرسالة لأن تنبيهات الأسعار مفعلة في قائمة أمنياتك.</p>
+                <p>You received this email because price alerts are on for your wishlist.</p>
+                <p style="margin-top: 10px;">
+                    <a href="${links.wishlist}">إيقاف التنبيهات / Turn off alerts</a>
+                </p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+  }
+
+  /**
+   * Generate wishlist price-drop email plain text
+   */
+  generateWishlistPriceDropText(drops, links, language = 'ar') {
+    const lines = (lang) => drops.map(({ product, previousPrice, price }) =>
+      `- ${product.name[lang]}: ${previousPrice} → ${price} ${lang === 'ar' ? 'ريال' : 'SAR'}\n  ${links.products[String(product._id)]}`
+    ).join('\n');
+    const sections = {
+      ar: `انخفض سعر منتجات في قائمة أمنياتك:\n${lines('ar')}`,
+      en: `Products on your wishlist just got cheaper:\n${lines('en')}`
+    };
+    const order = language === 'en' ? ['en', 'ar'] : ['ar', 'en'];
+
+    return `${order.map(key => sections[key]).join('\n\n')}\n\nقائمة الأمنيات / Wishlist: ${links.wishlist}`;
+  }
+
+  /**
+   * Send an abandoned-cart reminder with a link that restores the cart
+   * @param {Object} cart - Cart (token, email, firstName)
+   * @param {Array} lines - Cart lines that can still be ordered ({ product, variantId, quantity, price, previousPrice })
+   * @param {number} step - Reminder number, from 0
+   * @param {string} language - Language the email leads with
+   */
+  async sendAbandonedCartReminder(cart, lines, step, language = 'ar') {
+    try {
+      if (!this.transporter) {
+        await this.initializeTransporter();
+      }
+
+      const frontendUrl = process.env.FRONTEND_URL || 'https://maisondarin.com';
+      const links = {
+        restore: `${frontendUrl}/cart/restore/${cart.token}`,
+        unsubscribe: `${frontendUrl}/cart/restore/${cart.token}?reminders=off`
+      };
+      const subjects = {
+        en: [
+          'You left something in your cart - Maison Darin',
+          'Your cart is still waiting for you - Maison Darin',
+          'Last reminder: the products in your cart - Maison Darin'
+        ],
+        ar: [
+          'نسيت شيئاً في سلتك - ميزون دارين',
+          'سلتك ما زالت بانتظارك - ميزون دارين',
+          'تذكير أخير: المنتجات في سلتك - ميزون دارين'
+        ]
+      };
+      const lang = language === 'en' ? 'en' : 'ar';
+
+      const mailOptions = {
+        from: {
+          name: 'ميزون دارين - Maison Darin',
+          address: this.settings.adminEmail || 'maisondarin2025@gmail.com'
+        },
+        to: cart.email,
+        subject: subjects[lang][Math.min(step, subjects[lang].length - 1)],
+        html: this.generateAbandonedCartHTML(cart, lines, links, language),
+        text: this.generateAbandonedCartText(lines, links, language)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      logger.info(`Abandoned-cart reminder ${step + 1} sent to ${cart.email}`, {
+        cart: String(cart._id),
+        messageId: result.messageId
+      });
+
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      logger.error('Failed to send abandoned-cart reminder:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate abandoned-cart reminder HTML with an Arabic and an English section
+   */
+  generateAbandonedCartHTML(cart, lines, links, language = 'ar') {
+    const rows = (lang) => lines.map(({ product, variantId, quantity, price, previousPrice }) => {
+      const image = product.images && product.images[0];
+      const imageUrl = typeof image === 'string' ? image : image && image.url;
+      const variant = variantId && product.variants
+        ? product.variants.find(v => String(v._id) === String(variantId))
+        : null;
+      const currency = lang === 'ar' ? 'ريال' : 'SAR';
+      const size = variant ? variant.size : product.size;
+
+      return `
+                <div class="item">
+                    ${imageUrl ? `<img src="${imageUrl}" alt="${product.name[lang]}">` : ''}
+                    <span class="name">${product.name[lang]}${size ? ` - ${size}` : ''} × ${quantity}</span>
+                    <span class="price">${previousPrice && previousPrice > price ? `<s>${previousPrice} ${currency}</s> ` : ''}${price} ${currency}</span>
+                </div>`;
+    }).join('');
+    const name = cart.firstName ? ` ${cart.firstName}` : '';
+
+    const sections = {
+      ar: `
+            <div class="section" dir="rtl" lang="ar">
+                <h2>مرحباً${name}، سلتك بانتظارك 🛍️</h2>
+                <p>احتفظنا لك بالمنتجات التي اخترتها. أكمل طلبك قبل نفاد الكمية:</p>
+                ${rows('ar')}
+                <a class="button" href="${links.restore}">إكمال الطلب</a>
+            </div>`,
+      en: `
+            <div class="section" dir="ltr" lang="en">
+                <h2>Hi${name}, your cart is waiting 🛍️</h2>
+                <p>We saved the products you picked. Complete your order before they sell out:</p>
+                ${rows('en')}
+                <a class="button" href="${links.restore}">Complete your order</a>
+            </div>`
+    };
+    const order = language === 'en' ? ['en', 'ar'] : ['ar', 'en'];
+
+    return `
+    <!DOCTYPE html>
+    <html dir="${language === 'en' ? 'ltr' : 'rtl'}" lang="${language}">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${language === 'en' ? 'Your cart - Maison Darin' : 'سلتك - ميزون دارين'}</title>
+        <style>
+            * { margin: 0; padding: 0; box-sizing: border-box; }
+            body {
+                font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                background: linear-gradient(135deg, #f5f7fa 0%, #c3cfe2 100%);
+                padding: 20px;
+                line-height: 1.6;
+            }
+            .container {
+                max-width: 600px;
+                margin: 0 auto;
+                background: white;
+                border-radius: 20px;
+                box-shadow: 0 20px 40px rgba(0,0,0,0.1);
+                overflow: hidden;
+            }
+            .header {
+                background: linear-gradient(135deg, #d4af37 0%, #b8860b 100%);
+                color: white;
+                padding: 30px;
+                text-align: center;
+            }
+            .header h1 {
+                font-size: 28px;
+                font-weight: 700;
+            }
+            .section {
+                padding: 30px;
+                text-align: center;
+                color: #374151;
+            }
+            .section + .section { border-top: 1px solid #e5e7eb; }
+            .section h2 {
+                font-size: 22px;
+                margin-bottom: 12px;
+                color: #1f2937;
+            }
+            .section p { margin-bottom: 20px; }
+            .item {
+                padding: 12px;
+                margin-bottom: 12px;
+                border: 1px solid #e5e7eb;
+                border-radius: 12px;
+                color: #1f2937;
+            }
+            .item img {
+                display: block;
+                width: 100%;
+                max-height: 200px;
+                object-fit: cover;
+                border-radius: 8px;
+                margin-bottom: 8px;
+            }
+            .item .name { display: block; font-weight: 600; }
+            .item .price { color: #b8860b; font-weight: 700; }
+            .item s { color: #9ca3af; font-weight: 400; margin: 0 6px; }
+            .button {
+                display: inline-block;
+                background: #b8860b;
+                color: white !important;
+                text-decoration: none;
+                padding: 12px 28px;
+                border-radius: 25px;
+                font-weight: 600;
+                margin-top: 8px;
+            }
+            .footer {
+                background: #f9fafb;
+                padding: 20px;
+                text-align: center;
+                border-top: 1px solid #e5e7eb;
+                color: #6b7280;
+                font-size: 13px;
+            }
+            .footer a { color: #6b7280; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>🌸 ميزون دارين - Maison Darin</h1>
+            </div>
+
+            ${order.map(key => sections[key]).join('')}
+
+            <div class="footer">
+                <p>وصلتك هذه الرسالة لأنك بدأت إتمام طلب في متجرنا ولم تكمله.</p>
+                <p>You received this email because you started checking out at our store and didn't finish.</p>
+                <p style="margin-top: 10px;">
+                    <a href="${links.unsubscribe}">إيقاف التذكيرات / Stop reminders</a>
+                </p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+  }
+
+  /**
+   * Generate abandoned-cart reminder plain text
+   */
+  generateAbandonedCartText(lines, links, language = 'ar') {
+    const items = (lang) => lines.map(({ product, quantity, price }) =>
+      `- ${product.name[lang]} × ${quantity}: ${price} ${lang === 'ar' ? 'ريال' : 'SAR'}`
+    ).join('\n');
+    const sections = {
+      ar: `سلتك بانتظارك:\n${items('ar')}\n\nإكمال الطلب: ${links.restore}`,
+      en: `Your cart is waiting:\n${items('en')}\n\nComplete your order: ${links.restore}`
+    };
+    const order = language === 'en' ? ['en', 'ar'] : ['ar', 'en'];
+
+    return `${order.map(key => sections[key]).join('\n\n')}\n\nإيقاف التذكيرات / Stop reminders: ${links.unsubscribe}`;
+  }
+
+  /**
+   * Email a gift card to its recipient with the sender's message, or tell a
+   * customer that store credit was added to their account
+   * @param {Object} card - Gift card with recipient, sender and message
+   * @param {string} language - Language the email leads with
+   */
+  async sendGiftCard(card, language = 'ar') {
+    try {
+      if (!this.transporter) {
+        await this.initializeTransporter();
+      }
+
+      const frontendUrl = process.env.FRONTEND_URL || 'https://maisondarin.com';
+      const links = { shop: `${frontendUrl}/products`, checkout: `${frontendUrl}/checkout` };
+      const subjects = card.kind === 'store_credit'
+        ? { en: 'Store credit added to your account - Maison Darin', ar: 'تمت إضافة رصيد إلى حسابك - ميزون دارين' }
+        : { en: 'You have received a Maison Darin gift card', ar: 'وصلتك بطاقة هدية من ميزون دارين' };
+
+      const mailOptions = {
+        from: {
+          name: 'ميزون دارين - Maison Darin',
+          address: this.settings.adminEmail || 'maisondarin2025@gmail.com'
+        },
+        to: card.recipient.email,
+        subject: subjects[language === 'en' ? 'en' : 'ar'],
+        html: this.generateGiftCardHTML(card, links, language),
+        text: this.generateGiftCardText(card, links, language)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      logger.info(`Gift card email sent to ${card.recipient.email}`, {
+        giftCard: String(card._id),
+        messageId: result.messageId
+      });
+
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      logger.error('Failed to send gift card email:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate gift card email HTML with an Arabic and an English section
+   */
+  generateGiftCardHTML(card, links, language = 'ar') {
+    const name = escapeHtml(card.recipient && card.recipient.name);
+    const sender = escapeHtml(card.sender && card.sender.name);
+    const message = escapeHtml(card.message).replace(/\n/g, '<br>');
+    const expiry = card.expiresAt ? new Date(card.expiresAt) : null;
+
+    const sections = card.kind === 'store_credit' ? {
+      ar: `
+            <div class="section" dir="rtl" lang="ar">
+                <h2>${name ? `مرحباً ${name}، ` : ''}أضفنا رصيداً إلى حسابك</h2>
+                <p class="amount">${card.balance} ريال</p>
+                <p>سجّل الدخول واختر "استخدام رصيد المتجر" عند الدفع لاستخدامه.</p>
+                ${expiry ? `<p class="muted">صالح حتى ${expiry.toLocaleDateString('ar-SA')}</p>` : ''}
+                <a class="button" href="${links.checkout}">تسوق الآن</a>
+            </div>`,
+      en: `
+            <div class="section" dir="ltr" lang="en">
+                <h2>${name ? `Hello ${name}, ` : ''}we've added credit to your account</h2>
+                <p class="amount">${card.balance} SAR</p>
+                <p>Log in and turn on "Use store credit" at checkout to spend it.</p>
+                ${expiry ? `<p class="muted">Valid until ${expiry.toLocaleDateString('en-US')}</p>` : ''}
+                <a class="button" href="${links.checkout}">Shop now</a>
+            </div>`
+    } : {
+      ar: `
+            <div class="section" dir="rtl" lang="ar">
+                <h2>${name ? `${name}، ` : ''}وصلتك بطاقة هدية 🎁</h2>
+                ${sender ? `<p>من ${sender}</p>` : ''}
+                <p class="amount">${card.balance} ريال</p>
+                <p>أدخل هذا الرمز عند الدفع:</p>
+                <p class="code">${card.code}</p>
+                ${expiry ? `<p class="muted">صالحة حتى ${expiry.toLocaleDateString('ar-SA')}</p>` : ''}
+                <a class="button" href="${links.shop}">تسوق الآن</a>
+            </div>`,
+      en: `
+            <div class="section" dir="ltr" lang="en">
+                <h2>${name ? `${name}, ` : ''}you've received a gift card 🎁</h2>
+                ${sender ? `<p>From ${sender}</p>` : ''}
+                <p class="amount">${card.balance} SAR</p>
+                <p>Enter this code at checkout:</p>
+                <p class="code">${card.code}</p>
+                ${expiry ? `<p class="muted">Valid until ${expiry.toLocaleDateString('en-US')}</p>` : ''}
+                <a class="button" href="${links.shop}">Shop now</a>
+            </div>`
+    };
+    const order = language === 'en' ? ['en', 'ar'] : ['ar', 'en'];
+
+    return `
+    <!DOCTYPE html>
+    <html dir="${language === 'en' ? 'ltr' : 'rtl'}" lang="${language}">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${language === 'en' ? 'Gift card - Maison Darin' : 'بطاقة هدية - ميزون دارين'}</title>
+        <style>
+            * { margin: 0; padding: 0; box-sizing: border-box; }
+            body {
+                font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                background: linear-gradient(135deg, #f5f7fa 0%, #c3cfe2 100%);
+                padding: 20px;
+                line-height: 1.6;
+            }
+            .container {
+                max-width: 600px;
+                margin: 0 auto;
+                background: white;
+                border-radius: 20px;
+                box-shadow: 0 20px 40px rgba(0,0,0,0.1);
+                overflow: hidden;
+            }
+            .header {
+                background: linear-gradient(135deg, #d4af37 0%, #b8860b 100%);
+                color: white;
+                padding: 30px;
+                text-align: center;
+            }
+            .header h1 {
+                font-size: 28px;
+                font-weight: 700;
+            }
+            .message {
+                margin: 30px 30px 0;
+                padding: 20px;
+                background: #fdf8e8;
+                border-radius: 12px;
+                color: #374151;
+                font-style: italic;
+                text-align: center;
+            }
+            .section {
+                padding: 30px;
+                text-align: center;
+                color: #374151;
+            }
+            .section + .section { border-top: 1px solid #e5e7eb; }
+            .section h2 {
+                font-size: 22px;
+                margin-bottom: 12px;
+                color: #1f2937;
+            }
+            .section p { margin-bottom: 12px; }
+            .amount {
+                font-size: 32px;
+                font-weight: 700;
+                color: #b8860b;
+            }
+            .code {
+                display: inline-block;
+                font-family: 'Courier New', monospace;
+                font-size: 20px;
+                letter-spacing: 2px;
+                padding: 10px 20px;
+                border: 2px dashed #d4af37;
+                border-radius: 8px;
+                direction: ltr;
+            }
+            .muted { color: #6b7280; font-size: 14px; }
+            .button {
+                display: inline-block;
+                margin-top: 8px;
+                background: #b8860b;
+                color: white !important;
+                text-decoration: none;
+                padding: 12px 28px;
+                border-radius: 25px;
+                font-weight: 600;
+            }
+            .footer {
+                background: #f9fafb;
+                padding: 20px;
+                text-align: center;
+                border-top: 1px solid #e5e7eb;
+                color: #6b7280;
+                font-size: 13px;
+            }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>🌸 ميزون دارين - Maison Darin</h1>
+            </div>
+
+            ${message ? `<div class="message">${message}</div>` : ''}
+            ${order.map(key => sections[key]).join('')}
+
+            <div class="footer">
+                <p>احتفظ بهذه الرسالة، فالرمز يُستخدم مثل النقد.</p>
+                <p>Keep this email safe: the code can be spent like cash.</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+  }
+
+  /**
+   * Generate gift card email plain text
+   */
+  generateGiftCardText(card, links, language = 'ar') {
+    const sender = card.sender && card.sender.name;
+    const sections = card.kind === 'store_credit' ? {
+      ar: `أضفنا ${card.balance} ريال إلى رصيد حسابك.\nاستخدمه عند الدفع: ${links.checkout}`,
+      en: `We've added ${card.balance} SAR of credit to your account.\nSpend it at checkout: ${links.checkout}`
+    } : {
+      ar: `وصلتك بطاقة هدية بقيمة ${card.balance} ريال${sender ? ` من ${sender}` : ''}.\nالرمز: ${card.code}\nتسوق الآن: ${links.shop}`,
+      en: `You've received a ${card.balance} SAR gift card${sender ? ` from ${sender}` : ''}.\nCode: ${card.code}\nShop now: ${links.shop}`
+    };
+    const order = language === 'en' ? ['en', 'ar'] : ['ar', 'en'];
+
+    return `${card.message ? `${card.message}\n\n` : ''}${order.map(key => sections[key]).join('\n\n')}`;
+  }
+
+  /**
+   * Tell a customer where their return stands: requested, approved,
+   * rejected, received, inspected (refund on its way) or refunded
+   * @param {Object} returnRequest - Return in its new stage
+   */
+  async sendReturnUpdate(returnRequest) {
+    try {
+      if (!this.transporter) {
+        await this.initializeTransporter();
+      }
+
+      const language = returnRequest.language === 'en' ? 'en' : 'ar';
+      const frontendUrl = process.env.FRONTEND_URL || 'https://maisondarin.com';
+      const content = this.getReturnUpdateContent(returnRequest);
+      const subjects = {
+        en: `Return ${returnRequest.returnNumber}: ${content.en.title} - Maison Darin`,
+        ar: `طلب الإرجاع ${returnRequest.returnNumber}: ${content.ar.title} - ميزون دارين`
+      };
+
+      const mailOptions = {
+        from: {
+          name: 'ميزون دارين - Maison Darin',
+          address: this.settings.adminEmail || 'maisondarin2025@gmail.com'
+        },
+        to: returnRequest.customer.email,
+        subject: subjects[language],
+        html: this.generateReturnUpdateHTML(returnRequest, content, `${frontendUrl}/track-order`, language),
+        text: this.generateReturnUpdateText(returnRequest, content, `${frontendUrl}/track-order`, language)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      logger.info(`Return update email sent to ${returnRequest.customer.email}`, {
+        returnNumber: returnRequest.returnNumber,
+        status: returnRequest.status,
+        messageId: result.messageId
+      });
+
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      logger.error('Failed to send return update email:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Title and message of a return update in both languages
+   */
+  getReturnUpdateContent(returnRequest) {
+    const refund = returnRequest.refund || {};
+    const lastEntry = returnRequest.timeline[returnRequest.timeline.length - 1] || {};
+    const note = returnRequest.status === 'rejected' ? lastEntry.note : null;
+    const amount = refund.amount;
+
+    switch (returnRequest.status) {
+      case 'requested':
+        return {
+          en: { title: 'request received', message: 'We have received your return request and will review it shortly. We will email you once it is approved with how to send the items back.' },
+          ar: { title: 'تم استلام الطلب', message: 'استلمنا طلب الإرجاع وسنراجعه قريباً. سنراسلك عند الموافقة عليه مع طريقة إرسال المنتجات.' }
+        };
+      case 'approved':
+        return {
+          en: { title: 'approved', message: `Your return has been approved. Please pack the items with the return number ${returnRequest.returnNumber} and send them back to us.` },
+          ar: { title: 'تمت الموافقة', message: `تمت الموافقة على طلب الإرجاع. يرجى تغليف المنتجات مع رقم الإرجاع ${returnRequest.returnNumber} وإرسالها إلينا.` }
+        };
+      case 'rejected':
+        return {
+          en: { title: 'not approved', message: `We are sorry, your return could not be approved.${note ? ` Reason: ${note}` : ''}` },
+          ar: { title: 'لم تتم الموافقة', message: `نأسف، لم تتم الموافقة على طلب الإرجاع.${note ? ` السبب: ${note}` : ''}` }
+        };
+      case 'received':
+        return {
+          en: { title: 'items received', message: 'Your returned items have arrived. We will inspect them and send your refund.' },
+          ar: { title: 'تم استلام المنتجات', message: 'وصلتنا المنتجات المرتجعة. سنقوم بفحصها ثم إرسال المبلغ المسترد.' }
+        };
+      case 'inspected':
+        return {
+          en: { title: 'refund on its way', message: `Your items have been inspected. A refund of ${amount} SAR is being sent to you.` },
+          ar: { title: 'جارٍ رد المبلغ', message: `تم فحص المنتجات، وجارٍ رد مبلغ ${amount} ريال إليك.` }
+        };
+      case 'refunded':
+        return {
+          en: { title: 'refunded', message: `A refund of ${amount} SAR has been sent${refund.storeCredit ? ', partly as store credit on your account' : ''}. It can take a few days to show.` },
+          ar: { title: 'تم رد المبلغ', message: `تم رد مبلغ ${amount} ريال${refund.storeCredit ? '، جزء منه كرصيد في حسابك' : ''}. قد يستغرق ظهوره بضعة أيام.` }
+        };
+      default:
+        return {
+          en: { title: returnRequest.status, message: '' },
+          ar: { title: returnRequest.status, message: '' }
+        };
+    }
+  }
+
+  /**
+   * Generate return update email HTML with an Arabic and an English section
+   */
+  generateReturnUpdateHTML(returnRequest, content, trackUrl, language = 'ar') {
+    const name = escapeHtml(returnRequest.customer.name);
+    const items = returnRequest.items.map(item => ({
+      name: escapeHtml(`${item.productName}${item.variantSize ? ` (${item.variantSize})` : ''}`),
+      quantity: item.receivedQuantity !== undefined && item.receivedQuantity !== null ? item.receivedQuantity : item.quantity
+    }));
+    const itemsHtml = items.map(item => `<li>${item.name} × ${item.quantity}</li>`).join('');
+
+    const sections = {
+      ar: `
+            <div class="section" dir="rtl" lang="ar">
+                <h2>${name ? `مرحباً ${name}، ` : ''}${content.ar.title}</h2>
+                <p class="muted">طلب الإرجاع ${returnRequest.returnNumber} · الطلب ${returnRequest.orderNumber}</p>
+                <p>${escapeHtml(content.ar.message)}</p>
+                <ul>${itemsHtml}</ul>
+                <a class="button" href="${trackUrl}">تتبع الطلب</a>
+            </div>`,
+      en: `
+            <div class="section" dir="ltr" lang="en">
+                <h2>${name ? `Hello ${name}, ` : ''}your return: ${content.en.title}</h2>
+                <p class="muted">Return ${returnRequest.returnNumber} · Order ${returnRequest.orderNumber}</p>
+                <p>${escapeHtml(content.en.message)}</p>
+                <ul>${itemsHtml}</ul>
+                <a class="button" href="${trackUrl}">Track your order</a>
+            </div>`
+    };
+    const order = language === 'en' ? ['en', 'ar'] : ['ar', 'en'];
+
+    return `
+    <!DOCTYPE html>
+    <html dir="${language === 'en' ? 'ltr' : 'rtl'}" lang="${language}">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${language === 'en' ? 'Your return - Maison Darin' : 'طلب الإرجاع - ميزون دارين'}</title>
+        <style>
+            * { margin: 0; padding: 0; box-sizing: border-box; }
+            body {
+                font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                background: linear-gradient(135deg, #f5f7fa 0%, #c3cfe2 100%);
+                padding: 20px;
+                line-height: 1.6;
+            }
+            .container {
+                max-width: 600px;
+                margin: 0 auto;
+                background: white;
+                border-radius: 20px;
+                box-shadow: 0 20px 40px rgba(0,0,0,0.1);
+                overflow: hidden;
+            }
+            .header {
+                background: linear-gradient(135deg, #d4af37 0%, #b8860b 100%);
+                color: white;
+                padding: 30px;
+                text-align: center;
+            }
+            .header h1 {
+                font-size: 28px;
+                font-weight: 700;
+            }
+            .section {
+                padding: 30px;
+                color: #374151;
+            }
+            .section + .section { border-top: 1px solid #e5e7eb; }
+            .section h2 {
+                font-size: 22px;
+                margin-bottom: 12px;
+                color: #1f2937;
+            }
+            .section p { margin-bottom: 12px; }
+            .section ul { margin: 0 20px 16px; }
+            .muted { color: #6b7280; font-size: 14px; }
+            .button {
+                display: inline-block;
+                margin-top: 8px;
+                background: #b8860b;
+                color: white !important;
+                text-decoration: none;
+                padding: 12px 28px;
+                border-radius: 25px;
+                font-weight: 600;
+            }
+            .footer {
+                background: #f9fafb;
+                padding: 20px;
+                text-align: center;
+                border-top: 1px solid #e5e7eb;
+                color: #6b7280;
+                font-size: 13px;
+            }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>🌸 ميزون دارين - Maison Darin</h1>
+            </div>
+
+            ${order.map(key => sections[key]).join('')}
+
+            <div class="footer">
+                <p>للاستفسار، رد على هذه الرسالة مع ذكر رقم الإرجاع.</p>
+                <p>Questions? Reply to this email with your return number.</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+  }
+
+  /**
+   * Generate return update email plain text
+   */
+  generateReturnUpdateText(returnRequest, content, trackUrl, language = 'ar') {
+    const sections = {
+      ar: `طلب الإرجاع ${returnRequest.returnNumber}: ${content.ar.title}\n${content.ar.message}\nتتبع الطلب: ${trackUrl}`,
+      en: `Return ${returnRequest.returnNumber}: ${content.en.title}\n${content.en.message}\nTrack your order: ${trackUrl}`
+    };
+    const order = language === 'en' ? ['en', 'ar'] : ['ar', 'en'];
+
+    return order.map(key => sections[key]).join('\n\n');
+  }
+
   /**
    * Test email configuration
    */
@@ -0,0 +1,283 @@
+const Product = require('../models/Product');
+const TextSearch = require('../utils/textSearch');
+
+// Fragrance note layers exposed as facets, keyed by query parameter
+const NOTE_FACETS = {
+  topNotes: 'notes.top',
+  middleNotes: 'notes.middle',
+  baseNotes: 'notes.base'
+};
+
+const PRICE_BANDS = [
+  { value: '0-100', min: 0, max: 100 },
+  { value: '100-200', min: 100, max: 200 },
+  { value: '200-300', min: 200, max: 300 },
+  { value: '300-500', min: 300, max: 500 },
+  { value: '500+', min: 500 }
+];
+
+const AVAILABILITY = {
+  inStock: { en: 'In stock', ar: 'متوفر' },
+  outOfStock: { en: 'Out of stock', ar: 'غير متوفر' }
+};
+
+const FACET_DIMENSIONS = [
+  ...Object.keys(NOTE_FACETS),
+  'concentration',
+  'size',
+  'priceBand',
+  'availability'
+];
+
+// Most values returned per notes/size facet
+const MAX_FACET_VALUES = 30;
+
+class FacetService {
+  /**
+   * Normalize facet filters from query parameters. Each dimension accepts
+   * an array or a comma-separated string; unknown values are dropped.
+   * @param {Object} options - Request options
+   * @returns {Object} Selected values keyed by facet dimension
+   */
+  parseFilters(options = {}) {
+    const filters = {};
+
+    for (const dimension of FACET_DIMENSIONS) {
+      const raw = options[dimension];
+      if (raw === undefined || raw === null || raw === '') {
+        continue;
+      }
+
+      let values = (Array.isArray(raw) ? raw : String(raw).split(','))
+        .map(value => String(value).trim())
+        .filter(Boolean);
+
+      if (dimension === 'concentration' || dimension === 'size') {
+        values = values.map(value => value.toLowerCase());
+      }
+      if (dimension === 'concentration') {
+        const codes = Product.getConcentrations().map(({ value }) => value);
+        values = values.filter(value => codes.includes(value));
+      }
+      if (dimension === 'priceBand') {
+        values = values.filter(value => PRICE_BANDS.some(band => band.value === value));
+      }
+      if (dimension === 'availability') {
+        values = values.filter(value => AVAILABILITY[value]);
+      }
+
+      values = [...new Set(values)];
+      if (values.length > 0) {
+        filters[dimension] = values;
+      }
+    }
+
+    return filters;
+  }
+
+  /**
+   * Build one MongoDB clause per selected dimension. Values within a
+   * dimension are OR-ed; the clauses themselves are AND-ed by the caller.
+   * @param {Object} filters - Output of parseFilters
+   * @returns {Object} MongoDB clauses keyed by facet dimension
+   */
+  buildClauses(filters = {}) {
+    const clauses = {};
+    const exactly = value => new RegExp(`^${TextSearch.escapeRegex(value)}$`, 'i');
+
+    for (const [dimension, path] of Object.entries(NOTE_FACETS)) {
+      if (filters[dimension]) {
+        clauses[dimension] = { [`${path}.en`]: { $in: filters[dimension].map(exactly) } };
+      }
+    }
+
+    if (filters.concentration) {
+      clauses.concentration = { concentrationCode: { $in: filters.concentration } };
+    }
+
+    if (filters.size) {
+      const sizes = filters.size.map(exactly);
+      clauses.size = {
+        $or: [
+          { size: { $in: sizes } },
+          { 'variants.size': { $in: sizes } }
+        ]
+      };
+    }
+
+    if (filters.priceBand) {
+      clauses.priceBand = {
+        $or: PRICE_BANDS
+          .filter(band => filters.priceBand.includes(band.value))
+          .map(band => ({
+            price: band.max === undefined ? { $gte: band.min } : { $gte: band.min, $lt: band.max }
+          }))
+      };
+    }
+
+    if (filters.availability && filters.availability.length === 1) {
+      clauses.availability = { inStock: filters.availability[0] === 'inStock' };
+    }
+
+    return clauses;
+  }
+
+  /**
+   * Add facet clauses to an existing query without overwriting its own $and
+   * @param {Object} query - Base MongoDB query
+   * @param {Object} clauses - Output of buildClauses
+   * @param {string} exclude - Dimension to leave out (for disjunctive counts)
+   * @returns {Object} New query
+   */
+  applyClauses(query, clauses, exclude = null) {
+    const selected = Object.entries(clauses)
+      .filter(([dimension]) => dimension !== exclude)
+      .map(([, clause]) => clause);
+
+    if (selected.length === 0) {
+      return { ...query };
+    }
+
+    return {
+      ...query,
+      $and: [...(query.$and || []), ...selected]
+    };
+  }
+
+  /**
+   * Count matching products per facet value. Each dimension is counted with
+   * every other selected dimension applied but not its own, so customers can
+   * still see how many products the alternative values would give them.
+   * @param {Object} baseQuery - Query without facet clauses
+   * @param {Object} clauses - Output of buildClauses
+   * @returns {Promise<Object>} Facet values with labels and counts
+   */
+  async getFacetCounts(baseQuery = {}, clauses = {}) {
+    try {
+      const matchFor = dimension => {
+        const { $and } = this.applyClauses({}, clauses, dimension);
+        return { $match: $and ? { $and } : {} };
+      };
+
+      const pipelines = {};
+      for (const [dimension, path] of Object.entries(NOTE_FACETS)) {
+        pipelines[dimension] = [matchFor(dimension), ...this.notePipeline(path)];
+      }
+      pipelines.concentration = [
+        matchFor('concentration'),
+        { $match: { concentrationCode: { $ne: null } } },
+        { $group: { _id: '$concentrationCode', count: { $sum: 1 } } }
+      ];
+      pipelines.size = [
+        matchFor('size'),
+        {
+          $project: {
+            sizes: {
+              $setUnion: [
+                { $cond: [{ $ifNull: ['$size', false] }, [{ $toLower: '$size' }], []] },
+                { $map: { input: { $ifNull: ['$variants', []] }, as: 'v', in: { $toLower: '$$v.size' } } }
+              ]
+            }
+          }
+        },
+        { $unwind: '$sizes' },
+        { $group: { _id: '$sizes', count: { $sum: 1 } } }
+      ];
+      pipelines.priceBand = [
+        matchFor('priceBand'),
+        {
+          $bucket: {
+            groupBy: '$price',
+            boundaries: [...PRICE_BANDS.map(band => band.min), Number.MAX_SAFE_INTEGER],
+            default: 'other',
+            output: { count: { $sum: 1 } }
+          }
+        }
+      ];
+      pipelines.availability = [
+        matchFor('availability'),
+        { $group: { _id: '$inStock', count: { $sum: 1 } } }
+      ];
+
+      const [result = {}] = await Product.aggregate([
+        { $match: baseQuery },
+        { $facet: pipelines }
+      ]);
+
+      return this.formatFacets(result);
+    } catch (error) {
+      throw new Error(`Failed to get facet counts: ${error.message}`);
+    }
+  }
+
+  /**
+   * Aggregation stages counting the notes of one layer, labelled in both languages
+   * @param {string} path - Note layer path (e.g. "notes.top")
+   * @returns {Array<Object>} Pipeline stages
+   */
+  notePipeline(path) {
+    return [
+      { $unwind: { path: `$${path}.en`, includeArrayIndex: 'noteIndex' } },
+      {
+        $group: {
+          _id: { $toLower: `$${path}.en` },
+          en: { $first: `$${path}.en` },
+          ar: { $first: { $arrayElemAt: [`$${path}.ar`, '$noteIndex'] } },
+          // A product listing the same note twice still counts once
+          products: { $addToSet: '$_id' }
+        }
+      },
+      { $project: { en: 1, ar: 1, count: { $size: '$products' } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: MAX_FACET_VALUES }
+    ];
+  }
+
+  /**
+   * Turn raw $facet output into labelled facet values
+   * @param {Object} result - Raw aggregation result
+   * @returns {Object} Facets keyed by dimension
+   */
+  formatFacets(result) {
+    const facets = {};
+
+    for (const dimension of Object.keys(NOTE_FACETS)) {
+      facets[dimension] = (result[dimension] || []).map(note => ({
+        value: note.en,
+        label: { en: note.en, ar: note.ar || note.en },
+        count: note.count
+      }));
+    }
+
+    const concentrationCounts = new Map((result.concentration || []).map(item => [item._id, item.count]));
+    facets.concentration = Product.getConcentrations()
+      .filter(({ value }) => concentrationCounts.has(value))
+      .map(({ value, label }) => ({ value, label, count: concentrationCounts.get(value) }));
+
+    facets.size = (result.size || [])
+      .sort((a, b) => parseFloat(a._id) - parseFloat(b._id) || a._id.localeCompare(b._id))
+      .slice(0, MAX_FACET_VALUES)
+      .map(({ _id, count }) => ({ value: _id, label: { en: _id, ar: _id }, count }));
+
+    const bandCounts = new Map((result.priceBand || []).map(item => [item._id, item.count]));
+    facets.priceBand = PRICE_BANDS
+      .filter(band => bandCounts.has(band.min))
+      .map(band => ({
+        value: band.value,
+        label: {
+          en: band.max === undefined ? `${band.min}+` : `${band.min} - ${band.max}`,
+          ar: band.max === undefined ? `${band.min} فأكثر` : `${band.min} - ${band.max}`
+        },
+        count: bandCounts.get(band.min)
+      }));
+
+    const availabilityCounts = new Map((result.availability || []).map(item => [item._id, item.count]));
+    facets.availability = Object.entries(AVAILABILITY)
+      .map(([value, label]) => ({ value, label, count: availabilityCounts.get(value === 'inStock') || 0 }))
+      .filter(({ count }) => count > 0);
+
+    return facets;
+  }
+}
+
+module.exports = new FacetService();
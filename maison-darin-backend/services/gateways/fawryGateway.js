@@ -140,10 +140,12 @@ class FawryGateway {
     return statusMap[fawryStatus] || 'pending';
   }
 
-  // Refund Vodafone Cash payment
-  async refundVodafoneCash(originalRefNum, amount, reason) {
+  // Refund Vodafone Cash payment. Pass the refund's own number as
+  // refundRefNum so Fawry sees a refund sent again as the same refund; one
+  // that got no answer is reported as unknown rather than failed.
+  async refundVodafoneCash(originalRefNum, amount, reason, refundRefNum = null) {
     try {
-      const refundRefNum = `REF_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      refundRefNum = refundRefNum || `REF_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
       
       const requestData = {
         merchantCode: this.merchantCode,
@@ -193,6 +195,7 @@ class FawryGateway {
       console.error('Fawry refund error:', error.response?.data || error.message);
       return {
         success: false,
+        unknown: !error.response,
         error: 'Refund processing failed'
       };
     }
@@ -241,7 +241,9 @@ class PaymobGateway {
     return 'failed';
   }
 
-  // Refund transaction
+  // Refund transaction. Paymob takes no idempotency key, so a refund that got
+  // no answer is reported as unknown rather than failed: sending it again
+  // could refund the customer twice.
   async refundTransaction(transactionId, amount, reason) {
     try {
       const authResult = await this.authenticate();
@@ -257,6 +259,7 @@ class PaymobGateway {
 
       return {
         success: true,
+        pending: Boolean(response.data.pending),
         refundId: response.data.id?.toString(),
         response: response.data
       };
@@ -265,6 +268,7 @@ class PaymobGateway {
       console.error('Paymob refund error:', error.response?.data || error.message);
       return {
         success: false,
+        unknown: !error.response,
         error: 'Refund failed'
       };
     }
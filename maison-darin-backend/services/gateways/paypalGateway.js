@@ -218,8 +218,9 @@ class PayPalGateway {
     }
   }
 
-  // Refund captured payment
-  async refundPayment(captureId, amount, currency = 'USD', reason = 'Customer request') {
+  // Refund captured payment. Sending the same requestId again returns the
+  // refund PayPal already made instead of making another one.
+  async refundPayment(captureId, amount, currency = 'USD', reason = 'Customer request', requestId = null) {
     try {
       const tokenResult = await this.getAccessToken();
       if (!tokenResult.success) {
@@ -238,15 +239,17 @@ class PayPalGateway {
         headers: {
           'Authorization': `Bearer ${tokenResult.token}`,
           'Content-Type': 'application/json',
-          'PayPal-Request-Id': paymentEncryption.generateToken(16)
+          'PayPal-Request-Id': requestId || paymentEncryption.generateToken(16)
         }
       });
 
       const refund = response.data;
 
-      if (refund.status === 'COMPLETED') {
+      // A pending refund is on its way; PayPal completes it later
+      if (refund.status === 'COMPLETED' || refund.status === 'PENDING') {
         return {
           success: true,
+          pending: refund.status === 'PENDING',
           refundId: refund.id,
           amount: parseFloat(refund.amount.value),
           currency: refund.amount.currency_code,
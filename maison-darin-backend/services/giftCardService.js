@@ -0,0 +1,574 @@
+const GiftCard = require('../models/GiftCard');
+const Customer = require('../models/Customer');
+const Order = require('../models/Order');
+const emailService = require('./emailService');
+const databaseService = require('./databaseService');
+
+const roundCurrency = value => Math.round(value * 100) / 100;
+
+const normalizeEmail = email => (email ? String(email).trim().toLowerCase() : null);
+
+// Cards bought in the shop and credit issued without an expiry date last this long
+const DEFAULT_EXPIRY_MONTHS = 12;
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+class GiftCardService {
+  /**
+   * Create a card with a fresh code and its issue entry
+   * @param {Object} fields - Card fields; initialBalance is the amount issued
+   * @param {Object} [options] - session of an enclosing transaction, note on the issue entry
+   * @returns {Promise<Object>} Gift card
+   */
+  async createCard(fields, { session = null, note } = {}) {
+    // Codes are random enough that a clash is rare; retry the few that happen
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const code = GiftCard.generateCode();
+      if (await GiftCard.exists({ code }).session(session)) continue;
+
+      const [card] = await GiftCard.create([{
+        ...fields,
+        code,
+        balance: fields.initialBalance,
+        transactions: [{
+          type: 'issue',
+          amount: fields.initialBalance,
+          balance: fields.initialBalance,
+          order: fields.order,
+          orderNumber: fields.orderNumber,
+          note,
+          performedBy: fields.issuedBy
+        }]
+      }], { session });
+      return card;
+    }
+
+    throw new Error('Could not generate a unique gift card code');
+  }
+
+  /**
+   * Work out what gift cards and the customer's store credit pay towards an
+   * order. Cards are used in the order given, then store credit soonest expiry
+   * first, until the amount is covered.
+   * @param {Object} options - codes typed at checkout, useStoreCredit, customerEmail
+   *   (account placing the order, if any), amount left to pay and hasGiftCardItems
+   * @param {Date} [now] - Time to check expiry at
+   * @returns {Promise<Object>} cards applied, their total and the customer's store credit balance
+   */
+  async quoteRedemption({ codes = [], useStoreCredit = false, customerEmail, amount, hasGiftCardItems = false }, now = new Date()) {
+    const email = normalizeEmail(customerEmail);
+    const customer = email ? await Customer.findOne({ email }).select('_id') : null;
+
+    const storeCredit = customer
+      ? await GiftCard.find({
+        customer: customer._id,
+        kind: 'store_credit',
+        status: 'active',
+        balance: { $gt: 0 },
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+      }).sort({ expiresAt: 1, createdAt: 1 })
+      : [];
+    const storeCreditBalance = roundCurrency(storeCredit.reduce((sum, card) => sum + card.balance, 0));
+
+    const requested = [...new Set((codes || []).map(code => GiftCard.normalizeCode(code)).filter(Boolean))];
+    if (requested.length === 0 && !useStoreCredit) {
+      return { cards: [], total: 0, storeCreditBalance };
+    }
+
+    if (hasGiftCardItems) {
+      throw new Error('Gift cards and store credit cannot be used to buy gift cards');
+    }
+    if (useStoreCredit && !customer) {
+      throw new Error('Log in to use your store credit');
+    }
+
+    const candidates = [];
+    for (const code of requested) {
+      const card = await GiftCard.findOne({ code });
+      const masked = GiftCard.maskCode(code);
+
+      // Store credit can only be spent by its owner
+      const ownedByOther = card && card.kind === 'store_credit' &&
+        !(customer && String(card.customer) === String(customer._id));
+      if (!card || card.status !== 'active' || ownedByOther) {
+        throw new Error(`Gift card ${masked} is not valid`);
+      }
+      if (card.expiresAt && card.expiresAt <= now) {
+        throw new Error(`Gift card ${masked} has expired`);
+      }
+      if (card.balance <= 0) {
+        throw new Error(`Gift card ${masked} has no balance left`);
+      }
+      candidates.push(card);
+    }
+    if (useStoreCredit) {
+      const typed = new Set(candidates.map(card => String(card._id)));
+      candidates.push(...storeCredit.filter(card => !typed.has(String(card._id))));
+    }
+
+    const cards = [];
+    let left = roundCurrency(amount);
+    for (const card of candidates) {
+      if (left <= 0) break;
+
+      const applied = roundCurrency(Math.min(card.balance, left));
+      cards.push({
+        giftCard: card._id,
+        kind: card.kind,
+        code: GiftCard.maskCode(card.code),
+        balance: card.balance,
+        amount: applied,
+        expiresAt: card.expiresAt || null
+      });
+      left = roundCurrency(left - applied);
+    }
+
+    return {
+      cards,
+      total: roundCurrency(cards.reduce((sum, card) => sum + card.amount, 0)),
+      storeCreditBalance
+    };
+  }
+
+  /**
+   * Take what an order uses from its cards. Runs in the order's transaction, so
+   * no order is created if a card was spent in the meantime.
+   * @param {Array<Object>} cards - Cards from quoteRedemption
+   * @param {Object} order - Order they pay for
+   * @param {Object} [options] - session of the enclosing transaction
+   * @param {Date} [now] - Time to check expiry at
+   */
+  async redeemCards(cards, order, { session = null } = {}, now = new Date()) {
+    for (const { giftCard, code, amount } of cards) {
+      const card = await GiftCard.findOneAndUpdate(
+        {
+          _id: giftCard,
+          status: 'active',
+          balance: { $gte: amount },
+          $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+        },
+        { $inc: { balance: -amount } },
+        { new: true, session }
+      );
+      if (!card) {
+        throw new Error(`Gift card ${code} can no longer pay for this order`);
+      }
+
+      await GiftCard.updateOne(
+        { _id: card._id },
+        { $push: { transactions: {
+          type: 'redeem',
+          amount: -amount,
+          balance: card.balance,
+          order: order._id,
+          orderNumber: order.orderNumber
+        } } },
+        { session }
+      );
+    }
+  }
+
+  /**
+   * Give back what an order took from its cards when it is cancelled, refunded
+   * or never paid. Each order's cards are only ever given back once.
+   * @param {Object} order - Order
+   * @param {Object} [options] - session of an enclosing transaction, note on the entries
+   * @returns {Promise<number>} Amount given back
+   */
+  async releaseOrderCards(order, { session = null, note = 'Order cancelled' } = {}) {
+    if (!order.giftCards || order.giftCards.length === 0) {
+      return 0;
+    }
+
+    const claimed = await Order.updateOne(
+      { _id: order._id, giftCardsReleasedAt: null },
+      { $set: { giftCardsReleasedAt: new Date() } },
+      { session }
+    );
+    if (claimed.modifiedCount === 0) {
+      return 0;
+    }
+
+    let released = 0;
+    for (const { giftCard, amount } of order.giftCards) {
+      const card = await GiftCard.findByIdAndUpdate(
+        giftCard,
+        { $inc: { balance: amount } },
+        { new: true, session }
+      );
+      if (!card) continue;
+
+      await GiftCard.updateOne(
+        { _id: card._id },
+        { $push: { transactions: {
+          type: 'release',
+          amount,
+          balance: card.balance,
+          order: order._id,
+          orderNumber: order.orderNumber,
+          note
+        } } },
+        { session }
+      );
+      released = roundCurrency(released + amount);
+    }
+
+    return released;
+  }
+
+  /**
+   * Issue the gift cards bought with a paid order and email them to their
+   * recipients. Each order's cards are only ever issued once.
+   * @param {string} orderId - Order ID
+   * @param {Date} [now] - Issue time
+   * @returns {Promise<Array<Object>>} Cards issued; empty if the order has none
+   *   to issue, is not paid or was already issued
+   */
+  async issueOrderGiftCards(orderId, now = new Date()) {
+    try {
+      const cards = await databaseService.executeWithTransaction(async session => {
+        const order = await Order.findOneAndUpdate(
+          {
+            _id: orderId,
+            paymentStatus: { $in: ['paid', 'partially_paid'] },
+            'items.giftCard': { $exists: true },
+            giftCardsIssuedAt: null
+          },
+          { $set: { giftCardsIssuedAt: now } },
+          { new: true, session }
+        );
+        if (!order) {
+          return [];
+        }
+
+        const issued = [];
+        for (const item of order.items) {
+          if (!item.giftCard) continue;
+
+          item.giftCard.cards = [];
+          for (let unit = 0; unit < item.quantity; unit++) {
+            const card = await this.createCard({
+              kind: 'gift_card',
+              source: 'purchase',
+              initialBalance: item.price,
+              expiresAt: addMonths(now, DEFAULT_EXPIRY_MONTHS),
+              recipient: { name: item.giftCard.recipientName, email: item.giftCard.recipientEmail },
+              sender: { name: item.giftCard.senderName || order.customerInfo.firstName },
+              message: item.giftCard.message,
+              order: order._id,
+              orderNumber: order.orderNumber
+            }, { session });
+            item.giftCard.cards.push(card._id);
+            issued.push(card);
+          }
+        }
+
+        await order.save({ session });
+        return issued;
+      });
+
+      for (const card of cards) {
+        await this.deliverCard(card);
+      }
+
+      return cards;
+    } catch (error) {
+      throw new Error(`Failed to issue gift cards: ${error.message}`);
+    }
+  }
+
+  /**
+   * Email a card to its recipient; a failed email leaves the card undelivered
+   * so it can be sent again
+   * @param {Object} card - Gift card
+   * @returns {Promise<boolean>} Whether the email was sent
+   */
+  async deliverCard(card) {
+    if (!card.recipient || !card.recipient.email) {
+      return false;
+    }
+
+    try {
+      await emailService.sendGiftCard(card);
+      await GiftCard.updateOne({ _id: card._id }, { $set: { deliveredAt: new Date() } });
+      return true;
+    } catch (error) {
+      console.error(`Failed to email gift card ${GiftCard.maskCode(card.code)}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Void what is left on the gift cards bought with a refunded order
+   * @param {Object} order - Refunded order
+   * @param {Object} [options] - session of an enclosing transaction
+   * @returns {Promise<number>} Cards voided
+   */
+  async voidOrderGiftCards(order, { session = null } = {}) {
+    const cards = await GiftCard.find({ order: order._id, kind: 'gift_card', status: 'active' }).session(session);
+
+    let voided = 0;
+    for (const card of cards) {
+      // Only if nothing was spent from the card in the meantime
+      const result = await GiftCard.updateOne(
+        { _id: card._id, status: 'active', balance: card.balance },
+        {
+          $set: { status: 'disabled', balance: 0 },
+          $push: { transactions: {
+            type: 'void',
+            amount: -card.balance,
+            balance: 0,
+            order: order._id,
+            orderNumber: order.orderNumber,
+            note: 'Order refunded'
+          } }
+        },
+        { session }
+      );
+      voided += result.modifiedCount;
+    }
+
+    return voided;
+  }
+
+  /**
+   * Issue a gift card by hand, e.g. as a prize, and email it
+   * @param {Object} data - amount, recipientName, recipientEmail, senderName, message, expiresAt
+   * @param {string} issuedBy - Admin user ID
+   * @returns {Promise<Object>} Gift card
+   */
+  async issueGiftCard(data, issuedBy) {
+    try {
+      const card = await this.createCard({
+        kind: 'gift_card',
+        source: 'manual',
+        initialBalance: roundCurrency(data.amount),
+        expiresAt: data.expiresAt || addMonths(new Date(), DEFAULT_EXPIRY_MONTHS),
+        recipient: { name: data.recipientName, email: data.recipientEmail },
+        sender: { name: data.senderName },
+        message: data.message,
+        issuedBy
+      }, { note: data.note });
+
+      await this.deliverCard(card);
+      return card;
+    } catch (error) {
+      throw new Error(`Failed to issue gift card: ${error.message}`);
+    }
+  }
+
+  /**
+   * Credit a customer's account for a return or as a goodwill gesture and let
+   * them know. The credit is spent at checkout from their account.
+   * @param {Object} data - email, amount, source (return or goodwill), note, expiresAt
+   * @param {string} [issuedBy] - Admin user ID
+   * @param {Object} [options] - session of an enclosing transaction, order the
+   *   credit is for; the email is left to the caller when a session is given
+   * @returns {Promise<Object>} Store credit card
+   */
+  async issueStoreCredit(data, issuedBy, { session = null, order = null } = {}) {
+    try {
+      const customer = await Customer.findOne({ email: normalizeEmail(data.email) }).session(session);
+      if (!customer) {
+        throw new Error('Customer not found');
+      }
+
+      const card = await this.createCard({
+        kind: 'store_credit',
+        source: data.source || 'goodwill',
+        initialBalance: roundCurrency(data.amount),
+        expiresAt: data.expiresAt || addMonths(new Date(), DEFAULT_EXPIRY_MONTHS),
+        customer: customer._id,
+        recipient: { name: `${customer.firstName} ${customer.lastName}`.trim(), email: customer.email },
+        order: order ? order._id : undefined,
+        orderNumber: order ? order.orderNumber : undefined,
+        issuedBy
+      }, { session, note: data.note });
+
+      if (!session) {
+        await this.deliverCard(card);
+      }
+      return card;
+    } catch (error) {
+      throw new Error(`Failed to issue store credit: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add to or take from a card's balance by hand
+   * @param {string} id - Gift card ID
+   * @param {number} amount - Signed amount
+   * @param {string} note - Why
+   * @param {string} performedBy - Admin user ID
+   * @returns {Promise<Object>} Updated gift card
+   */
+  async adjustBalance(id, amount, note, performedBy) {
+    try {
+      const card = await GiftCard.findOneAndUpdate(
+        { _id: id, balance: { $gte: Math.max(-amount, 0) } },
+        { $inc: { balance: amount } },
+        { new: true }
+      );
+      if (!card) {
+        throw new Error(await GiftCard.exists({ _id: id }) ? 'Balance cannot go below zero' : 'Gift card not found');
+      }
+
+      card.transactions.push({ type: 'adjust', amount, balance: card.balance, note, performedBy });
+      return await card.save();
+    } catch (error) {
+      throw new Error(`Failed to adjust gift card balance: ${error.message}`);
+    }
+  }
+
+  /**
+   * Disable a card so it can no longer be used, or enable it again
+   * @param {string} id - Gift card ID
+   * @param {string} status - active or disabled
+   * @returns {Promise<Object>} Updated gift card
+   */
+  async setStatus(id, status) {
+    try {
+      const card = await GiftCard.findByIdAndUpdate(id, { $set: { status } }, { new: true });
+      if (!card) {
+        throw new Error('Gift card not found');
+      }
+      return card;
+    } catch (error) {
+      throw new Error(`Failed to update gift card: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get gift cards and store credit with filters and pagination
+   * @param {Object} options - kind, status, search (code or recipient email), page, limit
+   * @returns {Promise<Object>} Gift cards with pagination info
+   */
+  async getGiftCards(options = {}) {
+    try {
+      const { kind, status, search, page = 1, limit = 20 } = options;
+      const query = {};
+
+      if (kind) query.kind = kind;
+      if (status) query.status = status;
+      if (search) {
+        const escaped = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        query.$or = [
+          { code: { $regex: escaped, $options: 'i' } },
+          { 'recipient.email': { $regex: escaped, $options: 'i' } },
+          { orderNumber: { $regex: escaped, $options: 'i' } }
+        ];
+      }
+
+      const skip = (page - 1) * limit;
+      const [giftCards, total] = await Promise.all([
+        GiftCard.find(query)
+          .select('-transactions')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(Number(limit))
+          .lean(),
+        GiftCard.countDocuments(query)
+      ]);
+
+      return {
+        giftCards,
+        pagination: {
+          page: Number(page),
+          limit: Number(limit),
+          total,
+          pages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to get gift cards: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a gift card with its history
+   * @param {string} id - Gift card ID
+   * @returns {Promise<Object>} Gift card
+   */
+  async getGiftCardById(id) {
+    try {
+      const card = await GiftCard.findById(id).populate('customer', 'firstName lastName email');
+      if (!card) {
+        throw new Error('Gift card not found');
+      }
+      return card;
+    } catch (error) {
+      throw new Error(`Failed to get gift card: ${error.message}`);
+    }
+  }
+
+  /**
+   * Look up a card's balance by its code
+   * @param {string} code - Code as typed
+   * @param {Date} [now] - Time to check expiry at
+   * @returns {Promise<Object>} Masked code, balance, currency, expiry and whether it can be used
+   */
+  async checkBalance(code, now = new Date()) {
+    const card = await GiftCard.findOne({ code: GiftCard.normalizeCode(code) });
+    if (!card) {
+      throw new Error('Gift card not found');
+    }
+
+    return {
+      code: GiftCard.maskCode(card.code),
+      kind: card.kind,
+      balance: card.balance,
+      currency: card.currency,
+      expiresAt: card.expiresAt || null,
+      usable: card.isUsable(now)
+    };
+  }
+
+  /**
+   * Get the store credit a customer can spend
+   * @param {string} email - Email of the customer's account
+   * @param {Date} [now] - Time to check expiry at
+   * @returns {Promise<Object>} Total balance and each credit with its expiry
+   */
+  async getStoreCredit(email, now = new Date()) {
+    try {
+      const customer = await Customer.findOne({ email: normalizeEmail(email) }).select('_id');
+      if (!customer) {
+        return { balance: 0, credits: [] };
+      }
+
+      const cards = await GiftCard.find({
+        customer: customer._id,
+        kind: 'store_credit',
+        status: 'active',
+        balance: { $gt: 0 },
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+      })
+        .select('code balance currency expiresAt source createdAt')
+        .sort({ expiresAt: 1 })
+        .lean();
+
+      return {
+        balance: roundCurrency(cards.reduce((sum, card) => sum + card.balance, 0)),
+        credits: cards.map(card => ({
+          _id: card._id,
+          code: GiftCard.maskCode(card.code),
+          balance: card.balance,
+          currency: card.currency,
+          source: card.source,
+          expiresAt: card.expiresAt || null,
+          createdAt: card.createdAt
+        }))
+      };
+    } catch (error) {
+      throw new Error(`Failed to get store credit: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new GiftCardService();
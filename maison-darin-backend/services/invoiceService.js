@@ -0,0 +1,618 @@
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const Invoice = require('../models/Invoice');
+const CreditNote = require('../models/CreditNote');
+const Order = require('../models/Order');
+const Sequence = require('../models/Sequence');
+const settingsService = require('./settingsService');
+const databaseService = require('./databaseService');
+const logger = require('../utils/logger');
+
+const roundCurrency = value => Math.round(value * 100) / 100;
+
+// A refunded order was paid, and keeps the invoice its credit notes correct
+const INVOICED_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+const REFUND_REASON_LABELS = {
+  returned: { en: 'Items returned', ar: 'إرجاع منتجات' },
+  damaged: { en: 'Arrived damaged', ar: 'وصل تالفاً' },
+  wrong_item: { en: 'Wrong item', ar: 'منتج خاطئ' },
+  not_delivered: { en: 'Not delivered', ar: 'لم يتم التوصيل' },
+  late_delivery: { en: 'Late delivery', ar: 'تأخر التوصيل' },
+  cancelled: { en: 'Order cancelled', ar: 'إلغاء الطلب' },
+  price_adjustment: { en: 'Price adjustment', ar: 'تعديل السعر' },
+  duplicate_payment: { en: 'Duplicate payment', ar: 'دفع مكرر' },
+  goodwill: { en: 'Goodwill', ar: 'تعويض' },
+  other: { en: 'Other', ar: 'أخرى' }
+};
+
+// Arabic needs a font with Arabic glyphs; the first one found is used, and
+// INVOICE_FONT / INVOICE_FONT_BOLD point at another
+const FONT_CANDIDATES = {
+  regular: [
+    process.env.INVOICE_FONT,
+    '/usr/share/fonts/dejavu/DejaVuSans.ttf',
+    '/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf'
+  ],
+  bold: [
+    process.env.INVOICE_FONT_BOLD,
+    '/usr/share/fonts/dejavu/DejaVuSans-Bold.ttf',
+    '/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf'
+  ]
+};
+
+const findFont = paths => paths.find(path => path && fs.existsSync(path));
+
+const ARABIC = /[\u0600-\u06FF\u0750-\u077F\uFB50-\uFDFF\uFE70-\uFEFF]/;
+
+// pdfkit shapes Arabic and lays each word out right to left, but puts the
+// words themselves left to right. Arabic words are kept together with
+// no-break spaces so each Arabic run is laid out as one, and the runs are put
+// in the order they are read in: right to left when the text starts in Arabic.
+const visualOrder = value => {
+  const text = String(value === undefined || value === null ? '' : value);
+  if (!ARABIC.test(text)) return text;
+
+  const runs = [];
+  text.split(/\s+/).filter(Boolean).forEach(word => {
+    const rtl = ARABIC.test(word);
+    const last = runs[runs.length - 1];
+    if (last && last.rtl === rtl) {
+      last.words.push(word);
+    } else {
+      runs.push({ rtl, words: [word] });
+    }
+  });
+
+  const firstStrong = text.match(/[A-Za-z\u0600-\u06FF]/);
+  if (firstStrong && ARABIC.test(firstStrong[0])) runs.reverse();
+  return runs
+    .map((run, index) => (run.rtl
+      // The space after an Arabic run ends up before it once laid out
+      ? `${index < runs.length - 1 ? '\u00A0' : ''}${run.words.join('\u00A0')}`
+      : run.words.join(' ')))
+    .join(' ');
+};
+
+// Page layout, in points (A4 is 595 x 842)
+const MARGIN = 40;
+const PAGE_WIDTH = 595 - MARGIN * 2;
+const PAGE_BOTTOM = 842 - MARGIN;
+const ACCENT = '#1E6660';
+const MUTED = '#666666';
+
+const ITEM_COLUMNS = [
+  { key: 'description', en: 'Description', ar: 'الوصف', width: 215, align: 'left' },
+  { key: 'quantity', en: 'Qty', ar: 'الكمية', width: 45, align: 'center' },
+  { key: 'unitPrice', en: 'Unit price', ar: 'سعر الوحدة', width: 85, align: 'right' },
+  { key: 'vatRate', en: 'VAT', ar: 'الضريبة', width: 70, align: 'right' },
+  { key: 'total', en: 'Total', ar: 'المجموع', width: 100, align: 'right' }
+];
+
+class InvoiceService {
+  /**
+   * Encode the QR code content of a simplified tax invoice: seller name, VAT
+   * number, time of issue, total with VAT and VAT, each as tag, byte length
+   * and UTF-8 value, in base64
+   * @param {Object} invoice - Invoice fields
+   * @returns {string} Base64 TLV
+   */
+  encodeQrCode(invoice) {
+    const values = [
+      invoice.seller.name.ar || invoice.seller.name.en,
+      invoice.seller.vatNumber,
+      new Date(invoice.issuedAt).toISOString().replace(/\.\d{3}Z$/, 'Z'),
+      invoice.total.toFixed(2),
+      invoice.vat.toFixed(2)
+    ];
+
+    return Buffer.concat(values.map((value, index) => {
+      const bytes = Buffer.from(String(value), 'utf8');
+      if (bytes.length > 255) {
+        throw new Error(`QR code field ${index + 1} is too long`);
+      }
+      return Buffer.concat([Buffer.from([index + 1, bytes.length]), bytes]);
+    })).toString('base64');
+  }
+
+  /**
+   * Copy what an invoice shows from a paid order and the settings
+   * @param {Object} order - Paid order
+   * @param {Object} settings - Site settings
+   * @param {Object} issue - invoiceNumber and issuedAt
+   * @returns {Object} Invoice fields, QR code included
+   */
+  buildInvoice(order, settings, { invoiceNumber, issuedAt }) {
+    const vatNumber = settings.taxes && settings.taxes.vatNumber;
+    if (!vatNumber) {
+      throw new Error('Seller VAT number is not set in the tax settings');
+    }
+
+    const { customerInfo = {} } = order;
+    const discount = roundCurrency((order.promotionDiscount || 0) + ((order.loyalty && order.loyalty.discount) || 0));
+    // As at checkout: discounts come off before tax, gift cards bought are not
+    // taxed and shipping is not taxed
+    const giftCardSubtotal = order.items.reduce((sum, item) => sum + (item.giftCard ? item.subtotal : 0), 0);
+    const taxed = roundCurrency(Math.max(order.subtotal - discount - giftCardSubtotal, 0));
+    const taxableAmount = roundCurrency(order.taxIncluded ? taxed - order.tax : taxed);
+
+    const invoice = {
+      invoiceNumber,
+      order: order._id,
+      orderNumber: order.orderNumber,
+      issuedAt,
+      seller: {
+        name: { en: settings.site.title.en, ar: settings.site.title.ar },
+        vatNumber,
+        address: settings.site.address,
+        email: settings.site.email,
+        phone: settings.site.phone
+      },
+      customer: {
+        name: [customerInfo.firstName, customerInfo.lastName].filter(Boolean).join(' '),
+        email: customerInfo.email,
+        phone: customerInfo.phone,
+        address: [customerInfo.address, customerInfo.city, customerInfo.postalCode, customerInfo.country]
+          .filter(Boolean).join(', ')
+      },
+      lines: order.items.map(item => ({
+        description: item.productName,
+        variantSize: item.variantSize,
+        quantity: item.quantity,
+        unitPrice: item.price,
+        vatRate: item.giftCard ? 0 : order.taxRate,
+        total: roundCurrency(item.price * item.quantity)
+      })),
+      subtotal: order.subtotal,
+      discount,
+      shipping: order.shippingCost || 0,
+      taxableAmount,
+      vatRate: order.taxRate,
+      vatIncluded: order.taxIncluded,
+      vat: order.tax,
+      total: order.total,
+      giftCardsApplied: order.giftCardTotal || 0
+    };
+
+    invoice.qrCode = this.encodeQrCode(invoice);
+    return invoice;
+  }
+
+  /**
+   * Copy what a credit note shows from the invoice it corrects and the refund.
+   * What is paid back for goods carries VAT in the same share as what the
+   * invoice charged for them; shipping carries none.
+   * @param {Object} invoice - Invoice of the order
+   * @param {Object} refund - Refund of the order
+   * @param {Object} issue - creditNoteNumber and issuedAt
+   * @returns {Object} Credit note fields, QR code included
+   */
+  buildCreditNote(invoice, refund, { creditNoteNumber, issuedAt }) {
+    const lines = refund.lines.map(line => ({
+      description: line.productName,
+      variantSize: line.variantSize,
+      quantity: line.quantity,
+      unitPrice: roundCurrency(line.amount / line.quantity),
+      vatRate: invoice.vatRate,
+      total: line.amount
+    }));
+    if (refund.adjustment > 0) {
+      lines.push({
+        description: 'Adjustment - تسوية',
+        quantity: 1,
+        unitPrice: refund.adjustment,
+        vatRate: invoice.vatRate,
+        total: refund.adjustment
+      });
+    }
+
+    const shipping = refund.shipping || 0;
+    const goods = roundCurrency(refund.amount - shipping);
+    const taxedGross = invoice.taxableAmount + invoice.vat;
+    const vat = taxedGross > 0 ? roundCurrency(goods * invoice.vat / taxedGross) : 0;
+
+    const creditNote = {
+      creditNoteNumber,
+      invoice: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      order: invoice.order,
+      orderNumber: invoice.orderNumber,
+      refundId: refund.refundId,
+      reason: refund.reason,
+      issuedAt,
+      currency: invoice.currency,
+      seller: invoice.seller,
+      customer: invoice.customer,
+      lines,
+      shipping,
+      taxableAmount: roundCurrency(goods - vat),
+      vatRate: invoice.vatRate,
+      vat,
+      total: refund.amount,
+      storeCredit: refund.storeCreditAmount || 0
+    };
+
+    creditNote.qrCode = this.encodeQrCode(creditNote);
+    return creditNote;
+  }
+
+  /**
+   * Issue the tax invoice of a paid order, once. Its number is taken in the
+   * transaction that stores it, so invoice numbers have no gaps.
+   * @param {string} orderId - Order ID
+   * @param {Date} [now] - Time of issue
+   * @returns {Promise<Object>} Invoice, PDF included
+   */
+  async issueInvoice(orderId, now = new Date()) {
+    try {
+      const order = await Order.findById(orderId);
+      if (!order) {
+        throw new Error('Order not found');
+      }
+      if (order.invoice) {
+        return await Invoice.findById(order.invoice).select('+pdf');
+      }
+      if (!INVOICED_STATUSES.includes(order.paymentStatus)) {
+        throw new Error('Only paid orders can be invoiced');
+      }
+
+      const settings = await settingsService.getSettings();
+
+      try {
+        return await databaseService.executeWithTransaction(async session => {
+          const invoiceNumber = await Sequence.next('invoice', { session, date: now });
+          const fields = this.buildInvoice(order, settings, { invoiceNumber, issuedAt: now });
+          const pdf = await this.renderPdf(fields);
+
+          const [invoice] = await Invoice.create([{ ...fields, pdf }], { session });
+          const claimed = await Order.updateOne(
+            { _id: order._id, invoice: null },
+            { $set: { invoice: invoice._id, invoiceNumber } },
+            { session }
+          );
+          if (claimed.modifiedCount === 0) {
+            throw new Error('Order was invoiced in the meantime');
+          }
+          return invoice;
+        });
+      } catch (error) {
+        // Another request issued it first; its invoice stands and this
+        // transaction gave its number back
+        const issued = await Invoice.findOne({ order: order._id }).select('+pdf');
+        if (issued) return issued;
+        throw error;
+      }
+    } catch (error) {
+      throw new Error(`Failed to issue invoice: ${error.message}`);
+    }
+  }
+
+  /**
+   * Issue an order's invoice if it is paid, without failing the caller
+   * @param {Object} order - Order
+   * @returns {Promise<Object|null>} Invoice, or null when none could be issued
+   */
+  async issueInvoiceSafely(order) {
+    if (!order || order.paymentStatus !== 'paid') return null;
+
+    try {
+      return await this.issueInvoice(order._id);
+    } catch (error) {
+      logger.error(`Failed to issue invoice for order ${order.orderNumber}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get an order's invoice with its PDF, issuing it for an order paid before
+   * invoices were issued
+   * @param {string} orderId - Order ID
+   * @param {Object} [options] - email: only return the invoice of this customer's order
+   * @returns {Promise<Object>} Invoice, PDF included
+   */
+  async getOrderInvoice(orderId, { email } = {}) {
+    try {
+      const order = await Order.findById(orderId).select('customerInfo.email paymentStatus invoice');
+      if (!order || (email && order.customerInfo.email !== email.toLowerCase())) {
+        throw new Error('Order not found');
+      }
+
+      if (order.invoice) {
+        return await Invoice.findById(order.invoice).select('+pdf');
+      }
+      if (!INVOICED_STATUSES.includes(order.paymentStatus)) {
+        throw new Error('The order is not invoiced until it is paid');
+      }
+      return await this.issueInvoice(orderId);
+    } catch (error) {
+      throw new Error(`Failed to get invoice: ${error.message}`);
+    }
+  }
+
+  /**
+   * Issue the credit note of a refund, once, invoicing the order first if it
+   * was paid before invoices were issued. Numbered in the transaction that
+   * stores it, like invoices.
+   * @param {string} orderId - Order ID
+   * @param {string} refundId - Refund number
+   * @param {Date} [now] - Time of issue
+   * @returns {Promise<Object>} Credit note, PDF included
+   */
+  async issueCreditNote(orderId, refundId, now = new Date()) {
+    try {
+      const order = await Order.findById(orderId);
+      if (!order) {
+        throw new Error('Order not found');
+      }
+      const refund = (order.refunds || []).find(entry => entry.refundId === refundId);
+      if (!refund) {
+        throw new Error('Refund not found');
+      }
+      if (refund.creditNote) {
+        return await CreditNote.findById(refund.creditNote).select('+pdf');
+      }
+      // Money that never left is not credited
+      if (!['completed', 'pending'].includes(refund.status)) {
+        throw new Error('A credit note is issued once the refund is made');
+      }
+
+      const invoice = order.invoice
+        ? await Invoice.findById(order.invoice)
+        : await this.issueInvoice(order._id, now);
+
+      try {
+        return await databaseService.executeWithTransaction(async session => {
+          const creditNoteNumber = await Sequence.next('creditNote', { session, date: now });
+          const fields = this.buildCreditNote(invoice, refund, { creditNoteNumber, issuedAt: now });
+          const pdf = await this.renderPdf(fields);
+
+          const [creditNote] = await CreditNote.create([{ ...fields, pdf }], { session });
+          const claimed = await Order.updateOne(
+            { _id: order._id, refunds: { $elemMatch: { refundId, creditNote: null } } },
+            { $set: { 'refunds.$.creditNote': creditNote._id, 'refunds.$.creditNoteNumber': creditNoteNumber } },
+            { session }
+          );
+          if (claimed.modifiedCount === 0) {
+            throw new Error('Refund was credited in the meantime');
+          }
+          return creditNote;
+        });
+      } catch (error) {
+        const issued = await CreditNote.findOne({ refundId }).select('+pdf');
+        if (issued) return issued;
+        throw error;
+      }
+    } catch (error) {
+      throw new Error(`Failed to issue credit note: ${error.message}`);
+    }
+  }
+
+  /**
+   * Issue a refund's credit note without failing the refund
+   * @param {Object} order - Order
+   * @param {Object} refund - Refund of the order
+   * @returns {Promise<Object|null>} Credit note, or null when none could be issued
+   */
+  async issueCreditNoteSafely(order, refund) {
+    try {
+      return await this.issueCreditNote(order._id, refund.refundId);
+    } catch (error) {
+      logger.error(`Failed to issue credit note for refund ${refund.refundId} of order ${order.orderNumber}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get the credit note of an order's refund with its PDF, issuing it if
+   * that failed when the refund was made
+   * @param {string} orderId - Order ID
+   * @param {string} refundId - Refund number
+   * @param {Object} [options] - email: only return credit notes of this customer's orders
+   * @returns {Promise<Object>} Credit note, PDF included
+   */
+  async getOrderCreditNote(orderId, refundId, { email } = {}) {
+    try {
+      const order = await Order.findById(orderId).select('customerInfo.email refunds');
+      if (!order || (email && order.customerInfo.email !== email.toLowerCase())) {
+        throw new Error('Order not found');
+      }
+
+      const refund = (order.refunds || []).find(entry => entry.refundId === refundId);
+      if (!refund) {
+        throw new Error('Refund not found');
+      }
+      if (refund.creditNote) {
+        return await CreditNote.findById(refund.creditNote).select('+pdf');
+      }
+      return await this.issueCreditNote(orderId, refundId);
+    } catch (error) {
+      throw new Error(`Failed to get credit note: ${error.message}`);
+    }
+  }
+
+  /**
+   * Render an invoice or credit note as a bilingual A4 PDF
+   * @param {Object} invoice - Invoice or credit note fields
+   * @returns {Promise<Buffer>} PDF
+   */
+  async renderPdf(invoice) {
+    const qrImage = await QRCode.toBuffer(invoice.qrCode, { errorCorrectionLevel: 'M', margin: 1, width: 240 });
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: MARGIN,
+        info: { Title: `${invoice.creditNoteNumber || invoice.invoiceNumber}`, Author: invoice.seller.name.en }
+      });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      try {
+        this.drawInvoice(doc, invoice, qrImage);
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Lay out an invoice on a PDF document. A credit note is laid out the same
+   * way, with the invoice it corrects and what it credits.
+   * @param {PDFDocument} doc - Document to draw on
+   * @param {Object} invoice - Invoice or credit note fields
+   * @param {Buffer} qrImage - QR code PNG
+   */
+  drawInvoice(doc, invoice, qrImage) {
+    const creditNote = Boolean(invoice.creditNoteNumber);
+    const regular = findFont(FONT_CANDIDATES.regular);
+    const bold = findFont(FONT_CANDIDATES.bold) || regular;
+    if (!regular) {
+      logger.warn('No font with Arabic glyphs found for invoices; set INVOICE_FONT');
+    }
+    doc.registerFont('regular', regular || 'Helvetica');
+    doc.registerFont('bold', bold || 'Helvetica-Bold');
+
+    const money = amount => `${roundCurrency(amount).toFixed(2)} ${invoice.currency}`;
+    const right = MARGIN + PAGE_WIDTH;
+
+    const write = (value, x, y, options) => doc.text(visualOrder(value), x, y, options);
+    const heightOf = (value, options) => doc.heightOfString(visualOrder(value), options);
+
+    // English on the left, Arabic on the right, on the same line
+    const bilingual = (en, ar, y, { size = 9, font = 'regular', color = '#000000' } = {}) => {
+      const width = PAGE_WIDTH / 2;
+      doc.font(font).fontSize(size).fillColor(color);
+      write(en, MARGIN, y, { width, align: 'left' });
+      write(ar, MARGIN + width, y, { width, align: 'right' });
+      return y + Math.max(heightOf(en, { width }), heightOf(ar, { width })) + 2;
+    };
+
+    // English label, value in the middle, Arabic label
+    const field = (en, ar, value, y, { font = 'regular', size = 9 } = {}) => {
+      const labelWidth = 175;
+      const valueWidth = PAGE_WIDTH - labelWidth * 2;
+      doc.font(font).fontSize(size).fillColor('#000000');
+      write(en, MARGIN, y, { width: labelWidth });
+      write(value, MARGIN + labelWidth, y, { width: valueWidth, align: 'center' });
+      write(ar, right - labelWidth, y, { width: labelWidth, align: 'right' });
+      return y + Math.max(heightOf(value, { width: valueWidth }), heightOf(en, { width: labelWidth }), size) + 5;
+    };
+
+    let y = MARGIN;
+    y = bilingual(invoice.seller.name.en, invoice.seller.name.ar, y, { size: 18, font: 'bold', color: ACCENT });
+    y = creditNote
+      ? bilingual('Credit Note', 'إشعار دائن', y + 4, { size: 13, font: 'bold' })
+      : bilingual('Simplified Tax Invoice', 'فاتورة ضريبية مبسطة', y + 4, { size: 13, font: 'bold' });
+    const sellerContact = [invoice.seller.address, invoice.seller.email, invoice.seller.phone].filter(Boolean).join('  |  ');
+    doc.font('regular').fontSize(8).fillColor(MUTED);
+    write(sellerContact, MARGIN, y + 2, { width: PAGE_WIDTH, align: 'center' });
+    y = doc.y + 12;
+
+    if (creditNote) {
+      const reason = REFUND_REASON_LABELS[invoice.reason] || { en: invoice.reason, ar: invoice.reason };
+      y = field('Credit note number', 'رقم الإشعار الدائن', invoice.creditNoteNumber, y, { font: 'bold' });
+      y = field('Invoice number', 'رقم الفاتورة', invoice.invoiceNumber, y);
+      y = field('Reason', 'السبب', `${reason.en} - ${reason.ar}`, y);
+    } else {
+      y = field('Invoice number', 'رقم الفاتورة', invoice.invoiceNumber, y, { font: 'bold' });
+    }
+    y = field('Date of issue', 'تاريخ الإصدار', new Date(invoice.issuedAt).toISOString().slice(0, 16).replace('T', ' '), y);
+    y = field('Order number', 'رقم الطلب', invoice.orderNumber, y);
+    y = field('Seller VAT number', 'الرقم الضريبي للبائع', invoice.seller.vatNumber, y);
+
+    y += 6;
+    y = bilingual('Customer', 'العميل', y, { size: 11, font: 'bold', color: ACCENT });
+    [invoice.customer.name, invoice.customer.email, invoice.customer.phone, invoice.customer.address]
+      .filter(Boolean)
+      .forEach(line => {
+        doc.font('regular').fontSize(9).fillColor('#000000');
+        write(line, MARGIN, y, { width: PAGE_WIDTH });
+        y = doc.y + 1;
+      });
+
+    // Items
+    y += 12;
+    const drawHeader = top => {
+      doc.rect(MARGIN, top, PAGE_WIDTH, 28).fill('#F2F2F2');
+      let x = MARGIN;
+      ITEM_COLUMNS.forEach(column => {
+        doc.font('bold').fontSize(8).fillColor('#000000');
+        write(column.en, x + 4, top + 4, { width: column.width - 8, align: column.align });
+        write(column.ar, x + 4, top + 15, { width: column.width - 8, align: column.align });
+        x += column.width;
+      });
+      return top + 32;
+    };
+    y = drawHeader(y);
+
+    invoice.lines.forEach(line => {
+      const cells = {
+        description: [line.description, line.variantSize].filter(Boolean).join(' '),
+        quantity: String(line.quantity),
+        unitPrice: money(line.unitPrice),
+        vatRate: `${line.vatRate}%`,
+        total: money(line.total)
+      };
+      doc.font('regular').fontSize(9);
+      const height = Math.max(heightOf(cells.description, { width: ITEM_COLUMNS[0].width - 8 }), 10) + 8;
+      if (y + height > PAGE_BOTTOM - 40) {
+        doc.addPage();
+        y = drawHeader(MARGIN);
+      }
+
+      let x = MARGIN;
+      ITEM_COLUMNS.forEach(column => {
+        doc.font('regular').fontSize(9).fillColor('#000000');
+        write(cells[column.key], x + 4, y + 4, { width: column.width - 8, align: column.align });
+        x += column.width;
+      });
+      y += height;
+      doc.moveTo(MARGIN, y).lineTo(right, y).lineWidth(0.5).strokeColor('#DDDDDD').stroke();
+    });
+
+    // Totals
+    const totals = creditNote ? [
+      invoice.shipping > 0 && ['Shipping', 'الشحن', money(invoice.shipping)],
+      ['Taxable amount (excl. VAT)', 'المبلغ الخاضع للضريبة', money(invoice.taxableAmount)],
+      [`VAT ${invoice.vatRate}%`, `ضريبة القيمة المضافة ${invoice.vatRate}%`, money(invoice.vat)],
+      ['Total credited (incl. VAT)', 'إجمالي المبلغ الدائن شامل الضريبة', money(invoice.total), 'bold'],
+      invoice.storeCredit > 0 &&
+        ['Paid back as store credit', 'مسترد كرصيد في المتجر', money(invoice.storeCredit)]
+    ].filter(Boolean) : [
+      ['Subtotal', 'المجموع الفرعي', money(invoice.subtotal)],
+      invoice.discount > 0 && ['Discount', 'الخصم', `-${money(invoice.discount)}`],
+      ['Shipping', 'الشحن', money(invoice.shipping)],
+      ['Taxable amount (excl. VAT)', 'المبلغ الخاضع للضريبة', money(invoice.taxableAmount)],
+      [`VAT ${invoice.vatRate}%${invoice.vatIncluded ? ' (included)' : ''}`,
+        `ضريبة القيمة المضافة ${invoice.vatRate}%${invoice.vatIncluded ? ' مشمولة' : ''}`,
+        money(invoice.vat)],
+      ['Total (incl. VAT)', 'الإجمالي شامل الضريبة', money(invoice.total), 'bold'],
+      invoice.giftCardsApplied > 0 &&
+        ['Paid with gift cards and store credit', 'مدفوع ببطاقات الهدايا والرصيد', `-${money(invoice.giftCardsApplied)}`]
+    ].filter(Boolean);
+
+    if (y + totals.length * 16 + 140 > PAGE_BOTTOM) {
+      doc.addPage();
+      y = MARGIN;
+    }
+    y += 12;
+    totals.forEach(([en, ar, value, font]) => {
+      y = field(en, ar, value, y, { font: font || 'regular', size: font ? 11 : 9 });
+    });
+
+    // QR code of a simplified tax invoice
+    y += 12;
+    doc.image(qrImage, MARGIN, y, { width: 110 });
+    doc.font('regular').fontSize(8).fillColor(MUTED);
+    write(creditNote ? 'Scan to verify this credit note' : 'Scan to verify this tax invoice',
+      MARGIN + 125, y + 40, { width: PAGE_WIDTH - 125 });
+    write(creditNote ? 'امسح الرمز للتحقق من الإشعار الدائن' : 'امسح الرمز للتحقق من الفاتورة الضريبية',
+      MARGIN + 125, y + 54, { width: PAGE_WIDTH - 125, align: 'right' });
+  }
+}
+
+module.exports = new InvoiceService();
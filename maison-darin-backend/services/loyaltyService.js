@@ -0,0 +1,514 @@
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const Customer = require('../models/Customer');
+const Order = require('../models/Order');
+const settingsService = require('./settingsService');
+const customerService = require('./customerService');
+const databaseService = require('./databaseService');
+
+const roundCurrency = value => Math.round(value * 100) / 100;
+
+const normalizeEmail = email => (email ? String(email).trim().toLowerCase() : null);
+
+// Points about to expire are pointed out to the customer this long in advance
+const EXPIRY_NOTICE_DAYS = 30;
+
+class LoyaltyService {
+  /**
+   * Points an amount earns at a tier
+   * @param {number} amount - SAR paid for the items
+   * @param {Object} program - Loyalty settings
+   * @param {string} tier - Customer tier
+   * @returns {number} Whole points
+   */
+  calculatePoints(amount, program, tier) {
+    if (!program.enabled || amount <= 0) {
+      return 0;
+    }
+
+    const multiplier = program.tierMultipliers[tier] || 1;
+    return Math.floor(amount * program.pointsPerCurrency * multiplier);
+  }
+
+  /**
+   * Work out the points a logged-in customer redeems on an order and what
+   * they take off it. Asking for more than can be used redeems what can be.
+   * @param {Object} options - customerEmail (account placing the order, if any),
+   *   points requested and amount (items subtotal after promotions)
+   * @returns {Promise<Object|null>} Balance, tier, maxRedeemablePoints, pointsRedeemed,
+   *   discount and pointsToEarn; null for guests
+   */
+  async quoteRedemption({ customerEmail, points, amount }) {
+    const email = normalizeEmail(customerEmail);
+    if (!email) {
+      if (points) {
+        throw new Error('Log in to redeem loyalty points');
+      }
+      return null;
+    }
+
+    const [program, customer] = await Promise.all([
+      settingsService.getLoyaltySettings(),
+      Customer.findOne({ email }).select('loyaltyPoints totalSpent')
+    ]);
+
+    const balance = customer ? customer.loyaltyPoints : 0;
+    const tier = customer ? customer.tier : 'bronze';
+
+    // Points may pay for a share of the order, and only from the minimum up
+    let maxRedeemablePoints = program.enabled && program.pointValue > 0
+      ? Math.min(balance, Math.floor(amount * program.maxRedeemPercent / 100 / program.pointValue))
+      : 0;
+    if (maxRedeemablePoints < program.minRedeemPoints) {
+      maxRedeemablePoints = 0;
+    }
+
+    let pointsRedeemed = 0;
+    if (points) {
+      if (!program.enabled) {
+        throw new Error('Loyalty points cannot be redeemed at the moment');
+      }
+      if (points < program.minRedeemPoints) {
+        throw new Error(`Redeem at least ${program.minRedeemPoints} loyalty points`);
+      }
+      if (maxRedeemablePoints === 0) {
+        throw new Error('Not enough loyalty points to redeem on this order');
+      }
+      pointsRedeemed = Math.min(points, maxRedeemablePoints);
+    }
+
+    const discount = roundCurrency(pointsRedeemed * program.pointValue);
+
+    return {
+      customer: customer ? customer._id : null,
+      balance,
+      tier,
+      multiplier: program.tierMultipliers[tier] || 1,
+      pointValue: program.pointValue,
+      minRedeemPoints: program.minRedeemPoints,
+      maxRedeemablePoints,
+      pointsRedeemed,
+      discount,
+      pointsToEarn: this.calculatePoints(amount - discount, program, tier)
+    };
+  }
+
+  /**
+   * Spend a customer's points on an order. Runs in the order's transaction, so
+   * no order is created if the points were spent in the meantime.
+   * @param {string} customerId - Customer ID
+   * @param {number} points - Points to spend
+   * @param {Object} order - Order they pay for
+   * @param {Object} [options] - session of the enclosing transaction
+   * @returns {Promise<Object>} Redeem transaction
+   */
+  async redeemPoints(customerId, points, order, { session = null } = {}) {
+    const customer = await Customer.findOneAndUpdate(
+      { _id: customerId, loyaltyPoints: { $gte: points } },
+      { $inc: { loyaltyPoints: -points } },
+      { new: true, session }
+    );
+    if (!customer) {
+      throw new Error('Not enough loyalty points');
+    }
+
+    const lots = await this.takeFromLots(customerId, points, { session });
+    const [transaction] = await LoyaltyTransaction.create([{
+      customer: customerId,
+      type: 'redeem',
+      points: -points,
+      balance: customer.loyaltyPoints,
+      order: order._id,
+      orderNumber: order.orderNumber,
+      lots,
+      description: `Redeemed on order ${order.orderNumber}`
+    }], { session });
+
+    return transaction;
+  }
+
+  /**
+   * Take points out of a customer's lots, soonest expiry first. Points from
+   * before the ledger have no lot, so less may be taken than asked for.
+   * @param {string} customerId - Customer ID
+   * @param {number} points - Points to take
+   * @param {Object} [options] - session, and first: lot to take from before the others
+   * @returns {Promise<Array<Object>>} Lots taken from with the points taken from each
+   */
+  async takeFromLots(customerId, points, { session = null, first = null } = {}) {
+    const lots = await LoyaltyTransaction.findOpenLots(customerId, { session });
+    if (first) {
+      lots.sort((a, b) => (String(b._id) === String(first)) - (String(a._id) === String(first)));
+    }
+
+    const taken = [];
+    let left = points;
+    for (const lot of lots) {
+      if (left <= 0) break;
+
+      const take = Math.min(left, lot.remaining);
+      const result = await LoyaltyTransaction.updateOne(
+        { _id: lot._id, remaining: { $gte: take } },
+        { $inc: { remaining: -take } },
+        { session }
+      );
+      if (result.modifiedCount === 0) continue;
+
+      taken.push({ transaction: lot._id, points: take });
+      left -= take;
+    }
+
+    return taken;
+  }
+
+  /**
+   * Award the points of a delivered order, at the rate and tier multiplier of
+   * the customer once the order counts towards their spend. Guests get a
+   * customer record, so the points are theirs when they sign up with the same email.
+   * Each order is only ever awarded once.
+   * @param {string} orderId - Order ID
+   * @param {Date} [now] - Award time
+   * @returns {Promise<number|null>} Points awarded; null if the order was not
+   *   delivered or already awarded
+   */
+  async awardOrderPoints(orderId, now = new Date()) {
+    try {
+      const program = await settingsService.getLoyaltySettings();
+
+      return await databaseService.executeWithTransaction(async session => {
+        const order = await Order.findOneAndUpdate(
+          { _id: orderId, status: 'delivered', 'loyalty.earnedAt': null },
+          { $set: { 'loyalty.earnedAt': now } },
+          { new: true, session }
+        );
+        if (!order) {
+          return null;
+        }
+
+        const customer = await customerService.updateCustomerFromOrder(order, { session });
+        const loyalty = order.loyalty || {};
+        // Shipping and tax earn nothing; neither does what promotions or points paid for
+        const amount = roundCurrency(order.subtotal - (order.promotionDiscount || 0) - (loyalty.discount || 0));
+        const points = this.calculatePoints(amount, program, customer.tier);
+
+        await Order.updateOne(
+          { _id: order._id },
+          { $set: { 'loyalty.customer': customer._id, 'loyalty.pointsEarned': points } },
+          { session }
+        );
+        if (points === 0) {
+          return 0;
+        }
+
+        const updated = await Customer.findByIdAndUpdate(
+          customer._id,
+          { $inc: { loyaltyPoints: points } },
+          { new: true, session }
+        );
+
+        let expiresAt = null;
+        if (program.expiryMonths > 0) {
+          expiresAt = new Date(now);
+          expiresAt.setMonth(expiresAt.getMonth() + program.expiryMonths);
+        }
+
+        await LoyaltyTransaction.create([{
+          customer: customer._id,
+          type: 'earn',
+          points,
+          balance: updated.loyaltyPoints,
+          order: order._id,
+          orderNumber: order.orderNumber,
+          remaining: points,
+          expiresAt,
+          tier: customer.tier,
+          multiplier: program.tierMultipliers[customer.tier] || 1,
+          description: `Earned on order ${order.orderNumber}`
+        }], { session });
+
+        return points;
+      });
+    } catch (error) {
+      throw new Error(`Failed to award loyalty points: ${error.message}`);
+    }
+  }
+
+  /**
+   * Take back the points a refunded order earned. Points the customer has
+   * already spent stay spent; only what is left of their balance is taken.
+   * @param {Object} order - Refunded order
+   * @param {Object} [options] - session of an enclosing transaction
+   * @returns {Promise<number>} Points taken back
+   */
+  async reverseOrderPoints(order, { session = null } = {}) {
+    const loyalty = order.loyalty || {};
+    if (!loyalty.pointsEarned || !loyalty.customer) {
+      return 0;
+    }
+
+    const claimed = await Order.updateOne(
+      { _id: order._id, 'loyalty.reversedAt': null },
+      { $set: { 'loyalty.reversedAt': new Date() } },
+      { session }
+    );
+    if (claimed.modifiedCount === 0) {
+      return 0;
+    }
+
+    const customer = await Customer.findById(loyalty.customer).select('loyaltyPoints').session(session);
+    const points = Math.min(loyalty.pointsEarned, customer ? customer.loyaltyPoints : 0);
+    if (points === 0) {
+      return 0;
+    }
+
+    const updated = await Customer.findOneAndUpdate(
+      { _id: loyalty.customer, loyaltyPoints: { $gte: points } },
+      { $inc: { loyaltyPoints: -points } },
+      { new: true, session }
+    );
+    if (!updated) {
+      throw new Error('Loyalty balance changed while reversing points, please try again');
+    }
+
+    const earned = await LoyaltyTransaction.findOne({ order: order._id, type: 'earn' }).select('_id').session(session);
+    const lots = await this.takeFromLots(loyalty.customer, points, { session, first: earned && earned._id });
+    await LoyaltyTransaction.create([{
+      customer: loyalty.customer,
+      type: 'reverse',
+      points: -points,
+      balance: updated.loyaltyPoints,
+      order: order._id,
+      orderNumber: order.orderNumber,
+      lots,
+      description: `Order ${order.orderNumber} refunded`
+    }], { session });
+
+    return points;
+  }
+
+  /**
+   * Give back the points redeemed on an order that was cancelled, refunded or
+   * never paid. They return to the lots they came from, with their expiry.
+   * @param {Object} order - Order
+   * @param {Object} [options] - session of an enclosing transaction
+   * @returns {Promise<number>} Points given back
+   */
+  async restoreRedeemedPoints(order, { session = null } = {}) {
+    const loyalty = order.loyalty || {};
+    if (!loyalty.pointsRedeemed || !loyalty.customer) {
+      return 0;
+    }
+
+    const claimed = await Order.updateOne(
+      { _id: order._id, 'loyalty.restoredAt': null },
+      { $set: { 'loyalty.restoredAt': new Date() } },
+      { session }
+    );
+    if (claimed.modifiedCount === 0) {
+      return 0;
+    }
+
+    const redemption = await LoyaltyTransaction.findOne({ order: order._id, type: 'redeem' }).session(session);
+    for (const lot of (redemption && redemption.lots) || []) {
+      await LoyaltyTransaction.updateOne(
+        { _id: lot.transaction },
+        { $inc: { remaining: lot.points } },
+        { session }
+      );
+    }
+
+    const updated = await Customer.findByIdAndUpdate(
+      loyalty.customer,
+      { $inc: { loyaltyPoints: loyalty.pointsRedeemed } },
+      { new: true, session }
+    );
+    await LoyaltyTransaction.create([{
+      customer: loyalty.customer,
+      type: 'restore',
+      points: loyalty.pointsRedeemed,
+      balance: updated ? updated.loyaltyPoints : loyalty.pointsRedeemed,
+      order: order._id,
+      orderNumber: order.orderNumber,
+      description: `Returned from order ${order.orderNumber}`
+    }], { session });
+
+    return loyalty.pointsRedeemed;
+  }
+
+  /**
+   * Expire what is left of lots past their expiry date
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Object>} Lots checked and points expired
+   */
+  async expirePoints(now = new Date()) {
+    const lots = await LoyaltyTransaction.find({
+      type: 'earn',
+      remaining: { $gt: 0 },
+      expiresAt: { $lte: now }
+    })
+      .sort({ expiresAt: 1 })
+      .limit(500)
+      .lean();
+
+    let expired = 0;
+    for (const lot of lots) {
+      try {
+        expired += await databaseService.executeWithTransaction(async session => {
+          // A lot spent from in the meantime is picked up again by the next run
+          const result = await LoyaltyTransaction.updateOne(
+            { _id: lot._id, remaining: lot.remaining },
+            { $set: { remaining: 0 } },
+            { session }
+          );
+          if (result.modifiedCount === 0) {
+            return 0;
+          }
+
+          const customer = await Customer.findById(lot.customer).select('loyaltyPoints').session(session);
+          const points = Math.min(lot.remaining, customer ? customer.loyaltyPoints : 0);
+          if (points === 0) {
+            return 0;
+          }
+
+          const updated = await Customer.findByIdAndUpdate(
+            lot.customer,
+            { $inc: { loyaltyPoints: -points } },
+            { new: true, session }
+          );
+          await LoyaltyTransaction.create([{
+            customer: lot.customer,
+            type: 'expire',
+            points: -points,
+            balance: updated.loyaltyPoints,
+            order: lot.order,
+            orderNumber: lot.orderNumber,
+            lots: [{ transaction: lot._id, points }],
+            description: lot.orderNumber ? `Points from order ${lot.orderNumber} expired` : 'Points expired'
+          }], { session });
+
+          return points;
+        });
+      } catch (error) {
+        console.error(`Failed to expire loyalty points of transaction ${lot._id}:`, error.message);
+      }
+    }
+
+    return { checked: lots.length, expired };
+  }
+
+  /**
+   * Periodically expire points
+   * @param {number} intervalMs - Time between runs
+   * @returns {Object} Interval timer
+   */
+  startPointsExpiry(intervalMs = 60 * 60 * 1000) {
+    const timer = setInterval(() => {
+      this.expirePoints().catch(error => {
+        console.error('Loyalty points expiry failed:', error.message);
+      });
+    }, intervalMs);
+
+    // Don't keep the process alive just for the expiry
+    if (timer.unref) {
+      timer.unref();
+    }
+
+    return timer;
+  }
+
+  /**
+   * Get a customer's balance, tier and the points expiring soon
+   * @param {string} email - Email of the customer's account
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Object>} Balance and its value, tier, multiplier, expiring points and the program rules
+   */
+  async getSummary(email, now = new Date()) {
+    try {
+      const [program, customer] = await Promise.all([
+        settingsService.getLoyaltySettings(),
+        Customer.findOne({ email: normalizeEmail(email) }).select('loyaltyPoints totalSpent')
+      ]);
+
+      const balance = customer ? customer.loyaltyPoints : 0;
+      const tier = customer ? customer.tier : 'bronze';
+
+      let expiring = null;
+      if (customer) {
+        const noticeUntil = new Date(now.getTime() + EXPIRY_NOTICE_DAYS * 24 * 60 * 60 * 1000);
+        const lots = await LoyaltyTransaction.find({
+          customer: customer._id,
+          type: 'earn',
+          remaining: { $gt: 0 },
+          expiresAt: { $gt: now, $lte: noticeUntil }
+        })
+          .select('remaining expiresAt')
+          .sort({ expiresAt: 1 })
+          .lean();
+
+        if (lots.length > 0) {
+          expiring = {
+            points: lots.reduce((sum, lot) => sum + lot.remaining, 0),
+            expiresAt: lots[0].expiresAt
+          };
+        }
+      }
+
+      return {
+        balance,
+        balanceValue: roundCurrency(balance * program.pointValue),
+        tier,
+        multiplier: program.tierMultipliers[tier] || 1,
+        expiring,
+        program
+      };
+    } catch (error) {
+      throw new Error(`Failed to get loyalty summary: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a customer's points history, newest first
+   * @param {string} email - Email of the customer's account
+   * @param {Object} options - page, limit
+   * @returns {Promise<Object>} Transactions with pagination info
+   */
+  async getTransactions(email, options = {}) {
+    try {
+      const { page = 1, limit = 20 } = options;
+      const customer = await Customer.findOne({ email: normalizeEmail(email) }).select('_id');
+
+      if (!customer) {
+        return {
+          transactions: [],
+          pagination: { page: Number(page), limit: Number(limit), total: 0, pages: 0, hasNext: false, hasPrev: false }
+        };
+      }
+
+      const skip = (page - 1) * limit;
+      const [transactions, total] = await Promise.all([
+        LoyaltyTransaction.find({ customer: customer._id })
+          .select('-lots -customer')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(Number(limit))
+          .lean(),
+        LoyaltyTransaction.countDocuments({ customer: customer._id })
+      ]);
+
+      return {
+        transactions,
+        pagination: {
+          page: Number(page),
+          limit: Number(limit),
+          total,
+          pages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to get loyalty history: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new LoyaltyService();
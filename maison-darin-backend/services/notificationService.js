@@ -57,7 +57,9 @@ class NotificationService {
           processing: 'قيد المعالجة',
           shipped: 'تم الشحن',
           delivered: 'تم التسليم',
-          cancelled: 'ملغي'
+          cancelled: 'ملغي',
+          returned: 'مرتجع',
+          refunded: 'مسترد'
         },
         en: {
           pending: 'Pending',
@@ -65,12 +67,14 @@ class NotificationService {
           processing: 'Processing',
           shipped: 'Shipped',
           delivered: 'Delivered',
-          cancelled: 'Cancelled'
+          cancelled: 'Cancelled',
+          returned: 'Returned',
+          refunded: 'Refunded'
         }
       };
 
-      const currentStatusAr = statusMessages.ar[order.orderStatus];
-      const currentStatusEn = statusMessages.en[order.orderStatus];
+      const currentStatusAr = statusMessages.ar[order.status];
+      const currentStatusEn = statusMessages.en[order.status];
 
       const emailContent = this.generateOrderStatusEmailContent(order, currentStatusAr, currentStatusEn);
 
@@ -85,7 +89,7 @@ class NotificationService {
       logger.info(`Order status notification sent to ${order.customerInfo.email}`, {
         orderId: order._id,
         orderNumber: order.orderNumber,
-        newStatus: order.orderStatus,
+        newStatus: order.status,
         messageId: result.messageId
       });
 
@@ -165,6 +169,40 @@ class NotificationService {
     }
   }
 
+  /**
+   * Send notification that a pre-ordered product has launched and the order is being prepared
+   * @param {Object} order - Order object, moved to processing
+   */
+  async sendPreOrderReleaseNotification(order) {
+    try {
+      if (!this.transporter) {
+        logger.warn('Email transporter not initialized');
+        return;
+      }
+
+      const emailContent = this.generatePreOrderReleaseEmailContent(order);
+
+      const mailOptions = {
+        from: process.env.EMAIL_FROM || 'noreply@maisondarin.com',
+        to: order.customerInfo.email,
+        subject: `طلبك المسبق ${order.orderNumber} قيد التحضير - Your Pre-order Is Being Prepared`,
+        html: emailContent
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      logger.info(`Pre-order release notification sent to ${order.customerInfo.email}`, {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        messageId: result.messageId
+      });
+
+      return result;
+    } catch (error) {
+      logger.error('Failed to send pre-order release notification:', error);
+      throw error;
+    }
+  }
+
   /**
    * Generate order status update email content
    * @param {Object} order - Order object
@@ -208,7 +246,7 @@ class NotificationService {
             <div class="order-details">
               <h3>تفاصيل الطلب</h3>
               <p><strong>رقم الطلب:</strong> ${order.orderNumber}</p>
-              <p><strong>الحالة الجديدة:</strong> <span class="status-badge status-${order.orderStatus}">${statusAr}</span></p>
+              <p><strong>الحالة الجديدة:</strong> <span class="status-badge status-${order.status}">${statusAr}</span></p>
               <p><strong>تاريخ التحديث:</strong> ${new Date().toLocaleDateString('ar-EG')}</p>
               <p><strong>المجموع:</strong> ${order.total.toFixed(2)} جنيه</p>
             </div>
@@ -216,18 +254,19 @@ class NotificationService {
             <div class="order-details">
               <h3>المنتجات</h3>
               ${order.items.map(item => `
-                <p>• ${item.name.ar} - الكمية: ${item.quantity} - السعر: ${item.price.toFixed(2)} جنيه</p>
+                <p>• ${item.productName} - الكمية: ${item.quantity} - السعر: ${item.price.toFixed(2)} جنيه</p>
               `).join('')}
             </div>
 
-            ${order.orderStatus === 'shipped' ? `
+            ${order.status === 'shipped' ? `
               <div style="background-color: #EBF8FF; padding: 15px; border-radius: 8px; margin: 20px 0;">
                 <p><strong>🚚 تم شحن طلبك!</strong></p>
+                ${order.trackingNumber ? `<p><strong>رقم التتبع:</strong> ${order.trackingNumber}</p>` : ''}
                 <p>سيصلك الطلب خلال 2-3 أيام عمل.</p>
               </div>
             ` : ''}
 
-            ${order.orderStatus === 'delivered' ? `
+            ${order.status === 'delivered' ? `
               <div style="background-color: #F0FDF4; padding: 15px; border-radius: 8px; margin: 20px 0;">
                 <p><strong>✅ تم تسليم طلبك بنجاح!</strong></p>
                 <p>نشكرك لاختيارك ميزون دارين. نتطلع لخدمتك مرة أخرى.</p>
@@ -293,7 +332,7 @@ class NotificationService {
             <div class="order-details">
               <h3>المنتجات المطلوبة</h3>
               ${order.items.map(item => `
-                <p>• ${item.name.ar} - الكمية: ${item.quantity} - السعر: ${item.price.toFixed(2)} جنيه</p>
+                <p>• ${item.productName} - الكمية: ${item.quantity} - السعر: ${item.price.toFixed(2)} جنيه</p>
               `).join('')}
             </div>
 
@@ -390,6 +429,70 @@ class NotificationService {
     `;
   }
 
+  /**
+   * Generate pre-order release email content
+   * @param {Object} order - Order object
+   * @returns {string} HTML email content
+   */
+  generatePreOrderReleaseEmailContent(order) {
+    const preOrdered = order.items.filter(item => item.preOrder);
+
+    return `
+      <!DOCTYPE html>
+      <html dir="rtl" lang="ar">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>طلبك المسبق قيد التحضير</title>
+        <style>
+          body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 20px; background-color: #f5f5f5; }
+          .container { max-width: 600px; margin: 0 auto; background-color: white; border-radius: 8px; overflow: hidden; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+          .header { background-color: #8B5CF6; color: white; padding: 30px; text-align: center; }
+          .content { padding: 30px; }
+          .order-details { background-color: #F9FAFB; padding: 20px; border-radius: 8px; margin: 20px 0; }
+          .english { direction: ltr; text-align: left; border-top: 1px solid #E5E7EB; padding-top: 20px; margin-top: 20px; }
+          .footer { background-color: #F3F4F6; padding: 20px; text-align: center; color: #6B7280; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>ميزون دارين</h1>
+            <h2>🎉 وصل طلبك المسبق</h2>
+          </div>
+          <div class="content">
+            <p>عزيزي/عزيزتي ${order.customerInfo.firstName} ${order.customerInfo.lastName}،</p>
+
+            <p>يسعدنا إبلاغك بأن المنتجات التي طلبتها مسبقاً قد أُطلقت، ونحن الآن نحضّر طلبك للشحن.</p>
+
+            <div class="order-details">
+              <h3>تفاصيل الطلب</h3>
+              <p><strong>رقم الطلب:</strong> ${order.orderNumber}</p>
+              ${preOrdered.map(item => `
+                <p>• ${item.productName}${item.variantSize ? ` (${item.variantSize})` : ''} - الكمية: ${item.quantity}</p>
+              `).join('')}
+              ${order.balanceDue > 0 ? `<p><strong>المبلغ المتبقي:</strong> ${order.balanceDue.toFixed(2)} جنيه</p>` : ''}
+            </div>
+
+            <p>مع أطيب التحيات،<br>فريق ميزون دارين</p>
+
+            <div class="english">
+              <p>Dear ${order.customerInfo.firstName} ${order.customerInfo.lastName},</p>
+              <p>The products you pre-ordered have launched and we are now preparing order ${order.orderNumber} for shipping.</p>
+              ${order.balanceDue > 0 ? `<p><strong>Balance due:</strong> ${order.balanceDue.toFixed(2)}</p>` : ''}
+              <p>Best regards,<br>The Maison Darin team</p>
+            </div>
+          </div>
+          <div class="footer">
+            <p>© 2024 ميزون دارين. جميع الحقوق محفوظة.</p>
+            <p>هذا إيميل تلقائي، يرجى عدم الرد عليه.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
   /**
    * Send SMS notification (placeholder for future implementation)
    * @param {string} phoneNumber - Customer phone number
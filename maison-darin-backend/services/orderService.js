@@ -1,47 +1,134 @@
+const mongoose = require('mongoose');
 const Order = require('../models/Order');
 const Product = require('../models/Product');
+const Payment = require('../models/Payment');
+const Return = require('../models/Return');
 const notificationService = require('./notificationService');
 const emailService = require('./emailService');
+const pricingService = require('./pricingService');
+const settingsService = require('./settingsService');
+const databaseService = require('./databaseService');
+const stockAlertService = require('./stockAlertService');
+const cartService = require('./cartService');
+const promotionService = require('./promotionService');
+const loyaltyService = require('./loyaltyService');
+const giftCardService = require('./giftCardService');
+const invoiceService = require('./invoiceService');
+
+const roundCurrency = value => Math.round(value * 100) / 100;
 
 class OrderService {
   /**
    * Create a new order with complete validation
    * @param {Object} orderData - Order data
 {{ ... }}
+   * @param {Object} [options] - customerEmail of the account placing the order
    * @returns {Promise<Object>} Created order
    */
-  async createOrder(orderData) {
+  async createOrder(orderData, options = {}) {
     try {
       // Validate order data structure
       this.validateOrderData(orderData);
       
-      // Validate items against product availability
-      await this.validateOrderItems(orderData.items);
-      
-      // Generate unique order number
-      const orderNumber = await Order.generateOrderNumber();
-      
-      // Calculate and validate total
-      const calculatedTotal = this.calculateOrderTotal(orderData.items);
-      if (Math.abs(calculatedTotal - orderData.total) > 0.01) {
+      // Re-price every item from the catalogue and add shipping and tax
+      const quote = await this.quoteOrder(orderData, options);
+
+      // The total the customer was shown must still be what they'll pay
+      if (orderData.total !== undefined && Math.abs(quote.total - orderData.total) > 0.01) {
         throw new Error('Order total does not match calculated total');
       }
       
-      // Create order with generated order number
-      const order = new Order({
-        ...orderData,
-        orderNumber,
-        total: calculatedTotal
+      // Gift cards are emailed, so each gift card line must say who to
+      quote.items.forEach((item, index) => {
+        if (item.giftCard && (!item.giftCard.recipientName || !item.giftCard.recipientEmail)) {
+          throw new Error(`Item ${index + 1}: Gift card recipient name and email are required`);
+        }
       });
       
-      // Save order and update product stock
-      const savedOrder = await order.save();
-      await this.updateProductStock(orderData.items);
+      // Client prices and totals are replaced
+      const orderFields = {
+        ...orderData,
+        items: quote.items,
+        subtotal: quote.subtotal,
+        discountTotal: quote.discountTotal,
+        promotions: quote.promotions,
+        promotionDiscount: quote.promotionDiscount,
+        couponCode: quote.couponCode || undefined,
+        loyalty: quote.loyalty ? {
+          customer: quote.loyalty.customer || undefined,
+          pointsRedeemed: quote.loyalty.pointsRedeemed,
+          discount: quote.loyalty.discount
+        } : undefined,
+        shippingType: quote.shippingType,
+        shippingCost: quote.shippingCost,
+        taxRate: quote.taxRate,
+        taxIncluded: quote.taxIncluded,
+        tax: quote.tax,
+        total: quote.total,
+        balanceDue: quote.balanceDue,
+        giftCards: quote.giftCards.map(({ giftCard, kind, code, amount }) => ({ giftCard, kind, code, amount })),
+        giftCardTotal: quote.giftCardTotal
+      };
+
+      // Pre-ordered lines wait for their release before anything ships
+      if (quote.items.some(item => item.preOrder)) {
+        orderFields.status = 'awaiting_release';
+      }
+
+      // Gift cards are issued once their payment is captured
+      if (quote.items.some(item => item.giftCard) && orderData.paymentMethod !== 'paypal') {
+        throw new Error('Gift cards must be paid online');
+      }
+
+      const paidByGiftCards = ['gift_card', 'store_credit'].includes(orderData.paymentMethod);
+      if (paidByGiftCards && quote.amountDue > 0) {
+        throw new Error('Gift cards and store credit do not cover the order; choose a payment method for the rest');
+      }
+
+      if (quote.giftCardTotal > 0 && quote.amountDue === 0) {
+        // Nothing is left to pay now, so there is no payment to wait for
+        orderFields.paymentMethod = quote.giftCards.every(card => card.kind === 'store_credit')
+          ? 'store_credit'
+          : 'gift_card';
+        orderFields.paymentStatus = quote.balanceDue > 0 ? 'partially_paid' : 'paid';
+        if (orderFields.status !== 'awaiting_release') {
+          orderFields.status = 'confirmed';
+        }
+      } else if (orderData.paymentMethod === 'paypal') {
+        // Stock for an online payment is only held until the payment expires
+        orderFields.stockReservation = { status: 'held', expiresAt: Payment.getDefaultExpiry() };
+      }
+      
+      // Save the order and take its stock together; if any item has sold out
+      // in the meantime, no order is created and no stock is moved
+      const savedOrder = await databaseService.executeWithTransaction(async session => {
+        // Numbered in the transaction, so a checkout that fails gives its number back
+        const orderNumber = await Order.generateOrderNumber({ session });
+        const [order] = await Order.create([{ ...orderFields, orderNumber }], { session });
+        await this.updateProductStock(quote.items, { session, order: order._id });
+        await this.reservePreOrders(quote.items, { session });
+        await promotionService.recordUsage(quote.promotions, { session });
+        if (quote.loyalty && quote.loyalty.pointsRedeemed > 0) {
+          await loyaltyService.redeemPoints(quote.loyalty.customer, quote.loyalty.pointsRedeemed, order, { session });
+        }
+        await giftCardService.redeemCards(quote.giftCards, order, { session });
+        return order;
+      });
+      await this.refreshBundleStock(quote.items);
+
+      // The cart it came from is done; a failure here must not fail the order
+      if (orderData.cartToken) {
+        cartService.markConverted(orderData.cartToken, savedOrder._id).catch(error => {
+          console.error('Failed to mark cart as converted:', error.message);
+        });
+      }
       
       // For PayPal orders, don't send emails until payment is confirmed
       // For other payment methods (like COD), send confirmation email immediately
-      if (orderData.paymentMethod !== 'paypal') {
-        await this.sendOrderConfirmationEmails(savedOrder);
+      if (savedOrder.paymentMethod !== 'paypal') {
+        // An order paid in full with gift cards is invoiced straight away
+        const invoice = await invoiceService.issueInvoiceSafely(savedOrder);
+        await this.sendOrderConfirmationEmails(savedOrder, invoice);
       } else {
         console.log(`📦 Order ${savedOrder.orderNumber} created - awaiting PayPal payment confirmation`);
       }
@@ -55,11 +142,12 @@ class OrderService {
   /**
    * Send order confirmation emails to customer and admin
    * @param {Object} order - Order object
+   * @param {Object} [invoice] - Tax invoice to attach, when the order is paid
    */
-  async sendOrderConfirmationEmails(order) {
+  async sendOrderConfirmationEmails(order, invoice = null) {
     // Send order confirmation email to customer
     try {
-      await emailService.sendOrderConfirmation(order);
+      await emailService.sendOrderConfirmation(order, invoice);
       console.log(`✅ Order confirmation email sent for order ${order.orderNumber}`);
     } catch (emailError) {
       console.error(`❌ Failed to send order confirmation email for order ${order.orderNumber}:`, emailError.message);
@@ -104,7 +192,8 @@ class OrderService {
       throw new Error('Payment method is required');
     }
 
-    if (typeof orderData.total !== 'number' || orderData.total <= 0) {
+    // The total is optional; when sent it is checked against the server's price
+    if (orderData.total !== undefined && (typeof orderData.total !== 'number' || orderData.total <= 0)) {
       throw new Error('Order total must be a positive number');
     }
 
@@ -125,7 +214,7 @@ class OrderService {
     }
 
     // Validate payment method
-    const validPaymentMethods = ['cash_on_delivery', 'bank_transfer', 'credit_card', 'paypal'];
+    const validPaymentMethods = ['cash_on_delivery', 'bank_transfer', 'credit_card', 'paypal', 'gift_card', 'store_credit'];
     if (!validPaymentMethods.includes(orderData.paymentMethod)) {
       throw new Error('Invalid payment method');
     }
@@ -134,6 +223,7 @@ class OrderService {
   /**
    * Validate order items against product availability
    * @param {Array} items - Order items to validate
+   * @returns {Promise<Array>} Product document of each item
    */
   async validateOrderItems(items) {
     if (!items || !Array.isArray(items) || items.length === 0) {
@@ -141,6 +231,7 @@ class OrderService {
     }
 
     const Product = require('../models/Product');
+    const products = [];
     
     for (let i = 0; i < items.length; i++) {
       const item = items[i];
@@ -153,27 +244,262 @@ class OrderService {
       if (!item.quantity || item.quantity <= 0) {
         throw new Error(`Item ${i + 1}: Quantity must be greater than 0`);
       }
-      
-      if (!item.price || item.price <= 0) {
-        throw new Error(`Item ${i + 1}: Price must be greater than 0`);
-      }
 
-      // Check if product exists (optional for PayPal orders)
+      // Only the product decides whether a line is a pre-order or a gift card
+      const giftCard = item.giftCard;
+      delete item.preOrder;
+      delete item.giftCard;
+      
+      // Items are priced from the product, so it has to exist
+      let product = null;
       try {
-        const product = await Product.findById(item.productId);
-        if (!product) {
-          console.warn(`Product ${item.productId} not found, but allowing order for PayPal`);
-        }
+        product = await Product.findById(item.productId);
       } catch (error) {
         console.warn(`Error checking product ${item.productId}:`, error.message);
-        // Continue with order creation for PayPal
       }
+      if (!product) {
+        throw new Error(`Item ${i + 1}: Product not found`);
+      }
+
+      if (product.type === 'bundle') {
+        await this.validateBundleItem(product, item, i);
+      } else if (product.type === 'gift_card') {
+        this.validateGiftCardItem(giftCard, item, i);
+      } else if (typeof product.isPreOrderable === 'function' && product.isPreOrderable()) {
+        this.validatePreOrderItem(product, item, i);
+      } else {
+        this.validateItemVariant(product, item, i);
+      }
+      products[i] = product;
     }
+
+    await this.applyEffectivePrices(items, products);
+    return products;
   }
 
   /**
-   * Calculate order total from items
+   * Charge each item at the price its product sells for right now, so a sale
+   * that started or ended while the item sat in the cart is honoured. Any price
+   * sent by the client is overwritten.
    * @param {Array} items - Order items
+   * @param {Array} products - Product document of each item
+   */
+  async applyEffectivePrices(items, products) {
+    const rules = await pricingService.getActiveRules(products);
+
+    items.forEach((item, i) => {
+      const product = products[i];
+      const { price, regularPrice, rule } = pricingService.resolvePrice(product, item.variantId || null, rules);
+      item.price = price;
+      item.regularPrice = regularPrice;
+      item.priceRule = rule ? rule._id : undefined;
+      item.subtotal = roundCurrency(price * item.quantity);
+      item.productName = item.productName || product.name.ar || product.name.en;
+      item.productImage = item.productImage || (product.images && product.images[0] && product.images[0].url) || '';
+
+      // A pre-order pays its deposit share now, or the whole line without one
+      if (item.preOrder) {
+        const percent = product.preOrder.depositPercent;
+        item.preOrder.deposit = percent ? roundCurrency(item.subtotal * percent / 100) : item.subtotal;
+      }
+    });
+  }
+
+  /**
+   * Price an order the way it will be charged: items at their current catalogue
+   * price, less any promotions, coupon and loyalty points, then shipping and tax
+   * from the store settings. Gift cards and store credit then pay for what
+   * they cover of the amount due now.
+   * @param {Object} orderData - items, customerInfo (countryCode or country, email),
+   *   shippingType, couponCode, loyaltyPoints to redeem, giftCardCodes and useStoreCredit
+   * @param {Object} [options] - customerEmail of the logged-in account, whose
+   *   points and store credit are redeemed
+   * @returns {Promise<Object>} Priced items with subtotal, discountTotal, promotions,
+   *   promotionDiscount, loyalty, shippingCost, tax, total, giftCards and amountDue
+   */
+  async quoteOrder(orderData, { customerEmail } = {}) {
+    const { items, customerInfo = {}, shippingType = 'standard' } = orderData;
+    const countryCode = orderData.countryCode || customerInfo.countryCode || customerInfo.country;
+
+    const products = await this.validateOrderItems(items);
+
+    const subtotal = roundCurrency(this.calculateOrderTotal(items));
+    const discountTotal = roundCurrency(items.reduce(
+      (total, item) => total + (item.regularPrice - item.price) * item.quantity, 0
+    ));
+
+    const shipping = await settingsService.calculateShipping(countryCode, subtotal, shippingType);
+    const promotion = await promotionService.applyPromotions({
+      items,
+      products,
+      subtotal,
+      shippingCost: shipping.cost,
+      code: orderData.couponCode,
+      email: orderData.email || customerInfo.email
+    });
+    // Gift cards are emailed, so an order of nothing else has no shipping
+    const giftCardsOnly = items.every(item => item.giftCard);
+    const shippingCost = promotion.freeShipping || giftCardsOnly ? 0 : roundCurrency(shipping.cost);
+    // Gift cards bought are issued at their full value, so points only pay for the goods
+    const giftCardSubtotal = items.reduce((sum, item) => sum + (item.giftCard ? item.subtotal : 0), 0);
+    const loyalty = await loyaltyService.quoteRedemption({
+      customerEmail,
+      points: orderData.loyaltyPoints,
+      amount: roundCurrency(Math.max(subtotal - giftCardSubtotal - promotion.discount, 0))
+    });
+
+    // Promotions and redeemed points lower the amount tax is charged on. Gift
+    // cards are taxed when they are spent, not when they are bought.
+    const discounted = roundCurrency(subtotal - promotion.discount - (loyalty ? loyalty.discount : 0));
+    const taxable = roundCurrency(Math.max(discounted - giftCardSubtotal, 0));
+    const tax = await settingsService.calculateTax(taxable, countryCode);
+    const taxAmount = roundCurrency(tax.taxAmount);
+    // Tax included in the price is shown but not added again
+    const total = roundCurrency(discounted + shippingCost + (tax.taxIncluded ? 0 : taxAmount));
+    // A discount larger than what is paid now comes off the balance too
+    const balanceDue = Math.min(total, roundCurrency(items.reduce(
+      (sum, item) => sum + (item.preOrder ? item.subtotal - item.preOrder.deposit : 0), 0
+    )));
+    const giftCards = await giftCardService.quoteRedemption({
+      codes: orderData.giftCardCodes,
+      useStoreCredit: orderData.useStoreCredit,
+      customerEmail,
+      amount: roundCurrency(total - balanceDue),
+      hasGiftCardItems: giftCardSubtotal > 0
+    });
+
+    return {
+      items,
+      subtotal,
+      discountTotal,
+      promotions: promotion.promotions,
+      promotionDiscount: promotion.discount,
+      couponCode: promotion.couponCode,
+      loyalty,
+      shippingType,
+      shippingCost,
+      freeShipping: shipping.isFree || promotion.freeShipping,
+      taxRate: tax.taxRate,
+      taxIncluded: tax.taxIncluded,
+      tax: taxAmount,
+      total,
+      // Paid at checkout; pre-orders with a deposit leave the rest for their release
+      balanceDue,
+      giftCards: giftCards.cards,
+      giftCardTotal: giftCards.total,
+      storeCreditBalance: giftCards.storeCreditBalance,
+      // Left to pay now with the payment method
+      amountDue: roundCurrency(total - balanceDue - giftCards.total)
+    };
+  }
+
+  /**
+   * Mark a gift card line and record who its cards go to. A cart can be quoted
+   * before the recipient is filled in; placing the order needs one.
+   * @param {Object} [giftCard] - recipientName, recipientEmail, senderName and message sent with the item
+   * @param {Object} item - Order item
+   * @param {number} index - Item index for error messages
+   */
+  validateGiftCardItem(giftCard = {}, item, index) {
+    if (item.variantId) {
+      throw new Error(`Item ${index + 1}: Product does not have variants`);
+    }
+
+    item.giftCard = {
+      recipientName: giftCard.recipientName,
+      recipientEmail: giftCard.recipientEmail,
+      senderName: giftCard.senderName,
+      message: giftCard.message
+    };
+  }
+
+  /**
+   * Accept an item of a product that is not released yet whatever its stock,
+   * as long as it fits in the product's pre-order cap, and mark it as a pre-order
+   * @param {Object} product - Product document in pre-order mode
+   * @param {Object} item - Order item
+   * @param {number} index - Item index for error messages
+   */
+  validatePreOrderItem(product, item, index) {
+    this.validateItemVariant(product, item, index, { checkStock: false });
+
+    const { cap, reserved = 0, releaseDate } = product.preOrder;
+    if (cap && reserved + item.quantity > cap) {
+      const left = Math.max(cap - reserved, 0);
+      throw new Error(`Item ${index + 1}: Only ${left} left to pre-order`);
+    }
+
+    item.preOrder = { releaseDate };
+  }
+
+  /**
+   * Validate the variant of an order item and record its details on the item
+   * @param {Object} product - Product document
+   * @param {Object} item - Order item
+   * @param {number} index - Item index for error messages
+   * @param {Object} [options] - checkStock: false to accept a size that is sold out
+   */
+  validateItemVariant(product, item, index, { checkStock = true } = {}) {
+    const hasVariants = typeof product.hasVariants === 'function' && product.hasVariants();
+
+    if (!hasVariants) {
+      if (item.variantId) {
+        throw new Error(`Item ${index + 1}: Product does not have variants`);
+      }
+      return;
+    }
+
+    if (!item.variantId) {
+      throw new Error(`Item ${index + 1}: Variant is required for this product`);
+    }
+
+    const variant = product.getVariant(item.variantId);
+    if (!variant) {
+      throw new Error(`Item ${index + 1}: Variant not found`);
+    }
+
+    if (checkStock && variant.stock < item.quantity) {
+      throw new Error(`Item ${index + 1}: Insufficient stock for size ${variant.size}`);
+    }
+
+    item.variantSku = variant.sku;
+    item.variantSize = variant.size;
+  }
+
+  /**
+   * Check that every component of a bundle is in stock for the ordered
+   * quantity and record the components on the item
+   * @param {Object} bundle - Bundle product document
+   * @param {Object} item - Order item
+   * @param {number} index - Item index for error messages
+   */
+  async validateBundleItem(bundle, item, index) {
+    if (item.variantId) {
+      throw new Error(`Item ${index + 1}: Product does not have variants`);
+    }
+
+    const components = await Product.find({ _id: { $in: bundle.components.map(c => c.product) } });
+    const byId = new Map(components.map(component => [String(component._id), component]));
+
+    for (const component of bundle.components) {
+      const product = byId.get(String(component.product));
+      const needed = component.quantity * item.quantity;
+
+      if (!product || !product.isAvailable(needed, component.variant || null)) {
+        throw new Error(`Item ${index + 1}: Insufficient stock for bundle ${bundle.name.en}`);
+      }
+    }
+
+    item.bundleComponents = bundle.components.map(component => ({
+      productId: component.product,
+      variantId: component.variant,
+      quantity: component.quantity
+    }));
+  }
+
+  /**
+   * Calculate the items subtotal of an order
+   * @param {Array} items - Order items, priced at their effective price by validateOrderItems
    * @returns {number} Calculated total
    */
   calculateOrderTotal(items) {
@@ -183,117 +509,394 @@ class OrderService {
   }
 
   /**
-   * Update product stock after order creation
+   * List the stock each order item moves: the item's own product (or size), or
+   * the components of a bundle multiplied by the number of bundles
    * @param {Array} items - Order items
+   * @returns {Array} Lines of { index, productId, variantId, quantity }
    */
-  async updateProductStock(items) {
-    for (const item of items) {
+  getStockLines(items) {
+    return items.flatMap((item, index) => {
+      const productId = item.productId || item.product;
+      if (!productId) return [];
+      // A pre-order takes its stock when it is released; gift cards take none
+      if (item.preOrder && !item.preOrder.releasedAt) return [];
+      if (item.giftCard) return [];
+
+      if (item.bundleComponents && item.bundleComponents.length > 0) {
+        return item.bundleComponents.map(component => ({
+          index,
+          productId: component.productId,
+          variantId: component.variantId || null,
+          quantity: component.quantity * item.quantity
+        }));
+      }
+
+      return [{ index, productId, variantId: item.variantId || null, quantity: item.quantity }];
+    });
+  }
+
+  /**
+   * Take the stock of an order. Each decrement only applies if enough stock is
+   * left, so run it in a transaction to have all items taken or none.
+   * @param {Array} items - Order items
+   * @param {Object} options - session of the enclosing transaction, and the
+   *   order the sale movements are recorded against
+   */
+  async updateProductStock(items, { session = null, order } = {}) {
+    for (const line of this.getStockLines(items)) {
       try {
-        const productId = item.productId || item.product;
-        if (!productId) continue;
-
-        const product = await Product.findById(productId);
-        if (product) {
-          // Update stock if product has stock tracking
-          if (product.stock !== undefined && product.stock >= item.quantity) {
-            product.stock -= item.quantity;
-            await product.save();
-            console.log(`Updated stock for product ${productId}: ${product.stock}`);
-          } else {
-            console.warn(`Insufficient stock for product ${productId} or stock not tracked`);
-          }
-        } else {
-          console.warn(`Product ${productId} not found for stock update`);
-        }
+        await Product.adjustStock(line.productId, -line.quantity, {
+          variantId: line.variantId,
+          session,
+          type: 'sale',
+          order
+        });
       } catch (error) {
-        console.error(`Error updating stock for item:`, error.message);
-        // Continue with other items even if one fails
+        throw new Error(`Item ${line.index + 1}: ${error.message}`);
       }
     }
   }
 
   /**
-   * Get order by ID
+   * Count an order's pre-ordered units against their products' caps; run it
+   * in the order's transaction so a full cap rejects the whole order
+   * @param {Array} items - Order items
+   * @param {Object} options - session of the enclosing transaction
+   */
+  async reservePreOrders(items, { session = null } = {}) {
+    for (const [index, item] of items.entries()) {
+      if (!item.preOrder || item.preOrder.releasedAt) continue;
+
+      try {
+        await Product.adjustPreOrders(item.productId, item.quantity, { session });
+      } catch (error) {
+        throw new Error(`Item ${index + 1}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Re-derive the stock of bundles containing any product an order moved;
+   * conditional updates bypass the save hook that normally does this. Then
+   * raise the stock alerts the move calls for, without waiting on them.
+   * @param {Array} items - Order items
+   */
+  async refreshBundleStock(items) {
+    const productIds = new Set(this.getStockLines(items).map(line => String(line.productId)));
+
+    for (const productId of productIds) {
+      try {
+        await Product.refreshBundleStock(productId);
+      } catch (error) {
+        console.error(`Failed to refresh bundles containing product ${productId}:`, error.message);
+      }
+    }
+
+    stockAlertService.checkStockLevels([...productIds]).catch(error => {
+      console.error('Failed to check stock alerts:', error.message);
+    });
+  }
+
+  /**
+   * Release the stock held for an unpaid online order and cancel the order.
+   * Only a reservation that is still held is released, so calling this twice
+   * (or racing a capture) never returns stock twice.
    * @param {string} orderId - Order ID
-   * @returns {Promise<Object>} Order with populated product details
+   * @param {Date} now - Release time
+   * @returns {Promise<Object|null>} Cancelled order, or null if nothing was held
    */
-  async getOrderById(orderId) {
+  async releaseStockReservation(orderId, now = new Date()) {
     try {
-      const order = await Order.findById(orderId).populate('items.product');
-      
-      if (!order) {
-        throw new Error('Order not found');
+      const entryId = new mongoose.Types.ObjectId();
+      const order = await databaseService.executeWithTransaction(async session => {
+        const released = await Order.findOneAndUpdate(
+          {
+            _id: orderId,
+            'stockReservation.status': 'held',
+            paymentStatus: { $nin: ['paid', 'partially_paid'] },
+            status: { $ne: 'cancelled' }
+          },
+          {
+            $set: {
+              'stockReservation.status': 'released',
+              'stockReservation.releasedAt': now,
+              status: 'cancelled',
+              paymentStatus: 'failed'
+            },
+            $push: {
+              timeline: {
+                _id: entryId,
+                status: 'cancelled',
+                at: now,
+                actor: { type: 'system' },
+                reason: 'Payment not completed in time'
+              }
+            }
+          },
+          { new: true, session }
+        );
+        if (!released) {
+          return null;
+        }
+
+        await this.restoreProductStock(released.items, {
+          session,
+          type: 'cancellation_restock',
+          order: released._id,
+          reason: 'Payment reservation released'
+        });
+        await promotionService.releaseUsage(released, { session });
+        const effects = ['stock_restored'];
+        if (released.promotions && released.promotions.length > 0) {
+          effects.push('promotion_released');
+        }
+        if (await loyaltyService.restoreRedeemedPoints(released, { session })) {
+          effects.push('points_restored');
+        }
+        if (await giftCardService.releaseOrderCards(released, { session, note: 'Payment not completed' })) {
+          effects.push('gift_cards_released');
+        }
+        await Order.updateOne(
+          { _id: released._id, 'timeline._id': entryId },
+          { $push: { 'timeline.$.effects': { $each: effects } } },
+          { session }
+        );
+
+        return released;
+      });
+
+      if (order) {
+        await this.refreshBundleStock(order.items);
+        console.log(`📦 Stock reservation released for order ${order.orderNumber}`);
       }
-      
+
       return order;
     } catch (error) {
-      throw new Error(`Failed to get order: ${error.message}`);
+      throw new Error(`Failed to release stock reservation: ${error.message}`);
     }
   }
 
   /**
-   * Get orders with filters and pagination
-   * @param {Object} options - Query options
-   * @returns {Promise<Object>} Orders with pagination info
-  async getOrders(options = {}) {
-    try {
-      const {
-        page = 1,
-        limit = 10,
-        status,
-        paymentStatus,
-        customerEmail,
-        orderNumber,
-        startDate,
-        endDate,
-        sortBy = 'createdAt',
-        sortOrder = 'desc'
-      } = options;
+   * Release every reservation whose payment window has passed
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Number of orders released
+   */
+  async releaseExpiredReservations(now = new Date()) {
+    const expired = await Order.find({
+      'stockReservation.status': 'held',
+      'stockReservation.expiresAt': { $lte: now }
+    }).select('_id').lean();
 
-      // Build MongoDB query filters
-      const mongoFilters = {};
-      if (status) mongoFilters.status = status;
-      if (paymentStatus) mongoFilters.paymentStatus = paymentStatus;
-      if (customerEmail) mongoFilters['customerInfo.email'] = { $regex: customerEmail, $options: 'i' };
-      if (orderNumber) mongoFilters.orderNumber = { $regex: orderNumber, $options: 'i' };
-      
-      // Date range filters
-      if (startDate || endDate) {
-        mongoFilters.createdAt = {};
-        if (startDate) mongoFilters.createdAt.$gte = new Date(startDate);
-        if (endDate) mongoFilters.createdAt.$lte = new Date(endDate);
+    let released = 0;
+    for (const { _id } of expired) {
+      try {
+        if (await this.releaseStockReservation(_id, now)) {
+          released++;
+        }
+      } catch (error) {
+        console.error(`Failed to release expired reservation for order ${_id}:`, error.message);
       }
+    }
 
-      // Calculate pagination
-      const skip = (page - 1) * limit;
-      
-      console.log('📋 Order query filters:', mongoFilters);
-      console.log('📋 Sort options:', { [sortBy]: sortOrder === 'desc' ? -1 : 1 });
-      
-      // Get orders with filters
-      const orders = await Order.find(mongoFilters)
-        .populate('items.productId', 'name price category images')
-        .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 })
-        .skip(skip)
-        .limit(limit)
-        .lean();
+    return released;
+  }
 
-      // Get total count for pagination
-      const totalOrders = await Order.countDocuments(mongoFilters);
+  /**
+   * Periodically release expired reservations
+   * @param {number} intervalMs - Time between runs
+   * @returns {Object} Interval timer
+   */
+  startReservationCleanup(intervalMs = 60 * 1000) {
+    const timer = setInterval(() => {
+      this.releaseExpiredReservations().catch(error => {
+        console.error('Stock reservation cleanup failed:', error.message);
+      });
+    }, intervalMs);
 
-      return {
-        orders,
-        pagination: {
-          currentPage: page,
-          totalPages: Math.ceil(totalOrders / limit),
-          totalOrders,
-          hasNextPage: page < Math.ceil(totalOrders / limit),
-          hasPrevPage: page > 1
+    // Don't keep the process alive just for the cleanup
+    if (timer.unref) {
+      timer.unref();
+    }
+
+    return timer;
+  }
+
+  /**
+   * Claim the stock held for a PayPal order just before capturing its payment,
+   * so the cleanup can't release it mid-capture
+   * @param {string} paypalOrderId - PayPal order ID
+   * @param {Date} now - Current time
+   * @returns {Promise<boolean>} False if the reservation expired or was released
+   */
+  async claimStockReservation(paypalOrderId, now = new Date()) {
+    const claimed = await Order.findOneAndUpdate(
+      { paypalOrderId, 'stockReservation.status': 'held', 'stockReservation.expiresAt': { $gt: now } },
+      { $set: { 'stockReservation.status': 'committed' } },
+      { new: true }
+    );
+    if (claimed) {
+      return true;
+    }
+
+    // Orders placed before reservations existed, or already paid, keep their stock
+    const order = await Order.findOne({ paypalOrderId }).select('stockReservation').lean();
+    const status = order && order.stockReservation && order.stockReservation.status;
+    return !status || status === 'committed';
+  }
+
+  /**
+   * Put a claimed reservation back on hold when the capture did not go through;
+   * it is then released when it expires like any other
+   * @param {string} paypalOrderId - PayPal order ID
+   */
+  async unclaimStockReservation(paypalOrderId) {
+    await Order.updateOne(
+      { paypalOrderId, 'stockReservation.status': 'committed', paymentStatus: { $nin: ['paid', 'partially_paid'] } },
+      { $set: { 'stockReservation.status': 'held' } }
+    );
+  }
+
+  /**
+   * Ship what was pre-ordered for products that have launched. Products whose
+   * release date has come stop taking pre-orders; every order awaiting release
+   * then takes the stock of its launched lines and, once none are left
+   * waiting, moves to processing and its customer is told.
+   * @param {Date} now - Release time
+   * @returns {Promise<Object>} launched products count and released orders count
+   */
+  async releasePreOrders(now = new Date()) {
+    const { modifiedCount: launched } = await Product.updateMany(
+      { 'preOrder.enabled': true, 'preOrder.releaseDate': { $lte: now } },
+      { $set: { 'preOrder.enabled': false, 'preOrder.releasedAt': now } }
+    );
+
+    // Unpaid online orders wait for their payment (or their reservation to lapse)
+    const waiting = await Order.find({
+      status: 'awaiting_release',
+      'stockReservation.status': { $ne: 'held' }
+    }).select('_id').lean();
+
+    let released = 0;
+    for (const { _id } of waiting) {
+      try {
+        if (await this.releasePreOrder(_id, now)) {
+          released++;
         }
-      };
-    } catch (error) {
-      throw new Error(`Failed to get orders: ${error.message}`);
+      } catch (error) {
+        // Typically not enough stock received yet; the next run tries again
+        console.warn(`Could not release pre-order ${_id}:`, error.message);
+      }
+    }
+
+    return { launched, released };
+  }
+
+  /**
+   * Release the lines of one order whose products have launched: take their
+   * stock and mark them released, together, so a shortfall releases nothing
+   * @param {string} orderId - Order ID
+   * @param {Date} now - Release time
+   * @returns {Promise<Object|null>} Order moved to processing, or null if it still waits
+   */
+  async releasePreOrder(orderId, now = new Date()) {
+    const order = await Order.findById(orderId);
+    if (!order) {
+      throw new Error('Order not found');
+    }
+    const pending = order.items.filter(item => item.preOrder && !item.preOrder.releasedAt);
+
+    const products = await Product.find({ _id: { $in: pending.map(item => item.productId) } }).select('preOrder');
+    const launched = new Set(products
+      .filter(product => !product.preOrder || !product.preOrder.enabled)
+      .map(product => String(product._id)));
+    const ready = pending.filter(item => launched.has(String(item.productId)));
+    if (ready.length === 0) {
+      return null;
+    }
+
+    const complete = ready.length === pending.length;
+    const claimed = await databaseService.executeWithTransaction(async session => {
+      // Claim the lines first so a concurrent run can't release them twice
+      const result = await Order.updateOne(
+        {
+          _id: order._id,
+          status: 'awaiting_release',
+          items: { $all: ready.map(item => ({ $elemMatch: { _id: item._id, 'preOrder.releasedAt': null } })) }
+        },
+        {
+          $set: {
+            'items.$[line].preOrder.releasedAt': now,
+            ...(complete && { status: 'processing' })
+          },
+          ...(complete && {
+            $push: {
+              timeline: {
+                status: 'processing',
+                at: now,
+                actor: { type: 'system' },
+                reason: 'Pre-ordered products released',
+                effects: ['stock_taken']
+              }
+            }
+          })
+        },
+        { arrayFilters: [{ 'line._id': { $in: ready.map(item => item._id) } }], session }
+      );
+      if (result.modifiedCount === 0) {
+        return false;
+      }
+
+      for (const item of ready) {
+        await Product.adjustStock(item.productId, -item.quantity, {
+          variantId: item.variantId || null,
+          session,
+          type: 'sale',
+          order: order._id,
+          reason: 'Pre-order released'
+        });
+        await Product.adjustPreOrders(item.productId, -item.quantity, { session });
+      }
+
+      return true;
+    });
+    if (!claimed) {
+      return null;
+    }
+
+    await this.refreshBundleStock(ready.map(item => ({ productId: item.productId, quantity: item.quantity })));
+    if (!complete) {
+      return null;
+    }
+
+    const releasedOrder = await Order.findById(order._id);
+    try {
+      await notificationService.sendPreOrderReleaseNotification(releasedOrder);
+    } catch (notificationError) {
+      console.error('Failed to send pre-order release notification:', notificationError);
+    }
+    console.log(`📦 Pre-order ${releasedOrder.orderNumber} released`);
+
+    return releasedOrder;
+  }
+
+  /**
+   * Periodically release pre-orders of products that have launched
+   * @param {number} intervalMs - Time between runs
+   * @returns {Object} Interval timer
+   */
+  startPreOrderReleases(intervalMs = 15 * 60 * 1000) {
+    const timer = setInterval(() => {
+      this.releasePreOrders().catch(error => {
+        console.error('Pre-order release failed:', error.message);
+      });
+    }, intervalMs);
+
+    // Don't keep the process alive just for the releases
+    if (timer.unref) {
+      timer.unref();
     }
+
+    return timer;
   }
 
   /**
@@ -338,7 +941,7 @@ class OrderService {
       
       // Get orders with filters
       const orders = await Order.find(mongoFilters)
-        .populate('items.productId', 'name price category images')
+        .populate('items.productId', 'name price categories images')
         .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 })
         .skip(skip)
         .limit(limit)
@@ -366,84 +969,63 @@ class OrderService {
    * Cancel an order
    * @param {string} orderId - Order ID
    * @param {string} reason - Cancellation reason
+   * @param {Object} [actor] - Who cancelled it
    * @returns {Promise<Object>} Updated order
    */
-  async cancelOrder(orderId, reason = '') {
+  async cancelOrder(orderId, reason = '', actor) {
     try {
-      const order = await Order.findById(orderId).populate('items.product');
-      
-      if (!order) {
-        throw new Error('Order not found');
-      }
-
-      if (!order.canBeCancelled()) {
-        throw new Error('Order cannot be cancelled in its current status');
-      }
-
-      // Restore product stock
-      await this.restoreProductStock(order.items);
-
-      // Update order status
-      await order.updateStatus('cancelled', 'order');
-      
-      // Add cancellation note
-      order.notes = reason ? `Cancelled: ${reason}` : 'Order cancelled';
-      await order.save();
-
-      // Send cancellation notification
-      try {
-        await notificationService.sendOrderCancellationNotification(order, reason);
-      } catch (notificationError) {
-        // Log notification error but don't fail the cancellation
-        console.error('Failed to send cancellation notification:', notificationError);
-      }
-
-      return order;
+      return await this.changeStatus(orderId, 'cancelled', { actor, reason });
     } catch (error) {
       throw new Error(`Failed to cancel order: ${error.message}`);
     }
   }
 
   /**
-   * Restore product stock after order cancellation
+   * Return the stock of an order that was cancelled or refunded, or of items
+   * sent back with a return
    * @param {Array} items - Order items
+   * @param {Object} movement - Ledger details: type (cancellation_restock,
+   *   refund or return), order, reason, and the session of an enclosing transaction
    */
-  async restoreProductStock(items) {
+  async restoreProductStock(items, movement = {}) {
+    for (const line of this.getStockLines(items)) {
+      try {
+        await Product.adjustStock(line.productId, line.quantity, { ...movement, variantId: line.variantId });
+      } catch (error) {
+        // A product deleted since the order was placed has nothing to return to.
+        // Any other failure has aborted the enclosing transaction, so it must
+        // not be hidden from it.
+        if (error.message !== 'Product not found' && movement.session) {
+          throw error;
+        }
+        console.warn(`Could not return stock for product ${line.productId}:`, error.message);
+      }
+    }
+
+    // Unreleased pre-orders took no stock, only room under the pre-order cap
     for (const item of items) {
-      if (item.product) {
-        await item.product.updateStock(item.quantity);
+      if (!item.preOrder || item.preOrder.releasedAt) continue;
+
+      try {
+        await Product.adjustPreOrders(item.productId, -item.quantity, { session: movement.session });
+      } catch (error) {
+        if (error.message !== 'Product not found' && movement.session) {
+          throw error;
+        }
+        console.warn(`Could not return pre-order for product ${item.productId}:`, error.message);
       }
     }
   }
 
   /**
-   * Process order confirmation
+   * Confirm a pending order
    * @param {string} orderId - Order ID
+   * @param {Object} [actor] - Who confirmed it
    * @returns {Promise<Object>} Confirmed order
    */
-  async confirmOrder(orderId) {
+  async confirmOrder(orderId, actor) {
     try {
-      const order = await Order.findById(orderId);
-      
-      if (!order) {
-        throw new Error('Order not found');
-      }
-
-      if (order.orderStatus !== 'pending') {
-        throw new Error('Only pending orders can be confirmed');
-      }
-
-      await order.updateStatus('confirmed', 'order');
-      
-      // Send confirmation notification
-      try {
-        await notificationService.sendOrderConfirmationNotification(order);
-      } catch (notificationError) {
-        // Log notification error but don't fail the confirmation
-        console.error('Failed to send confirmation notification:', notificationError);
-      }
-      
-      return order;
+      return await this.changeStatus(orderId, 'confirmed', { actor });
     } catch (error) {
       throw new Error(`Failed to confirm order: ${error.message}`);
     }
@@ -482,36 +1064,15 @@ class OrderService {
   }
 
   /**
-   * Process order refund
+   * Refund an order
    * @param {string} orderId - Order ID
    * @param {string} reason - Refund reason
+   * @param {Object} [actor] - Who refunded it
    * @returns {Promise<Object>} Updated order
    */
-  async refundOrder(orderId, reason = '') {
+  async refundOrder(orderId, reason = '', actor) {
     try {
-      const order = await Order.findById(orderId).populate('items.product');
-      
-      if (!order) {
-        throw new Error('Order not found');
-      }
-
-      if (!order.canBeRefunded()) {
-        throw new Error('Order cannot be refunded in its current status');
-      }
-
-      // Restore product stock if order was shipped/delivered
-      if (['shipped', 'delivered'].includes(order.orderStatus)) {
-        await this.restoreProductStock(order.items);
-      }
-
-      // Update payment status
-      await order.updateStatus('refunded', 'payment');
-      
-      // Add refund note
-      order.notes = reason ? `Refunded: ${reason}` : 'Order refunded';
-      await order.save();
-
-      return order;
+      return await this.changeStatus(orderId, 'refunded', { actor, reason });
     } catch (error) {
       throw new Error(`Failed to refund order: ${error.message}`);
     }
@@ -525,7 +1086,7 @@ class OrderService {
   async getOrderById(orderId) {
     try {
       const order = await Order.findById(orderId)
-        .populate('items.productId', 'name price category images')
+        .populate('items.productId', 'name price categories images')
         .lean();
       
       if (!order) {
@@ -546,7 +1107,7 @@ class OrderService {
   async findByPayPalOrderId(paypalOrderId) {
     try {
       const order = await Order.findOne({ paypalOrderId })
-        .populate('items.productId', 'name price category images');
+        .populate('items.productId', 'name price categories images');
       
       return order;
     } catch (error) {
@@ -555,31 +1116,293 @@ class OrderService {
   }
 
   /**
-   * Update order status with additional data
+   * Move an order to a new status
    * @param {string} orderId - Order ID
    * @param {string} status - New status
-   * @param {Object} additionalData - Additional data to update
+   * @param {Object} [change] - actor ({ type, user, name }), reason, and the
+   *   trackingNumber of a shipped order
    * @returns {Promise<Object>} Updated order
    */
-  async updateOrderStatus(orderId, status, additionalData = {}) {
+  async updateOrderStatus(orderId, status, change = {}) {
     try {
-      const order = await Order.findById(orderId);
-      
+      return await this.changeStatus(orderId, status, change);
+    } catch (error) {
+      throw new Error(`Failed to update order status: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move an order to a new status if Order.STATUS_TRANSITIONS and its payment
+   * allow it. The change is claimed against the status it was checked from,
+   * so two concurrent changes can't both go through, and is added to the
+   * order's timeline with what it set off.
+   * @param {string} orderId - Order ID
+   * @param {string} status - New status
+   * @param {Object} [change] - actor, reason, trackingNumber, and notify
+   *   (false to not email the customer)
+   * @returns {Promise<Object>} Updated order
+   */
+  async changeStatus(orderId, status, { actor = { type: 'system' }, reason, trackingNumber, notify = true } = {}) {
+    const order = await Order.findById(orderId);
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    const refused = order.checkTransition(status);
+    if (refused) {
+      throw new Error(refused);
+    }
+    // Returns restock what they accept themselves, so returning the whole
+    // order as well would put those items back into stock twice
+    if (status === 'returned' && await Return.exists({ order: order._id, status: { $ne: 'rejected' } })) {
+      throw new Error('Order has returns in progress; take the items back through its returns');
+    }
+
+    const previousStatus = order.status;
+    const entryId = new mongoose.Types.ObjectId();
+    const fields = { status };
+    if (trackingNumber) {
+      fields.trackingNumber = trackingNumber;
+    }
+    if (status === 'refunded') {
+      fields.paymentStatus = 'refunded';
+    }
+    // Cancelling returns the held stock, so the hold must not expire and return it again
+    if (status === 'cancelled' && order.stockReservation && order.stockReservation.status === 'held') {
+      fields['stockReservation.status'] = 'released';
+      fields['stockReservation.releasedAt'] = new Date();
+    }
+    // Cash on delivery and bank transfers are settled by the time the order arrives
+    if (status === 'delivered' && ['cash_on_delivery', 'bank_transfer'].includes(order.paymentMethod) &&
+        order.paymentStatus === 'pending') {
+      fields.paymentStatus = 'paid';
+    }
+
+    const { updated, effects } = await databaseService.executeWithTransaction(async session => {
+      const claimed = await Order.findOneAndUpdate(
+        { _id: order._id, status: previousStatus },
+        {
+          $set: fields,
+          $push: { timeline: { _id: entryId, status, at: new Date(), actor, reason } }
+        },
+        { new: true, session }
+      );
+      if (!claimed) {
+        throw new Error('Order status was changed by someone else; reload the order and try again');
+      }
+
+      return { updated: claimed, effects: await this.applyStatusEffects(claimed, previousStatus, { session }) };
+    });
+
+    if (fields.paymentStatus === 'paid') {
+      effects.push('payment_recorded');
+      if (await invoiceService.issueInvoiceSafely(updated)) {
+        effects.push('invoice_issued');
+      }
+    }
+    if (effects.includes('stock_restored')) {
+      await this.refreshBundleStock(updated.items);
+    }
+
+    if (status === 'delivered') {
+      try {
+        if (await loyaltyService.awardOrderPoints(updated._id)) {
+          effects.push('points_awarded');
+        }
+      } catch (loyaltyError) {
+        // Log loyalty error but don't fail the status update
+        console.error('Failed to award loyalty points:', loyaltyError.message);
+      }
+    }
+
+    if (notify && await this.sendStatusNotification(updated, previousStatus, reason)) {
+      effects.push('customer_notified');
+    }
+
+    if (effects.length > 0) {
+      await Order.updateOne(
+        { _id: updated._id, 'timeline._id': entryId },
+        { $push: { 'timeline.$.effects': { $each: effects } } }
+      );
+    }
+
+    console.log(`✅ Order ${updated.orderNumber} status updated: ${previousStatus} → ${status}`);
+
+    return Order.findById(updated._id);
+  }
+
+  /**
+   * Carry out what an order's new status entails, inside the transaction
+   * that changed it
+   * @param {Object} order - Order in its new status
+   * @param {string} previousStatus - Status it moved from
+   * @param {Object} [options] - session of the enclosing transaction
+   * @returns {Promise<string[]>} Names of the effects carried out
+   */
+  async applyStatusEffects(order, previousStatus, { session = null } = {}) {
+    const effects = [];
+
+    if (order.status === 'cancelled' || order.status === 'returned') {
+      await this.restoreProductStock(order.items, {
+        session,
+        type: order.status === 'cancelled' ? 'cancellation_restock' : 'return',
+        order: order._id
+      });
+      effects.push('stock_restored');
+    }
+
+    if (order.status === 'cancelled') {
+      if (order.promotions && order.promotions.length > 0) {
+        await promotionService.releaseUsage(order, { session });
+        effects.push('promotion_released');
+      }
+      if (await loyaltyService.restoreRedeemedPoints(order, { session })) {
+        effects.push('points_restored');
+      }
+      if (await giftCardService.releaseOrderCards(order, { session })) {
+        effects.push('gift_cards_released');
+      }
+    }
+
+    if (order.status === 'refunded') {
+      // Points earned on the order are taken back and points spent on it returned
+      if (await loyaltyService.reverseOrderPoints(order, { session })) {
+        effects.push('points_reversed');
+      }
+      if (await loyaltyService.restoreRedeemedPoints(order, { session })) {
+        effects.push('points_restored');
+      }
+
+      // Gift cards that paid for it are topped up again, unless its refunds
+      // already paid that share back as store credit; cards it bought are voided
+      const refundedAsCredit = (order.refunds || []).length > 0;
+      if (!refundedAsCredit && await giftCardService.releaseOrderCards(order, { session, note: 'Order refunded' })) {
+        effects.push('gift_cards_released');
+      }
+      if (await giftCardService.voidOrderGiftCards(order, { session })) {
+        effects.push('gift_cards_voided');
+      }
+    }
+
+    return effects;
+  }
+
+  /**
+   * Email the customer about their order's new status
+   * @param {Object} order - Order in its new status
+   * @param {string} previousStatus - Status it moved from
+   * @param {string} [reason] - Reason given for the change
+   * @returns {Promise<boolean>} Whether an email was sent
+   */
+  async sendStatusNotification(order, previousStatus, reason) {
+    try {
+      switch (order.status) {
+        case 'confirmed':
+          await notificationService.sendOrderConfirmationNotification(order);
+          return true;
+        case 'cancelled':
+          await notificationService.sendOrderCancellationNotification(order, reason);
+          return true;
+        case 'shipped':
+        case 'delivered':
+        case 'returned':
+        case 'refunded':
+          await notificationService.sendOrderStatusNotification(order, previousStatus);
+          return true;
+        default:
+          return false;
+      }
+    } catch (notificationError) {
+      // Log notification error but don't fail the status update
+      console.error('Failed to send order status notification:', notificationError);
+      return false;
+    }
+  }
+
+  /**
+   * Record the captured online payment of an order and confirm it if it was
+   * waiting for it. Only an order still waiting for its payment is updated,
+   * so the capture and PayPal's webhook for it are recorded once between them.
+   * @param {string} orderId - Order ID
+   * @param {Object} [payment] - PayPal capture fields to save on the order
+   * @returns {Promise<Object|null>} Paid order, or null if it was not waiting for payment
+   */
+  async markOrderPaid(orderId, payment = {}) {
+    try {
+      const order = await Order.findOne({ _id: orderId, paymentStatus: 'pending' })
+        .select('balanceDue stockReservation');
+      if (!order) {
+        return null;
+      }
+
+      // A pre-order that only took a deposit still has its balance to pay
+      const fields = { ...payment, paymentStatus: order.balanceDue > 0 ? 'partially_paid' : 'paid' };
+      if (order.stockReservation && order.stockReservation.status === 'held') {
+        fields['stockReservation.status'] = 'committed';
+      }
+      const paid = await Order.findOneAndUpdate(
+        { _id: orderId, paymentStatus: 'pending' },
+        { $set: fields },
+        { new: true }
+      );
+      if (!paid) {
+        return null;
+      }
+
+      // A pre-order keeps waiting for its release; the customer is emailed
+      // their confirmation separately
+      if (paid.status !== 'pending') {
+        return paid;
+      }
+      try {
+        return await this.changeStatus(paid._id, 'confirmed', { reason: 'Payment captured', notify: false });
+      } catch (confirmError) {
+        // The payment is recorded either way; an admin can still confirm the order
+        console.error(`Failed to confirm paid order ${paid.orderNumber}:`, confirmError.message);
+        return paid;
+      }
+    } catch (error) {
+      throw new Error(`Failed to record order payment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Look up an order for its customer, who proves it is theirs with its email
+   * @param {string} orderNumber - Order number
+   * @param {string} email - Email the order was placed with
+   * @returns {Promise<Object>} What the customer may see of the order and its timeline
+   */
+  async trackOrder(orderNumber, email) {
+    try {
+      const order = await Order.findOne({
+        orderNumber,
+        'customerInfo.email': String(email).toLowerCase().trim()
+      }).lean();
+
       if (!order) {
         throw new Error('Order not found');
       }
 
-      // Update status and additional data
-      order.status = status;
-      Object.assign(order, additionalData);
-      
-      await order.save();
-      
-      console.log(`✅ Order ${order.orderNumber} status updated to: ${status}`);
-      
-      return order;
+      return {
+        orderNumber: order.orderNumber,
+        status: order.status,
+        paymentStatus: order.paymentStatus,
+        trackingNumber: order.trackingNumber,
+        createdAt: order.createdAt,
+        total: order.total,
+        items: order.items.map(item => ({
+          _id: item._id,
+          productName: item.productName,
+          productImage: item.productImage,
+          variantSize: item.variantSize,
+          quantity: item.quantity,
+          price: item.price
+        })),
+        // Admins' reasons and names stay internal
+        timeline: (order.timeline || []).map(({ status, at }) => ({ status, at }))
+      };
     } catch (error) {
-      throw new Error(`Failed to update order status: ${error.message}`);
+      throw new Error(`Failed to track order: ${error.message}`);
     }
   }
 
@@ -597,7 +1420,7 @@ class OrderService {
       }
 
       // Double check - ensure order is not paid
-      if (order.paymentStatus === 'completed' || order.paymentStatus === 'paid') {
+      if (['completed', 'paid', 'partially_paid'].includes(order.paymentStatus)) {
         throw new Error('Cannot delete paid orders');
       }
 
@@ -6,6 +6,15 @@ const crypto = require('crypto');
 const paymobGateway = require('./gateways/paymobGateway');
 const fawryGateway = require('./gateways/fawryGateway');
 const paypalGateway = require('./gateways/paypalGateway');
+const currencyService = require('./currencyService');
+
+// Orders paid in cash or by bank transfer are paid back by hand
+const MANUAL_REFUND_METHODS = ['cash_on_delivery', 'bank_transfer'];
+
+// Why a gateway refund was left pending; it is not sent again until its
+// reference is recorded
+const GATEWAY_PENDING_NOTE = 'The gateway has accepted the refund but not paid it yet';
+const GATEWAY_UNKNOWN_NOTE = 'The gateway did not answer; check whether the refund was made before recording its reference';
 
 class PaymentService {
   constructor() {
@@ -727,15 +736,28 @@ class PaymentService {
     }
   }
 
-  // Process refund
-  async processRefund(paymentId, amount, reason, adminId) {
+  /**
+   * Refund part or all of a payment through the gateway that took it. Cash on
+   * delivery and bank transfers are paid back by hand, so their refund is
+   * recorded as pending until then, as is a refund the gateway has yet to
+   * complete or did not answer.
+   * @param {string} paymentId - Payment ID
+   * @param {number} amount - Amount in the payment's currency
+   * @param {string} reason - Why, shown to the payer where the gateway allows
+   * @param {string} [adminId] - Admin refunding it
+   * @param {Object} [options] - refundId: number of the order refund it pays
+   * @returns {Promise<Object>} success, payment, refund, manual when it is
+   *   to be paid by hand, pending when it is not yet paid and note saying why;
+   *   or success false and error
+   */
+  async processRefund(paymentId, amount, reason, adminId, { refundId } = {}) {
     try {
       const payment = await Payment.findOne({ paymentId });
       if (!payment) {
         throw new Error('Payment not found');
       }
 
-      if (payment.status !== 'completed') {
+      if (!['completed', 'partially_refunded'].includes(payment.status)) {
         throw new Error('Can only refund completed payments');
       }
 
@@ -744,21 +766,36 @@ class PaymentService {
         throw new Error(`Refund amount (${amount}) exceeds refundable amount (${refundableAmount})`);
       }
 
-      // Process refund through gateway (simulate)
-      const gatewayRefundId = `REF_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      
-      await payment.processRefund(amount, reason, gatewayRefundId);
+      const manual = MANUAL_REFUND_METHODS.includes(payment.paymentMethod);
+      let gatewayRefundId = null;
+      let pending = manual;
+      let note;
+      if (!manual) {
+        const result = await this.refundThroughGateway(payment, amount, reason, { requestId: refundId });
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+        gatewayRefundId = result.gatewayRefundId;
+        pending = result.pending;
+        note = result.note;
+      }
+
+      await payment.processRefund(amount, String(reason).slice(0, 200), gatewayRefundId, refundId);
 
-      // Update the latest refund status to completed (in real implementation, this would be done by webhook)
       const latestRefund = payment.refunds[payment.refunds.length - 1];
-      latestRefund.status = 'completed';
-      latestRefund.processedAt = new Date();
-      await payment.save();
+      if (!pending) {
+        latestRefund.status = 'completed';
+        latestRefund.processedAt = new Date();
+        await payment.save();
+      }
 
       return {
         success: true,
         payment,
-        refund: latestRefund
+        refund: latestRefund,
+        manual,
+        pending,
+        note
       };
 
     } catch (error) {
@@ -770,6 +807,133 @@ class PaymentService {
     }
   }
 
+  /**
+   * Send a refund to the gateway a payment was taken through
+   * @param {Object} payment - Payment
+   * @param {number} amount - Amount in the payment's currency
+   * @param {string} reason - Why
+   * @param {Object} [options] - requestId: number of the refund, sent so the
+   *   gateway can tell a resent refund from a new one
+   * @returns {Promise<Object>} success, gatewayRefundId, and pending with a
+   *   note when the gateway has not paid it yet; or error
+   */
+  async refundThroughGateway(payment, amount, reason, { requestId } = {}) {
+    const provider = payment.gateway && payment.gateway.provider;
+    const transactionId = (payment.gateway && payment.gateway.transactionId) ||
+      (payment.paymentDetails && payment.paymentDetails.gatewayTransactionId);
+
+    if (!['paymob', 'fawry', 'paypal'].includes(provider)) {
+      // Payments taken by the simulated fallback are refunded the same way
+      return {
+        success: true,
+        gatewayRefundId: `REF_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+      };
+    }
+    if (!transactionId) {
+      return { success: false, error: 'The payment has no gateway transaction to refund' };
+    }
+
+    let result;
+    if (provider === 'paymob') {
+      result = await paymobGateway.refundTransaction(transactionId, amount, reason);
+    } else if (provider === 'fawry') {
+      result = await fawryGateway.refundVodafoneCash(transactionId, amount, reason, requestId);
+    } else {
+      result = await paypalGateway.refundPayment(transactionId, amount, payment.currency, reason, requestId);
+    }
+
+    if (result.success) {
+      return {
+        success: true,
+        gatewayRefundId: result.refundId,
+        pending: Boolean(result.pending),
+        note: result.pending ? GATEWAY_PENDING_NOTE : undefined
+      };
+    }
+    if (result.unknown) {
+      // The refund may have gone through, so it must not be sent again blindly
+      return { success: true, gatewayRefundId: null, pending: true, note: GATEWAY_UNKNOWN_NOTE };
+    }
+    return { success: false, error: result.errorMessage || result.error || 'Refund failed' };
+  }
+
+  /**
+   * Pay part of an order back through the gateway it was paid with. PayPal
+   * checkouts are refunded the same share of what was captured, in the
+   * captured currency; Paymob and Fawry payments through their payment record,
+   * scaled to its amount in the same way.
+   * @param {Object} order - Paid order
+   * @param {number} amount - Amount in the store currency
+   * @param {string} reason - Shown to the payer where the gateway allows
+   * @param {Object} [options] - refundId: number of the order refund
+   * @returns {Promise<Object>} method (paypal, paymob, fawry, card or manual),
+   *   status (completed, pending for a manual refund or one the gateway has
+   *   not paid yet, or failed), gatewayRefundId, error
+   */
+  async refundOrderPayment(order, amount, reason, { refundId } = {}) {
+    if (MANUAL_REFUND_METHODS.includes(order.paymentMethod)) {
+      return { method: 'manual', status: 'pending' };
+    }
+
+    const paidOnline = order.total - (order.giftCardTotal || 0);
+
+    if (order.paymentMethod === 'paypal' && (order.paypalCaptureId || (order.paymentDetails || {}).paypalCaptureId)) {
+      const details = order.paymentDetails || {};
+      const captureId = order.paypalCaptureId || details.paypalCaptureId;
+
+      let value;
+      let currency;
+      const captured = details.amount;
+      if (captured && captured.value && paidOnline > 0) {
+        value = Math.round(parseFloat(captured.value) * amount / paidOnline * 100) / 100;
+        currency = captured.currency_code;
+      } else {
+        const conversion = await currencyService.convertForPayPal(amount, 'SAR');
+        value = conversion.amount;
+        currency = conversion.currency;
+      }
+
+      const result = await paypalGateway.refundPayment(captureId, value, currency, reason, refundId);
+      if (result.success) {
+        return result.pending
+          ? { method: 'paypal', status: 'pending', gatewayRefundId: result.refundId, error: GATEWAY_PENDING_NOTE }
+          : { method: 'paypal', status: 'completed', gatewayRefundId: result.refundId };
+      }
+      return { method: 'paypal', status: 'failed', error: result.errorMessage || result.error };
+    }
+
+    const payment = await Payment.findOne({
+      order: order._id,
+      status: { $in: ['completed', 'partially_refunded'] }
+    });
+    if (!payment) {
+      return {
+        method: order.paymentMethod === 'paypal' ? 'paypal' : 'card',
+        status: 'failed',
+        error: 'No completed payment was found for the order'
+      };
+    }
+
+    const provider = payment.gateway && payment.gateway.provider;
+    const method = MANUAL_REFUND_METHODS.includes(payment.paymentMethod)
+      ? 'manual'
+      : (['paymob', 'fawry', 'paypal'].includes(provider) ? provider : 'card');
+    const value = paidOnline > 0 && payment.amount !== paidOnline
+      ? Math.round(payment.amount * amount / paidOnline * 100) / 100
+      : amount;
+
+    const result = await this.processRefund(payment.paymentId, value, reason, undefined, { refundId });
+    if (!result.success) {
+      return { method, status: 'failed', error: result.error };
+    }
+    return {
+      method,
+      status: result.pending ? 'pending' : 'completed',
+      gatewayRefundId: result.refund.gatewayRefundId,
+      error: result.note
+    };
+  }
+
   // Verify bank transfer manually
   async verifyBankTransfer(paymentId, verified, adminNotes = '') {
     try {
@@ -0,0 +1,224 @@
+const PriceRule = require('../models/PriceRule');
+const PriceHistory = require('../models/PriceHistory');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+
+// A rule can still change what customers pay until it ends
+const isLive = (rule, at = new Date()) => rule.active && rule.endsAt > at;
+
+const targetKey = rule => (rule.scope === 'product' ? `product:${rule.product}` : `category:${rule.category}`);
+
+class PriceRuleService {
+  /**
+   * Get price rules for the admin, newest first
+   * @param {Object} options - status (running, scheduled, ended, paused), product, category, page, limit
+   * @returns {Promise<Object>} Rules with pagination info
+   */
+  async getRules(options = {}) {
+    try {
+      const { status, product, category, page = 1, limit = 20 } = options;
+
+      const query = PriceRule.statusQuery(status);
+      if (product) {
+        query.product = product;
+      }
+      if (category) {
+        query.category = category;
+      }
+
+      const skip = (page - 1) * limit;
+      const [rules, total] = await Promise.all([
+        PriceRule.find(query)
+          .populate('product', 'name price')
+          .populate('category', 'name slug')
+          .sort({ startsAt: -1 })
+          .skip(skip)
+          .limit(Number(limit))
+          .lean(),
+        PriceRule.countDocuments(query)
+      ]);
+
+      return {
+        rules,
+        pagination: {
+          page: Number(page),
+          limit: Number(limit),
+          total,
+          pages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to get price rules: ${error.message}`);
+    }
+  }
+
+  /**
+   * Schedule a sale on a product or a category
+   * @param {Object} ruleData - Rule data
+   * @param {string} userId - Admin creating the rule
+   * @returns {Promise<Object>} Created rule
+   */
+  async createRule(ruleData, userId) {
+    try {
+      await this.assertProductExists(ruleData);
+
+      const rule = new PriceRule({ ...ruleData, createdBy: userId });
+      await rule.save();
+
+      if (isLive(rule)) {
+        await this.recordHistory(rule, 'sale_scheduled', userId);
+      }
+
+      return rule;
+    } catch (error) {
+      throw new Error(`Failed to create price rule: ${error.message}`);
+    }
+  }
+
+  /**
+   * Change a sale's discount, window, target or pause it
+   * @param {string} id - Rule ID
+   * @param {Object} updateData - Fields to change
+   * @param {string} userId - Admin making the change
+   * @returns {Promise<Object>} Updated rule
+   */
+  async updateRule(id, updateData, userId) {
+    try {
+      const rule = await PriceRule.findById(id);
+      if (!rule) {
+        throw new Error('Price rule not found');
+      }
+
+      const before = rule.toObject();
+
+      rule.set(updateData);
+      // Switching scope drops the other scope's target
+      if (rule.scope === 'product') {
+        rule.category = undefined;
+      } else {
+        rule.product = undefined;
+      }
+      await this.assertProductExists(rule);
+      await rule.save();
+
+      await this.recordUpdateHistory(before, rule, userId);
+
+      return rule;
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('Invalid price rule ID');
+      }
+      throw new Error(`Failed to update price rule: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a price rule; a sale that hasn't ended is recorded as cancelled
+   * @param {string} id - Rule ID
+   * @param {string} userId - Admin deleting the rule
+   * @returns {Promise<Object>} Deleted rule
+   */
+  async deleteRule(id, userId) {
+    try {
+      const rule = await PriceRule.findByIdAndDelete(id);
+      if (!rule) {
+        throw new Error('Price rule not found');
+      }
+
+      if (isLive(rule)) {
+        await this.recordHistory(rule, 'sale_cancelled', userId);
+      }
+
+      return rule;
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('Invalid price rule ID');
+      }
+      throw new Error(`Failed to delete price rule: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check that the product a product-scoped rule targets exists
+   * @param {Object} rule - Rule or rule data
+   */
+  async assertProductExists(rule) {
+    if (rule.scope === 'product' && rule.product && !(await Product.exists({ _id: rule.product }))) {
+      throw new Error('Product not found');
+    }
+  }
+
+  /**
+   * Record in the price history how an edit changed a sale for each product it covers
+   * @param {Object} before - Rule before the edit (plain object)
+   * @param {Object} rule - Rule after the edit
+   * @param {string} userId - Admin making the change
+   */
+  async recordUpdateHistory(before, rule, userId) {
+    const wasLive = isLive(before);
+    const nowLive = isLive(rule);
+
+    if (wasLive && targetKey(before) !== targetKey(rule)) {
+      // The sale no longer applies to its former target
+      await this.recordHistory(before, 'sale_cancelled', userId);
+      if (nowLive) {
+        await this.recordHistory(rule, 'sale_scheduled', userId);
+      }
+    } else if (wasLive && nowLive) {
+      await this.recordHistory(rule, 'sale_updated', userId);
+    } else if (wasLive) {
+      await this.recordHistory(before, 'sale_cancelled', userId);
+    } else if (nowLive) {
+      await this.recordHistory(rule, 'sale_scheduled', userId);
+    }
+  }
+
+  /**
+   * Write one price history entry per product (or size) a rule covers
+   * @param {Object} rule - Price rule
+   * @param {string} action - sale_scheduled, sale_updated or sale_cancelled
+   * @param {string} userId - Admin making the change
+   * @returns {Promise<number>} Number of entries written
+   */
+  async recordHistory(rule, action, userId) {
+    const filter = rule.scope === 'product'
+      ? { _id: rule.product }
+      : { categories: { $in: await Category.getSubtreeIds(rule.category) } };
+    const products = await Product.find(filter).select('price variants').lean();
+
+    const entries = products.flatMap(product => {
+      const prices = product.variants && product.variants.length > 0
+        ? product.variants.map(variant => ({ variant: variant._id, size: variant.size, price: variant.price }))
+        : [{ price: product.price }];
+
+      return prices.map(({ variant, size, price }) => {
+        const salePrice = PriceRule.applyDiscount(rule, price);
+        const cancelled = action === 'sale_cancelled';
+
+        return {
+          product: product._id,
+          variant,
+          size,
+          source: 'price_rule',
+          action,
+          previousPrice: cancelled ? salePrice : price,
+          price: cancelled ? price : salePrice,
+          rule: rule._id,
+          startsAt: rule.startsAt,
+          endsAt: rule.endsAt,
+          changedBy: userId
+        };
+      });
+    });
+
+    if (entries.length > 0) {
+      await PriceHistory.insertMany(entries);
+    }
+
+    return entries.length;
+  }
+}
+
+module.exports = new PriceRuleService();
@@ -0,0 +1,129 @@
+const PriceRule = require('../models/PriceRule');
+const Category = require('../models/Category');
+
+const SALE_FIELDS = ['_id', 'name', 'discountType', 'value', 'endsAt'];
+
+const toPlainObject = product => (typeof product.toObject === 'function' ? product.toObject() : product);
+
+// Category IDs of a product whose categories may or may not be populated
+const categoryIdsOf = product => (product.categories || [])
+  .map(category => String(category && category._id ? category._id : category));
+
+class PricingService {
+  /**
+   * Get the price rules running at a moment for some products. A sale on a
+   * category also covers its subcategories, so each category rule lists the
+   * categories of these products it applies to in `categoryIds`.
+   * @param {Array<Object>} products - Products (documents or lean objects)
+   * @param {Date} at - Moment to price at
+   * @returns {Promise<Array<Object>>} Running rules (lean)
+   */
+  async getActiveRules(products, at = new Date()) {
+    if (products.length === 0) {
+      return [];
+    }
+
+    const categoryIds = [...new Set(products.flatMap(categoryIdsOf))];
+    const categories = categoryIds.length > 0
+      ? await Category.find({ _id: { $in: categoryIds } }).select('ancestors').lean()
+      : [];
+    // Each category with the categories above it
+    const lineages = new Map(categories.map(category => [
+      String(category._id),
+      [String(category._id), ...(category.ancestors || []).map(String)]
+    ]));
+
+    const rules = await PriceRule.findActive({
+      productIds: products.map(product => product._id),
+      categories: [...new Set([...lineages.values()].flat())]
+    }, at).lean();
+
+    return rules.map(rule => (rule.scope === 'category'
+      ? {
+        ...rule,
+        categoryIds: [...lineages]
+          .filter(([, lineage]) => lineage.includes(String(rule.category)))
+          .map(([categoryId]) => categoryId)
+      }
+      : rule));
+  }
+
+  /**
+   * Resolve the price a product (or one of its sizes) sells for under the running rules.
+   * When several rules apply, the customer gets the lowest price.
+   * @param {Object} product - Product (document or lean object)
+   * @param {string|null} variantId - Variant ID, for products sold in sizes
+   * @param {Array<Object>} rules - Rules from getActiveRules
+   * @returns {Object} { price, regularPrice, rule }
+   */
+  resolvePrice(product, variantId, rules) {
+    const variant = variantId && product.variants
+      ? product.variants.find(v => String(v._id) === String(variantId))
+      : null;
+    const regularPrice = variant ? variant.price : product.price;
+
+    let best = { price: regularPrice, regularPrice, rule: null };
+    for (const rule of rules) {
+      const applies = rule.scope === 'product'
+        ? String(rule.product) === String(product._id)
+        : categoryIdsOf(product).some(id => (rule.categoryIds || [String(rule.category)]).includes(id));
+      if (!applies) {
+        continue;
+      }
+
+      const price = PriceRule.applyDiscount(rule, regularPrice);
+      // On a tie, a rule set on the product itself is the more specific one
+      if (price < best.price || (price === best.price && best.rule && rule.scope === 'product')) {
+        best = { price, regularPrice, rule };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Add the effective (sale) price to products and their variants for display
+   * @param {Array<Object>} products - Products (documents or lean objects)
+   * @param {Date} at - Moment to price at
+   * @returns {Promise<Array<Object>>} Plain products with `effectivePrice`, `sale`
+   *   and `variants[].effectivePrice`; `price` stays the regular price
+   */
+  async applyEffectivePrices(products, at = new Date()) {
+    const plain = products.map(toPlainObject);
+    const rules = await this.getActiveRules(plain, at);
+
+    return plain.map(product => {
+      const { price, rule } = this.resolvePrice(product, null, rules);
+
+      const priced = {
+        ...product,
+        effectivePrice: price,
+        sale: rule ? Object.fromEntries(SALE_FIELDS.map(field => [field, rule[field]])) : null
+      };
+
+      if (product.variants && product.variants.length > 0) {
+        priced.variants = product.variants.map(variant => ({
+          ...variant,
+          effectivePrice: this.resolvePrice(product, variant._id, rules).price
+        }));
+        // The listing price is the cheapest size, as for the regular price
+        priced.effectivePrice = Math.min(...priced.variants.map(variant => variant.effectivePrice));
+      }
+
+      return priced;
+    });
+  }
+
+  /**
+   * Add the effective price to a single product
+   * @param {Object} product - Product (document or lean object)
+   * @param {Date} at - Moment to price at
+   * @returns {Promise<Object>} Plain product with effective prices
+   */
+  async applyEffectivePrice(product, at = new Date()) {
+    const [priced] = await this.applyEffectivePrices([product], at);
+    return priced;
+  }
+}
+
+module.exports = new PricingService();
@@ -1,17 +1,54 @@
 const Product = require('../models/Product');
+const Category = require('../models/Category');
+const PriceHistory = require('../models/PriceHistory');
+const StockMovement = require('../models/StockMovement');
+const SampleRequest = require('../models/SampleRequest');
+const searchService = require('./searchService');
+const facetService = require('./facetService');
+const pricingService = require('./pricingService');
+const alertingService = require('./alertingService');
+const stockAlertService = require('./stockAlertService');
+
+// Fields that feed the product search keywords
+const SEARCHABLE_FIELDS = ['name', 'description', 'longDescription', 'concentration', 'notes', 'categories'];
+
+// Category fields shown with a product
+const CATEGORY_FIELDS = 'name slug parentCategory';
+
+// Category filters take an ID or a slug
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+// Fields read to build a product comparison
+const COMPARISON_FIELDS = 'name images price size variants concentration concentrationCode notes ' +
+  'averageRating reviewCount inStock stock lowStockThreshold preOrder categories type';
+
+const ML_PER_OZ = 29.5735;
+
+// Volume of a size like "100ml" or "3.4oz"; null for sizes sold by weight
+const sizeInMl = (size) => {
+  const match = /^(\d+(?:\.\d+)?)(ml|oz)$/i.exec(size || '');
+  if (!match) {
+    return null;
+  }
+  return match[2].toLowerCase() === 'oz' ? Number(match[1]) * ML_PER_OZ : Number(match[1]);
+};
+
+const pricePerMl = (price, ml) => (ml ? Math.round((price / ml) * 100) / 100 : null);
 
 class ProductService {
   /**
    * Create a new product
    * @param {Object} productData - Product data
+   * @param {string} changedBy - ID of the admin creating the product, for the price history
    * @returns {Promise<Object>} Created product
    */
-  async createProduct(productData) {
+  async createProduct(productData, changedBy) {
     try {
       // Validate required fields
       this.validateProductData(productData);
       
       const product = new Product(productData);
+      product.$locals.changedBy = changedBy;
       return await product.save();
     } catch (error) {
       throw new Error(`Failed to create product: ${error.message}`);
@@ -20,8 +57,10 @@ class ProductService {
 
   /**
    * Get all products with optional filters and pagination
-   * @param {Object} options - Query options
-   * @returns {Promise<Object>} Products with pagination info
+   * @param {Object} options - Query options, including multi-value facet
+   *   filters (topNotes, middleNotes, baseNotes, concentration, size,
+   *   priceBand, availability)
+   * @returns {Promise<Object>} Products with pagination info and facet counts
    */
   async getProducts(options = {}) {
     try {
@@ -33,9 +72,9 @@ class ProductService {
         maxPrice,
         inStock,
         featured,
+        type,
         search,
-        language = 'en',
-        sortBy = 'createdAt',
+        sortBy,
         sortOrder = 'desc'
       } = options;
 
@@ -43,7 +82,7 @@ class ProductService {
       const query = {};
       
       if (category) {
-        query.category = category.toLowerCase();
+        query.categories = { $in: await this.getCategorySubtree(category) };
       }
       
       if (minPrice !== undefined || maxPrice !== undefined) {
@@ -64,22 +103,34 @@ class ProductService {
         query.featured = featured === 'true' || featured === true;
       }
 
-      // Handle search
+      if (type) {
+        query.type = type;
+      }
+
+      const facetClauses = facetService.buildClauses(facetService.parseFilters(options));
+      const filteredQuery = facetService.applyClauses(query, facetClauses);
+
+      // Searches are ranked by relevance unless an explicit sort is requested
       if (search) {
-        const searchRegex = new RegExp(search, 'i');
-        if (language === 'ar') {
-          query.$or = [
-            { 'name.ar': searchRegex },
-            { 'description.ar': searchRegex },
-            { 'longDescription.ar': searchRegex }
-          ];
-        } else {
-          query.$or = [
-            { 'name.en': searchRegex },
-            { 'description.en': searchRegex },
-            { 'longDescription.en': searchRegex }
-          ];
-        }
+        const searchFilter = Product.buildSearchFilter(search);
+        const [result, facets] = await Promise.all([
+          searchService.searchProducts(search, {
+            filter: filteredQuery,
+            page: Number(page),
+            limit: Number(limit),
+            sortBy: sortBy || 'relevance',
+            sortOrder
+          }),
+          searchFilter
+            ? facetService.getFacetCounts({ ...query, ...searchFilter }, facetClauses)
+            : facetService.formatFacets({})
+        ]);
+
+        return {
+          ...result,
+          products: await pricingService.applyEffectivePrices(result.products),
+          facets
+        };
       }
 
       // Calculate pagination
@@ -87,20 +138,27 @@ class ProductService {
       
       // Build sort object
       const sort = {};
-      sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
+      sort[!sortBy || sortBy === 'relevance' ? 'createdAt' : sortBy] = sortOrder === 'asc' ? 1 : -1;
+      if (sortBy === 'averageRating') {
+        // Among equal ratings, the better-reviewed product ranks first
+        sort.reviewCount = -1;
+      }
 
       // Execute query
-      const [products, total] = await Promise.all([
-        Product.find(query)
+      const [products, total, facets] = await Promise.all([
+        Product.find(filteredQuery)
+          .populate('categories', CATEGORY_FIELDS)
           .sort(sort)
           .skip(skip)
           .limit(Number(limit))
           .lean(),
-        Product.countDocuments(query)
+        Product.countDocuments(filteredQuery),
+        facetService.getFacetCounts(query, facetClauses)
       ]);
 
       return {
-        products,
+        products: await pricingService.applyEffectivePrices(products),
+        facets,
         pagination: {
           page: Number(page),
           limit: Number(limit),
@@ -126,7 +184,15 @@ class ProductService {
       if (!product) {
         throw new Error('Product not found');
       }
-      return product;
+
+      await product.populate('categories', CATEGORY_FIELDS);
+
+      // Show what's inside a gift set on its product page
+      if (product.type === 'bundle') {
+        await product.populate('components.product', 'name images price size variants inStock stock');
+      }
+
+      return await pricingService.applyEffectivePrice(product);
     } catch (error) {
       if (error.name === 'CastError') {
         throw new Error('Invalid product ID');
@@ -139,18 +205,49 @@ class ProductService {
    * Update product by ID
    * @param {string} id - Product ID
    * @param {Object} updateData - Update data
+   * @param {string} changedBy - ID of the admin making the change, for the price history
    * @returns {Promise<Object>} Updated product
    */
-  async updateProduct(id, updateData) {
+  async updateProduct(id, updateData, changedBy) {
     try {
       // Remove fields that shouldn't be updated directly
-      const { _id, createdAt, ...validUpdateData } = updateData;
+      const { _id, createdAt, preOrder, ...validUpdateData } = updateData;
+
+      // Pre-order settings are merged so the units already reserved are kept
+      if (preOrder) {
+        for (const [key, value] of Object.entries(preOrder)) {
+          validUpdateData[`preOrder.${key}`] = value;
+        }
+      }
       
       // Validate update data if it contains core product info
-      if (validUpdateData.name || validUpdateData.description || validUpdateData.price) {
+      if (validUpdateData.name || validUpdateData.description || validUpdateData.price || validUpdateData.variants) {
         this.validateProductData(validUpdateData, false);
       }
 
+      // Price, variant, bundle, stock, pre-order and catalogue text changes must
+      // go through save() so derived price, size, stock and search keywords are
+      // rebuilt and checked, bundles containing the product are refreshed and
+      // price edits are recorded
+      if (validUpdateData.price !== undefined ||
+          validUpdateData.variants !== undefined ||
+          validUpdateData.components !== undefined ||
+          validUpdateData.type !== undefined ||
+          validUpdateData.stock !== undefined ||
+          preOrder !== undefined ||
+          SEARCHABLE_FIELDS.some(field => validUpdateData[field] !== undefined)) {
+        const product = await Product.findById(id);
+        if (!product) {
+          throw new Error('Product not found');
+        }
+
+        product.set(validUpdateData);
+        product.$locals.changedBy = changedBy;
+        const saved = await product.save();
+        this.checkStockAlerts([saved._id]);
+        return saved;
+      }
+
       const product = await Product.findByIdAndUpdate(
         id,
         { ...validUpdateData, updatedAt: new Date() },
@@ -161,6 +258,11 @@ class ProductService {
         throw new Error('Product not found');
       }
 
+      // A new threshold may already be crossed
+      if (validUpdateData.lowStockThreshold !== undefined) {
+        this.checkStockAlerts([product._id]);
+      }
+
       return product;
     } catch (error) {
       if (error.name === 'CastError') {
@@ -177,6 +279,11 @@ class ProductService {
    */
   async deleteProduct(id) {
     try {
+      const bundle = await Product.findOne({ type: 'bundle', 'components.product': id }).select('name');
+      if (bundle) {
+        throw new Error(`Product is part of the bundle "${bundle.name.en}" and cannot be deleted`);
+      }
+
       const product = await Product.findByIdAndDelete(id);
       if (!product) {
         throw new Error('Product not found');
@@ -194,6 +301,20 @@ class ProductService {
     }
   }
 
+  /**
+   * Get search suggestions for a partial query
+   * @param {string} query - Partial search query
+   * @param {number} limit - Maximum number of product suggestions
+   * @returns {Promise<Object>} Suggested products and fragrance notes
+   */
+  async autocomplete(query, limit = 6) {
+    const suggestions = await searchService.autocomplete(query, { limit });
+    return {
+      ...suggestions,
+      products: await pricingService.applyEffectivePrices(suggestions.products)
+    };
+  }
+
   /**
    * Get featured products
    * @param {number} limit - Number of products to return
@@ -201,35 +322,153 @@ class ProductService {
    */
   async getFeaturedProducts(limit = 10) {
     try {
-      return await Product.findFeatured(limit);
+      const products = await Product.findFeatured(limit).populate('categories', CATEGORY_FIELDS);
+      return await pricingService.applyEffectivePrices(products);
     } catch (error) {
       throw new Error(`Failed to get featured products: ${error.message}`);
     }
   }
 
   /**
-   * Get all categories
-   * @returns {Promise<Array>} Categories
+   * Get products side by side, normalized so each row of a comparison table
+   * reads the same way for every product
+   * @param {Array<string>} ids - Product IDs, in the order to compare them
+   * @returns {Promise<Array>} Comparison entries in the requested order; IDs of
+   *   products that no longer exist are left out
+   */
+  async compareProducts(ids) {
+    try {
+      const uniqueIds = [...new Set(ids.map(String))];
+      const products = await Product.find({ _id: { $in: uniqueIds } })
+        .select(COMPARISON_FIELDS)
+        .populate('categories', CATEGORY_FIELDS)
+        .lean();
+      const priced = await pricingService.applyEffectivePrices(products);
+      const byId = new Map(priced.map(product => [String(product._id), product]));
+      const concentrations = new Map(Product.getConcentrations().map(({ value, label }) => [value, label]));
+
+      return uniqueIds
+        .filter(id => byId.has(id))
+        .map(id => this.toComparison(byId.get(id), concentrations));
+    } catch (error) {
+      throw new Error(`Failed to compare products: ${error.message}`);
+    }
+  }
+
+  /**
+   * Normalize a priced product for the comparison table
+   * @param {Object} product - Lean product with effective prices
+   * @param {Map} concentrations - Concentration labels keyed by code
+   * @returns {Object} Comparison entry
+   */
+  toComparison(product, concentrations) {
+    const sizes = product.variants && product.variants.length > 0
+      ? product.variants.map(variant => ({
+        variant: variant._id,
+        size: variant.size,
+        price: variant.price,
+        effectivePrice: variant.effectivePrice,
+        pricePerMl: pricePerMl(variant.effectivePrice, sizeInMl(variant.size)),
+        inStock: variant.stock > 0
+      }))
+      : [{
+        variant: null,
+        size: product.size,
+        price: product.price,
+        effectivePrice: product.effectivePrice,
+        pricePerMl: pricePerMl(product.effectivePrice, sizeInMl(product.size)),
+        inStock: product.inStock
+      }];
+    const perMl = sizes.map(size => size.pricePerMl).filter(value => value !== null);
+
+    let availability = 'in_stock';
+    if (product.preOrder && product.preOrder.enabled) {
+      availability = 'pre_order';
+    } else if (!product.inStock) {
+      availability = 'out_of_stock';
+    } else if (product.lowStockThreshold !== null && product.lowStockThreshold !== undefined &&
+      product.stock <= product.lowStockThreshold) {
+      availability = 'low_stock';
+    }
+
+    const layer = (notes = {}) => ({ en: notes.en || [], ar: notes.ar || [] });
+    const notes = product.notes || {};
+    const concentration = product.concentration || {};
+
+    return {
+      _id: product._id,
+      name: product.name,
+      image: product.images && product.images.length > 0
+        ? [...product.images].sort((a, b) => (a.order || 0) - (b.order || 0))[0].url
+        : null,
+      categories: product.categories,
+      type: product.type,
+      price: product.price,
+      effectivePrice: product.effectivePrice,
+      sale: product.sale,
+      sizes,
+      // Cheapest per-ml price across sizes; null when no size is sold by volume
+      pricePerMl: perMl.length > 0 ? Math.min(...perMl) : null,
+      concentration: {
+        code: product.concentrationCode || null,
+        // Products whose concentration has no code keep their own wording
+        label: concentrations.get(product.concentrationCode) ||
+          { en: concentration.en || '', ar: concentration.ar || '' }
+      },
+      notes: {
+        top: layer(notes.top),
+        middle: layer(notes.middle),
+        base: layer(notes.base)
+      },
+      rating: {
+        average: product.averageRating || 0,
+        count: product.reviewCount || 0
+      },
+      availability: {
+        status: availability,
+        releaseDate: availability === 'pre_order' ? product.preOrder.releaseDate || null : null
+      }
+    };
+  }
+
+  /**
+   * Get the active categories products can be listed under
+   * @returns {Promise<Array>} Categories, parents before their subcategories
    */
   async getCategories() {
     try {
-      return await Product.getCategories();
+      const categories = await Category.getActive().lean();
+      return categories.sort((a, b) => (a.ancestors || []).length - (b.ancestors || []).length);
     } catch (error) {
       throw new Error(`Failed to get categories: ${error.message}`);
     }
   }
 
   /**
-   * Get category statistics
+   * Resolve a category filter (ID or slug) to the IDs of the category and
+   * its subcategories; an unknown category matches no products
+   * @param {string} category - Category ID or slug
+   * @returns {Promise<Array>} Category IDs
+   */
+  async getCategorySubtree(category) {
+    const found = await Category.findOne(
+      OBJECT_ID.test(category) ? { _id: category } : { slug: category }
+    ).select('_id').lean();
+
+    return found ? Category.getSubtreeIds(found._id) : [];
+  }
+
+  /**
+   * Get category statistics, counting each category's subcategories with it
    * @returns {Promise<Array>} Category statistics
    */
   async getCategoryStats() {
     try {
-      const categories = await Product.getCategories();
+      const categories = await Category.find().sort({ sortOrder: 1, 'name.en': 1 }).lean();
       const categoryStats = [];
 
       for (const category of categories) {
-        const products = await Product.find({ category: category.value });
+        const products = await Product.find({ categories: { $in: await Category.getSubtreeIds(category._id) } });
         const inStockProducts = products.filter(p => p.inStock);
         const outOfStockProducts = products.filter(p => !p.inStock);
         const totalValue = products.reduce((sum, p) => sum + (p.price * p.stock), 0);
@@ -237,8 +476,10 @@ class ProductService {
           products.reduce((sum, p) => sum + p.price, 0) / products.length : 0;
 
         categoryStats.push({
-          category: category.value,
-          label: category.label,
+          category: category._id,
+          slug: category.slug,
+          parentCategory: category.parentCategory,
+          label: category.name,
           totalProducts: products.length,
           inStockProducts: inStockProducts.length,
           outOfStockProducts: outOfStockProducts.length,
@@ -258,16 +499,21 @@ class ProductService {
    * Update product stock
    * @param {string} id - Product ID
    * @param {number} quantity - Quantity to add/subtract
+   * @param {string} [variantId] - Variant ID when the product is sold in variants
+   * @param {Object} [movement] - Why the stock moved: type, reason, performedBy, order, sampleRequest
    * @returns {Promise<Object>} Updated product
    */
-  async updateStock(id, quantity) {
+  async updateStock(id, quantity, variantId = null, movement = {}) {
     try {
       const product = await Product.findById(id);
       if (!product) {
         throw new Error('Product not found');
       }
 
-      return await product.updateStock(quantity);
+      product.$locals.stockMovement = movement;
+      const updated = await product.updateStock(quantity, variantId);
+      this.checkStockAlerts([updated._id]);
+      return updated;
     } catch (error) {
       if (error.name === 'CastError') {
         throw new Error('Invalid product ID');
@@ -281,18 +527,22 @@ class ProductService {
    * @param {string} id - Product ID
    * @param {number} stock - New stock value
    * @param {boolean} inStock - Stock availability
+   * @param {Object} [movement] - Ledger details: performedBy and reason
    * @returns {Promise<Object>} Updated product
    */
-  async updateProductStock(id, stock, inStock) {
+  async updateProductStock(id, stock, inStock, movement = {}) {
     try {
       const product = await Product.findById(id);
       if (!product) {
         throw new Error('Product not found');
       }
 
+      product.$locals.stockMovement = { type: 'manual_adjustment', ...movement };
       product.stock = stock;
       product.inStock = inStock !== undefined ? inStock : stock > 0;
-      return await product.save();
+      const saved = await product.save();
+      this.checkStockAlerts([saved._id]);
+      return saved;
     } catch (error) {
       if (error.name === 'CastError') {
         throw new Error('Invalid product ID');
@@ -301,20 +551,58 @@ class ProductService {
     }
   }
 
+  /**
+   * Update the stock of a single product variant directly
+   * @param {string} id - Product ID
+   * @param {string} variantId - Variant ID
+   * @param {number} stock - New stock value
+   * @param {Object} [movement] - Ledger details: performedBy and reason
+   * @returns {Promise<Object>} Updated product
+   */
+  async updateVariantStock(id, variantId, stock, movement = {}) {
+    try {
+      const product = await Product.findById(id);
+      if (!product) {
+        throw new Error('Product not found');
+      }
+
+      const variant = product.getVariant(variantId);
+      if (!variant) {
+        throw new Error('Variant not found');
+      }
+
+      product.$locals.stockMovement = { type: 'manual_adjustment', ...movement };
+      variant.stock = stock;
+      const saved = await product.save();
+      this.checkStockAlerts([saved._id]);
+      return saved;
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('Invalid product ID');
+      }
+      throw new Error(`Failed to update variant stock: ${error.message}`);
+    }
+  }
+
   /**
    * Check product availability
    * @param {string} id - Product ID
    * @param {number} quantity - Quantity to check
+   * @param {string} [variantId] - Variant ID when the product is sold in variants
    * @returns {Promise<boolean>} Availability status
    */
-  async checkAvailability(id, quantity = 1) {
+  async checkAvailability(id, quantity = 1, variantId = null) {
     try {
       const product = await Product.findById(id);
       if (!product) {
         throw new Error('Product not found');
       }
 
-      return product.isAvailable(quantity);
+      if (variantId && !product.getVariant(variantId)) {
+        throw new Error('Variant not found');
+      }
+
+      return product.isAvailable(quantity, variantId);
     } catch (error) {
       if (error.name === 'CastError') {
         throw new Error('Invalid product ID');
@@ -322,23 +610,278 @@ class ProductService {
       throw new Error(`Failed to check availability: ${error.message}`);
     }
   }
+  /**
+   * Get the price history of a product, newest first
+   * @param {string} id - Product ID
+   * @param {Object} options - page, limit
+   * @returns {Promise<Object>} History entries with pagination info
+   */
+  async getPriceHistory(id, options = {}) {
+    try {
+      const { page = 1, limit = 50 } = options;
+
+      if (!(await Product.exists({ _id: id }))) {
+        throw new Error('Product not found');
+      }
+
+      const skip = (page - 1) * limit;
+      const [history, total] = await Promise.all([
+        PriceHistory.find({ product: id })
+          .populate('rule', 'name discountType value')
+          .populate('changedBy', 'email')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(Number(limit))
+          .lean(),
+        PriceHistory.countDocuments({ product: id })
+      ]);
+
+      return {
+        history,
+        pagination: {
+          page: Number(page),
+          limit: Number(limit),
+          total,
+          pages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('Invalid product ID');
+      }
+      throw new Error(`Failed to get price history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the stock ledger of a product, newest first
+   * @param {string} id - Product ID
+   * @param {Object} options - type, page, limit
+   * @returns {Promise<Object>} Movements with pagination info
+   */
+  async getStockMovements(id, options = {}) {
+    try {
+      const { type, page = 1, limit = 50 } = options;
+
+      if (!(await Product.exists({ _id: id }))) {
+        throw new Error('Product not found');
+      }
+
+      const query = { product: id };
+      if (type) {
+        query.type = type;
+      }
+
+      const skip = (page - 1) * limit;
+      const [movements, total] = await Promise.all([
+        StockMovement.find(query)
+          .populate('order', 'orderNumber')
+          .populate('sampleRequest', 'requestNumber')
+          .populate('performedBy', 'email')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(Number(limit))
+          .lean(),
+        StockMovement.countDocuments(query)
+      ]);
+
+      return {
+        movements,
+        pagination: {
+          page: Number(page),
+          limit: Number(limit),
+          total,
+          pages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('Invalid product ID');
+      }
+      throw new Error(`Failed to get stock movements: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record stock leaving or arriving outside an order: a manual adjustment
+   * (signed quantity), damage or sample usage (quantity taken), or a stock
+   * count (stock counted on the shelf)
+   * @param {string} id - Product ID
+   * @param {Object} data - type, quantity or stock, variantId, reason, sampleRequest
+   * @param {string} userId - Admin recording the movement
+   * @returns {Promise<Object>} Recorded movement
+   */
+  async recordStockMovement(id, data, userId) {
+    try {
+      const { type, quantity, stock, variantId = null, reason, sampleRequest } = data;
+
+      const product = await Product.findById(id).select('type stock variants');
+      if (!product) {
+        throw new Error('Product not found');
+      }
+      if (product.type === 'bundle') {
+        throw new Error('Invalid movement: bundle stock is derived from its components');
+      }
+      if (product.hasVariants() && !variantId) {
+        throw new Error('Variant is required for this product');
+      }
+
+      const variant = variantId ? product.getVariant(variantId) : null;
+      if (variantId && !variant) {
+        throw new Error('Variant not found');
+      }
+
+      if (sampleRequest && !(await SampleRequest.exists({ _id: sampleRequest }))) {
+        throw new Error('Sample request not found');
+      }
+
+      const currentStock = variant ? variant.stock : product.stock;
+      const change = type === 'stock_count' ? stock - currentStock
+        : type === 'manual_adjustment' ? quantity
+          : -quantity;
+
+      const movement = { type, reason, sampleRequest, performedBy: userId };
+
+      // A count that matches the shelf is still worth keeping as proof it was done
+      if (change === 0) {
+        return await StockMovement.create({
+          ...movement,
+          product: product._id,
+          variant: variantId || undefined,
+          size: variant ? variant.size : undefined,
+          quantity: 0,
+          previousStock: currentStock,
+          newStock: currentStock
+        });
+      }
+
+      const recorded = await Product.adjustStock(product._id, change, { ...movement, variantId });
+      await Product.refreshBundleStock(product._id);
+      this.checkStockAlerts([product._id]);
+
+      return recorded;
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('Invalid product ID');
+      }
+      throw new Error(`Failed to record stock movement: ${error.message}`);
+    }
+  }
+
+  /**
+   * Compare every product's stock with the sum of its ledger movements and flag
+   * the ones that drifted. Products stocked before the ledger existed first get
+   * an opening balance for the stock they already had.
+   * @param {Date} now - Reconciliation time
+   * @returns {Promise<Object>} checked count, openingBalances recorded and drifted products
+   */
+  async reconcileStock(now = new Date()) {
+    try {
+      const products = await Product.find({ type: { $ne: 'bundle' } }).select('name stock variants stockDrift');
+      const ledger = await StockMovement.getLedgerStock(products.map(product => product._id));
+
+      let openingBalances = 0;
+      const drifted = [];
+
+      for (const product of products) {
+        const recorded = ledger.get(String(product._id)) || { stock: {}, opened: false };
+
+        if (!recorded.opened) {
+          openingBalances += await StockMovement.recordProductChanges(product, recorded.stock, {
+            type: 'opening_balance',
+            reason: 'Stock on hand when the ledger started'
+          });
+          continue;
+        }
+
+        const actual = product.getStockSnapshot();
+        const keys = new Set([...Object.keys(actual), ...Object.keys(recorded.stock)]);
+        const matches = [...keys].every(key => (actual[key] || 0) === (recorded.stock[key] || 0));
+
+        if (matches) {
+          if (product.stockDrift && product.stockDrift.detectedAt) {
+            await Product.updateOne({ _id: product._id }, { $unset: { stockDrift: 1 } });
+          }
+          continue;
+        }
+
+        const ledgerStock = Object.values(recorded.stock).reduce((sum, quantity) => sum + quantity, 0);
+        const stockDrift = { ledgerStock, difference: product.stock - ledgerStock, detectedAt: now };
+        await Product.updateOne({ _id: product._id }, { $set: { stockDrift } });
+
+        drifted.push({ product: product._id, name: product.name, stock: product.stock, ...stockDrift });
+      }
+
+      return { checked: products.length, openingBalances, drifted };
+    } catch (error) {
+      throw new Error(`Failed to reconcile stock: ${error.message}`);
+    }
+  }
+
+  /**
+   * Periodically reconcile stock and alert when products drifted
+   * @param {number} intervalMs - Time between runs
+   * @returns {Object} Interval timer
+   */
+  startStockReconciliation(intervalMs = 24 * 60 * 60 * 1000) {
+    const timer = setInterval(async () => {
+      try {
+        const { drifted } = await this.reconcileStock();
+        if (drifted.length > 0) {
+          await alertingService.sendAlert({
+            type: 'STOCK_DRIFT',
+            severity: 'warning',
+            message: `${drifted.length} product(s) have stock that does not match the stock ledger`,
+            context: { products: drifted.map(({ product, stock, ledgerStock }) => ({ product, stock, ledgerStock })) },
+            timestamp: new Date().toISOString()
+          });
+        }
+      } catch (error) {
+        console.error('Stock reconciliation failed:', error.message);
+      }
+    }, intervalMs);
+
+    // Don't keep the process alive just for the reconciliation
+    if (timer.unref) {
+      timer.unref();
+    }
+
+    return timer;
+  }
+
+  /**
+   * Raise low-stock alerts and back-in-stock emails for products whose stock
+   * changed, without holding up the change itself
+   * @param {Array<string>} productIds - IDs of the products whose stock changed
+   */
+  checkStockAlerts(productIds) {
+    stockAlertService.checkStockLevels(productIds).catch(error => {
+      console.error('Failed to check stock alerts:', error.message);
+    });
+  }
 
   /**
    * Bulk update product stock
-   * @param {Array} updates - Array of stock updates
+   * @param {Array} updates - Array of stock updates, each with an optional reason
+   * @param {string} [performedBy] - Admin making the updates, for the stock ledger
    * @returns {Promise<Object>} Update results
    */
-  async bulkUpdateStock(updates) {
+  async bulkUpdateStock(updates, performedBy) {
     try {
       const results = {
         updated: 0,
         failed: 0,
         results: []
       };
+      const updatedIds = [];
 
       for (const update of updates) {
         try {
-          const { productId, stock, inStock } = update;
+          const { productId, stock, inStock, reason } = update;
           
           if (!productId || typeof stock !== 'number' || stock < 0) {
             results.failed++;
@@ -361,9 +904,11 @@ class ProductService {
             continue;
           }
 
+          product.$locals.stockMovement = { type: 'manual_adjustment', reason, performedBy };
           product.stock = stock;
           product.inStock = inStock !== undefined ? inStock : stock > 0;
           await product.save();
+          updatedIds.push(product._id);
 
           results.updated++;
           results.results.push({
@@ -382,6 +927,10 @@ class ProductService {
         }
       }
 
+      if (updatedIds.length > 0) {
+        this.checkStockAlerts(updatedIds);
+      }
+
       return results;
     } catch (error) {
       throw new Error(`Failed to bulk update stock: ${error.message}`);
@@ -390,33 +939,41 @@ class ProductService {
 
   /**
    * Get inventory report
-   * @param {number} lowStockThreshold - Threshold for low stock alert
+   * @param {number} lowStockThreshold - Threshold for products without one of their own
    * @returns {Promise<Object>} Inventory report
    */
   async getInventoryReport(lowStockThreshold = 5) {
     try {
-      const allProducts = await Product.find({});
+      const allProducts = await Product.find({}).populate('categories', 'name slug');
       const inStockProducts = allProducts.filter(p => p.inStock);
       const outOfStockProducts = allProducts.filter(p => !p.inStock);
-      const lowStockProducts = allProducts.filter(p => p.stock > 0 && p.stock <= lowStockThreshold);
+      const thresholdOf = p => (p.lowStockThreshold !== null && p.lowStockThreshold !== undefined
+        ? p.lowStockThreshold
+        : lowStockThreshold);
+      const lowStockProducts = allProducts.filter(p => p.stock > 0 && p.stock <= thresholdOf(p));
 
       // Calculate total inventory value
       const totalInventoryValue = allProducts.reduce((sum, p) => sum + (p.price * p.stock), 0);
 
-      // Category breakdown
+      // Category breakdown; a product listed under several categories counts in each
       const categoryBreakdown = {};
       allProducts.forEach(product => {
-        if (!categoryBreakdown[product.category]) {
-          categoryBreakdown[product.category] = {
-            category: product.category,
-            count: 0,
-            value: 0,
-            stock: 0
-          };
+        for (const category of product.categories) {
+          const key = String(category._id);
+          if (!categoryBreakdown[key]) {
+            categoryBreakdown[key] = {
+              category: category._id,
+              name: category.name,
+              slug: category.slug,
+              count: 0,
+              value: 0,
+              stock: 0
+            };
+          }
+          categoryBreakdown[key].count++;
+          categoryBreakdown[key].value += product.price * product.stock;
+          categoryBreakdown[key].stock += product.stock;
         }
-        categoryBreakdown[product.category].count++;
-        categoryBreakdown[product.category].value += product.price * product.stock;
-        categoryBreakdown[product.category].stock += product.stock;
       });
 
       return {
@@ -426,8 +983,9 @@ class ProductService {
         lowStockProducts: lowStockProducts.map(p => ({
           _id: p._id,
           name: p.name,
-          category: p.category,
+          categories: p.categories,
           stock: p.stock,
+          lowStockThreshold: thresholdOf(p),
           price: p.price
         })),
         totalInventoryValue: Math.round(totalInventoryValue * 100) / 100,
@@ -449,8 +1007,15 @@ class ProductService {
    */
   validateProductData(productData, isCreate = true) {
     if (isCreate) {
-      // Required fields for creation
-      const requiredFields = ['name', 'description', 'price', 'size', 'category'];
+      // Required fields for creation (price and size are derived from variants when present)
+      const hasVariants = Array.isArray(productData.variants) && productData.variants.length > 0;
+      if (productData.type === 'bundle' && !(Array.isArray(productData.components) && productData.components.length > 0)) {
+        throw new Error('Invalid bundle: at least one component is required');
+      }
+
+      const requiredFields = hasVariants
+        ? ['name', 'description', 'categories']
+        : ['name', 'description', 'price', 'size', 'categories'];
       
       for (const field of requiredFields) {
         if (!productData[field]) {
@@ -482,11 +1047,13 @@ class ProductService {
       }
     }
 
-    // Validate category if provided
-    if (productData.category) {
-      const validCategories = ['floral', 'oriental', 'fresh', 'woody', 'citrus', 'spicy', 'aquatic', 'gourmand'];
-      if (!validCategories.includes(productData.category.toLowerCase())) {
-        throw new Error(`Category must be one of: ${validCategories.join(', ')}`);
+    // Validate categories if provided
+    if (productData.categories !== undefined) {
+      if (!Array.isArray(productData.categories) || productData.categories.length === 0) {
+        throw new Error('At least one category is required');
+      }
+      if (!productData.categories.every(id => OBJECT_ID.test(String(id)))) {
+        throw new Error('Invalid category ID');
       }
     }
 
@@ -498,6 +1065,11 @@ class ProductService {
       }
     }
 
+    // Validate variants if provided
+    if (productData.variants !== undefined) {
+      this.validateVariants(productData.variants);
+    }
+
     // Validate images if provided
     if (productData.images) {
       if (!Array.isArray(productData.images)) {
@@ -545,6 +1117,59 @@ class ProductService {
       }
     }
   }
+
+  /**
+   * Validate product variants
+   * @param {Array} variants - Variants to validate
+   */
+  validateVariants(variants) {
+    if (!Array.isArray(variants)) {
+      throw new Error('Variants must be an array');
+    }
+
+    if (variants.length > 20) {
+      throw new Error('Maximum 20 variants allowed per product');
+    }
+
+    const sizeRegex = /^\d+(\.\d+)?(ml|oz|g)$/i;
+    const skus = new Set();
+
+    variants.forEach((variant, index) => {
+      const position = `Variant ${index + 1}`;
+
+      if (!variant.size || !sizeRegex.test(variant.size)) {
+        throw new Error(`${position}: Size must be in format like "50ml", "100ml", or "3.4oz"`);
+      }
+
+      if (!variant.sku || typeof variant.sku !== 'string') {
+        throw new Error(`${position}: SKU is required`);
+      }
+
+      const sku = variant.sku.trim().toUpperCase();
+      if (skus.has(sku)) {
+        throw new Error(`${position}: SKU ${sku} must be unique`);
+      }
+      skus.add(sku);
+
+      if (typeof variant.price !== 'number' || variant.price < 0) {
+        throw new Error(`${position}: Price must be a positive number`);
+      }
+
+      if (variant.compareAtPrice !== undefined && variant.compareAtPrice !== null) {
+        if (typeof variant.compareAtPrice !== 'number' || variant.compareAtPrice < variant.price) {
+          throw new Error(`${position}: Compare-at price must be greater than or equal to the price`);
+        }
+      }
+
+      if (variant.stock !== undefined && (!Number.isInteger(variant.stock) || variant.stock < 0)) {
+        throw new Error(`${position}: Stock must be a non-negative integer`);
+      }
+    });
+
+    if (variants.filter(variant => variant.isDefault).length > 1) {
+      throw new Error('Only one variant can be marked as default');
+    }
+  }
 }
 
 module.exports = new ProductService();
\ No newline at end of file
@@ -0,0 +1,363 @@
+const Promotion = require('../models/Promotion');
+const Order = require('../models/Order');
+const Customer = require('../models/Customer');
+const Category = require('../models/Category');
+
+const roundCurrency = value => Math.round(value * 100) / 100;
+
+const normalizeCode = code => (code ? String(code).trim().toUpperCase() : null);
+
+// Category IDs of a product whose categories may or may not be populated
+const categoryIdsOf = product => (product.categories || [])
+  .map(category => String(category && category._id ? category._id : category));
+
+class PromotionService {
+  /**
+   * Get promotions for the admin, newest first
+   * @param {Object} options - status (running, scheduled, ended, paused), type, search, page, limit
+   * @returns {Promise<Object>} Promotions with pagination info
+   */
+  async getPromotions(options = {}) {
+    try {
+      const { status, type, search, page = 1, limit = 20 } = options;
+
+      const query = Promotion.statusQuery(status);
+      if (type) {
+        query.type = type;
+      }
+      if (search) {
+        const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        query.$and = [...(query.$and || []), { $or: [{ code: pattern }, { 'name.en': pattern }, { 'name.ar': pattern }] }];
+      }
+
+      const skip = (page - 1) * limit;
+      const [promotions, total] = await Promise.all([
+        Promotion.find(query)
+          .populate('products', 'name price')
+          .populate('categories', 'name slug')
+          .sort({ startsAt: -1 })
+          .skip(skip)
+          .limit(Number(limit))
+          .lean(),
+        Promotion.countDocuments(query)
+      ]);
+
+      return {
+        promotions,
+        pagination: {
+          page: Number(page),
+          limit: Number(limit),
+          total,
+          pages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to get promotions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a coupon or an automatic promotion
+   * @param {Object} promotionData - Promotion data
+   * @param {string} userId - Admin creating the promotion
+   * @returns {Promise<Object>} Created promotion
+   */
+  async createPromotion(promotionData, userId) {
+    try {
+      const promotion = new Promotion({ ...promotionData, createdBy: userId });
+      this.clearUnusedFields(promotion);
+      await promotion.save();
+
+      return promotion;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('Invalid promotion: this code is already in use');
+      }
+      throw new Error(`Failed to create promotion: ${error.message}`);
+    }
+  }
+
+  /**
+   * Change a promotion, or pause it
+   * @param {string} id - Promotion ID
+   * @param {Object} updateData - Fields to change
+   * @returns {Promise<Object>} Updated promotion
+   */
+  async updatePromotion(id, updateData) {
+    try {
+      const promotion = await Promotion.findById(id);
+      if (!promotion) {
+        throw new Error('Promotion not found');
+      }
+
+      promotion.set(updateData);
+      this.clearUnusedFields(promotion);
+      await promotion.save();
+
+      return promotion;
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('Invalid promotion ID');
+      }
+      if (error.code === 11000) {
+        throw new Error('Invalid promotion: this code is already in use');
+      }
+      throw new Error(`Failed to update promotion: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a promotion; orders that used it keep their record of the discount
+   * @param {string} id - Promotion ID
+   * @returns {Promise<Object>} Deleted promotion
+   */
+  async deletePromotion(id) {
+    try {
+      const promotion = await Promotion.findByIdAndDelete(id);
+      if (!promotion) {
+        throw new Error('Promotion not found');
+      }
+
+      return promotion;
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('Invalid promotion ID');
+      }
+      throw new Error(`Failed to delete promotion: ${error.message}`);
+    }
+  }
+
+  /**
+   * Drop the fields a promotion's type and target don't use, so switching
+   * either leaves nothing stale behind
+   * @param {Object} promotion - Promotion document
+   */
+  clearUnusedFields(promotion) {
+    if (!promotion.code) {
+      promotion.code = undefined;
+    }
+    if (!['percentage', 'fixed'].includes(promotion.type)) {
+      promotion.value = undefined;
+    }
+    if (promotion.type !== 'buy_x_get_y') {
+      promotion.buyQuantity = undefined;
+      promotion.getQuantity = undefined;
+    }
+    if (promotion.appliesTo !== 'products') {
+      promotion.products = [];
+    }
+    if (promotion.appliesTo !== 'categories') {
+      promotion.categories = [];
+    }
+  }
+
+  /**
+   * Work out the promotions an order gets. Every automatic promotion it
+   * qualifies for is considered, plus the coupon whose code was entered.
+   * Stackable promotions combine; any other is used on its own, so the order
+   * gets whichever gives the larger saving. An entered coupon is always used,
+   * with the stackable automatic promotions if it is stackable itself.
+   * @param {Object} order - items (priced by orderService), products (the
+   *   product of each item), subtotal, shippingCost, code and email
+   * @param {Date} now - Moment to price at
+   * @returns {Promise<Object>} { promotions, discount, freeShipping, couponCode }
+   */
+  async applyPromotions({ items, products, subtotal, shippingCost = 0, code = null, email = null }, now = new Date()) {
+    const couponCode = normalizeCode(code);
+    const running = await Promotion.findRunning(couponCode, now).lean();
+
+    const coupon = couponCode ? running.find(promotion => promotion.code === couponCode) : null;
+    if (couponCode && !coupon) {
+      throw new Error('Invalid coupon code');
+    }
+
+    const context = { items, products, subtotal, email: email ? String(email).trim().toLowerCase() : null, now };
+    const applicable = [];
+    for (const promotion of running) {
+      const reason = await this.getIneligibility(promotion, context);
+      if (promotion === coupon && reason) {
+        throw new Error(reason);
+      }
+      if (reason) {
+        continue;
+      }
+
+      const covered = await this.getCoveredItems(promotion, context);
+      const freeShipping = promotion.type === 'free_shipping';
+      const discount = Promotion.calculateDiscount(promotion, covered);
+      if (promotion === coupon && !freeShipping && discount === 0) {
+        throw new Error('Coupon code does not apply to the items in your cart');
+      }
+      if (freeShipping || discount > 0) {
+        applicable.push({ promotion, discount, freeShipping, saving: discount + (freeShipping ? shippingCost : 0) });
+      }
+    }
+
+    const chosen = this.choosePromotions(applicable, coupon);
+    const goods = items.reduce((sum, item) => sum + (item.giftCard ? 0 : item.price * item.quantity), 0);
+    const discount = roundCurrency(Math.min(goods, chosen.reduce((sum, entry) => sum + entry.discount, 0)));
+
+    return {
+      promotions: chosen.map(({ promotion, discount: amount, freeShipping }) => ({
+        promotion: promotion._id,
+        code: promotion.code || null,
+        name: promotion.name,
+        type: promotion.type,
+        discount: amount,
+        freeShipping
+      })),
+      discount,
+      freeShipping: chosen.some(entry => entry.freeShipping),
+      couponCode: coupon ? coupon.code : null
+    };
+  }
+
+  /**
+   * Pick the promotions to apply from those an order qualifies for
+   * @param {Array<Object>} applicable - { promotion, discount, freeShipping, saving }
+   * @param {Object|null} coupon - Coupon entered at checkout
+   * @returns {Array<Object>} Chosen entries
+   */
+  choosePromotions(applicable, coupon) {
+    const stackable = applicable.filter(entry => entry.promotion.stackable && entry.promotion !== coupon);
+
+    if (coupon) {
+      const entry = applicable.find(candidate => candidate.promotion === coupon);
+      return coupon.stackable ? [entry, ...stackable] : [entry];
+    }
+
+    const totalSaving = entries => entries.reduce((sum, entry) => sum + entry.saving, 0);
+    let best = stackable;
+    for (const entry of applicable.filter(candidate => !candidate.promotion.stackable)) {
+      if (entry.saving > totalSaving(best)) {
+        best = [entry];
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Explain why an order can't use a promotion
+   * @param {Object} promotion - Running promotion
+   * @param {Object} context - Order being priced
+   * @returns {Promise<string|null>} Reason, or null when the order qualifies
+   */
+  async getIneligibility(promotion, { subtotal, email }) {
+    if (promotion.minOrderValue && subtotal < promotion.minOrderValue) {
+      return `Coupon code requires a minimum order of ${promotion.minOrderValue}`;
+    }
+    if (promotion.usageLimit && promotion.usedCount >= promotion.usageLimit) {
+      return 'Coupon code has reached its usage limit';
+    }
+
+    if (promotion.customerTiers && promotion.customerTiers.length > 0) {
+      const tier = await this.getCustomerTier(email);
+      if (!promotion.customerTiers.includes(tier)) {
+        return 'Coupon code is not available for your account';
+      }
+    }
+
+    // Without an email the limit is checked when the order is placed
+    if (promotion.perCustomerLimit && email) {
+      const used = await Order.countDocuments({
+        'promotions.promotion': promotion._id,
+        'customerInfo.email': email,
+        status: { $ne: 'cancelled' }
+      });
+      if (used >= promotion.perCustomerLimit) {
+        return 'Coupon code has already been used the maximum number of times';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Tier of the customer with an email; someone without a customer record
+   * has spent nothing yet
+   * @param {string|null} email - Customer email
+   * @returns {Promise<string>} bronze, silver, gold or platinum
+   */
+  async getCustomerTier(email) {
+    const customer = email ? await Customer.findOne({ email }).select('totalSpent') : null;
+    return customer ? customer.tier : 'bronze';
+  }
+
+  /**
+   * Items of an order a promotion discounts. Gift cards bought are never
+   * discounted, since they are issued at their full value.
+   * @param {Object} promotion - Promotion
+   * @param {Object} context - Order being priced
+   * @returns {Promise<Array<Object>>} Covered items
+   */
+  async getCoveredItems(promotion, { items, products }) {
+    let categoryIds = null;
+    if (promotion.appliesTo === 'categories') {
+      const subtrees = await Promise.all(promotion.categories.map(id => Category.getSubtreeIds(id)));
+      categoryIds = new Set(subtrees.flat().map(String));
+    }
+
+    const productIds = new Set((promotion.products || []).map(String));
+
+    return items.filter((item, i) => {
+      if (item.giftCard) {
+        return false;
+      }
+      if (promotion.excludeSaleItems && item.price < item.regularPrice) {
+        return false;
+      }
+
+      const product = products[i];
+      switch (promotion.appliesTo) {
+        case 'products':
+          return productIds.has(String(product._id));
+        case 'categories':
+          return categoryIdsOf(product).some(id => categoryIds.has(id));
+        default:
+          return true;
+      }
+    });
+  }
+
+  /**
+   * Count an order against the usage limit of each promotion it got. Runs in
+   * the order's transaction, so an order that would exceed a limit is not created.
+   * @param {Array<Object>} promotions - Promotions recorded on the order
+   * @param {Object} [options] - session of the enclosing transaction
+   */
+  async recordUsage(promotions, { session = null } = {}) {
+    for (const { promotion, code } of promotions) {
+      const result = await Promotion.updateOne(
+        {
+          _id: promotion,
+          $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }]
+        },
+        { $inc: { usedCount: 1 } },
+        { session }
+      );
+      if (result.modifiedCount === 0) {
+        throw new Error(code ? 'Coupon code has reached its usage limit' : 'Promotion has reached its usage limit');
+      }
+    }
+  }
+
+  /**
+   * Give back the uses of a cancelled order
+   * @param {Object} order - Cancelled order
+   * @param {Object} [options] - session of the enclosing transaction
+   */
+  async releaseUsage(order, { session = null } = {}) {
+    for (const { promotion } of order.promotions || []) {
+      await Promotion.updateOne(
+        { _id: promotion, usedCount: { $gt: 0 } },
+        { $inc: { usedCount: -1 } },
+        { session }
+      );
+    }
+  }
+}
+
+module.exports = new PromotionService();
@@ -0,0 +1,366 @@
+const QuizQuestion = require('../models/QuizQuestion');
+const QuizResult = require('../models/QuizResult');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Customer = require('../models/Customer');
+const pricingService = require('./pricingService');
+const TextSearch = require('../utils/textSearch');
+
+const NOTE_LAYERS = ['top', 'middle', 'base'];
+
+// Upper bound on products scored in memory for a single quiz
+const MAX_CANDIDATES = 300;
+
+const RESULT_FIELDS = 'name price size categories images concentration inStock stock variants averageRating reviewCount';
+
+// What each answer is worth is the shop's business, not the customer's
+const PUBLIC_QUESTION_FIELDS = '-answers.notes -answers.categories -answers.concentrations';
+
+const normalizeNotes = (notes = []) => notes.map(note => String(note).trim().toLowerCase()).filter(Boolean);
+
+const positiveKeys = weights => [...weights].filter(([, weight]) => weight > 0).map(([key]) => key);
+
+class QuizService {
+  /**
+   * Get the active quiz questions for the storefront, in order, without
+   * the weights behind the answers
+   * @returns {Promise<Array<Object>>} Questions
+   */
+  async getQuestions() {
+    try {
+      return await QuizQuestion.find({ isActive: true })
+        .select(PUBLIC_QUESTION_FIELDS)
+        .sort({ sortOrder: 1, createdAt: 1 })
+        .lean();
+    } catch (error) {
+      throw new Error(`Failed to get quiz questions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get every quiz question with its answer weights, for the admin
+   * @returns {Promise<Array<Object>>} Questions
+   */
+  async getAllQuestions() {
+    try {
+      return await QuizQuestion.find({})
+        .populate('answers.categories.category', 'name slug')
+        .sort({ sortOrder: 1, createdAt: 1 })
+        .lean();
+    } catch (error) {
+      throw new Error(`Failed to get quiz questions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a quiz question
+   * @param {Object} questionData - Question data
+   * @returns {Promise<Object>} Created question
+   */
+  async createQuestion(questionData) {
+    try {
+      const question = new QuizQuestion(questionData);
+      return await question.save();
+    } catch (error) {
+      throw new Error(`Failed to create quiz question: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update a quiz question. Answers sent with their `_id` keep it, so past
+   * results still point at them.
+   * @param {string} id - Question ID
+   * @param {Object} updateData - Fields to change
+   * @returns {Promise<Object>} Updated question
+   */
+  async updateQuestion(id, updateData) {
+    try {
+      const question = await QuizQuestion.findById(id);
+      if (!question) {
+        throw new Error('Quiz question not found');
+      }
+
+      question.set(updateData);
+      return await question.save();
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('Invalid quiz question ID');
+      }
+      throw new Error(`Failed to update quiz question: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a quiz question; completed quizzes keep their answers to it
+   * @param {string} id - Question ID
+   * @returns {Promise<Object>} Deleted question
+   */
+  async deleteQuestion(id) {
+    try {
+      const question = await QuizQuestion.findByIdAndDelete(id);
+      if (!question) {
+        throw new Error('Quiz question not found');
+      }
+
+      return question;
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('Invalid quiz question ID');
+      }
+      throw new Error(`Failed to delete quiz question: ${error.message}`);
+    }
+  }
+
+  /**
+   * Score a completed quiz, rank the products against it and record it
+   * @param {Object} submission - answers ([{ question, answers }]), email, language, limit
+   * @returns {Promise<Object>} { result, recommendations }
+   */
+  async submitQuiz({ answers, email, language = 'ar', limit = 6 }) {
+    try {
+      const questions = await QuizQuestion.find({ isActive: true }).lean();
+      const profile = this.buildProfile(questions, answers);
+      const recommendations = await this.rankProducts(profile, limit);
+
+      const customer = email ? await Customer.findOne({ email }).select('_id').lean() : null;
+
+      const result = await QuizResult.create({
+        answers,
+        email,
+        customer: customer ? customer._id : undefined,
+        language,
+        recommendations: recommendations.map(product => ({
+          product: product._id,
+          match: product.quiz.match
+        }))
+      });
+
+      return { result: result._id, recommendations };
+    } catch (error) {
+      throw new Error(`Failed to score quiz: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add up the weights of the chosen answers into a scent profile
+   * @param {Array<Object>} questions - Active questions
+   * @param {Array<Object>} answers - [{ question, answers: [answerId] }]
+   * @returns {Object} { notes, categories, concentrations }, each a Map of trait to weight
+   */
+  buildProfile(questions, answers) {
+    const byId = new Map(questions.map(question => [String(question._id), question]));
+    const profile = { notes: new Map(), categories: new Map(), concentrations: new Map() };
+    const add = (weights, key, weight) => weights.set(key, (weights.get(key) || 0) + weight);
+
+    for (const submitted of answers) {
+      const question = byId.get(String(submitted.question));
+      if (!question) {
+        throw new Error('Invalid answer: unknown question');
+      }
+      if (!question.multiple && submitted.answers.length > 1) {
+        throw new Error('Invalid answer: question allows only one answer');
+      }
+
+      for (const answerId of submitted.answers) {
+        const answer = question.answers.find(option => String(option._id) === String(answerId));
+        if (!answer) {
+          throw new Error('Invalid answer: unknown answer');
+        }
+
+        (answer.notes || []).forEach(({ name, weight }) => add(profile.notes, name, weight));
+        (answer.categories || []).forEach(({ category, weight }) => add(profile.categories, String(category), weight));
+        (answer.concentrations || []).forEach(({ code, weight }) => add(profile.concentrations, code, weight));
+      }
+    }
+
+    return profile;
+  }
+
+  /**
+   * Spread category weights to subcategories: a category weighs the sum of
+   * its own weight and those of its ancestors
+   * @param {Map} categoryWeights - Category ID to weight
+   * @returns {Promise<Map>} Category ID to weight, subcategories included
+   */
+  async getCategoryWeights(categoryWeights) {
+    const ids = [...categoryWeights.keys()];
+    if (ids.length === 0) {
+      return new Map();
+    }
+
+    const categories = await Category.find({
+      $or: [{ _id: { $in: ids } }, { ancestors: { $in: ids } }]
+    }).select('ancestors').lean();
+
+    return new Map(categories.map(category => [
+      String(category._id),
+      [category._id, ...(category.ancestors || [])]
+        .reduce((sum, id) => sum + (categoryWeights.get(String(id)) || 0), 0)
+    ]));
+  }
+
+  /**
+   * Rank in-stock products against a scent profile
+   * @param {Object} profile - Profile from buildProfile
+   * @param {number} limit - Maximum products to return
+   * @returns {Promise<Array<Object>>} Priced products with `quiz: { match, matchedNotes }`,
+   *   match being a percentage of the best possible score
+   */
+  async rankProducts(profile, limit = 6) {
+    const categoryWeights = await this.getCategoryWeights(profile.categories);
+    const notes = positiveKeys(profile.notes);
+    const categories = positiveKeys(categoryWeights);
+    const concentrations = positiveKeys(profile.concentrations);
+
+    // Only products that match something the customer wants are worth scoring
+    const wanted = [
+      ...(notes.length > 0 ? NOTE_LAYERS.map(layer => ({
+        [`notes.${layer}.en`]: { $in: notes.map(note => new RegExp(`^${TextSearch.escapeRegex(note)}$`, 'i')) }
+      })) : []),
+      ...(categories.length > 0 ? [{ categories: { $in: categories } }] : []),
+      ...(concentrations.length > 0 ? [{ concentrationCode: { $in: concentrations } }] : [])
+    ];
+    if (wanted.length === 0) {
+      return [];
+    }
+
+    const candidates = await Product.find({ inStock: true, $or: wanted })
+      .select(`${RESULT_FIELDS} notes concentrationCode`)
+      .limit(MAX_CANDIDATES)
+      .lean();
+
+    const bestScore = this.getBestScore(profile, categoryWeights);
+
+    const ranked = candidates
+      .map(candidate => ({ candidate, ...this.scoreProduct(profile, categoryWeights, candidate) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ candidate, score, matchedNotes }) => {
+        // Notes were only loaded for scoring
+        const product = { ...candidate };
+        delete product.notes;
+        delete product.concentrationCode;
+        return {
+          ...product,
+          quiz: {
+            match: Math.min(100, Math.round((score / bestScore) * 100)),
+            matchedNotes
+          }
+        };
+      });
+
+    const priced = await pricingService.applyEffectivePrices(ranked);
+    await Product.populate(priced, { path: 'categories', select: 'name slug' });
+    return priced;
+  }
+
+  /**
+   * Score a product against a scent profile
+   * @param {Object} profile - Profile from buildProfile
+   * @param {Map} categoryWeights - Weights from getCategoryWeights
+   * @param {Object} product - Product (lean, with notes and concentrationCode)
+   * @returns {Object} { score, matchedNotes } with the product's own spelling of the notes
+   */
+  scoreProduct(profile, categoryWeights, product) {
+    const productNotes = NOTE_LAYERS.flatMap(layer => (product.notes && product.notes[layer] && product.notes[layer].en) || []);
+    const normalized = new Set(normalizeNotes(productNotes));
+
+    let score = 0;
+    for (const [note, weight] of profile.notes) {
+      if (normalized.has(note)) {
+        score += weight;
+      }
+    }
+
+    // A product in several of the profile's categories counts the strongest one
+    const categoryScores = (product.categories || []).map(id => categoryWeights.get(String(id)) || 0);
+    if (categoryScores.length > 0) {
+      score += Math.max(...categoryScores);
+    }
+
+    score += profile.concentrations.get(product.concentrationCode) || 0;
+
+    const matchedNotes = [...new Set(productNotes.filter(note => (profile.notes.get(String(note).trim().toLowerCase()) || 0) > 0))];
+
+    return { score, matchedNotes };
+  }
+
+  /**
+   * Highest score a product could reach: every wanted note, the most wanted
+   * category and the most wanted concentration
+   * @param {Object} profile - Profile from buildProfile
+   * @param {Map} categoryWeights - Weights from getCategoryWeights
+   * @returns {number} Best score (at least 1, so it can divide)
+   */
+  getBestScore(profile, categoryWeights) {
+    const positive = weights => [...weights.values()].filter(weight => weight > 0);
+    const best = positive(profile.notes).reduce((sum, weight) => sum + weight, 0) +
+      Math.max(0, ...positive(categoryWeights)) +
+      Math.max(0, ...positive(profile.concentrations));
+
+    return Math.max(best, 1);
+  }
+
+  /**
+   * Quiz analytics: completions, how often each answer is chosen and the
+   * products most often recommended first
+   * @param {Object} options - from, to (completion dates)
+   * @returns {Promise<Object>} { completions, withEmail, questions, topProducts }
+   */
+  async getStats({ from, to } = {}) {
+    try {
+      const match = {};
+      if (from || to) {
+        match.createdAt = {};
+        if (from) match.createdAt.$gte = new Date(from);
+        if (to) match.createdAt.$lte = new Date(to);
+      }
+
+      const [completions, withEmail, answerCounts, topCounts, questions] = await Promise.all([
+        QuizResult.countDocuments(match),
+        QuizResult.countDocuments({ ...match, email: { $exists: true, $ne: null } }),
+        QuizResult.aggregate([
+          { $match: match },
+          { $unwind: '$answers' },
+          { $unwind: '$answers.answers' },
+          { $group: { _id: '$answers.answers', count: { $sum: 1 } } }
+        ]),
+        QuizResult.aggregate([
+          { $match: match },
+          { $project: { product: { $arrayElemAt: ['$recommendations.product', 0] } } },
+          { $match: { product: { $ne: null } } },
+          { $group: { _id: '$product', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: 10 }
+        ]),
+        QuizQuestion.find({}).select('question answers.label sortOrder').sort({ sortOrder: 1, createdAt: 1 }).lean()
+      ]);
+
+      const chosen = new Map(answerCounts.map(({ _id, count }) => [String(_id), count]));
+      const products = await Product.find({ _id: { $in: topCounts.map(({ _id }) => _id) } }).select('name images').lean();
+      const productsById = new Map(products.map(product => [String(product._id), product]));
+
+      return {
+        completions,
+        withEmail,
+        questions: questions.map(question => ({
+          _id: question._id,
+          question: question.question,
+          answers: question.answers.map(answer => ({
+            _id: answer._id,
+            label: answer.label,
+            count: chosen.get(String(answer._id)) || 0
+          }))
+        })),
+        topProducts: topCounts
+          .filter(({ _id }) => productsById.has(String(_id)))
+          .map(({ _id, count }) => ({ product: productsById.get(String(_id)), count }))
+      };
+    } catch (error) {
+      throw new Error(`Failed to get quiz stats: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new QuizService();
@@ -0,0 +1,226 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const cacheService = require('./cacheService');
+const pricingService = require('./pricingService');
+
+// Base notes define the dry-down a customer lives with, so they count most
+const NOTE_LAYER_WEIGHTS = {
+  top: 0.25,
+  middle: 0.35,
+  base: 0.4
+};
+
+// Contribution of each signal to the similarity score (sums to 1)
+const SIGNAL_WEIGHTS = {
+  notes: 0.6,
+  category: 0.25,
+  price: 0.15
+};
+
+// Upper bound on products scored in memory for a single recommendation
+const MAX_CANDIDATES = 200;
+
+// A pair must appear in at least this many orders to count as bought together
+const MIN_CO_PURCHASES = 2;
+
+// Order history changes slowly; co-purchase pairs are recomputed at most this often
+const CO_PURCHASE_TTL = 30 * 60 * 1000;
+
+const RECOMMENDATION_FIELDS = 'name price size categories images concentration inStock stock variants averageRating reviewCount';
+
+const normalizeNotes = (notes = []) => notes.map(note => String(note).trim().toLowerCase()).filter(Boolean);
+
+class RecommendationService {
+  /**
+   * Get "you may also like" and "frequently bought together" products
+   * @param {string} productId - Product ID
+   * @param {Object} options - Options
+   * @param {number} options.limit - Products per list
+   * @returns {Promise<Object>} { similar, boughtTogether }
+   */
+  async getRecommendations(productId, options = {}) {
+    try {
+      const { limit = 4 } = options;
+
+      const product = await Product.findById(productId).lean();
+      if (!product) {
+        throw new Error('Product not found');
+      }
+
+      const [similar, boughtTogether] = await Promise.all([
+        this.getSimilarProducts(product, limit),
+        this.getBoughtTogether(product._id, limit)
+      ]);
+
+      // Price both lists with one rule lookup
+      const priced = await pricingService.applyEffectivePrices([...similar, ...boughtTogether]);
+
+      return {
+        similar: priced.slice(0, similar.length),
+        boughtTogether: priced.slice(similar.length)
+      };
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('Invalid product ID');
+      }
+      throw new Error(`Failed to get recommendations: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rank in-stock products by scent profile, category and price proximity
+   * @param {Object} product - Source product (lean)
+   * @param {number} limit - Maximum products to return
+   * @returns {Promise<Array<Object>>} Products with a `recommendation` score and shared notes
+   */
+  async getSimilarProducts(product, limit = 4) {
+    const allNotes = Object.keys(NOTE_LAYER_WEIGHTS)
+      .flatMap(layer => (product.notes && product.notes[layer] && product.notes[layer].en) || []);
+
+    const candidates = await Product.find({
+      _id: { $ne: product._id },
+      inStock: true,
+      $or: [
+        { categories: { $in: product.categories || [] } },
+        ...Object.keys(NOTE_LAYER_WEIGHTS).map(layer => ({ [`notes.${layer}.en`]: { $in: allNotes } }))
+      ]
+    })
+      .select(`${RECOMMENDATION_FIELDS} notes`)
+      .limit(MAX_CANDIDATES)
+      .lean();
+
+    return candidates
+      .map(candidate => ({ candidate, ...this.scoreSimilarity(product, candidate) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ candidate, score, sharedNotes }) => {
+        // Notes were only loaded for scoring
+        const product = { ...candidate };
+        delete product.notes;
+        return {
+          ...product,
+          recommendation: {
+            score: Math.round(score * 100) / 100,
+            sharedNotes
+          }
+        };
+      });
+  }
+
+  /**
+   * Score how similar two products are, from 0 (unrelated) to 1
+   * @param {Object} source - Product being viewed
+   * @param {Object} candidate - Product to compare
+   * @returns {Object} { score, sharedNotes: { en, ar } }
+   */
+  scoreSimilarity(source, candidate) {
+    let noteScore = 0;
+    let layerWeightTotal = 0;
+    const sharedNotes = { en: [], ar: [] };
+
+    for (const [layer, weight] of Object.entries(NOTE_LAYER_WEIGHTS)) {
+      const sourceLayer = (source.notes && source.notes[layer]) || {};
+      const candidateLayer = (candidate.notes && candidate.notes[layer]) || {};
+      const sourceNotes = new Set(normalizeNotes(sourceLayer.en));
+      const candidateNotes = new Set(normalizeNotes(candidateLayer.en));
+
+      // Layers neither product describes don't count against them
+      if (sourceNotes.size === 0 && candidateNotes.size === 0) {
+        continue;
+      }
+
+      const shared = [...sourceNotes].filter(note => candidateNotes.has(note));
+      const union = new Set([...sourceNotes, ...candidateNotes]);
+
+      noteScore += weight * (shared.length / union.size);
+      layerWeightTotal += weight;
+
+      sharedNotes.en.push(...(candidateLayer.en || []).filter(note => shared.includes(String(note).trim().toLowerCase())));
+      const sourceAr = new Set(normalizeNotes(sourceLayer.ar));
+      sharedNotes.ar.push(...(candidateLayer.ar || []).filter(note => sourceAr.has(String(note).trim().toLowerCase())));
+    }
+
+    const notes = layerWeightTotal > 0 ? noteScore / layerWeightTotal : 0;
+    const sourceCategories = new Set((source.categories || []).map(String));
+    const category = (candidate.categories || []).some(id => sourceCategories.has(String(id))) ? 1 : 0;
+    const highestPrice = Math.max(source.price || 0, candidate.price || 0);
+    const price = highestPrice > 0
+      ? 1 - Math.abs((source.price || 0) - (candidate.price || 0)) / highestPrice
+      : 0;
+
+    // Price alone doesn't make two perfumes alike
+    if (notes === 0 && category === 0) {
+      return { score: 0, sharedNotes };
+    }
+
+    return {
+      score: SIGNAL_WEIGHTS.notes * notes + SIGNAL_WEIGHTS.category * category + SIGNAL_WEIGHTS.price * price,
+      sharedNotes: {
+        en: [...new Set(sharedNotes.en)],
+        ar: [...new Set(sharedNotes.ar)]
+      }
+    };
+  }
+
+  /**
+   * Products most often ordered together with a product
+   * @param {string} productId - Product ID
+   * @param {number} limit - Maximum products to return
+   * @returns {Promise<Array<Object>>} In-stock products with the number of shared orders
+   */
+  async getBoughtTogether(productId, limit = 4) {
+    const pairs = await cacheService.getOrSet(
+      `recommendations:bought-together:${productId}`,
+      () => this.getCoPurchaseCounts(productId),
+      CO_PURCHASE_TTL
+    );
+
+    if (pairs.length === 0) {
+      return [];
+    }
+
+    const products = await Product.find({
+      _id: { $in: pairs.map(pair => pair.productId) },
+      inStock: true
+    })
+      .select(RECOMMENDATION_FIELDS)
+      .lean();
+
+    const byId = new Map(products.map(product => [String(product._id), product]));
+
+    return pairs
+      .filter(pair => byId.has(String(pair.productId)))
+      .slice(0, limit)
+      .map(pair => ({
+        ...byId.get(String(pair.productId)),
+        recommendation: { orders: pair.orders }
+      }));
+  }
+
+  /**
+   * Count, per other product, the orders it shares with a product
+   * @param {string} productId - Product ID
+   * @returns {Promise<Array<Object>>} [{ productId, orders }] most frequent first
+   */
+  async getCoPurchaseCounts(productId) {
+    const id = new mongoose.Types.ObjectId(String(productId));
+
+    const results = await Order.aggregate([
+      { $match: { 'items.productId': id, status: { $ne: 'cancelled' } } },
+      { $unwind: '$items' },
+      { $match: { 'items.productId': { $ne: id } } },
+      // Two sizes of the same perfume in one order count once
+      { $group: { _id: { order: '$_id', product: '$items.productId' } } },
+      { $group: { _id: '$_id.product', orders: { $sum: 1 } } },
+      { $match: { orders: { $gte: MIN_CO_PURCHASES } } },
+      { $sort: { orders: -1 } },
+      { $limit: 20 }
+    ]);
+
+    return results.map(result => ({ productId: result._id, orders: result.orders }));
+  }
+}
+
+module.exports = new RecommendationService();
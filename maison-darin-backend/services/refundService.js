@@ -0,0 +1,298 @@
+const Order = require('../models/Order');
+const Sequence = require('../models/Sequence');
+const orderService = require('./orderService');
+const paymentService = require('./paymentService');
+const giftCardService = require('./giftCardService');
+const invoiceService = require('./invoiceService');
+const databaseService = require('./databaseService');
+
+const roundCurrency = value => Math.round(value * 100) / 100;
+
+class RefundService {
+  /**
+   * Refund part or all of a paid order: some of its lines, its shipping, an
+   * amount on top, or, when none of these is given, everything left to
+   * refund. The refund is numbered and recorded on the order before any money
+   * moves, so the same money is never paid back twice.
+   * @param {string} orderId - Order ID
+   * @param {Object} request - items ({ orderItem, quantity }), shipping,
+   *   amount, reason (Order.REFUND_REASONS) and note
+   * @param {Object} [options] - actor, reference of a refund paid by hand,
+   *   returnId of the return it pays for
+   * @returns {Promise<Object>} Updated order and the refund
+   */
+  async refundOrder(orderId, request, { actor = { type: 'system' }, reference, returnId } = {}) {
+    try {
+      const order = await Order.findById(orderId);
+      if (!order) {
+        throw new Error('Order not found');
+      }
+      if (order.getRefundableAmount() <= 0) {
+        throw new Error(order.paymentStatus === 'refunded'
+          ? 'Order has already been refunded in full'
+          : 'Only paid orders can be refunded');
+      }
+
+      const calculated = this.calculateRefund(order, request);
+
+      // Claimed against the refunds the amounts were worked out from, so two
+      // refunds made at once cannot both pay back the same money
+      const claimed = await databaseService.executeWithTransaction(async session => {
+        const refundId = await Sequence.next('refund', { session });
+        const refunding = await Order.findOneAndUpdate(
+          { _id: order._id, [`refunds.${order.refunds.length}`]: { $exists: false } },
+          {
+            $push: {
+              refunds: {
+                refundId,
+                reason: request.reason,
+                note: request.note,
+                ...calculated,
+                status: 'processing',
+                return: returnId,
+                actor
+              }
+            },
+            $inc: { refundedTotal: calculated.amount }
+          },
+          { new: true, session }
+        );
+        if (!refunding) {
+          throw new Error('Order was refunded by someone else in the meantime; reload it and try again');
+        }
+        return refunding;
+      });
+
+      const { refundId } = claimed.refunds[claimed.refunds.length - 1];
+      return await this.executeRefund(claimed, refundId, { actor, reference });
+    } catch (error) {
+      throw new Error(`Failed to refund order: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send a refund that failed again, or complete one paid by hand or left
+   * pending by the gateway with the reference of the payment. A pending
+   * refund is never sent again, as the gateway may still pay it
+   * @param {string} orderId - Order ID
+   * @param {string} refundId - Refund number
+   * @param {Object} [options] - actor, reference of a refund paid by hand
+   * @returns {Promise<Object>} Updated order and the refund
+   */
+  async retryRefund(orderId, refundId, { actor = { type: 'system' }, reference } = {}) {
+    try {
+      const order = await Order.findById(orderId);
+      if (!order) {
+        throw new Error('Order not found');
+      }
+      const refund = (order.refunds || []).find(entry => entry.refundId === refundId);
+      if (!refund) {
+        throw new Error('Refund not found');
+      }
+      if (refund.status === 'completed') {
+        throw new Error('Refund has already been made');
+      }
+      if (refund.status === 'pending' && !reference) {
+        throw new Error(refund.method === 'manual'
+          ? 'Record the reference of the refund paid by hand'
+          : 'Refund is pending with the gateway; record its reference once the gateway has paid it');
+      }
+
+      const claimed = await Order.findOneAndUpdate(
+        { _id: order._id, refunds: { $elemMatch: { refundId, status: { $in: ['failed', 'pending'] } } } },
+        { $set: { 'refunds.$.status': 'processing' } },
+        { new: true }
+      );
+      if (!claimed) {
+        throw new Error('Refund is already being made');
+      }
+
+      return await this.executeRefund(claimed, refundId, { actor, reference });
+    } catch (error) {
+      throw new Error(`Failed to retry refund: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pay a claimed refund back: what gift cards or store credit paid as store
+   * credit, the rest through the order's payment gateway, or by hand for cash
+   * on delivery and bank transfers. A refund that cannot be sent is kept as
+   * failed so it can be retried. Once the money is on its way the order's
+   * payment status follows, the order is marked refunded when nothing is
+   * left to refund, and a credit note is issued.
+   * @param {Object} order - Order with the refund claimed as processing
+   * @param {string} refundId - Refund number
+   * @param {Object} options - actor, reference of a refund paid by hand
+   * @returns {Promise<Object>} Updated order and the refund
+   */
+  async executeRefund(order, refundId, { actor, reference }) {
+    const refund = order.refunds.find(entry => entry.refundId === refundId).toObject();
+    const note = `Refund ${refundId} of order ${order.orderNumber}`;
+    const errors = [];
+    let pending = false;
+    let pendingNote;
+
+    if (refund.storeCreditAmount > 0 && !refund.storeCredit) {
+      try {
+        const card = await giftCardService.issueStoreCredit({
+          email: order.customerInfo.email,
+          amount: refund.storeCreditAmount,
+          source: refund.return ? 'return' : 'refund',
+          note
+        }, actor.user, { order });
+        refund.storeCredit = card._id;
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+
+    if (refund.gatewayAmount > 0 && !refund.gatewayRefundId) {
+      if (reference) {
+        refund.method = refund.method || 'manual';
+      } else {
+        try {
+          const result = await paymentService.refundOrderPayment(order, refund.gatewayAmount, note, { refundId });
+          refund.method = result.method;
+          refund.gatewayRefundId = result.gatewayRefundId;
+          pending = result.status === 'pending';
+          pendingNote = pending ? result.error : undefined;
+          if (result.status === 'failed') {
+            errors.push(result.error);
+          }
+        } catch (error) {
+          errors.push(error.message);
+        }
+      }
+    }
+
+    // Whatever could not be paid automatically was paid by hand
+    if (reference) {
+      refund.reference = reference;
+      errors.length = 0;
+    }
+
+    refund.error = errors.length > 0 ? errors.join('; ') : pendingNote;
+    refund.status = errors.length > 0 ? 'failed' : (pending ? 'pending' : 'completed');
+    if (refund.status === 'completed') {
+      refund.completedAt = new Date();
+    }
+
+    const update = { $set: { 'refunds.$': refund } };
+    const refundedInFull = order.getRefundableAmount() <= 0;
+    if (refund.status !== 'failed' && !(refundedInFull && order.canTransitionTo('refunded'))) {
+      update.$set.paymentStatus = refundedInFull ? 'refunded' : 'partially_refunded';
+    }
+    let updated = await Order.findOneAndUpdate(
+      { _id: order._id, 'refunds.refundId': refundId },
+      update,
+      { new: true }
+    );
+
+    if (refund.status !== 'failed') {
+      // Refunding the order in full sets off what a refunded order entails:
+      // points taken back, gift cards it bought voided, the customer told
+      if (refundedInFull && updated.canTransitionTo('refunded')) {
+        updated = await orderService.changeStatus(updated._id, 'refunded', { actor, reason: refund.note || note });
+      }
+      if (await invoiceService.issueCreditNoteSafely(updated, refund)) {
+        updated = await Order.findById(updated._id);
+      }
+    }
+
+    return {
+      order: updated,
+      refund: updated.refunds.find(entry => entry.refundId === refundId)
+    };
+  }
+
+  /**
+   * Work out a refund of an order. Lines are paid back at what the customer
+   * paid for them, with the order's discounts and tax shared across its
+   * goods; gift cards it bought can only be paid back as an amount. Nothing
+   * is paid back twice, and what gift cards paid for is split off as store
+   * credit.
+   * @param {Object} order - Order
+   * @param {Object} request - items ({ orderItem, quantity }), shipping and
+   *   amount; everything left to refund when none is given
+   * @returns {Object} lines, shipping, adjustment, amount, gatewayAmount,
+   *   storeCreditAmount and method
+   */
+  calculateRefund(order, { items = [], shipping = 0, amount = 0 } = {}) {
+    const giftCardLines = order.items.reduce((sum, item) => sum + (item.giftCard ? item.subtotal : 0), 0);
+    const goods = order.subtotal - giftCardLines;
+    const paidForGoods = order.total - (order.shippingCost || 0) - giftCardLines;
+    const share = goods > 0 ? Math.max(paidForGoods, 0) / goods : 0;
+
+    const refunds = order.refunds || [];
+    const refunded = new Map();
+    refunds.forEach(refund => refund.lines.forEach(line => {
+      const key = String(line.orderItem);
+      refunded.set(key, (refunded.get(key) || 0) + line.quantity);
+    }));
+    const shippingLeft = roundCurrency((order.shippingCost || 0) -
+      refunds.reduce((sum, refund) => sum + (refund.shipping || 0), 0));
+    const refundable = order.getRefundableAmount();
+
+    const everything = items.length === 0 && !shipping && !amount;
+    const requested = everything
+      ? order.items
+        .filter(item => !item.giftCard)
+        .map(item => ({ orderItem: item._id, quantity: item.quantity - (refunded.get(String(item._id)) || 0) }))
+        .filter(item => item.quantity > 0)
+      : items;
+
+    const lines = requested.map(({ orderItem, quantity }) => {
+      const item = order.items.find(line => String(line._id) === String(orderItem));
+      if (!item) {
+        throw new Error('This item is not part of the order');
+      }
+      if (item.giftCard) {
+        throw new Error('Gift cards bought with the order can only be refunded as an amount');
+      }
+      const left = item.quantity - (refunded.get(String(item._id)) || 0);
+      if (quantity > left) {
+        throw new Error(`Only ${left} of ${item.productName} can be refunded`);
+      }
+      return {
+        orderItem: item._id,
+        productName: item.productName,
+        variantSize: item.variantSize,
+        quantity,
+        amount: roundCurrency(item.price * quantity * share)
+      };
+    });
+
+    const shippingRefund = everything ? Math.max(shippingLeft, 0) : roundCurrency(shipping);
+    if (shippingRefund > shippingLeft) {
+      throw new Error(`Only ${Math.max(shippingLeft, 0).toFixed(2)} of shipping can be refunded`);
+    }
+
+    const itemized = roundCurrency(lines.reduce((sum, line) => sum + line.amount, 0) + shippingRefund);
+    // Anything left over, such as gift cards bought, is paid back as an adjustment
+    const adjustment = everything ? Math.max(roundCurrency(refundable - itemized), 0) : roundCurrency(amount);
+    const total = everything ? refundable : roundCurrency(itemized + adjustment);
+    if (total <= 0) {
+      throw new Error('Choose the items, shipping or amount to refund');
+    }
+    if (total > refundable) {
+      throw new Error(`Refund of ${total.toFixed(2)} is more than the ${refundable.toFixed(2)} left to refund`);
+    }
+
+    const storeCreditAmount = order.total > 0
+      ? roundCurrency(total * Math.min((order.giftCardTotal || 0) / order.total, 1))
+      : 0;
+    const gatewayAmount = roundCurrency(total - storeCreditAmount);
+
+    return {
+      lines,
+      shipping: shippingRefund,
+      adjustment,
+      amount: total,
+      gatewayAmount,
+      storeCreditAmount,
+      method: gatewayAmount > 0 ? undefined : 'store_credit'
+    };
+  }
+}
+
+module.exports = new RefundService();
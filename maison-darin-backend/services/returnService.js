@@ -0,0 +1,484 @@
+const Return = require('../models/Return');
+const Order = require('../models/Order');
+const orderService = require('./orderService');
+const refundService = require('./refundService');
+const emailService = require('./emailService');
+const cloudinaryService = require('./cloudinaryService');
+const databaseService = require('./databaseService');
+const ImageValidation = require('../utils/imageValidation');
+const logger = require('../utils/logger');
+
+// Days after delivery a return can be requested in
+const RETURN_WINDOW_DAYS = 14;
+
+const PHOTO_MAX_SIZE = 5 * 1024 * 1024;
+const PHOTO_FOLDER = 'maison-darin/returns';
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class ReturnService {
+  /**
+   * Request a return of some lines of a delivered order, as the customer who
+   * placed it
+   * @param {Object} data - orderNumber, email, items ({ orderItem, quantity }),
+   *   reason, details, language
+   * @param {Array<Object>} files - Uploaded photo files (multer)
+   * @returns {Promise<Object>} Created return
+   */
+  async requestReturn(data, files = []) {
+    let photos = [];
+
+    try {
+      const order = await this.findCustomerOrder(data.orderNumber, data.email);
+      const returnable = await this.getReturnableItems(order);
+
+      const items = data.items.map(({ orderItem, quantity }) => {
+        const line = returnable.find(item => String(item.orderItem) === String(orderItem));
+        if (!line) {
+          throw new Error('This item is not part of the order or cannot be returned');
+        }
+        if (quantity > line.returnableQuantity) {
+          throw new Error(`Only ${line.returnableQuantity} of ${line.productName} can be returned`);
+        }
+        return { ...line.item, quantity };
+      });
+
+      // Photos are only uploaded once the return is known to be allowed
+      photos = await this.uploadPhotos(files);
+
+      const { firstName = '', lastName = '' } = order.customerInfo;
+      const name = `${firstName} ${lastName}`.trim();
+      const returnRequest = await Return.create({
+        order: order._id,
+        orderNumber: order.orderNumber,
+        customer: { name, email: order.customerInfo.email },
+        language: data.language,
+        items,
+        reason: data.reason,
+        details: data.details,
+        photos,
+        timeline: [{ status: 'requested', actor: { type: 'customer', name } }]
+      });
+
+      await this.notify(returnRequest);
+      return returnRequest;
+    } catch (error) {
+      await this.deletePhotos(photos);
+      throw new Error(`Failed to request return: ${error.message}`);
+    }
+  }
+
+  /**
+   * The returns of an order and what can still be returned, as the customer
+   * sees them on the tracking page
+   * @param {string} orderNumber - Order number
+   * @param {string} email - Email the order was placed with
+   * @returns {Promise<Object>} returns, items that can be returned, and the
+   *   last day of the return window
+   */
+  async getOrderReturns(orderNumber, email) {
+    try {
+      const order = await Order.findOne({
+        orderNumber: String(orderNumber).trim().toUpperCase(),
+        'customerInfo.email': String(email).trim().toLowerCase()
+      });
+      if (!order) {
+        throw new Error('Order not found');
+      }
+
+      const returns = await Return.find({ order: order._id })
+        .select('returnNumber items reason status timeline.status timeline.at refund.amount refund.status createdAt')
+        .sort({ createdAt: -1 })
+        .lean();
+      const windowEndsAt = this.getReturnWindowEnd(order);
+      const open = order.status === 'delivered' && windowEndsAt && windowEndsAt > new Date();
+
+      return {
+        returns,
+        windowEndsAt,
+        returnableItems: open
+          ? (await this.getReturnableItems(order, { returns }))
+            .filter(line => line.returnableQuantity > 0)
+            .map(({ orderItem, productName, variantSize, returnableQuantity }) =>
+              ({ orderItem, productName, variantSize, returnableQuantity }))
+          : []
+      };
+    } catch (error) {
+      throw new Error(`Failed to get returns: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a delivered order of a customer that is still in its return window
+   * @param {string} orderNumber - Order number
+   * @param {string} email - Email the order was placed with
+   * @returns {Promise<Object>} The order
+   */
+  async findCustomerOrder(orderNumber, email) {
+    const order = await Order.findOne({
+      orderNumber: String(orderNumber).trim().toUpperCase(),
+      'customerInfo.email': String(email).trim().toLowerCase()
+    });
+
+    if (!order) {
+      throw new Error('Order not found for this email address');
+    }
+    if (order.status !== 'delivered') {
+      throw new Error('Only delivered orders can be returned');
+    }
+
+    const windowEndsAt = this.getReturnWindowEnd(order);
+    if (!windowEndsAt || windowEndsAt < new Date()) {
+      throw new Error(`Returns must be requested within ${RETURN_WINDOW_DAYS} days of delivery`);
+    }
+
+    return order;
+  }
+
+  /**
+   * Last day a return of an order can be requested on
+   * @param {Object} order - Order
+   * @returns {Date|null} End of the return window, or null if not delivered
+   */
+  getReturnWindowEnd(order) {
+    const delivered = (order.timeline || []).filter(entry => entry.status === 'delivered').pop();
+    const deliveredAt = delivered ? delivered.at : (order.status === 'delivered' && order.updatedAt);
+    if (!deliveredAt) return null;
+
+    return new Date(new Date(deliveredAt).getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * How much of each line of an order can still be returned. Gift cards
+   * cannot be returned; a rejected return gives its items back, and a
+   * received one only counts what arrived.
+   * @param {Object} order - Order
+   * @param {Object} [options] - returns of the order, when already loaded
+   * @returns {Promise<Array<Object>>} Lines with the return item fields
+   */
+  async getReturnableItems(order, { returns } = {}) {
+    const existing = returns || await Return.find({ order: order._id }).select('items status').lean();
+
+    const returned = new Map();
+    existing
+      .filter(returnRequest => returnRequest.status !== 'rejected')
+      .forEach(returnRequest => returnRequest.items.forEach(item => {
+        const quantity = item.receivedQuantity !== undefined && item.receivedQuantity !== null
+          ? item.receivedQuantity
+          : item.quantity;
+        const key = String(item.orderItem);
+        returned.set(key, (returned.get(key) || 0) + quantity);
+      }));
+
+    return order.items
+      .filter(item => !item.giftCard)
+      .map(item => ({
+        orderItem: item._id,
+        productName: item.productName,
+        variantSize: item.variantSize,
+        returnableQuantity: Math.max(item.quantity - (returned.get(String(item._id)) || 0), 0),
+        item: {
+          orderItem: item._id,
+          productId: item.productId,
+          productName: item.productName,
+          variantId: item.variantId,
+          variantSize: item.variantSize,
+          bundleComponents: item.bundleComponents,
+          price: item.price
+        }
+      }));
+  }
+
+  /**
+   * Get returns for the admin
+   * @param {Object} filters - status, search (return, order number or email), page, limit
+   * @returns {Promise<Object>} Returns and pagination
+   */
+  async getReturns(filters = {}) {
+    try {
+      const page = parseInt(filters.page, 10) || 1;
+      const limit = parseInt(filters.limit, 10) || 20;
+      const query = {};
+
+      if (filters.status) {
+        query.status = filters.status;
+      }
+      if (filters.search) {
+        const pattern = new RegExp(escapeRegex(filters.search.trim()), 'i');
+        query.$or = [{ returnNumber: pattern }, { orderNumber: pattern }, { 'customer.email': pattern }];
+      }
+
+      const [returns, total] = await Promise.all([
+        Return.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+        Return.countDocuments(query)
+      ]);
+
+      return {
+        returns,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to get returns: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a return
+   * @param {string} id - Return ID
+   * @returns {Promise<Object>} Return
+   */
+  async getReturnById(id) {
+    try {
+      const returnRequest = await Return.findById(id);
+      if (!returnRequest) {
+        throw new Error('Return not found');
+      }
+      return returnRequest;
+    } catch (error) {
+      throw new Error(`Failed to get return: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move a return to its next stage. Receiving records how many of each item
+   * arrived; inspecting records their condition, puts the items that can be
+   * sold again back into stock and refunds what was received.
+   * @param {string} id - Return ID
+   * @param {string} status - approved, rejected, received or inspected
+   * @param {Object} [change] - actor, note, and items ({ orderItem,
+   *   receivedQuantity } when receiving, { orderItem, condition } when inspecting)
+   * @returns {Promise<Object>} Updated return
+   */
+  async changeStatus(id, status, { actor = { type: 'system' }, note, items = [] } = {}) {
+    try {
+      const returnRequest = await Return.findById(id);
+      if (!returnRequest) {
+        throw new Error('Return not found');
+      }
+
+      // Refunding has its own step, as it may need the admin to pay by hand
+      const refused = status === 'refunded'
+        ? 'Refund a return through its refund action'
+        : returnRequest.checkTransition(status);
+      if (refused) {
+        throw new Error(refused);
+      }
+
+      const updates = new Map(items.map(item => [String(item.orderItem), item]));
+      const returnItems = returnRequest.items.map(item => {
+        const fields = item.toObject();
+        const update = updates.get(String(item.orderItem)) || {};
+        if (status === 'received') {
+          const received = update.receivedQuantity === undefined ? item.quantity : update.receivedQuantity;
+          if (received > item.quantity) {
+            throw new Error(`More of ${item.productName} cannot be received than was returned`);
+          }
+          fields.receivedQuantity = received;
+        }
+        if (status === 'inspected') {
+          fields.condition = update.condition || 'resellable';
+        }
+        return fields;
+      });
+      if (status === 'received' && returnItems.every(item => item.receivedQuantity === 0)) {
+        throw new Error('At least one item must be received');
+      }
+
+      const previousStatus = returnRequest.status;
+      const updated = await databaseService.executeWithTransaction(async session => {
+        const claimed = await Return.findOneAndUpdate(
+          { _id: returnRequest._id, status: previousStatus },
+          {
+            $set: { status, items: returnItems },
+            $push: { timeline: { status, at: new Date(), actor, note } }
+          },
+          { new: true, session }
+        );
+        if (!claimed) {
+          throw new Error('Return was changed by someone else; reload it and try again');
+        }
+
+        // Damaged items are written off rather than put back on sale
+        if (status === 'inspected') {
+          const restock = claimed.items
+            .filter(item => item.condition === 'resellable' && item.receivedQuantity > 0)
+            .map(item => ({ ...item.toObject(), quantity: item.receivedQuantity }));
+          await orderService.restoreProductStock(restock, {
+            session,
+            type: 'return',
+            order: claimed.order,
+            reason: `Return ${claimed.returnNumber}`
+          });
+        }
+        return claimed;
+      });
+
+      if (status === 'inspected') {
+        return await this.refundReturn(updated._id, { actor });
+      }
+
+      await this.notify(updated);
+      return updated;
+    } catch (error) {
+      throw new Error(`Failed to update return: ${error.message}`);
+    }
+  }
+
+  /**
+   * Refund an inspected return as a refund of its order's received lines, so
+   * it gets a credit note and is never paid back twice. A refund that failed
+   * or has to be paid by hand is completed by calling this again, with the
+   * reference of the payment made by hand if so.
+   * @param {string} id - Return ID
+   * @param {Object} [options] - actor, reference of a payment made by hand
+   * @returns {Promise<Object>} Updated return
+   */
+  async refundReturn(id, { actor = { type: 'system' }, reference } = {}) {
+    try {
+      const returnRequest = await Return.findById(id);
+      if (!returnRequest) {
+        throw new Error('Return not found');
+      }
+      const refused = returnRequest.checkTransition('refunded');
+      if (refused) {
+        throw new Error(refused);
+      }
+
+      const previous = returnRequest.refund && returnRequest.refund.refundId
+        ? returnRequest.refund.toObject()
+        : null;
+      if (previous && previous.status === 'pending' && !reference) {
+        throw new Error('Record the reference of the refund paid by hand');
+      }
+
+      // Only one refund of a return runs at a time, so money is sent once
+      const claimed = await Return.findOneAndUpdate(
+        { _id: returnRequest._id, status: 'inspected', 'refund.status': { $ne: 'processing' } },
+        { $set: { 'refund.status': 'processing' } }
+      );
+      if (!claimed) {
+        throw new Error('Return is already being refunded');
+      }
+
+      let refund;
+      try {
+        const result = previous
+          ? await refundService.retryRefund(returnRequest.order, previous.refundId, { actor, reference })
+          : await refundService.refundOrder(returnRequest.order, {
+            items: returnRequest.items
+              .filter(item => item.receivedQuantity > 0)
+              .map(item => ({ orderItem: item.orderItem, quantity: item.receivedQuantity })),
+            reason: 'returned',
+            note: `Return ${returnRequest.returnNumber}`
+          }, { actor, reference, returnId: returnRequest._id });
+        refund = this.copyRefund(result.refund);
+      } catch (error) {
+        refund = { ...previous, status: 'failed', error: error.message };
+      }
+
+      const update = { $set: { refund } };
+      if (refund.status === 'completed') {
+        update.$set.status = 'refunded';
+        update.$push = { timeline: { status: 'refunded', at: new Date(), actor, note: reference } };
+      }
+      const updated = await Return.findByIdAndUpdate(returnRequest._id, update, { new: true });
+
+      // The customer hears once the money is on its way, or that it is being sent
+      if (refund.status !== 'failed') {
+        await this.notify(updated);
+      }
+      return updated;
+    } catch (error) {
+      throw new Error(`Failed to refund return: ${error.message}`);
+    }
+  }
+
+  /**
+   * What a return records of the order refund that pays it
+   * @param {Object} orderRefund - Refund of the order
+   * @returns {Object} Return refund fields
+   */
+  copyRefund(orderRefund) {
+    return {
+      amount: orderRefund.amount,
+      gatewayAmount: orderRefund.gatewayAmount,
+      storeCreditAmount: orderRefund.storeCreditAmount,
+      method: orderRefund.method,
+      status: orderRefund.status,
+      refundId: orderRefund.refundId,
+      gatewayRefundId: orderRefund.gatewayRefundId,
+      storeCredit: orderRefund.storeCredit,
+      reference: orderRefund.reference,
+      error: orderRefund.error,
+      refundedAt: orderRefund.completedAt
+    };
+  }
+
+  /**
+   * Email the customer about their return's new stage; failures are logged
+   * @param {Object} returnRequest - Return in its new stage
+   */
+  async notify(returnRequest) {
+    try {
+      await emailService.sendReturnUpdate(returnRequest);
+    } catch (error) {
+      logger.error(`Failed to send return notification for ${returnRequest.returnNumber}:`, error.message);
+    }
+  }
+
+  /**
+   * Upload return photos through the media pipeline
+   * @param {Array<Object>} files - Multer files
+   * @returns {Promise<Array<Object>>} Stored photo references
+   */
+  async uploadPhotos(files = []) {
+    const photos = [];
+
+    try {
+      for (const file of files) {
+        const validation = ImageValidation.validateFile(file, { maxSize: PHOTO_MAX_SIZE });
+        if (!validation.valid) {
+          throw new Error(`Invalid photo: ${validation.error}`);
+        }
+
+        const result = await cloudinaryService.uploadImage(file.buffer, {
+          folder: PHOTO_FOLDER,
+          tags: ['return']
+        });
+
+        photos.push({
+          url: result.data.url,
+          cloudinaryId: result.data.publicId,
+          thumbnail: result.data.variants && result.data.variants.thumbnail
+        });
+      }
+
+      return photos;
+    } catch (error) {
+      await this.deletePhotos(photos);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove return photos from Cloudinary; failures are logged, not thrown
+   * @param {Array<Object>} photos - Stored photo references
+   */
+  async deletePhotos(photos = []) {
+    await Promise.all(photos.map(photo =>
+      cloudinaryService.deleteImage(photo.cloudinaryId).catch(error => {
+        logger.warn('Failed to delete return photo', {
+          cloudinaryId: photo.cloudinaryId,
+          error: error.message
+        });
+      })
+    ));
+  }
+}
+
+module.exports = new ReturnService();
@@ -0,0 +1,327 @@
+const Review = require('../models/Review');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const cloudinaryService = require('./cloudinaryService');
+const ImageValidation = require('../utils/imageValidation');
+const logger = require('../utils/logger');
+
+const PHOTO_MAX_SIZE = 5 * 1024 * 1024;
+const PHOTO_FOLDER = 'maison-darin/reviews';
+
+const PUBLIC_SORTS = {
+  newest: { createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 }
+};
+
+// Fields customers never see on the storefront
+const PRIVATE_FIELDS = '-customer.email -order -orderNumber -moderation';
+
+class ReviewService {
+  /**
+   * Submit a review for a product from a delivered order
+   * @param {string} productId - Product ID
+   * @param {Object} reviewData - orderNumber, email, rating, language, title, comment
+   * @param {Array<Object>} files - Uploaded photo files (multer)
+   * @returns {Promise<Object>} Created review, pending moderation
+   */
+  async createReview(productId, reviewData, files = []) {
+    let photos = [];
+
+    try {
+      const product = await Product.findById(productId).select('_id');
+      if (!product) {
+        throw new Error('Product not found');
+      }
+
+      const order = await this.verifyPurchase(productId, reviewData.orderNumber, reviewData.email);
+
+      // Photos are only uploaded once the purchase is verified
+      photos = await this.uploadPhotos(files);
+
+      const { firstName = '', lastName = '' } = order.customerInfo;
+      const lastInitial = lastName ? ` ${lastName.charAt(0)}.` : '';
+      const language = reviewData.language || 'en';
+
+      const review = new Review({
+        product: productId,
+        order: order._id,
+        orderNumber: order.orderNumber,
+        customer: {
+          name: `${firstName}${lastInitial}`.trim(),
+          email: order.customerInfo.email
+        },
+        rating: reviewData.rating,
+        language,
+        title: reviewData.title ? { [language]: reviewData.title } : undefined,
+        comment: { [language]: reviewData.comment },
+        photos
+      });
+
+      return await review.save();
+    } catch (error) {
+      await this.deletePhotos(photos);
+
+      if (error.code === 11000) {
+        throw new Error('Failed to submit review: This product has already been reviewed for this order');
+      }
+      throw new Error(`Failed to submit review: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check that an order belongs to the given email, was delivered, contains
+   * the product and has not already been used to review it
+   * @param {string} productId - Product ID
+   * @param {string} orderNumber - Order number (e.g. MD-20240101-001)
+   * @param {string} email - Email used at checkout
+   * @returns {Promise<Object>} The order
+   */
+  async verifyPurchase(productId, orderNumber, email) {
+    const order = await Order.findOne({
+      orderNumber: String(orderNumber).trim().toUpperCase(),
+      'customerInfo.email': String(email).trim().toLowerCase()
+    });
+
+    if (!order) {
+      throw new Error('Order not found for this email address');
+    }
+    if (order.status !== 'delivered') {
+      throw new Error('Only delivered orders are eligible for review');
+    }
+
+    const purchased = order.items.some(item => String(item.productId) === String(productId));
+    if (!purchased) {
+      throw new Error('This product is not part of the order and is not eligible for review');
+    }
+
+    const existing = await Review.exists({ product: productId, order: order._id });
+    if (existing) {
+      throw new Error('This product has already been reviewed for this order');
+    }
+
+    return order;
+  }
+
+  /**
+   * Upload review photos through the media pipeline
+   * @param {Array<Object>} files - Multer files
+   * @returns {Promise<Array<Object>>} Stored photo references
+   */
+  async uploadPhotos(files = []) {
+    const photos = [];
+
+    try {
+      for (const file of files) {
+        const validation = ImageValidation.validateFile(file, { maxSize: PHOTO_MAX_SIZE });
+        if (!validation.valid) {
+          throw new Error(`Invalid photo: ${validation.error}`);
+        }
+
+        const result = await cloudinaryService.uploadImage(file.buffer, {
+          folder: PHOTO_FOLDER,
+          tags: ['review']
+        });
+
+        photos.push({
+          url: result.data.url,
+          cloudinaryId: result.data.publicId,
+          thumbnail: result.data.variants && result.data.variants.thumbnail
+        });
+      }
+
+      return photos;
+    } catch (error) {
+      await this.deletePhotos(photos);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove review photos from Cloudinary; failures are logged, not thrown
+   * @param {Array<Object>} photos - Stored photo references
+   */
+  async deletePhotos(photos = []) {
+    await Promise.all(photos.map(photo =>
+      cloudinaryService.deleteImage(photo.cloudinaryId).catch(error => {
+        logger.warn('Failed to delete review photo', {
+          cloudinaryId: photo.cloudinaryId,
+          error: error.message
+        });
+      })
+    ));
+  }
+
+  /**
+   * Get approved reviews of a product with its rating summary
+   * @param {string} productId - Product ID
+   * @param {Object} options - page, limit, sort (newest|highest|lowest)
+   * @returns {Promise<Object>} Reviews, summary and pagination
+   */
+  async getProductReviews(productId, options = {}) {
+    try {
+      const { page = 1, limit = 5, sort = 'newest' } = options;
+      const query = { product: productId, status: 'approved' };
+      const skip = (page - 1) * limit;
+
+      const [reviews, total, summary] = await Promise.all([
+        Review.find(query)
+          .select(PRIVATE_FIELDS)
+          .sort(PUBLIC_SORTS[sort] || PUBLIC_SORTS.newest)
+          .skip(skip)
+          .limit(Number(limit))
+          .lean(),
+        Review.countDocuments(query),
+        Review.getRatingSummary(productId)
+      ]);
+
+      return {
+        reviews,
+        summary,
+        pagination: {
+          page: Number(page),
+          limit: Number(limit),
+          total,
+          pages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to get product reviews: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get reviews for the admin moderation queue
+   * @param {Object} options - status, product, page, limit
+   * @returns {Promise<Object>} Reviews with pagination info
+   */
+  async getReviews(options = {}) {
+    try {
+      const { status, product, page = 1, limit = 20 } = options;
+      const query = {};
+
+      if (status) {
+        query.status = status;
+      }
+      if (product) {
+        query.product = product;
+      }
+
+      const skip = (page - 1) * limit;
+
+      const [reviews, total] = await Promise.all([
+        Review.find(query)
+          .populate('product', 'name images')
+          .populate('moderation.moderatedBy', 'email')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(Number(limit))
+          .lean(),
+        Review.countDocuments(query)
+      ]);
+
+      return {
+        reviews,
+        pagination: {
+          page: Number(page),
+          limit: Number(limit),
+          total,
+          pages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to get reviews: ${error.message}`);
+    }
+  }
+
+  /**
+   * Approve or reject a review, optionally adding translations, and
+   * refresh the product's rating
+   * @param {string} id - Review ID
+   * @param {Object} decision - status, reason, title, comment
+   * @param {string} userId - Moderating admin
+   * @returns {Promise<Object>} Updated review
+   */
+  async moderateReview(id, decision, userId) {
+    try {
+      const review = await Review.findById(id);
+      if (!review) {
+        throw new Error('Review not found');
+      }
+
+      const { status, reason, title, comment } = decision;
+
+      review.status = status;
+      review.moderation = {
+        moderatedBy: userId,
+        moderatedAt: new Date(),
+        reason: reason || undefined
+      };
+
+      for (const language of ['en', 'ar']) {
+        if (title && title[language] !== undefined) {
+          review.set(`title.${language}`, title[language]);
+        }
+        if (comment && comment[language] !== undefined) {
+          review.set(`comment.${language}`, comment[language]);
+        }
+      }
+
+      const saved = await review.save();
+      await this.updateProductRating(review.product);
+
+      logger.info('Review moderated', {
+        reviewId: review._id,
+        status,
+        moderatedBy: userId
+      });
+
+      return saved;
+    } catch (error) {
+      throw new Error(`Failed to moderate review: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a review and its photos, then refresh the product's rating
+   * @param {string} id - Review ID
+   * @returns {Promise<Object>} Deleted review
+   */
+  async deleteReview(id) {
+    try {
+      const review = await Review.findByIdAndDelete(id);
+      if (!review) {
+        throw new Error('Review not found');
+      }
+
+      await this.deletePhotos(review.photos);
+      await this.updateProductRating(review.product);
+
+      return review;
+    } catch (error) {
+      throw new Error(`Failed to delete review: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store a product's aggregated rating, used for display and sorting
+   * @param {string} productId - Product ID
+   * @returns {Promise<Object>} Rating summary
+   */
+  async updateProductRating(productId) {
+    const summary = await Review.getRatingSummary(productId);
+
+    await Product.updateOne(
+      { _id: productId },
+      { $set: { averageRating: summary.averageRating, reviewCount: summary.reviewCount } }
+    );
+
+    return summary;
+  }
+}
+
+module.exports = new ReviewService();
@@ -34,7 +34,7 @@ class SampleRequestService {
       const savedRequest = await sampleRequest.save();
       
       // Populate product details
-      await savedRequest.populate('requestedProducts.product', 'name price category images');
+      await savedRequest.populate('requestedProducts.product', 'name price categories images');
 
       logger.info('Sample request created', {
         requestId: savedRequest._id,
@@ -119,7 +119,7 @@ class SampleRequestService {
       // Execute query
       const [requests, totalCount] = await Promise.all([
         SampleRequest.find(query)
-          .populate('requestedProducts.product', 'name price category images')
+          .populate('requestedProducts.product', 'name price categories images')
           .populate('adminNotes.addedBy', 'email')
           .populate('statusHistory.changedBy', 'email')
           .sort(sortOptions)
@@ -162,7 +162,7 @@ class SampleRequestService {
         _id: requestId,
         isDeleted: false
       })
-        .populate('requestedProducts.product', 'name price category images')
+        .populate('requestedProducts.product', 'name price categories images')
         .populate('adminNotes.addedBy', 'email')
         .populate('statusHistory.changedBy', 'email');
 
@@ -0,0 +1,274 @@
+const Product = require('../models/Product');
+const TextSearch = require('../utils/textSearch');
+
+// How much a match in each field contributes to a product's relevance
+const FIELD_WEIGHTS = {
+  name: 10,
+  notes: 6,
+  concentration: 5,
+  category: 4,
+  sku: 4,
+  description: 2
+};
+
+const MATCH_QUALITY = {
+  exact: 1,
+  prefix: 0.75,
+  fuzzy: 0.5
+};
+
+// Matches through a cross-language synonym rank slightly below literal matches
+const SYNONYM_FACTOR = 0.9;
+
+// Upper bound on products scored in memory for a single query
+const MAX_CANDIDATES = 500;
+
+class SearchService {
+  /**
+   * Search products with relevance ranking
+   * @param {string} query - Free-text query in English or Arabic
+   * @param {Object} options - Search options
+   * @param {Object} options.filter - Additional MongoDB filter (category, price, ...)
+   * @param {number} options.page - Page number
+   * @param {number} options.limit - Page size
+   * @param {string} options.sortBy - 'relevance' (default) or a product field
+   * @param {string} options.sortOrder - 'asc' or 'desc' when sorting by a field
+   * @returns {Promise<Object>} Products with pagination info
+   */
+  async searchProducts(query, options = {}) {
+    try {
+      const {
+        filter = {},
+        page = 1,
+        limit = 10,
+        sortBy = 'relevance',
+        sortOrder = 'desc'
+      } = options;
+
+      const ranked = await this.rankProducts(query, filter);
+
+      if (sortBy && sortBy !== 'relevance') {
+        const direction = sortOrder === 'asc' ? 1 : -1;
+        ranked.sort((a, b) => this.compareValues(a.product[sortBy], b.product[sortBy]) * direction);
+      }
+
+      const total = ranked.length;
+      const skip = (page - 1) * limit;
+      const products = ranked
+        .slice(skip, skip + Number(limit))
+        .map(({ product }) => product);
+
+      return {
+        products,
+        pagination: {
+          page: Number(page),
+          limit: Number(limit),
+          total,
+          pages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to search products: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get search-as-you-type suggestions for the storefront header
+   * @param {string} query - Partial query
+   * @param {Object} options - Options
+   * @param {number} options.limit - Maximum number of product suggestions
+   * @returns {Promise<Object>} Matching products and note suggestions
+   */
+  async autocomplete(query, options = {}) {
+    try {
+      const { limit = 6 } = options;
+      const ranked = await this.rankProducts(query);
+      const terms = TextSearch.tokenize(query);
+
+      const products = ranked.slice(0, limit).map(({ product }) => ({
+        _id: product._id,
+        name: product.name,
+        price: product.price,
+        categories: product.categories,
+        concentration: product.concentration,
+        image: product.images && product.images.length > 0 ? product.images[0].url : null,
+        inStock: product.inStock
+      }));
+
+      // Offer the fragrance notes the query matches as alternative searches
+      const notes = new Map();
+      for (const { product } of ranked) {
+        for (const note of Product.getSearchFields(product).notes) {
+          const key = TextSearch.normalize(note);
+          if (!notes.has(key) && this.matchesAllTerms(TextSearch.tokenize(note), terms)) {
+            notes.set(key, note);
+          }
+        }
+      }
+
+      return {
+        products,
+        notes: [...notes.values()].slice(0, 5)
+      };
+    } catch (error) {
+      throw new Error(`Failed to get search suggestions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fetch candidate products for a query and order them by relevance
+   * @param {string} query - Free-text query
+   * @param {Object} filter - Additional MongoDB filter
+   * @returns {Promise<Array<{product: Object, score: number}>>} Ranked matches
+   */
+  async rankProducts(query, filter = {}) {
+    const terms = TextSearch.tokenize(query);
+    const searchFilter = Product.buildSearchFilter(query);
+
+    if (!searchFilter) {
+      return [];
+    }
+
+    // Keep any $and the caller's filter already carries (e.g. facet clauses)
+    const candidates = await Product.find({
+      ...filter,
+      ...searchFilter,
+      $and: [...(filter.$and || []), ...searchFilter.$and]
+    })
+      .limit(MAX_CANDIDATES)
+      .populate('categories', 'name slug parentCategory')
+      .lean();
+
+    const normalizedQuery = TextSearch.normalize(query);
+
+    return candidates
+      .map(product => ({ product, score: this.scoreProduct(product, terms, normalizedQuery) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score || this.compareValues(b.product.createdAt, a.product.createdAt));
+  }
+
+  /**
+   * Score a product against query terms. Every term must match some field,
+   * otherwise the product scores 0.
+   * @param {Object} product - Product document or plain object
+   * @param {string[]} terms - Tokenized query
+   * @param {string} normalizedQuery - Whole query, normalized, for phrase bonuses
+   * @returns {number} Relevance score
+   */
+  scoreProduct(product, terms, normalizedQuery = '') {
+    const searchFields = Product.getSearchFields(product);
+    const fields = Object.entries(searchFields).map(([field, texts]) => ({
+      weight: FIELD_WEIGHTS[field] || 1,
+      tokens: texts.flatMap(text => TextSearch.tokenize(text))
+    }));
+
+    let score = 0;
+
+    for (const term of terms) {
+      const forms = TextSearch.expandToken(term);
+      let best = 0;
+
+      for (const { weight, tokens } of fields) {
+        for (const token of tokens) {
+          for (const form of forms) {
+            const quality = this.matchQuality(token, form) * (form === term ? 1 : SYNONYM_FACTOR);
+            best = Math.max(best, weight * quality);
+          }
+        }
+      }
+
+      if (best === 0) {
+        return 0;
+      }
+      score += best;
+    }
+
+    // Whole-phrase matches on the name outrank scattered term matches
+    const names = searchFields.name.map(name => TextSearch.normalize(name));
+    if (normalizedQuery && names.some(name => name.startsWith(normalizedQuery))) {
+      score += 8;
+    } else if (normalizedQuery && names.some(name => name.includes(normalizedQuery))) {
+      score += 5;
+    }
+
+    if (product.inStock) {
+      score += 1;
+    }
+    if (product.featured) {
+      score += 0.5;
+    }
+
+    return score;
+  }
+
+  /**
+   * Rate how well a product token matches a query form
+   * @param {string} token - Token from a product field
+   * @param {string} form - Query term or one of its synonyms
+   * @returns {number} Match quality between 0 and 1
+   */
+  matchQuality(token, form) {
+    if (token === form) {
+      return MATCH_QUALITY.exact;
+    }
+    if (form.length >= 2 && token.startsWith(form)) {
+      return MATCH_QUALITY.prefix;
+    }
+
+    const maxTypos = TextSearch.allowedTypos(form.length);
+    if (maxTypos > 0) {
+      // Compare against the token's head too, so a misspelt prefix still matches
+      const head = token.slice(0, form.length);
+      if (TextSearch.editDistance(token, form, maxTypos) <= maxTypos ||
+          TextSearch.editDistance(head, form, maxTypos) <= maxTypos) {
+        return MATCH_QUALITY.fuzzy;
+      }
+    }
+
+    return 0;
+  }
+
+  /**
+   * Check that each query term matches at least one of the given tokens
+   * @param {string[]} tokens - Candidate tokens
+   * @param {string[]} terms - Query terms
+   * @returns {boolean} Whether all terms match
+   */
+  matchesAllTerms(tokens, terms) {
+    return terms.every(term =>
+      TextSearch.expandToken(term).some(form =>
+        tokens.some(token => this.matchQuality(token, form) > 0)
+      )
+    );
+  }
+
+  /**
+   * Compare two sortable values (numbers, dates, bilingual names)
+   * @param {*} a - First value
+   * @param {*} b - Second value
+   * @returns {number} Negative, zero or positive
+   */
+  compareValues(a, b) {
+    const valueOf = value => {
+      if (value && typeof value === 'object' && !(value instanceof Date)) {
+        return value.en || value.ar || '';
+      }
+      return value instanceof Date ? value.getTime() : value;
+    };
+
+    const left = valueOf(a);
+    const right = valueOf(b);
+
+    if (left === right) return 0;
+    if (left === undefined || left === null) return -1;
+    if (right === undefined || right === null) return 1;
+    if (typeof left === 'string' && typeof right === 'string') {
+      return left.localeCompare(right);
+    }
+    return left < right ? -1 : 1;
+  }
+}
+
+module.exports = new SearchService();
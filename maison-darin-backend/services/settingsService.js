@@ -212,6 +212,35 @@ class SettingsService {
     }
   }
 
+  /**
+   * Get loyalty program settings
+   * @returns {Object} Earn and redeem rates, expiry and tier multipliers
+   */
+  async getLoyaltySettings() {
+    try {
+      const settings = await this.getSettings();
+      const loyalty = settings.loyalty;
+
+      return {
+        enabled: loyalty.enabled,
+        pointsPerCurrency: loyalty.pointsPerCurrency,
+        pointValue: loyalty.pointValue,
+        minRedeemPoints: loyalty.minRedeemPoints,
+        maxRedeemPercent: loyalty.maxRedeemPercent,
+        expiryMonths: loyalty.expiryMonths,
+        tierMultipliers: {
+          bronze: loyalty.tierMultipliers.bronze,
+          silver: loyalty.tierMultipliers.silver,
+          gold: loyalty.tierMultipliers.gold,
+          platinum: loyalty.tierMultipliers.platinum
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting loyalty settings:', error);
+      throw new Error(`Failed to get loyalty settings: ${error.message}`);
+    }
+  }
+
   /**
    * Get site information for frontend
    * @param {string} language - Language preference
@@ -264,6 +293,40 @@ class SettingsService {
            updates.taxes.defaultTaxRate > 100)) {
         throw new Error('Default tax rate must be between 0 and 100');
       }
+      if (updates.taxes.vatNumber && !/^3\d{13}3$/.test(updates.taxes.vatNumber)) {
+        throw new Error('VAT number must be 15 digits that start and end with 3');
+      }
+    }
+    
+    if (updates.loyalty) {
+      ['pointsPerCurrency', 'pointValue', 'minRedeemPoints', 'expiryMonths'].forEach(field => {
+        const value = updates.loyalty[field];
+        if (value !== undefined && (typeof value !== 'number' || value < 0)) {
+          throw new Error(`Loyalty ${field} must be a positive number`);
+        }
+      });
+
+      const { maxRedeemPercent } = updates.loyalty;
+      if (maxRedeemPercent !== undefined &&
+          (typeof maxRedeemPercent !== 'number' || maxRedeemPercent < 0 || maxRedeemPercent > 100)) {
+        throw new Error('Loyalty maxRedeemPercent must be between 0 and 100');
+      }
+    }
+    
+    if (updates.numbering) {
+      Object.entries(updates.numbering).forEach(([sequence, format]) => {
+        if (!format) return;
+        if (format.prefix !== undefined && !/^[A-Za-z0-9]{1,10}$/.test(format.prefix)) {
+          throw new Error(`Numbering ${sequence} prefix must be 1 to 10 letters or digits`);
+        }
+        if (format.reset !== undefined && !['daily', 'yearly'].includes(format.reset)) {
+          throw new Error(`Numbering ${sequence} reset must be either "daily" or "yearly"`);
+        }
+        if (format.padding !== undefined &&
+            (!Number.isInteger(format.padding) || format.padding < 1 || format.padding > 10)) {
+          throw new Error(`Numbering ${sequence} padding must be between 1 and 10`);
+        }
+      });
     }
     
     if (updates.localization) {
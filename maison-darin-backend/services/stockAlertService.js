@@ -0,0 +1,172 @@
+const Product = require('../models/Product');
+const StockSubscription = require('../models/StockSubscription');
+const emailService = require('./emailService');
+const alertingService = require('./alertingService');
+const logger = require('../utils/logger');
+
+class StockAlertService {
+  /**
+   * Subscribe an email address to be told when a sold-out product is back.
+   * Subscribing again to the same product reactivates the subscription.
+   * @param {string} productId - Product ID
+   * @param {Object} data - email and language
+   * @returns {Promise<Object>} Subscription
+   */
+  async subscribe(productId, { email, language = 'ar' }) {
+    try {
+      const product = await Product.findById(productId).select('stock');
+      if (!product) {
+        throw new Error('Product not found');
+      }
+      if (product.stock > 0) {
+        throw new Error('Invalid subscription: product is in stock');
+      }
+
+      return await StockSubscription.findOneAndUpdate(
+        { product: product._id, email },
+        {
+          $set: { language, status: 'active' },
+          $unset: { notifiedAt: 1, unsubscribedAt: 1 }
+        },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('Invalid product ID');
+      }
+      throw new Error(`Failed to subscribe: ${error.message}`);
+    }
+  }
+
+  /**
+   * Unsubscribe using the token from the email link; unsubscribing twice is harmless
+   * @param {string} token - Unsubscribe token
+   * @param {Date} now - Unsubscribe time
+   * @returns {Promise<Object>} Subscription
+   */
+  async unsubscribe(token, now = new Date()) {
+    try {
+      const subscription = await StockSubscription.findOne({ unsubscribeToken: token })
+        .populate('product', 'name');
+      if (!subscription) {
+        throw new Error('Subscription not found');
+      }
+
+      if (subscription.status !== 'unsubscribed') {
+        subscription.status = 'unsubscribed';
+        subscription.unsubscribedAt = now;
+        await subscription.save();
+      }
+
+      return subscription;
+    } catch (error) {
+      throw new Error(`Failed to unsubscribe: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check products whose stock just changed, and the bundles containing them:
+   * raise a low-stock alert when one drops to its threshold and email the
+   * customers waiting for one that is back in stock. Failures are logged, not
+   * thrown, since the stock change itself has already happened.
+   * @param {Array<string>} productIds - IDs of the products whose stock changed
+   * @param {Date} now - Check time
+   */
+  async checkStockLevels(productIds, now = new Date()) {
+    const products = await Product.find({
+      $or: [
+        { _id: { $in: productIds } },
+        { 'components.product': { $in: productIds } }
+      ]
+    }).select('name images stock lowStockThreshold lowStockAlertedAt');
+
+    for (const product of products) {
+      try {
+        await this.checkLowStock(product, now);
+        if (product.stock > 0) {
+          await this.notifySubscribers(product, now);
+        }
+      } catch (error) {
+        logger.error(`Stock alert check failed for product ${product._id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Alert once when a product's stock reaches its low-stock threshold, and
+   * re-arm the alert once the stock is back above it
+   * @param {Object} product - Product with stock and low-stock fields
+   * @param {Date} now - Check time
+   * @returns {Promise<boolean>} Whether an alert was raised
+   */
+  async checkLowStock(product, now = new Date()) {
+    const threshold = product.lowStockThreshold;
+    const isLow = threshold !== null && threshold !== undefined && product.stock <= threshold;
+
+    if (!isLow) {
+      if (product.lowStockAlertedAt) {
+        await Product.updateOne({ _id: product._id }, { $unset: { lowStockAlertedAt: 1 } });
+      }
+      return false;
+    }
+
+    // Claim the alert first so concurrent checks of the same product raise it once
+    const claimed = await Product.updateOne(
+      { _id: product._id, lowStockAlertedAt: null },
+      { $set: { lowStockAlertedAt: now } }
+    );
+    if (claimed.modifiedCount === 0) {
+      return false;
+    }
+
+    await alertingService.sendAlert({
+      type: 'LOW_STOCK',
+      severity: product.stock === 0 ? 'critical' : 'warning',
+      message: product.stock === 0
+        ? `${product.name.en} is out of stock`
+        : `${product.name.en} is low on stock: ${product.stock} left (threshold ${threshold})`,
+      context: { product: product._id, stock: product.stock, threshold },
+      timestamp: now.toISOString()
+    });
+
+    return true;
+  }
+
+  /**
+   * Email every active subscriber of a product that is back in stock
+   * @param {Object} product - Product with name and images
+   * @param {Date} now - Notification time
+   * @returns {Promise<number>} Number of subscribers emailed
+   */
+  async notifySubscribers(product, now = new Date()) {
+    const subscriptions = await StockSubscription.find({ product: product._id, status: 'active' });
+    let notified = 0;
+
+    for (const subscription of subscriptions) {
+      // Claim the subscription so a concurrent check doesn't email it twice
+      const claimed = await StockSubscription.findOneAndUpdate(
+        { _id: subscription._id, status: 'active' },
+        { $set: { status: 'notified', notifiedAt: now } },
+        { new: true }
+      );
+      if (!claimed) {
+        continue;
+      }
+
+      try {
+        await emailService.sendBackInStockNotification(claimed, product);
+        notified++;
+      } catch (error) {
+        // Leave it active so the next restock tries again
+        await StockSubscription.updateOne(
+          { _id: claimed._id, status: 'notified' },
+          { $set: { status: 'active' }, $unset: { notifiedAt: 1 } }
+        );
+      }
+    }
+
+    return notified;
+  }
+}
+
+module.exports = new StockAlertService();
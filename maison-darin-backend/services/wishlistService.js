@@ -0,0 +1,339 @@
+const crypto = require('crypto');
+const Wishlist = require('../models/Wishlist');
+const Product = require('../models/Product');
+const pricingService = require('./pricingService');
+const emailService = require('./emailService');
+const logger = require('../utils/logger');
+
+// Product fields shown on a wishlist and used to price it
+const WISHLIST_PRODUCT_FIELDS = 'name images price size variants categories inStock stock averageRating reviewCount';
+
+const hasPrice = value => value !== null && value !== undefined;
+
+class WishlistService {
+  /**
+   * Get a customer's wishlist, creating an empty one on first use
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Wishlist with current product prices
+   */
+  async getWishlist(userId) {
+    try {
+      const wishlist = await this.findOrCreate(userId);
+      return await this.toResponse(wishlist);
+    } catch (error) {
+      throw new Error(`Failed to get wishlist: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save a product to a customer's wishlist; saving it twice is harmless
+   * @param {string} userId - User ID
+   * @param {string} productId - Product ID
+   * @param {Date} now - Time the product was saved
+   * @returns {Promise<Object>} Updated wishlist
+   */
+  async addItem(userId, productId, now = new Date()) {
+    try {
+      const wishlist = await this.findOrCreate(userId);
+      const isSaved = wishlist.items.some(item => String(item.product) === String(productId));
+
+      if (!isSaved) {
+        if (wishlist.items.length >= Wishlist.MAX_ITEMS) {
+          throw new Error(`Invalid wishlist: it can hold at most ${Wishlist.MAX_ITEMS} products`);
+        }
+        const added = await this.addProducts(wishlist, [productId], now);
+        if (added.length === 0) {
+          throw new Error('Product not found');
+        }
+        await wishlist.save();
+      }
+
+      return await this.toResponse(wishlist);
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('Invalid product ID');
+      }
+      throw new Error(`Failed to add to wishlist: ${error.message}`);
+    }
+  }
+
+  /**
+   * Take a product off a customer's wishlist
+   * @param {string} userId - User ID
+   * @param {string} productId - Product ID
+   * @returns {Promise<Object>} Updated wishlist
+   */
+  async removeItem(userId, productId) {
+    try {
+      const wishlist = await this.findOrCreate(userId);
+      const remaining = wishlist.items.filter(item => String(item.product) !== String(productId));
+
+      if (remaining.length !== wishlist.items.length) {
+        wishlist.items = remaining;
+        await wishlist.save();
+      }
+      return await this.toResponse(wishlist);
+    } catch (error) {
+      throw new Error(`Failed to remove from wishlist: ${error.message}`);
+    }
+  }
+
+  /**
+   * Merge the wishlist a customer built as a guest into their account.
+   * Products already saved keep their date; products that no longer exist, or
+   * don't fit once the wishlist is full, are skipped.
+   * @param {string} userId - User ID
+   * @param {Object} data - products (IDs) and language
+   * @param {Date} now - Merge time
+   * @returns {Promise<Object>} Merged wishlist
+   */
+  async mergeItems(userId, { products = [], language }, now = new Date()) {
+    try {
+      const wishlist = await this.findOrCreate(userId);
+      const added = await this.addProducts(wishlist, products, now);
+
+      if (added.length > 0 || (language && language !== wishlist.language)) {
+        if (language) {
+          wishlist.language = language;
+        }
+        await wishlist.save();
+      }
+      return await this.toResponse(wishlist);
+    } catch (error) {
+      throw new Error(`Failed to merge wishlist: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update price-alert and language preferences
+   * @param {string} userId - User ID
+   * @param {Object} settings - priceAlerts and/or language
+   * @returns {Promise<Object>} Updated wishlist
+   */
+  async updateSettings(userId, settings) {
+    try {
+      const wishlist = await this.findOrCreate(userId);
+      wishlist.set(settings);
+      await wishlist.save();
+      return await this.toResponse(wishlist);
+    } catch (error) {
+      throw new Error(`Failed to update wishlist: ${error.message}`);
+    }
+  }
+
+  /**
+   * Turn on the public share link; sharing again keeps the same link
+   * @param {string} userId - User ID
+   * @returns {Promise<string>} Share token
+   */
+  async share(userId) {
+    try {
+      const wishlist = await this.findOrCreate(userId);
+      if (!wishlist.shareToken) {
+        wishlist.shareToken = crypto.randomBytes(16).toString('hex');
+        await wishlist.save();
+      }
+      return wishlist.shareToken;
+    } catch (error) {
+      throw new Error(`Failed to share wishlist: ${error.message}`);
+    }
+  }
+
+  /**
+   * Turn off the public share link; an old link stops working
+   * @param {string} userId - User ID
+   */
+  async unshare(userId) {
+    try {
+      await Wishlist.updateOne({ user: userId }, { $unset: { shareToken: 1 } });
+    } catch (error) {
+      throw new Error(`Failed to stop sharing wishlist: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a wishlist from its public share link
+   * @param {string} token - Share token
+   * @returns {Promise<Object>} { owner, items } with the owner's first name only
+   */
+  async getSharedWishlist(token) {
+    try {
+      const wishlist = await Wishlist.findOne({ shareToken: token }).populate('user', 'firstName');
+      if (!wishlist) {
+        throw new Error('Wishlist not found');
+      }
+
+      const { items } = await this.toResponse(wishlist);
+      return {
+        owner: wishlist.user ? wishlist.user.firstName : null,
+        items
+      };
+    } catch (error) {
+      throw new Error(`Failed to get shared wishlist: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a customer's wishlist or start an empty one (not saved until it changes)
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Wishlist document
+   */
+  async findOrCreate(userId) {
+    const wishlist = await Wishlist.findOne({ user: userId });
+    return wishlist || new Wishlist({ user: userId, items: [] });
+  }
+
+  /**
+   * Add the products that exist and aren't saved yet, as many as fit, remembering
+   * the price each was saved at
+   * @param {Object} wishlist - Wishlist document
+   * @param {Array<string>} productIds - Product IDs, in the order to add them
+   * @param {Date} now - Time the products were saved
+   * @returns {Promise<Array<string>>} IDs of the products added
+   */
+  async addProducts(wishlist, productIds, now) {
+    const saved = new Set(wishlist.items.map(item => String(item.product)));
+    const ids = [...new Set(productIds.map(String))].filter(id => !saved.has(id));
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const products = await Product.find({ _id: { $in: ids } }).select('price variants categories').lean();
+    const priced = await pricingService.applyEffectivePrices(products, now);
+    const byId = new Map(priced.map(product => [String(product._id), product]));
+
+    const added = ids
+      .filter(id => byId.has(id))
+      .slice(0, Math.max(Wishlist.MAX_ITEMS - wishlist.items.length, 0));
+    for (const id of added) {
+      wishlist.items.push({ product: id, addedAt: now, alertPrice: byId.get(id).effectivePrice });
+    }
+
+    return added;
+  }
+
+  /**
+   * Shape a wishlist for the storefront: newest first, with current prices and
+   * how far each product has dropped since it was saved
+   * @param {Object} wishlist - Wishlist document
+   * @returns {Promise<Object>} { items, priceAlerts, language, shareToken }
+   */
+  async toResponse(wishlist) {
+    const ids = wishlist.items.map(item => item.product);
+    const products = ids.length > 0
+      ? await Product.find({ _id: { $in: ids } })
+        .select(WISHLIST_PRODUCT_FIELDS)
+        .populate('categories', 'name slug')
+        .lean()
+      : [];
+    const priced = await pricingService.applyEffectivePrices(products);
+    const byId = new Map(priced.map(product => [String(product._id), product]));
+
+    const items = wishlist.items
+      .filter(item => byId.has(String(item.product)))
+      .sort((a, b) => b.addedAt - a.addedAt)
+      .map(item => {
+        const product = byId.get(String(item.product));
+        return {
+          product,
+          addedAt: item.addedAt,
+          // Saved at a higher price than it sells for now
+          priceDrop: hasPrice(item.alertPrice) && product.effectivePrice < item.alertPrice
+            ? { from: item.alertPrice, to: product.effectivePrice }
+            : null
+        };
+      });
+
+    return {
+      items,
+      priceAlerts: wishlist.priceAlerts,
+      language: wishlist.language,
+      shareToken: wishlist.shareToken || null
+    };
+  }
+
+  /**
+   * Email customers whose wishlisted products now sell for less than they last
+   * saw, one email per customer listing every drop. Each drop is announced
+   * once; a price that goes back up re-arms the alert for the next sale.
+   * @param {Date} now - Time to price at
+   * @returns {Promise<Object>} { checked, notified }
+   */
+  async checkPriceDrops(now = new Date()) {
+    const wishlists = await Wishlist.find({ priceAlerts: true, 'items.0': { $exists: true } })
+      .populate('user', 'email firstName isActive')
+      .lean();
+
+    const productIds = [...new Set(wishlists.flatMap(wishlist => wishlist.items.map(item => String(item.product))))];
+    const products = productIds.length > 0
+      ? await Product.find({ _id: { $in: productIds } }).select('name images price variants categories').lean()
+      : [];
+    const priced = await pricingService.applyEffectivePrices(products, now);
+    const byId = new Map(priced.map(product => [String(product._id), product]));
+
+    let notified = 0;
+    for (const wishlist of wishlists) {
+      try {
+        const updates = [];
+        const drops = [];
+
+        for (const item of wishlist.items) {
+          const product = byId.get(String(item.product));
+          if (!product) {
+            continue;
+          }
+
+          const price = product.effectivePrice;
+          if (!hasPrice(item.alertPrice) || price > item.alertPrice) {
+            updates.push({ product: item.product, price });
+          } else if (price < item.alertPrice) {
+            drops.push({ product, previousPrice: item.alertPrice, price });
+          }
+        }
+
+        if (drops.length > 0 && wishlist.user && wishlist.user.isActive !== false) {
+          await emailService.sendWishlistPriceDropNotification(wishlist.user, drops, wishlist.language);
+          // Only marked once sent, so a failed email is retried on the next check
+          updates.push(...drops.map(drop => ({ product: drop.product._id, price: drop.price })));
+          notified++;
+        }
+
+        if (updates.length > 0) {
+          await Wishlist.bulkWrite(updates.map(update => ({
+            updateOne: {
+              filter: { _id: wishlist._id },
+              update: { $set: { 'items.$[item].alertPrice': update.price } },
+              arrayFilters: [{ 'item.product': update.product }]
+            }
+          })));
+        }
+      } catch (error) {
+        logger.error(`Price-drop check failed for wishlist ${wishlist._id}:`, error);
+      }
+    }
+
+    return { checked: wishlists.length, notified };
+  }
+
+  /**
+   * Check wishlists for price drops periodically
+   * @param {number} intervalMs - Check interval
+   * @returns {Object} Interval timer
+   */
+  startPriceDropAlerts(intervalMs = 60 * 60 * 1000) {
+    const timer = setInterval(() => {
+      this.checkPriceDrops().catch(error => {
+        console.error('Wishlist price-drop check failed:', error.message);
+      });
+    }, intervalMs);
+
+    // Don't keep the process alive just for the alerts
+    if (timer.unref) {
+      timer.unref();
+    }
+
+    return timer;
+  }
+}
+
+module.exports = new WishlistService();
@@ -1,8 +1,10 @@
 const orderController = require('../../controllers/orderController');
 const orderService = require('../../services/orderService');
+const refundService = require('../../services/refundService');
 
 // Mock the order service
 jest.mock('../../services/orderService');
+jest.mock('../../services/refundService');
 
 describe('OrderController', () => {
   let req, res;
@@ -11,7 +13,8 @@ describe('OrderController', () => {
     req = {
       body: {},
       params: {},
-      query: {}
+      query: {},
+      user: { id: 'admin123', email: 'admin@example.com', role: 'admin' }
     };
     res = {
       status: jest.fn().mockReturnThis(),
@@ -49,7 +52,7 @@ describe('OrderController', () => {
 
       await orderController.createOrder(req, res);
 
-      expect(orderService.createOrder).toHaveBeenCalledWith(mockOrderData);
+      expect(orderService.createOrder).toHaveBeenCalledWith(mockOrderData, { customerEmail: undefined });
       expect(res.status).toHaveBeenCalledWith(201);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
@@ -58,6 +61,16 @@ describe('OrderController', () => {
       });
     });
 
+    it('should redeem against the account of the customer placing the order', async () => {
+      req.user = { id: 'customer123', email: 'layla@example.com', role: 'customer' };
+      req.body = mockOrderData;
+      orderService.createOrder.mockResolvedValue({ _id: 'order123' });
+
+      await orderController.createOrder(req, res);
+
+      expect(orderService.createOrder).toHaveBeenCalledWith(mockOrderData, { customerEmail: 'layla@example.com' });
+    });
+
     it('should handle order creation error', async () => {
       req.body = mockOrderData;
       orderService.createOrder.mockRejectedValue(new Error('Validation failed'));
@@ -205,21 +218,46 @@ describe('OrderController', () => {
     });
   });
 
+  const admin = { type: 'admin', user: 'admin123', name: 'admin@example.com' };
+
   describe('updateOrderStatus', () => {
     it('should update order status successfully', async () => {
-      const mockOrder = { _id: 'order123', orderStatus: 'confirmed' };
+      const mockOrder = { _id: 'order123', status: 'shipped' };
       req.params.id = 'order123';
-      req.body = { status: 'confirmed', statusType: 'order' };
+      req.body = { status: 'shipped', reason: 'Handed to courier', trackingNumber: 'TRK123' };
       orderService.updateOrderStatus.mockResolvedValue(mockOrder);
 
       await orderController.updateOrderStatus(req, res);
 
-      expect(orderService.updateOrderStatus).toHaveBeenCalledWith('order123', 'confirmed', 'order');
+      expect(orderService.updateOrderStatus).toHaveBeenCalledWith('order123', 'shipped', {
+        actor: admin,
+        reason: 'Handed to courier',
+        trackingNumber: 'TRK123'
+      });
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
         data: mockOrder,
-        message: 'Order order status updated successfully'
+        message: 'Order status updated successfully'
+      });
+    });
+
+    it('should refuse a move the order cannot make', async () => {
+      req.params.id = 'order123';
+      req.body = { status: 'delivered' };
+      orderService.updateOrderStatus.mockRejectedValue(
+        new Error('Failed to update order status: Order cannot be moved from pending to delivered')
+      );
+
+      await orderController.updateOrderStatus(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: {
+          code: 'ORDER_UPDATE_ERROR',
+          message: 'Failed to update order status: Order cannot be moved from pending to delivered'
+        }
       });
     });
 
@@ -259,14 +297,14 @@ describe('OrderController', () => {
 
   describe('cancelOrder', () => {
     it('should cancel order successfully', async () => {
-      const mockOrder = { _id: 'order123', orderStatus: 'cancelled' };
+      const mockOrder = { _id: 'order123', status: 'cancelled' };
       req.params.id = 'order123';
       req.body = { reason: 'Customer request' };
       orderService.cancelOrder.mockResolvedValue(mockOrder);
 
       await orderController.cancelOrder(req, res);
 
-      expect(orderService.cancelOrder).toHaveBeenCalledWith('order123', 'Customer request');
+      expect(orderService.cancelOrder).toHaveBeenCalledWith('order123', 'Customer request', admin);
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
@@ -295,13 +333,13 @@ describe('OrderController', () => {
 
   describe('confirmOrder', () => {
     it('should confirm order successfully', async () => {
-      const mockOrder = { _id: 'order123', orderStatus: 'confirmed' };
+      const mockOrder = { _id: 'order123', status: 'confirmed' };
       req.params.id = 'order123';
       orderService.confirmOrder.mockResolvedValue(mockOrder);
 
       await orderController.confirmOrder(req, res);
 
-      expect(orderService.confirmOrder).toHaveBeenCalledWith('order123');
+      expect(orderService.confirmOrder).toHaveBeenCalledWith('order123', admin);
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
@@ -329,14 +367,18 @@ describe('OrderController', () => {
 
   describe('refundOrder', () => {
     it('should refund order successfully', async () => {
-      const mockOrder = { _id: 'order123', paymentStatus: 'refunded' };
+      const mockOrder = { _id: 'order123', paymentStatus: 'partially_refunded' };
       req.params.id = 'order123';
-      req.body = { reason: 'Defective product' };
-      orderService.refundOrder.mockResolvedValue(mockOrder);
+      req.body = { items: [{ orderItem: 'line1', quantity: 1 }], reason: 'damaged', note: 'Cracked bottle' };
+      refundService.refundOrder.mockResolvedValue({ order: mockOrder, refund: { refundId: 'RF-2026-00001', status: 'completed' } });
 
       await orderController.refundOrder(req, res);
 
-      expect(orderService.refundOrder).toHaveBeenCalledWith('order123', 'Defective product');
+      expect(refundService.refundOrder).toHaveBeenCalledWith(
+        'order123',
+        { items: [{ orderItem: 'line1', quantity: 1 }], reason: 'damaged', note: 'Cracked bottle' },
+        { actor: admin, reference: undefined }
+      );
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
@@ -345,10 +387,28 @@ describe('OrderController', () => {
       });
     });
 
+    it('should say when the gateway refused the refund', async () => {
+      const mockOrder = { _id: 'order123', paymentStatus: 'paid' };
+      req.params.id = 'order123';
+      req.body = { amount: 50, reason: 'goodwill' };
+      refundService.refundOrder.mockResolvedValue({
+        order: mockOrder,
+        refund: { refundId: 'RF-2026-00002', status: 'failed', error: 'Refund failed' }
+      });
+
+      await orderController.refundOrder(req, res);
+
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: mockOrder,
+        message: 'Refund RF-2026-00002 failed: Refund failed'
+      });
+    });
+
     it('should handle refund error', async () => {
       req.params.id = 'order123';
-      req.body = { reason: 'Defective product' };
-      orderService.refundOrder.mockRejectedValue(new Error('Order cannot be refunded'));
+      req.body = { reason: 'damaged' };
+      refundService.refundOrder.mockRejectedValue(new Error('Order cannot be refunded'));
 
       await orderController.refundOrder(req, res);
 
@@ -363,6 +423,33 @@ describe('OrderController', () => {
     });
   });
 
+  describe('retryRefund', () => {
+    it('should record a refund paid by hand', async () => {
+      const mockOrder = { _id: 'order123', paymentStatus: 'partially_refunded' };
+      req.params = { id: 'order123', refundId: 'RF-2026-00001' };
+      req.body = { reference: 'TRX-884' };
+      refundService.retryRefund.mockResolvedValue({ order: mockOrder, refund: { refundId: 'RF-2026-00001', status: 'completed' } });
+
+      await orderController.retryRefund(req, res);
+
+      expect(refundService.retryRefund).toHaveBeenCalledWith('order123', 'RF-2026-00001', { actor: admin, reference: 'TRX-884' });
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: mockOrder,
+        message: 'Refund made successfully'
+      });
+    });
+
+    it('should not find a refund the order does not have', async () => {
+      req.params = { id: 'order123', refundId: 'RF-2026-00009' };
+      refundService.retryRefund.mockRejectedValue(new Error('Failed to retry refund: Refund not found'));
+
+      await orderController.retryRefund(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
   describe('getOrderStats', () => {
     it('should get order statistics successfully', async () => {
       const mockStats = {
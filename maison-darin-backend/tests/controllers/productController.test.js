@@ -2,6 +2,7 @@ const request = require('supertest');
 const mongoose = require('mongoose');
 const app = require('../../server');
 const Product = require('../../models/Product');
+const Category = require('../../models/Category');
 const User = require('../../models/User');
 
 // Mock environment variables
@@ -29,10 +30,12 @@ describe('Product Controller', () => {
 
   beforeEach(async () => {
     await Product.deleteMany({});
+    await Category.deleteMany({});
   });
 
   afterAll(async () => {
     await Product.deleteMany({});
+    await Category.deleteMany({});
     await User.deleteMany({});
     await mongoose.connection.close();
   }, 30000);
@@ -48,24 +51,27 @@ describe('Product Controller', () => {
     },
     price: 150.99,
     size: '50ml',
-    category: 'floral',
+    categories: [new mongoose.Types.ObjectId()],
     stock: 10
   };
 
   describe('GET /api/products', () => {
     beforeEach(async () => {
+      const floral = await Category.create({ name: { en: 'Floral', ar: 'زهري' }, slug: 'floral' });
+      const woody = await Category.create({ name: { en: 'Woody', ar: 'خشبي' }, slug: 'woody' });
+
       const products = [
         {
           ...validProductData,
           name: { en: 'Rose Perfume', ar: 'عطر الورد' },
-          category: 'floral',
+          categories: [floral._id],
           price: 150,
           featured: true
         },
         {
           ...validProductData,
           name: { en: 'Woody Cologne', ar: 'كولونيا خشبية' },
-          category: 'woody',
+          categories: [woody._id],
           price: 200,
           featured: false
         }
@@ -91,7 +97,7 @@ describe('Product Controller', () => {
 
       expect(response.body.success).toBe(true);
       expect(response.body.data).toHaveLength(1);
-      expect(response.body.data[0].category).toBe('floral');
+      expect(response.body.data[0].categories[0].slug).toBe('floral');
     });
 
     it('should filter products by price range', async () => {
@@ -325,24 +331,18 @@ describe('Product Controller', () => {
 
   describe('GET /api/products/categories', () => {
     beforeEach(async () => {
-      const products = [
-        { ...validProductData, category: 'floral' },
-        { ...validProductData, category: 'woody' },
-        { ...validProductData, category: 'floral' } // Duplicate
-      ];
-
-      await Product.insertMany(products);
+      await Category.create({ name: { en: 'Floral', ar: 'زهري' }, slug: 'floral' });
+      await Category.create({ name: { en: 'Woody', ar: 'خشبي' }, slug: 'woody' });
     });
 
-    it('should return unique categories', async () => {
+    it('should return the active categories', async () => {
       const response = await request(app)
         .get('/api/products/categories')
         .expect(200);
 
       expect(response.body.success).toBe(true);
       expect(response.body.data).toHaveLength(2);
-      expect(response.body.data).toContain('floral');
-      expect(response.body.data).toContain('woody');
+      expect(response.body.data.map(category => category.slug)).toEqual(expect.arrayContaining(['floral', 'woody']));
     });
   });
 
@@ -63,7 +63,7 @@ class TestFactory {
       },
       price: 150 + (counter * 10),
       size: '50ml',
-      category: ['floral', 'oriental', 'fresh', 'woody'][counter % 4],
+      categories: [new mongoose.Types.ObjectId()],
       images: [
         {
           url: `https://res.cloudinary.com/test/image/upload/test-perfume-${counter}.jpg`,
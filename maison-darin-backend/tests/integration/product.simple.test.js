@@ -13,7 +13,7 @@ describe('Product Integration - Simple Tests', () => {
     },
     price: 150.99,
     size: '50ml',
-    category: 'floral',
+    categories: ['507f1f77bcf86cd799439011'],
     stock: 10
   };
 
@@ -42,11 +42,11 @@ describe('Product Integration - Simple Tests', () => {
     });
 
     it('should throw error for invalid category', () => {
-      const invalidData = { ...validProductData, category: 'invalid' };
+      const invalidData = { ...validProductData, categories: ['floral'] };
 
       expect(() => {
         productService.validateProductData(invalidData);
-      }).toThrow('Category must be one of');
+      }).toThrow('Invalid category ID');
     });
 
     it('should throw error for invalid size format', () => {
@@ -65,7 +65,7 @@ describe('Product Integration - Simple Tests', () => {
       expect(product.name.en).toBe(validProductData.name.en);
       expect(product.name.ar).toBe(validProductData.name.ar);
       expect(product.price).toBe(validProductData.price);
-      expect(product.category).toBe(validProductData.category);
+      expect(product.categories.map(String)).toEqual(validProductData.categories);
       expect(product.stock).toBe(validProductData.stock);
       expect(product.inStock).toBe(true);
       expect(product.featured).toBe(false);
@@ -0,0 +1,73 @@
+const express = require('express');
+const request = require('supertest');
+const jwtService = require('../../services/jwtService');
+const User = require('../../models/User');
+const promotionController = require('../../controllers/promotionController');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-refresh-secret';
+
+jest.mock('../../models/User');
+jest.mock('../../controllers/promotionController', () => ({
+  getPromotions: jest.fn((req, res) => res.status(200).json({ success: true, data: [] })),
+  createPromotion: jest.fn((req, res) => res.status(201).json({ success: true })),
+  updatePromotion: jest.fn((req, res) => res.status(200).json({ success: true })),
+  deletePromotion: jest.fn((req, res) => res.status(200).json({ success: true }))
+}));
+
+const app = express();
+app.use(express.json());
+app.use('/api/promotions', require('../../routes/promotions'));
+
+describe('Promotion API access', () => {
+  const tokenFor = role => {
+    const user = { _id: '507f1f77bcf86cd799439011', email: `${role}@example.com`, role, isActive: true };
+    User.findById.mockResolvedValue(user);
+    return jwtService.generateTokens({ id: user._id, email: user.email, role }).accessToken;
+  };
+  const coupon = {
+    name: { en: 'Everything free', ar: 'كل شيء مجاناً' },
+    code: 'FREE100',
+    type: 'percentage',
+    value: 100
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should not let a customer create a coupon', async () => {
+    const response = await request(app)
+      .post('/api/promotions')
+      .set('Authorization', `Bearer ${tokenFor('customer')}`)
+      .send(coupon)
+      .expect(403);
+
+    expect(response.body.error.code).toBe('ADMIN_ACCESS_REQUIRED');
+    expect(promotionController.createPromotion).not.toHaveBeenCalled();
+  });
+
+  it('should not let a customer change, delete or list promotions', async () => {
+    const token = tokenFor('customer');
+
+    await request(app).put('/api/promotions/507f1f77bcf86cd799439012')
+      .set('Authorization', `Bearer ${token}`).send({ value: 100 }).expect(403);
+    await request(app).delete('/api/promotions/507f1f77bcf86cd799439012')
+      .set('Authorization', `Bearer ${token}`).expect(403);
+    await request(app).get('/api/promotions')
+      .set('Authorization', `Bearer ${token}`).expect(403);
+
+    expect(promotionController.updatePromotion).not.toHaveBeenCalled();
+    expect(promotionController.deletePromotion).not.toHaveBeenCalled();
+    expect(promotionController.getPromotions).not.toHaveBeenCalled();
+  });
+
+  it('should let an admin list promotions', async () => {
+    await request(app)
+      .get('/api/promotions')
+      .set('Authorization', `Bearer ${tokenFor('admin')}`)
+      .expect(200);
+
+    expect(promotionController.getPromotions).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const Category = require('../../models/Category');
+
+describe('Category Model Unit Tests', () => {
+  const women = new mongoose.Types.ObjectId();
+  const oriental = new mongoose.Types.ObjectId();
+
+  const buildCategory = (overrides = {}) => new Category({
+    name: { en: 'Oriental', ar: 'شرقي' },
+    slug: 'women-oriental',
+    ...overrides
+  });
+
+  const mockParent = (parent) => jest.spyOn(Category, 'findById').mockReturnValue({
+    select: jest.fn().mockResolvedValue(parent)
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should have no ancestors at the top level', async () => {
+    const category = buildCategory();
+
+    await category.validate();
+    expect(category.parentCategory).toBeNull();
+    expect(category.ancestors).toEqual([]);
+  });
+
+  it('should derive its ancestors from its parent', async () => {
+    const root = new mongoose.Types.ObjectId();
+    mockParent({ _id: women, ancestors: [root] });
+    const category = buildCategory({ parentCategory: women });
+
+    await category.validate();
+    expect(category.ancestors.map(String)).toEqual([String(root), String(women)]);
+  });
+
+  it('should refuse a parent that does not exist', async () => {
+    mockParent(null);
+
+    await expect(buildCategory({ parentCategory: women }).validate())
+      .rejects.toThrow('Parent category not found');
+  });
+
+  it('should refuse a parent inside its own subtree', async () => {
+    mockParent({ _id: women, ancestors: [oriental] });
+    const category = buildCategory({ _id: oriental, parentCategory: women });
+
+    await expect(category.validate())
+      .rejects.toThrow('Invalid parent: a category cannot be placed under itself');
+  });
+
+  it('should re-derive the ancestors below a moved category', async () => {
+    const root = new mongoose.Types.ObjectId();
+    const amber = new mongoose.Types.ObjectId();
+    jest.spyOn(Category, 'find').mockReturnValue({
+      select: jest.fn().mockResolvedValue([{ _id: amber, ancestors: [women, oriental] }])
+    });
+    const updateOne = jest.spyOn(Category, 'updateOne').mockResolvedValue({});
+
+    await Category.rebuildDescendantAncestors({ _id: oriental, ancestors: [root] });
+
+    expect(updateOne).toHaveBeenCalledWith({ _id: amber }, { $set: { ancestors: [root, oriental] } });
+  });
+});
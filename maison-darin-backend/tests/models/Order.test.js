@@ -89,8 +89,8 @@ describe('Order Model Integration Tests', () => {
       const orderNumber2 = await Order.generateOrderNumber();
       
       expect(orderNumber1).not.toBe(orderNumber2);
-      expect(orderNumber1).toMatch(/^MD\d{11}$/);
-      expect(orderNumber2).toMatch(/^MD\d{11}$/);
+      expect(orderNumber1).toMatch(/^MD-\d{8}-\d{3}$/);
+      expect(orderNumber2).toMatch(/^MD-\d{8}-\d{3}$/);
     });
 
     it('should handle order number uniqueness constraint', async () => {
@@ -104,24 +104,14 @@ describe('Order Model Integration Tests', () => {
         .rejects.toThrow();
     });
 
-    it('should generate new number if collision occurs', async () => {
-      // Mock the random function to create predictable collision
-      const originalRandom = Math.random;
-      Math.random = jest.fn().mockReturnValue(0.123);
-      
-      try {
-        const orderNumber1 = await Order.generateOrderNumber();
-        await Order.create({ ...validOrderData, orderNumber: orderNumber1 });
-        
-        // Should generate different number even with same random
-        const orderNumber2 = await Order.generateOrderNumber();
-        expect(orderNumber2).not.toBe(orderNumber1);
-        
-        const order2 = await Order.create({ ...validOrderData, orderNumber: orderNumber2 });
-        expect(order2.orderNumber).toBe(orderNumber2);
-      } finally {
-        Math.random = originalRandom;
-      }
+    it('should number the orders of a day one after another', async () => {
+      const orderNumber1 = await Order.generateOrderNumber();
+      await Order.create({ ...validOrderData, orderNumber: orderNumber1 });
+
+      // An order saved without a number takes the next one
+      const order2 = await Order.create({ ...validOrderData });
+      const sequence = (orderNumber) => parseInt(orderNumber.split('-').pop(), 10);
+      expect(sequence(order2.orderNumber)).toBe(sequence(orderNumber1) + 1);
     });
   });
 
@@ -515,4 +515,40 @@ describe('Order Model Unit Tests', () => {
       expect(Math.abs(order.createdAt.getTime() - now.getTime())).toBeLessThan(1000);
     });
   });
-});
\ No newline at end of file
+
+  describe('Status Transitions', () => {
+    const order = (fields) => new Order({ ...validOrderData, paymentMethod: 'paypal', ...fields });
+
+    it('should only allow the moves in the state machine', () => {
+      expect(order({ status: 'processing', paymentStatus: 'paid' }).checkTransition('shipped')).toBeNull();
+      expect(order({ status: 'processing', paymentStatus: 'paid' }).checkTransition('delivered'))
+        .toBe('Order cannot be moved from processing to delivered');
+      expect(order({ status: 'shipped', paymentStatus: 'paid' }).checkTransition('cancelled'))
+        .toBe('Order cannot be moved from shipped to cancelled');
+      expect(order({ status: 'refunded', paymentStatus: 'refunded' }).checkTransition('pending'))
+        .toBe('Order cannot be moved from refunded to pending');
+      expect(order({}).checkTransition('completed')).toBe('Invalid order status: completed');
+    });
+
+    it('should hold back orders paid online until they are paid', () => {
+      expect(order({ status: 'pending' }).checkTransition('confirmed'))
+        .toBe('Order cannot be confirmed before it is paid');
+      expect(order({ status: 'pending', paymentStatus: 'paid' }).checkTransition('confirmed')).toBeNull();
+      expect(order({ status: 'pending', paymentMethod: 'cash_on_delivery' }).checkTransition('confirmed')).toBeNull();
+      expect(order({ status: 'pending' }).checkTransition('cancelled')).toBeNull();
+    });
+
+    it('should only refund paid orders', () => {
+      expect(order({ status: 'cancelled', paymentStatus: 'failed' }).canBeRefunded()).toBe(false);
+      expect(order({ status: 'cancelled', paymentStatus: 'paid' }).canBeRefunded()).toBe(true);
+      expect(order({ status: 'returned', paymentStatus: 'partially_paid' }).canBeRefunded()).toBe(true);
+      expect(order({ status: 'shipped', paymentStatus: 'paid' }).canBeRefunded()).toBe(false);
+    });
+
+    it('should cancel orders that have not shipped', () => {
+      expect(order({ status: 'awaiting_release', paymentStatus: 'partially_paid' }).canBeCancelled()).toBe(true);
+      expect(order({ status: 'processing', paymentStatus: 'paid' }).canBeCancelled()).toBe(true);
+      expect(order({ status: 'delivered', paymentStatus: 'paid' }).canBeCancelled()).toBe(false);
+    });
+  });
+});
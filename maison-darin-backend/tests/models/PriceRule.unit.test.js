@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const PriceRule = require('../../models/PriceRule');
+
+describe('PriceRule Model Unit Tests', () => {
+  const buildRule = (overrides = {}) => new PriceRule({
+    name: { en: 'Eid Sale' },
+    scope: 'product',
+    product: new mongoose.Types.ObjectId(),
+    discountType: 'percentage',
+    value: 15,
+    startsAt: new Date('2030-01-01'),
+    endsAt: new Date('2030-01-10'),
+    ...overrides
+  });
+
+  it('should accept a scheduled product sale', async () => {
+    const rule = buildRule();
+
+    await expect(rule.validate()).resolves.toBeUndefined();
+    expect(rule.active).toBe(true);
+  });
+
+  it('should require the target of its scope', async () => {
+    await expect(buildRule({ scope: 'category', product: undefined }).validate())
+      .rejects.toThrow('Invalid price rule: a category is required');
+  });
+
+  it('should end after it starts', async () => {
+    await expect(buildRule({ endsAt: new Date('2029-12-31') }).validate())
+      .rejects.toThrow('Invalid price rule: the end date must be after the start date');
+  });
+
+  it('should not discount a percentage of 100 or more', async () => {
+    await expect(buildRule({ value: 100 }).validate())
+      .rejects.toThrow('Invalid price rule: a percentage discount must be below 100');
+  });
+
+  it('should round discounted prices to cents', () => {
+    expect(PriceRule.applyDiscount({ discountType: 'percentage', value: 15 }, 99.99)).toBe(84.99);
+    expect(PriceRule.applyDiscount({ discountType: 'fixed', value: 25 }, 99.99)).toBe(74.99);
+  });
+});
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Product = require('../../models/Product');
+const Category = require('../../models/Category');
 
 describe('Product Model', () => {
   beforeAll(async () => {
@@ -16,6 +17,7 @@ describe('Product Model', () => {
   afterAll(async () => {
     // Clean up and close connection
     await Product.deleteMany({});
+    await Category.deleteMany({});
     await mongoose.connection.close();
   }, 30000);
 
@@ -31,7 +33,7 @@ describe('Product Model', () => {
       },
       price: 150.99,
       size: '50ml',
-      category: 'floral',
+      categories: [new mongoose.Types.ObjectId()],
       stock: 10
     };
 
@@ -43,7 +45,7 @@ describe('Product Model', () => {
       expect(savedProduct.name.en).toBe(validProductData.name.en);
       expect(savedProduct.name.ar).toBe(validProductData.name.ar);
       expect(savedProduct.price).toBe(validProductData.price);
-      expect(savedProduct.category).toBe(validProductData.category);
+      expect(savedProduct.categories.map(String)).toEqual(validProductData.categories.map(String));
       expect(savedProduct.inStock).toBe(true);
       expect(savedProduct.featured).toBe(false);
       expect(savedProduct.createdAt).toBeDefined();
@@ -124,31 +126,25 @@ describe('Product Model', () => {
       }
     });
 
-    it('should require category', async () => {
-      const productData = { ...validProductData };
-      delete productData.category;
+    it('should require a category', async () => {
+      const productData = { ...validProductData, categories: [] };
 
       const product = new Product(productData);
-      await expect(product.save()).rejects.toThrow('Category is required');
+      await expect(product.save()).rejects.toThrow('At least one category is required');
     });
 
-    it('should only allow valid categories', async () => {
-      const productData = { ...validProductData, category: 'invalid-category' };
+    it('should only allow category IDs', async () => {
+      const productData = { ...validProductData, categories: ['invalid-category'] };
 
       const product = new Product(productData);
-      await expect(product.save()).rejects.toThrow('Category must be one of');
+      await expect(product.save()).rejects.toThrow('Cast to [ObjectId] failed');
     });
 
-    it('should accept all valid categories', async () => {
-      const validCategories = ['floral', 'oriental', 'fresh', 'woody', 'citrus', 'spicy', 'aquatic', 'gourmand'];
+    it('should accept several categories', async () => {
+      const categories = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
 
-      for (const category of validCategories) {
-        const productData = { ...validProductData, category };
-        const product = new Product(productData);
-        const savedProduct = await product.save();
-        expect(savedProduct.category).toBe(category);
-        await Product.deleteMany({});
-      }
+      const savedProduct = await new Product({ ...validProductData, categories }).save();
+      expect(savedProduct.categories).toHaveLength(2);
     });
 
     it('should not allow negative stock', async () => {
@@ -235,7 +231,7 @@ describe('Product Model', () => {
         },
         price: 100,
         size: '50ml',
-        category: 'floral',
+        categories: [new mongoose.Types.ObjectId()],
         stock: 10
       };
 
@@ -292,7 +288,18 @@ describe('Product Model', () => {
   });
 
   describe('Product Static Methods', () => {
+    let floral;
+    let woody;
+    let smokyWoods;
+    let citrus;
+
     beforeEach(async () => {
+      await Category.deleteMany({});
+      floral = await Category.create({ name: { en: 'Floral', ar: 'زهري' }, slug: 'floral' });
+      woody = await Category.create({ name: { en: 'Woody', ar: 'خشبي' }, slug: 'woody' });
+      smokyWoods = await Category.create({ name: { en: 'Smoky Woods', ar: 'أخشاب مدخنة' }, slug: 'smoky-woods', parentCategory: woody._id });
+      citrus = await Category.create({ name: { en: 'Citrus', ar: 'حمضي' }, slug: 'citrus' });
+
       // Create test products
       const products = [
         {
@@ -300,7 +307,7 @@ describe('Product Model', () => {
           description: { en: 'Beautiful rose scent', ar: 'رائحة ورد جميلة' },
           price: 150,
           size: '50ml',
-          category: 'floral',
+          categories: [floral._id],
           stock: 10,
           featured: true
         },
@@ -309,7 +316,7 @@ describe('Product Model', () => {
           description: { en: 'Rich woody fragrance', ar: 'عطر خشبي غني' },
           price: 200,
           size: '100ml',
-          category: 'woody',
+          categories: [smokyWoods._id],
           stock: 5,
           featured: false
         },
@@ -318,7 +325,7 @@ describe('Product Model', () => {
           description: { en: 'Fresh citrus blend', ar: 'مزيج حمضيات منعش' },
           price: 80,
           size: '30ml',
-          category: 'citrus',
+          categories: [citrus._id],
           stock: 0,
           inStock: false
         }
@@ -329,15 +336,15 @@ describe('Product Model', () => {
 
     describe('findByCategory', () => {
       it('should find products by category', async () => {
-        const floralProducts = await Product.findByCategory('floral');
+        const floralProducts = await Product.findByCategory(floral._id);
         expect(floralProducts).toHaveLength(1);
-        expect(floralProducts[0].category).toBe('floral');
+        expect(floralProducts[0].categories.map(String)).toEqual([String(floral._id)]);
       });
 
-      it('should handle case insensitive category search', async () => {
-        const woodyProducts = await Product.findByCategory('WOODY');
+      it('should include products in subcategories', async () => {
+        const woodyProducts = await Product.findByCategory(woody._id);
         expect(woodyProducts).toHaveLength(1);
-        expect(woodyProducts[0].category).toBe('woody');
+        expect(woodyProducts[0].name.en).toBe('Woody Cologne');
       });
     });
 
@@ -382,9 +389,9 @@ describe('Product Model', () => {
 
     describe('findWithFilters', () => {
       it('should filter by category', async () => {
-        const results = await Product.findWithFilters({ category: 'woody' });
+        const results = await Product.findWithFilters({ category: woody._id });
         expect(results).toHaveLength(1);
-        expect(results[0].category).toBe('woody');
+        expect(results[0].name.en).toBe('Woody Cologne');
       });
 
       it('should filter by price range', async () => {
@@ -409,23 +416,13 @@ describe('Product Model', () => {
 
       it('should combine multiple filters', async () => {
         const results = await Product.findWithFilters({
-          category: 'floral',
+          category: floral._id,
           inStock: true,
           featured: true
         });
         expect(results).toHaveLength(1);
       });
     });
-
-    describe('getCategories', () => {
-      it('should return all unique categories', async () => {
-        const categories = await Product.getCategories();
-        expect(categories).toHaveLength(3);
-        expect(categories).toContain('floral');
-        expect(categories).toContain('woody');
-        expect(categories).toContain('citrus');
-      });
-    });
   });
 
   describe('Product Indexes and Performance', () => {
@@ -1,6 +1,11 @@
+const mongoose = require('mongoose');
 const Product = require('../../models/Product');
+const StockMovement = require('../../models/StockMovement');
 
 describe('Product Model Unit Tests', () => {
+  const floral = new mongoose.Types.ObjectId();
+  const oriental = new mongoose.Types.ObjectId();
+
   describe('Product Schema Structure', () => {
     it('should have correct schema structure', () => {
       const product = new Product();
@@ -13,24 +18,28 @@ describe('Product Model Unit Tests', () => {
       expect(paths['description.ar']).toBeDefined();
       expect(paths['price']).toBeDefined();
       expect(paths['size']).toBeDefined();
-      expect(paths['category']).toBeDefined();
+      expect(paths['categories']).toBeDefined();
       expect(paths['stock']).toBeDefined();
       expect(paths['inStock']).toBeDefined();
       expect(paths['featured']).toBeDefined();
     });
 
-    it('should have correct category enum values', () => {
-      const categoryPath = Product.schema.paths.category;
-      const enumValues = categoryPath.enumValues;
-      
-      expect(enumValues).toContain('floral');
-      expect(enumValues).toContain('oriental');
-      expect(enumValues).toContain('fresh');
-      expect(enumValues).toContain('woody');
-      expect(enumValues).toContain('citrus');
-      expect(enumValues).toContain('spicy');
-      expect(enumValues).toContain('aquatic');
-      expect(enumValues).toContain('gourmand');
+    it('should reference Category documents for its categories', () => {
+      const categoriesPath = Product.schema.paths.categories;
+
+      expect(categoriesPath.caster.options.ref).toBe('Category');
+    });
+
+    it('should require at least one category', async () => {
+      const product = new Product({
+        name: { en: 'Test', ar: 'اختبار' },
+        description: { en: 'Test', ar: 'اختبار' },
+        price: 100,
+        size: '50ml',
+        categories: []
+      });
+
+      await expect(product.validate()).rejects.toThrow('At least one category is required');
     });
 
     it('should have correct default values', () => {
@@ -57,7 +66,7 @@ describe('Product Model Unit Tests', () => {
         },
         price: 100,
         size: '50ml',
-        category: 'floral',
+        categories: [floral],
         stock: 10
       });
     });
@@ -82,6 +91,61 @@ describe('Product Model Unit Tests', () => {
     });
   });
 
+  describe('Product Variants', () => {
+    let product;
+
+    beforeEach(() => {
+      product = new Product({
+        name: {
+          en: 'Test Perfume',
+          ar: 'عطر تجريبي'
+        },
+        description: {
+          en: 'Test description',
+          ar: 'وصف تجريبي'
+        },
+        categories: [floral],
+        variants: [
+          { size: '30ml', sku: 'tp-30', price: 80, stock: 4 },
+          { size: '100ml', sku: 'tp-100', price: 200, stock: 0, isDefault: true }
+        ]
+      });
+    });
+
+    it('should derive price, size and stock from variants', () => {
+      product.syncFromVariants();
+
+      expect(product.price).toBe(80);
+      expect(product.size).toBe('100ml');
+      expect(product.stock).toBe(4);
+      expect(product.inStock).toBe(true);
+    });
+
+    it('should validate a product defined only by its variants', async () => {
+      await expect(product.validate()).resolves.toBeUndefined();
+      expect(product.variants[0].sku).toBe('TP-30');
+    });
+
+    it('should reject duplicate variant SKUs', async () => {
+      product.variants[1].sku = 'TP-30';
+      await expect(product.validate()).rejects.toThrow();
+    });
+
+    it('should check availability per variant', () => {
+      const [small, large] = product.variants;
+
+      expect(product.isAvailable(4, small._id)).toBe(true);
+      expect(product.isAvailable(5, small._id)).toBe(false);
+      expect(product.isAvailable(1, large._id)).toBe(false);
+      expect(product.isAvailable(1, '507f1f77bcf86cd799439011')).toBe(false);
+    });
+
+    it('should return the variant price as unit price', () => {
+      expect(product.getUnitPrice(product.variants[1]._id)).toBe(200);
+      expect(product.getVariant('invalid-id')).toBeNull();
+    });
+  });
+
   describe('Product Static Methods', () => {
     describe('size validation', () => {
       it('should validate size format correctly', () => {
@@ -108,5 +172,230 @@ describe('Product Model Unit Tests', () => {
         }
       });
     });
+
+    describe('bundles', () => {
+      const componentA = new Product({
+        name: { en: 'Rose Oud', ar: 'ورد وعود' },
+        description: { en: 'Test', ar: 'اختبار' },
+        price: 50,
+        size: '10ml',
+        categories: [oriental],
+        stock: 7
+      });
+      const componentB = new Product({
+        name: { en: 'Amber Night', ar: 'ليلة العنبر' },
+        description: { en: 'Test', ar: 'اختبار' },
+        categories: [oriental],
+        variants: [
+          { size: '10ml', sku: 'AN-10', price: 40, stock: 9 },
+          { size: '50ml', sku: 'AN-50', price: 150, stock: 1 }
+        ]
+      });
+
+      const buildBundle = (components) => new Product({
+        name: { en: 'Discovery Set', ar: 'مجموعة الاكتشاف' },
+        description: { en: 'Test', ar: 'اختبار' },
+        price: 120,
+        size: '3 x 10ml',
+        categories: [oriental],
+        type: 'bundle',
+        components
+      });
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+      });
+
+      it('should derive stock from the scarcest component', async () => {
+        jest.spyOn(Product, 'find').mockResolvedValue([componentA, componentB]);
+        const bundle = buildBundle([
+          { product: componentA._id, quantity: 1 },
+          { product: componentB._id, variant: componentB.variants[0]._id, quantity: 2 }
+        ]);
+
+        await bundle.validate();
+
+        // 7 of A make 7 sets; 9 of B's 10ml make 4 sets of two
+        expect(bundle.stock).toBe(4);
+        expect(bundle.inStock).toBe(true);
+      });
+
+      it('should require a size for components sold in variants', async () => {
+        jest.spyOn(Product, 'find').mockResolvedValue([componentB]);
+        const bundle = buildBundle([{ product: componentB._id }]);
+
+        await expect(bundle.validate()).rejects.toThrow('Invalid bundle: choose a size of Amber Night');
+      });
+
+      it('should require at least one component', async () => {
+        const bundle = buildBundle([]);
+
+        await expect(bundle.validate()).rejects.toThrow('at least one component is required');
+      });
+
+      it('should not allow bundle stock to be set directly', async () => {
+        const bundle = buildBundle([{ product: componentA._id }]);
+
+        await expect(bundle.updateStock(-1)).rejects.toThrow('Bundle stock is derived from its components');
+      });
+    });
+
+    describe('adjustStock', () => {
+      let record;
+
+      beforeEach(() => {
+        record = jest.spyOn(StockMovement, 'create').mockResolvedValue([]);
+      });
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+      });
+
+      it('should only decrement a size that has enough stock left and record the sale', async () => {
+        const product = new Product({ variants: [{ size: '50ml', sku: 'MD-50', price: 100, stock: 3 }] });
+        const variantId = product.variants[0]._id;
+        const findOneAndUpdate = jest.spyOn(Product, 'findOneAndUpdate').mockResolvedValue(product);
+        jest.spyOn(Product, 'updateOne').mockResolvedValue({ matchedCount: 0 });
+
+        await Product.adjustStock(product._id, -2, { variantId, session: 'session', type: 'sale', order: 'order1' });
+
+        expect(findOneAndUpdate).toHaveBeenCalledWith(
+          { _id: product._id, variants: { $elemMatch: { _id: variantId, stock: { $gte: 2 } } } },
+          { $inc: { 'variants.$.stock': -2, stock: -2 } },
+          expect.objectContaining({ session: 'session' })
+        );
+        expect(record).toHaveBeenCalledWith([expect.objectContaining({
+          product: product._id,
+          variant: variantId,
+          size: '50ml',
+          type: 'sale',
+          order: 'order1',
+          quantity: -2,
+          previousStock: 5,
+          newStock: 3
+        })], { session: 'session' });
+      });
+
+      it('should reject a decrement when the stock has run out', async () => {
+        jest.spyOn(Product, 'findOneAndUpdate').mockResolvedValue(null);
+
+        await expect(Product.adjustStock('product1', -1)).rejects.toThrow('Insufficient stock');
+        expect(record).not.toHaveBeenCalled();
+      });
+
+      it('should mark a product back in stock when stock is returned', async () => {
+        const findOneAndUpdate = jest.spyOn(Product, 'findOneAndUpdate').mockResolvedValue(new Product({ stock: 3 }));
+        const updateOne = jest.spyOn(Product, 'updateOne');
+
+        await Product.adjustStock('product1', 3, { type: 'refund' });
+
+        expect(findOneAndUpdate.mock.calls[0][1]).toEqual({ $inc: { stock: 3 }, $set: { inStock: true } });
+        expect(updateOne).not.toHaveBeenCalled();
+        expect(record.mock.calls[0][0][0]).toEqual(expect.objectContaining({
+          type: 'refund', quantity: 3, previousStock: 0, newStock: 3
+        }));
+      });
+    });
+
+    describe('stock ledger', () => {
+      afterEach(() => {
+        jest.restoreAllMocks();
+      });
+
+      it('should record opening stock for a new product and later edits per size', async () => {
+        const insertMany = jest.spyOn(StockMovement, 'insertMany').mockResolvedValue([]);
+        const product = new Product({ variants: [{ size: '50ml', sku: 'MD-50', price: 100, stock: 4 }] });
+        const variantId = String(product.variants[0]._id);
+
+        await StockMovement.recordProductChanges(product, undefined, { performedBy: 'admin1' });
+        expect(insertMany.mock.calls[0][0]).toEqual([expect.objectContaining({
+          type: 'opening_balance', quantity: 4, previousStock: 0, newStock: 4, performedBy: 'admin1'
+        })]);
+
+        product.variants[0].stock = 1;
+        await StockMovement.recordProductChanges(product, { [variantId]: 4 }, { type: 'damage', reason: 'Broken bottle' });
+        expect(insertMany.mock.calls[1][0]).toEqual([expect.objectContaining({
+          size: '50ml', type: 'damage', reason: 'Broken bottle', quantity: -3, previousStock: 4, newStock: 1
+        })]);
+      });
+    });
+
+    describe('pre-orders', () => {
+      afterEach(() => {
+        jest.restoreAllMocks();
+      });
+
+      it('should require a release date for a product taking pre-orders', async () => {
+        const product = new Product({
+          name: { en: 'Oud Royale', ar: 'عود رويال' },
+          description: { en: 'Test', ar: 'اختبار' },
+          price: 300,
+          size: '100ml',
+          categories: [oriental],
+          preOrder: { enabled: true }
+        });
+
+        expect(product.isPreOrderable()).toBe(true);
+        await expect(product.validate()).rejects.toThrow('Release date is required for pre-orders');
+      });
+
+      it('should only reserve pre-orders that fit under the cap', async () => {
+        const findOneAndUpdate = jest.spyOn(Product, 'findOneAndUpdate').mockResolvedValue(null);
+
+        await expect(Product.adjustPreOrders('product1', 3, { session: 'session' }))
+          .rejects.toThrow('Pre-order limit reached');
+        expect(findOneAndUpdate).toHaveBeenCalledWith(
+          {
+            _id: 'product1',
+            'preOrder.enabled': true,
+            $or: [
+              { 'preOrder.cap': null },
+              { $expr: { $lte: [{ $add: ['$preOrder.reserved', 3] }, '$preOrder.cap'] } }
+            ]
+          },
+          { $inc: { 'preOrder.reserved': 3 } },
+          expect.objectContaining({ session: 'session' })
+        );
+      });
+
+      it('should give back pre-orders without going below zero', async () => {
+        const findOneAndUpdate = jest.spyOn(Product, 'findOneAndUpdate').mockResolvedValue(new Product());
+
+        await Product.adjustPreOrders('product1', -2);
+
+        const [filter, update] = findOneAndUpdate.mock.calls[0];
+        expect(filter).toEqual({ _id: 'product1' });
+        expect(update[0].$set['preOrder.reserved'].$max[0]).toBe(0);
+      });
+    });
+
+    describe('detectConcentrationCode', () => {
+      it('should map English and Arabic concentrations to a code', () => {
+        expect(Product.detectConcentrationCode({ en: 'Eau de Parfum' })).toBe('edp');
+        expect(Product.detectConcentrationCode({ ar: 'ماء العطر' })).toBe('edp');
+        expect(Product.detectConcentrationCode({ en: 'Extrait de Parfum' })).toBe('extrait');
+        expect(Product.detectConcentrationCode({ en: 'Parfum' })).toBe('parfum');
+        expect(Product.detectConcentrationCode({ en: 'Eau de Cologne' })).toBe('edc');
+      });
+
+      it('should leave unrecognized concentrations without a code', () => {
+        expect(Product.detectConcentrationCode({ en: 'Perfume Oil' })).toBeUndefined();
+        expect(Product.detectConcentrationCode(undefined)).toBeUndefined();
+      });
+
+      it('should set the code when a product is validated', async () => {
+        const product = new Product({
+          name: { en: 'Test', ar: 'اختبار' },
+          description: { en: 'Test', ar: 'اختبار' },
+          price: 100,
+          size: '50ml',
+          categories: [floral],
+          concentration: { en: 'Eau de Toilette', ar: 'ماء التواليت' }
+        });
+
+        await product.validate();
+        expect(product.concentrationCode).toBe('edt');
+      });
+    });
   });
 });
\ No newline at end of file
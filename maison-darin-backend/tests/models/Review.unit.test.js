@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const Review = require('../../models/Review');
+
+describe('Review Model Unit Tests', () => {
+  const buildReview = (overrides = {}) => new Review({
+    product: new mongoose.Types.ObjectId(),
+    order: new mongoose.Types.ObjectId(),
+    orderNumber: 'MD-20240101-001',
+    customer: { name: 'Sara A.', email: 'sara@example.com' },
+    rating: 4,
+    language: 'en',
+    comment: { en: 'Lovely scent that lasts all day' },
+    ...overrides
+  });
+
+  it('should default to a pending verified-purchase review', async () => {
+    const review = buildReview();
+
+    await expect(review.validate()).resolves.toBeUndefined();
+    expect(review.status).toBe('pending');
+    expect(review.verifiedPurchase).toBe(true);
+  });
+
+  it('should require the comment in the review language', async () => {
+    const review = buildReview({ language: 'ar' });
+
+    await expect(review.validate()).rejects.toThrow('Review comment is required');
+  });
+
+  it('should only accept whole ratings from 1 to 5', async () => {
+    await expect(buildReview({ rating: 6 }).validate()).rejects.toThrow('Rating must be between 1 and 5');
+    await expect(buildReview({ rating: 3.5 }).validate()).rejects.toThrow('Rating must be a whole number');
+  });
+
+  it('should limit the number of photos', async () => {
+    const photo = { url: 'https://res.cloudinary.com/x/a.jpg', cloudinaryId: 'a' };
+    const review = buildReview({ photos: [photo, photo, photo, photo] });
+
+    await expect(review.validate()).rejects.toThrow('A review can have at most 3 photos');
+  });
+});
@@ -148,7 +148,7 @@ describe('SampleRequest Model Unit Tests', () => {
       expect(request1.requestNumber).toBeDefined();
       expect(request2.requestNumber).toBeDefined();
       expect(request1.requestNumber).not.toBe(request2.requestNumber);
-      expect(request1.requestNumber).toMatch(/^SR\d{10}$/);
+      expect(request1.requestNumber).toMatch(/^SR-\d{4}-\d{5}$/);
     });
   });
 
@@ -0,0 +1,64 @@
+const Sequence = require('../../models/Sequence');
+const Settings = require('../../models/Settings');
+
+describe('Sequence Model Unit Tests', () => {
+  const date = new Date('2026-12-31T22:30:00Z');
+  const settings = (numbering = {}, timezone = 'Asia/Riyadh') => {
+    jest.spyOn(Settings, 'getSettings').mockResolvedValue({ numbering, localization: { timezone } });
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('periodOf', () => {
+    it('should use the day or year in the store timezone', () => {
+      expect(Sequence.periodOf('daily', date, 'Asia/Riyadh')).toBe('20270101');
+      expect(Sequence.periodOf('yearly', date, 'Asia/Riyadh')).toBe('2027');
+      expect(Sequence.periodOf('daily', date, 'UTC')).toBe('20261231');
+    });
+
+    it('should fall back to UTC for an unknown timezone', () => {
+      expect(Sequence.periodOf('yearly', date, 'Not/AZone')).toBe('2026');
+    });
+  });
+
+  describe('next', () => {
+    it('should take the next number of the period atomically', async () => {
+      settings();
+      const findOneAndUpdate = jest.spyOn(Sequence, 'findOneAndUpdate').mockResolvedValue({ value: 7 });
+
+      await expect(Sequence.next('order', { session: 'session', date })).resolves.toBe('MD-20270101-007');
+      expect(findOneAndUpdate).toHaveBeenCalledWith(
+        { name: 'order', period: '20270101' },
+        { $inc: { value: 1 } },
+        { new: true, upsert: true, session: 'session' }
+      );
+    });
+
+    it('should use the configured prefix, reset and padding', async () => {
+      settings({ invoice: { prefix: 'FAT', reset: 'yearly', padding: 4 } });
+      jest.spyOn(Sequence, 'findOneAndUpdate').mockResolvedValue({ value: 12 });
+
+      await expect(Sequence.next('invoice', { date })).resolves.toBe('FAT-2027-0012');
+    });
+
+    it('should retry once when two requests create the period\'s counter together', async () => {
+      settings();
+      const duplicate = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      const findOneAndUpdate = jest.spyOn(Sequence, 'findOneAndUpdate')
+        .mockRejectedValueOnce(duplicate)
+        .mockResolvedValueOnce({ value: 2 });
+
+      await expect(Sequence.next('refund', { date })).resolves.toBe('RF-2027-00002');
+      expect(findOneAndUpdate).toHaveBeenCalledTimes(2);
+
+      findOneAndUpdate.mockRejectedValueOnce(duplicate);
+      await expect(Sequence.next('refund', { session: 'session', date })).rejects.toThrow('E11000');
+    });
+
+    it('should reject an unknown sequence', async () => {
+      await expect(Sequence.next('receipt')).rejects.toThrow('Unknown sequence: receipt');
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const cartService = require('../../services/cartService');
+const Cart = require('../../models/Cart');
+const Product = require('../../models/Product');
+const pricingService = require('../../services/pricingService');
+const emailService = require('../../services/emailService');
+
+jest.mock('../../models/Cart');
+jest.mock('../../models/Product');
+jest.mock('../../services/pricingService', () => ({
+  applyEffectivePrices: jest.fn()
+}));
+jest.mock('../../services/emailService', () => ({
+  sendAbandonedCartReminder: jest.fn()
+}));
+
+describe('CartService Unit Tests', () => {
+  const now = new Date('2026-01-01T12:00:00Z');
+  const hoursAgo = hours => new Date(now.getTime() - hours * 60 * 60 * 1000);
+  const query = (result) => {
+    const chain = {
+      select: jest.fn(() => chain),
+      limit: jest.fn(() => chain),
+      lean: jest.fn().mockResolvedValue(result)
+    };
+    return chain;
+  };
+  const product = (id, fields) => ({
+    _id: id,
+    name: { en: id, ar: id },
+    price: 100,
+    effectivePrice: 100,
+    stock: 10,
+    inStock: true,
+    variants: [],
+    ...fields
+  });
+  const cartDocument = (fields) => ({
+    token: 'a'.repeat(48),
+    user: null,
+    items: [],
+    language: 'ar',
+    save: jest.fn(),
+    ...fields
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pricingService.applyEffectivePrices.mockImplementation(async products => products);
+  });
+
+  describe('validateItems', () => {
+    it('should flag each item against current price and stock', async () => {
+      Product.find.mockReturnValue(query([
+        product('gone-size', { variants: [{ _id: 'v1', size: '50ml', stock: 5, effectivePrice: 80 }] }),
+        product('sold-out', { stock: 0, inStock: false }),
+        product('low', { stock: 2 }),
+        product('cheaper', { effectivePrice: 90 }),
+        product('pre-order', { stock: 0, preOrder: { enabled: true, cap: null } })
+      ]));
+
+      const lines = await cartService.validateItems([
+        { product: 'gone-size', variant: 'v2', quantity: 1 },
+        { product: 'sold-out', quantity: 1, price: 100 },
+        { product: 'low', quantity: 3, price: 100 },
+        { product: 'cheaper', quantity: 1, price: 100 },
+        { product: 'pre-order', quantity: 4, price: 100 },
+        { product: 'deleted', quantity: 1 }
+      ], now);
+
+      expect(lines.map(line => line.issue)).toEqual([
+        'unavailable', 'out_of_stock', 'insufficient_stock', 'price_changed', null, 'unavailable'
+      ]);
+      expect(lines[2].available).toBe(2);
+      expect(lines[3]).toEqual(expect.objectContaining({ price: 90, previousPrice: 100 }));
+      expect(lines[4].available).toBeNull();
+    });
+  });
+
+  describe('updateItems', () => {
+    it('should keep the price items were added at and remember it for new ones', async () => {
+      const addedAt = hoursAgo(48);
+      const cart = cartDocument({ items: [{ product: 'p1', variant: null, quantity: 1, price: 120, addedAt }] });
+      Cart.findOne.mockResolvedValue(cart);
+      Product.find.mockReturnValue(query([product('p1'), product('p2', { effectivePrice: 60 })]));
+
+      const result = await cartService.updateItems(cart.token, {
+        items: [{ productId: 'p1', quantity: 2 }, { productId: 'p2', quantity: 1 }]
+      }, null, now);
+
+      expect(cart.items).toEqual([
+        { product: 'p1', variant: null, quantity: 2, price: 120, addedAt },
+        { product: 'p2', variant: null, quantity: 1, price: 60, addedAt: now }
+      ]);
+      expect(cart.lastActivityAt).toBe(now);
+      expect(cart.save).toHaveBeenCalled();
+      expect(result.subtotal).toBe(260);
+      expect(result.items[0]).toEqual(expect.objectContaining({ issue: 'price_changed', previousPrice: 120 }));
+    });
+  });
+
+  describe('getCart', () => {
+    it('should merge a guest cart into the cart the customer already has', async () => {
+      const guest = cartDocument({
+        _id: 'guest',
+        items: [{ product: 'p1', variant: null, quantity: 3, price: 100 }, { product: 'p2', variant: null, quantity: 1, price: 100 }],
+        lastActivityAt: hoursAgo(1)
+      });
+      const own = cartDocument({
+        token: 'b'.repeat(48),
+        user: 'user1',
+        items: [{ product: 'p1', variant: null, quantity: 1, price: 100 }],
+        lastActivityAt: hoursAgo(24)
+      });
+      Cart.findOne.mockResolvedValueOnce(guest).mockResolvedValueOnce(own);
+      Product.find.mockReturnValue(query([product('p1'), product('p2')]));
+
+      const result = await cartService.getCart(guest.token, 'user1', now);
+
+      expect(Cart.findOne).toHaveBeenNthCalledWith(2, { user: 'user1', status: 'active' });
+      expect(Cart.deleteOne).toHaveBeenCalledWith({ _id: 'guest' });
+      expect(own.items.map(item => [item.product, item.quantity])).toEqual([['p1', 3], ['p2', 1]]);
+      expect(own.save).toHaveBeenCalled();
+      expect(result.token).toBe(own.token);
+    });
+  });
+
+  describe('sendAbandonedCartReminders', () => {
+    const abandoned = (fields) => ({
+      _id: 'cart1',
+      token: 'a'.repeat(48),
+      email: 'layla@example.com',
+      language: 'en',
+      items: [{ product: 'p1', quantity: 1, price: 100 }, { product: 'p2', quantity: 1, price: 100 }],
+      reminders: { sent: 1 },
+      ...fields
+    });
+
+    it('should send the next reminder with the items that can still be ordered', async () => {
+      Cart.find.mockReturnValue(query([abandoned()]));
+      Product.find.mockReturnValue(query([product('p1'), product('p2', { stock: 0, inStock: false })]));
+      Cart.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+      const result = await cartService.sendAbandonedCartReminders(now);
+
+      expect(result).toEqual({ checked: 1, sent: 1 });
+      expect(Cart.updateOne).toHaveBeenCalledWith(
+        { _id: 'cart1', status: 'active', 'reminders.sent': 1 },
+        { $inc: { 'reminders.sent': 1 }, $set: { 'reminders.lastSentAt': now } }
+      );
+      expect(emailService.sendAbandonedCartReminder).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: 'cart1' }),
+        [expect.objectContaining({ productId: 'p1', issue: null })],
+        1,
+        'en'
+      );
+    });
+
+    it('should give the step back when the email fails', async () => {
+      Cart.find.mockReturnValue(query([abandoned()]));
+      Product.find.mockReturnValue(query([product('p1'), product('p2')]));
+      Cart.updateOne.mockResolvedValue({ modifiedCount: 1 });
+      emailService.sendAbandonedCartReminder.mockRejectedValueOnce(new Error('SMTP down'));
+
+      const result = await cartService.sendAbandonedCartReminders(now);
+
+      expect(result).toEqual({ checked: 1, sent: 0 });
+      expect(Cart.updateOne).toHaveBeenLastCalledWith(
+        { _id: 'cart1', 'reminders.sent': 2 },
+        { $inc: { 'reminders.sent': -1 } }
+      );
+    });
+
+    it('should skip carts whose products are all gone', async () => {
+      Cart.find.mockReturnValue(query([abandoned()]));
+      Product.find.mockReturnValue(query([]));
+
+      const result = await cartService.sendAbandonedCartReminders(now);
+
+      expect(result).toEqual({ checked: 1, sent: 0 });
+      expect(Cart.updateOne).not.toHaveBeenCalled();
+      expect(emailService.sendAbandonedCartReminder).not.toHaveBeenCalled();
+    });
+  });
+});
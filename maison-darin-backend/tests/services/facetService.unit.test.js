@@ -0,0 +1,146 @@
+const facetService = require('../../services/facetService');
+const Product = require('../../models/Product');
+
+jest.mock('../../models/Product', () => {
+  const actual = jest.requireActual('../../models/Product');
+  return {
+    aggregate: jest.fn(),
+    getConcentrations: actual.getConcentrations.bind(actual)
+  };
+});
+
+describe('FacetService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseFilters', () => {
+    it('should accept arrays and comma-separated strings', () => {
+      const filters = facetService.parseFilters({
+        topNotes: ['Bergamot', 'Lemon'],
+        size: '50ml, 100ML'
+      });
+
+      expect(filters).toEqual({
+        topNotes: ['Bergamot', 'Lemon'],
+        size: ['50ml', '100ml']
+      });
+    });
+
+    it('should drop unknown values and empty dimensions', () => {
+      const filters = facetService.parseFilters({
+        concentration: 'EDP,perfume-oil',
+        priceBand: ['0-100', '1000-2000'],
+        availability: 'soldOut',
+        baseNotes: ''
+      });
+
+      expect(filters).toEqual({
+        concentration: ['edp'],
+        priceBand: ['0-100']
+      });
+    });
+
+    it('should ignore options that are not facet dimensions', () => {
+      expect(facetService.parseFilters({ category: 'floral', page: 2 })).toEqual({});
+    });
+  });
+
+  describe('buildClauses', () => {
+    it('should match notes case-insensitively and literally', () => {
+      const { topNotes } = facetService.buildClauses({ topNotes: ['Rose (Taif)'] });
+      const [regex] = topNotes['notes.top.en'].$in;
+
+      expect(regex.test('rose (taif)')).toBe(true);
+      expect(regex.test('Rose (Taif) Absolute')).toBe(false);
+    });
+
+    it('should match sizes on the product or any variant', () => {
+      const { size } = facetService.buildClauses({ size: ['50ml'] });
+
+      expect(size.$or).toHaveLength(2);
+      expect(size.$or[1]['variants.size'].$in[0].test('50ML')).toBe(true);
+    });
+
+    it('should build half-open price ranges', () => {
+      const { priceBand } = facetService.buildClauses({ priceBand: ['100-200', '500+'] });
+
+      expect(priceBand.$or).toEqual([
+        { price: { $gte: 100, $lt: 200 } },
+        { price: { $gte: 500 } }
+      ]);
+    });
+
+    it('should only filter availability when a single value is selected', () => {
+      expect(facetService.buildClauses({ availability: ['outOfStock'] }).availability)
+        .toEqual({ inStock: false });
+      expect(facetService.buildClauses({ availability: ['inStock', 'outOfStock'] }).availability)
+        .toBeUndefined();
+    });
+  });
+
+  describe('applyClauses', () => {
+    it('should append clauses to an existing $and', () => {
+      const query = facetService.applyClauses(
+        { category: 'floral', $and: [{ featured: true }] },
+        { concentration: { concentrationCode: { $in: ['edp'] } } }
+      );
+
+      expect(query).toEqual({
+        category: 'floral',
+        $and: [{ featured: true }, { concentrationCode: { $in: ['edp'] } }]
+      });
+    });
+
+    it('should leave out the excluded dimension', () => {
+      const clauses = facetService.buildClauses({ concentration: ['edp'], availability: ['inStock'] });
+      const query = facetService.applyClauses({}, clauses, 'concentration');
+
+      expect(query).toEqual({ $and: [{ inStock: true }] });
+    });
+  });
+
+  describe('getFacetCounts', () => {
+    it('should count each dimension without its own selection', async () => {
+      Product.aggregate.mockResolvedValue([{}]);
+      const clauses = facetService.buildClauses({ concentration: ['edp'], availability: ['inStock'] });
+
+      await facetService.getFacetCounts({ category: 'oriental' }, clauses);
+
+      const [[pipeline]] = Product.aggregate.mock.calls;
+      const { $facet } = pipeline[1];
+      expect(pipeline[0]).toEqual({ $match: { category: 'oriental' } });
+      expect($facet.concentration[0]).toEqual({ $match: { $and: [{ inStock: true }] } });
+      expect($facet.availability[0]).toEqual({ $match: { $and: [{ concentrationCode: { $in: ['edp'] } }] } });
+      expect($facet.topNotes[0].$match.$and).toHaveLength(2);
+    });
+
+    it('should label and order facet values', async () => {
+      Product.aggregate.mockResolvedValue([{
+        topNotes: [{ _id: 'bergamot', en: 'Bergamot', ar: 'برغموت', count: 3 }],
+        concentration: [{ _id: 'edt', count: 1 }, { _id: 'edp', count: 4 }],
+        size: [{ _id: '100ml', count: 2 }, { _id: '50ml', count: 5 }],
+        priceBand: [{ _id: 0, count: 2 }, { _id: 500, count: 1 }],
+        availability: [{ _id: true, count: 6 }]
+      }]);
+
+      const facets = await facetService.getFacetCounts({}, {});
+
+      expect(facets.topNotes).toEqual([
+        { value: 'Bergamot', label: { en: 'Bergamot', ar: 'برغموت' }, count: 3 }
+      ]);
+      expect(facets.concentration.map(({ value }) => value)).toEqual(['edp', 'edt']);
+      expect(facets.size.map(({ value }) => value)).toEqual(['50ml', '100ml']);
+      expect(facets.priceBand.map(({ value, count }) => [value, count])).toEqual([['0-100', 2], ['500+', 1]]);
+      expect(facets.availability).toEqual([
+        { value: 'inStock', label: { en: 'In stock', ar: 'متوفر' }, count: 6 }
+      ]);
+    });
+
+    it('should wrap aggregation errors', async () => {
+      Product.aggregate.mockRejectedValue(new Error('boom'));
+
+      await expect(facetService.getFacetCounts({}, {})).rejects.toThrow('Failed to get facet counts: boom');
+    });
+  });
+});
@@ -0,0 +1,221 @@
+const giftCardService = require('../../services/giftCardService');
+const GiftCard = require('../../models/GiftCard');
+const Customer = require('../../models/Customer');
+const Order = require('../../models/Order');
+const emailService = require('../../services/emailService');
+
+jest.mock('../../models/GiftCard', () => {
+  const actual = jest.requireActual('../../models/GiftCard');
+  return {
+    generateCode: actual.generateCode,
+    maskCode: actual.maskCode,
+    normalizeCode: actual.normalizeCode,
+    find: jest.fn(),
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    findByIdAndUpdate: jest.fn(),
+    exists: jest.fn(),
+    create: jest.fn(),
+    updateOne: jest.fn()
+  };
+});
+jest.mock('../../models/Customer');
+jest.mock('../../models/Order');
+jest.mock('../../services/emailService', () => ({
+  sendGiftCard: jest.fn(() => Promise.resolve({ success: true }))
+}));
+jest.mock('../../services/databaseService', () => ({
+  executeWithTransaction: jest.fn(operations => operations('session'))
+}));
+
+describe('GiftCardService Unit Tests', () => {
+  const now = new Date('2026-01-01T12:00:00Z');
+  const card = (fields) => ({
+    _id: fields.code,
+    kind: 'gift_card',
+    status: 'active',
+    balance: 100,
+    expiresAt: new Date('2026-06-01T00:00:00Z'),
+    ...fields
+  });
+  const customer = (found) => {
+    Customer.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(found ? { _id: 'customer1' } : null) });
+  };
+  const storeCredit = (cards) => {
+    GiftCard.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(cards) });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('quoteRedemption', () => {
+    it('should use typed cards first, then store credit soonest to expire, until the amount is covered', async () => {
+      customer(true);
+      storeCredit([
+        card({ code: 'CRED-IT00-0000-0001', kind: 'store_credit', customer: 'customer1', balance: 40 }),
+        card({ code: 'CRED-IT00-0000-0002', kind: 'store_credit', customer: 'customer1', balance: 80 })
+      ]);
+      GiftCard.findOne.mockResolvedValue(card({ code: 'ABCD-EFGH-JKLM-NPQR', balance: 100 }));
+
+      const quote = await giftCardService.quoteRedemption({
+        codes: ['abcd efgh jklm npqr'],
+        useStoreCredit: true,
+        customerEmail: 'Layla@Example.com',
+        amount: 150
+      }, now);
+
+      expect(Customer.findOne).toHaveBeenCalledWith({ email: 'layla@example.com' });
+      expect(GiftCard.findOne).toHaveBeenCalledWith({ code: 'ABCD-EFGH-JKLM-NPQR' });
+      expect(quote.storeCreditBalance).toBe(120);
+      expect(quote.total).toBe(150);
+      expect(quote.cards.map(({ code, amount }) => ({ code, amount }))).toEqual([
+        { code: '****-NPQR', amount: 100 },
+        { code: '****-0001', amount: 40 },
+        { code: '****-0002', amount: 10 }
+      ]);
+    });
+
+    it('should reject cards that cannot be used, with the reason', async () => {
+      customer(false);
+
+      GiftCard.findOne.mockResolvedValueOnce(null);
+      await expect(giftCardService.quoteRedemption({ codes: ['ABCD-EFGH-JKLM-NPQR'], amount: 100 }, now))
+        .rejects.toThrow('Gift card ****-NPQR is not valid');
+
+      GiftCard.findOne.mockResolvedValueOnce(card({ code: 'ABCD-EFGH-JKLM-NPQR', expiresAt: new Date('2025-12-31') }));
+      await expect(giftCardService.quoteRedemption({ codes: ['ABCD-EFGH-JKLM-NPQR'], amount: 100 }, now))
+        .rejects.toThrow('Gift card ****-NPQR has expired');
+
+      GiftCard.findOne.mockResolvedValueOnce(card({ code: 'ABCD-EFGH-JKLM-NPQR', balance: 0 }));
+      await expect(giftCardService.quoteRedemption({ codes: ['ABCD-EFGH-JKLM-NPQR'], amount: 100 }, now))
+        .rejects.toThrow('Gift card ****-NPQR has no balance left');
+    });
+
+    it('should only let the owner spend store credit', async () => {
+      customer(false);
+      GiftCard.findOne.mockResolvedValue(card({ code: 'CRED-IT00-0000-0001', kind: 'store_credit', customer: 'customer1' }));
+
+      await expect(giftCardService.quoteRedemption({ codes: ['CRED-IT00-0000-0001'], amount: 100 }, now))
+        .rejects.toThrow('Gift card ****-0001 is not valid');
+      await expect(giftCardService.quoteRedemption({ useStoreCredit: true, amount: 100 }, now))
+        .rejects.toThrow('Log in to use your store credit');
+    });
+
+    it('should not let gift cards pay for gift cards', async () => {
+      customer(false);
+
+      await expect(giftCardService.quoteRedemption({
+        codes: ['ABCD-EFGH-JKLM-NPQR'],
+        amount: 100,
+        hasGiftCardItems: true
+      }, now)).rejects.toThrow('Gift cards and store credit cannot be used to buy gift cards');
+    });
+  });
+
+  describe('redeemCards', () => {
+    it('should fail the order when a card was spent in the meantime', async () => {
+      GiftCard.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(giftCardService.redeemCards(
+        [{ giftCard: 'card1', code: '****-NPQR', amount: 60 }],
+        { _id: 'order1', orderNumber: 'MD-1' },
+        { session: 'session' },
+        now
+      )).rejects.toThrow('Gift card ****-NPQR can no longer pay for this order');
+      expect(GiftCard.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: 'card1', status: 'active', balance: { $gte: 60 } }),
+        { $inc: { balance: -60 } },
+        { new: true, session: 'session' }
+      );
+    });
+  });
+
+  describe('releaseOrderCards', () => {
+    const order = { _id: 'order1', orderNumber: 'MD-1', giftCards: [{ giftCard: 'card1', amount: 60 }] };
+
+    it('should give back what the order took from its cards', async () => {
+      Order.updateOne.mockResolvedValue({ modifiedCount: 1 });
+      GiftCard.findByIdAndUpdate.mockResolvedValue({ _id: 'card1', balance: 100 });
+
+      await expect(giftCardService.releaseOrderCards(order)).resolves.toBe(60);
+      expect(GiftCard.updateOne).toHaveBeenCalledWith(
+        { _id: 'card1' },
+        { $push: { transactions: expect.objectContaining({ type: 'release', amount: 60, balance: 100 }) } },
+        { session: null }
+      );
+    });
+
+    it('should not give it back twice', async () => {
+      Order.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(giftCardService.releaseOrderCards(order)).resolves.toBe(0);
+      expect(GiftCard.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('issueOrderGiftCards', () => {
+    it('should issue a card per unit bought and email it to the recipient', async () => {
+      const giftCardLine = {
+        quantity: 2,
+        price: 250,
+        giftCard: { recipientName: 'Sara', recipientEmail: 'sara@example.com', message: 'Enjoy' }
+      };
+      const order = {
+        _id: 'order1',
+        orderNumber: 'MD-1',
+        customerInfo: { firstName: 'Layla' },
+        items: [{ quantity: 1, price: 100 }, giftCardLine],
+        save: jest.fn().mockResolvedValue(undefined)
+      };
+      Order.findOneAndUpdate.mockResolvedValue(order);
+      GiftCard.exists.mockReturnValue({ session: jest.fn().mockResolvedValue(null) });
+      GiftCard.create.mockImplementation(([fields]) => Promise.resolve([{ _id: fields.code, ...fields }]));
+      GiftCard.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+      const cards = await giftCardService.issueOrderGiftCards('order1', now);
+
+      expect(Order.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: 'order1', giftCardsIssuedAt: null }),
+        { $set: { giftCardsIssuedAt: now } },
+        { new: true, session: 'session' }
+      );
+      expect(cards).toHaveLength(2);
+      expect(cards[0]).toEqual(expect.objectContaining({
+        kind: 'gift_card',
+        source: 'purchase',
+        initialBalance: 250,
+        balance: 250,
+        expiresAt: new Date('2027-01-01T12:00:00Z'),
+        recipient: { name: 'Sara', email: 'sara@example.com' },
+        sender: { name: 'Layla' }
+      }));
+      expect(cards[0].code).toMatch(/^[A-Z2-9]{4}(-[A-Z2-9]{4}){3}$/);
+      expect(giftCardLine.giftCard.cards).toEqual(cards.map(issued => issued._id));
+      expect(order.save).toHaveBeenCalledWith({ session: 'session' });
+      expect(emailService.sendGiftCard).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not issue an order\'s cards twice', async () => {
+      Order.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(giftCardService.issueOrderGiftCards('order1', now)).resolves.toEqual([]);
+      expect(GiftCard.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('adjustBalance', () => {
+    it('should not take a balance below zero', async () => {
+      GiftCard.findOneAndUpdate.mockResolvedValue(null);
+      GiftCard.exists.mockResolvedValue({ _id: 'card1' });
+
+      await expect(giftCardService.adjustBalance('card1', -500, 'Correction', 'admin1'))
+        .rejects.toThrow('Failed to adjust gift card balance: Balance cannot go below zero');
+      expect(GiftCard.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'card1', balance: { $gte: 500 } },
+        { $inc: { balance: -500 } },
+        { new: true }
+      );
+    });
+  });
+});
@@ -0,0 +1,262 @@
+const invoiceService = require('../../services/invoiceService');
+const Invoice = require('../../models/Invoice');
+const CreditNote = require('../../models/CreditNote');
+const Order = require('../../models/Order');
+const Sequence = require('../../models/Sequence');
+const settingsService = require('../../services/settingsService');
+
+jest.mock('../../models/Invoice', () => ({
+  create: jest.fn(),
+  findById: jest.fn(),
+  findOne: jest.fn()
+}));
+jest.mock('../../models/CreditNote', () => ({
+  create: jest.fn(),
+  findById: jest.fn(),
+  findOne: jest.fn()
+}));
+jest.mock('../../models/Order', () => ({
+  findById: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../models/Sequence', () => ({
+  next: jest.fn()
+}));
+jest.mock('../../services/settingsService', () => ({
+  getSettings: jest.fn()
+}));
+jest.mock('../../services/databaseService', () => ({
+  executeWithTransaction: jest.fn(operations => operations('session'))
+}));
+
+describe('InvoiceService Unit Tests', () => {
+  const issuedAt = new Date('2026-10-19T10:00:00.000Z');
+  const settings = {
+    site: {
+      title: { en: 'Maison Darin', ar: 'ميزون دارين' },
+      address: 'Riyadh, Saudi Arabia',
+      email: 'hello@maisondarin.com',
+      phone: '+966 55 000 0000'
+    },
+    taxes: { vatNumber: '310122393500003' }
+  };
+  const order = (fields = {}) => ({
+    _id: 'order1',
+    orderNumber: 'MD-20261019-007',
+    paymentStatus: 'paid',
+    invoice: null,
+    customerInfo: { firstName: 'Layla', lastName: 'Ahmed', email: 'layla@example.com', city: 'Riyadh' },
+    items: [
+      { productName: 'Oud Royal', variantSize: '50ml', price: 250, quantity: 2, subtotal: 500 },
+      { productName: 'Gift card', price: 100, quantity: 1, subtotal: 100, giftCard: { amount: 100 } }
+    ],
+    subtotal: 600,
+    promotionDiscount: 50,
+    loyalty: { discount: 10 },
+    shippingCost: 25,
+    taxRate: 15,
+    taxIncluded: false,
+    tax: 66,
+    total: 631,
+    giftCardTotal: 0,
+    ...fields
+  });
+  const selected = value => ({ select: jest.fn().mockResolvedValue(value) });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    settingsService.getSettings.mockResolvedValue(settings);
+    jest.spyOn(invoiceService, 'renderPdf').mockResolvedValue(Buffer.from('%PDF'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('encodeQrCode', () => {
+    it('should encode seller, VAT number, time, total and VAT as TLV in base64', () => {
+      const encoded = invoiceService.encodeQrCode({
+        seller: { name: { en: 'Maison Darin', ar: 'ميزون دارين' }, vatNumber: '310122393500003' },
+        issuedAt,
+        total: 631,
+        vat: 66
+      });
+
+      const bytes = Buffer.from(encoded, 'base64');
+      const fields = [];
+      for (let offset = 0; offset < bytes.length;) {
+        const length = bytes[offset + 1];
+        fields.push([bytes[offset], bytes.slice(offset + 2, offset + 2 + length).toString('utf8')]);
+        offset += 2 + length;
+      }
+      expect(fields).toEqual([
+        [1, 'ميزون دارين'],
+        [2, '310122393500003'],
+        [3, '2026-10-19T10:00:00Z'],
+        [4, '631.00'],
+        [5, '66.00']
+      ]);
+    });
+  });
+
+  describe('buildInvoice', () => {
+    it('should charge VAT after discounts and not on gift cards bought', () => {
+      const invoice = invoiceService.buildInvoice(order(), settings, { invoiceNumber: 'INV-2026-000001', issuedAt });
+
+      expect(invoice).toMatchObject({
+        invoiceNumber: 'INV-2026-000001',
+        orderNumber: 'MD-20261019-007',
+        seller: { vatNumber: '310122393500003' },
+        customer: { name: 'Layla Ahmed', address: 'Riyadh' },
+        discount: 60,
+        taxableAmount: 440,
+        vat: 66,
+        total: 631
+      });
+      expect(invoice.lines.map(line => line.vatRate)).toEqual([15, 0]);
+      expect(invoice.lines[0].total).toBe(500);
+      expect(invoice.qrCode).toBe(invoiceService.encodeQrCode(invoice));
+    });
+
+    it('should take the VAT out of the taxable amount when prices include it', () => {
+      const invoice = invoiceService.buildInvoice(
+        order({ items: [order().items[0]], subtotal: 500, promotionDiscount: 0, loyalty: {}, taxIncluded: true, tax: 65.22 }),
+        settings,
+        { invoiceNumber: 'INV-2026-000002', issuedAt }
+      );
+
+      expect(invoice.taxableAmount).toBe(434.78);
+      expect(invoice.vatIncluded).toBe(true);
+    });
+
+    it('should refuse to invoice without the seller VAT number', () => {
+      expect(() => invoiceService.buildInvoice(order(), { ...settings, taxes: {} }, { invoiceNumber: 'INV', issuedAt }))
+        .toThrow('Seller VAT number is not set in the tax settings');
+    });
+  });
+
+  describe('issueInvoice', () => {
+    it('should number, store and link the invoice in one transaction', async () => {
+      Order.findById.mockResolvedValue(order());
+      Sequence.next.mockResolvedValue('INV-2026-000001');
+      Invoice.create.mockImplementation(([fields]) => Promise.resolve([{ _id: 'invoice1', ...fields }]));
+      Order.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+      const invoice = await invoiceService.issueInvoice('order1', issuedAt);
+
+      expect(invoice).toMatchObject({ _id: 'invoice1', invoiceNumber: 'INV-2026-000001', pdf: Buffer.from('%PDF') });
+      expect(Sequence.next).toHaveBeenCalledWith('invoice', { session: 'session', date: issuedAt });
+      expect(Order.updateOne).toHaveBeenCalledWith(
+        { _id: 'order1', invoice: null },
+        { $set: { invoice: 'invoice1', invoiceNumber: 'INV-2026-000001' } },
+        { session: 'session' }
+      );
+    });
+
+    it('should return the invoice already issued instead of issuing another', async () => {
+      Order.findById.mockResolvedValue(order({ invoice: 'invoice1' }));
+      Invoice.findById.mockReturnValue(selected({ _id: 'invoice1' }));
+
+      await expect(invoiceService.issueInvoice('order1')).resolves.toEqual({ _id: 'invoice1' });
+      expect(Invoice.create).not.toHaveBeenCalled();
+    });
+
+    it('should return the invoice of a request that issued it first', async () => {
+      Order.findById.mockResolvedValue(order());
+      Sequence.next.mockResolvedValue('INV-2026-000002');
+      Invoice.create.mockResolvedValue([{ _id: 'invoice2' }]);
+      Order.updateOne.mockResolvedValue({ modifiedCount: 0 });
+      Invoice.findOne.mockReturnValue(selected({ _id: 'invoice1' }));
+
+      await expect(invoiceService.issueInvoice('order1')).resolves.toEqual({ _id: 'invoice1' });
+      expect(Invoice.findOne).toHaveBeenCalledWith({ order: 'order1' });
+    });
+
+    it('should not invoice an unpaid order', async () => {
+      Order.findById.mockResolvedValue(order({ paymentStatus: 'pending' }));
+
+      await expect(invoiceService.issueInvoice('order1'))
+        .rejects.toThrow('Failed to issue invoice: Only paid orders can be invoiced');
+    });
+  });
+
+  describe('getOrderInvoice', () => {
+    it('should hide other customers\' orders', async () => {
+      Order.findById.mockReturnValue(selected(order()));
+
+      await expect(invoiceService.getOrderInvoice('order1', { email: 'someone@example.com' }))
+        .rejects.toThrow('Failed to get invoice: Order not found');
+    });
+
+    it('should not invoice an order before it is paid', async () => {
+      Order.findById.mockReturnValue(selected(order({ paymentStatus: 'pending' })));
+
+      await expect(invoiceService.getOrderInvoice('order1', { email: 'Layla@example.com' }))
+        .rejects.toThrow('The order is not invoiced until it is paid');
+    });
+  });
+
+  describe('credit notes', () => {
+    const invoice = () => ({
+      _id: 'invoice1',
+      ...invoiceService.buildInvoice(order(), settings, { invoiceNumber: 'INV-2026-000001', issuedAt }),
+      currency: 'SAR'
+    });
+    const refund = (fields = {}) => ({
+      refundId: 'RF-2026-00001',
+      reason: 'damaged',
+      lines: [{ orderItem: 'line1', productName: 'Oud Royal', variantSize: '50ml', quantity: 1, amount: 220 }],
+      shipping: 25,
+      adjustment: 0,
+      amount: 245,
+      storeCreditAmount: 0,
+      status: 'completed',
+      ...fields
+    });
+
+    it('should credit VAT on the goods in the share the invoice charged it', () => {
+      const creditNote = invoiceService.buildCreditNote(invoice(), refund(), {
+        creditNoteNumber: 'CN-2026-000001',
+        issuedAt
+      });
+
+      // 66 VAT of the 506 paid for taxed goods
+      expect(creditNote).toMatchObject({
+        invoiceNumber: 'INV-2026-000001',
+        refundId: 'RF-2026-00001',
+        lines: [{ description: 'Oud Royal', quantity: 1, unitPrice: 220, vatRate: 15, total: 220 }],
+        shipping: 25,
+        vat: 28.7,
+        taxableAmount: 191.3,
+        total: 245
+      });
+      expect(creditNote.qrCode).toBe(invoiceService.encodeQrCode(creditNote));
+    });
+
+    it('should number, store and link the credit note to its refund', async () => {
+      Order.findById.mockResolvedValue(order({ invoice: 'invoice1', paymentStatus: 'partially_refunded', refunds: [refund()] }));
+      Invoice.findById.mockResolvedValue(invoice());
+      Sequence.next.mockResolvedValue('CN-2026-000001');
+      CreditNote.create.mockImplementation(([fields]) => Promise.resolve([{ _id: 'note1', ...fields }]));
+      Order.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+      const creditNote = await invoiceService.issueCreditNote('order1', 'RF-2026-00001', issuedAt);
+
+      expect(creditNote).toMatchObject({ _id: 'note1', creditNoteNumber: 'CN-2026-000001' });
+      expect(Sequence.next).toHaveBeenCalledWith('creditNote', { session: 'session', date: issuedAt });
+      expect(Order.updateOne).toHaveBeenCalledWith(
+        { _id: 'order1', refunds: { $elemMatch: { refundId: 'RF-2026-00001', creditNote: null } } },
+        { $set: { 'refunds.$.creditNote': 'note1', 'refunds.$.creditNoteNumber': 'CN-2026-000001' } },
+        { session: 'session' }
+      );
+    });
+
+    it('should not credit a refund that failed', async () => {
+      Order.findById.mockResolvedValue(order({ invoice: 'invoice1', refunds: [refund({ status: 'failed' })] }));
+
+      await expect(invoiceService.issueCreditNote('order1', 'RF-2026-00001'))
+        .rejects.toThrow('A credit note is issued once the refund is made');
+      expect(CreditNote.create).not.toHaveBeenCalled();
+    });
+  });
+});
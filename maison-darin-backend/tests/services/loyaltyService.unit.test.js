@@ -0,0 +1,155 @@
+const loyaltyService = require('../../services/loyaltyService');
+const LoyaltyTransaction = require('../../models/LoyaltyTransaction');
+const Customer = require('../../models/Customer');
+const Order = require('../../models/Order');
+const settingsService = require('../../services/settingsService');
+const customerService = require('../../services/customerService');
+
+jest.mock('../../models/LoyaltyTransaction');
+jest.mock('../../models/Customer');
+jest.mock('../../models/Order');
+jest.mock('../../services/settingsService', () => ({
+  getLoyaltySettings: jest.fn()
+}));
+jest.mock('../../services/customerService', () => ({
+  updateCustomerFromOrder: jest.fn()
+}));
+jest.mock('../../services/databaseService', () => ({
+  executeWithTransaction: jest.fn(operations => operations('session'))
+}));
+
+describe('LoyaltyService Unit Tests', () => {
+  const now = new Date('2026-01-01T12:00:00Z');
+  const program = {
+    enabled: true,
+    pointsPerCurrency: 1,
+    pointValue: 0.05,
+    minRedeemPoints: 100,
+    maxRedeemPercent: 50,
+    expiryMonths: 12,
+    tierMultipliers: { bronze: 1, silver: 1.25, gold: 1.5, platinum: 2 }
+  };
+  const customerWith = (fields) => {
+    Customer.findOne.mockReturnValue({
+      select: jest.fn().mockResolvedValue({ _id: 'customer1', loyaltyPoints: 0, tier: 'bronze', ...fields })
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    settingsService.getLoyaltySettings.mockResolvedValue(program);
+  });
+
+  describe('calculatePoints', () => {
+    it('should apply the tier multiplier and round down', () => {
+      expect(loyaltyService.calculatePoints(99.99, program, 'bronze')).toBe(99);
+      expect(loyaltyService.calculatePoints(100, program, 'gold')).toBe(150);
+      expect(loyaltyService.calculatePoints(100, { ...program, enabled: false }, 'gold')).toBe(0);
+    });
+  });
+
+  describe('quoteRedemption', () => {
+    it('should cap the points redeemed to the share of the order they may pay for', async () => {
+      customerWith({ loyaltyPoints: 5000, tier: 'silver' });
+
+      // Half of 200 is 100 SAR, or 2000 points at 0.05
+      const quote = await loyaltyService.quoteRedemption({
+        customerEmail: 'Layla@Example.com',
+        points: 3000,
+        amount: 200
+      });
+
+      expect(Customer.findOne).toHaveBeenCalledWith({ email: 'layla@example.com' });
+      expect(quote).toEqual(expect.objectContaining({
+        balance: 5000,
+        maxRedeemablePoints: 2000,
+        pointsRedeemed: 2000,
+        discount: 100,
+        multiplier: 1.25,
+        pointsToEarn: 125
+      }));
+    });
+
+    it('should reject redemptions below the minimum or without enough points', async () => {
+      customerWith({ loyaltyPoints: 80 });
+
+      await expect(loyaltyService.quoteRedemption({ customerEmail: 'layla@example.com', points: 50, amount: 200 }))
+        .rejects.toThrow('Redeem at least 100 loyalty points');
+      await expect(loyaltyService.quoteRedemption({ customerEmail: 'layla@example.com', points: 100, amount: 200 }))
+        .rejects.toThrow('Not enough loyalty points to redeem on this order');
+    });
+
+    it('should only let logged-in customers redeem', async () => {
+      await expect(loyaltyService.quoteRedemption({ points: 100, amount: 200 }))
+        .rejects.toThrow('Log in to redeem loyalty points');
+      await expect(loyaltyService.quoteRedemption({ amount: 200 })).resolves.toBeNull();
+    });
+  });
+
+  describe('awardOrderPoints', () => {
+    it('should award points on what was paid for the items and start their expiry', async () => {
+      Order.findOneAndUpdate.mockResolvedValue({
+        _id: 'order1',
+        orderNumber: 'MD-20260101-001',
+        subtotal: 300,
+        promotionDiscount: 20,
+        loyalty: { discount: 5 }
+      });
+      customerService.updateCustomerFromOrder.mockResolvedValue({ _id: 'customer1', tier: 'gold' });
+      Customer.findByIdAndUpdate.mockResolvedValue({ loyaltyPoints: 612 });
+
+      const points = await loyaltyService.awardOrderPoints('order1', now);
+
+      expect(points).toBe(412);
+      expect(customerService.updateCustomerFromOrder).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: 'order1' }),
+        { session: 'session' }
+      );
+      expect(LoyaltyTransaction.create).toHaveBeenCalledWith([expect.objectContaining({
+        type: 'earn',
+        points: 412,
+        balance: 612,
+        remaining: 412,
+        expiresAt: new Date('2027-01-01T12:00:00Z'),
+        multiplier: 1.5
+      })], { session: 'session' });
+    });
+
+    it('should not award an order twice', async () => {
+      Order.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(loyaltyService.awardOrderPoints('order1', now)).resolves.toBeNull();
+      expect(customerService.updateCustomerFromOrder).not.toHaveBeenCalled();
+      expect(LoyaltyTransaction.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('expirePoints', () => {
+    it('should expire what is left of a lot, no more than the balance', async () => {
+      LoyaltyTransaction.find.mockReturnValue({
+        sort: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([{ _id: 'lot1', customer: 'customer1', remaining: 300, orderNumber: 'MD-1' }])
+      });
+      LoyaltyTransaction.updateOne.mockResolvedValue({ modifiedCount: 1 });
+      Customer.findById.mockReturnValue({
+        select: jest.fn().mockReturnValue({ session: jest.fn().mockResolvedValue({ loyaltyPoints: 200 }) })
+      });
+      Customer.findByIdAndUpdate.mockResolvedValue({ loyaltyPoints: 0 });
+
+      const result = await loyaltyService.expirePoints(now);
+
+      expect(result).toEqual({ checked: 1, expired: 200 });
+      expect(LoyaltyTransaction.updateOne).toHaveBeenCalledWith(
+        { _id: 'lot1', remaining: 300 },
+        { $set: { remaining: 0 } },
+        { session: 'session' }
+      );
+      expect(LoyaltyTransaction.create).toHaveBeenCalledWith([expect.objectContaining({
+        type: 'expire',
+        points: -200,
+        lots: [{ transaction: 'lot1', points: 200 }]
+      })], { session: 'session' });
+    });
+  });
+});
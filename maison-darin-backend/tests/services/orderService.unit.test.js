@@ -1,10 +1,50 @@
 const orderService = require('../../services/orderService');
 const Order = require('../../models/Order');
 const Product = require('../../models/Product');
+const PriceRule = require('../../models/PriceRule');
+const settingsService = require('../../services/settingsService');
+const notificationService = require('../../services/notificationService');
+const promotionService = require('../../services/promotionService');
+const loyaltyService = require('../../services/loyaltyService');
+const giftCardService = require('../../services/giftCardService');
+const Return = require('../../models/Return');
 
 // Mock the models
 jest.mock('../../models/Order');
 jest.mock('../../models/Product');
+jest.mock('../../models/Return');
+jest.mock('../../models/PriceRule', () => ({
+  applyDiscount: jest.requireActual('../../models/PriceRule').applyDiscount,
+  findActive: jest.fn()
+}));
+jest.mock('../../services/settingsService', () => ({
+  calculateShipping: jest.fn(),
+  calculateTax: jest.fn()
+}));
+jest.mock('../../services/databaseService', () => ({
+  executeWithTransaction: jest.fn(operations => operations('session'))
+}));
+jest.mock('../../services/stockAlertService', () => ({
+  checkStockLevels: jest.fn(() => Promise.resolve())
+}));
+jest.mock('../../services/promotionService', () => ({
+  applyPromotions: jest.fn(() => Promise.resolve({ promotions: [], discount: 0, freeShipping: false, couponCode: null })),
+  recordUsage: jest.fn(() => Promise.resolve()),
+  releaseUsage: jest.fn(() => Promise.resolve())
+}));
+jest.mock('../../services/loyaltyService', () => ({
+  quoteRedemption: jest.fn(() => Promise.resolve(null)),
+  redeemPoints: jest.fn(() => Promise.resolve()),
+  restoreRedeemedPoints: jest.fn(() => Promise.resolve(0)),
+  reverseOrderPoints: jest.fn(() => Promise.resolve(0)),
+  awardOrderPoints: jest.fn(() => Promise.resolve(0))
+}));
+jest.mock('../../services/giftCardService', () => ({
+  quoteRedemption: jest.fn(() => Promise.resolve({ cards: [], total: 0, storeCreditBalance: 0 })),
+  redeemCards: jest.fn(() => Promise.resolve()),
+  releaseOrderCards: jest.fn(() => Promise.resolve(0)),
+  voidOrderGiftCards: jest.fn(() => Promise.resolve(0))
+}));
 
 describe('OrderService Unit Tests', () => {
   let validOrderData;
@@ -12,6 +52,7 @@ describe('OrderService Unit Tests', () => {
 
   beforeEach(() => {
     jest.clearAllMocks();
+    PriceRule.findActive.mockReturnValue({ lean: jest.fn().mockResolvedValue([]) });
 
     mockProduct = {
       _id: 'product123',
@@ -96,6 +137,526 @@ describe('OrderService Unit Tests', () => {
     });
   });
 
+  describe('bundles', () => {
+    let bundle;
+    let rose;
+    let amber;
+
+    beforeEach(() => {
+      rose = { _id: 'rose', isAvailable: jest.fn().mockReturnValue(true), updateStock: jest.fn().mockResolvedValue(true) };
+      amber = { _id: 'amber', isAvailable: jest.fn().mockReturnValue(true), updateStock: jest.fn().mockResolvedValue(true) };
+      bundle = {
+        _id: 'bundle123',
+        type: 'bundle',
+        name: { en: 'Discovery Set' },
+        components: [
+          { product: 'rose', quantity: 1 },
+          { product: 'amber', variant: 'amber10', quantity: 2 }
+        ]
+      };
+    });
+
+    it('should check each component for the ordered quantity and record the components', async () => {
+      Product.find.mockResolvedValue([rose, amber]);
+      const item = { productId: 'bundle123', quantity: 3 };
+
+      await orderService.validateBundleItem(bundle, item, 0);
+
+      expect(rose.isAvailable).toHaveBeenCalledWith(3, null);
+      expect(amber.isAvailable).toHaveBeenCalledWith(6, 'amber10');
+      expect(item.bundleComponents).toEqual([
+        { productId: 'rose', variantId: undefined, quantity: 1 },
+        { productId: 'amber', variantId: 'amber10', quantity: 2 }
+      ]);
+    });
+
+    it('should reject a bundle whose component is out of stock', async () => {
+      amber.isAvailable.mockReturnValue(false);
+      Product.find.mockResolvedValue([rose, amber]);
+
+      await expect(orderService.validateBundleItem(bundle, { quantity: 1 }, 0))
+        .rejects.toThrow('Item 1: Insufficient stock for bundle Discovery Set');
+    });
+
+    it('should decrement component stock when a bundle is ordered', async () => {
+      Product.adjustStock.mockResolvedValue(undefined);
+
+      await orderService.updateProductStock([{
+        productId: 'bundle123',
+        quantity: 2,
+        bundleComponents: [
+          { productId: 'rose', quantity: 1 },
+          { productId: 'amber', variantId: 'amber10', quantity: 2 }
+        ]
+      }], { session: 'session', order: 'order123' });
+
+      expect(Product.adjustStock).toHaveBeenCalledWith('rose', -2,
+        { variantId: null, session: 'session', type: 'sale', order: 'order123' });
+      expect(Product.adjustStock).toHaveBeenCalledWith('amber', -4,
+        { variantId: 'amber10', session: 'session', type: 'sale', order: 'order123' });
+    });
+
+    it('should restore component stock when a bundle order is cancelled', async () => {
+      await orderService.restoreProductStock([{
+        productId: 'bundle123',
+        quantity: 2,
+        bundleComponents: [{ productId: 'rose', quantity: 3 }]
+      }], { type: 'cancellation_restock', order: 'order123' });
+
+      expect(Product.adjustStock).toHaveBeenCalledWith('rose', 6, {
+        type: 'cancellation_restock',
+        order: 'order123',
+        variantId: null
+      });
+    });
+    it('should skip products deleted since the order but not hide a failed transaction', async () => {
+      const items = [{ productId: 'gone', quantity: 1 }, { productId: 'rose', quantity: 2 }];
+      Product.adjustStock
+        .mockRejectedValueOnce(new Error('Product not found'))
+        .mockResolvedValueOnce(undefined);
+
+      await orderService.restoreProductStock(items, { session: 'session', type: 'return' });
+      expect(Product.adjustStock).toHaveBeenCalledTimes(2);
+
+      Product.adjustStock.mockRejectedValueOnce(new Error('Transaction has been aborted'));
+      await expect(orderService.restoreProductStock(items, { session: 'session', type: 'return' }))
+        .rejects.toThrow('Transaction has been aborted');
+    });
+  });
+
+  describe('stock reservations', () => {
+    const items = [
+      { productId: 'product123', quantity: 2 },
+      { productId: 'product456', variantId: 'size50', quantity: 1 }
+    ];
+
+    it('should fail the order when an item sells out before it is placed', async () => {
+      Product.adjustStock
+        .mockResolvedValueOnce(undefined)
+        .mockRejectedValueOnce(new Error('Insufficient stock'));
+
+      await expect(orderService.updateProductStock(items, { session: 'session' }))
+        .rejects.toThrow('Item 2: Insufficient stock');
+      expect(Product.adjustStock).toHaveBeenCalledWith('product123', -2,
+        { variantId: null, session: 'session', type: 'sale', order: undefined });
+    });
+
+    it('should cancel an unpaid order and return its held stock', async () => {
+      const now = new Date();
+      Order.findOneAndUpdate.mockResolvedValue({ _id: 'order123', orderNumber: 'MD-1', items });
+      Product.adjustStock.mockResolvedValue(undefined);
+      Product.refreshBundleStock.mockResolvedValue(0);
+
+      const order = await orderService.releaseStockReservation('order123', now);
+
+      expect(order._id).toBe('order123');
+      expect(Order.findOneAndUpdate).toHaveBeenCalledWith(
+        {
+          _id: 'order123',
+          'stockReservation.status': 'held',
+          paymentStatus: { $nin: ['paid', 'partially_paid'] },
+          status: { $ne: 'cancelled' }
+        },
+        {
+          $set: expect.objectContaining({ 'stockReservation.status': 'released', status: 'cancelled' }),
+          $push: { timeline: expect.objectContaining({ status: 'cancelled', at: now, actor: { type: 'system' } }) }
+        },
+        { new: true, session: 'session' }
+      );
+      expect(Order.updateOne).toHaveBeenCalledWith(
+        { _id: 'order123', 'timeline._id': expect.anything() },
+        { $push: { 'timeline.$.effects': { $each: ['stock_restored'] } } },
+        { session: 'session' }
+      );
+      expect(Product.adjustStock).toHaveBeenCalledWith('product123', 2, expect.objectContaining({
+        variantId: null,
+        session: 'session',
+        type: 'cancellation_restock',
+        order: 'order123'
+      }));
+      expect(Product.adjustStock).toHaveBeenCalledWith('product456', 1,
+        expect.objectContaining({ variantId: 'size50', session: 'session' }));
+    });
+
+    it('should not return stock twice for a reservation already released or paid', async () => {
+      Order.findOneAndUpdate.mockResolvedValue(null);
+
+      const order = await orderService.releaseStockReservation('order123');
+
+      expect(order).toBeNull();
+      expect(Product.adjustStock).not.toHaveBeenCalled();
+    });
+
+    it('should release every reservation whose payment has expired', async () => {
+      const now = new Date();
+      Order.find.mockReturnValue({
+        select: jest.fn().mockReturnValue({
+          lean: jest.fn().mockResolvedValue([{ _id: 'order1' }, { _id: 'order2' }])
+        })
+      });
+      const release = jest.spyOn(orderService, 'releaseStockReservation')
+        .mockResolvedValueOnce({ _id: 'order1' })
+        .mockResolvedValueOnce(null);
+
+      const released = await orderService.releaseExpiredReservations(now);
+
+      expect(Order.find).toHaveBeenCalledWith({
+        'stockReservation.status': 'held',
+        'stockReservation.expiresAt': { $lte: now }
+      });
+      expect(released).toBe(1);
+      release.mockRestore();
+    });
+
+    it('should refuse to claim a reservation that has been released', async () => {
+      Order.findOneAndUpdate.mockResolvedValue(null);
+      Order.findOne.mockReturnValue({
+        select: jest.fn().mockReturnValue({
+          lean: jest.fn().mockResolvedValue({ stockReservation: { status: 'released' } })
+        })
+      });
+
+      await expect(orderService.claimStockReservation('PAYPAL123')).resolves.toBe(false);
+    });
+  });
+
+  describe('pre-orders', () => {
+    const releaseDate = new Date('2026-03-01T00:00:00Z');
+    let upcoming;
+
+    beforeEach(() => {
+      upcoming = {
+        ...mockProduct,
+        stock: 0,
+        inStock: false,
+        preOrder: { enabled: true, releaseDate, cap: 5, depositPercent: 20, reserved: 1 },
+        isPreOrderable: jest.fn().mockReturnValue(true)
+      };
+      Product.findById = jest.fn().mockResolvedValue(upcoming);
+      settingsService.calculateShipping.mockResolvedValue({ cost: 15, isFree: false });
+      settingsService.calculateTax.mockResolvedValue({ taxAmount: 10, taxRate: 5, taxIncluded: false });
+    });
+
+    it('should accept a pre-order with no stock and charge only its deposit', async () => {
+      const quote = await orderService.quoteOrder({
+        items: [{ productId: 'product123', quantity: 2 }],
+        countryCode: 'SA'
+      });
+
+      expect(quote.items[0].preOrder).toEqual({ releaseDate, deposit: 40 });
+      expect(quote.total).toBe(224.98);
+      expect(quote.balanceDue).toBe(159.98);
+      expect(quote.amountDue).toBe(65);
+    });
+
+    it('should reject a pre-order beyond the cap', async () => {
+      await expect(orderService.validateOrderItems([{ productId: 'product123', quantity: 5 }]))
+        .rejects.toThrow('Item 1: Only 4 left to pre-order');
+    });
+
+    it('should not let the client mark a line as a pre-order', async () => {
+      upcoming.isPreOrderable.mockReturnValue(false);
+      const items = [{ productId: 'product123', quantity: 1, preOrder: { releasedAt: new Date() } }];
+
+      await orderService.validateOrderItems(items);
+
+      expect(items[0].preOrder).toBeUndefined();
+    });
+
+    it('should take no stock for a pre-order until it is released', async () => {
+      await orderService.updateProductStock(
+        [{ productId: 'product123', quantity: 2, preOrder: { releaseDate } }],
+        { session: 'session' }
+      );
+
+      expect(Product.adjustStock).not.toHaveBeenCalled();
+    });
+
+    it('should fail the order when the cap fills up before it is placed', async () => {
+      Product.adjustPreOrders.mockRejectedValueOnce(new Error('Pre-order limit reached'));
+
+      await expect(orderService.reservePreOrders(
+        [{ productId: 'product123', quantity: 2, preOrder: { releaseDate } }],
+        { session: 'session' }
+      )).rejects.toThrow('Item 1: Pre-order limit reached');
+      expect(Product.adjustPreOrders).toHaveBeenCalledWith('product123', 2, { session: 'session' });
+    });
+
+    describe('release', () => {
+      const now = new Date('2026-03-01T06:00:00Z');
+      let order;
+
+      beforeEach(() => {
+        order = {
+          _id: 'order123',
+          orderNumber: 'MD-1',
+          status: 'awaiting_release',
+          items: [
+            { _id: 'line1', productId: 'product123', quantity: 2, preOrder: { releaseDate } },
+            { _id: 'line2', productId: 'product456', quantity: 1 }
+          ]
+        };
+        Order.findById.mockResolvedValue(order);
+        Product.find.mockReturnValue({
+          select: jest.fn().mockResolvedValue([{ _id: 'product123', preOrder: { enabled: false } }])
+        });
+        Product.refreshBundleStock.mockResolvedValue(0);
+        jest.spyOn(notificationService, 'sendPreOrderReleaseNotification').mockResolvedValue(true);
+      });
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+      });
+
+      it('should take the stock of launched lines and move the order to processing', async () => {
+        Order.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+        const released = await orderService.releasePreOrder('order123', now);
+
+        expect(released).toBe(order);
+        expect(Order.updateOne).toHaveBeenCalledWith(
+          expect.objectContaining({ _id: 'order123', status: 'awaiting_release' }),
+          {
+            $set: { 'items.$[line].preOrder.releasedAt': now, status: 'processing' },
+            $push: { timeline: expect.objectContaining({ status: 'processing', at: now, actor: { type: 'system' } }) }
+          },
+          { arrayFilters: [{ 'line._id': { $in: ['line1'] } }], session: 'session' }
+        );
+        expect(Product.adjustStock).toHaveBeenCalledWith('product123', -2, expect.objectContaining({
+          variantId: null, session: 'session', type: 'sale', order: 'order123'
+        }));
+        expect(Product.adjustPreOrders).toHaveBeenCalledWith('product123', -2, { session: 'session' });
+        expect(notificationService.sendPreOrderReleaseNotification).toHaveBeenCalledWith(order);
+      });
+
+      it('should keep waiting while the product still takes pre-orders', async () => {
+        Product.find.mockReturnValue({
+          select: jest.fn().mockResolvedValue([{ _id: 'product123', preOrder: { enabled: true } }])
+        });
+
+        await expect(orderService.releasePreOrder('order123', now)).resolves.toBeNull();
+        expect(Order.updateOne).not.toHaveBeenCalled();
+        expect(Product.adjustStock).not.toHaveBeenCalled();
+      });
+
+      it('should not release lines another run already released', async () => {
+        Order.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+        await expect(orderService.releasePreOrder('order123', now)).resolves.toBeNull();
+        expect(Product.adjustStock).not.toHaveBeenCalled();
+        expect(notificationService.sendPreOrderReleaseNotification).not.toHaveBeenCalled();
+      });
+
+      it('should launch products on their release date and release paid orders', async () => {
+        Product.updateMany.mockResolvedValue({ modifiedCount: 1 });
+        Order.find.mockReturnValue({
+          select: jest.fn().mockReturnValue({
+            lean: jest.fn().mockResolvedValue([{ _id: 'order1' }, { _id: 'order2' }])
+          })
+        });
+        const release = jest.spyOn(orderService, 'releasePreOrder')
+          .mockResolvedValueOnce({ _id: 'order1' })
+          .mockRejectedValueOnce(new Error('Insufficient stock'));
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const result = await orderService.releasePreOrders(now);
+
+        expect(Product.updateMany).toHaveBeenCalledWith(
+          { 'preOrder.enabled': true, 'preOrder.releaseDate': { $lte: now } },
+          { $set: { 'preOrder.enabled': false, 'preOrder.releasedAt': now } }
+        );
+        expect(Order.find).toHaveBeenCalledWith({
+          status: 'awaiting_release',
+          'stockReservation.status': { $ne: 'held' }
+        });
+        expect(release).toHaveBeenCalledTimes(2);
+        expect(result).toEqual({ launched: 1, released: 1 });
+      });
+    });
+  });
+
+  describe('applyEffectivePrices', () => {
+    it('should charge the sale price running at checkout', async () => {
+      const sale = { _id: 'rule1', scope: 'product', product: 'product123', discountType: 'percentage', value: 10 };
+      PriceRule.findActive.mockReturnValue({ lean: jest.fn().mockResolvedValue([sale]) });
+      const items = [{ productId: 'product123', quantity: 2, price: 99.99 }];
+
+      await orderService.applyEffectivePrices(items, [mockProduct]);
+
+      expect(items[0]).toEqual(expect.objectContaining({ price: 89.99, regularPrice: 99.99, priceRule: 'rule1' }));
+      expect(orderService.calculateOrderTotal(items)).toBeCloseTo(179.98);
+    });
+
+    it('should charge the regular price once a sale has ended', async () => {
+      const items = [{ productId: 'product123', quantity: 1, price: 89.99 }];
+
+      await orderService.applyEffectivePrices(items, [mockProduct]);
+
+      expect(items[0].price).toBe(99.99);
+      expect(items[0].priceRule).toBeUndefined();
+    });
+  });
+
+  describe('quoteOrder', () => {
+    const quoteData = () => ({
+      items: [{ productId: 'product123', quantity: 2, price: 1 }],
+      countryCode: 'SA'
+    });
+
+    beforeEach(() => {
+      Product.findById = jest.fn().mockResolvedValue(mockProduct);
+      settingsService.calculateShipping.mockResolvedValue({ cost: 15, isFree: false });
+      settingsService.calculateTax.mockResolvedValue({ taxAmount: 9.9999, taxRate: 5, taxIncluded: false });
+    });
+
+    it('should price items from the catalogue and ignore client prices', async () => {
+      const quote = await orderService.quoteOrder(quoteData());
+
+      expect(quote.items[0]).toEqual(expect.objectContaining({ price: 99.99, subtotal: 199.98 }));
+      expect(quote.subtotal).toBe(199.98);
+      expect(settingsService.calculateShipping).toHaveBeenCalledWith('SA', 199.98, 'standard');
+      expect(settingsService.calculateTax).toHaveBeenCalledWith(199.98, 'SA');
+      expect(quote).toEqual(expect.objectContaining({ shippingCost: 15, tax: 10, total: 224.98 }));
+    });
+
+    it('should not add tax that is included in the price', async () => {
+      settingsService.calculateTax.mockResolvedValue({ taxAmount: 9.52, taxRate: 5, taxIncluded: true });
+
+      const quote = await orderService.quoteOrder(quoteData());
+
+      expect(quote.tax).toBe(9.52);
+      expect(quote.total).toBe(214.98);
+    });
+
+    it('should take promotions off the subtotal before tax', async () => {
+      promotionService.applyPromotions.mockResolvedValueOnce({
+        promotions: [{ promotion: 'promo1', code: 'SAVE20', discount: 20, freeShipping: true }],
+        discount: 20,
+        freeShipping: true,
+        couponCode: 'SAVE20'
+      });
+
+      const quote = await orderService.quoteOrder({ ...quoteData(), couponCode: 'save20', email: 'layla@example.com' });
+
+      expect(promotionService.applyPromotions).toHaveBeenCalledWith(expect.objectContaining({
+        subtotal: 199.98,
+        shippingCost: 15,
+        code: 'save20',
+        email: 'layla@example.com'
+      }));
+      expect(settingsService.calculateTax).toHaveBeenCalledWith(179.98, 'SA');
+      expect(quote).toEqual(expect.objectContaining({
+        promotionDiscount: 20,
+        couponCode: 'SAVE20',
+        shippingCost: 0,
+        freeShipping: true,
+        total: 189.98
+      }));
+    });
+
+    it('should take redeemed loyalty points off the subtotal before tax', async () => {
+      loyaltyService.quoteRedemption.mockResolvedValueOnce({ customer: 'customer1', pointsRedeemed: 400, discount: 20 });
+
+      const quote = await orderService.quoteOrder(
+        { ...quoteData(), loyaltyPoints: 400 },
+        { customerEmail: 'layla@example.com' }
+      );
+
+      expect(loyaltyService.quoteRedemption).toHaveBeenCalledWith({
+        customerEmail: 'layla@example.com',
+        points: 400,
+        amount: 199.98
+      });
+      expect(settingsService.calculateTax).toHaveBeenCalledWith(179.98, 'SA');
+      expect(quote.loyalty).toEqual(expect.objectContaining({ pointsRedeemed: 400, discount: 20 }));
+      expect(quote.total).toBe(204.98);
+    });
+
+    it('should not redeem points against gift cards bought with the order', async () => {
+      Product.findById = jest.fn()
+        .mockResolvedValueOnce(mockProduct)
+        .mockResolvedValueOnce({ ...mockProduct, _id: 'card1', type: 'gift_card', price: 500 });
+
+      await orderService.quoteOrder(
+        {
+          items: [
+            { productId: 'product123', quantity: 2 },
+            { productId: 'card1', quantity: 1, giftCard: { recipientName: 'Sara', recipientEmail: 'sara@example.com' } }
+          ],
+          countryCode: 'SA',
+          loyaltyPoints: 20000
+        },
+        { customerEmail: 'layla@example.com' }
+      );
+
+      expect(loyaltyService.quoteRedemption).toHaveBeenCalledWith(expect.objectContaining({ amount: 199.98 }));
+    });
+
+    it('should take gift cards and store credit off the amount due', async () => {
+      giftCardService.quoteRedemption.mockResolvedValueOnce({
+        cards: [{ giftCard: 'card1', kind: 'gift_card', code: '****-AB12', balance: 50, amount: 50 }],
+        total: 50,
+        storeCreditBalance: 0
+      });
+
+      const quote = await orderService.quoteOrder(
+        { ...quoteData(), giftCardCodes: ['abcd-efgh-jkmn-ab12'], useStoreCredit: true },
+        { customerEmail: 'layla@example.com' }
+      );
+
+      expect(giftCardService.quoteRedemption).toHaveBeenCalledWith({
+        codes: ['abcd-efgh-jkmn-ab12'],
+        useStoreCredit: true,
+        customerEmail: 'layla@example.com',
+        amount: 224.98,
+        hasGiftCardItems: false
+      });
+      expect(quote).toEqual(expect.objectContaining({ total: 224.98, giftCardTotal: 50, amountDue: 174.98 }));
+    });
+
+    it('should neither ship nor tax gift cards bought on their own', async () => {
+      Product.findById.mockResolvedValue({ ...mockProduct, type: 'gift_card', price: 200 });
+      settingsService.calculateTax.mockResolvedValue({ taxAmount: 0, taxRate: 5, taxIncluded: false });
+
+      const quote = await orderService.quoteOrder({
+        items: [{
+          productId: 'product123',
+          quantity: 1,
+          giftCard: { recipientName: 'Sara', recipientEmail: 'sara@example.com', message: 'Happy birthday' }
+        }],
+        countryCode: 'SA'
+      });
+
+      expect(quote.items[0].giftCard).toEqual(expect.objectContaining({ recipientEmail: 'sara@example.com' }));
+      expect(settingsService.calculateTax).toHaveBeenCalledWith(0, 'SA');
+      expect(quote).toEqual(expect.objectContaining({ shippingCost: 0, total: 200 }));
+      expect(giftCardService.quoteRedemption).toHaveBeenCalledWith(expect.objectContaining({ hasGiftCardItems: true }));
+      expect(orderService.getStockLines(quote.items)).toEqual([]);
+    });
+
+    it('should require a recipient to order a gift card, but not to quote it', async () => {
+      Product.findById.mockResolvedValue({ ...mockProduct, type: 'gift_card' });
+      Order.generateOrderNumber = jest.fn();
+
+      const quote = await orderService.quoteOrder(quoteData());
+
+      expect(quote.items[0].giftCard).toEqual(expect.objectContaining({ recipientEmail: undefined }));
+      await expect(orderService.createOrder({
+        ...validOrderData,
+        ...quoteData(),
+        total: undefined,
+        paymentMethod: 'paypal'
+      })).rejects.toThrow('Failed to create order: Item 1: Gift card recipient name and email are required');
+      expect(Order.generateOrderNumber).not.toHaveBeenCalled();
+    });
+
+    it('should reject items whose product does not exist', async () => {
+      Product.findById.mockResolvedValue(null);
+
+      await expect(orderService.quoteOrder(quoteData())).rejects.toThrow('Item 1: Product not found');
+    });
+  });
+
   describe('calculateOrderTotal', () => {
     it('should calculate total correctly for single item', () => {
       const items = [{ price: 99.99, quantity: 2 }];
@@ -189,30 +750,125 @@ describe('OrderService Unit Tests', () => {
   });
 
   describe('updateOrderStatus', () => {
+    const admin = { type: 'admin', user: 'admin123', name: 'admin@example.com' };
     let mockOrder;
 
     beforeEach(() => {
       mockOrder = {
         _id: 'order123',
-        updateStatus: jest.fn().mockResolvedValue(true)
+        orderNumber: 'MD-1',
+        status: 'processing',
+        paymentMethod: 'paypal',
+        paymentStatus: 'paid',
+        items: [{ productId: 'product123', quantity: 2 }],
+        promotions: [],
+        checkTransition: jest.fn().mockReturnValue(null)
       };
       Order.findById = jest.fn().mockResolvedValue(mockOrder);
+      Order.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve({ ...mockOrder, ...update.$set }));
+      Order.updateOne.mockResolvedValue({ modifiedCount: 1 });
+      Product.adjustStock.mockResolvedValue(undefined);
+      Product.refreshBundleStock.mockResolvedValue(0);
+      jest.spyOn(notificationService, 'sendOrderStatusNotification').mockResolvedValue(true);
+      jest.spyOn(notificationService, 'sendOrderCancellationNotification').mockResolvedValue(true);
     });
 
-    it('should update order status successfully', async () => {
-      const result = await orderService.updateOrderStatus('order123', 'confirmed', 'order');
-      
-      expect(Order.findById).toHaveBeenCalledWith('order123');
-      expect(mockOrder.updateStatus).toHaveBeenCalledWith('confirmed', 'order');
-      expect(result).toEqual(mockOrder);
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should claim the change against the current status and add it to the timeline', async () => {
+      await orderService.updateOrderStatus('order123', 'shipped', {
+        actor: admin,
+        reason: 'Handed to courier',
+        trackingNumber: 'TRK123'
+      });
+
+      expect(mockOrder.checkTransition).toHaveBeenCalledWith('shipped');
+      expect(Order.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'order123', status: 'processing' },
+        {
+          $set: { status: 'shipped', trackingNumber: 'TRK123' },
+          $push: {
+            timeline: expect.objectContaining({ status: 'shipped', actor: admin, reason: 'Handed to courier' })
+          }
+        },
+        { new: true, session: 'session' }
+      );
+      expect(notificationService.sendOrderStatusNotification)
+        .toHaveBeenCalledWith(expect.objectContaining({ status: 'shipped' }), 'processing');
+      expect(Order.updateOne).toHaveBeenCalledWith(
+        { _id: 'order123', 'timeline._id': expect.anything() },
+        { $push: { 'timeline.$.effects': { $each: ['customer_notified'] } } }
+      );
     });
 
     it('should throw error when order not found', async () => {
       Order.findById = jest.fn().mockResolvedValue(null);
-      
+
       await expect(orderService.updateOrderStatus('nonexistent', 'confirmed'))
         .rejects.toThrow('Failed to update order status: Order not found');
     });
+
+    it('should refuse a move the order cannot make', async () => {
+      mockOrder.checkTransition.mockReturnValue('Order cannot be moved from processing to delivered');
+
+      await expect(orderService.updateOrderStatus('order123', 'delivered'))
+        .rejects.toThrow('Failed to update order status: Order cannot be moved from processing to delivered');
+      expect(Order.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should not change an order someone else changed in the meantime', async () => {
+      Order.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(orderService.updateOrderStatus('order123', 'shipped'))
+        .rejects.toThrow('Order status was changed by someone else');
+      expect(notificationService.sendOrderStatusNotification).not.toHaveBeenCalled();
+    });
+
+    it('should award loyalty points and record cash collected when delivered', async () => {
+      mockOrder.status = 'shipped';
+      mockOrder.paymentMethod = 'cash_on_delivery';
+      mockOrder.paymentStatus = 'pending';
+      loyaltyService.awardOrderPoints.mockResolvedValueOnce(25);
+
+      await orderService.updateOrderStatus('order123', 'delivered');
+
+      expect(Order.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ $set: { status: 'delivered', paymentStatus: 'paid' } }),
+        expect.anything()
+      );
+      expect(loyaltyService.awardOrderPoints).toHaveBeenCalledWith('order123');
+      expect(Order.updateOne).toHaveBeenCalledWith(
+        expect.anything(),
+        { $push: { 'timeline.$.effects': { $each: ['payment_recorded', 'points_awarded', 'customer_notified'] } } }
+      );
+    });
+
+    it('should return the stock of a returned order', async () => {
+      mockOrder.status = 'delivered';
+
+      await orderService.updateOrderStatus('order123', 'returned', { actor: admin });
+
+      expect(Product.adjustStock).toHaveBeenCalledWith('product123', 2, {
+        session: 'session',
+        type: 'return',
+        order: 'order123',
+        variantId: null
+      });
+    });
+
+    it('should not return an order whose items are coming back through returns', async () => {
+      mockOrder.status = 'delivered';
+      Return.exists.mockResolvedValueOnce({ _id: 'return1' });
+
+      await expect(orderService.updateOrderStatus('order123', 'returned', { actor: admin }))
+        .rejects.toThrow('Order has returns in progress; take the items back through its returns');
+      expect(Return.exists).toHaveBeenCalledWith({ order: 'order123', status: { $ne: 'rejected' } });
+      expect(Order.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(Product.adjustStock).not.toHaveBeenCalled();
+    });
   });
 
   describe('cancelOrder', () => {
@@ -221,31 +877,82 @@ describe('OrderService Unit Tests', () => {
     beforeEach(() => {
       mockOrder = {
         _id: 'order123',
-        items: [{ product: mockProduct, quantity: 2 }],
-        canBeCancelled: jest.fn().mockReturnValue(true),
-        updateStatus: jest.fn().mockResolvedValue(true),
-        save: jest.fn().mockResolvedValue(true),
-        notes: ''
+        orderNumber: 'MD-1',
+        status: 'confirmed',
+        items: [{ productId: 'product123', quantity: 2 }],
+        promotions: [{ promotion: 'promo1' }],
+        checkTransition: jest.fn().mockReturnValue(null)
       };
-      Order.findById = jest.fn().mockReturnValue({
-        populate: jest.fn().mockResolvedValue(mockOrder)
-      });
+      Order.findById = jest.fn().mockResolvedValue(mockOrder);
+      Order.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve({ ...mockOrder, ...update.$set }));
+      Order.updateOne.mockResolvedValue({ modifiedCount: 1 });
+      Product.refreshBundleStock.mockResolvedValue(0);
+      jest.spyOn(notificationService, 'sendOrderCancellationNotification').mockResolvedValue(true);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
     });
 
     it('should cancel order successfully', async () => {
-      const result = await orderService.cancelOrder('order123', 'Customer request');
-      
-      expect(mockOrder.canBeCancelled).toHaveBeenCalled();
-      expect(mockProduct.updateStock).toHaveBeenCalledWith(2);
-      expect(mockOrder.updateStatus).toHaveBeenCalledWith('cancelled', 'order');
-      expect(mockOrder.notes).toBe('Cancelled: Customer request');
+      giftCardService.releaseOrderCards.mockResolvedValueOnce(60);
+
+      await orderService.cancelOrder('order123', 'Customer request');
+
+      expect(mockOrder.checkTransition).toHaveBeenCalledWith('cancelled');
+      expect(Product.adjustStock).toHaveBeenCalledWith('product123', 2, {
+        session: 'session',
+        type: 'cancellation_restock',
+        order: 'order123',
+        variantId: null
+      });
+      expect(promotionService.releaseUsage).toHaveBeenCalledWith(expect.objectContaining({ _id: 'order123' }), { session: 'session' });
+      expect(notificationService.sendOrderCancellationNotification)
+        .toHaveBeenCalledWith(expect.objectContaining({ status: 'cancelled' }), 'Customer request');
+      expect(Order.updateOne).toHaveBeenCalledWith(
+        expect.anything(),
+        { $push: { 'timeline.$.effects': { $each: ['stock_restored', 'promotion_released', 'gift_cards_released', 'customer_notified'] } } }
+      );
+    });
+
+    it('should release the stock held for an unpaid order so the hold expiring does not return it again', async () => {
+      const stored = { ...mockOrder, paymentStatus: 'pending', stockReservation: { status: 'held' } };
+      Order.findById = jest.fn().mockResolvedValue(stored);
+      // Applies the update to the stored order when it matches the filter
+      Order.findOneAndUpdate.mockImplementation((filter, update) => {
+        const matches = (!filter.status || filter.status === stored.status ||
+            (filter.status.$ne && filter.status.$ne !== stored.status)) &&
+          (!filter['stockReservation.status'] || filter['stockReservation.status'] === stored.stockReservation.status);
+        if (!matches) {
+          return Promise.resolve(null);
+        }
+        Object.entries(update.$set).forEach(([key, value]) => {
+          if (key.startsWith('stockReservation.')) {
+            stored.stockReservation[key.split('.')[1]] = value;
+          } else {
+            stored[key] = value;
+          }
+        });
+        return Promise.resolve({ ...stored });
+      });
+
+      await orderService.cancelOrder('order123', 'Customer request');
+      const released = await orderService.releaseStockReservation('order123');
+
+      expect(released).toBeNull();
+      expect(stored.stockReservation.status).toBe('released');
+      expect(Product.adjustStock).toHaveBeenCalledTimes(1);
+      expect(promotionService.releaseUsage).toHaveBeenCalledTimes(1);
+      expect(loyaltyService.restoreRedeemedPoints).toHaveBeenCalledTimes(1);
+      expect(giftCardService.releaseOrderCards).toHaveBeenCalledTimes(1);
     });
 
     it('should throw error when order cannot be cancelled', async () => {
-      mockOrder.canBeCancelled = jest.fn().mockReturnValue(false);
-      
+      mockOrder.checkTransition.mockReturnValue('Order cannot be moved from shipped to cancelled');
+
       await expect(orderService.cancelOrder('order123'))
-        .rejects.toThrow('Failed to cancel order: Order cannot be cancelled in its current status');
+        .rejects.toThrow('Failed to cancel order: Order cannot be moved from shipped to cancelled');
+      expect(Product.adjustStock).not.toHaveBeenCalled();
     });
   });
 
@@ -255,24 +962,35 @@ describe('OrderService Unit Tests', () => {
     beforeEach(() => {
       mockOrder = {
         _id: 'order123',
-        orderStatus: 'pending',
-        updateStatus: jest.fn().mockResolvedValue(true)
+        status: 'pending',
+        checkTransition: jest.fn().mockReturnValue(null)
       };
       Order.findById = jest.fn().mockResolvedValue(mockOrder);
+      Order.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve({ ...mockOrder, ...update.$set }));
+      jest.spyOn(notificationService, 'sendOrderConfirmationNotification').mockResolvedValue(true);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
     });
 
     it('should confirm pending order successfully', async () => {
       const result = await orderService.confirmOrder('order123');
-      
-      expect(mockOrder.updateStatus).toHaveBeenCalledWith('confirmed', 'order');
+
+      expect(Order.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'order123', status: 'pending' },
+        expect.objectContaining({ $set: { status: 'confirmed' } }),
+        expect.anything()
+      );
+      expect(notificationService.sendOrderConfirmationNotification).toHaveBeenCalled();
       expect(result).toEqual(mockOrder);
     });
 
     it('should throw error for non-pending order', async () => {
-      mockOrder.orderStatus = 'confirmed';
-      
+      mockOrder.checkTransition.mockReturnValue('Order cannot be moved from confirmed to confirmed');
+
       await expect(orderService.confirmOrder('order123'))
-        .rejects.toThrow('Failed to confirm order: Only pending orders can be confirmed');
+        .rejects.toThrow('Failed to confirm order: Order cannot be moved from confirmed to confirmed');
     });
   });
 
@@ -308,32 +1026,92 @@ describe('OrderService Unit Tests', () => {
     beforeEach(() => {
       mockOrder = {
         _id: 'order123',
-        orderStatus: 'shipped',
-        items: [{ product: mockProduct, quantity: 2 }],
-        canBeRefunded: jest.fn().mockReturnValue(true),
-        updateStatus: jest.fn().mockResolvedValue(true),
-        save: jest.fn().mockResolvedValue(true),
-        notes: ''
+        status: 'returned',
+        paymentStatus: 'paid',
+        items: [{ productId: 'product123', quantity: 2 }],
+        checkTransition: jest.fn().mockReturnValue(null)
       };
-      Order.findById = jest.fn().mockReturnValue({
-        populate: jest.fn().mockResolvedValue(mockOrder)
-      });
+      Order.findById = jest.fn().mockResolvedValue(mockOrder);
+      Order.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve({ ...mockOrder, ...update.$set }));
+      Order.updateOne.mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(notificationService, 'sendOrderStatusNotification').mockResolvedValue(true);
     });
 
-    it('should refund shipped order successfully', async () => {
-      const result = await orderService.refundOrder('order123', 'Defective product');
-      
-      expect(mockOrder.canBeRefunded).toHaveBeenCalled();
-      expect(mockProduct.updateStock).toHaveBeenCalledWith(2);
-      expect(mockOrder.updateStatus).toHaveBeenCalledWith('refunded', 'payment');
-      expect(mockOrder.notes).toBe('Refunded: Defective product');
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should refund a returned order and take back what it earned', async () => {
+      loyaltyService.reverseOrderPoints.mockResolvedValueOnce(40);
+      giftCardService.voidOrderGiftCards.mockResolvedValueOnce(1);
+
+      await orderService.refundOrder('order123', 'Defective product');
+
+      expect(Order.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'order123', status: 'returned' },
+        {
+          $set: { status: 'refunded', paymentStatus: 'refunded' },
+          $push: { timeline: expect.objectContaining({ status: 'refunded', reason: 'Defective product' }) }
+        },
+        { new: true, session: 'session' }
+      );
+      // Its stock came back when it was returned
+      expect(Product.adjustStock).not.toHaveBeenCalled();
+      expect(giftCardService.releaseOrderCards)
+        .toHaveBeenCalledWith(expect.anything(), { session: 'session', note: 'Order refunded' });
+      expect(Order.updateOne).toHaveBeenCalledWith(
+        expect.anything(),
+        { $push: { 'timeline.$.effects': { $each: ['points_reversed', 'gift_cards_voided', 'customer_notified'] } } }
+      );
     });
 
     it('should throw error when order cannot be refunded', async () => {
-      mockOrder.canBeRefunded = jest.fn().mockReturnValue(false);
-      
+      mockOrder.checkTransition.mockReturnValue('Only paid orders can be refunded');
+
       await expect(orderService.refundOrder('order123'))
-        .rejects.toThrow('Failed to refund order: Order cannot be refunded in its current status');
+        .rejects.toThrow('Failed to refund order: Only paid orders can be refunded');
+    });
+  });
+
+  describe('markOrderPaid', () => {
+    const paidQuery = fields => ({ select: jest.fn().mockResolvedValue({ _id: 'order123', ...fields }) });
+
+    it('should record the payment once and confirm the order', async () => {
+      Order.findOne.mockReturnValue(paidQuery({ balanceDue: 0, stockReservation: { status: 'held' } }));
+      Order.findOneAndUpdate.mockResolvedValueOnce({ _id: 'order123', status: 'pending', paymentStatus: 'paid' });
+      const confirmed = { _id: 'order123', status: 'confirmed' };
+      jest.spyOn(orderService, 'changeStatus').mockResolvedValue(confirmed);
+
+      await expect(orderService.markOrderPaid('order123', { paypalCaptureId: 'CAP1' })).resolves.toBe(confirmed);
+      expect(Order.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'order123', paymentStatus: 'pending' },
+        { $set: { paypalCaptureId: 'CAP1', paymentStatus: 'paid', 'stockReservation.status': 'committed' } },
+        { new: true }
+      );
+      expect(orderService.changeStatus)
+        .toHaveBeenCalledWith('order123', 'confirmed', { reason: 'Payment captured', notify: false });
+      orderService.changeStatus.mockRestore();
+    });
+
+    it('should leave a pre-order waiting for its release', async () => {
+      Order.findOne.mockReturnValue(paidQuery({ balanceDue: 50 }));
+      Order.findOneAndUpdate.mockResolvedValueOnce({ _id: 'order123', status: 'awaiting_release' });
+
+      const paid = await orderService.markOrderPaid('order123');
+
+      expect(paid.status).toBe('awaiting_release');
+      expect(Order.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.anything(),
+        { $set: { paymentStatus: 'partially_paid' } },
+        { new: true }
+      );
+    });
+
+    it('should do nothing for an order already paid', async () => {
+      Order.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+      await expect(orderService.markOrderPaid('order123')).resolves.toBeNull();
+      expect(Order.findOneAndUpdate).not.toHaveBeenCalled();
     });
   });
 
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const paymentService = require('../../services/paymentService');
+const Payment = require('../../models/Payment');
+const paymobGateway = require('../../services/gateways/paymobGateway');
+const fawryGateway = require('../../services/gateways/fawryGateway');
+const paypalGateway = require('../../services/gateways/paypalGateway');
+
+jest.mock('../../models/Payment', () => ({
+  findOne: jest.fn()
+}));
+jest.mock('../../services/gateways/paymobGateway', () => ({
+  refundTransaction: jest.fn()
+}));
+jest.mock('../../services/gateways/fawryGateway', () => ({
+  refundVodafoneCash: jest.fn()
+}));
+jest.mock('../../services/gateways/paypalGateway', () => ({
+  refundPayment: jest.fn()
+}));
+jest.mock('../../services/currencyService', () => ({
+  convertForPayPal: jest.fn()
+}));
+
+describe('PaymentService Unit Tests', () => {
+  const orderId = new mongoose.Types.ObjectId();
+
+  const payment = fields => ({
+    paymentId: 'PAY-1',
+    paymentMethod: 'credit_card',
+    status: 'completed',
+    amount: 300,
+    currency: 'SAR',
+    gateway: { provider: 'paymob', transactionId: 'TX-1' },
+    refunds: [],
+    getRefundableAmount: () => 300,
+    processRefund: jest.fn(function(amount, reason, gatewayRefundId, refundId) {
+      this.refunds.push({ refundId, amount, reason, status: 'pending', gatewayRefundId });
+      return Promise.resolve(this);
+    }),
+    save: jest.fn().mockResolvedValue(undefined),
+    ...fields
+  });
+
+  const order = fields => ({
+    _id: orderId,
+    paymentMethod: 'credit_card',
+    total: 300,
+    ...fields
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('refundOrderPayment', () => {
+    it('should send the refund number as the PayPal request id', async () => {
+      paypalGateway.refundPayment.mockResolvedValue({ success: true, pending: false, refundId: 'PP-1' });
+      const paid = order({
+        paymentMethod: 'paypal',
+        paypalCaptureId: 'CAP-1',
+        paymentDetails: { amount: { value: '80.00', currency_code: 'USD' } }
+      });
+
+      const result = await paymentService.refundOrderPayment(paid, 150, 'damaged', { refundId: 'RF-2026-00001' });
+
+      expect(paypalGateway.refundPayment).toHaveBeenCalledWith('CAP-1', 40, 'USD', 'damaged', 'RF-2026-00001');
+      expect(result).toEqual({ method: 'paypal', status: 'completed', gatewayRefundId: 'PP-1' });
+    });
+
+    it('should keep a refund PayPal has not paid yet as pending', async () => {
+      paypalGateway.refundPayment.mockResolvedValue({ success: true, pending: true, refundId: 'PP-2' });
+      const paid = order({
+        paymentMethod: 'paypal',
+        paypalCaptureId: 'CAP-1',
+        paymentDetails: { amount: { value: '80.00', currency_code: 'USD' } }
+      });
+
+      const result = await paymentService.refundOrderPayment(paid, 150, 'damaged', { refundId: 'RF-2026-00001' });
+
+      expect(result).toMatchObject({ method: 'paypal', status: 'pending', gatewayRefundId: 'PP-2' });
+    });
+
+    it('should keep a refund Paymob did not answer as pending', async () => {
+      const taken = payment();
+      Payment.findOne.mockResolvedValue(taken);
+      paymobGateway.refundTransaction.mockResolvedValue({ success: false, unknown: true, error: 'Refund failed' });
+
+      const result = await paymentService.refundOrderPayment(order(), 100, 'damaged', { refundId: 'RF-2026-00001' });
+
+      expect(result).toMatchObject({ method: 'paymob', status: 'pending', gatewayRefundId: null });
+      expect(result.error).toMatch('The gateway did not answer');
+      expect(taken.refunds[0]).toMatchObject({ refundId: 'RF-2026-00001', status: 'pending' });
+    });
+
+    it('should fail a refund Paymob refused so it can be retried', async () => {
+      const taken = payment();
+      Payment.findOne.mockResolvedValue(taken);
+      paymobGateway.refundTransaction.mockResolvedValue({ success: false, unknown: false, error: 'Refund failed' });
+
+      const result = await paymentService.refundOrderPayment(order(), 100, 'damaged', { refundId: 'RF-2026-00001' });
+
+      expect(result).toEqual({ method: 'paymob', status: 'failed', error: 'Refund failed' });
+      expect(taken.processRefund).not.toHaveBeenCalled();
+    });
+
+    it('should send the refund number to Fawry as its refund reference', async () => {
+      const taken = payment({ gateway: { provider: 'fawry', transactionId: 'FW-1' } });
+      Payment.findOne.mockResolvedValue(taken);
+      fawryGateway.refundVodafoneCash.mockResolvedValue({ success: true, refundId: 'RF-2026-00001' });
+
+      const result = await paymentService.refundOrderPayment(order(), 100, 'damaged', { refundId: 'RF-2026-00001' });
+
+      expect(fawryGateway.refundVodafoneCash).toHaveBeenCalledWith('FW-1', 100, 'damaged', 'RF-2026-00001');
+      expect(result).toMatchObject({ method: 'fawry', status: 'completed' });
+      expect(taken.refunds[0].status).toBe('completed');
+    });
+  });
+});
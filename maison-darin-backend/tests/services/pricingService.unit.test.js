@@ -0,0 +1,130 @@
+const pricingService = require('../../services/pricingService');
+const PriceRule = require('../../models/PriceRule');
+const Category = require('../../models/Category');
+
+jest.mock('../../models/PriceRule', () => {
+  const actual = jest.requireActual('../../models/PriceRule');
+  return {
+    applyDiscount: actual.applyDiscount,
+    findActive: jest.fn()
+  };
+});
+jest.mock('../../models/Category', () => ({
+  find: jest.fn()
+}));
+
+const mockCategories = categories => Category.find.mockReturnValue({
+  select: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue(categories) })
+});
+
+const rule = (overrides = {}) => ({
+  _id: 'rule1',
+  name: { en: 'Summer Sale' },
+  scope: 'category',
+  category: 'floral',
+  discountType: 'percentage',
+  value: 20,
+  endsAt: new Date('2030-01-01'),
+  ...overrides
+});
+
+describe('PricingService Unit Tests', () => {
+  const rose = { _id: 'rose', categories: ['floral'], price: 200 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('resolvePrice', () => {
+    it('should keep the regular price when no rule applies', () => {
+      const result = pricingService.resolvePrice(rose, null, [rule({ category: 'woody' })]);
+
+      expect(result).toEqual({ price: 200, regularPrice: 200, rule: null });
+    });
+
+    it('should give the customer the lowest price when rules overlap', () => {
+      const categorySale = rule();
+      const productSale = rule({ _id: 'rule2', scope: 'product', product: 'rose', discountType: 'fixed', value: 50 });
+
+      const result = pricingService.resolvePrice(rose, null, [categorySale, productSale]);
+
+      expect(result.price).toBe(150);
+      expect(result.rule).toBe(productSale);
+    });
+
+    it('should discount the price of the chosen size', () => {
+      const product = {
+        ...rose,
+        variants: [
+          { _id: 'v50', size: '50ml', price: 120 },
+          { _id: 'v100', size: '100ml', price: 200 }
+        ]
+      };
+
+      expect(pricingService.resolvePrice(product, 'v50', [rule()])).toEqual({
+        price: 96,
+        regularPrice: 120,
+        rule: expect.objectContaining({ _id: 'rule1' })
+      });
+    });
+
+    it('should never price below zero', () => {
+      const result = pricingService.resolvePrice(rose, null, [rule({ discountType: 'fixed', value: 500 })]);
+
+      expect(result.price).toBe(0);
+    });
+  });
+
+  describe('applyEffectivePrices', () => {
+    it('should add sale prices without changing the regular price', async () => {
+      PriceRule.findActive.mockReturnValue({ lean: jest.fn().mockResolvedValue([rule()]) });
+      const product = {
+        ...rose,
+        variants: [
+          { _id: 'v50', size: '50ml', price: 120 },
+          { _id: 'v100', size: '100ml', price: 200 }
+        ]
+      };
+
+      mockCategories([{ _id: 'floral', ancestors: [] }, { _id: 'woody', ancestors: [] }]);
+
+      const [priced] = await pricingService.applyEffectivePrices([product, { _id: 'oud', categories: ['woody'], price: 300 }]);
+
+      expect(priced.price).toBe(200);
+      expect(priced.effectivePrice).toBe(96);
+      expect(priced.variants.map(variant => variant.effectivePrice)).toEqual([96, 160]);
+      expect(priced.sale).toEqual({
+        _id: 'rule1',
+        name: { en: 'Summer Sale' },
+        discountType: 'percentage',
+        value: 20,
+        endsAt: new Date('2030-01-01')
+      });
+      expect(PriceRule.findActive).toHaveBeenCalledWith(
+        { productIds: ['rose', 'oud'], categories: ['floral', 'woody'] },
+        expect.any(Date)
+      );
+    });
+
+    it('should apply a category sale to products in its subcategories', async () => {
+      mockCategories([{ _id: 'women-oriental', ancestors: ['women'] }]);
+      PriceRule.findActive.mockReturnValue({ lean: jest.fn().mockResolvedValue([rule({ category: 'women' })]) });
+      const amber = { _id: 'amber', categories: [{ _id: 'women-oriental', name: { en: 'Oriental' } }], price: 100 };
+
+      const [priced] = await pricingService.applyEffectivePrices([amber]);
+
+      expect(priced.effectivePrice).toBe(80);
+      expect(PriceRule.findActive).toHaveBeenCalledWith(
+        { productIds: ['amber'], categories: ['women-oriental', 'women'] },
+        expect.any(Date)
+      );
+    });
+
+    it('should not look up rules for an empty list', async () => {
+      const result = await pricingService.applyEffectivePrices([]);
+
+      expect(result).toEqual([]);
+      expect(PriceRule.findActive).not.toHaveBeenCalled();
+    });
+  });
+});
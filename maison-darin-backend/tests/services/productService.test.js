@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const productService = require('../../services/productService');
 const Product = require('../../models/Product');
+const Category = require('../../models/Category');
 
 describe('Product Service', () => {
   beforeAll(async () => {
@@ -10,10 +11,12 @@ describe('Product Service', () => {
 
   beforeEach(async () => {
     await Product.deleteMany({});
+    await Category.deleteMany({});
   });
 
   afterAll(async () => {
     await Product.deleteMany({});
+    await Category.deleteMany({});
     await mongoose.connection.close();
   }, 30000);
 
@@ -28,7 +31,7 @@ describe('Product Service', () => {
     },
     price: 150.99,
     size: '50ml',
-    category: 'floral',
+    categories: [new mongoose.Types.ObjectId()],
     stock: 10
   };
 
@@ -40,7 +43,7 @@ describe('Product Service', () => {
       expect(product.name.en).toBe(validProductData.name.en);
       expect(product.name.ar).toBe(validProductData.name.ar);
       expect(product.price).toBe(validProductData.price);
-      expect(product.category).toBe(validProductData.category);
+      expect(product.categories.map(String)).toEqual(validProductData.categories.map(String));
     });
 
     it('should throw error for missing required fields', async () => {
@@ -69,34 +72,40 @@ describe('Product Service', () => {
     });
 
     it('should throw error for invalid category', async () => {
-      const invalidData = { ...validProductData, category: 'invalid' };
+      const invalidData = { ...validProductData, categories: ['invalid'] };
 
       await expect(productService.createProduct(invalidData))
-        .rejects.toThrow('Category must be one of');
+        .rejects.toThrow('Invalid category ID');
     });
   });
 
   describe('getProducts', () => {
+    let floral;
+
     beforeEach(async () => {
+      floral = await Category.create({ name: { en: 'Floral', ar: 'زهري' }, slug: 'floral' });
+      const woody = await Category.create({ name: { en: 'Woody', ar: 'خشبي' }, slug: 'woody' });
+      const citrus = await Category.create({ name: { en: 'Citrus', ar: 'حمضي' }, slug: 'citrus' });
+
       const products = [
         {
           ...validProductData,
           name: { en: 'Rose Perfume', ar: 'عطر الورد' },
-          category: 'floral',
+          categories: [floral._id],
           price: 150,
           featured: true
         },
         {
           ...validProductData,
           name: { en: 'Woody Cologne', ar: 'كولونيا خشبية' },
-          category: 'woody',
+          categories: [woody._id],
           price: 200,
           featured: false
         },
         {
           ...validProductData,
           name: { en: 'Citrus Fresh', ar: 'حمضيات منعشة' },
-          category: 'citrus',
+          categories: [citrus._id],
           price: 80,
           stock: 0,
           inStock: false
@@ -115,11 +124,22 @@ describe('Product Service', () => {
       expect(result.pagination.limit).toBe(10);
     });
 
-    it('should filter products by category', async () => {
+    it('should filter products by category slug or ID', async () => {
+      for (const category of ['floral', String(floral._id)]) {
+        const result = await productService.getProducts({ category });
+
+        expect(result.products).toHaveLength(1);
+        expect(result.products[0].categories[0].slug).toBe('floral');
+      }
+    });
+
+    it('should include products in subcategories', async () => {
+      const roses = await Category.create({ name: { en: 'Roses', ar: 'ورود' }, slug: 'roses', parentCategory: floral._id });
+      await Product.create({ ...validProductData, name: { en: 'Rose Absolute', ar: 'روز أبسولو' }, categories: [roses._id] });
+
       const result = await productService.getProducts({ category: 'floral' });
 
-      expect(result.products).toHaveLength(1);
-      expect(result.products[0].category).toBe('floral');
+      expect(result.products).toHaveLength(2);
     });
 
     it('should filter products by price range', async () => {
@@ -307,22 +327,14 @@ describe('Product Service', () => {
   });
 
   describe('getCategories', () => {
-    beforeEach(async () => {
-      const products = [
-        { ...validProductData, category: 'floral' },
-        { ...validProductData, category: 'woody' },
-        { ...validProductData, category: 'floral' } // Duplicate category
-      ];
-
-      await Product.insertMany(products);
-    });
+    it('should return active categories with parents before subcategories', async () => {
+      const women = await Category.create({ name: { en: 'Women', ar: 'نسائي' }, slug: 'women' });
+      await Category.create({ name: { en: 'Oriental', ar: 'شرقي' }, slug: 'women-oriental', parentCategory: women._id, sortOrder: -1 });
+      await Category.create({ name: { en: 'Archived', ar: 'مؤرشف' }, slug: 'archived', isActive: false });
 
-    it('should return unique categories', async () => {
       const categories = await productService.getCategories();
 
-      expect(categories).toHaveLength(2);
-      expect(categories).toContain('floral');
-      expect(categories).toContain('woody');
+      expect(categories.map(category => category.slug)).toEqual(['women', 'women-oriental']);
     });
   });
 
@@ -0,0 +1,242 @@
+const productService = require('../../services/productService');
+const Product = require('../../models/Product');
+const StockMovement = require('../../models/StockMovement');
+const stockAlertService = require('../../services/stockAlertService');
+const pricingService = require('../../services/pricingService');
+
+jest.mock('../../models/Product');
+jest.mock('../../models/StockMovement');
+jest.mock('../../models/SampleRequest');
+jest.mock('../../services/alertingService', () => ({
+  sendAlert: jest.fn()
+}));
+jest.mock('../../services/stockAlertService', () => ({
+  checkStockLevels: jest.fn(() => Promise.resolve())
+}));
+jest.mock('../../services/pricingService', () => ({
+  applyEffectivePrices: jest.fn()
+}));
+
+const mockProduct = (fields) => ({
+  type: 'single',
+  variants: [],
+  hasVariants() {
+    return this.variants.length > 0;
+  },
+  getVariant(id) {
+    return this.variants.find(variant => variant._id === id) || null;
+  },
+  getStockSnapshot() {
+    return this.variants.length > 0
+      ? Object.fromEntries(this.variants.map(variant => [variant._id, variant.stock]))
+      : { '': this.stock };
+  },
+  ...fields
+});
+
+describe('ProductService Stock Ledger Unit Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('recordStockMovement', () => {
+    const selectResult = (product) => ({ select: jest.fn().mockResolvedValue(product) });
+
+    it('should take damaged units out of stock', async () => {
+      Product.findById.mockReturnValue(selectResult(mockProduct({ _id: 'product1', stock: 8 })));
+      Product.adjustStock.mockResolvedValue({ _id: 'movement1' });
+
+      const movement = await productService.recordStockMovement('product1', {
+        type: 'damage',
+        quantity: 2,
+        reason: 'Broken in transit'
+      }, 'admin1');
+
+      expect(movement._id).toBe('movement1');
+      expect(Product.adjustStock).toHaveBeenCalledWith('product1', -2, expect.objectContaining({
+        type: 'damage',
+        reason: 'Broken in transit',
+        performedBy: 'admin1',
+        variantId: null
+      }));
+      expect(Product.refreshBundleStock).toHaveBeenCalledWith('product1');
+      expect(stockAlertService.checkStockLevels).toHaveBeenCalledWith(['product1']);
+    });
+
+    it('should move a size to the quantity counted on the shelf', async () => {
+      const product = mockProduct({ _id: 'product1', variants: [{ _id: 'size50', size: '50ml', stock: 6 }] });
+      Product.findById.mockReturnValue(selectResult(product));
+
+      await productService.recordStockMovement('product1', { type: 'stock_count', stock: 4, variantId: 'size50' }, 'admin1');
+
+      expect(Product.adjustStock).toHaveBeenCalledWith('product1', -2,
+        expect.objectContaining({ type: 'stock_count', variantId: 'size50' }));
+    });
+
+    it('should require a size for products sold in several sizes', async () => {
+      const product = mockProduct({ _id: 'product1', variants: [{ _id: 'size50', size: '50ml', stock: 6 }] });
+      Product.findById.mockReturnValue(selectResult(product));
+
+      await expect(productService.recordStockMovement('product1', { type: 'damage', quantity: 1 }, 'admin1'))
+        .rejects.toThrow('Variant is required for this product');
+    });
+  });
+
+  describe('getInventoryReport', () => {
+    it('should use a product\'s own low-stock threshold over the default', async () => {
+      const woody = { _id: 'woody', name: { en: 'Woody', ar: 'خشبي' }, slug: 'woody' };
+      Product.find.mockReturnValue({
+        populate: jest.fn().mockResolvedValue([
+          mockProduct({ _id: 'product1', inStock: true, stock: 8, price: 100, categories: [woody], lowStockThreshold: 10 }),
+          mockProduct({ _id: 'product2', inStock: true, stock: 4, price: 100, categories: [woody], lowStockThreshold: 2 }),
+          mockProduct({ _id: 'product3', inStock: true, stock: 4, price: 100, categories: [woody], lowStockThreshold: null })
+        ])
+      });
+
+      const report = await productService.getInventoryReport(5);
+
+      expect(report.lowStockProducts.map(product => [product._id, product.lowStockThreshold]))
+        .toEqual([['product1', 10], ['product3', 5]]);
+    });
+
+    it('should count a product under each of its categories', async () => {
+      const woody = { _id: 'woody', name: { en: 'Woody' }, slug: 'woody' };
+      const oriental = { _id: 'oriental', name: { en: 'Oriental' }, slug: 'oriental' };
+      Product.find.mockReturnValue({
+        populate: jest.fn().mockResolvedValue([
+          mockProduct({ _id: 'product1', inStock: true, stock: 2, price: 100, categories: [woody, oriental] }),
+          mockProduct({ _id: 'product2', inStock: true, stock: 1, price: 50, categories: [woody] })
+        ])
+      });
+
+      const report = await productService.getInventoryReport(5);
+
+      expect(report.categoryBreakdown).toEqual([
+        expect.objectContaining({ category: 'woody', slug: 'woody', count: 2, value: 250, stock: 3 }),
+        expect.objectContaining({ category: 'oriental', slug: 'oriental', count: 1, value: 200, stock: 2 })
+      ]);
+    });
+  });
+
+  describe('reconcileStock', () => {
+    const now = new Date('2026-01-01T00:00:00Z');
+
+    beforeEach(() => {
+      Product.updateOne.mockResolvedValue({});
+      StockMovement.recordProductChanges.mockResolvedValue(1);
+    });
+
+    it('should flag a product whose stock differs from its ledger', async () => {
+      Product.find.mockReturnValue({ select: jest.fn().mockResolvedValue([mockProduct({ _id: 'product1', stock: 7 })]) });
+      StockMovement.getLedgerStock.mockResolvedValue(new Map([['product1', { stock: { '': 5 }, opened: true }]]));
+
+      const result = await productService.reconcileStock(now);
+
+      expect(result.drifted).toEqual([expect.objectContaining({ product: 'product1', stock: 7, ledgerStock: 5, difference: 2 })]);
+      expect(Product.updateOne).toHaveBeenCalledWith(
+        { _id: 'product1' },
+        { $set: { stockDrift: { ledgerStock: 5, difference: 2, detectedAt: now } } }
+      );
+    });
+
+    it('should clear the flag once the stock matches again', async () => {
+      const product = mockProduct({ _id: 'product1', stock: 5, stockDrift: { detectedAt: now } });
+      Product.find.mockReturnValue({ select: jest.fn().mockResolvedValue([product]) });
+      StockMovement.getLedgerStock.mockResolvedValue(new Map([['product1', { stock: { '': 5 }, opened: true }]]));
+
+      const result = await productService.reconcileStock(now);
+
+      expect(result.drifted).toEqual([]);
+      expect(Product.updateOne).toHaveBeenCalledWith({ _id: 'product1' }, { $unset: { stockDrift: 1 } });
+    });
+
+    it('should open the ledger of a product stocked before it existed instead of flagging it', async () => {
+      const product = mockProduct({ _id: 'product1', stock: 9 });
+      Product.find.mockReturnValue({ select: jest.fn().mockResolvedValue([product]) });
+      StockMovement.getLedgerStock.mockResolvedValue(new Map([['product1', { stock: { '': -1 }, opened: false }]]));
+
+      const result = await productService.reconcileStock(now);
+
+      expect(StockMovement.recordProductChanges).toHaveBeenCalledWith(product, { '': -1 },
+        expect.objectContaining({ type: 'opening_balance' }));
+      expect(result).toEqual({ checked: 1, openingBalances: 1, drifted: [] });
+    });
+  });
+
+  describe('compareProducts', () => {
+    const findResult = (products) => ({
+      select: jest.fn().mockReturnThis(),
+      populate: jest.fn().mockReturnThis(),
+      lean: jest.fn().mockResolvedValue(products)
+    });
+
+    beforeEach(() => {
+      Product.getConcentrations.mockReturnValue([
+        { value: 'edp', label: { en: 'Eau de Parfum', ar: 'ماء العطر' } }
+      ]);
+      // A 10% sale on everything
+      pricingService.applyEffectivePrices.mockImplementation(products => Promise.resolve(products.map(product => ({
+        ...product,
+        effectivePrice: product.price * 0.9,
+        variants: product.variants && product.variants.map(variant => ({ ...variant, effectivePrice: variant.price * 0.9 }))
+      }))));
+    });
+
+    it('should return products in the requested order with sale prices per ml', async () => {
+      Product.find.mockReturnValue(findResult([
+        { _id: 'oud', name: { en: 'Oud' }, price: 200, size: '100ml', inStock: true, stock: 9, concentrationCode: 'edp' },
+        {
+          _id: 'rose',
+          name: { en: 'Rose' },
+          price: 100,
+          size: '50ml',
+          inStock: true,
+          stock: 3,
+          variants: [
+            { _id: 'rose50', size: '50ml', price: 100, stock: 3 },
+            { _id: 'rose100', size: '100ml', price: 160, stock: 0 }
+          ]
+        }
+      ]));
+
+      const comparison = await productService.compareProducts(['rose', 'oud', 'rose', 'deleted']);
+
+      expect(comparison.map(product => product._id)).toEqual(['rose', 'oud']);
+      expect(comparison[0].sizes).toEqual([
+        expect.objectContaining({ variant: 'rose50', effectivePrice: 90, pricePerMl: 1.8, inStock: true }),
+        expect.objectContaining({ variant: 'rose100', effectivePrice: 144, pricePerMl: 1.44, inStock: false })
+      ]);
+      expect(comparison[0].pricePerMl).toBe(1.44);
+      expect(comparison[1].pricePerMl).toBe(1.8);
+      expect(comparison[1].concentration).toEqual({ code: 'edp', label: { en: 'Eau de Parfum', ar: 'ماء العطر' } });
+    });
+
+    it('should convert ounces and leave sizes sold by weight without a price per ml', async () => {
+      Product.find.mockReturnValue(findResult([
+        { _id: 'spray', price: 100, size: '1oz', inStock: true, stock: 5 },
+        { _id: 'balm', price: 100, size: '30g', inStock: true, stock: 5 }
+      ]));
+
+      const [spray, balm] = await productService.compareProducts(['spray', 'balm']);
+
+      expect(spray.pricePerMl).toBe(3.04);
+      expect(balm.pricePerMl).toBeNull();
+    });
+
+    it('should keep the product\'s own concentration wording and report availability', async () => {
+      const releaseDate = new Date('2026-12-01T00:00:00Z');
+      Product.find.mockReturnValue(findResult([
+        { _id: 'attar', price: 100, size: '10ml', inStock: true, stock: 2, lowStockThreshold: 3, concentration: { en: 'Attar', ar: 'عطر زيتي' } },
+        { _id: 'musk', price: 100, size: '10ml', inStock: false, stock: 0 },
+        { _id: 'launch', price: 100, size: '10ml', inStock: false, stock: 0, preOrder: { enabled: true, releaseDate } }
+      ]));
+
+      const [attar, musk, launch] = await productService.compareProducts(['attar', 'musk', 'launch']);
+
+      expect(attar.concentration).toEqual({ code: null, label: { en: 'Attar', ar: 'عطر زيتي' } });
+      expect(attar.availability.status).toBe('low_stock');
+      expect(musk.availability.status).toBe('out_of_stock');
+      expect(launch.availability).toEqual({ status: 'pre_order', releaseDate });
+    });
+  });
+});
@@ -0,0 +1,157 @@
+const promotionService = require('../../services/promotionService');
+const Promotion = require('../../models/Promotion');
+const Order = require('../../models/Order');
+const Customer = require('../../models/Customer');
+const Category = require('../../models/Category');
+
+jest.mock('../../models/Promotion', () => ({
+  calculateDiscount: jest.requireActual('../../models/Promotion').calculateDiscount,
+  findRunning: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../models/Order');
+jest.mock('../../models/Customer');
+jest.mock('../../models/Category');
+
+describe('PromotionService Unit Tests', () => {
+  const now = new Date('2026-01-01T12:00:00Z');
+  const running = (promotions) => {
+    Promotion.findRunning.mockReturnValue({ lean: jest.fn().mockResolvedValue(promotions) });
+  };
+  const promotion = (id, fields) => ({
+    _id: id,
+    name: { en: id, ar: id },
+    code: null,
+    minOrderValue: 0,
+    appliesTo: 'all',
+    products: [],
+    categories: [],
+    customerTiers: [],
+    stackable: false,
+    usageLimit: null,
+    perCustomerLimit: null,
+    usedCount: 0,
+    ...fields
+  });
+  // Two items: 2 x 100 in the oud category, 1 x 50 on sale from 60
+  const order = (fields) => ({
+    items: [
+      { productId: 'p1', price: 100, regularPrice: 100, quantity: 2 },
+      { productId: 'p2', price: 50, regularPrice: 60, quantity: 1 }
+    ],
+    products: [{ _id: 'p1', categories: ['oud'] }, { _id: 'p2', categories: ['floral'] }],
+    subtotal: 250,
+    shippingCost: 30,
+    ...fields
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('applyPromotions', () => {
+    it('should use stackable promotions together unless a single promotion saves more', async () => {
+      running([
+        promotion('ten-percent', { type: 'percentage', value: 10, stackable: true }),
+        promotion('free-shipping', { type: 'free_shipping', stackable: true }),
+        promotion('fifty-off', { type: 'fixed', value: 50 })
+      ]);
+
+      const result = await promotionService.applyPromotions(order(), now);
+
+      // 25 off plus 30 shipping beats 50 off on its own
+      expect(result.promotions.map(entry => entry.promotion)).toEqual(['ten-percent', 'free-shipping']);
+      expect(result).toEqual(expect.objectContaining({ discount: 25, freeShipping: true, couponCode: null }));
+    });
+
+    it('should discount the cheapest units of a buy X get Y in its categories only', async () => {
+      Category.getSubtreeIds.mockResolvedValue(['oud', 'oud-rose']);
+      running([promotion('b1g1', {
+        type: 'buy_x_get_y',
+        buyQuantity: 1,
+        getQuantity: 1,
+        getDiscountPercent: 50,
+        appliesTo: 'categories',
+        categories: ['oud']
+      })]);
+
+      const result = await promotionService.applyPromotions(order(), now);
+
+      expect(result.discount).toBe(50);
+    });
+
+    it('should always apply an entered coupon and leave out items on sale when asked', async () => {
+      running([
+        promotion('automatic', { type: 'fixed', value: 100 }),
+        promotion('coupon', { code: 'OUD15', type: 'percentage', value: 15, excludeSaleItems: true })
+      ]);
+
+      const result = await promotionService.applyPromotions(order({ code: ' oud15 ' }), now);
+
+      expect(Promotion.findRunning).toHaveBeenCalledWith('OUD15', now);
+      expect(result.promotions).toEqual([expect.objectContaining({ code: 'OUD15', discount: 30 })]);
+      expect(result.couponCode).toBe('OUD15');
+    });
+
+    it('should not discount gift cards bought with the order', async () => {
+      running([promotion('coupon', { code: 'HALF', type: 'percentage', value: 50 })]);
+
+      const result = await promotionService.applyPromotions(order({
+        items: [
+          { productId: 'p1', price: 100, regularPrice: 100, quantity: 2 },
+          { productId: 'card', price: 500, regularPrice: 500, quantity: 1, giftCard: { recipientEmail: 'sara@example.com' } }
+        ],
+        products: [{ _id: 'p1', categories: ['oud'] }, { _id: 'card', categories: [] }],
+        subtotal: 700,
+        code: 'HALF'
+      }), now);
+
+      expect(result.discount).toBe(100);
+    });
+
+    it('should explain why an entered coupon cannot be used', async () => {
+      running([promotion('coupon', { code: 'BIG', type: 'fixed', value: 40, minOrderValue: 300 })]);
+      await expect(promotionService.applyPromotions(order({ code: 'BIG' }), now))
+        .rejects.toThrow('Coupon code requires a minimum order of 300');
+
+      running([]);
+      await expect(promotionService.applyPromotions(order({ code: 'NOPE' }), now))
+        .rejects.toThrow('Invalid coupon code');
+    });
+
+    it('should check per-customer limits and tiers against the customer email', async () => {
+      Order.countDocuments.mockResolvedValue(1);
+      Customer.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue({ tier: 'silver' }) });
+      running([
+        promotion('once', { code: 'WELCOME', type: 'fixed', value: 20, perCustomerLimit: 1 }),
+        promotion('gold-only', { type: 'percentage', value: 20, customerTiers: ['gold', 'platinum'] })
+      ]);
+
+      await expect(promotionService.applyPromotions(order({ code: 'WELCOME', email: 'Layla@Example.com' }), now))
+        .rejects.toThrow('Coupon code has already been used the maximum number of times');
+      expect(Order.countDocuments).toHaveBeenCalledWith({
+        'promotions.promotion': 'once',
+        'customerInfo.email': 'layla@example.com',
+        status: { $ne: 'cancelled' }
+      });
+
+      running([promotion('gold-only', { type: 'percentage', value: 20, customerTiers: ['gold', 'platinum'] })]);
+      const result = await promotionService.applyPromotions(order({ email: 'layla@example.com' }), now);
+      expect(result.promotions).toEqual([]);
+    });
+  });
+
+  describe('recordUsage', () => {
+    it('should fail the order when a promotion has run out', async () => {
+      Promotion.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(promotionService.recordUsage([{ promotion: 'coupon', code: 'LAST' }], { session: 'session' }))
+        .rejects.toThrow('Coupon code has reached its usage limit');
+      expect(Promotion.updateOne).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: 'coupon' }),
+        { $inc: { usedCount: 1 } },
+        { session: 'session' }
+      );
+    });
+  });
+});
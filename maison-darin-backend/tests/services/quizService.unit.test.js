@@ -0,0 +1,182 @@
+const quizService = require('../../services/quizService');
+const QuizQuestion = require('../../models/QuizQuestion');
+const QuizResult = require('../../models/QuizResult');
+const Product = require('../../models/Product');
+const Category = require('../../models/Category');
+const Customer = require('../../models/Customer');
+const pricingService = require('../../services/pricingService');
+
+jest.mock('../../models/QuizQuestion');
+jest.mock('../../models/QuizResult');
+jest.mock('../../models/Product');
+jest.mock('../../models/Category');
+jest.mock('../../models/Customer');
+jest.mock('../../services/pricingService', () => ({
+  applyEffectivePrices: jest.fn(products => Promise.resolve(products))
+}));
+
+describe('QuizService Unit Tests', () => {
+  const oriental = 'category-oriental';
+  const amber = 'category-amber';
+
+  const questions = [
+    {
+      _id: 'question1',
+      multiple: false,
+      answers: [
+        {
+          _id: 'warm',
+          notes: [{ name: 'oud', weight: 2 }, { name: 'vanilla', weight: 1 }],
+          categories: [{ category: oriental, weight: 1 }],
+          concentrations: []
+        },
+        {
+          _id: 'light',
+          notes: [{ name: 'bergamot', weight: 2 }, { name: 'oud', weight: -2 }],
+          categories: [],
+          concentrations: [{ code: 'edt', weight: 1 }]
+        }
+      ]
+    },
+    {
+      _id: 'question2',
+      multiple: true,
+      answers: [
+        { _id: 'strong', notes: [], categories: [], concentrations: [{ code: 'extrait', weight: 2 }] },
+        { _id: 'rose', notes: [{ name: 'rose', weight: 1 }], categories: [], concentrations: [] }
+      ]
+    }
+  ];
+
+  const mockQuery = (result) => ({
+    select: jest.fn().mockReturnThis(),
+    limit: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockResolvedValue(result)
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('buildProfile', () => {
+    it('should add up the weights of the chosen answers', () => {
+      const profile = quizService.buildProfile(questions, [
+        { question: 'question1', answers: ['warm'] },
+        { question: 'question2', answers: ['strong', 'rose'] }
+      ]);
+
+      expect(Object.fromEntries(profile.notes)).toEqual({ oud: 2, vanilla: 1, rose: 1 });
+      expect(Object.fromEntries(profile.categories)).toEqual({ [oriental]: 1 });
+      expect(Object.fromEntries(profile.concentrations)).toEqual({ extrait: 2 });
+    });
+
+    it('should refuse several answers to a single-answer question', () => {
+      expect(() => quizService.buildProfile(questions, [{ question: 'question1', answers: ['warm', 'light'] }]))
+        .toThrow('Invalid answer: question allows only one answer');
+    });
+
+    it('should refuse unknown questions and answers', () => {
+      expect(() => quizService.buildProfile(questions, [{ question: 'question3', answers: ['warm'] }]))
+        .toThrow('Invalid answer: unknown question');
+      expect(() => quizService.buildProfile(questions, [{ question: 'question1', answers: ['cold'] }]))
+        .toThrow('Invalid answer: unknown answer');
+    });
+  });
+
+  describe('getCategoryWeights', () => {
+    it('should give subcategories the weight of their ancestors', async () => {
+      Category.find.mockReturnValue(mockQuery([
+        { _id: oriental, ancestors: [] },
+        { _id: amber, ancestors: [oriental] }
+      ]));
+
+      const weights = await quizService.getCategoryWeights(new Map([[oriental, 2]]));
+
+      expect(Object.fromEntries(weights)).toEqual({ [oriental]: 2, [amber]: 2 });
+    });
+  });
+
+  describe('scoreProduct', () => {
+    it('should score notes, the strongest category and the concentration', () => {
+      const profile = quizService.buildProfile(questions, [
+        { question: 'question1', answers: ['warm'] },
+        { question: 'question2', answers: ['strong'] }
+      ]);
+      const categoryWeights = new Map([[oriental, 1], [amber, 1.5]]);
+
+      const result = quizService.scoreProduct(profile, categoryWeights, {
+        notes: { top: { en: ['Saffron'] }, base: { en: ['Oud', 'Vanilla'] } },
+        categories: [oriental, amber],
+        concentrationCode: 'extrait'
+      });
+
+      expect(result.score).toBe(2 + 1 + 1.5 + 2);
+      expect(result.matchedNotes).toEqual(['Oud', 'Vanilla']);
+    });
+
+    it('should count notes the customer wants to avoid against a product', () => {
+      const profile = quizService.buildProfile(questions, [{ question: 'question1', answers: ['light'] }]);
+
+      const result = quizService.scoreProduct(profile, new Map(), {
+        notes: { top: { en: ['Bergamot'] }, base: { en: ['Oud'] } },
+        categories: []
+      });
+
+      expect(result.score).toBe(0);
+      expect(result.matchedNotes).toEqual(['Bergamot']);
+    });
+  });
+
+  describe('submitQuiz', () => {
+    beforeEach(() => {
+      QuizQuestion.find.mockReturnValue({ lean: jest.fn().mockResolvedValue(questions) });
+      Category.find.mockReturnValue(mockQuery([{ _id: oriental, ancestors: [] }]));
+      Product.populate.mockImplementation(products => Promise.resolve(products));
+      QuizResult.create.mockResolvedValue({ _id: 'result1' });
+    });
+
+    it('should rank products best match first and record the quiz for the customer', async () => {
+      Product.find.mockReturnValue(mockQuery([
+        { _id: 'musk', notes: { base: { en: ['Musk'] } }, categories: [oriental] },
+        { _id: 'oud', notes: { base: { en: ['Oud', 'Vanilla'] } }, categories: [oriental], concentrationCode: 'edp' }
+      ]));
+      Customer.findOne.mockReturnValue({ select: jest.fn().mockReturnThis(), lean: jest.fn().mockResolvedValue({ _id: 'customer1' }) });
+
+      const answers = [{ question: 'question1', answers: ['warm'] }];
+      const { result, recommendations } = await quizService.submitQuiz({ answers, email: 'layla@example.com', language: 'en' });
+
+      expect(result).toBe('result1');
+      expect(recommendations.map(product => product._id)).toEqual(['oud', 'musk']);
+      expect(recommendations[0].quiz).toEqual({ match: 100, matchedNotes: ['Oud', 'Vanilla'] });
+      expect(recommendations[1].quiz.match).toBe(25);
+      expect(recommendations[0].notes).toBeUndefined();
+      expect(pricingService.applyEffectivePrices).toHaveBeenCalled();
+      expect(QuizResult.create).toHaveBeenCalledWith({
+        answers,
+        email: 'layla@example.com',
+        customer: 'customer1',
+        language: 'en',
+        recommendations: [{ product: 'oud', match: 100 }, { product: 'musk', match: 25 }]
+      });
+    });
+
+    it('should record an anonymous quiz without looking up a customer', async () => {
+      Product.find.mockReturnValue(mockQuery([]));
+
+      await quizService.submitQuiz({ answers: [{ question: 'question1', answers: ['warm'] }] });
+
+      expect(Customer.findOne).not.toHaveBeenCalled();
+      expect(QuizResult.create).toHaveBeenCalledWith(expect.objectContaining({
+        email: undefined,
+        customer: undefined,
+        recommendations: []
+      }));
+    });
+
+    it('should not record a quiz with invalid answers', async () => {
+      await expect(quizService.submitQuiz({ answers: [{ question: 'question1', answers: ['cold'] }] }))
+        .rejects.toThrow('Failed to score quiz: Invalid answer: unknown answer');
+      expect(QuizResult.create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,144 @@
+const recommendationService = require('../../services/recommendationService');
+const Product = require('../../models/Product');
+const Order = require('../../models/Order');
+const cacheService = require('../../services/cacheService');
+
+jest.mock('../../models/Product');
+jest.mock('../../models/Order');
+jest.mock('../../services/cacheService', () => ({
+  getOrSet: jest.fn((key, fn) => fn())
+}));
+
+const notes = (top, middle, base) => ({
+  top: { en: top, ar: [] },
+  middle: { en: middle, ar: [] },
+  base: { en: base, ar: [] }
+});
+
+const mockQuery = (result) => ({
+  select: jest.fn().mockReturnThis(),
+  limit: jest.fn().mockReturnThis(),
+  lean: jest.fn().mockResolvedValue(result)
+});
+
+describe('RecommendationService Unit Tests', () => {
+  const source = {
+    _id: '507f1f77bcf86cd799439011',
+    categories: ['oriental'],
+    price: 200,
+    notes: notes(['Bergamot'], ['Rose'], ['Oud', 'Amber'])
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('scoreSimilarity', () => {
+    it('should score identical scent profiles in the same category highest', () => {
+      const twin = { ...source, _id: 'twin' };
+      const { score } = recommendationService.scoreSimilarity(source, twin);
+
+      expect(score).toBeCloseTo(1);
+    });
+
+    it('should weigh shared base notes above shared top notes', () => {
+      const sharesBase = { categories: ['floral'], price: 200, notes: notes(['Lemon'], ['Jasmine'], ['Oud', 'Amber']) };
+      const sharesTop = { categories: ['floral'], price: 200, notes: notes(['Bergamot'], ['Jasmine'], ['Musk', 'Vanilla']) };
+
+      const base = recommendationService.scoreSimilarity(source, sharesBase);
+      const top = recommendationService.scoreSimilarity(source, sharesTop);
+
+      expect(base.score).toBeGreaterThan(top.score);
+      expect(base.sharedNotes.en).toEqual(['Oud', 'Amber']);
+    });
+
+    it('should compare notes case-insensitively', () => {
+      const candidate = { categories: ['floral'], price: 200, notes: notes([], [], ['oud']) };
+
+      expect(recommendationService.scoreSimilarity(source, candidate).sharedNotes.en).toEqual(['oud']);
+    });
+
+    it('should prefer closer prices when everything else is equal', () => {
+      const close = { categories: ['oriental'], price: 210, notes: notes([], [], []) };
+      const far = { categories: ['oriental'], price: 600, notes: notes([], [], []) };
+
+      expect(recommendationService.scoreSimilarity(source, close).score)
+        .toBeGreaterThan(recommendationService.scoreSimilarity(source, far).score);
+    });
+
+    it('should not recommend on price alone', () => {
+      const unrelated = { categories: ['fresh'], price: 200, notes: notes(['Lime'], ['Mint'], ['Cedar']) };
+
+      expect(recommendationService.scoreSimilarity(source, unrelated).score).toBe(0);
+    });
+
+    it('should count any shared category', () => {
+      const candidate = { categories: ['woody', 'oriental'], price: 200, notes: notes([], [], []) };
+
+      expect(recommendationService.scoreSimilarity(source, candidate).score).toBeGreaterThan(0);
+    });
+  });
+
+  describe('getSimilarProducts', () => {
+    it('should return the best matches without their notes', async () => {
+      const close = { _id: 'a', categories: ['oriental'], price: 190, notes: notes(['Bergamot'], ['Rose'], ['Oud']) };
+      const weak = { _id: 'b', categories: ['oriental'], price: 90, notes: notes([], [], ['Musk']) };
+      const unrelated = { _id: 'c', categories: ['fresh'], price: 200, notes: notes(['Lime'], [], []) };
+      Product.find.mockReturnValue(mockQuery([weak, unrelated, close]));
+
+      const result = await recommendationService.getSimilarProducts(source, 4);
+
+      expect(result.map(product => product._id)).toEqual(['a', 'b']);
+      expect(result[0].notes).toBeUndefined();
+      expect(result[0].recommendation.sharedNotes.en).toEqual(['Bergamot', 'Rose', 'Oud']);
+      expect(Product.find).toHaveBeenCalledWith(expect.objectContaining({
+        _id: { $ne: source._id },
+        inStock: true
+      }));
+    });
+  });
+
+  describe('getBoughtTogether', () => {
+    it('should return in-stock co-purchased products in order of frequency', async () => {
+      Order.aggregate.mockResolvedValue([
+        { _id: 'p1', orders: 5 },
+        { _id: 'p2', orders: 3 },
+        { _id: 'p3', orders: 2 }
+      ]);
+      Product.find.mockReturnValue(mockQuery([
+        { _id: 'p3', name: { en: 'Three' } },
+        { _id: 'p1', name: { en: 'One' } }
+      ]));
+
+      const result = await recommendationService.getBoughtTogether(source._id, 4);
+
+      expect(cacheService.getOrSet).toHaveBeenCalledWith(
+        `recommendations:bought-together:${source._id}`,
+        expect.any(Function),
+        expect.any(Number)
+      );
+      expect(result).toEqual([
+        { _id: 'p1', name: { en: 'One' }, recommendation: { orders: 5 } },
+        { _id: 'p3', name: { en: 'Three' }, recommendation: { orders: 2 } }
+      ]);
+    });
+
+    it('should skip the product lookup when nothing was bought together', async () => {
+      Order.aggregate.mockResolvedValue([]);
+
+      const result = await recommendationService.getBoughtTogether(source._id);
+
+      expect(result).toEqual([]);
+      expect(Product.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getRecommendations', () => {
+    it('should report a missing product', async () => {
+      Product.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+
+      await expect(recommendationService.getRecommendations(source._id))
+        .rejects.toThrow('Product not found');
+    });
+  });
+});
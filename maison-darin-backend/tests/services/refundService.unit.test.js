@@ -0,0 +1,329 @@
+const mongoose = require('mongoose');
+const refundService = require('../../services/refundService');
+const Order = require('../../models/Order');
+const Sequence = require('../../models/Sequence');
+const orderService = require('../../services/orderService');
+const paymentService = require('../../services/paymentService');
+const giftCardService = require('../../services/giftCardService');
+const invoiceService = require('../../services/invoiceService');
+
+jest.mock('../../models/Sequence', () => ({
+  next: jest.fn()
+}));
+jest.mock('../../services/orderService', () => ({
+  changeStatus: jest.fn()
+}));
+jest.mock('../../services/paymentService', () => ({
+  refundOrderPayment: jest.fn()
+}));
+jest.mock('../../services/giftCardService', () => ({
+  issueStoreCredit: jest.fn()
+}));
+jest.mock('../../services/invoiceService', () => ({
+  issueCreditNoteSafely: jest.fn()
+}));
+jest.mock('../../services/databaseService', () => ({
+  executeWithTransaction: jest.fn(operations => operations('session'))
+}));
+
+describe('RefundService Unit Tests', () => {
+  const orderId = new mongoose.Types.ObjectId();
+  const line1 = new mongoose.Types.ObjectId();
+  const line2 = new mongoose.Types.ObjectId();
+  const line3 = new mongoose.Types.ObjectId();
+
+  const order = (fields = {}) => new Order({
+    _id: orderId,
+    orderNumber: 'MD-20261019-007',
+    customerInfo: {
+      firstName: 'Layla',
+      lastName: 'Ahmed',
+      email: 'layla@example.com',
+      phone: '+966500000000',
+      address: '12 King Fahd Road',
+      city: 'Riyadh',
+      country: 'Saudi Arabia'
+    },
+    items: [
+      { _id: line1, productId: new mongoose.Types.ObjectId(), productName: 'Oud Royal', productImage: 'oud.jpg', variantSize: '50ml', price: 250, quantity: 2, subtotal: 500 },
+      { _id: line2, productId: new mongoose.Types.ObjectId(), productName: 'Rose Mist', productImage: 'rose.jpg', price: 100, quantity: 1, subtotal: 100 },
+      { _id: line3, productId: new mongoose.Types.ObjectId(), productName: 'Gift card', productImage: 'card.jpg', price: 100, quantity: 1, subtotal: 100, giftCard: { recipientEmail: 'sara@example.com' } }
+    ],
+    subtotal: 700,
+    shippingCost: 25,
+    total: 665,
+    paymentMethod: 'paypal',
+    paymentStatus: 'paid',
+    status: 'delivered',
+    ...fields
+  });
+
+  // Applies the updates refundService makes to the order it was given
+  const applyUpdates = current => (filter, update) => {
+    const fields = current.toObject();
+    if (update.$push) {
+      fields.refunds = [...fields.refunds, update.$push.refunds];
+      fields.refundedTotal += update.$inc.refundedTotal;
+    }
+    const set = update.$set || {};
+    if (set['refunds.$']) {
+      fields.refunds = fields.refunds.map(refund => (refund.refundId === set['refunds.$'].refundId ? set['refunds.$'] : refund));
+    }
+    if (set['refunds.$.status']) {
+      fields.refunds = fields.refunds.map(refund => ({ ...refund, status: set['refunds.$.status'] }));
+    }
+    if (set.paymentStatus) {
+      fields.paymentStatus = set.paymentStatus;
+    }
+    current = new Order(fields);
+    return Promise.resolve(current);
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    Sequence.next.mockResolvedValue('RF-2026-00001');
+    invoiceService.issueCreditNoteSafely.mockResolvedValue(null);
+  });
+
+  describe('calculateRefund', () => {
+    it('should refund what was paid for the lines, without shipping', () => {
+      // 665 paid - 25 shipping - 100 gift card line = 540 for 600 of goods
+      const refund = refundService.calculateRefund(order(), { items: [{ orderItem: line1, quantity: 1 }] });
+
+      expect(refund).toMatchObject({
+        lines: [expect.objectContaining({ productName: 'Oud Royal', quantity: 1, amount: 225 })],
+        shipping: 0,
+        adjustment: 0,
+        amount: 225,
+        gatewayAmount: 225,
+        storeCreditAmount: 0
+      });
+    });
+
+    it('should pay back what gift cards paid as store credit', () => {
+      const refund = refundService.calculateRefund(
+        order({ giftCardTotal: 133 }),
+        { items: [{ orderItem: line1, quantity: 1 }] }
+      );
+
+      expect(refund).toMatchObject({ amount: 225, storeCreditAmount: 45, gatewayAmount: 180 });
+    });
+
+    it('should add shipping and an amount on top of the lines', () => {
+      const refund = refundService.calculateRefund(order(), {
+        items: [{ orderItem: line2, quantity: 1 }],
+        shipping: 25,
+        amount: 10
+      });
+
+      expect(refund).toMatchObject({ shipping: 25, adjustment: 10, amount: 125 });
+    });
+
+    it('should refund everything left when nothing is chosen', () => {
+      const refund = refundService.calculateRefund(order({
+        refunds: [{ refundId: 'RF-2026-00001', reason: 'damaged', lines: [{ orderItem: line1, quantity: 1, amount: 225 }], amount: 225 }],
+        refundedTotal: 225,
+        paymentStatus: 'partially_refunded'
+      }), {});
+
+      expect(refund.lines.map(line => [line.productName, line.quantity])).toEqual([['Oud Royal', 1], ['Rose Mist', 1]]);
+      // The gift card bought is paid back as an adjustment
+      expect(refund).toMatchObject({ shipping: 25, adjustment: 100, amount: 440 });
+    });
+
+    it('should not refund more of a line than is left', () => {
+      const partlyRefunded = order({
+        refunds: [{ refundId: 'RF-2026-00001', reason: 'damaged', lines: [{ orderItem: line1, quantity: 2, amount: 450 }], amount: 450 }],
+        refundedTotal: 450
+      });
+
+      expect(() => refundService.calculateRefund(partlyRefunded, { items: [{ orderItem: line1, quantity: 1 }] }))
+        .toThrow('Only 0 of Oud Royal can be refunded');
+    });
+
+    it('should only refund gift cards bought as an amount', () => {
+      expect(() => refundService.calculateRefund(order(), { items: [{ orderItem: line3, quantity: 1 }] }))
+        .toThrow('Gift cards bought with the order can only be refunded as an amount');
+    });
+
+    it('should not refund more than is left to refund', () => {
+      expect(() => refundService.calculateRefund(order({ refundedTotal: 600 }), { amount: 100 }))
+        .toThrow('Refund of 100.00 is more than the 65.00 left to refund');
+    });
+  });
+
+  describe('refundOrder', () => {
+    it('should record the refund before paying it through the gateway', async () => {
+      jest.spyOn(Order, 'findById').mockResolvedValue(order());
+      const update = jest.spyOn(Order, 'findOneAndUpdate').mockImplementation(applyUpdates(order()));
+      paymentService.refundOrderPayment.mockResolvedValue({ method: 'paypal', status: 'completed', gatewayRefundId: 'PP-1' });
+
+      const { order: updated, refund } = await refundService.refundOrder(orderId, {
+        items: [{ orderItem: line1, quantity: 1 }],
+        reason: 'damaged'
+      }, { actor: { type: 'admin', name: 'admin@example.com' } });
+
+      expect(update.mock.calls[0][0]).toEqual({ _id: orderId, 'refunds.0': { $exists: false } });
+      expect(update.mock.calls[0][1].$inc).toEqual({ refundedTotal: 225 });
+      expect(update.mock.calls[0][1].$push.refunds).toMatchObject({ refundId: 'RF-2026-00001', status: 'processing' });
+      expect(paymentService.refundOrderPayment).toHaveBeenCalledWith(
+        expect.any(Object),
+        225,
+        'Refund RF-2026-00001 of order MD-20261019-007',
+        { refundId: 'RF-2026-00001' }
+      );
+      expect(refund).toMatchObject({ status: 'completed', method: 'paypal', gatewayRefundId: 'PP-1' });
+      expect(updated.paymentStatus).toBe('partially_refunded');
+      expect(invoiceService.issueCreditNoteSafely).toHaveBeenCalledWith(
+        expect.any(Object),
+        expect.objectContaining({ refundId: 'RF-2026-00001' })
+      );
+      expect(orderService.changeStatus).not.toHaveBeenCalled();
+    });
+
+    it('should mark the order refunded once nothing is left to refund', async () => {
+      jest.spyOn(Order, 'findById').mockResolvedValue(order());
+      const update = jest.spyOn(Order, 'findOneAndUpdate').mockImplementation(applyUpdates(order()));
+      paymentService.refundOrderPayment.mockResolvedValue({ method: 'paypal', status: 'completed', gatewayRefundId: 'PP-1' });
+      orderService.changeStatus.mockImplementation(() => update.mock.results[1].value);
+
+      await refundService.refundOrder(orderId, { reason: 'not_delivered', note: 'Lost in transit' });
+
+      expect(update.mock.calls[1][1].$set.paymentStatus).toBeUndefined();
+      expect(orderService.changeStatus).toHaveBeenCalledWith(orderId, 'refunded', {
+        actor: { type: 'system' },
+        reason: 'Lost in transit'
+      });
+    });
+
+    it('should leave a cash on delivery refund to be paid by hand', async () => {
+      jest.spyOn(Order, 'findById').mockResolvedValue(order({ paymentMethod: 'cash_on_delivery' }));
+      jest.spyOn(Order, 'findOneAndUpdate').mockImplementation(applyUpdates(order({ paymentMethod: 'cash_on_delivery' })));
+      paymentService.refundOrderPayment.mockResolvedValue({ method: 'manual', status: 'pending' });
+
+      const { refund } = await refundService.refundOrder(orderId, { shipping: 25, reason: 'late_delivery' });
+
+      expect(refund).toMatchObject({ method: 'manual', status: 'pending', amount: 25 });
+      expect(invoiceService.issueCreditNoteSafely).toHaveBeenCalled();
+    });
+
+    it('should keep a refund the gateway refused so it can be retried', async () => {
+      jest.spyOn(Order, 'findById').mockResolvedValue(order());
+      const update = jest.spyOn(Order, 'findOneAndUpdate').mockImplementation(applyUpdates(order()));
+      paymentService.refundOrderPayment.mockResolvedValue({ method: 'paypal', status: 'failed', error: 'Capture not found' });
+
+      const { refund } = await refundService.refundOrder(orderId, { amount: 50, reason: 'goodwill' });
+
+      expect(refund).toMatchObject({ status: 'failed', error: 'Capture not found' });
+      expect(update.mock.calls[1][1].$set.paymentStatus).toBeUndefined();
+      expect(invoiceService.issueCreditNoteSafely).not.toHaveBeenCalled();
+    });
+
+    it('should keep a refund the gateway has not paid yet as pending', async () => {
+      jest.spyOn(Order, 'findById').mockResolvedValue(order());
+      jest.spyOn(Order, 'findOneAndUpdate').mockImplementation(applyUpdates(order()));
+      paymentService.refundOrderPayment.mockResolvedValue({
+        method: 'paypal',
+        status: 'pending',
+        gatewayRefundId: 'PP-2',
+        error: 'The gateway has accepted the refund but not paid it yet'
+      });
+
+      const { refund } = await refundService.refundOrder(orderId, { amount: 50, reason: 'goodwill' });
+
+      expect(paymentService.refundOrderPayment.mock.calls[0][3]).toEqual({ refundId: 'RF-2026-00001' });
+      expect(refund).toMatchObject({
+        method: 'paypal',
+        status: 'pending',
+        gatewayRefundId: 'PP-2',
+        error: 'The gateway has accepted the refund but not paid it yet'
+      });
+    });
+
+    it('should split off store credit for what gift cards paid', async () => {
+      jest.spyOn(Order, 'findById').mockResolvedValue(order({ giftCardTotal: 133 }));
+      jest.spyOn(Order, 'findOneAndUpdate').mockImplementation(applyUpdates(order({ giftCardTotal: 133 })));
+      giftCardService.issueStoreCredit.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+      paymentService.refundOrderPayment.mockResolvedValue({ method: 'paypal', status: 'completed', gatewayRefundId: 'PP-1' });
+
+      await refundService.refundOrder(orderId, { items: [{ orderItem: line1, quantity: 1 }], reason: 'damaged' });
+
+      expect(giftCardService.issueStoreCredit).toHaveBeenCalledWith(
+        expect.objectContaining({ email: 'layla@example.com', amount: 45, source: 'refund' }),
+        undefined,
+        expect.any(Object)
+      );
+      expect(paymentService.refundOrderPayment.mock.calls[0][1]).toBe(180);
+    });
+
+    it('should not refund twice when another refund was made first', async () => {
+      jest.spyOn(Order, 'findById').mockResolvedValue(order());
+      jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(refundService.refundOrder(orderId, { amount: 50, reason: 'goodwill' }))
+        .rejects.toThrow('Order was refunded by someone else in the meantime');
+      expect(paymentService.refundOrderPayment).not.toHaveBeenCalled();
+    });
+
+    it('should not refund an unpaid order', async () => {
+      jest.spyOn(Order, 'findById').mockResolvedValue(order({ paymentStatus: 'pending' }));
+
+      await expect(refundService.refundOrder(orderId, { amount: 50, reason: 'goodwill' }))
+        .rejects.toThrow('Only paid orders can be refunded');
+    });
+  });
+
+  describe('retryRefund', () => {
+    const withRefund = fields => order({
+      refunds: [{
+        refundId: 'RF-2026-00001',
+        reason: 'damaged',
+        lines: [{ orderItem: line2, quantity: 1, amount: 90 }],
+        amount: 90,
+        gatewayAmount: 90,
+        method: 'manual',
+        ...fields
+      }],
+      refundedTotal: 90,
+      paymentStatus: 'partially_refunded'
+    });
+
+    it('should complete a refund paid by hand with its reference', async () => {
+      jest.spyOn(Order, 'findById').mockResolvedValue(withRefund({ status: 'pending' }));
+      jest.spyOn(Order, 'findOneAndUpdate').mockImplementation(applyUpdates(withRefund({ status: 'processing' })));
+
+      const { refund } = await refundService.retryRefund(orderId, 'RF-2026-00001', { reference: 'TRX-884' });
+
+      expect(paymentService.refundOrderPayment).not.toHaveBeenCalled();
+      expect(refund).toMatchObject({ status: 'completed', reference: 'TRX-884', method: 'manual' });
+    });
+
+    it('should not send a refund pending with the gateway again', async () => {
+      jest.spyOn(Order, 'findById').mockResolvedValue(withRefund({ status: 'pending', method: 'paymob' }));
+      const update = jest.spyOn(Order, 'findOneAndUpdate');
+
+      await expect(refundService.retryRefund(orderId, 'RF-2026-00001'))
+        .rejects.toThrow('Refund is pending with the gateway');
+      expect(update).not.toHaveBeenCalled();
+      expect(paymentService.refundOrderPayment).not.toHaveBeenCalled();
+    });
+
+    it('should complete a refund pending with the gateway with its reference', async () => {
+      jest.spyOn(Order, 'findById').mockResolvedValue(withRefund({ status: 'pending', method: 'paymob' }));
+      jest.spyOn(Order, 'findOneAndUpdate').mockImplementation(applyUpdates(withRefund({ status: 'processing', method: 'paymob' })));
+
+      const { refund } = await refundService.retryRefund(orderId, 'RF-2026-00001', { reference: 'PM-5521' });
+
+      expect(paymentService.refundOrderPayment).not.toHaveBeenCalled();
+      expect(refund).toMatchObject({ status: 'completed', reference: 'PM-5521', method: 'paymob' });
+    });
+
+    it('should not pay a refund again once it is made', async () => {
+      jest.spyOn(Order, 'findById').mockResolvedValue(withRefund({ status: 'completed' }));
+
+      await expect(refundService.retryRefund(orderId, 'RF-2026-00001'))
+        .rejects.toThrow('Refund has already been made');
+    });
+  });
+});
@@ -0,0 +1,337 @@
+const returnService = require('../../services/returnService');
+const Return = require('../../models/Return');
+const Order = require('../../models/Order');
+const orderService = require('../../services/orderService');
+const refundService = require('../../services/refundService');
+const emailService = require('../../services/emailService');
+
+jest.mock('../../models/Return', () => ({
+  create: jest.fn(),
+  find: jest.fn(),
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  findByIdAndUpdate: jest.fn()
+}));
+jest.mock('../../models/Order', () => ({
+  findOne: jest.fn(),
+  findById: jest.fn()
+}));
+jest.mock('../../services/orderService', () => ({
+  restoreProductStock: jest.fn()
+}));
+jest.mock('../../services/refundService', () => ({
+  refundOrder: jest.fn(),
+  retryRefund: jest.fn()
+}));
+jest.mock('../../services/emailService', () => ({
+  sendReturnUpdate: jest.fn()
+}));
+jest.mock('../../services/cloudinaryService', () => ({
+  uploadImage: jest.fn(),
+  deleteImage: jest.fn()
+}));
+jest.mock('../../services/databaseService', () => ({
+  executeWithTransaction: jest.fn(operations => operations('session'))
+}));
+
+describe('ReturnService Unit Tests', () => {
+  const order = (fields = {}) => ({
+    _id: 'order1',
+    orderNumber: 'MD-20261019-007',
+    status: 'delivered',
+    paymentMethod: 'paypal',
+    customerInfo: { firstName: 'Layla', lastName: 'Ahmed', email: 'layla@example.com' },
+    items: [
+      { _id: 'line1', productId: 'product1', productName: 'Oud Royal', variantSize: '50ml', price: 250, quantity: 2, subtotal: 500 },
+      { _id: 'line2', productId: 'product2', productName: 'Rose Mist', price: 100, quantity: 1, subtotal: 100 },
+      { _id: 'line3', productName: 'Gift card', price: 100, quantity: 1, subtotal: 100, giftCard: { amount: 100 } }
+    ],
+    subtotal: 700,
+    shippingCost: 25,
+    total: 665,
+    giftCardTotal: 0,
+    timeline: [{ status: 'delivered', at: new Date() }],
+    ...fields
+  });
+  const item = (fields = {}) => {
+    const value = { orderItem: 'line1', productId: 'product1', productName: 'Oud Royal', price: 250, quantity: 2, ...fields };
+    return { ...value, toObject: () => ({ ...value }) };
+  };
+  const returnRequest = (fields = {}) => ({
+    _id: 'return1',
+    returnNumber: 'RMA-2026-00001',
+    order: 'order1',
+    status: 'requested',
+    items: [item()],
+    checkTransition: jest.fn().mockReturnValue(null),
+    ...fields
+  });
+  const selected = value => ({
+    select: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue(value) })
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    emailService.sendReturnUpdate.mockResolvedValue({ success: true });
+  });
+
+  describe('getReturnableItems', () => {
+    it('should leave out gift cards and what other returns took', async () => {
+      const returnable = await returnService.getReturnableItems(order(), {
+        returns: [
+          { status: 'requested', items: [{ orderItem: 'line1', quantity: 1 }] },
+          { status: 'rejected', items: [{ orderItem: 'line2', quantity: 1 }] },
+          { status: 'received', items: [{ orderItem: 'line2', quantity: 1, receivedQuantity: 0 }] }
+        ]
+      });
+
+      expect(returnable.map(line => [line.orderItem, line.returnableQuantity])).toEqual([
+        ['line1', 1],
+        ['line2', 1]
+      ]);
+    });
+  });
+
+  describe('requestReturn', () => {
+    it('should not return more than was bought', async () => {
+      Order.findOne.mockResolvedValue(order());
+      Return.find.mockReturnValue(selected([]));
+
+      await expect(returnService.requestReturn({
+        orderNumber: 'MD-20261019-007',
+        email: 'layla@example.com',
+        items: [{ orderItem: 'line1', quantity: 3 }],
+        reason: 'damaged'
+      })).rejects.toThrow('Only 2 of Oud Royal can be returned');
+      expect(Return.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse returns after the return window', async () => {
+      const deliveredAt = new Date(Date.now() - 15 * 24 * 60 * 60 * 1000);
+      Order.findOne.mockResolvedValue(order({ timeline: [{ status: 'delivered', at: deliveredAt }] }));
+
+      await expect(returnService.requestReturn({
+        orderNumber: 'MD-20261019-007',
+        email: 'layla@example.com',
+        items: [{ orderItem: 'line1', quantity: 1 }],
+        reason: 'damaged'
+      })).rejects.toThrow('Returns must be requested within 14 days of delivery');
+    });
+
+    it('should create the return with the order line details and tell the customer', async () => {
+      Order.findOne.mockResolvedValue(order());
+      Return.find.mockReturnValue(selected([]));
+      Return.create.mockImplementation(fields => Promise.resolve({ _id: 'return1', ...fields }));
+
+      const created = await returnService.requestReturn({
+        orderNumber: 'md-20261019-007',
+        email: 'Layla@example.com',
+        items: [{ orderItem: 'line1', quantity: 1 }],
+        reason: 'damaged',
+        language: 'en'
+      });
+
+      expect(Order.findOne).toHaveBeenCalledWith({
+        orderNumber: 'MD-20261019-007',
+        'customerInfo.email': 'layla@example.com'
+      });
+      expect(created.items).toEqual([expect.objectContaining({ orderItem: 'line1', price: 250, quantity: 1 })]);
+      expect(created.customer).toEqual({ name: 'Layla Ahmed', email: 'layla@example.com' });
+      expect(emailService.sendReturnUpdate).toHaveBeenCalledWith(created);
+    });
+  });
+
+  describe('changeStatus', () => {
+    it('should record what was received', async () => {
+      Return.findById.mockResolvedValue(returnRequest({ status: 'approved' }));
+      Return.findOneAndUpdate.mockImplementation((query, update) => Promise.resolve({ _id: 'return1', ...update.$set }));
+
+      const updated = await returnService.changeStatus('return1', 'received', {
+        items: [{ orderItem: 'line1', receivedQuantity: 1 }]
+      });
+
+      expect(Return.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'return1', status: 'approved' },
+        expect.objectContaining({ $set: expect.objectContaining({ status: 'received' }) }),
+        { new: true, session: 'session' }
+      );
+      expect(updated.items[0].receivedQuantity).toBe(1);
+      expect(orderService.restoreProductStock).not.toHaveBeenCalled();
+    });
+
+    it('should not receive more than was returned', async () => {
+      Return.findById.mockResolvedValue(returnRequest({ status: 'approved' }));
+
+      await expect(returnService.changeStatus('return1', 'received', {
+        items: [{ orderItem: 'line1', receivedQuantity: 3 }]
+      })).rejects.toThrow('More of Oud Royal cannot be received than was returned');
+    });
+
+    it('should put only resellable items back into stock, then refund', async () => {
+      Return.findById.mockResolvedValue(returnRequest({
+        status: 'received',
+        items: [item({ receivedQuantity: 2 }), item({ orderItem: 'line2', productId: 'product2', receivedQuantity: 1 })]
+      }));
+      Return.findOneAndUpdate.mockImplementation((query, update) => Promise.resolve({
+        _id: 'return1',
+        returnNumber: 'RMA-2026-00001',
+        order: 'order1',
+        items: update.$set.items.map(fields => ({ ...fields, toObject: () => fields }))
+      }));
+      jest.spyOn(returnService, 'refundReturn').mockResolvedValue({ status: 'refunded' });
+
+      await returnService.changeStatus('return1', 'inspected', {
+        items: [{ orderItem: 'line2', condition: 'damaged' }]
+      });
+
+      expect(orderService.restoreProductStock).toHaveBeenCalledWith(
+        [expect.objectContaining({ orderItem: 'line1', quantity: 2 })],
+        { session: 'session', type: 'return', order: 'order1', reason: 'Return RMA-2026-00001' }
+      );
+      expect(returnService.refundReturn).toHaveBeenCalledWith('return1', { actor: { type: 'system' } });
+      returnService.refundReturn.mockRestore();
+    });
+
+    it('should not move a return someone else moved first', async () => {
+      Return.findById.mockResolvedValue(returnRequest());
+      Return.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(returnService.changeStatus('return1', 'approved'))
+        .rejects.toThrow('Return was changed by someone else');
+      expect(emailService.sendReturnUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should leave refunding to the refund action', async () => {
+      Return.findById.mockResolvedValue(returnRequest({ status: 'inspected' }));
+
+      await expect(returnService.changeStatus('return1', 'refunded'))
+        .rejects.toThrow('Refund a return through its refund action');
+    });
+  });
+
+  describe('refundReturn', () => {
+    const inspected = () => returnRequest({
+      status: 'inspected',
+      items: [item({ receivedQuantity: 1 }), item({ orderItem: 'line2', receivedQuantity: 0 })]
+    });
+    const orderRefund = (fields = {}) => ({
+      refundId: 'RF-2026-00001',
+      amount: 225,
+      gatewayAmount: 180,
+      storeCreditAmount: 45,
+      method: 'paypal',
+      status: 'completed',
+      storeCredit: 'credit1',
+      gatewayRefundId: 'PP-1',
+      completedAt: new Date(),
+      ...fields
+    });
+
+    beforeEach(() => {
+      Return.findOneAndUpdate.mockResolvedValue({ _id: 'return1' });
+      Return.findByIdAndUpdate.mockImplementation((id, update) => Promise.resolve({ _id: id, ...update.$set }));
+    });
+
+    it('should refund the received items as a refund of the order', async () => {
+      Return.findById.mockResolvedValue(inspected());
+      refundService.refundOrder.mockResolvedValue({ order: order(), refund: orderRefund() });
+
+      const updated = await returnService.refundReturn('return1');
+
+      expect(refundService.refundOrder).toHaveBeenCalledWith(
+        'order1',
+        { items: [{ orderItem: 'line1', quantity: 1 }], reason: 'returned', note: 'Return RMA-2026-00001' },
+        { actor: { type: 'system' }, reference: undefined, returnId: 'return1' }
+      );
+      expect(updated.status).toBe('refunded');
+      expect(updated.refund).toMatchObject({
+        amount: 225,
+        status: 'completed',
+        refundId: 'RF-2026-00001',
+        storeCredit: 'credit1',
+        gatewayRefundId: 'PP-1'
+      });
+    });
+
+    it('should wait for a cash or bank transfer refund to be paid by hand', async () => {
+      Return.findById.mockResolvedValue(inspected());
+      refundService.refundOrder.mockResolvedValue({
+        order: order({ paymentMethod: 'bank_transfer' }),
+        refund: orderRefund({ method: 'manual', status: 'pending', gatewayRefundId: undefined, completedAt: undefined })
+      });
+
+      const updated = await returnService.refundReturn('return1');
+
+      expect(updated.status).toBeUndefined();
+      expect(updated.refund).toMatchObject({ method: 'manual', status: 'pending' });
+      expect(emailService.sendReturnUpdate).toHaveBeenCalled();
+    });
+
+    it('should complete a refund paid by hand with its reference', async () => {
+      Return.findById.mockResolvedValue(returnRequest({
+        status: 'inspected',
+        refund: { toObject: () => ({ amount: 225, method: 'manual', status: 'pending', refundId: 'RF-2026-00001' }), refundId: 'RF-2026-00001' }
+      }));
+      refundService.retryRefund.mockResolvedValue({
+        order: order(),
+        refund: orderRefund({ method: 'manual', reference: 'TRX-884' })
+      });
+
+      const updated = await returnService.refundReturn('return1', { reference: 'TRX-884' });
+
+      expect(refundService.retryRefund).toHaveBeenCalledWith('order1', 'RF-2026-00001', {
+        actor: { type: 'system' },
+        reference: 'TRX-884'
+      });
+      expect(refundService.refundOrder).not.toHaveBeenCalled();
+      expect(updated.status).toBe('refunded');
+      expect(updated.refund).toMatchObject({ status: 'completed', reference: 'TRX-884' });
+    });
+
+    it('should ask for the reference of a refund paid by hand', async () => {
+      Return.findById.mockResolvedValue(returnRequest({
+        status: 'inspected',
+        refund: { toObject: () => ({ status: 'pending', refundId: 'RF-2026-00001' }), refundId: 'RF-2026-00001' }
+      }));
+
+      await expect(returnService.refundReturn('return1'))
+        .rejects.toThrow('Record the reference of the refund paid by hand');
+      expect(refundService.retryRefund).not.toHaveBeenCalled();
+    });
+
+    it('should record a failed gateway refund so it can be retried', async () => {
+      Return.findById.mockResolvedValue(inspected());
+      refundService.refundOrder.mockResolvedValue({
+        order: order(),
+        refund: orderRefund({ status: 'failed', error: 'Capture not found', completedAt: undefined })
+      });
+
+      const updated = await returnService.refundReturn('return1');
+
+      expect(updated.status).toBeUndefined();
+      expect(updated.refund).toMatchObject({ status: 'failed', error: 'Capture not found' });
+      expect(emailService.sendReturnUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should record why the order could not be refunded', async () => {
+      Return.findById.mockResolvedValue(inspected());
+      refundService.refundOrder.mockRejectedValue(new Error('Failed to refund order: Only paid orders can be refunded'));
+
+      const updated = await returnService.refundReturn('return1');
+
+      expect(updated.refund).toEqual({
+        status: 'failed',
+        error: 'Failed to refund order: Only paid orders can be refunded'
+      });
+    });
+
+    it('should not send a refund that is already being sent', async () => {
+      Return.findById.mockResolvedValue(inspected());
+      Return.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(returnService.refundReturn('return1'))
+        .rejects.toThrow('Return is already being refunded');
+      expect(refundService.refundOrder).not.toHaveBeenCalled();
+    });
+  });
+});
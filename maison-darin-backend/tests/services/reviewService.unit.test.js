@@ -0,0 +1,190 @@
+const reviewService = require('../../services/reviewService');
+const Review = require('../../models/Review');
+const Order = require('../../models/Order');
+const Product = require('../../models/Product');
+const cloudinaryService = require('../../services/cloudinaryService');
+const ImageValidation = require('../../utils/imageValidation');
+
+jest.mock('../../models/Review');
+jest.mock('../../models/Order');
+jest.mock('../../models/Product');
+jest.mock('../../services/cloudinaryService', () => ({
+  uploadImage: jest.fn(),
+  deleteImage: jest.fn()
+}));
+jest.mock('../../utils/imageValidation');
+
+describe('ReviewService Unit Tests', () => {
+  const productId = '507f1f77bcf86cd799439011';
+  let deliveredOrder;
+  let reviewData;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    deliveredOrder = {
+      _id: 'order123',
+      orderNumber: 'MD-20240101-001',
+      status: 'delivered',
+      customerInfo: {
+        firstName: 'Sara',
+        lastName: 'Alharbi',
+        email: 'sara@example.com'
+      },
+      items: [{ productId, quantity: 1 }]
+    };
+
+    reviewData = {
+      orderNumber: 'md-20240101-001',
+      email: 'Sara@Example.com',
+      rating: 5,
+      language: 'ar',
+      title: 'رائع',
+      comment: 'عطر جميل جداً ويدوم طويلاً'
+    };
+
+    Product.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ _id: productId }) });
+    Order.findOne.mockResolvedValue(deliveredOrder);
+    Review.exists.mockResolvedValue(null);
+    Review.mockImplementation(data => ({ ...data, save: jest.fn().mockResolvedValue({ _id: 'review123', ...data }) }));
+    ImageValidation.validateFile.mockReturnValue({ valid: true });
+    cloudinaryService.uploadImage.mockResolvedValue({
+      success: true,
+      data: { url: 'https://res.cloudinary.com/x/photo.jpg', publicId: 'reviews/photo', variants: { thumbnail: 'thumb' } }
+    });
+    cloudinaryService.deleteImage.mockResolvedValue({ success: true });
+  });
+
+  describe('verifyPurchase', () => {
+    it('should look up the order by normalized number and email', async () => {
+      const order = await reviewService.verifyPurchase(productId, reviewData.orderNumber, reviewData.email);
+
+      expect(order).toBe(deliveredOrder);
+      expect(Order.findOne).toHaveBeenCalledWith({
+        orderNumber: 'MD-20240101-001',
+        'customerInfo.email': 'sara@example.com'
+      });
+    });
+
+    it('should reject unknown orders', async () => {
+      Order.findOne.mockResolvedValue(null);
+
+      await expect(reviewService.verifyPurchase(productId, 'MD-1', 'x@example.com'))
+        .rejects.toThrow('Order not found for this email address');
+    });
+
+    it('should reject orders that are not delivered', async () => {
+      Order.findOne.mockResolvedValue({ ...deliveredOrder, status: 'shipped' });
+
+      await expect(reviewService.verifyPurchase(productId, 'MD-1', 'sara@example.com'))
+        .rejects.toThrow('Only delivered orders are eligible for review');
+    });
+
+    it('should reject products that are not in the order', async () => {
+      await expect(reviewService.verifyPurchase('507f1f77bcf86cd799439099', 'MD-1', 'sara@example.com'))
+        .rejects.toThrow('not part of the order');
+    });
+
+    it('should reject a second review from the same order', async () => {
+      Review.exists.mockResolvedValue({ _id: 'review123' });
+
+      await expect(reviewService.verifyPurchase(productId, 'MD-1', 'sara@example.com'))
+        .rejects.toThrow('already been reviewed');
+    });
+  });
+
+  describe('createReview', () => {
+    it('should create a pending review in the customer\'s language', async () => {
+      const review = await reviewService.createReview(productId, reviewData);
+
+      expect(review._id).toBe('review123');
+      expect(Review).toHaveBeenCalledWith(expect.objectContaining({
+        product: productId,
+        order: 'order123',
+        orderNumber: 'MD-20240101-001',
+        customer: { name: 'Sara A.', email: 'sara@example.com' },
+        rating: 5,
+        language: 'ar',
+        title: { ar: 'رائع' },
+        comment: { ar: 'عطر جميل جداً ويدوم طويلاً' },
+        photos: []
+      }));
+    });
+
+    it('should upload photos once the purchase is verified', async () => {
+      const file = { buffer: Buffer.from('img'), originalname: 'a.jpg', size: 3 };
+
+      await reviewService.createReview(productId, reviewData, [file]);
+
+      expect(cloudinaryService.uploadImage).toHaveBeenCalledWith(file.buffer, expect.objectContaining({
+        folder: 'maison-darin/reviews'
+      }));
+      expect(Review).toHaveBeenCalledWith(expect.objectContaining({
+        photos: [{ url: 'https://res.cloudinary.com/x/photo.jpg', cloudinaryId: 'reviews/photo', thumbnail: 'thumb' }]
+      }));
+    });
+
+    it('should not upload photos for ineligible orders', async () => {
+      Order.findOne.mockResolvedValue({ ...deliveredOrder, status: 'pending' });
+
+      await expect(reviewService.createReview(productId, reviewData, [{ buffer: Buffer.from('img') }]))
+        .rejects.toThrow('Failed to submit review: Only delivered orders are eligible for review');
+      expect(cloudinaryService.uploadImage).not.toHaveBeenCalled();
+    });
+
+    it('should remove uploaded photos when saving fails', async () => {
+      Review.mockImplementation(() => ({ save: jest.fn().mockRejectedValue(new Error('db down')) }));
+
+      await expect(reviewService.createReview(productId, reviewData, [{ buffer: Buffer.from('img') }]))
+        .rejects.toThrow('Failed to submit review: db down');
+      expect(cloudinaryService.deleteImage).toHaveBeenCalledWith('reviews/photo');
+    });
+
+    it('should reject invalid photos', async () => {
+      ImageValidation.validateFile.mockReturnValue({ valid: false, error: 'bad type' });
+
+      await expect(reviewService.createReview(productId, reviewData, [{ buffer: Buffer.from('x') }]))
+        .rejects.toThrow('Invalid photo: bad type');
+    });
+
+    it('should report a missing product', async () => {
+      Product.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+      await expect(reviewService.createReview(productId, reviewData)).rejects.toThrow('Product not found');
+    });
+  });
+
+  describe('moderateReview', () => {
+    it('should record the decision, add translations and refresh the product rating', async () => {
+      const review = {
+        _id: 'review123',
+        product: productId,
+        set: jest.fn(),
+        save: jest.fn().mockImplementation(function() { return Promise.resolve(this); })
+      };
+      Review.findById.mockResolvedValue(review);
+      Review.getRatingSummary.mockResolvedValue({ averageRating: 4.5, reviewCount: 2, distribution: {} });
+      Product.updateOne.mockResolvedValue({});
+
+      await reviewService.moderateReview('review123', {
+        status: 'approved',
+        comment: { en: 'Beautiful, long-lasting perfume' }
+      }, 'admin1');
+
+      expect(review.status).toBe('approved');
+      expect(review.moderation.moderatedBy).toBe('admin1');
+      expect(review.set).toHaveBeenCalledWith('comment.en', 'Beautiful, long-lasting perfume');
+      expect(Product.updateOne).toHaveBeenCalledWith(
+        { _id: productId },
+        { $set: { averageRating: 4.5, reviewCount: 2 } }
+      );
+    });
+
+    it('should report a missing review', async () => {
+      Review.findById.mockResolvedValue(null);
+
+      await expect(reviewService.moderateReview('missing', { status: 'approved' }, 'admin1'))
+        .rejects.toThrow('Review not found');
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const searchService = require('../../services/searchService');
+const Product = require('../../models/Product');
+const TextSearch = require('../../utils/textSearch');
+
+jest.mock('../../models/Product', () => {
+  const actual = jest.requireActual('../../models/Product');
+  return {
+    find: jest.fn(),
+    getSearchFields: actual.getSearchFields.bind(actual),
+    buildSearchFilter: actual.buildSearchFilter.bind(actual)
+  };
+});
+
+const royalOud = {
+  _id: 'p1',
+  name: { en: 'Royal Oud', ar: 'العود الملكي' },
+  description: { en: 'A rich woody scent', ar: 'عطر خشبي غني' },
+  categories: [{ _id: 'c1', name: { en: 'Oriental', ar: 'شرقي' }, slug: 'oriental' }],
+  concentration: { en: 'Eau de Parfum', ar: 'ماء العطر' },
+  notes: {
+    top: { en: ['Saffron'], ar: ['زعفران'] },
+    middle: { en: ['Rose'], ar: ['وردة'] },
+    base: { en: ['Oud', 'Amber'], ar: ['عود', 'عنبر'] }
+  },
+  price: 300,
+  inStock: true,
+  createdAt: new Date('2024-01-01')
+};
+
+const roseGarden = {
+  _id: 'p2',
+  name: { en: 'Rose Garden', ar: 'حديقة الورد' },
+  description: { en: 'Fresh petals with a hint of oud', ar: 'بتلات منعشة' },
+  categories: [{ _id: 'c2', name: { en: 'Floral', ar: 'زهري' }, slug: 'floral' }],
+  notes: {
+    top: { en: ['Bergamot'], ar: ['برغموت'] },
+    middle: { en: ['Rose', 'Jasmine'], ar: ['ورد', 'ياسمين'] },
+    base: { en: ['Musk'], ar: ['مسك'] }
+  },
+  price: 150,
+  inStock: true,
+  createdAt: new Date('2024-02-01')
+};
+
+const score = (product, query) =>
+  searchService.scoreProduct(product, TextSearch.tokenize(query), TextSearch.normalize(query));
+
+const mockFind = (products) => {
+  Product.find.mockReturnValue({
+    limit: jest.fn().mockReturnValue({
+      populate: jest.fn().mockReturnValue({
+        lean: jest.fn().mockResolvedValue(products)
+      })
+    })
+  });
+};
+
+describe('SearchService Unit Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('scoreProduct', () => {
+    it('should match Arabic queries regardless of hamza and taa marbuta', () => {
+      expect(score(royalOud, 'العود')).toBeGreaterThan(0);
+      expect(score(roseGarden, 'حديقه')).toBeGreaterThan(0);
+    });
+
+    it('should match across languages', () => {
+      expect(score(royalOud, 'عود')).toBeGreaterThan(0);
+      expect(score(roseGarden, 'ياسمين')).toBeGreaterThan(0);
+      expect(score(roseGarden, 'jasmine')).toBeGreaterThan(0);
+    });
+
+    it('should match fragrance notes and concentration', () => {
+      expect(score(royalOud, 'saffron')).toBeGreaterThan(0);
+      expect(score(royalOud, 'eau de parfum')).toBeGreaterThan(0);
+      expect(score(royalOud, 'ماء العطر')).toBeGreaterThan(0);
+    });
+
+    it('should match category names in both languages', () => {
+      expect(score(royalOud, 'oriental')).toBeGreaterThan(0);
+      expect(score(roseGarden, 'زهري')).toBeGreaterThan(0);
+      expect(score(roseGarden, 'oriental')).toBe(0);
+    });
+
+    it('should tolerate small typos', () => {
+      expect(score(roseGarden, 'jasmne')).toBeGreaterThan(0);
+      expect(score(royalOud, 'royl')).toBeGreaterThan(0);
+    });
+
+    it('should require every query term to match', () => {
+      expect(score(roseGarden, 'rose vanilla')).toBe(0);
+    });
+
+    it('should rank name matches above description matches', () => {
+      expect(score(royalOud, 'oud')).toBeGreaterThan(score(roseGarden, 'oud'));
+    });
+  });
+
+  describe('searchProducts', () => {
+    it('should return products ordered by relevance with pagination', async () => {
+      mockFind([roseGarden, royalOud]);
+
+      const result = await searchService.searchProducts('oud', { page: 1, limit: 10 });
+
+      expect(result.products.map(p => p._id)).toEqual(['p1', 'p2']);
+      expect(result.pagination.total).toBe(2);
+      expect(Product.find).toHaveBeenCalledWith(expect.objectContaining({ $and: expect.any(Array) }));
+    });
+
+    it('should honour an explicit sort field', async () => {
+      mockFind([royalOud, roseGarden]);
+
+      const result = await searchService.searchProducts('oud', { sortBy: 'price', sortOrder: 'asc' });
+
+      expect(result.products.map(p => p._id)).toEqual(['p2', 'p1']);
+    });
+
+    it('should merge additional filters into the query', async () => {
+      mockFind([]);
+
+      await searchService.searchProducts('rose', { filter: { categories: { $in: ['c2'] } } });
+
+      expect(Product.find).toHaveBeenCalledWith(expect.objectContaining({ categories: { $in: ['c2'] } }));
+    });
+
+    it('should return no results for an empty query', async () => {
+      const result = await searchService.searchProducts('   ');
+
+      expect(result.products).toHaveLength(0);
+      expect(Product.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('autocomplete', () => {
+    it('should suggest products and matching notes', async () => {
+      mockFind([royalOud, roseGarden]);
+
+      const result = await searchService.autocomplete('ros', { limit: 5 });
+
+      expect(result.products[0]._id).toBe('p2');
+      expect(result.notes).toContain('Rose');
+    });
+  });
+});
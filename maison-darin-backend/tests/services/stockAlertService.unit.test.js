@@ -0,0 +1,158 @@
+const stockAlertService = require('../../services/stockAlertService');
+const Product = require('../../models/Product');
+const StockSubscription = require('../../models/StockSubscription');
+const emailService = require('../../services/emailService');
+const alertingService = require('../../services/alertingService');
+
+jest.mock('../../models/Product');
+jest.mock('../../models/StockSubscription');
+jest.mock('../../services/emailService', () => ({
+  sendBackInStockNotification: jest.fn()
+}));
+jest.mock('../../services/alertingService', () => ({
+  sendAlert: jest.fn()
+}));
+
+describe('StockAlertService Unit Tests', () => {
+  const now = new Date('2026-01-01T00:00:00Z');
+  const product = (fields) => ({
+    _id: 'product1',
+    name: { en: 'Oud Royale', ar: 'عود رويال' },
+    stock: 0,
+    lowStockThreshold: null,
+    ...fields
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('subscribe', () => {
+    it('should subscribe to a sold-out product', async () => {
+      Product.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(product()) });
+      StockSubscription.findOneAndUpdate.mockResolvedValue({ product: 'product1', status: 'active' });
+
+      await stockAlertService.subscribe('product1', { email: 'layla@example.com', language: 'en' });
+
+      expect(StockSubscription.findOneAndUpdate).toHaveBeenCalledWith(
+        { product: 'product1', email: 'layla@example.com' },
+        expect.objectContaining({ $set: { language: 'en', status: 'active' } }),
+        expect.objectContaining({ upsert: true })
+      );
+    });
+
+    it('should refuse a product that is in stock', async () => {
+      Product.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(product({ stock: 3 })) });
+
+      await expect(stockAlertService.subscribe('product1', { email: 'layla@example.com' }))
+        .rejects.toThrow('product is in stock');
+      expect(StockSubscription.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('checkLowStock', () => {
+    it('should alert once when stock reaches the threshold', async () => {
+      Product.updateOne.mockResolvedValueOnce({ modifiedCount: 1 }).mockResolvedValueOnce({ modifiedCount: 0 });
+      const lowProduct = product({ stock: 2, lowStockThreshold: 3 });
+
+      expect(await stockAlertService.checkLowStock(lowProduct, now)).toBe(true);
+      expect(await stockAlertService.checkLowStock(lowProduct, now)).toBe(false);
+
+      expect(alertingService.sendAlert).toHaveBeenCalledTimes(1);
+      expect(alertingService.sendAlert).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'LOW_STOCK',
+        severity: 'warning',
+        context: { product: 'product1', stock: 2, threshold: 3 }
+      }));
+    });
+
+    it('should re-arm the alert once stock is back above the threshold', async () => {
+      const restocked = product({ stock: 10, lowStockThreshold: 3, lowStockAlertedAt: now });
+
+      expect(await stockAlertService.checkLowStock(restocked, now)).toBe(false);
+
+      expect(Product.updateOne).toHaveBeenCalledWith({ _id: 'product1' }, { $unset: { lowStockAlertedAt: 1 } });
+      expect(alertingService.sendAlert).not.toHaveBeenCalled();
+    });
+
+    it('should not alert for products without a threshold', async () => {
+      expect(await stockAlertService.checkLowStock(product({ stock: 0 }), now)).toBe(false);
+      expect(Product.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('notifySubscribers', () => {
+    it('should email each active subscriber once', async () => {
+      const subscription = { _id: 'sub1', email: 'layla@example.com', status: 'active' };
+      StockSubscription.find.mockResolvedValue([subscription]);
+      StockSubscription.findOneAndUpdate.mockResolvedValue({ ...subscription, status: 'notified' });
+
+      const notified = await stockAlertService.notifySubscribers(product({ stock: 5 }), now);
+
+      expect(notified).toBe(1);
+      expect(StockSubscription.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'sub1', status: 'active' },
+        { $set: { status: 'notified', notifiedAt: now } },
+        { new: true }
+      );
+      expect(emailService.sendBackInStockNotification).toHaveBeenCalledWith(
+        expect.objectContaining({ email: 'layla@example.com' }),
+        expect.objectContaining({ _id: 'product1' })
+      );
+    });
+
+    it('should keep the subscription active when the email fails', async () => {
+      StockSubscription.find.mockResolvedValue([{ _id: 'sub1', status: 'active' }]);
+      StockSubscription.findOneAndUpdate.mockResolvedValue({ _id: 'sub1', status: 'notified' });
+      emailService.sendBackInStockNotification.mockRejectedValue(new Error('SMTP down'));
+
+      const notified = await stockAlertService.notifySubscribers(product({ stock: 5 }), now);
+
+      expect(notified).toBe(0);
+      expect(StockSubscription.updateOne).toHaveBeenCalledWith(
+        { _id: 'sub1', status: 'notified' },
+        { $set: { status: 'active' }, $unset: { notifiedAt: 1 } }
+      );
+    });
+  });
+
+  describe('checkStockLevels', () => {
+    it('should notify subscribers only of products back in stock', async () => {
+      const soldOut = product({ _id: 'product1', stock: 0 });
+      const restocked = product({ _id: 'bundle1', stock: 4 });
+      Product.find.mockReturnValue({ select: jest.fn().mockResolvedValue([soldOut, restocked]) });
+      const notify = jest.spyOn(stockAlertService, 'notifySubscribers').mockResolvedValue(0);
+
+      await stockAlertService.checkStockLevels(['product1'], now);
+
+      expect(Product.find).toHaveBeenCalledWith({
+        $or: [
+          { _id: { $in: ['product1'] } },
+          { 'components.product': { $in: ['product1'] } }
+        ]
+      });
+      expect(notify).toHaveBeenCalledTimes(1);
+      expect(notify).toHaveBeenCalledWith(restocked, now);
+      notify.mockRestore();
+    });
+  });
+
+  describe('unsubscribe', () => {
+    it('should unsubscribe with the token from the email', async () => {
+      const subscription = { status: 'active', save: jest.fn().mockResolvedValue(true) };
+      StockSubscription.findOne.mockReturnValue({ populate: jest.fn().mockResolvedValue(subscription) });
+
+      await stockAlertService.unsubscribe('a'.repeat(48), now);
+
+      expect(subscription.status).toBe('unsubscribed');
+      expect(subscription.unsubscribedAt).toBe(now);
+      expect(subscription.save).toHaveBeenCalled();
+    });
+
+    it('should reject an unknown token', async () => {
+      StockSubscription.findOne.mockReturnValue({ populate: jest.fn().mockResolvedValue(null) });
+
+      await expect(stockAlertService.unsubscribe('b'.repeat(48), now)).rejects.toThrow('Subscription not found');
+    });
+  });
+});
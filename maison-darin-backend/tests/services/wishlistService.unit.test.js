@@ -0,0 +1,132 @@
+const wishlistService = require('../../services/wishlistService');
+const Wishlist = require('../../models/Wishlist');
+const Product = require('../../models/Product');
+const pricingService = require('../../services/pricingService');
+const emailService = require('../../services/emailService');
+
+jest.mock('../../models/Wishlist');
+jest.mock('../../models/Product');
+jest.mock('../../services/pricingService', () => ({
+  applyEffectivePrices: jest.fn()
+}));
+jest.mock('../../services/emailService', () => ({
+  sendWishlistPriceDropNotification: jest.fn()
+}));
+
+describe('WishlistService Unit Tests', () => {
+  const now = new Date('2026-01-01T00:00:00Z');
+  const query = (result) => {
+    const chain = {
+      select: jest.fn(() => chain),
+      populate: jest.fn(() => chain),
+      lean: jest.fn().mockResolvedValue(result)
+    };
+    return chain;
+  };
+  const product = (id, effectivePrice) => ({
+    _id: id,
+    name: { en: id, ar: id },
+    price: effectivePrice,
+    effectivePrice
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pricingService.applyEffectivePrices.mockImplementation(async products => products);
+  });
+
+  describe('mergeItems', () => {
+    it('should add guest products that exist and are not saved yet', async () => {
+      const wishlist = {
+        items: [{ product: 'product1', addedAt: new Date('2025-12-01T00:00:00Z'), alertPrice: 200 }],
+        language: 'ar',
+        priceAlerts: true,
+        save: jest.fn()
+      };
+      Wishlist.findOne.mockResolvedValue(wishlist);
+      Product.find
+        .mockReturnValueOnce(query([product('product2', 150)]))
+        .mockReturnValueOnce(query([product('product1', 200), product('product2', 150)]));
+
+      const result = await wishlistService.mergeItems(
+        'user1',
+        { products: ['product1', 'product2', 'missing'], language: 'en' },
+        now
+      );
+
+      expect(Product.find).toHaveBeenNthCalledWith(1, { _id: { $in: ['product2', 'missing'] } });
+      expect(wishlist.items).toHaveLength(2);
+      expect(wishlist.items[1]).toEqual({ product: 'product2', addedAt: now, alertPrice: 150 });
+      expect(wishlist.language).toBe('en');
+      expect(wishlist.save).toHaveBeenCalled();
+      expect(result.items.map(item => item.product._id)).toEqual(['product2', 'product1']);
+    });
+  });
+
+  describe('addItem', () => {
+    it('should reject a product that does not exist', async () => {
+      const wishlist = { items: [], save: jest.fn() };
+      Wishlist.findOne.mockResolvedValue(wishlist);
+      Product.find.mockReturnValue(query([]));
+
+      await expect(wishlistService.addItem('user1', 'missing', now)).rejects.toThrow('Product not found');
+      expect(wishlist.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('checkPriceDrops', () => {
+    const user = { email: 'layla@example.com', firstName: 'Layla', isActive: true };
+
+    it('should email each drop once and re-arm products whose price went up', async () => {
+      Wishlist.find.mockReturnValue(query([{
+        _id: 'wishlist1',
+        user,
+        language: 'en',
+        items: [
+          { product: 'product1', alertPrice: 200 },
+          { product: 'product2', alertPrice: 100 },
+          { product: 'product3', alertPrice: 50 }
+        ]
+      }]));
+      Product.find.mockReturnValue(query([
+        product('product1', 160),
+        product('product2', 100),
+        product('product3', 60)
+      ]));
+
+      const result = await wishlistService.checkPriceDrops(now);
+
+      expect(result).toEqual({ checked: 1, notified: 1 });
+      expect(emailService.sendWishlistPriceDropNotification).toHaveBeenCalledWith(
+        user,
+        [{ product: expect.objectContaining({ _id: 'product1' }), previousPrice: 200, price: 160 }],
+        'en'
+      );
+
+      const updates = Wishlist.bulkWrite.mock.calls[0][0].map(({ updateOne }) => ({
+        product: updateOne.arrayFilters[0]['item.product'],
+        price: updateOne.update.$set['items.$[item].alertPrice']
+      }));
+      expect(updates).toEqual([
+        { product: 'product3', price: 60 },
+        { product: 'product1', price: 160 }
+      ]);
+    });
+
+    it('should keep the drop for the next check when the email fails', async () => {
+      Wishlist.find.mockReturnValue(query([{
+        _id: 'wishlist1',
+        user,
+        language: 'ar',
+        items: [{ product: 'product1', alertPrice: 200 }]
+      }]));
+      Product.find.mockReturnValue(query([product('product1', 160)]));
+      emailService.sendWishlistPriceDropNotification.mockRejectedValueOnce(new Error('SMTP down'));
+
+      const result = await wishlistService.checkPriceDrops(now);
+
+      expect(result).toEqual({ checked: 1, notified: 0 });
+      expect(Wishlist.bulkWrite).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,78 @@
+const TextSearch = require('../../utils/textSearch');
+
+describe('TextSearch', () => {
+  describe('normalize', () => {
+    it('should fold hamza forms, taa marbuta and alef maqsura', () => {
+      expect(TextSearch.normalize('أإآ')).toBe('ااا');
+      expect(TextSearch.normalize('وردة')).toBe('ورده');
+      expect(TextSearch.normalize('مسكى')).toBe('مسكي');
+    });
+
+    it('should strip Arabic diacritics and tatweel', () => {
+      expect(TextSearch.normalize('عُودٌ')).toBe('عود');
+      expect(TextSearch.normalize('عـــود')).toBe('عود');
+    });
+
+    it('should lowercase and strip Latin accents', () => {
+      expect(TextSearch.normalize('Crème BRÛLÉE')).toBe('creme brulee');
+    });
+
+    it('should collapse concentration phrases in both languages', () => {
+      expect(TextSearch.normalize('Eau de Parfum')).toBe('edp');
+      expect(TextSearch.normalize('ماء العطر')).toBe('edp');
+      expect(TextSearch.normalize('Eau de Toilette')).toBe('edt');
+    });
+
+    it('should return an empty string for non-string input', () => {
+      expect(TextSearch.normalize(undefined)).toBe('');
+      expect(TextSearch.normalize(42)).toBe('');
+    });
+  });
+
+  describe('tokenize', () => {
+    it('should remove the Arabic definite article and attached prepositions', () => {
+      expect(TextSearch.tokenize('العود بالورد')).toEqual(['عود', 'ورد']);
+    });
+
+    it('should stem English plurals', () => {
+      expect(TextSearch.tokenize('roses peonies notes')).toEqual(['rose', 'peony', 'note']);
+    });
+
+    it('should drop stop words', () => {
+      expect(TextSearch.tokenize('the rose of the desert')).toEqual(['rose', 'desert']);
+    });
+
+    it('should convert Arabic-Indic digits', () => {
+      expect(TextSearch.tokenize('١٠٠ مل')).toEqual(['100', 'مل']);
+    });
+  });
+
+  describe('expandToken', () => {
+    it('should map terms to their equivalents in the other language', () => {
+      expect(TextSearch.expandToken('oud')).toContain('عود');
+      expect(TextSearch.expandToken('عود')).toContain('oud');
+    });
+
+    it('should return the token alone when it has no synonyms', () => {
+      expect(TextSearch.expandToken('desert')).toEqual(['desert']);
+    });
+  });
+
+  describe('editDistance', () => {
+    it('should compute the Levenshtein distance', () => {
+      expect(TextSearch.editDistance('jasmin', 'jasmine')).toBe(1);
+      expect(TextSearch.editDistance('vanila', 'vanilla')).toBe(1);
+      expect(TextSearch.editDistance('amber', 'amber')).toBe(0);
+    });
+
+    it('should stop once the maximum distance is exceeded', () => {
+      expect(TextSearch.editDistance('rose', 'leather', 2)).toBe(3);
+    });
+  });
+
+  describe('escapeRegex', () => {
+    it('should escape regular expression metacharacters', () => {
+      expect(TextSearch.escapeRegex('a+b(c)')).toBe('a\\+b\\(c\\)');
+    });
+  });
+});
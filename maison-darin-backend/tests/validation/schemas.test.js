@@ -129,7 +129,7 @@ describe('Validation Schemas', () => {
       },
       price: 99.99,
       size: '50ml',
-      category: 'floral'
+      categories: ['507f1f77bcf86cd799439011']
     };
 
     describe('create', () => {
@@ -147,11 +147,19 @@ describe('Validation Schemas', () => {
       it('should reject invalid category', () => {
         const { error } = productSchemas.create.validate({
           ...validProduct,
-          category: 'invalid-category'
+          categories: ['invalid-category']
         });
         expect(error).toBeDefined();
       });
 
+      it('should require at least one category', () => {
+        const { error } = productSchemas.create.validate({
+          ...validProduct,
+          categories: []
+        });
+        expect(error.message).toBe('At least one category is required');
+      });
+
       it('should reject negative price', () => {
         const { error } = productSchemas.create.validate({
           ...validProduct,
@@ -214,7 +222,7 @@ describe('Validation Schemas', () => {
   describe('orderSchemas', () => {
     const validOrder = {
       items: [{
-        product: '507f1f77bcf86cd799439011',
+        productId: '507f1f77bcf86cd799439011',
         quantity: 2,
         price: 99.99
       }],
@@ -245,6 +253,14 @@ describe('Validation Schemas', () => {
         expect(error).toBeDefined();
       });
 
+      it('should require the product of each item', () => {
+        const { error } = orderSchemas.create.validate({
+          ...validOrder,
+          items: [{ product: '507f1f77bcf86cd799439011', quantity: 2 }]
+        });
+        expect(error.details[0].path).toEqual(['items', 0, 'productId']);
+      });
+
       it('should limit quantity per item', () => {
         const { error } = orderSchemas.create.validate({
           ...validOrder,
@@ -268,14 +284,16 @@ describe('Validation Schemas', () => {
     describe('updateStatus', () => {
       it('should validate status updates', () => {
         const { error } = orderSchemas.updateStatus.validate({
-          orderStatus: 'confirmed'
+          status: 'shipped',
+          reason: 'Handed to courier',
+          trackingNumber: 'TRK123'
         });
         expect(error).toBeUndefined();
       });
 
-      it('should require at least one field', () => {
-        const { error } = orderSchemas.updateStatus.validate({});
-        expect(error).toBeDefined();
+      it('should require a known status', () => {
+        expect(orderSchemas.updateStatus.validate({}).error).toBeDefined();
+        expect(orderSchemas.updateStatus.validate({ status: 'completed' }).error).toBeDefined();
       });
     });
   });
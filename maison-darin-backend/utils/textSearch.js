@@ -0,0 +1,277 @@
+/**
+ * Text normalization and matching helpers for bilingual (Arabic/English) product search
+ */
+
+// Harakat, superscript alef and Quranic marks
+const ARABIC_DIACRITICS = /[\u064B-\u065F\u0670\u06D6-\u06ED]/g;
+const ARABIC_TATWEEL = /\u0640/g;
+const ARABIC_SCRIPT = /[\u0600-\u06FF]/;
+const ARABIC_INDIC_DIGITS = /[\u0660-\u0669]/g;
+const LATIN_DIACRITICS = /[\u0300-\u036F]/g;
+const TOKEN_SPLITTER = /[^\p{L}\p{N}]+/u;
+
+const ARABIC_PREFIXES = ['وال', 'بال', 'كال', 'فال', 'لل', 'ال'];
+const ARABIC_SUFFIXES = ['ات'];
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'of', 'with', 'for', 'a', 'an', 'in', 'by',
+  'في', 'من', 'مع', 'على', 'عن', 'و'
+]);
+
+// Multi-word terms collapsed into a single token before tokenizing, so that
+// "Eau de Parfum" and "ماء العطر" both end up as "edp"
+const PHRASES = [
+  ['extrait de parfum', 'extrait'],
+  ['eau de parfum', 'edp'],
+  ['eau de toilette', 'edt'],
+  ['eau de cologne', 'edc'],
+  ['ماء العطر', 'edp'],
+  ['ماء عطر', 'edp'],
+  ['او دو بارفان', 'edp'],
+  ['او دي بارفان', 'edp'],
+  ['او دو تواليت', 'edt'],
+  ['او دي تواليت', 'edt'],
+  ['ماء الكولونيا', 'edc'],
+  ['خلاصه العطر', 'extrait']
+];
+
+// Equivalent terms across both languages; every group is matched as one concept
+const SYNONYM_GROUPS = [
+  ['rose', 'ورد', 'وردة'],
+  ['oud', 'agarwood', 'عود'],
+  ['musk', 'مسك'],
+  ['amber', 'عنبر'],
+  ['vanilla', 'فانيليا', 'فانيلا'],
+  ['jasmine', 'ياسمين'],
+  ['sandalwood', 'صندل'],
+  ['saffron', 'زعفران'],
+  ['bergamot', 'برغموت', 'برجموت'],
+  ['lemon', 'ليمون'],
+  ['orange', 'برتقال'],
+  ['patchouli', 'باتشولي'],
+  ['lavender', 'لافندر', 'خزامى'],
+  ['cedar', 'cedarwood', 'أرز'],
+  ['incense', 'frankincense', 'بخور', 'لبان'],
+  ['leather', 'جلد'],
+  ['tonka', 'تونكا'],
+  ['vetiver', 'فيتيفر'],
+  ['iris', 'سوسن'],
+  ['cinnamon', 'قرفة'],
+  ['cardamom', 'هيل', 'حبهان'],
+  ['pepper', 'فلفل'],
+  ['mint', 'نعناع'],
+  ['apple', 'تفاح'],
+  ['honey', 'عسل'],
+  ['coffee', 'قهوة'],
+  ['peony', 'فاوانيا'],
+  ['floral', 'flower', 'زهري', 'زهور'],
+  ['oriental', 'شرقي'],
+  ['fresh', 'منعش'],
+  ['woody', 'wood', 'خشبي', 'خشب'],
+  ['citrus', 'حمضي', 'حمضيات'],
+  ['spicy', 'spice', 'حار', 'توابل'],
+  ['aquatic', 'marine', 'مائي', 'بحري'],
+  ['gourmand', 'حلو'],
+  ['perfume', 'fragrance', 'scent', 'عطر', 'عطور'],
+  ['parfum', 'بارفان'],
+  ['edt', 'تواليت'],
+  ['men', 'man', 'رجالي', 'رجال'],
+  ['women', 'woman', 'نسائي', 'نساء']
+];
+
+class TextSearch {
+  /**
+   * Fold Arabic spelling variants that users type interchangeably
+   * (hamza forms, taa marbuta, alef maqsura, diacritics and tatweel)
+   * @param {string} text - Arabic text
+   * @returns {string} Normalized text
+   */
+  static normalizeArabic(text) {
+    return text
+      .replace(ARABIC_DIACRITICS, '')
+      .replace(ARABIC_TATWEEL, '')
+      .replace(/[أإآٱ]/g, 'ا')
+      .replace(/ؤ/g, 'و')
+      .replace(/ئ/g, 'ي')
+      .replace(/ء/g, '')
+      .replace(/ة/g, 'ه')
+      .replace(/ى/g, 'ي')
+      .replace(ARABIC_INDIC_DIGITS, digit => String(digit.charCodeAt(0) - 0x0660));
+  }
+
+  /**
+   * Normalize free text in either language for matching
+   * @param {string} text - Raw text
+   * @returns {string} Lowercased, accent-free, Arabic-normalized text
+   */
+  static normalize(text) {
+    if (typeof text !== 'string' || !text) {
+      return '';
+    }
+
+    let normalized = TextSearch.normalizeArabic(
+      text.normalize('NFD').replace(LATIN_DIACRITICS, '').toLowerCase()
+    );
+
+    for (const [phrase, replacement] of NORMALIZED_PHRASES) {
+      normalized = normalized.split(phrase).join(replacement);
+    }
+
+    return normalized.replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Light suffix stripping so singular and plural forms share a stem
+   * @param {string} word - Lowercase English word
+   * @returns {string} Stem
+   */
+  static stemEnglish(word) {
+    if (word.length <= 3) {
+      return word;
+    }
+
+    if (word.endsWith('ies') && word.length > 4) {
+      return `${word.slice(0, -3)}y`;
+    }
+    if (/(ss|sh|ch|x|z)es$/.test(word)) {
+      return word.slice(0, -2);
+    }
+    if (word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us')) {
+      return word.slice(0, -1);
+    }
+    if (word.endsWith('ing') && word.length > 5) {
+      return word.slice(0, -3);
+    }
+    if (word.endsWith('ed') && word.length > 4) {
+      return word.slice(0, -2);
+    }
+    if (word.endsWith('ly') && word.length > 4) {
+      return word.slice(0, -2);
+    }
+
+    return word;
+  }
+
+  /**
+   * Strip the definite article, attached prepositions and the feminine plural ending
+   * @param {string} word - Normalized Arabic word
+   * @returns {string} Stem
+   */
+  static stemArabic(word) {
+    let stem = word;
+
+    const prefix = ARABIC_PREFIXES.find(p => stem.startsWith(p) && stem.length - p.length >= 3);
+    if (prefix) {
+      stem = stem.slice(prefix.length);
+    }
+
+    const suffix = ARABIC_SUFFIXES.find(s => stem.endsWith(s) && stem.length - s.length >= 3);
+    if (suffix) {
+      stem = stem.slice(0, -suffix.length);
+    }
+
+    // Feminine nisba adjectives (شرقية) share the masculine stem (شرقي)
+    if (stem.endsWith('يه') && stem.length > 3) {
+      stem = stem.slice(0, -1);
+    }
+
+    return stem;
+  }
+
+  /**
+   * Stem a single normalized token using the rules for its script
+   * @param {string} token - Normalized token
+   * @returns {string} Stem
+   */
+  static stem(token) {
+    return ARABIC_SCRIPT.test(token) ? TextSearch.stemArabic(token) : TextSearch.stemEnglish(token);
+  }
+
+  /**
+   * Split text into normalized, stemmed search tokens
+   * @param {string} text - Raw text
+   * @returns {string[]} Tokens (duplicates preserved in order)
+   */
+  static tokenize(text) {
+    return TextSearch.normalize(text)
+      .split(TOKEN_SPLITTER)
+      .filter(token => token && !STOP_WORDS.has(token))
+      .map(token => TextSearch.stem(token))
+      .filter(token => token.length >= 2 || /^\d+$/.test(token));
+  }
+
+  /**
+   * Expand a token with its cross-language equivalents
+   * @param {string} token - Stemmed token
+   * @returns {string[]} The token followed by its synonyms
+   */
+  static expandToken(token) {
+    const synonyms = SYNONYM_INDEX.get(token);
+    return synonyms ? [token, ...synonyms.filter(s => s !== token)] : [token];
+  }
+
+  /**
+   * Number of typos tolerated for a query token of the given length
+   * @param {number} length - Token length
+   * @returns {number} Maximum edit distance
+   */
+  static allowedTypos(length) {
+    if (length >= 8) return 2;
+    if (length >= 4) return 1;
+    return 0;
+  }
+
+  /**
+   * Levenshtein distance, abandoned early once it exceeds maxDistance
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @param {number} maxDistance - Distance above which the exact value is irrelevant
+   * @returns {number} Edit distance, or maxDistance + 1 when exceeded
+   */
+  static editDistance(a, b, maxDistance = 2) {
+    if (a === b) return 0;
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        rowMin = Math.min(rowMin, current[j]);
+      }
+
+      if (rowMin > maxDistance) return maxDistance + 1;
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Escape user input for use inside a RegExp
+   * @param {string} text - Raw text
+   * @returns {string} Escaped text
+   */
+  static escapeRegex(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+const NORMALIZED_PHRASES = PHRASES.map(([phrase, replacement]) => [
+  TextSearch.normalizeArabic(phrase.toLowerCase()),
+  replacement
+]);
+
+const SYNONYM_INDEX = new Map();
+for (const group of SYNONYM_GROUPS) {
+  const stems = [...new Set(group.flatMap(term => TextSearch.tokenize(term)))];
+  for (const stem of stems) {
+    SYNONYM_INDEX.set(stem, [...new Set([...(SYNONYM_INDEX.get(stem) || []), ...stems])]);
+  }
+}
+
+module.exports = TextSearch;
@@ -23,6 +23,21 @@ const multilingualArray = Joi.object({
   ar: Joi.array().items(Joi.string().trim().max(100))
 });
 
+// Multi-value query parameter: repeated params (?size=50ml&size=100ml)
+// or a comma-separated list (?size=50ml,100ml), returned as an array
+const facetValues = (item, max = 20) => {
+  const list = Joi.array().items(item).max(max);
+  return Joi.alternatives().try(
+    list,
+    Joi.string().custom((value, helpers) => {
+      const { error, value: values } = list.validate(
+        value.split(',').map(part => part.trim()).filter(Boolean)
+      );
+      return error ? helpers.error('any.invalid') : values;
+    })
+  );
+};
+
 // Authentication schemas
 const authSchemas = {
   login: Joi.object({
@@ -43,23 +58,76 @@ const authSchemas = {
   })
 };
 
+// Product variant validation (one entry per size/edition of a fragrance)
+const productVariant = Joi.object({
+  _id: objectId,
+  size: Joi.string().required().trim().pattern(/^\d+(\.\d+)?(ml|oz|g)$/i).messages({
+    'string.pattern.base': 'Variant size must be in format like "50ml", "100ml", or "3.4oz"'
+  }),
+  sku: Joi.string().required().trim().max(64),
+  price: Joi.number().positive().precision(2).required(),
+  compareAtPrice: Joi.number().positive().precision(2).min(Joi.ref('price')).allow(null).messages({
+    'number.min': 'Compare-at price must be greater than or equal to the variant price'
+  }),
+  stock: Joi.number().integer().min(0).default(0),
+  barcode: Joi.string().allow('').trim().max(64),
+  isDefault: Joi.boolean().default(false)
+});
+
+const productVariants = Joi.array().items(productVariant).max(20).unique('sku', { ignoreUndefined: true }).messages({
+  'array.unique': 'Variant SKUs must be unique'
+});
+
+// Bundle components: products (or one size of them) inside a gift set
+const bundleComponents = Joi.array().items(Joi.object({
+  product: objectId.required(),
+  variant: objectId,
+  quantity: Joi.number().integer().min(1).max(20).default(1)
+})).min(1).max(20);
+
+// Pre-order mode of an upcoming launch; the units reserved are kept by the server
+const preOrderSettings = Joi.object({
+  enabled: Joi.boolean(),
+  releaseDate: Joi.date().iso(),
+  cap: Joi.number().integer().min(1).allow(null),
+  depositPercent: Joi.number().min(1).max(100).allow(null)
+});
+
+// IDs of the Category documents a product is listed under
+const productCategories = Joi.array().items(objectId).min(1).max(10).unique().messages({
+  'array.min': 'At least one category is required'
+});
+
 // Product schemas
 const productSchemas = {
   create: Joi.object({
     name: multilingualText.required(),
     description: multilingualText.required(),
     longDescription: multilingualTextOptional,
-    price: Joi.number().positive().precision(2).required().messages({
+    price: Joi.number().positive().precision(2).when('variants', {
+      is: Joi.array().min(1).required(),
+      then: Joi.optional(),
+      otherwise: Joi.required()
+    }).messages({
       'number.positive': 'Price must be a positive number',
       'any.required': 'Price is required'
     }),
-    size: Joi.string().required().trim().max(50),
-    category: Joi.string()
-      .valid('floral', 'oriental', 'fresh', 'woody', 'citrus', 'spicy', 'aquatic', 'gourmand')
-      .required()
-      .messages({
-        'any.only': 'Category must be one of: floral, oriental, fresh, woody, citrus, spicy, aquatic, gourmand'
-      }),
+    size: Joi.string().trim().max(50).when('variants', {
+      is: Joi.array().min(1).required(),
+      then: Joi.optional(),
+      otherwise: Joi.required()
+    }),
+    variants: productVariants,
+    type: Joi.string().valid('single', 'bundle', 'gift_card').default('single'),
+    components: bundleComponents.when('type', {
+      is: 'bundle',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }).messages({
+      'any.required': 'A bundle must list its components',
+      'any.unknown': 'Only bundles can have components'
+    }),
+    categories: productCategories.required(),
     concentration: multilingualTextOptional,
     notes: Joi.object({
       top: multilingualArray,
@@ -69,6 +137,8 @@ const productSchemas = {
     featured: Joi.boolean().default(false),
     inStock: Joi.boolean().default(true),
     stock: Joi.number().integer().min(0).default(0),
+    lowStockThreshold: Joi.number().integer().min(0).allow(null),
+    preOrder: preOrderSettings,
     images: Joi.array().items(
       Joi.alternatives().try(
         Joi.string().uri(), // URL string
@@ -95,8 +165,10 @@ const productSchemas = {
     longDescription: multilingualTextOptional,
     price: Joi.number().positive().precision(2),
     size: Joi.string().trim().max(50),
-    category: Joi.string()
-      .valid('floral', 'oriental', 'fresh', 'woody', 'citrus', 'spicy', 'aquatic', 'gourmand'),
+    variants: productVariants,
+    type: Joi.string().valid('single', 'bundle', 'gift_card'),
+    components: bundleComponents,
+    categories: productCategories,
     concentration: multilingualTextOptional,
     notes: Joi.object({
       top: multilingualArray,
@@ -106,6 +178,8 @@ const productSchemas = {
     featured: Joi.boolean(),
     inStock: Joi.boolean(),
     stock: Joi.number().integer().min(0),
+    lowStockThreshold: Joi.number().integer().min(0).allow(null),
+    preOrder: preOrderSettings,
     images: Joi.array().items(
       Joi.alternatives().try(
         Joi.string().uri(), // URL string
@@ -129,17 +203,412 @@ const productSchemas = {
   query: Joi.object({
     page: Joi.number().integer().min(1).default(1),
     limit: Joi.number().integer().min(1).max(100).default(10),
-    category: Joi.string().valid('floral', 'oriental', 'fresh', 'woody', 'citrus', 'spicy', 'aquatic', 'gourmand'),
+    // Category ID or slug; products in its subcategories are included
+    category: Joi.string().trim().lowercase().max(100),
     featured: Joi.boolean(),
     inStock: Joi.boolean(),
+    type: Joi.string().valid('single', 'bundle', 'gift_card'),
     minPrice: Joi.number().positive(),
     maxPrice: Joi.number().positive(),
     search: Joi.string().trim().max(100),
-    sort: Joi.string().valid('name', 'price', 'createdAt', '-name', '-price', '-createdAt').default('-createdAt')
+    language: Joi.string().valid('en', 'ar'),
+    sortBy: Joi.string().valid('relevance', 'name', 'price', 'averageRating', 'createdAt', 'updatedAt'),
+    sortOrder: Joi.string().valid('asc', 'desc'),
+    sort: Joi.string().valid('name', 'price', 'createdAt', '-name', '-price', '-createdAt').default('-createdAt'),
+    topNotes: facetValues(Joi.string().trim().max(100)),
+    middleNotes: facetValues(Joi.string().trim().max(100)),
+    baseNotes: facetValues(Joi.string().trim().max(100)),
+    concentration: facetValues(Joi.string().trim().lowercase().valid('extrait', 'parfum', 'edp', 'edt', 'edc')),
+    size: facetValues(Joi.string().trim().pattern(/^\d+(\.\d+)?(ml|oz|g)$/i)),
+    priceBand: facetValues(Joi.string().valid('0-100', '100-200', '200-300', '300-500', '500+')),
+    availability: facetValues(Joi.string().valid('inStock', 'outOfStock'))
+  }),
+
+  autocomplete: Joi.object({
+    q: Joi.string().trim().min(1).max(100).required(),
+    limit: Joi.number().integer().min(1).max(10).default(6)
+  }),
+
+  recommendations: Joi.object({
+    limit: Joi.number().integer().min(1).max(12).default(4)
+  }),
+
+  compare: Joi.object({
+    ids: facetValues(objectId, 4).required()
+  }),
+
+  priceHistory: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(50)
+  }),
+
+  params: Joi.object({
+    id: objectId.required()
+  }),
+
+  variantParams: Joi.object({
+    id: objectId.required(),
+    variantId: objectId.required()
+  }),
+
+  variantStock: Joi.object({
+    stock: Joi.number().integer().min(0).required(),
+    reason: Joi.string().trim().max(500)
+  }),
+
+  stockMovements: Joi.object({
+    type: Joi.string().valid(
+      'opening_balance', 'sale', 'cancellation_restock', 'refund',
+      'manual_adjustment', 'damage', 'sample_usage', 'stock_count'
+    ),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(50)
+  }),
+
+  // Movements recorded by hand; sales, restocks and refunds come from orders
+  stockMovement: Joi.object({
+    type: Joi.string().valid('manual_adjustment', 'damage', 'sample_usage', 'stock_count').required(),
+    // Signed for an adjustment, the number of units taken for damage and samples
+    quantity: Joi.number().integer().when('type', {
+      switch: [
+        { is: 'stock_count', then: Joi.forbidden() },
+        { is: 'manual_adjustment', then: Joi.invalid(0).required() }
+      ],
+      otherwise: Joi.number().min(1).required()
+    }),
+    // Units counted on the shelf
+    stock: Joi.number().integer().min(0)
+      .when('type', { is: 'stock_count', then: Joi.required(), otherwise: Joi.forbidden() }),
+    variantId: objectId,
+    reason: Joi.string().trim().max(500),
+    sampleRequest: objectId.when('type', { is: 'sample_usage', otherwise: Joi.forbidden() })
+  })
+};
+
+// Review schemas
+const reviewSchemas = {
+  // Sent as multipart form fields alongside the photos
+  create: Joi.object({
+    orderNumber: Joi.string().required().trim().uppercase().max(30),
+    email: email.required(),
+    rating: Joi.number().integer().min(1).max(5).required(),
+    language: Joi.string().valid('en', 'ar').default('en'),
+    title: Joi.string().allow('').trim().max(150),
+    comment: Joi.string().required().trim().min(10).max(2000)
+  }),
+
+  moderate: Joi.object({
+    status: Joi.string().valid('approved', 'rejected').required(),
+    reason: Joi.string().allow('').trim().max(500),
+    title: multilingualTextOptional,
+    comment: Joi.object({
+      en: Joi.string().allow('').trim().max(2000),
+      ar: Joi.string().allow('').trim().max(2000)
+    })
+  }),
+
+  productParams: Joi.object({
+    productId: objectId.required()
+  }),
+
+  params: Joi.object({
+    id: objectId.required()
+  }),
+
+  productQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(20).default(5),
+    sort: Joi.string().valid('newest', 'highest', 'lowest').default('newest')
+  }),
+
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(50).default(20),
+    status: Joi.string().valid('pending', 'approved', 'rejected'),
+    product: objectId
+  })
+};
+
+// Back-in-stock subscription schemas
+const stockAlertSchemas = {
+  subscribe: Joi.object({
+    email: email.required(),
+    language: Joi.string().valid('en', 'ar').default('ar')
+  }),
+
+  productParams: Joi.object({
+    productId: objectId.required()
+  }),
+
+  tokenParams: Joi.object({
+    token: Joi.string().hex().length(48).required().messages({
+      'string.hex': 'Invalid unsubscribe link',
+      'string.length': 'Invalid unsubscribe link'
+    })
+  })
+};
+
+// Wishlist schemas
+const wishlistSchemas = {
+  addItem: Joi.object({
+    product: objectId.required()
+  }),
+
+  // The guest wishlist kept in the browser, merged in at login
+  merge: Joi.object({
+    products: Joi.array().items(objectId).max(100).default([]),
+    language: Joi.string().valid('en', 'ar')
+  }),
+
+  settings: Joi.object({
+    priceAlerts: Joi.boolean(),
+    language: Joi.string().valid('en', 'ar')
+  }).min(1),
+
+  productParams: Joi.object({
+    productId: objectId.required()
+  }),
+
+  shareParams: Joi.object({
+    token: Joi.string().hex().length(32).required().messages({
+      'string.hex': 'Invalid share link',
+      'string.length': 'Invalid share link'
+    })
+  })
+};
+
+// Cart schemas
+// Items use the same shape as order items, so a cart checks out as it is
+const cartItems = Joi.array().items(
+  Joi.object({
+    productId: objectId.required(),
+    variantId: objectId.allow(null),
+    quantity: Joi.number().integer().min(1).max(10).required()
+  })
+).max(20);
+
+const cartToken = Joi.string().hex().length(48).messages({
+  'string.hex': 'Invalid cart token',
+  'string.length': 'Invalid cart token'
+});
+
+const cartSchemas = {
+  create: Joi.object({
+    items: cartItems.default([]),
+    language: Joi.string().valid('en', 'ar')
+  }),
+
+  update: Joi.object({
+    items: cartItems.required(),
+    language: Joi.string().valid('en', 'ar')
+  }),
+
+  // The email step of checkout
+  checkout: Joi.object({
+    email: email.required(),
+    firstName: Joi.string().trim().max(50),
+    language: Joi.string().valid('en', 'ar')
+  }),
+
+  params: Joi.object({
+    token: cartToken.required()
+  })
+};
+
+// Price rule (scheduled sale) schemas
+const priceRuleCategory = objectId;
+
+const priceRuleSchemas = {
+  create: Joi.object({
+    name: Joi.object({
+      en: Joi.string().required().trim().max(100),
+      ar: Joi.string().allow('').trim().max(100)
+    }).required(),
+    scope: Joi.string().valid('product', 'category').required(),
+    product: objectId.when('scope', {
+      is: 'product',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    category: priceRuleCategory.when('scope', {
+      is: 'category',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    discountType: Joi.string().valid('percentage', 'fixed').required(),
+    value: Joi.number().positive().precision(2).required()
+      .when('discountType', { is: 'percentage', then: Joi.number().less(100) }),
+    startsAt: Joi.date().iso().required(),
+    endsAt: Joi.date().iso().greater(Joi.ref('startsAt')).required(),
+    active: Joi.boolean().default(true)
+  }),
+
+  update: Joi.object({
+    name: Joi.object({
+      en: Joi.string().trim().max(100),
+      ar: Joi.string().allow('').trim().max(100)
+    }),
+    scope: Joi.string().valid('product', 'category'),
+    product: objectId,
+    category: priceRuleCategory,
+    discountType: Joi.string().valid('percentage', 'fixed'),
+    value: Joi.number().positive().precision(2),
+    startsAt: Joi.date().iso(),
+    endsAt: Joi.date().iso(),
+    active: Joi.boolean()
+  }).min(1),
+
+  params: Joi.object({
+    id: objectId.required()
+  }),
+
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(50).default(20),
+    status: Joi.string().valid('running', 'scheduled', 'ended', 'paused'),
+    product: objectId,
+    category: priceRuleCategory
+  })
+};
+
+// Promotion schemas
+const promotionCode = Joi.string().trim().uppercase().max(30).pattern(/^[A-Z0-9_-]+$/)
+  .message('Invalid promotion code: use letters, numbers, dashes and underscores');
+const promotionTypes = ['percentage', 'fixed', 'free_shipping', 'buy_x_get_y'];
+const customerTiers = Joi.array().items(Joi.string().valid('bronze', 'silver', 'gold', 'platinum')).unique();
+
+const promotionSchemas = {
+  create: Joi.object({
+    name: Joi.object({
+      en: Joi.string().required().trim().max(100),
+      ar: Joi.string().allow('').trim().max(100)
+    }).required(),
+    code: promotionCode.allow('', null),
+    type: Joi.string().valid(...promotionTypes).required(),
+    value: Joi.number().positive().precision(2)
+      .when('type', { is: Joi.valid('percentage', 'fixed'), then: Joi.required(), otherwise: Joi.forbidden() })
+      .when('type', { is: 'percentage', then: Joi.number().max(100) }),
+    buyQuantity: Joi.number().integer().min(1)
+      .when('type', { is: 'buy_x_get_y', then: Joi.required(), otherwise: Joi.forbidden() }),
+    getQuantity: Joi.number().integer().min(1)
+      .when('type', { is: 'buy_x_get_y', then: Joi.required(), otherwise: Joi.forbidden() }),
+    getDiscountPercent: Joi.number().min(1).max(100).default(100),
+    minOrderValue: Joi.number().min(0).precision(2).default(0),
+    appliesTo: Joi.string().valid('all', 'products', 'categories').default('all'),
+    products: Joi.array().items(objectId).unique().max(100)
+      .when('appliesTo', { is: 'products', then: Joi.array().min(1).required() }),
+    categories: Joi.array().items(objectId).unique().max(50)
+      .when('appliesTo', { is: 'categories', then: Joi.array().min(1).required() }),
+    customerTiers,
+    excludeSaleItems: Joi.boolean().default(false),
+    stackable: Joi.boolean().default(false),
+    usageLimit: Joi.number().integer().min(1).allow(null),
+    perCustomerLimit: Joi.number().integer().min(1).allow(null),
+    startsAt: Joi.date().iso().required(),
+    endsAt: Joi.date().iso().greater(Joi.ref('startsAt')).allow(null),
+    active: Joi.boolean().default(true)
+  }),
+
+  update: Joi.object({
+    name: Joi.object({
+      en: Joi.string().trim().max(100),
+      ar: Joi.string().allow('').trim().max(100)
+    }),
+    code: promotionCode.allow('', null),
+    type: Joi.string().valid(...promotionTypes),
+    value: Joi.number().positive().precision(2),
+    buyQuantity: Joi.number().integer().min(1),
+    getQuantity: Joi.number().integer().min(1),
+    getDiscountPercent: Joi.number().min(1).max(100),
+    minOrderValue: Joi.number().min(0).precision(2),
+    appliesTo: Joi.string().valid('all', 'products', 'categories'),
+    products: Joi.array().items(objectId).unique().max(100),
+    categories: Joi.array().items(objectId).unique().max(50),
+    customerTiers,
+    excludeSaleItems: Joi.boolean(),
+    stackable: Joi.boolean(),
+    usageLimit: Joi.number().integer().min(1).allow(null),
+    perCustomerLimit: Joi.number().integer().min(1).allow(null),
+    startsAt: Joi.date().iso(),
+    endsAt: Joi.date().iso().allow(null),
+    active: Joi.boolean()
+  }).min(1),
+
+  params: Joi.object({
+    id: objectId.required()
   }),
 
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(50).default(20),
+    status: Joi.string().valid('running', 'scheduled', 'ended', 'paused'),
+    type: Joi.string().valid(...promotionTypes),
+    search: Joi.string().trim().max(50)
+  })
+};
+
+// Fragrance quiz schemas
+const quizWeight = Joi.number().min(-5).max(5).invalid(0).default(1);
+
+const quizAnswer = Joi.object({
+  _id: objectId,
+  label: Joi.object({
+    en: Joi.string().required().trim().max(200),
+    ar: Joi.string().required().trim().max(200)
+  }).required(),
+  notes: Joi.array().items(Joi.object({
+    name: Joi.string().required().trim().lowercase().max(100),
+    weight: quizWeight
+  })).max(20).unique('name').default([]),
+  categories: Joi.array().items(Joi.object({
+    category: objectId.required(),
+    weight: quizWeight
+  })).max(10).unique('category').default([]),
+  concentrations: Joi.array().items(Joi.object({
+    code: Joi.string().valid('extrait', 'parfum', 'edp', 'edt', 'edc').required(),
+    weight: quizWeight
+  })).max(5).unique('code').default([])
+});
+
+const quizQuestionText = Joi.object({
+  en: Joi.string().required().trim().max(300),
+  ar: Joi.string().required().trim().max(300)
+});
+
+const quizSchemas = {
+  createQuestion: Joi.object({
+    question: quizQuestionText.required(),
+    multiple: Joi.boolean().default(false),
+    answers: Joi.array().items(quizAnswer).min(2).max(12).required(),
+    sortOrder: Joi.number().integer().min(0).default(0),
+    isActive: Joi.boolean().default(true)
+  }),
+
+  updateQuestion: Joi.object({
+    question: quizQuestionText,
+    multiple: Joi.boolean(),
+    answers: Joi.array().items(quizAnswer).min(2).max(12),
+    sortOrder: Joi.number().integer().min(0),
+    isActive: Joi.boolean()
+  }).min(1),
+
   params: Joi.object({
     id: objectId.required()
+  }),
+
+  submit: Joi.object({
+    answers: Joi.array().items(Joi.object({
+      question: objectId.required(),
+      answers: Joi.array().items(objectId).min(1).max(12).unique().required()
+    })).min(1).max(50).unique('question').required(),
+    email: email,
+    language: Joi.string().valid('en', 'ar').default('ar'),
+    limit: Joi.number().integer().min(1).max(12).default(6)
+  }),
+
+  statsQuery: Joi.object({
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref('from'))
   })
 };
 
@@ -194,16 +663,110 @@ const mediaSchemas = {
   })
 };
 
+// Loyalty schemas
+// Points to redeem at checkout; more than the order allows redeems what it allows
+const loyaltyPoints = Joi.number().integer().min(1).max(10000000);
+
+const loyaltySchemas = {
+  transactionsQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(50).default(20)
+  })
+};
+
+// Gift card schemas
+// Codes are matched however they are typed: case and dashes don't matter
+const giftCardCode = Joi.string().trim().max(30).pattern(/^[A-Za-z0-9 -]+$/)
+  .message('Invalid gift card code');
+const giftCardAmount = Joi.number().positive().precision(2).max(100000);
+
+const giftCardSchemas = {
+  check: Joi.object({
+    code: giftCardCode.required()
+  }),
+
+  issue: Joi.object({
+    amount: giftCardAmount.required(),
+    recipientName: Joi.string().required().trim().max(100),
+    recipientEmail: email.required(),
+    senderName: Joi.string().trim().max(100),
+    message: Joi.string().allow('').trim().max(500),
+    expiresAt: Joi.date().iso().greater('now').allow(null),
+    note: Joi.string().allow('').trim().max(200)
+  }),
+
+  storeCredit: Joi.object({
+    email: email.required(),
+    amount: giftCardAmount.required(),
+    source: Joi.string().valid('return', 'goodwill').default('goodwill'),
+    expiresAt: Joi.date().iso().greater('now').allow(null),
+    note: Joi.string().allow('').trim().max(200)
+  }),
+
+  adjust: Joi.object({
+    amount: Joi.number().precision(2).min(-100000).max(100000).invalid(0).required(),
+    note: Joi.string().required().trim().max(200)
+  }),
+
+  status: Joi.object({
+    status: Joi.string().valid('active', 'disabled').required()
+  }),
+
+  params: Joi.object({
+    id: objectId.required()
+  }),
+
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(50).default(20),
+    kind: Joi.string().valid('gift_card', 'store_credit'),
+    status: Joi.string().valid('active', 'disabled'),
+    search: Joi.string().trim().max(50)
+  })
+};
+
+// Gift cards and store credit to pay with at checkout
+const giftCardCodes = Joi.array().items(giftCardCode).max(5).unique();
+const useStoreCredit = Joi.boolean();
+
 // Order schemas
+// Items are priced by the server; a price sent by the client is ignored
+const orderItems = Joi.array().items(
+  Joi.object({
+    productId: objectId.required(),
+    variantId: objectId,
+    quantity: Joi.number().integer().min(1).max(10).required(),
+    productName: Joi.string().trim().max(200),
+    productImage: Joi.string().allow('').trim().max(500),
+    price: Joi.number().positive().precision(2),
+    // Who a gift card line is emailed to
+    giftCard: Joi.object({
+      recipientName: Joi.string().required().trim().max(100),
+      recipientEmail: email.required(),
+      senderName: Joi.string().allow('').trim().max(100),
+      message: Joi.string().allow('').trim().max(500)
+    })
+  })
+).min(1).max(20).required();
+
+const shippingType = Joi.string().valid('standard', 'express').default('standard');
+
+const orderStatuses = [
+  'pending', 'awaiting_release', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'returned', 'refunded'
+];
+
+// Order.REFUND_REASONS
+const refundReasons = [
+  'returned', 'damaged', 'wrong_item', 'not_delivered', 'late_delivery', 'cancelled',
+  'price_adjustment', 'duplicate_payment', 'goodwill', 'other'
+];
+
 const orderSchemas = {
   create: Joi.object({
-    items: Joi.array().items(
-      Joi.object({
-        product: objectId.required(),
-        quantity: Joi.number().integer().min(1).max(10).required(),
-        price: Joi.number().positive().precision(2).required()
-      })
-    ).min(1).max(20).required(),
+    items: orderItems,
+    shippingType,
+    // Total shown at checkout; the order is rejected if prices changed since
+    total: Joi.number().positive().precision(2),
     customerInfo: Joi.object({
       firstName: Joi.string().required().trim().min(1).max(50),
       lastName: Joi.string().required().trim().min(1).max(50),
@@ -212,24 +775,79 @@ const orderSchemas = {
       address: Joi.string().required().trim().min(5).max(200),
       city: Joi.string().required().trim().min(1).max(50),
       postalCode: Joi.string().required().trim().min(3).max(20),
-      country: Joi.string().required().trim().min(2).max(50)
+      country: Joi.string().required().trim().min(2).max(50),
+      countryCode: Joi.string().trim().uppercase().length(2)
     }).required(),
     paymentMethod: Joi.string()
-      .valid('paypal', 'card', 'bank_transfer')
+      .valid('paypal', 'card', 'bank_transfer', 'gift_card', 'store_credit')
       .required()
       .messages({
-        'any.only': 'Payment method must be one of: paypal, card, bank_transfer'
+        'any.only': 'Payment method must be one of: paypal, card, bank_transfer, gift_card, store_credit'
       }),
-    notes: Joi.string().allow('').trim().max(500)
+    notes: Joi.string().allow('').trim().max(500),
+    // Server cart the order was placed from; it stops getting reminders
+    cartToken,
+    couponCode: promotionCode,
+    loyaltyPoints,
+    giftCardCodes,
+    useStoreCredit
   }),
 
+  quote: Joi.object({
+    items: orderItems,
+    countryCode: Joi.string().trim().uppercase().length(2).required(),
+    shippingType,
+    couponCode: promotionCode,
+    // Lets per-customer limits and tier promotions be checked before the order
+    email,
+    loyaltyPoints,
+    giftCardCodes,
+    useStoreCredit
+  }),
+
+  // Which moves are allowed is checked against the order's current status
   updateStatus: Joi.object({
-    orderStatus: Joi.string()
-      .valid('pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'),
-    paymentStatus: Joi.string()
-      .valid('pending', 'completed', 'failed', 'refunded'),
-    notes: Joi.string().allow('').trim().max(500)
-  }).min(1),
+    status: Joi.string().valid(...orderStatuses).required(),
+    reason: Joi.string().allow('').trim().max(500),
+    trackingNumber: Joi.string().trim().max(100)
+  }),
+
+  // Cancelling an order
+  statusReason: Joi.object({
+    reason: Joi.string().allow('').trim().max(500)
+  }),
+
+  // Refunding some lines, shipping or an amount; everything left to refund
+  // when none is given. A reference records a refund paid by hand.
+  refund: Joi.object({
+    items: Joi.array().items(
+      Joi.object({
+        orderItem: objectId.required(),
+        quantity: Joi.number().integer().min(1).max(100).required()
+      })
+    ).max(50).unique('orderItem'),
+    shipping: Joi.number().min(0).precision(2),
+    amount: Joi.number().min(0).precision(2),
+    reason: Joi.string().valid(...refundReasons).required(),
+    note: Joi.string().allow('').trim().max(500),
+    reference: Joi.string().trim().max(100)
+  }),
+
+  // Retrying a refund that failed, or completing one paid by hand
+  retryRefund: Joi.object({
+    reference: Joi.string().trim().max(100)
+  }),
+
+  refundParams: Joi.object({
+    id: objectId.required(),
+    refundId: Joi.string().trim().pattern(/^[A-Z0-9-]+$/).max(30).required()
+  }),
+
+  // Customers look up their order with the email it was placed with
+  track: Joi.object({
+    orderNumber: Joi.string().required().trim().max(50),
+    email: email.required()
+  }),
 
   params: Joi.object({
     id: objectId.required()
@@ -238,10 +856,9 @@ const orderSchemas = {
   query: Joi.object({
     page: Joi.number().integer().min(1).default(1),
     limit: Joi.number().integer().min(1).max(50).default(10),
-    orderStatus: Joi.string()
-      .valid('pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'),
+    orderStatus: Joi.string().valid(...orderStatuses),
     paymentStatus: Joi.string()
-      .valid('pending', 'completed', 'failed', 'refunded'),
+      .valid('pending', 'partially_paid', 'completed', 'failed', 'partially_refunded', 'refunded'),
     customerEmail: email,
     startDate: Joi.date().iso(),
     endDate: Joi.date().iso().min(Joi.ref('startDate')),
@@ -249,6 +866,61 @@ const orderSchemas = {
   })
 };
 
+// Return schemas
+const returnReasons = ['damaged', 'wrong_item', 'not_as_described', 'allergic_reaction', 'changed_mind', 'other'];
+
+const returnSchemas = {
+  // Customers prove the order is theirs with the email it was placed with
+  create: Joi.object({
+    orderNumber: Joi.string().required().trim().max(50),
+    email: email.required(),
+    items: Joi.array().items(
+      Joi.object({
+        orderItem: objectId.required(),
+        quantity: Joi.number().integer().min(1).max(100).required()
+      })
+    ).min(1).max(50).unique('orderItem').required(),
+    reason: Joi.string().valid(...returnReasons).required(),
+    details: Joi.string().allow('').trim().max(1000),
+    language: Joi.string().valid('en', 'ar')
+  }),
+
+  lookup: Joi.object({
+    orderNumber: Joi.string().required().trim().max(50),
+    email: email.required()
+  }),
+
+  // Which moves are allowed is checked against the return's current stage;
+  // items say how many of each line arrived, and in what condition
+  status: Joi.object({
+    status: Joi.string().valid('approved', 'rejected', 'received', 'inspected').required(),
+    note: Joi.string().allow('').trim().max(500),
+    items: Joi.array().items(
+      Joi.object({
+        orderItem: objectId.required(),
+        receivedQuantity: Joi.number().integer().min(0).max(100),
+        condition: Joi.string().valid('resellable', 'damaged')
+      })
+    ).max(50).unique('orderItem')
+  }),
+
+  // Reference of a refund paid by hand, such as a bank transfer
+  refund: Joi.object({
+    reference: Joi.string().trim().max(100)
+  }),
+
+  params: Joi.object({
+    id: objectId.required()
+  }),
+
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(50).default(20),
+    status: Joi.string().valid('requested', 'approved', 'rejected', 'received', 'inspected', 'refunded'),
+    search: Joi.string().trim().max(50)
+  })
+};
+
 // Sample request schemas
 const sampleSchemas = {
   create: Joi.object({
@@ -379,9 +1051,19 @@ const fileSchemas = {
 module.exports = {
   authSchemas,
   productSchemas,
+  reviewSchemas,
+  stockAlertSchemas,
+  wishlistSchemas,
+  cartSchemas,
+  priceRuleSchemas,
+  promotionSchemas,
+  loyaltySchemas,
+  giftCardSchemas,
+  quizSchemas,
   contentSchemas,
   mediaSchemas,
   orderSchemas,
+  returnSchemas,
   sampleSchemas,
   contactSchemas,
   fileSchemas,
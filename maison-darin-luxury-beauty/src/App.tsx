@@ -5,6 +5,8 @@ import { QueryClient, QueryClientProvider } from "@tanstack/react-query";
 import { RouterProvider } from "react-router-dom";
 import { useEffect, useState } from "react";
 import { CartProvider } from "@/contexts/CartContext";
+import { CompareProvider } from "@/contexts/CompareContext";
+import { WishlistProvider } from "@/contexts/WishlistContext";
 import { AuthProvider } from "@/contexts/AuthContext";
 import { CartDrawer } from "@/components/ui/cart-drawer";
 import { WhatsAppFloat } from "@/components/ui/whatsapp-float";
@@ -54,12 +56,16 @@ const App = () => {
     <QueryClientProvider client={queryClient}>
       <AuthProvider>
         <CartProvider>
-          <TooltipProvider>
-            <Toaster />
-            <Sonner />
-            {/* استخدام createAppRouter لإنشاء راوتر جديد مع تمرير currentLang */}
-            <RouterProvider router={router.createAppRouter(currentLang)} />
-          </TooltipProvider>
+          <WishlistProvider>
+            <CompareProvider>
+              <TooltipProvider>
+                <Toaster />
+                <Sonner />
+                {/* استخدام createAppRouter لإنشاء راوتر جديد مع تمرير currentLang */}
+                <RouterProvider router={router.createAppRouter(currentLang)} />
+              </TooltipProvider>
+            </CompareProvider>
+          </WishlistProvider>
         </CartProvider>
       </AuthProvider>
     </QueryClientProvider>
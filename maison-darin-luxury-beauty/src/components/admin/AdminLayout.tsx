@@ -9,6 +9,10 @@ import {
   Image, 
   MessageSquare, 
   CreditCard,
+  Percent,
+  Ticket,
+  Award,
+  Gift,
   Menu,
   X,
   LogOut,
@@ -18,7 +22,9 @@ import {
   Mail,
   Info,
   TestTube,
-  Activity
+  Activity,
+  Sparkles,
+  RotateCcw
 } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
@@ -66,12 +72,54 @@ export function AdminLayout({
       icon: Package,
       badge: null
     },
+    {
+      id: 'price-rules',
+      label: currentLang === 'ar' ? 'التخفيضات' : 'Sales',
+      icon: Percent,
+      badge: null
+    },
+    {
+      id: 'promotions',
+      label: currentLang === 'ar' ? 'العروض والكوبونات' : 'Promotions',
+      icon: Ticket,
+      badge: null
+    },
+    {
+      id: 'loyalty',
+      label: currentLang === 'ar' ? 'برنامج الولاء' : 'Loyalty',
+      icon: Award,
+      badge: null
+    },
+    {
+      id: 'gift-cards',
+      label: currentLang === 'ar' ? 'بطاقات الهدايا' : 'Gift Cards',
+      icon: Gift,
+      badge: null
+    },
+    {
+      id: 'quiz',
+      label: currentLang === 'ar' ? 'اختبار العطور' : 'Fragrance Quiz',
+      icon: Sparkles,
+      badge: null
+    },
     {
       id: 'orders',
       label: currentLang === 'ar' ? 'الطلبات' : 'Orders',
       icon: ShoppingCart,
       badge: '12'
     },
+    {
+      id: 'returns',
+      label: currentLang === 'ar' ? 'طلبات الإرجاع' : 'Returns',
+      icon: RotateCcw,
+      badge: null
+    },
+    {
+      id: 'reviews',
+      label: currentLang === 'ar' ? 'التقييمات' : 'Reviews',
+      icon: MessageSquare,
+      badge: null
+    },
     {
       id: 'homepage',
       label: currentLang === 'ar' ? 'الصفحة الرئيسية' : 'Homepage',
@@ -7,6 +7,13 @@ import { ProductsManager } from './ProductsManager';
 // @ts-ignore - Temporary ignore TypeScript errors for these imports  
 import { OrdersManager } from './OrdersManager';
 import { CategoryManager } from './CategoryManager';
+import { ReviewsModeration } from './ReviewsModeration';
+import { PriceRulesManager } from './PriceRulesManager';
+import { PromotionsManager } from './PromotionsManager';
+import { LoyaltySettings } from './LoyaltySettings';
+import { GiftCardsManager } from './GiftCardsManager';
+import { ReturnsManager } from './ReturnsManager';
+import { QuizManager } from './QuizManager';
 import { AnalyticsDashboard } from './AnalyticsDashboard';
 import HomePageManagement from '../../pages/admin/HomePageManagement';
 import { ContactSettings } from './ContactSettings';
@@ -35,8 +42,22 @@ export function AdminPanel({ currentLang = 'ar', onLanguageChange }: AdminPanelP
       case 'orders':
         console.log('Rendering OrdersManagement');
         return <OrdersManagement />;
+      case 'returns':
+        return <ReturnsManager currentLang="ar" />;
       case 'categories':
         return <CategoryManager currentLang="ar" />;
+      case 'price-rules':
+        return <PriceRulesManager currentLang="ar" />;
+      case 'promotions':
+        return <PromotionsManager currentLang="ar" />;
+      case 'loyalty':
+        return <LoyaltySettings currentLang="ar" />;
+      case 'gift-cards':
+        return <GiftCardsManager currentLang="ar" />;
+      case 'quiz':
+        return <QuizManager currentLang="ar" />;
+      case 'reviews':
+        return <ReviewsModeration currentLang="ar" />;
       case 'analytics':
         return <AnalyticsDashboard currentLang="ar" />;
       case 'homepage':
@@ -6,11 +6,25 @@ import { Label } from '@/components/ui/label';
 import { Textarea } from '@/components/ui/textarea';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { Plus, Edit, Trash2, Loader2 } from 'lucide-react';
 import { useToast } from '@/hooks/use-toast';
 import { categoryService, Category } from '@/services/categoryService';
 
+// Radix Select does not accept an empty value, so "no parent" needs its own
+const TOP_LEVEL = 'none';
 
+// Parents first, each followed by its subtree, so the grid reads as a tree
+const sortAsTree = (categories: Category[]): Category[] => {
+  const children = (parentId: string | null) =>
+    categories.filter(category => (category.parentCategory || null) === parentId);
+  const walk = (parentId: string | null): Category[] =>
+    children(parentId).flatMap(category => [category, ...walk(category._id)]);
+
+  const ordered = walk(null);
+  // Categories whose parent is not in the list (e.g. filtered out) go last
+  return [...ordered, ...categories.filter(category => !ordered.includes(category))];
+};
 
 interface CategoryManagerProps {
   currentLang: 'en' | 'ar';
@@ -32,6 +46,7 @@ export const CategoryManager = ({
     nameAr: '',
     descriptionEn: '',
     descriptionAr: '',
+    parentCategory: TOP_LEVEL,
     isActive: true
   });
   const [submitting, setSubmitting] = useState(false);
@@ -67,6 +82,7 @@ export const CategoryManager = ({
       nameAr: '',
       descriptionEn: '',
       descriptionAr: '',
+      parentCategory: TOP_LEVEL,
       isActive: true
     });
     setEditingCategory(null);
@@ -80,6 +96,7 @@ export const CategoryManager = ({
         nameAr: category.name.ar,
         descriptionEn: category.description?.en || '',
         descriptionAr: category.description?.ar || '',
+        parentCategory: category.parentCategory || TOP_LEVEL,
         isActive: category.isActive
       });
     } else {
@@ -119,19 +136,17 @@ export const CategoryManager = ({
           en: formData.descriptionEn.trim(),
           ar: formData.descriptionAr.trim()
         },
+        parentCategory: formData.parentCategory === TOP_LEVEL ? null : formData.parentCategory,
         isActive: formData.isActive
       };
 
-      let savedCategory;
       if (editingCategory) {
-        savedCategory = await categoryService.updateCategory(editingCategory._id, categoryData);
-        setCategories(categories.map(cat => 
-          cat._id === editingCategory._id ? savedCategory : cat
-        ));
+        await categoryService.updateCategory(editingCategory._id, categoryData);
       } else {
-        savedCategory = await categoryService.createCategory(categoryData);
-        setCategories([...categories, savedCategory]);
+        await categoryService.createCategory(categoryData);
       }
+      // Moving a category changes the ancestors of its whole subtree
+      await fetchCategories();
 
       toast({
         title: currentLang === 'ar' ? 'تم بنجاح' : 'Success',
@@ -182,6 +197,16 @@ export const CategoryManager = ({
     }
   };
 
+  const categoryNames = new Map(categories.map(category => [category._id, category.name[currentLang]]));
+
+  // A category cannot be moved under itself or anything below it
+  const parentOptions = sortAsTree(categories).filter(category =>
+    !editingCategory || (
+      category._id !== editingCategory._id &&
+      !category.ancestors?.includes(editingCategory._id)
+    )
+  );
+
   if (loading) {
     return (
       <div className="flex items-center justify-center p-8">
@@ -274,6 +299,30 @@ export const CategoryManager = ({
                 </div>
               </div>
 
+              <div>
+                <Label htmlFor="parentCategory">
+                  {currentLang === 'ar' ? 'الفئة الأم' : 'Parent Category'}
+                </Label>
+                <Select
+                  value={formData.parentCategory}
+                  onValueChange={(value) => setFormData({ ...formData, parentCategory: value })}
+                >
+                  <SelectTrigger id="parentCategory">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={TOP_LEVEL}>
+                      {currentLang === 'ar' ? 'بدون (فئة رئيسية)' : 'None (top level)'}
+                    </SelectItem>
+                    {parentOptions.map((category) => (
+                      <SelectItem key={category._id} value={category._id}>
+                        {'— '.repeat(category.ancestors?.length || 0)}{category.name[currentLang]}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
               <div className="flex items-center space-x-2">
                 <input
                   type="checkbox"
@@ -311,7 +360,7 @@ export const CategoryManager = ({
 
       {/* Categories Grid */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-        {categories.map((category) => (
+        {sortAsTree(categories).map((category) => (
           <Card 
             key={category._id} 
             className={`cursor-pointer transition-colors ${
@@ -323,9 +372,16 @@ export const CategoryManager = ({
           >
             <CardHeader className="pb-2">
               <div className="flex items-center justify-between">
-                <CardTitle className="text-base">
-                  {category.name[currentLang]}
-                </CardTitle>
+                <div>
+                  <CardTitle className="text-base">
+                    {category.name[currentLang]}
+                  </CardTitle>
+                  {category.parentCategory && categoryNames.has(category.parentCategory) && (
+                    <p className="text-xs text-muted-foreground">
+                      {currentLang === 'ar' ? 'ضمن' : 'Under'} {categoryNames.get(category.parentCategory)}
+                    </p>
+                  )}
+                </div>
                 <div className="flex items-center gap-1">
                   <Badge variant={category.isActive ? 'default' : 'secondary'}>
                     {category.isActive 
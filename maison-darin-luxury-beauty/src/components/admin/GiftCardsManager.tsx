@@ -0,0 +1,587 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Plus, Loader2, Search, History, Scale, Ban, CheckCircle, Wallet } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+import {
+  giftCardService,
+  GiftCard,
+  GiftCardKind,
+  GiftCardStatus,
+  GiftCardSource,
+  GiftCardTransaction
+} from '@/services/giftCardService';
+
+interface GiftCardsManagerProps {
+  currentLang: 'en' | 'ar';
+}
+
+const KIND_LABELS: Record<GiftCardKind, { en: string; ar: string }> = {
+  gift_card: { en: 'Gift card', ar: 'بطاقة هدية' },
+  store_credit: { en: 'Store credit', ar: 'رصيد متجر' },
+};
+
+const SOURCE_LABELS: Record<GiftCardSource, { en: string; ar: string }> = {
+  purchase: { en: 'Purchased', ar: 'مشتراة' },
+  manual: { en: 'Issued by admin', ar: 'أصدرها المشرف' },
+  return: { en: 'Return', ar: 'مرتجع' },
+  refund: { en: 'Refund', ar: 'استرداد' },
+  goodwill: { en: 'Goodwill', ar: 'تعويض' },
+};
+
+const TRANSACTION_LABELS: Record<GiftCardTransaction['type'], { en: string; ar: string }> = {
+  issue: { en: 'Issued', ar: 'إصدار' },
+  redeem: { en: 'Spent', ar: 'استخدام' },
+  release: { en: 'Returned', ar: 'استرجاع' },
+  adjust: { en: 'Adjusted', ar: 'تعديل' },
+  void: { en: 'Voided', ar: 'إلغاء' },
+};
+
+interface IssueForm {
+  kind: GiftCardKind;
+  amount: string;
+  recipientName: string;
+  recipientEmail: string;
+  senderName: string;
+  message: string;
+  source: 'return' | 'goodwill';
+  expiresAt: string;
+  note: string;
+}
+
+const emptyIssueForm = (kind: GiftCardKind): IssueForm => ({
+  kind,
+  amount: '',
+  recipientName: '',
+  recipientEmail: '',
+  senderName: '',
+  message: '',
+  source: 'goodwill',
+  expiresAt: '',
+  note: ''
+});
+
+export const GiftCardsManager = ({ currentLang }: GiftCardsManagerProps) => {
+  const [giftCards, setGiftCards] = useState<GiftCard[]>([]);
+  const [kind, setKind] = useState<GiftCardKind | 'all'>('all');
+  const [status, setStatus] = useState<GiftCardStatus | 'all'>('all');
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [issueOpen, setIssueOpen] = useState(false);
+  const [issueForm, setIssueForm] = useState<IssueForm>(() => emptyIssueForm('gift_card'));
+  const [adjusting, setAdjusting] = useState<GiftCard | null>(null);
+  const [adjustAmount, setAdjustAmount] = useState('');
+  const [adjustNote, setAdjustNote] = useState('');
+  const [history, setHistory] = useState<GiftCard | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+  const { toast } = useToast();
+  const isRTL = currentLang === 'ar';
+
+  const fetchGiftCards = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await giftCardService.getGiftCards({
+        kind: kind === 'all' ? undefined : kind,
+        status: status === 'all' ? undefined : status,
+        search: search.trim() || undefined,
+        limit: 50
+      });
+      setGiftCards(result.giftCards);
+    } catch (error) {
+      console.error('Error fetching gift cards:', error);
+      toast({
+        title: isRTL ? 'خطأ' : 'Error',
+        description: isRTL ? 'فشل في تحميل بطاقات الهدايا' : 'Failed to load gift cards',
+        variant: 'destructive',
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [kind, status, search, isRTL, toast]);
+
+  useEffect(() => {
+    const timer = setTimeout(fetchGiftCards, 300);
+    return () => clearTimeout(timer);
+  }, [fetchGiftCards]);
+
+  const replaceCard = (updated: GiftCard) => {
+    setGiftCards(cards => cards.map(card => (card._id === updated._id ? { ...card, ...updated } : card)));
+  };
+
+  const showError = (error: unknown, fallback: string) => {
+    toast({
+      title: isRTL ? 'خطأ' : 'Error',
+      description: error instanceof Error ? error.message : fallback,
+      variant: 'destructive',
+    });
+  };
+
+  const openIssue = (issueKind: GiftCardKind) => {
+    setIssueForm(emptyIssueForm(issueKind));
+    setIssueOpen(true);
+  };
+
+  const handleIssue = async () => {
+    const amount = Number(issueForm.amount);
+    const isCredit = issueForm.kind === 'store_credit';
+    if (!(amount > 0) || !issueForm.recipientEmail.trim() || (!isCredit && !issueForm.recipientName.trim())) {
+      toast({
+        title: isRTL ? 'خطأ' : 'Error',
+        description: isRTL
+          ? 'يرجى إدخال المبلغ وبريد المستلم واسمه'
+          : 'Please enter the amount and the recipient email and name',
+        variant: 'destructive',
+      });
+      return;
+    }
+
+    const expiresAt = issueForm.expiresAt ? new Date(issueForm.expiresAt).toISOString() : undefined;
+
+    setSubmitting(true);
+    try {
+      if (isCredit) {
+        await giftCardService.issueStoreCredit({
+          email: issueForm.recipientEmail.trim(),
+          amount,
+          source: issueForm.source,
+          expiresAt,
+          note: issueForm.note.trim() || undefined
+        });
+      } else {
+        await giftCardService.issueGiftCard({
+          amount,
+          recipientName: issueForm.recipientName.trim(),
+          recipientEmail: issueForm.recipientEmail.trim(),
+          senderName: issueForm.senderName.trim() || undefined,
+          message: issueForm.message.trim() || undefined,
+          expiresAt,
+          note: issueForm.note.trim() || undefined
+        });
+      }
+
+      toast({
+        title: isRTL ? 'تم الإصدار' : 'Issued',
+        description: isRTL ? 'تم الإصدار وإرساله بالبريد الإلكتروني' : 'Issued and emailed',
+      });
+      setIssueOpen(false);
+      fetchGiftCards();
+    } catch (error) {
+      console.error('Error issuing gift card:', error);
+      showError(error, isRTL ? 'فشل في الإصدار' : 'Failed to issue');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const openAdjust = (card: GiftCard) => {
+    setAdjusting(card);
+    setAdjustAmount('');
+    setAdjustNote('');
+  };
+
+  const handleAdjust = async () => {
+    const amount = Number(adjustAmount);
+    if (!adjusting || !amount || !adjustNote.trim()) {
+      toast({
+        title: isRTL ? 'خطأ' : 'Error',
+        description: isRTL ? 'يرجى إدخال المبلغ وسبب التعديل' : 'Please enter the amount and a reason',
+        variant: 'destructive',
+      });
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      replaceCard(await giftCardService.adjustBalance(adjusting._id, amount, adjustNote.trim()));
+      toast({
+        title: isRTL ? 'تم التعديل' : 'Adjusted',
+        description: isRTL ? 'تم تعديل الرصيد' : 'Balance adjusted',
+      });
+      setAdjusting(null);
+    } catch (error) {
+      console.error('Error adjusting gift card:', error);
+      showError(error, isRTL ? 'فشل في تعديل الرصيد' : 'Failed to adjust balance');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleToggleStatus = async (card: GiftCard) => {
+    const next: GiftCardStatus = card.status === 'active' ? 'disabled' : 'active';
+    if (next === 'disabled' && !confirm(isRTL
+      ? 'لن يمكن استخدام البطاقة بعد تعطيلها. متابعة؟'
+      : 'The card can no longer be spent once disabled. Continue?')) {
+      return;
+    }
+
+    try {
+      replaceCard(await giftCardService.setStatus(card._id, next));
+    } catch (error) {
+      console.error('Error updating gift card:', error);
+      showError(error, isRTL ? 'فشل في تحديث البطاقة' : 'Failed to update card');
+    }
+  };
+
+  const openHistory = async (card: GiftCard) => {
+    try {
+      setHistory(await giftCardService.getGiftCard(card._id));
+    } catch (error) {
+      console.error('Error fetching gift card:', error);
+      showError(error, isRTL ? 'فشل في تحميل السجل' : 'Failed to load history');
+    }
+  };
+
+  const formatDate = (date: string) =>
+    new Date(date).toLocaleDateString(isRTL ? 'ar-SA' : 'en-US', { dateStyle: 'medium' });
+
+  const isExpired = (card: GiftCard) => !!card.expiresAt && new Date(card.expiresAt) < new Date();
+
+  return (
+    <div className="space-y-6" dir={isRTL ? 'rtl' : 'ltr'}>
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="text-2xl font-bold">{isRTL ? 'بطاقات الهدايا ورصيد المتجر' : 'Gift Cards & Store Credit'}</h2>
+        <div className="flex flex-wrap items-center gap-2">
+          <div className="relative">
+            <Search className={`absolute top-1/2 -translate-y-1/2 w-4 h-4 text-muted-foreground ${isRTL ? 'right-3' : 'left-3'}`} />
+            <Input
+              className={`w-56 ${isRTL ? 'pr-9' : 'pl-9'}`}
+              placeholder={isRTL ? 'بحث بالرمز أو البريد أو الطلب' : 'Search code, email or order'}
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+            />
+          </div>
+          <Select value={kind} onValueChange={(value) => setKind(value as GiftCardKind | 'all')}>
+            <SelectTrigger className="w-36">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">{isRTL ? 'الكل' : 'All'}</SelectItem>
+              {(Object.keys(KIND_LABELS) as GiftCardKind[]).map((key) => (
+                <SelectItem key={key} value={key}>{KIND_LABELS[key][currentLang]}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Select value={status} onValueChange={(value) => setStatus(value as GiftCardStatus | 'all')}>
+            <SelectTrigger className="w-32">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">{isRTL ? 'كل الحالات' : 'Any status'}</SelectItem>
+              <SelectItem value="active">{isRTL ? 'مفعّلة' : 'Active'}</SelectItem>
+              <SelectItem value="disabled">{isRTL ? 'معطّلة' : 'Disabled'}</SelectItem>
+            </SelectContent>
+          </Select>
+          <Button onClick={() => openIssue('gift_card')}>
+            <Plus className="w-4 h-4 mr-1" />
+            {isRTL ? 'بطاقة هدية' : 'Gift card'}
+          </Button>
+          <Button variant="outline" onClick={() => openIssue('store_credit')}>
+            <Wallet className="w-4 h-4 mr-1" />
+            {isRTL ? 'رصيد لعميل' : 'Store credit'}
+          </Button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <Loader2 className="w-8 h-8 animate-spin" />
+        </div>
+      ) : giftCards.length === 0 ? (
+        <Card>
+          <CardContent className="py-12 text-center text-muted-foreground">
+            {isRTL ? 'لا توجد بطاقات' : 'No gift cards found'}
+          </CardContent>
+        </Card>
+      ) : (
+        <div className="space-y-4">
+          {giftCards.map((card) => (
+            <Card key={card._id}>
+              <CardHeader className="pb-2">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <CardTitle className="text-base flex items-center gap-2">
+                    <span className="font-mono" dir="ltr">{card.code}</span>
+                    <Badge variant="secondary">{KIND_LABELS[card.kind][currentLang]}</Badge>
+                  </CardTitle>
+                  <div className="flex items-center gap-2">
+                    {card.status === 'disabled' ? (
+                      <Badge className="bg-gray-100 text-gray-800">{isRTL ? 'معطّلة' : 'Disabled'}</Badge>
+                    ) : isExpired(card) ? (
+                      <Badge className="bg-amber-100 text-amber-800">{isRTL ? 'منتهية' : 'Expired'}</Badge>
+                    ) : (
+                      <Badge className="bg-green-100 text-green-800">{isRTL ? 'مفعّلة' : 'Active'}</Badge>
+                    )}
+                    <Badge variant="outline">{SOURCE_LABELS[card.source][currentLang]}</Badge>
+                  </div>
+                </div>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                <div className="flex flex-wrap items-center gap-3 text-sm">
+                  <span className="font-medium">
+                    ${card.balance.toFixed(2)} / ${card.initialBalance.toFixed(2)}
+                  </span>
+                  {card.recipient?.email && (
+                    <span className="text-muted-foreground" dir="auto">
+                      {card.recipient.name ? `${card.recipient.name} - ` : ''}{card.recipient.email}
+                    </span>
+                  )}
+                  {card.orderNumber && (
+                    <span className="text-muted-foreground">
+                      {isRTL ? 'الطلب ' : 'Order '}{card.orderNumber}
+                    </span>
+                  )}
+                  <span className="text-muted-foreground">
+                    {card.expiresAt
+                      ? `${isRTL ? 'تنتهي ' : 'Expires '}${formatDate(card.expiresAt)}`
+                      : (isRTL ? 'بدون انتهاء' : 'No expiry')}
+                  </span>
+                </div>
+                <div className="flex flex-wrap gap-2 pt-2">
+                  <Button size="sm" variant="outline" onClick={() => openHistory(card)}>
+                    <History className="w-4 h-4 mr-1" />
+                    {isRTL ? 'السجل' : 'History'}
+                  </Button>
+                  <Button size="sm" variant="outline" onClick={() => openAdjust(card)}>
+                    <Scale className="w-4 h-4 mr-1" />
+                    {isRTL ? 'تعديل الرصيد' : 'Adjust'}
+                  </Button>
+                  <Button
+                    size="sm"
+                    variant={card.status === 'active' ? 'destructive' : 'default'}
+                    onClick={() => handleToggleStatus(card)}
+                  >
+                    {card.status === 'active' ? (
+                      <>
+                        <Ban className="w-4 h-4 mr-1" />
+                        {isRTL ? 'تعطيل' : 'Disable'}
+                      </>
+                    ) : (
+                      <>
+                        <CheckCircle className="w-4 h-4 mr-1" />
+                        {isRTL ? 'تفعيل' : 'Enable'}
+                      </>
+                    )}
+                  </Button>
+                </div>
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+      )}
+
+      <Dialog open={issueOpen} onOpenChange={setIssueOpen}>
+        <DialogContent className="max-w-xl max-h-[90vh] overflow-y-auto" dir={isRTL ? 'rtl' : 'ltr'}>
+          <DialogHeader>
+            <DialogTitle>
+              {issueForm.kind === 'store_credit'
+                ? (isRTL ? 'إضافة رصيد لعميل' : 'Credit a customer')
+                : (isRTL ? 'إصدار بطاقة هدية' : 'Issue a gift card')}
+            </DialogTitle>
+            <DialogDescription>
+              {issueForm.kind === 'store_credit'
+                ? (isRTL
+                  ? 'يُضاف الرصيد إلى حساب العميل صاحب البريد ويستخدمه عند الدفع'
+                  : 'The credit is added to the account with this email and spent at checkout')
+                : (isRTL
+                  ? 'تُرسل البطاقة برمزها إلى بريد المستلم'
+                  : 'The card and its code are emailed to the recipient')}
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-1">
+                <Label htmlFor="giftCardAmount">{isRTL ? 'المبلغ' : 'Amount'}</Label>
+                <Input
+                  id="giftCardAmount"
+                  type="number"
+                  min="1"
+                  step="0.01"
+                  value={issueForm.amount}
+                  onChange={(e) => setIssueForm({ ...issueForm, amount: e.target.value })}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="giftCardExpiresAt">{isRTL ? 'تاريخ الانتهاء (اختياري)' : 'Expires (optional)'}</Label>
+                <Input
+                  id="giftCardExpiresAt"
+                  type="date"
+                  value={issueForm.expiresAt}
+                  onChange={(e) => setIssueForm({ ...issueForm, expiresAt: e.target.value })}
+                />
+              </div>
+
+              {issueForm.kind === 'gift_card' && (
+                <div className="space-y-1">
+                  <Label htmlFor="giftCardRecipientName">{isRTL ? 'اسم المستلم' : 'Recipient name'}</Label>
+                  <Input
+                    id="giftCardRecipientName"
+                    value={issueForm.recipientName}
+                    onChange={(e) => setIssueForm({ ...issueForm, recipientName: e.target.value })}
+                  />
+                </div>
+              )}
+              <div className="space-y-1">
+                <Label htmlFor="giftCardRecipientEmail">
+                  {issueForm.kind === 'store_credit'
+                    ? (isRTL ? 'بريد العميل' : 'Customer email')
+                    : (isRTL ? 'بريد المستلم' : 'Recipient email')}
+                </Label>
+                <Input
+                  id="giftCardRecipientEmail"
+                  type="email"
+                  dir="ltr"
+                  value={issueForm.recipientEmail}
+                  onChange={(e) => setIssueForm({ ...issueForm, recipientEmail: e.target.value })}
+                />
+              </div>
+
+              {issueForm.kind === 'store_credit' ? (
+                <div className="space-y-1">
+                  <Label>{isRTL ? 'السبب' : 'Reason'}</Label>
+                  <Select
+                    value={issueForm.source}
+                    onValueChange={(value) => setIssueForm({ ...issueForm, source: value as IssueForm['source'] })}
+                  >
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="goodwill">{SOURCE_LABELS.goodwill[currentLang]}</SelectItem>
+                      <SelectItem value="return">{SOURCE_LABELS.return[currentLang]}</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+              ) : (
+                <div className="space-y-1">
+                  <Label htmlFor="giftCardSenderName">{isRTL ? 'من (اختياري)' : 'From (optional)'}</Label>
+                  <Input
+                    id="giftCardSenderName"
+                    value={issueForm.senderName}
+                    onChange={(e) => setIssueForm({ ...issueForm, senderName: e.target.value })}
+                  />
+                </div>
+              )}
+            </div>
+
+            {issueForm.kind === 'gift_card' && (
+              <div className="space-y-1">
+                <Label htmlFor="giftCardMessage">{isRTL ? 'رسالة (اختياري)' : 'Message (optional)'}</Label>
+                <Textarea
+                  id="giftCardMessage"
+                  maxLength={500}
+                  value={issueForm.message}
+                  onChange={(e) => setIssueForm({ ...issueForm, message: e.target.value })}
+                />
+              </div>
+            )}
+            <div className="space-y-1">
+              <Label htmlFor="giftCardNote">{isRTL ? 'ملاحظة داخلية (اختياري)' : 'Internal note (optional)'}</Label>
+              <Input
+                id="giftCardNote"
+                maxLength={200}
+                value={issueForm.note}
+                onChange={(e) => setIssueForm({ ...issueForm, note: e.target.value })}
+              />
+            </div>
+
+            <div className="flex justify-end gap-2">
+              <Button variant="outline" disabled={submitting} onClick={() => setIssueOpen(false)}>
+                {isRTL ? 'إلغاء' : 'Cancel'}
+              </Button>
+              <Button disabled={submitting} onClick={handleIssue}>
+                {submitting && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+                {isRTL ? 'إصدار' : 'Issue'}
+              </Button>
+            </div>
+          </div>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={!!adjusting} onOpenChange={(open) => !open && setAdjusting(null)}>
+        <DialogContent className="max-w-md" dir={isRTL ? 'rtl' : 'ltr'}>
+          <DialogHeader>
+            <DialogTitle>{isRTL ? 'تعديل الرصيد' : 'Adjust balance'}</DialogTitle>
+            <DialogDescription>
+              {isRTL
+                ? `الرصيد الحالي $${adjusting?.balance.toFixed(2)}. أدخل مبلغاً موجباً للإضافة أو سالباً للخصم`
+                : `Current balance $${adjusting?.balance.toFixed(2)}. Enter a positive amount to add or a negative one to deduct`}
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-4">
+            <div className="space-y-1">
+              <Label htmlFor="adjustAmount">{isRTL ? 'المبلغ' : 'Amount'}</Label>
+              <Input
+                id="adjustAmount"
+                type="number"
+                step="0.01"
+                value={adjustAmount}
+                onChange={(e) => setAdjustAmount(e.target.value)}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="adjustNote">{isRTL ? 'السبب' : 'Reason'}</Label>
+              <Input
+                id="adjustNote"
+                maxLength={200}
+                value={adjustNote}
+                onChange={(e) => setAdjustNote(e.target.value)}
+              />
+            </div>
+            <div className="flex justify-end gap-2">
+              <Button variant="outline" disabled={submitting} onClick={() => setAdjusting(null)}>
+                {isRTL ? 'إلغاء' : 'Cancel'}
+              </Button>
+              <Button disabled={submitting} onClick={handleAdjust}>
+                {submitting && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+                {isRTL ? 'حفظ' : 'Save'}
+              </Button>
+            </div>
+          </div>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={!!history} onOpenChange={(open) => !open && setHistory(null)}>
+        <DialogContent className="max-w-lg max-h-[80vh] overflow-y-auto" dir={isRTL ? 'rtl' : 'ltr'}>
+          <DialogHeader>
+            <DialogTitle className="font-mono" dir="ltr">{history?.code}</DialogTitle>
+            <DialogDescription>
+              {history?.message && <span className="block italic" dir="auto">{history.message}</span>}
+              {history?.deliveredAt && (
+                <span className="block">{isRTL ? 'أُرسلت في ' : 'Emailed on '}{formatDate(history.deliveredAt)}</span>
+              )}
+            </DialogDescription>
+          </DialogHeader>
+          <div className="space-y-2">
+            {history?.transactions?.slice().reverse().map((transaction, index) => (
+              <div key={index} className="flex items-center justify-between gap-2 rounded-md border px-3 py-2 text-sm">
+                <div>
+                  <p className="font-medium">
+                    {TRANSACTION_LABELS[transaction.type][currentLang]}
+                    {transaction.orderNumber && ` - ${transaction.orderNumber}`}
+                  </p>
+                  <p className="text-xs text-muted-foreground">
+                    {formatDate(transaction.createdAt)}
+                    {transaction.note && ` • ${transaction.note}`}
+                  </p>
+                </div>
+                <div className="text-end">
+                  <p className={transaction.amount < 0 ? 'text-destructive' : 'text-green-700'} dir="ltr">
+                    {transaction.amount > 0 ? '+' : ''}{transaction.amount.toFixed(2)}
+                  </p>
+                  <p className="text-xs text-muted-foreground" dir="ltr">${transaction.balance.toFixed(2)}</p>
+                </div>
+              </div>
+            ))}
+          </div>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
@@ -0,0 +1,198 @@
+import { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Loader2, Save } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+import { settingsService } from '@/services/settingsService';
+import type { LoyaltyProgram, LoyaltyTier } from '@/services/loyaltyService';
+
+interface LoyaltySettingsProps {
+  currentLang: 'en' | 'ar';
+}
+
+const TIERS: Array<{ id: LoyaltyTier; en: string; ar: string; spend: string }> = [
+  { id: 'bronze', en: 'Bronze', ar: 'برونزي', spend: '0' },
+  { id: 'silver', en: 'Silver', ar: 'فضي', spend: '1,000' },
+  { id: 'gold', en: 'Gold', ar: 'ذهبي', spend: '5,000' },
+  { id: 'platinum', en: 'Platinum', ar: 'بلاتيني', spend: '10,000' },
+];
+
+type NumberField = 'pointsPerCurrency' | 'pointValue' | 'minRedeemPoints' | 'maxRedeemPercent' | 'expiryMonths';
+
+export const LoyaltySettings = ({ currentLang }: LoyaltySettingsProps) => {
+  const [program, setProgram] = useState<LoyaltyProgram | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const { toast } = useToast();
+  const isRTL = currentLang === 'ar';
+
+  useEffect(() => {
+    settingsService.getSettingSection('loyalty')
+      .then(setProgram)
+      .catch((error) => {
+        console.error('Error fetching loyalty settings:', error);
+        toast({
+          title: isRTL ? 'خطأ' : 'Error',
+          description: isRTL ? 'فشل في تحميل إعدادات الولاء' : 'Failed to load loyalty settings',
+          variant: 'destructive',
+        });
+      })
+      .finally(() => setLoading(false));
+  }, [isRTL, toast]);
+
+  const setNumber = (field: NumberField, value: string) => {
+    setProgram(prev => prev && { ...prev, [field]: Number(value) });
+  };
+
+  const setMultiplier = (tier: LoyaltyTier, value: string) => {
+    setProgram(prev => prev && {
+      ...prev,
+      tierMultipliers: { ...prev.tierMultipliers, [tier]: Number(value) }
+    });
+  };
+
+  const handleSave = async () => {
+    if (!program) return;
+
+    setSaving(true);
+    try {
+      setProgram(await settingsService.updateSettingSection('loyalty', program));
+      toast({ title: isRTL ? 'تم حفظ إعدادات الولاء' : 'Loyalty settings saved' });
+    } catch (error) {
+      console.error('Error saving loyalty settings:', error);
+      toast({
+        title: isRTL ? 'خطأ' : 'Error',
+        description: error instanceof Error ? error.message : (isRTL ? 'فشل في حفظ إعدادات الولاء' : 'Failed to save loyalty settings'),
+        variant: 'destructive',
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading || !program) {
+    return (
+      <div className="flex justify-center py-12">
+        <Loader2 className="w-8 h-8 animate-spin text-muted-foreground" />
+      </div>
+    );
+  }
+
+  const numberFields: Array<{ id: NumberField; label: string; hint: string; step: string }> = [
+    {
+      id: 'pointsPerCurrency',
+      label: isRTL ? 'النقاط لكل ريال' : 'Points per SAR',
+      hint: isRTL ? 'تُكتسب عند توصيل الطلب، على قيمة المنتجات بعد الخصومات' : 'Earned on delivery, on the items after discounts',
+      step: '0.1'
+    },
+    {
+      id: 'pointValue',
+      label: isRTL ? 'قيمة النقطة (ريال)' : 'Point value (SAR)',
+      hint: isRTL ? 'الخصم الذي تمنحه النقطة الواحدة' : 'Discount one point gives',
+      step: '0.01'
+    },
+    {
+      id: 'minRedeemPoints',
+      label: isRTL ? 'أقل عدد نقاط للاستبدال' : 'Minimum points to redeem',
+      hint: isRTL ? 'لا يمكن استبدال أقل من ذلك في الطلب' : 'Fewer cannot be redeemed on an order',
+      step: '1'
+    },
+    {
+      id: 'maxRedeemPercent',
+      label: isRTL ? 'أقصى نسبة من الطلب (%)' : 'Maximum share of an order (%)',
+      hint: isRTL ? 'من قيمة المنتجات بعد العروض' : 'Of the items after promotions',
+      step: '1'
+    },
+    {
+      id: 'expiryMonths',
+      label: isRTL ? 'مدة صلاحية النقاط (أشهر)' : 'Points expire after (months)',
+      hint: isRTL ? '0 = لا تنتهي أبداً' : '0 = never expire',
+      step: '1'
+    },
+  ];
+
+  return (
+    <div className="space-y-6" dir={isRTL ? 'rtl' : 'ltr'}>
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold">{isRTL ? 'برنامج الولاء' : 'Loyalty Program'}</h2>
+          <p className="text-muted-foreground">
+            {isRTL ? 'نقاط يكسبها العملاء على طلباتهم ويستبدلونها عند الدفع' : 'Points customers earn on orders and redeem at checkout'}
+          </p>
+        </div>
+        <Button onClick={handleSave} disabled={saving}>
+          {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+          <span className={isRTL ? 'mr-2' : 'ml-2'}>{isRTL ? 'حفظ' : 'Save'}</span>
+        </Button>
+      </div>
+
+      <Card>
+        <CardContent className="p-4 flex items-center justify-between gap-4">
+          <Label htmlFor="loyalty-enabled">
+            {isRTL ? 'تفعيل كسب النقاط واستبدالها' : 'Customers earn and redeem points'}
+          </Label>
+          <Switch
+            id="loyalty-enabled"
+            checked={program.enabled}
+            onCheckedChange={(enabled) => setProgram({ ...program, enabled })}
+          />
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>{isRTL ? 'الكسب والاستبدال' : 'Earning and redeeming'}</CardTitle>
+        </CardHeader>
+        <CardContent className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {numberFields.map(field => (
+            <div key={field.id} className="space-y-1">
+              <Label htmlFor={`loyalty-${field.id}`}>{field.label}</Label>
+              <Input
+                id={`loyalty-${field.id}`}
+                type="number"
+                min="0"
+                max={field.id === 'maxRedeemPercent' ? '100' : undefined}
+                step={field.step}
+                value={program[field.id]}
+                onChange={(e) => setNumber(field.id, e.target.value)}
+              />
+              <p className="text-xs text-muted-foreground">{field.hint}</p>
+            </div>
+          ))}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>{isRTL ? 'مضاعفات المستويات' : 'Tier multipliers'}</CardTitle>
+          <CardDescription>
+            {isRTL
+              ? 'يُحدد المستوى من إجمالي مشتريات العميل، ويضاعف النقاط المكتسبة'
+              : "A customer's tier follows their total spend and multiplies the points they earn"}
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          {TIERS.map(tier => (
+            <div key={tier.id} className="space-y-1">
+              <Label htmlFor={`loyalty-tier-${tier.id}`}>{tier[currentLang]}</Label>
+              <Input
+                id={`loyalty-tier-${tier.id}`}
+                type="number"
+                min="0"
+                step="0.05"
+                value={program.tierMultipliers[tier.id]}
+                onChange={(e) => setMultiplier(tier.id, e.target.value)}
+              />
+              <p className="text-xs text-muted-foreground">
+                {isRTL ? `من ${tier.spend} ريال` : `From ${tier.spend} SAR`}
+              </p>
+            </div>
+          ))}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
@@ -11,7 +11,8 @@ import {
   Calendar,
   DollarSign,
   Star,
-  Clock
+  Clock,
+  Heart
 } from 'lucide-react';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
@@ -420,6 +421,49 @@ export function LuxuryDashboard({ currentLang }: LuxuryDashboardProps) {
             </CardContent>
           </Card>
         </motion.div>
+
+        {/* Most Wishlisted */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.8 }}
+        >
+          <Card className="bg-off-white/95 backdrop-blur-sm border-gold/20 shadow-luxury w-full overflow-hidden">
+            <CardHeader>
+              <CardTitle className="text-dark-tea flex items-center justify-between">
+                <span>{currentLang === 'ar' ? 'الأكثر إضافة للمفضلة' : 'Most Wishlisted'}</span>
+                <Heart className="w-5 h-5 text-gold" />
+              </CardTitle>
+            </CardHeader>
+            <CardContent className="p-6">
+              {dashboardData?.products?.mostWishlisted?.length > 0 ? (
+                <div className="space-y-4">
+                  {dashboardData.products.mostWishlisted.map((product) => (
+                    <div key={product._id} className="flex items-center space-x-4 rtl:space-x-reverse p-3 rounded-lg bg-gold/5 hover:bg-gold/10 transition-colors">
+                      {product.image ? (
+                        <img src={product.image} alt={product.name?.[currentLang]} className="w-12 h-12 rounded-lg object-cover" />
+                      ) : (
+                        <div className="w-12 h-12 bg-gradient-to-br from-gold to-light-brown rounded-lg flex items-center justify-center">
+                          <Package className="w-6 h-6 text-off-white" />
+                        </div>
+                      )}
+                      <div className="flex-1">
+                        <h4 className="font-medium text-dark-tea">{product.name?.[currentLang]}</h4>
+                        <p className="text-sm text-dark-tea/60">
+                          {product.count} {currentLang === 'ar' ? 'قائمة مفضلة' : product.count === 1 ? 'wishlist' : 'wishlists'}
+                        </p>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-sm text-dark-tea/60">
+                  {currentLang === 'ar' ? 'لم يضف العملاء أي منتجات للمفضلة بعد' : 'No products have been wishlisted yet'}
+                </p>
+              )}
+            </CardContent>
+          </Card>
+        </motion.div>
         </div>
       </div>
     </div>
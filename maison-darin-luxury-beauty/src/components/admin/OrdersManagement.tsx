@@ -1,7 +1,16 @@
 import React, { useState, useEffect } from 'react';
 import { useNotifications } from '@/hooks/useNotifications';
-import { Eye, X, Package, User, CreditCard, MapPin, Phone, Mail, Calendar, Trash2, AlertTriangle } from 'lucide-react';
+import { Eye, X, Package, User, CreditCard, MapPin, Phone, Mail, Calendar, Trash2, AlertTriangle, History, FileText, RotateCcw } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
+import {
+  ORDER_TRANSITIONS,
+  REFUND_REASON_LABELS,
+  type OrderRefund,
+  type OrderStatus,
+  type OrderTimelineEntry,
+  type RefundReason,
+  type RefundStatus
+} from '@/services/orderService';
 
 interface Order {
   _id: string;
@@ -17,25 +26,96 @@ interface Order {
     notes?: string;
   };
   items: Array<{
+    _id: string;
     productId: string;
     productName: string;
     price: number;
     quantity: number;
     subtotal: number;
+    variantSize?: string;
+    // Set on gift cards bought with the order
+    giftCard?: Record<string, unknown>;
+    preOrder?: {
+      releaseDate: string;
+      deposit: number;
+      releasedAt?: string;
+    };
   }>;
   total: number;
+  balanceDue?: number;
   subtotal: number;
   shippingCost?: number;
   tax?: number;
   paymentMethod: 'cash_on_delivery' | 'paypal' | 'bank_transfer' | 'card';
-  status: 'pending' | 'confirmed' | 'processing' | 'shipped' | 'delivered' | 'cancelled';
-  paymentStatus: 'pending' | 'completed' | 'paid' | 'failed';
+  status: OrderStatus;
+  paymentStatus: 'pending' | 'completed' | 'paid' | 'partially_paid' | 'failed' | 'partially_refunded' | 'refunded';
+  trackingNumber?: string;
+  timeline?: OrderTimelineEntry[];
+  invoiceNumber?: string;
+  refunds?: OrderRefund[];
+  refundedTotal?: number;
   paypalOrderId?: string;
   paypalCaptureId?: string;
   createdAt: string;
   updatedAt: string;
 }
 
+// What a status change set off, as recorded on the order's timeline
+const EFFECT_LABELS: Record<string, string> = {
+  stock_restored: 'إرجاع المخزون',
+  stock_taken: 'خصم المخزون',
+  promotion_released: 'إلغاء استخدام العرض',
+  points_restored: 'إرجاع النقاط المستبدلة',
+  points_awarded: 'منح نقاط الولاء',
+  points_reversed: 'سحب نقاط الولاء',
+  gift_cards_released: 'إرجاع رصيد بطاقات الهدايا',
+  gift_cards_voided: 'إلغاء بطاقات الهدايا المشتراة',
+  payment_recorded: 'تسجيل الدفع',
+  invoice_issued: 'إصدار الفاتورة الضريبية',
+  customer_notified: 'إشعار العميل'
+};
+
+const REFUND_STATUS_LABELS: Record<RefundStatus, { text: string; className: string }> = {
+  processing: { text: 'قيد التنفيذ', className: 'bg-blue-500/20 text-blue-400' },
+  pending: { text: 'بانتظار الدفع', className: 'bg-yellow-500/20 text-yellow-400' },
+  completed: { text: 'تم الاسترداد', className: 'bg-green-500/20 text-green-400' },
+  failed: { text: 'فشل', className: 'bg-red-500/20 text-red-400' }
+};
+
+const REFUND_METHOD_LABELS: Record<NonNullable<OrderRefund['method']>, string> = {
+  paypal: 'PayPal',
+  paymob: 'Paymob',
+  fawry: 'Fawry',
+  card: 'كارت',
+  store_credit: 'رصيد المتجر',
+  manual: 'يدوي'
+};
+
+// Payment statuses an order can still be refunded from
+const REFUNDABLE_PAYMENT_STATUSES: Order['paymentStatus'][] = ['paid', 'completed', 'partially_paid', 'partially_refunded'];
+
+const refundableAmount = (order: Order) => REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)
+  ? Math.max(order.total - (order.balanceDue || 0) - (order.refundedTotal || 0), 0)
+  : 0;
+
+// Quantity of each line not refunded yet, by line ID
+const refundableQuantities = (order: Order) => {
+  const left: Record<string, number> = {};
+  order.items.forEach(item => {
+    if (!item.giftCard) left[item._id] = item.quantity;
+  });
+  (order.refunds || []).forEach(refund => refund.lines.forEach(line => {
+    if (left[line.orderItem] !== undefined) left[line.orderItem] -= line.quantity;
+  }));
+  return left;
+};
+
+const actorText = (actor: OrderTimelineEntry['actor']) => {
+  if (!actor || actor.type === 'system') return 'النظام';
+  if (actor.type === 'customer') return 'العميل';
+  return actor.name || 'المدير';
+};
+
 const OrdersManagement: React.FC = () => {
   const [orders, setOrders] = useState<Order[]>([]);
   const [loading, setLoading] = useState(true);
@@ -44,6 +124,20 @@ const OrdersManagement: React.FC = () => {
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [orderToDelete, setOrderToDelete] = useState<Order | null>(null);
   const [isDeleting, setIsDeleting] = useState(false);
+  const [statusReason, setStatusReason] = useState('');
+  const [trackingNumber, setTrackingNumber] = useState('');
+  const [isUpdatingStatus, setIsUpdatingStatus] = useState(false);
+  const [isDownloadingInvoice, setIsDownloadingInvoice] = useState(false);
+  const [showRefundForm, setShowRefundForm] = useState(false);
+  const [refundQuantities, setRefundQuantities] = useState<Record<string, number>>({});
+  const [refundShipping, setRefundShipping] = useState('');
+  const [refundAmount, setRefundAmount] = useState('');
+  const [refundReason, setRefundReason] = useState<RefundReason | ''>('');
+  const [refundNote, setRefundNote] = useState('');
+  const [refundReference, setRefundReference] = useState('');
+  const [isRefunding, setIsRefunding] = useState(false);
+  // Reference typed in for each refund paid by hand, by refund number
+  const [manualReferences, setManualReferences] = useState<Record<string, string>>({});
   const { showSaveSuccess, showSaveError } = useNotifications();
 
   useEffect(() => {
@@ -82,31 +176,202 @@ const OrdersManagement: React.FC = () => {
     }
   };
 
-  const updateOrderStatus = async (orderId: string, status: string) => {
+  const updateOrderStatus = async (orderId: string, status: OrderStatus) => {
     try {
+      setIsUpdatingStatus(true);
       const response = await fetch(`${import.meta.env.VITE_API_URL || 'http://localhost:5000/api'}/orders/${orderId}/status`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${localStorage.getItem('authToken')}`
         },
-        body: JSON.stringify({ status: status })
+        body: JSON.stringify({
+          status,
+          reason: statusReason.trim() || undefined,
+          trackingNumber: status === 'shipped' ? trackingNumber.trim() || undefined : undefined
+        })
       });
+      const result = await response.json();
 
-      if (response.ok) {
+      if (response.ok && result.success) {
         showSaveSuccess();
+        setSelectedOrder(result.data);
+        setStatusReason('');
+        setTrackingNumber('');
         fetchOrders();
       } else {
-        showSaveError('فشل في تحديث حالة الطلب');
+        // The server explains moves it refuses, e.g. an online order not paid yet
+        showSaveError(result.error?.message || 'فشل في تحديث حالة الطلب');
       }
     } catch (error) {
       console.error('Error updating order status:', error);
       showSaveError('فشل في تحديث حالة الطلب');
+    } finally {
+      setIsUpdatingStatus(false);
+    }
+  };
+
+  const downloadInvoice = async (order: Order) => {
+    try {
+      setIsDownloadingInvoice(true);
+      const response = await fetch(`${import.meta.env.VITE_API_URL || 'http://localhost:5000/api'}/orders/${order._id}/invoice`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+        }
+      });
+
+      if (!response.ok) {
+        const result = await response.json();
+        showSaveError(result.error?.message || 'فشل في تحميل الفاتورة');
+        return;
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${order.invoiceNumber || order.orderNumber}.pdf`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading invoice:', error);
+      showSaveError('فشل في تحميل الفاتورة');
+    } finally {
+      setIsDownloadingInvoice(false);
+    }
+  };
+
+  const resetRefundForm = () => {
+    setShowRefundForm(false);
+    setRefundQuantities({});
+    setRefundShipping('');
+    setRefundAmount('');
+    setRefundReason('');
+    setRefundNote('');
+    setRefundReference('');
+  };
+
+  // Lines, shipping and amount chosen; the server refunds everything left when none is
+  const refundOrder = async (order: Order) => {
+    if (!refundReason) {
+      showSaveError('يرجى اختيار سبب الاسترداد');
+      return;
+    }
+
+    try {
+      setIsRefunding(true);
+      const response = await fetch(`${import.meta.env.VITE_API_URL || 'http://localhost:5000/api'}/orders/${order._id}/refund`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+        },
+        body: JSON.stringify({
+          items: Object.entries(refundQuantities)
+            .filter(([, quantity]) => quantity > 0)
+            .map(([orderItem, quantity]) => ({ orderItem, quantity })),
+          shipping: Number(refundShipping) || undefined,
+          amount: Number(refundAmount) || undefined,
+          reason: refundReason,
+          note: refundNote.trim() || undefined,
+          reference: refundReference.trim() || undefined
+        })
+      });
+      const result = await response.json();
+
+      if (response.ok && result.success) {
+        setSelectedOrder(result.data);
+        resetRefundForm();
+        fetchOrders();
+        // The refund is kept on the order even when the gateway refuses it
+        const latest: OrderRefund | undefined = result.data.refunds?.[result.data.refunds.length - 1];
+        if (latest?.status === 'failed') {
+          showSaveError(result.message);
+        } else {
+          showSaveSuccess();
+        }
+      } else {
+        showSaveError(result.error?.message || 'فشل في استرداد الطلب');
+      }
+    } catch (error) {
+      console.error('Error refunding order:', error);
+      showSaveError('فشل في استرداد الطلب');
+    } finally {
+      setIsRefunding(false);
+    }
+  };
+
+  const retryRefund = async (order: Order, refund: OrderRefund) => {
+    try {
+      setIsRefunding(true);
+      const response = await fetch(`${import.meta.env.VITE_API_URL || 'http://localhost:5000/api'}/orders/${order._id}/refunds/${refund.refundId}/retry`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+        },
+        body: JSON.stringify({
+          reference: manualReferences[refund.refundId]?.trim() || undefined
+        })
+      });
+      const result = await response.json();
+
+      if (response.ok && result.success) {
+        setSelectedOrder(result.data);
+        setManualReferences({ ...manualReferences, [refund.refundId]: '' });
+        fetchOrders();
+        const retried = (result.data.refunds as OrderRefund[]).find(entry => entry.refundId === refund.refundId);
+        if (retried?.status === 'failed') {
+          showSaveError(result.message);
+        } else {
+          showSaveSuccess();
+        }
+      } else {
+        showSaveError(result.error?.message || 'فشل في تنفيذ الاسترداد');
+      }
+    } catch (error) {
+      console.error('Error retrying refund:', error);
+      showSaveError('فشل في تنفيذ الاسترداد');
+    } finally {
+      setIsRefunding(false);
+    }
+  };
+
+  const downloadCreditNote = async (order: Order, refund: OrderRefund) => {
+    try {
+      const response = await fetch(`${import.meta.env.VITE_API_URL || 'http://localhost:5000/api'}/orders/${order._id}/credit-notes/${refund.refundId}`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+        }
+      });
+
+      if (!response.ok) {
+        const result = await response.json();
+        showSaveError(result.error?.message || 'فشل في تحميل الإشعار الدائن');
+        return;
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${refund.creditNoteNumber || refund.refundId}.pdf`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading credit note:', error);
+      showSaveError('فشل في تحميل الإشعار الدائن');
     }
   };
 
   const openOrderDetails = (order: Order) => {
     setSelectedOrder(order);
+    setStatusReason('');
+    setTrackingNumber(order.trackingNumber || '');
+    resetRefundForm();
+    setManualReferences({});
     setShowModal(true);
   };
 
@@ -275,6 +540,7 @@ const OrdersManagement: React.FC = () => {
           
           .status-delivered { background: #d4edda; color: #155724; }
           .status-pending { background: #fff3cd; color: #856404; }
+          .status-awaiting_release { background: #b2ebf2; color: #006064; }
           .status-confirmed { background: #cce5ff; color: #004085; }
           .status-processing { background: #e1bee7; color: #4a148c; }
           .status-shipped { background: #ffcc80; color: #e65100; }
@@ -310,6 +576,7 @@ const OrdersManagement: React.FC = () => {
                   <span class="status-badge status-${order.status}">
                     ${order.status === 'delivered' ? 'مكتمل' : 
                       order.status === 'pending' ? 'معلق' : 
+                      order.status === 'awaiting_release' ? 'بانتظار الإطلاق' :
                       order.status === 'confirmed' ? 'مؤكد' : 
                       order.status === 'processing' ? 'قيد المعالجة' :
                       order.status === 'shipped' ? 'تم الشحن' :
@@ -471,11 +738,14 @@ const OrdersManagement: React.FC = () => {
   const getStatusColor = (status: string) => {
     switch (status) {
       case 'pending': return 'bg-yellow-500';
+      case 'awaiting_release': return 'bg-cyan-600';
       case 'confirmed': return 'bg-blue-500';
       case 'processing': return 'bg-purple-500';
       case 'shipped': return 'bg-orange-500';
       case 'delivered': return 'bg-green-500';
       case 'cancelled': return 'bg-red-500';
+      case 'returned': return 'bg-amber-700';
+      case 'refunded': return 'bg-gray-600';
       default: return 'bg-gray-500';
     }
   };
@@ -483,11 +753,14 @@ const OrdersManagement: React.FC = () => {
   const getStatusText = (status: string) => {
     switch (status) {
       case 'pending': return 'في الانتظار';
+      case 'awaiting_release': return 'بانتظار الإطلاق';
       case 'confirmed': return 'مؤكد';
       case 'processing': return 'قيد المعالجة';
       case 'shipped': return 'تم الشحن';
       case 'delivered': return 'تم التسليم';
       case 'cancelled': return 'ملغي';
+      case 'returned': return 'مرتجع';
+      case 'refunded': return 'مسترد';
       default: return status;
     }
   };
@@ -703,6 +976,13 @@ const OrdersManagement: React.FC = () => {
                         <div>
                           <h4 className="text-off-white font-medium">{item.productName}</h4>
                           <p className="text-beige/60 text-sm">الكمية: {item.quantity}</p>
+                          {item.preOrder && (
+                            <p className="text-cyan-400 text-sm">
+                              {item.preOrder.releasedAt
+                                ? `طلب مسبق - تم الإطلاق ${new Date(item.preOrder.releasedAt).toLocaleDateString('ar-EG')}`
+                                : `طلب مسبق - الإطلاق ${new Date(item.preOrder.releaseDate).toLocaleDateString('ar-EG')}`}
+                            </p>
+                          )}
                         </div>
                         <div className="text-left">
                           <p className="text-off-white font-medium">{item.price.toLocaleString()} ريال</p>
@@ -741,6 +1021,12 @@ const OrdersManagement: React.FC = () => {
                         <span className="text-gold">المجموع الكلي:</span>
                         <span className="text-gold">{selectedOrder.total.toLocaleString()} ريال</span>
                       </div>
+                      {!!selectedOrder.balanceDue && (
+                        <div className="flex justify-between">
+                          <span className="text-beige/80">المتبقي عند الإطلاق:</span>
+                          <span className="text-off-white">{selectedOrder.balanceDue.toLocaleString()} ريال</span>
+                        </div>
+                      )}
                     </div>
                     <div className="space-y-3">
                       <div className="flex justify-between">
@@ -756,9 +1042,17 @@ const OrdersManagement: React.FC = () => {
                         <span className={`px-2 py-1 rounded text-xs font-medium ${
                           selectedOrder.paymentStatus === 'completed' || selectedOrder.paymentStatus === 'paid' 
                             ? 'bg-green-500/20 text-green-400' 
-                            : 'bg-yellow-500/20 text-yellow-400'
+                            : selectedOrder.paymentStatus === 'partially_paid'
+                              ? 'bg-cyan-500/20 text-cyan-400'
+                              : selectedOrder.paymentStatus === 'partially_refunded' || selectedOrder.paymentStatus === 'refunded'
+                                ? 'bg-gray-500/20 text-gray-300'
+                                : 'bg-yellow-500/20 text-yellow-400'
                         }`}>
-                          {selectedOrder.paymentStatus === 'completed' || selectedOrder.paymentStatus === 'paid' ? 'مدفوع' : 'معلق'}
+                          {selectedOrder.paymentStatus === 'completed' || selectedOrder.paymentStatus === 'paid'
+                            ? 'مدفوع'
+                            : selectedOrder.paymentStatus === 'partially_paid' ? 'عربون مدفوع'
+                              : selectedOrder.paymentStatus === 'partially_refunded' ? 'مسترد جزئياً'
+                                : selectedOrder.paymentStatus === 'refunded' ? 'مسترد' : 'معلق'}
                         </span>
                       </div>
                       <div className="flex justify-between">
@@ -767,6 +1061,19 @@ const OrdersManagement: React.FC = () => {
                           {getStatusText(selectedOrder.status)}
                         </span>
                       </div>
+                      {(selectedOrder.invoiceNumber || REFUNDABLE_PAYMENT_STATUSES.includes(selectedOrder.paymentStatus)) && (
+                        <div className="flex justify-between items-center">
+                          <span className="text-beige/80">الفاتورة الضريبية:</span>
+                          <button
+                            onClick={() => downloadInvoice(selectedOrder)}
+                            disabled={isDownloadingInvoice}
+                            className="flex items-center gap-1 text-off-white hover:text-beige text-sm disabled:opacity-50"
+                          >
+                            <FileText className="w-4 h-4" />
+                            {selectedOrder.invoiceNumber || 'إصدار وتحميل PDF'}
+                          </button>
+                        </div>
+                      )}
                       {selectedOrder.paypalOrderId && (
                         <div className="flex justify-between">
                           <span className="text-beige/80">PayPal Order ID:</span>
@@ -777,6 +1084,267 @@ const OrdersManagement: React.FC = () => {
                   </div>
                 </div>
 
+                {/* الاسترداد */}
+                {(refundableAmount(selectedOrder) > 0 || (selectedOrder.refunds?.length ?? 0) > 0) && (
+                  <div className="bg-dark-brown/30 rounded-xl p-6 border border-gold/10">
+                    <div className="flex items-center justify-between gap-3 mb-4">
+                      <div className="flex items-center gap-3">
+                        <RotateCcw className="w-5 h-5 text-gold" />
+                        <h3 className="text-lg font-semibold text-off-white">الاسترداد</h3>
+                      </div>
+                      {refundableAmount(selectedOrder) > 0 && !showRefundForm && (
+                        <button
+                          onClick={() => setShowRefundForm(true)}
+                          className="px-4 py-2 bg-gold/20 hover:bg-gold/30 text-gold rounded-lg text-sm transition-colors"
+                        >
+                          استرداد مبلغ
+                        </button>
+                      )}
+                    </div>
+
+                    {refundableAmount(selectedOrder) > 0 && (
+                      <p className="text-beige/60 text-sm mb-4">
+                        المتبقي للاسترداد: {refundableAmount(selectedOrder).toLocaleString()} ريال
+                      </p>
+                    )}
+
+                    {showRefundForm && (
+                      <div className="mb-6 space-y-3">
+                        {selectedOrder.items.filter(item => (refundableQuantities(selectedOrder)[item._id] || 0) > 0).map(item => (
+                          <div key={item._id} className="flex items-center justify-between gap-2">
+                            <span className="text-off-white text-sm">
+                              {item.productName}{item.variantSize && ` (${item.variantSize})`}
+                            </span>
+                            <select
+                              value={refundQuantities[item._id] || 0}
+                              onChange={(e) => setRefundQuantities({ ...refundQuantities, [item._id]: Number(e.target.value) })}
+                              className="px-3 py-1 bg-dark-brown/50 border border-gold/20 rounded-lg text-off-white focus:outline-none focus:border-gold/50"
+                            >
+                              {Array.from({ length: refundableQuantities(selectedOrder)[item._id] + 1 }, (_, quantity) => (
+                                <option key={quantity} value={quantity}>{quantity}</option>
+                              ))}
+                            </select>
+                          </div>
+                        ))}
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                          {!!selectedOrder.shippingCost && (
+                            <input
+                              type="number"
+                              min="0"
+                              step="0.01"
+                              value={refundShipping}
+                              onChange={(e) => setRefundShipping(e.target.value)}
+                              placeholder="استرداد الشحن (ريال)"
+                              className="w-full px-3 py-2 bg-dark-brown/50 border border-gold/20 rounded-lg text-off-white placeholder-beige/40 focus:outline-none focus:border-gold/50"
+                            />
+                          )}
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={refundAmount}
+                            onChange={(e) => setRefundAmount(e.target.value)}
+                            placeholder="مبلغ إضافي (ريال)"
+                            className="w-full px-3 py-2 bg-dark-brown/50 border border-gold/20 rounded-lg text-off-white placeholder-beige/40 focus:outline-none focus:border-gold/50"
+                          />
+                        </div>
+                        <p className="text-beige/60 text-xs">
+                          اترك المنتجات والشحن والمبلغ فارغة لاسترداد كل ما تبقى من الطلب
+                        </p>
+                        <select
+                          value={refundReason}
+                          onChange={(e) => setRefundReason(e.target.value as RefundReason)}
+                          className="w-full px-3 py-2 bg-dark-brown/50 border border-gold/20 rounded-lg text-off-white focus:outline-none focus:border-gold/50"
+                        >
+                          <option value="">سبب الاسترداد</option>
+                          {(Object.keys(REFUND_REASON_LABELS) as RefundReason[]).map(reason => (
+                            <option key={reason} value={reason}>{REFUND_REASON_LABELS[reason].ar}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="text"
+                          value={refundNote}
+                          onChange={(e) => setRefundNote(e.target.value)}
+                          placeholder="ملاحظة (اختياري)"
+                          maxLength={500}
+                          className="w-full px-3 py-2 bg-dark-brown/50 border border-gold/20 rounded-lg text-off-white placeholder-beige/40 focus:outline-none focus:border-gold/50"
+                        />
+                        <input
+                          type="text"
+                          value={refundReference}
+                          onChange={(e) => setRefundReference(e.target.value)}
+                          placeholder="مرجع التحويل إن تم الاسترداد يدوياً (اختياري)"
+                          maxLength={100}
+                          className="w-full px-3 py-2 bg-dark-brown/50 border border-gold/20 rounded-lg text-off-white placeholder-beige/40 focus:outline-none focus:border-gold/50"
+                        />
+                        <div className="flex justify-end gap-2">
+                          <button
+                            onClick={resetRefundForm}
+                            disabled={isRefunding}
+                            className="px-4 py-2 bg-beige/10 hover:bg-beige/20 text-beige rounded-lg text-sm transition-colors disabled:opacity-50"
+                          >
+                            إلغاء
+                          </button>
+                          <button
+                            onClick={() => refundOrder(selectedOrder)}
+                            disabled={isRefunding}
+                            className="px-4 py-2 bg-gray-600 hover:opacity-90 text-white rounded-lg text-sm transition-opacity disabled:opacity-50"
+                          >
+                            {isRefunding ? 'جاري الاسترداد...' : 'تنفيذ الاسترداد'}
+                          </button>
+                        </div>
+                      </div>
+                    )}
+
+                    {selectedOrder.refunds && selectedOrder.refunds.length > 0 && (
+                      <div className="space-y-3">
+                        {[...selectedOrder.refunds].reverse().map(refund => (
+                          <div key={refund.refundId} className="p-4 bg-dark-tea/20 rounded-lg space-y-2">
+                            <div className="flex flex-wrap items-center justify-between gap-2">
+                              <span className="text-off-white font-mono text-sm">{refund.refundId}</span>
+                              <span className={`px-2 py-1 rounded text-xs font-medium ${REFUND_STATUS_LABELS[refund.status].className}`}>
+                                {REFUND_STATUS_LABELS[refund.status].text}
+                              </span>
+                            </div>
+                            <div className="flex flex-wrap justify-between gap-2 text-sm">
+                              <span className="text-beige/80">
+                                {REFUND_REASON_LABELS[refund.reason]?.ar || refund.reason}
+                                {refund.method && ` • ${REFUND_METHOD_LABELS[refund.method]}`}
+                              </span>
+                              <span className="text-off-white font-medium">{refund.amount.toLocaleString()} ريال</span>
+                            </div>
+                            {refund.lines.map(line => (
+                              <p key={line.orderItem} className="text-beige/60 text-xs">
+                                {line.productName}{line.variantSize && ` (${line.variantSize})`} × {line.quantity}
+                              </p>
+                            ))}
+                            {refund.shipping > 0 && (
+                              <p className="text-beige/60 text-xs">الشحن: {refund.shipping.toLocaleString()} ريال</p>
+                            )}
+                            {refund.storeCreditAmount > 0 && (
+                              <p className="text-beige/60 text-xs">رصيد المتجر: {refund.storeCreditAmount.toLocaleString()} ريال</p>
+                            )}
+                            {refund.reference && (
+                              <p className="text-beige/60 text-xs">المرجع: <span className="font-mono">{refund.reference}</span></p>
+                            )}
+                            {refund.note && <p className="text-beige/80 text-sm">{refund.note}</p>}
+                            {refund.error && (
+                              <p className={`${refund.status === 'pending' ? 'text-yellow-400' : 'text-red-400'} text-xs`}>{refund.error}</p>
+                            )}
+                            <div className="flex flex-wrap items-center gap-2">
+                              {refund.creditNoteNumber && (
+                                <button
+                                  onClick={() => downloadCreditNote(selectedOrder, refund)}
+                                  className="flex items-center gap-1 text-off-white hover:text-beige text-sm"
+                                >
+                                  <FileText className="w-4 h-4" />
+                                  {refund.creditNoteNumber}
+                                </button>
+                              )}
+                              {(refund.status === 'pending' || refund.status === 'failed') && (
+                                <>
+                                  <input
+                                    type="text"
+                                    value={manualReferences[refund.refundId] || ''}
+                                    onChange={(e) => setManualReferences({ ...manualReferences, [refund.refundId]: e.target.value })}
+                                    placeholder={refund.status === 'pending' ? 'مرجع التحويل' : 'مرجع التحويل إن تم يدوياً'}
+                                    maxLength={100}
+                                    className="flex-1 min-w-[10rem] px-3 py-1 bg-dark-brown/50 border border-gold/20 rounded-lg text-off-white text-sm placeholder-beige/40 focus:outline-none focus:border-gold/50"
+                                  />
+                                  <button
+                                    onClick={() => retryRefund(selectedOrder, refund)}
+                                    disabled={isRefunding || (refund.status === 'pending' && !manualReferences[refund.refundId]?.trim())}
+                                    className="px-3 py-1 bg-gold/20 hover:bg-gold/30 text-gold rounded-lg text-sm transition-colors disabled:opacity-50"
+                                  >
+                                    {refund.status === 'pending' ? 'تسجيل الدفع' : 'إعادة المحاولة'}
+                                  </button>
+                                </>
+                              )}
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {/* حالة الطلب وسجلها */}
+                <div className="bg-dark-brown/30 rounded-xl p-6 border border-gold/10">
+                  <div className="flex items-center gap-3 mb-4">
+                    <History className="w-5 h-5 text-gold" />
+                    <h3 className="text-lg font-semibold text-off-white">سجل الحالة</h3>
+                  </div>
+
+                  {ORDER_TRANSITIONS[selectedOrder.status]?.length > 0 && (
+                    <div className="mb-6 space-y-3">
+                      <input
+                        type="text"
+                        value={statusReason}
+                        onChange={(e) => setStatusReason(e.target.value)}
+                        placeholder="سبب التغيير (اختياري)"
+                        maxLength={500}
+                        className="w-full px-3 py-2 bg-dark-brown/50 border border-gold/20 rounded-lg text-off-white placeholder-beige/40 focus:outline-none focus:border-gold/50"
+                      />
+                      {ORDER_TRANSITIONS[selectedOrder.status].includes('shipped') && (
+                        <input
+                          type="text"
+                          value={trackingNumber}
+                          onChange={(e) => setTrackingNumber(e.target.value)}
+                          placeholder="رقم التتبع لدى شركة الشحن"
+                          maxLength={100}
+                          className="w-full px-3 py-2 bg-dark-brown/50 border border-gold/20 rounded-lg text-off-white placeholder-beige/40 focus:outline-none focus:border-gold/50"
+                        />
+                      )}
+                      <div className="flex flex-wrap gap-2">
+                        {ORDER_TRANSITIONS[selectedOrder.status].map(status => (
+                          <button
+                            key={status}
+                            onClick={() => updateOrderStatus(selectedOrder._id, status)}
+                            disabled={isUpdatingStatus}
+                            className={`px-4 py-2 rounded-lg text-sm font-medium text-white transition-opacity hover:opacity-90 disabled:opacity-50 ${getStatusColor(status)}`}
+                          >
+                            {getStatusText(status)}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  {selectedOrder.trackingNumber && (
+                    <div className="flex justify-between mb-4">
+                      <span className="text-beige/80">رقم التتبع:</span>
+                      <span className="text-off-white font-mono">{selectedOrder.trackingNumber}</span>
+                    </div>
+                  )}
+
+                  {selectedOrder.timeline && selectedOrder.timeline.length > 0 ? (
+                    <ol className="space-y-4 border-r border-gold/20 pr-4">
+                      {[...selectedOrder.timeline].reverse().map((entry, index) => (
+                        <li key={`${entry.status}-${entry.at}-${index}`} className="relative">
+                          <span className={`absolute -right-[1.3rem] top-1.5 w-2.5 h-2.5 rounded-full ${getStatusColor(entry.status)}`} />
+                          <div className="flex flex-wrap items-center justify-between gap-2">
+                            <span className="text-off-white font-medium">{getStatusText(entry.status)}</span>
+                            <span className="text-beige/60 text-xs">{new Date(entry.at).toLocaleString('ar-EG')}</span>
+                          </div>
+                          <div className="text-beige/60 text-xs mt-1">بواسطة: {actorText(entry.actor)}</div>
+                          {entry.reason && <p className="text-beige/80 text-sm mt-1">{entry.reason}</p>}
+                          {entry.effects && entry.effects.length > 0 && (
+                            <div className="flex flex-wrap gap-1 mt-2">
+                              {entry.effects.map(effect => (
+                                <span key={effect} className="px-2 py-0.5 rounded bg-gold/10 text-gold text-xs">
+                                  {EFFECT_LABELS[effect] || effect}
+                                </span>
+                              ))}
+                            </div>
+                          )}
+                        </li>
+                      ))}
+                    </ol>
+                  ) : (
+                    <p className="text-beige/60 text-sm">لا يوجد سجل لهذا الطلب</p>
+                  )}
+                </div>
+
                 {/* معلومات إضافية */}
                 <div className="bg-dark-brown/30 rounded-xl p-6 border border-gold/10">
                   <div className="flex items-center gap-3 mb-4">
@@ -36,7 +36,7 @@ import {
   TableHeader, 
   TableRow 
 } from '@/components/ui/table';
-import { orderService, Order } from '@/services/orderService';
+import { orderService, Order, OrderStatus } from '@/services/orderService';
 import { toast } from 'sonner';
 
 interface OrdersManagerProps {
@@ -123,7 +123,7 @@ export function OrdersManager({ currentLang }: OrdersManagerProps) {
 
   const updateOrderStatus = async (orderId: string, newStatus: string) => {
     try {
-      await orderService.updateOrderStatus(orderId, newStatus, 'order');
+      await orderService.updateOrderStatus(orderId, newStatus as OrderStatus);
       await loadOrders(); // Reload orders after update
       toast.success(currentLang === 'ar' ? 'تم تحديث حالة الطلب' : 'Order status updated');
     } catch (error) {
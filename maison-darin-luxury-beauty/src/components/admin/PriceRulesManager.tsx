@@ -0,0 +1,461 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Plus, Pencil, Trash2, Loader2 } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+import { productService, Product } from '@/services/productService';
+import { categoryService, Category } from '@/services/categoryService';
+import {
+  priceRuleService,
+  getPriceRuleStatus,
+  PriceRule,
+  PriceRuleData,
+  PriceRuleScope,
+  PriceRuleStatus,
+  DiscountType
+} from '@/services/priceRuleService';
+
+interface PriceRulesManagerProps {
+  currentLang: 'en' | 'ar';
+}
+
+const STATUS_LABELS: Record<PriceRuleStatus, { en: string; ar: string }> = {
+  running: { en: 'Running', ar: 'جارٍ' },
+  scheduled: { en: 'Scheduled', ar: 'مجدول' },
+  ended: { en: 'Ended', ar: 'منتهٍ' },
+  paused: { en: 'Paused', ar: 'متوقف' },
+};
+
+const STATUS_COLORS: Record<PriceRuleStatus, string> = {
+  running: 'bg-green-100 text-green-800',
+  scheduled: 'bg-blue-100 text-blue-800',
+  ended: 'bg-gray-100 text-gray-800',
+  paused: 'bg-amber-100 text-amber-800',
+};
+
+interface RuleForm {
+  nameEn: string;
+  nameAr: string;
+  scope: PriceRuleScope;
+  product: string;
+  category: string;
+  discountType: DiscountType;
+  value: string;
+  startsAt: string;
+  endsAt: string;
+  active: boolean;
+}
+
+// <input type="datetime-local"> works in local time without a zone
+const toLocalInput = (date: Date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+const emptyForm = (): RuleForm => ({
+  nameEn: '',
+  nameAr: '',
+  scope: 'product',
+  product: '',
+  category: '',
+  discountType: 'percentage',
+  value: '',
+  startsAt: toLocalInput(new Date()),
+  endsAt: toLocalInput(new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)),
+  active: true
+});
+
+export const PriceRulesManager = ({ currentLang }: PriceRulesManagerProps) => {
+  const [rules, setRules] = useState<PriceRule[]>([]);
+  const [products, setProducts] = useState<Product[]>([]);
+  const [categories, setCategories] = useState<Category[]>([]);
+  const [status, setStatus] = useState<PriceRuleStatus | 'all'>('all');
+  const [loading, setLoading] = useState(true);
+  const [editingRule, setEditingRule] = useState<PriceRule | null>(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [form, setForm] = useState<RuleForm>(emptyForm);
+  const [submitting, setSubmitting] = useState(false);
+  const { toast } = useToast();
+  const isRTL = currentLang === 'ar';
+
+  const fetchRules = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await priceRuleService.getRules({
+        status: status === 'all' ? undefined : status,
+        limit: 50
+      });
+      setRules(result.rules);
+    } catch (error) {
+      console.error('Error fetching price rules:', error);
+      toast({
+        title: isRTL ? 'خطأ' : 'Error',
+        description: isRTL ? 'فشل في تحميل التخفيضات' : 'Failed to load sales',
+        variant: 'destructive',
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [status, isRTL, toast]);
+
+  useEffect(() => {
+    fetchRules();
+  }, [fetchRules]);
+
+  useEffect(() => {
+    productService.getProducts({ limit: 100 })
+      .then((response) => setProducts(response.products))
+      .catch((error) => console.error('Error fetching products:', error));
+    categoryService.getCategories()
+      .then(setCategories)
+      .catch((error) => console.error('Error fetching categories:', error));
+  }, []);
+
+  const openCreate = () => {
+    setEditingRule(null);
+    setForm(emptyForm());
+    setDialogOpen(true);
+  };
+
+  const openEdit = (rule: PriceRule) => {
+    setEditingRule(rule);
+    setForm({
+      nameEn: rule.name.en,
+      nameAr: rule.name.ar || '',
+      scope: rule.scope,
+      product: typeof rule.product === 'string' ? rule.product : rule.product?._id || '',
+      category: typeof rule.category === 'string' ? rule.category : rule.category?._id || '',
+      discountType: rule.discountType,
+      value: String(rule.value),
+      startsAt: toLocalInput(new Date(rule.startsAt)),
+      endsAt: toLocalInput(new Date(rule.endsAt)),
+      active: rule.active
+    });
+    setDialogOpen(true);
+  };
+
+  const handleSave = async () => {
+    if (!form.nameEn.trim() || !form.value ||
+      (form.scope === 'product' && !form.product) ||
+      (form.scope === 'category' && !form.category)) {
+      toast({
+        title: isRTL ? 'خطأ' : 'Error',
+        description: isRTL ? 'يرجى تعبئة الاسم والقيمة والمنتج أو الفئة' : 'Please fill in the name, value and product or category',
+        variant: 'destructive',
+      });
+      return;
+    }
+
+    const data: PriceRuleData = {
+      name: { en: form.nameEn.trim(), ar: form.nameAr.trim() || undefined },
+      scope: form.scope,
+      product: form.scope === 'product' ? form.product : undefined,
+      category: form.scope === 'category' ? form.category : undefined,
+      discountType: form.discountType,
+      value: Number(form.value),
+      startsAt: new Date(form.startsAt).toISOString(),
+      endsAt: new Date(form.endsAt).toISOString(),
+      active: form.active
+    };
+
+    setSubmitting(true);
+    try {
+      if (editingRule) {
+        await priceRuleService.updateRule(editingRule._id, data);
+      } else {
+        await priceRuleService.createRule(data);
+      }
+
+      toast({
+        title: isRTL ? 'تم الحفظ' : 'Saved',
+        description: isRTL ? 'تم حفظ التخفيض' : 'Sale saved',
+      });
+      setDialogOpen(false);
+      fetchRules();
+    } catch (error) {
+      console.error('Error saving price rule:', error);
+      toast({
+        title: isRTL ? 'خطأ' : 'Error',
+        description: error instanceof Error ? error.message : (isRTL ? 'فشل في حفظ التخفيض' : 'Failed to save sale'),
+        variant: 'destructive',
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDelete = async (rule: PriceRule) => {
+    if (!confirm(isRTL ? 'هل أنت متأكد من حذف هذا التخفيض؟' : 'Are you sure you want to delete this sale?')) {
+      return;
+    }
+
+    try {
+      await priceRuleService.deleteRule(rule._id);
+      setRules(rules.filter(item => item._id !== rule._id));
+      toast({
+        title: isRTL ? 'تم الحذف' : 'Deleted',
+        description: isRTL ? 'تم حذف التخفيض' : 'Sale deleted',
+      });
+    } catch (error) {
+      console.error('Error deleting price rule:', error);
+      toast({
+        title: isRTL ? 'خطأ' : 'Error',
+        description: isRTL ? 'فشل في حذف التخفيض' : 'Failed to delete sale',
+        variant: 'destructive',
+      });
+    }
+  };
+
+  const targetName = (rule: PriceRule) => {
+    if (rule.scope === 'category') {
+      if (typeof rule.category !== 'string') {
+        return rule.category?.name[currentLang];
+      }
+      return categories.find(category => category._id === rule.category)?.name[currentLang] || rule.category;
+    }
+    return typeof rule.product === 'string' ? rule.product : rule.product?.name?.[currentLang];
+  };
+
+  const discountLabel = (rule: Pick<PriceRule, 'discountType' | 'value'>) =>
+    rule.discountType === 'percentage' ? `-${rule.value}%` : `-$${rule.value}`;
+
+  const formatDate = (date: string) =>
+    new Date(date).toLocaleString(isRTL ? 'ar-SA' : 'en-US', { dateStyle: 'medium', timeStyle: 'short' });
+
+  return (
+    <div className="space-y-6" dir={isRTL ? 'rtl' : 'ltr'}>
+      <div className="flex items-center justify-between gap-2">
+        <h2 className="text-2xl font-bold">{isRTL ? 'التخفيضات' : 'Sales'}</h2>
+        <div className="flex items-center gap-2">
+          <Select value={status} onValueChange={(value) => setStatus(value as PriceRuleStatus | 'all')}>
+            <SelectTrigger className="w-44">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">{isRTL ? 'الكل' : 'All'}</SelectItem>
+              {(Object.keys(STATUS_LABELS) as PriceRuleStatus[]).map((key) => (
+                <SelectItem key={key} value={key}>{STATUS_LABELS[key][currentLang]}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button onClick={openCreate}>
+            <Plus className="w-4 h-4 mr-1" />
+            {isRTL ? 'تخفيض جديد' : 'New Sale'}
+          </Button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <Loader2 className="w-8 h-8 animate-spin" />
+        </div>
+      ) : rules.length === 0 ? (
+        <Card>
+          <CardContent className="py-12 text-center text-muted-foreground">
+            {isRTL ? 'لا توجد تخفيضات' : 'No sales found'}
+          </CardContent>
+        </Card>
+      ) : (
+        <div className="space-y-4">
+          {rules.map((rule) => {
+            const ruleStatus = getPriceRuleStatus(rule);
+
+            return (
+              <Card key={rule._id}>
+                <CardHeader className="pb-2">
+                  <div className="flex flex-wrap items-center justify-between gap-2">
+                    <CardTitle className="text-base">{rule.name[currentLang] || rule.name.en}</CardTitle>
+                    <div className="flex items-center gap-2">
+                      <Badge className={STATUS_COLORS[ruleStatus]}>{STATUS_LABELS[ruleStatus][currentLang]}</Badge>
+                      <Badge variant="outline">{discountLabel(rule)}</Badge>
+                    </div>
+                  </div>
+                </CardHeader>
+                <CardContent className="space-y-3">
+                  <div className="flex flex-wrap items-center gap-3 text-sm">
+                    <span className="font-medium">
+                      {rule.scope === 'category' ? (isRTL ? 'فئة: ' : 'Category: ') : (isRTL ? 'منتج: ' : 'Product: ')}
+                      {targetName(rule)}
+                    </span>
+                    <span className="text-muted-foreground">
+                      {formatDate(rule.startsAt)} → {formatDate(rule.endsAt)}
+                    </span>
+                  </div>
+                  <div className="flex gap-2 pt-2">
+                    <Button size="sm" onClick={() => openEdit(rule)}>
+                      <Pencil className="w-4 h-4 mr-1" />
+                      {isRTL ? 'تعديل' : 'Edit'}
+                    </Button>
+                    <Button size="sm" variant="destructive" onClick={() => handleDelete(rule)}>
+                      <Trash2 className="w-4 h-4" />
+                    </Button>
+                  </div>
+                </CardContent>
+              </Card>
+            );
+          })}
+        </div>
+      )}
+
+      <Dialog open={dialogOpen} onOpenChange={setDialogOpen}>
+        <DialogContent className="max-w-2xl" dir={isRTL ? 'rtl' : 'ltr'}>
+          <DialogHeader>
+            <DialogTitle>
+              {editingRule ? (isRTL ? 'تعديل التخفيض' : 'Edit Sale') : (isRTL ? 'تخفيض جديد' : 'New Sale')}
+            </DialogTitle>
+            <DialogDescription>
+              {isRTL
+                ? 'إذا انطبق أكثر من تخفيض على منتج، يحصل العميل على أقل سعر'
+                : 'When several sales apply to a product, customers get the lowest price'}
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-1">
+                <Label htmlFor="ruleNameEn">{isRTL ? 'الاسم (إنجليزي)' : 'Name (English)'}</Label>
+                <Input
+                  id="ruleNameEn"
+                  dir="ltr"
+                  value={form.nameEn}
+                  onChange={(e) => setForm({ ...form, nameEn: e.target.value })}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="ruleNameAr">{isRTL ? 'الاسم (عربي)' : 'Name (Arabic)'}</Label>
+                <Input
+                  id="ruleNameAr"
+                  dir="rtl"
+                  value={form.nameAr}
+                  onChange={(e) => setForm({ ...form, nameAr: e.target.value })}
+                />
+              </div>
+
+              <div className="space-y-1">
+                <Label>{isRTL ? 'ينطبق على' : 'Applies to'}</Label>
+                <Select value={form.scope} onValueChange={(value) => setForm({ ...form, scope: value as PriceRuleScope })}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="product">{isRTL ? 'منتج' : 'Product'}</SelectItem>
+                    <SelectItem value="category">{isRTL ? 'فئة' : 'Category'}</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              {form.scope === 'product' ? (
+                <div className="space-y-1">
+                  <Label>{isRTL ? 'المنتج' : 'Product'}</Label>
+                  <Select value={form.product} onValueChange={(value) => setForm({ ...form, product: value })}>
+                    <SelectTrigger>
+                      <SelectValue placeholder={isRTL ? 'اختر منتجاً' : 'Choose a product'} />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {products.map((product) => (
+                        <SelectItem key={product._id} value={product._id}>
+                          {product.name[currentLang]} (${product.price})
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              ) : (
+                <div className="space-y-1">
+                  <Label>{isRTL ? 'الفئة' : 'Category'}</Label>
+                  <Select value={form.category} onValueChange={(value) => setForm({ ...form, category: value })}>
+                    <SelectTrigger>
+                      <SelectValue placeholder={isRTL ? 'اختر فئة' : 'Choose a category'} />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {categories.map((category) => (
+                        <SelectItem key={category._id} value={category._id}>
+                          {'— '.repeat(category.ancestors?.length || 0)}{category.name[currentLang]}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
+
+              <div className="space-y-1">
+                <Label>{isRTL ? 'نوع الخصم' : 'Discount type'}</Label>
+                <Select
+                  value={form.discountType}
+                  onValueChange={(value) => setForm({ ...form, discountType: value as DiscountType })}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="percentage">{isRTL ? 'نسبة مئوية' : 'Percentage'}</SelectItem>
+                    <SelectItem value="fixed">{isRTL ? 'مبلغ ثابت' : 'Fixed amount'}</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="ruleValue">
+                  {form.discountType === 'percentage'
+                    ? (isRTL ? 'نسبة الخصم (%)' : 'Discount (%)')
+                    : (isRTL ? 'مبلغ الخصم للقطعة' : 'Amount off each unit')}
+                </Label>
+                <Input
+                  id="ruleValue"
+                  type="number"
+                  min="0.01"
+                  max={form.discountType === 'percentage' ? '99.99' : undefined}
+                  step="0.01"
+                  value={form.value}
+                  onChange={(e) => setForm({ ...form, value: e.target.value })}
+                />
+              </div>
+
+              <div className="space-y-1">
+                <Label htmlFor="ruleStartsAt">{isRTL ? 'يبدأ في' : 'Starts'}</Label>
+                <Input
+                  id="ruleStartsAt"
+                  type="datetime-local"
+                  value={form.startsAt}
+                  onChange={(e) => setForm({ ...form, startsAt: e.target.value })}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="ruleEndsAt">{isRTL ? 'ينتهي في' : 'Ends'}</Label>
+                <Input
+                  id="ruleEndsAt"
+                  type="datetime-local"
+                  value={form.endsAt}
+                  onChange={(e) => setForm({ ...form, endsAt: e.target.value })}
+                />
+              </div>
+            </div>
+
+            <div className="flex items-center gap-2">
+              <Switch
+                id="ruleActive"
+                checked={form.active}
+                onCheckedChange={(checked) => setForm({ ...form, active: checked })}
+              />
+              <Label htmlFor="ruleActive">{isRTL ? 'مفعّل' : 'Active'}</Label>
+            </div>
+
+            <div className="flex justify-end gap-2">
+              <Button variant="outline" disabled={submitting} onClick={() => setDialogOpen(false)}>
+                {isRTL ? 'إلغاء' : 'Cancel'}
+              </Button>
+              <Button disabled={submitting} onClick={handleSave}>
+                {submitting && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+                {isRTL ? 'حفظ' : 'Save'}
+              </Button>
+            </div>
+          </div>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
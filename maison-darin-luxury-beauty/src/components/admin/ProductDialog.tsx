@@ -6,8 +6,13 @@ import { Textarea } from '@/components/ui/textarea';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { Label } from '@/components/ui/label';
 import { Switch } from '@/components/ui/switch';
+import { Checkbox } from '@/components/ui/checkbox';
 import { toast } from 'sonner';
-import { Save, X, Upload, ImagePlus, Trash2, Camera } from 'lucide-react';
+import { Save, X, Upload, ImagePlus, Trash2, Camera, Plus, Gift, CalendarClock, CreditCard } from 'lucide-react';
+import { productService } from '@/services/productService';
+import type { BundleComponent, PreOrderSettings, PriceHistoryEntry, Product as CatalogProduct, ProductCategory, ProductType, ProductVariantInput, StockDrift, StockMovement } from '@/services/productService';
+import { categoryService, Category } from '@/services/categoryService';
+import { StockLedger } from './StockLedger';
 
 interface Product {
   _id?: string;
@@ -25,10 +30,16 @@ interface Product {
   };
   price: number;
   size: string;
-  category: string;
+  categories: Array<string | ProductCategory>;
   images: Array<string | { url: string; cloudinaryId?: string; alt?: { en: string; ar: string }; order?: number }>;
   inStock: boolean;
   stock: number;
+  lowStockThreshold?: number | null;
+  stockDrift?: StockDrift;
+  preOrder?: PreOrderSettings;
+  type?: ProductType;
+  components?: BundleComponent[];
+  variants?: ProductVariantInput[];
   concentration?: {
     en: string;
     ar: string;
@@ -42,6 +53,14 @@ interface Product {
   createdAt?: string;
 }
 
+const PRICE_HISTORY_ACTIONS: Record<PriceHistoryEntry['action'], string> = {
+  created: 'سعر أولي',
+  changed: 'تغيير السعر',
+  sale_scheduled: 'بدء تخفيض',
+  sale_updated: 'تعديل تخفيض',
+  sale_cancelled: 'إلغاء تخفيض'
+};
+
 interface ProductDialogProps {
   isOpen: boolean;
   onClose: () => void;
@@ -56,7 +75,7 @@ export function ProductDialog({ isOpen, onClose, product, onSave }: ProductDialo
     longDescription: { en: '', ar: '' },
     price: 0,
     size: '100ml',
-    category: 'floral',
+    categories: [],
     images: [],
     inStock: true,
     stock: 0,
@@ -71,18 +90,9 @@ export function ProductDialog({ isOpen, onClose, product, onSave }: ProductDialo
   const [isLoading, setIsLoading] = useState(false);
   const [uploadingImages, setUploadingImages] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
-
-  // Category translations
-  const categories = [
-    { value: 'floral', label: 'زهري' },
-    { value: 'oriental', label: 'شرقي' },
-    { value: 'fresh', label: 'منعش' },
-    { value: 'woody', label: 'خشبي' },
-    { value: 'citrus', label: 'حمضي' },
-    { value: 'spicy', label: 'حار' },
-    { value: 'aquatic', label: 'مائي' },
-    { value: 'gourmand', label: 'حلو' }
-  ];
+  const [bundleOptions, setBundleOptions] = useState<CatalogProduct[]>([]);
+  const [priceHistory, setPriceHistory] = useState<PriceHistoryEntry[]>([]);
+  const [categoryOptions, setCategoryOptions] = useState<Category[]>([]);
 
   const sizes = ['30ml', '50ml', '75ml', '100ml', '125ml', '150ml'];
 
@@ -98,7 +108,7 @@ export function ProductDialog({ isOpen, onClose, product, onSave }: ProductDialo
           longDescription: { en: '', ar: '' },
           price: 0,
           size: '100ml',
-          category: 'floral',
+          categories: [],
           images: [],
           inStock: true,
           stock: 0,
@@ -153,6 +163,193 @@ export function ProductDialog({ isOpen, onClose, product, onSave }: ProductDialo
     });
   };
 
+  // Size variants (e.g. 30ml / 50ml / 100ml of the same fragrance)
+  const handleAddVariant = () => {
+    setFormData(prev => {
+      const variants = prev.variants || [];
+      const usedSizes = variants.map(v => v.size);
+      const nextSize = sizes.find(size => !usedSizes.includes(size)) || sizes[0];
+      return {
+        ...prev,
+        variants: [
+          ...variants,
+          {
+            size: nextSize,
+            sku: '',
+            price: prev.price || 0,
+            stock: 0,
+            isDefault: variants.length === 0
+          }
+        ]
+      };
+    });
+  };
+
+  const handleVariantChange = (index: number, field: keyof ProductVariantInput, value: string | number | boolean | undefined) => {
+    setFormData(prev => ({
+      ...prev,
+      variants: (prev.variants || []).map((variant, i) => {
+        if (field === 'isDefault') {
+          return { ...variant, isDefault: i === index };
+        }
+        return i === index ? { ...variant, [field]: value } : variant;
+      })
+    }));
+  };
+
+  const handleRemoveVariant = (index: number) => {
+    setFormData(prev => {
+      const variants = (prev.variants || []).filter((_, i) => i !== index);
+      if (variants.length > 0 && !variants.some(v => v.isDefault)) {
+        variants[0] = { ...variants[0], isDefault: true };
+      }
+      return { ...prev, variants };
+    });
+  };
+
+  const hasVariants = (formData.variants?.length || 0) > 0;
+  const isBundle = formData.type === 'bundle';
+  const isGiftCard = formData.type === 'gift_card';
+  const preOrder = formData.preOrder || { enabled: false };
+
+  const handlePreOrderChange = (field: keyof PreOrderSettings, value: string | number | boolean | null) => {
+    setFormData(prev => ({
+      ...prev,
+      preOrder: { enabled: false, ...prev.preOrder, [field]: value }
+    }));
+  };
+
+  // Keep the form in step with stock moved from the ledger, so saving it doesn't undo the movement
+  const handleStockMovement = (movement: StockMovement) => {
+    setFormData(prev => {
+      if (!movement.variant) {
+        return { ...prev, stock: movement.newStock, inStock: movement.newStock > 0 };
+      }
+
+      const variants = (prev.variants || []).map(variant =>
+        variant._id === movement.variant ? { ...variant, stock: movement.newStock } : variant
+      );
+      const stock = variants.reduce((sum, variant) => sum + variant.stock, 0);
+      return { ...prev, variants, stock, inStock: stock > 0 };
+    });
+  };
+
+  // Recent price changes of a saved product, including sales
+  useEffect(() => {
+    if (!isOpen || !formData._id) {
+      setPriceHistory([]);
+      return;
+    }
+
+    productService.getPriceHistory(formData._id, { limit: 20 })
+      .then(setPriceHistory)
+      .catch(() => setPriceHistory([]));
+  }, [isOpen, formData._id]);
+
+  // Products that can go inside a gift set (bundles can't contain bundles)
+  useEffect(() => {
+    if (!isOpen || !isBundle || bundleOptions.length > 0) return;
+
+    productService.getProducts({ type: 'single', limit: 100, sortBy: 'name', sortOrder: 'asc' })
+      .then(result => setBundleOptions(result.products.filter(p => p._id !== formData._id)))
+      .catch(() => toast.error('❌ فشل في تحميل المنتجات المتاحة للمجموعة'));
+  }, [isOpen, isBundle, bundleOptions.length, formData._id]);
+
+  // Categories a product can be filed under
+  useEffect(() => {
+    if (!isOpen || categoryOptions.length > 0) return;
+
+    categoryService.getActiveCategories()
+      .then(setCategoryOptions)
+      .catch(() => toast.error('❌ فشل في تحميل الفئات'));
+  }, [isOpen, categoryOptions.length]);
+
+  // Categories of a saved product come back populated
+  const categoryId = (category: string | ProductCategory) =>
+    typeof category === 'string' ? category : category._id;
+
+  const selectedCategoryIds = formData.categories.map(categoryId);
+
+  // Subcategories are labelled with their parent, e.g. "شرقي › عنبر"
+  const categoryLabel = (category: Category) => {
+    const parent = categoryOptions.find(option => option._id === category.parentCategory);
+    return parent ? `${parent.name.ar} › ${category.name.ar}` : category.name.ar;
+  };
+
+  const handleCategoryToggle = (id: string, checked: boolean) => {
+    setFormData(prev => ({
+      ...prev,
+      categories: checked
+        ? [...prev.categories, id]
+        : prev.categories.filter(category => categoryId(category) !== id)
+    }));
+  };
+
+  const componentProductId = (component: BundleComponent) =>
+    typeof component.product === 'string' ? component.product : component.product._id;
+
+  // Components of a saved bundle come back populated; fall back to that when the product isn't in the options list
+  const componentProduct = (component: BundleComponent) => {
+    const id = componentProductId(component);
+    return bundleOptions.find(p => p._id === id) || (typeof component.product === 'string' ? undefined : component.product);
+  };
+
+  const componentUnitPrice = (component: BundleComponent) => {
+    const selected = componentProduct(component);
+    if (!selected) return 0;
+    const variant = selected.variants?.find(v => v._id === component.variant);
+    return variant ? variant.price : selected.price;
+  };
+
+  const componentsValue = (formData.components || [])
+    .reduce((total, component) => total + componentUnitPrice(component) * component.quantity, 0);
+
+  const handleBundleToggle = (checked: boolean) => {
+    setFormData(prev => ({
+      ...prev,
+      type: checked ? 'bundle' : 'single',
+      components: checked ? (prev.components?.length ? prev.components : [{ product: '', quantity: 1 }]) : undefined,
+      // A gift set is sold as one item, so it has no sizes of its own
+      variants: checked ? undefined : prev.variants
+    }));
+  };
+
+  const handleGiftCardToggle = (checked: boolean) => {
+    setFormData(prev => ({
+      ...prev,
+      type: checked ? 'gift_card' : 'single',
+      components: checked ? undefined : prev.components,
+      // The price is the card's value, and cards are issued on payment rather than held in stock
+      variants: checked ? undefined : prev.variants,
+      preOrder: checked ? { ...prev.preOrder, enabled: false } : prev.preOrder
+    }));
+  };
+
+  const handleAddComponent = () => {
+    setFormData(prev => ({
+      ...prev,
+      components: [...(prev.components || []), { product: '', quantity: 1 }]
+    }));
+  };
+
+  const handleComponentChange = (index: number, changes: Partial<BundleComponent>) => {
+    setFormData(prev => ({
+      ...prev,
+      components: (prev.components || []).map((component, i) => {
+        if (i !== index) return component;
+        // Picking another product invalidates the chosen size
+        return 'product' in changes ? { ...component, ...changes, variant: undefined } : { ...component, ...changes };
+      })
+    }));
+  };
+
+  const handleRemoveComponent = (index: number) => {
+    setFormData(prev => ({
+      ...prev,
+      components: (prev.components || []).filter((_, i) => i !== index)
+    }));
+  };
+
   // Image upload functions
   const handleImageUpload = async (files: FileList) => {
     if (!files || files.length === 0) return;
@@ -297,11 +494,50 @@ export function ProductDialog({ isOpen, onClose, product, onSave }: ProductDialo
       return;
     }
     
-    if (formData.price <= 0) {
+    if (formData.categories.length === 0) {
+      toast.error('❌ يجب اختيار فئة واحدة على الأقل');
+      return;
+    }
+
+    if (!hasVariants && formData.price <= 0) {
       toast.error('❌ يجب إدخال سعر صحيح للمنتج');
       return;
     }
 
+    if (!isBundle && !isGiftCard && preOrder.enabled && !preOrder.releaseDate) {
+      toast.error('❌ يجب تحديد تاريخ الإطلاق للطلب المسبق');
+      return;
+    }
+
+    if (isBundle) {
+      const components = formData.components || [];
+      if (components.length === 0 || components.some(c => !componentProductId(c))) {
+        toast.error('❌ يجب اختيار منتج لكل مكون في المجموعة');
+        return;
+      }
+      if (components.some(c => !c.variant && (componentProduct(c)?.variants?.length || 0) > 0)) {
+        toast.error('❌ يجب اختيار الحجم لكل مكون متعدد الأحجام');
+        return;
+      }
+    }
+
+    if (hasVariants) {
+      const variants = formData.variants || [];
+      if (variants.some(v => !v.sku.trim())) {
+        toast.error('❌ يجب إدخال رمز SKU لكل حجم');
+        return;
+      }
+      if (variants.some(v => v.price <= 0)) {
+        toast.error('❌ يجب إدخال سعر صحيح لكل حجم');
+        return;
+      }
+      const skus = variants.map(v => v.sku.trim().toUpperCase());
+      if (new Set(skus).size !== skus.length) {
+        toast.error('❌ رمز SKU مكرر بين الأحجام');
+        return;
+      }
+    }
+
     try {
       setIsLoading(true);
       
@@ -310,6 +546,18 @@ export function ProductDialog({ isOpen, onClose, product, onSave }: ProductDialo
         : `${import.meta.env.VITE_API_URL || 'http://localhost:5000/api'}/products`;
       
       const method = product ? 'PUT' : 'POST';
+
+      const payload = {
+        ...formData,
+        categories: selectedCategoryIds,
+        ...(isBundle && {
+          components: (formData.components || []).map(c => ({
+            product: componentProductId(c),
+            variant: c.variant,
+            quantity: c.quantity
+          }))
+        })
+      };
       
       const response = await fetch(url, {
         method,
@@ -317,7 +565,7 @@ export function ProductDialog({ isOpen, onClose, product, onSave }: ProductDialo
           'Authorization': `Bearer ${localStorage.getItem('authToken')}`,
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify(formData)
+        body: JSON.stringify(payload)
       });
 
       if (response.ok) {
@@ -471,8 +719,8 @@ export function ProductDialog({ isOpen, onClose, product, onSave }: ProductDialo
             </div>
           </div>
 
-          {/* Price, Size, Category */}
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {/* Price and Size */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
             <div className="space-y-2">
               <Label htmlFor="price" className="text-dark-tea font-semibold">
                 السعر (ريال) *
@@ -486,14 +734,15 @@ export function ProductDialog({ isOpen, onClose, product, onSave }: ProductDialo
                 className="bg-white/50 border-gold/20"
                 min="0"
                 step="0.01"
-                required
+                disabled={hasVariants}
+                required={!hasVariants}
               />
             </div>
             <div className="space-y-2">
               <Label htmlFor="size" className="text-dark-tea font-semibold">
                 الحجم
               </Label>
-              <Select value={formData.size} onValueChange={(value) => handleInputChange('size', value)}>
+              <Select value={formData.size} onValueChange={(value) => handleInputChange('size', value)} disabled={hasVariants}>
                 <SelectTrigger className="bg-white/50 border-gold/20">
                   <SelectValue />
                 </SelectTrigger>
@@ -504,25 +753,31 @@ export function ProductDialog({ isOpen, onClose, product, onSave }: ProductDialo
                 </SelectContent>
               </Select>
             </div>
-            <div className="space-y-2">
-              <Label htmlFor="category" className="text-dark-tea font-semibold">
-                الفئة
-              </Label>
-              <Select value={formData.category} onValueChange={(value) => handleInputChange('category', value)}>
-                <SelectTrigger className="bg-white/50 border-gold/20">
-                  <SelectValue />
-                </SelectTrigger>
-                <SelectContent>
-                  {categories.map(cat => (
-                    <SelectItem key={cat.value} value={cat.value}>{cat.label}</SelectItem>
-                  ))}
-                </SelectContent>
-              </Select>
+          </div>
+
+          {/* Categories */}
+          <div className="space-y-2">
+            <Label className="text-dark-tea font-semibold">
+              الفئات *
+            </Label>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-2 p-3 bg-white/50 border border-gold/20 rounded-md">
+              {categoryOptions.map(category => (
+                <label key={category._id} className="flex items-center gap-2 text-sm text-dark-tea cursor-pointer">
+                  <Checkbox
+                    checked={selectedCategoryIds.includes(category._id)}
+                    onCheckedChange={(checked) => handleCategoryToggle(category._id, checked === true)}
+                  />
+                  {categoryLabel(category)}
+                </label>
+              ))}
+              {categoryOptions.length === 0 && (
+                <p className="col-span-full text-sm text-muted-foreground">لا توجد فئات نشطة</p>
+              )}
             </div>
           </div>
 
           {/* Stock and Featured */}
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
             <div className="space-y-2">
               <Label htmlFor="stock" className="text-dark-tea font-semibold">
                 الكمية المتوفرة
@@ -535,6 +790,21 @@ export function ProductDialog({ isOpen, onClose, product, onSave }: ProductDialo
                 placeholder="50"
                 className="bg-white/50 border-gold/20"
                 min="0"
+                disabled={hasVariants || isBundle || isGiftCard}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="lowStockThreshold" className="text-dark-tea font-semibold">
+                حد التنبيه بانخفاض المخزون
+              </Label>
+              <Input
+                id="lowStockThreshold"
+                type="number"
+                value={formData.lowStockThreshold ?? ''}
+                onChange={(e) => handleInputChange('lowStockThreshold', e.target.value === '' ? null : parseInt(e.target.value) || 0)}
+                placeholder="بدون تنبيه"
+                className="bg-white/50 border-gold/20"
+                min="0"
               />
             </div>
             <div className="space-y-2">
@@ -567,6 +837,327 @@ export function ProductDialog({ isOpen, onClose, product, onSave }: ProductDialo
             </div>
           </div>
 
+          {/* Pre-order */}
+          {!isBundle && !isGiftCard && (
+            <div className="space-y-4">
+              <div className="flex items-center justify-between border-b border-gold/20 pb-2">
+                <h3 className="text-lg font-semibold text-dark-tea flex items-center gap-2">
+                  <CalendarClock className="w-5 h-5" />
+                  طلب مسبق - Pre-order
+                </h3>
+                <Switch
+                  checked={preOrder.enabled}
+                  onCheckedChange={(checked) => handlePreOrderChange('enabled', checked)}
+                />
+              </div>
+
+              {preOrder.enabled && (
+                <>
+                  <p className="text-xs text-gray-500">
+                    يمكن طلب المنتج قبل توفره، وتُشحن الطلبات تلقائياً عند تاريخ الإطلاق
+                    {!!preOrder.reserved && ` - ${preOrder.reserved} قطعة محجوزة حالياً`}
+                  </p>
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div className="space-y-2">
+                      <Label htmlFor="preOrderReleaseDate" className="text-dark-tea font-semibold">
+                        تاريخ الإطلاق *
+                      </Label>
+                      <Input
+                        id="preOrderReleaseDate"
+                        type="date"
+                        value={preOrder.releaseDate ? preOrder.releaseDate.slice(0, 10) : ''}
+                        onChange={(e) => handlePreOrderChange('releaseDate', e.target.value)}
+                        className="bg-white/50 border-gold/20"
+                      />
+                    </div>
+                    <div className="space-y-2">
+                      <Label htmlFor="preOrderCap" className="text-dark-tea font-semibold">
+                        الحد الأقصى للطلبات المسبقة
+                      </Label>
+                      <Input
+                        id="preOrderCap"
+                        type="number"
+                        value={preOrder.cap ?? ''}
+                        onChange={(e) => handlePreOrderChange('cap', e.target.value === '' ? null : parseInt(e.target.value) || 1)}
+                        placeholder="بدون حد"
+                        className="bg-white/50 border-gold/20"
+                        min="1"
+                      />
+                    </div>
+                    <div className="space-y-2">
+                      <Label htmlFor="preOrderDeposit" className="text-dark-tea font-semibold">
+                        نسبة العربون (%)
+                      </Label>
+                      <Input
+                        id="preOrderDeposit"
+                        type="number"
+                        value={preOrder.depositPercent ?? ''}
+                        onChange={(e) => handlePreOrderChange('depositPercent', e.target.value === '' ? null : parseFloat(e.target.value) || 1)}
+                        placeholder="السعر كاملاً"
+                        className="bg-white/50 border-gold/20"
+                        min="1"
+                        max="100"
+                      />
+                    </div>
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+
+          {/* Gift Set / Bundle */}
+          <div className="space-y-4">
+            <div className="flex items-center justify-between border-b border-gold/20 pb-2">
+              <h3 className="text-lg font-semibold text-dark-tea flex items-center gap-2">
+                <Gift className="w-5 h-5" />
+                مجموعة هدايا - Gift Set
+              </h3>
+              <Switch checked={isBundle} onCheckedChange={handleBundleToggle} />
+            </div>
+
+            {isBundle ? (
+              <>
+                <p className="text-xs text-gray-500">
+                  تُحسب الكمية المتوفرة تلقائياً من مخزون المنتجات داخل المجموعة
+                </p>
+
+                {formData.components?.map((component, index) => {
+                  const selected = componentProduct(component);
+                  return (
+                    <div
+                      key={index}
+                      className="grid grid-cols-2 md:grid-cols-4 gap-3 p-3 rounded-lg border border-gold/20 bg-white/30"
+                    >
+                      <div className="space-y-1 col-span-2">
+                        <Label className="text-dark-tea text-sm">المنتج *</Label>
+                        <Select
+                          value={componentProductId(component) || undefined}
+                          onValueChange={(value) => handleComponentChange(index, { product: value })}
+                        >
+                          <SelectTrigger className="bg-white/50 border-gold/20">
+                            <SelectValue placeholder={selected?.name.ar || 'اختر منتجاً'} />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {bundleOptions.map(option => (
+                              <SelectItem key={option._id} value={option._id}>
+                                {option.name.ar} - {option.name.en}
+                              </SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      </div>
+                      <div className="space-y-1">
+                        <Label className="text-dark-tea text-sm">الحجم</Label>
+                        <Select
+                          value={component.variant || undefined}
+                          onValueChange={(value) => handleComponentChange(index, { variant: value })}
+                          disabled={!selected?.variants?.length}
+                        >
+                          <SelectTrigger className="bg-white/50 border-gold/20">
+                            <SelectValue placeholder={selected?.size || '-'} />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {selected?.variants?.map(variant => (
+                              <SelectItem key={variant._id} value={variant._id}>
+                                {variant.size} - {variant.price} ريال
+                              </SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      </div>
+                      <div className="flex items-end gap-2">
+                        <div className="space-y-1 flex-1">
+                          <Label className="text-dark-tea text-sm">الكمية</Label>
+                          <Input
+                            type="number"
+                            value={component.quantity}
+                            onChange={(e) => handleComponentChange(index, { quantity: Math.max(1, parseInt(e.target.value) || 1) })}
+                            className="bg-white/50 border-gold/20"
+                            min="1"
+                          />
+                        </div>
+                        <Button
+                          type="button"
+                          variant="ghost"
+                          size="icon"
+                          onClick={() => handleRemoveComponent(index)}
+                          className="text-red-500 hover:text-red-600"
+                          disabled={(formData.components?.length || 0) <= 1}
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </Button>
+                      </div>
+                    </div>
+                  );
+                })}
+
+                <div className="flex items-center justify-between">
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="sm"
+                    onClick={handleAddComponent}
+                    className="border-gold/30 text-dark-tea"
+                  >
+                    <Plus className="w-4 h-4 ml-1" />
+                    إضافة منتج
+                  </Button>
+                  {componentsValue > 0 && (
+                    <p className="text-sm text-dark-tea">
+                      قيمة المكونات: {componentsValue.toFixed(2)} ريال
+                      {componentsValue > formData.price && formData.price > 0 && (
+                        <span className="text-green-600 mr-2">
+                          (توفير {(componentsValue - formData.price).toFixed(2)} ريال)
+                        </span>
+                      )}
+                    </p>
+                  )}
+                </div>
+              </>
+            ) : (
+              <p className="text-xs text-gray-500">
+                فعّل هذا الخيار لبيع عدة عطور معاً كمجموعة بسعر خاص
+              </p>
+            )}
+          </div>
+
+          {/* Gift Card */}
+          <div className="space-y-4">
+            <div className="flex items-center justify-between border-b border-gold/20 pb-2">
+              <h3 className="text-lg font-semibold text-dark-tea flex items-center gap-2">
+                <CreditCard className="w-5 h-5" />
+                بطاقة هدية - Gift Card
+              </h3>
+              <Switch checked={isGiftCard} onCheckedChange={handleGiftCardToggle} />
+            </div>
+            {isGiftCard && (
+              <p className="text-xs text-gray-500">
+                السعر هو قيمة البطاقة، وتُصدر البطاقة وتُرسل إلى المستلم بالبريد فور الدفع دون خصم من المخزون
+              </p>
+            )}
+          </div>
+
+          {/* Size Variants */}
+          {!isBundle && !isGiftCard && (
+            <div className="space-y-4">
+              <div className="flex items-center justify-between border-b border-gold/20 pb-2">
+                <h3 className="text-lg font-semibold text-dark-tea">
+                  📏 الأحجام - Sizes
+                </h3>
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  onClick={handleAddVariant}
+                  className="border-gold/30 text-dark-tea"
+                >
+                  <Plus className="w-4 h-4 ml-1" />
+                  إضافة حجم
+                </Button>
+              </div>
+
+              {hasVariants ? (
+                <p className="text-xs text-gray-500">
+                  يتم احتساب السعر والحجم والكمية للمنتج تلقائياً من الأحجام
+                </p>
+              ) : (
+                <p className="text-xs text-gray-500">
+                  أضف أحجاماً إذا كان العطر متوفراً بأكثر من حجم وسعر
+                </p>
+              )}
+
+              {formData.variants?.map((variant, index) => (
+                <div
+                  key={variant._id || index}
+                  className="grid grid-cols-2 md:grid-cols-4 gap-3 p-3 rounded-lg border border-gold/20 bg-white/30"
+                >
+                  <div className="space-y-1">
+                    <Label className="text-dark-tea text-sm">الحجم</Label>
+                    <Select value={variant.size} onValueChange={(value) => handleVariantChange(index, 'size', value)}>
+                      <SelectTrigger className="bg-white/50 border-gold/20">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {sizes.map(size => (
+                          <SelectItem key={size} value={size}>{size}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div className="space-y-1">
+                    <Label className="text-dark-tea text-sm">SKU *</Label>
+                    <Input
+                      value={variant.sku}
+                      onChange={(e) => handleVariantChange(index, 'sku', e.target.value.toUpperCase())}
+                      placeholder="MD-FLORAL-50"
+                      className="bg-white/50 border-gold/20"
+                    />
+                  </div>
+                  <div className="space-y-1">
+                    <Label className="text-dark-tea text-sm">السعر (ريال) *</Label>
+                    <Input
+                      type="number"
+                      value={variant.price}
+                      onChange={(e) => handleVariantChange(index, 'price', parseFloat(e.target.value) || 0)}
+                      className="bg-white/50 border-gold/20"
+                      min="0"
+                      step="0.01"
+                    />
+                  </div>
+                  <div className="space-y-1">
+                    <Label className="text-dark-tea text-sm">السعر قبل الخصم</Label>
+                    <Input
+                      type="number"
+                      value={variant.compareAtPrice ?? ''}
+                      onChange={(e) => handleVariantChange(index, 'compareAtPrice', e.target.value ? parseFloat(e.target.value) : undefined)}
+                      className="bg-white/50 border-gold/20"
+                      min="0"
+                      step="0.01"
+                    />
+                  </div>
+                  <div className="space-y-1">
+                    <Label className="text-dark-tea text-sm">الكمية</Label>
+                    <Input
+                      type="number"
+                      value={variant.stock}
+                      onChange={(e) => handleVariantChange(index, 'stock', parseInt(e.target.value) || 0)}
+                      className="bg-white/50 border-gold/20"
+                      min="0"
+                    />
+                  </div>
+                  <div className="space-y-1">
+                    <Label className="text-dark-tea text-sm">الباركود</Label>
+                    <Input
+                      value={variant.barcode || ''}
+                      onChange={(e) => handleVariantChange(index, 'barcode', e.target.value)}
+                      className="bg-white/50 border-gold/20"
+                    />
+                  </div>
+                  <div className="space-y-1">
+                    <Label className="text-dark-tea text-sm">الحجم الافتراضي</Label>
+                    <div className="flex items-center h-10">
+                      <Switch
+                        checked={variant.isDefault || false}
+                        onCheckedChange={() => handleVariantChange(index, 'isDefault', true)}
+                      />
+                    </div>
+                  </div>
+                  <div className="flex items-end justify-end">
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => handleRemoveVariant(index)}
+                      className="text-red-500 hover:text-red-600"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </Button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
           {/* Fragrance Notes (هرم العطر) */}
           <div className="space-y-4">
             <h3 className="text-lg font-semibold text-dark-tea border-b border-gold/20 pb-2">
@@ -851,6 +1442,45 @@ export function ProductDialog({ isOpen, onClose, product, onSave }: ProductDialo
             )}
           </div>
 
+          {/* Price History */}
+          {priceHistory.length > 0 && (
+            <div className="space-y-2">
+              <Label className="text-dark-tea font-semibold">سجل الأسعار</Label>
+              <div className="max-h-48 overflow-y-auto rounded-lg border border-gold/20 divide-y divide-gold/10">
+                {priceHistory.map(entry => (
+                  <div key={entry._id} className="flex flex-wrap items-center justify-between gap-2 px-3 py-2 text-sm">
+                    <span className="text-dark-tea">
+                      {PRICE_HISTORY_ACTIONS[entry.action]}
+                      {entry.size && ` • ${entry.size}`}
+                      {entry.rule && ` • ${entry.rule.name.ar || entry.rule.name.en}`}
+                    </span>
+                    <span className="font-medium">
+                      {entry.previousPrice !== undefined && (
+                        <span className="text-muted-foreground">${entry.previousPrice} ← </span>
+                      )}
+                      ${entry.price}
+                    </span>
+                    <span className="w-full text-xs text-muted-foreground">
+                      {new Date(entry.createdAt).toLocaleString('ar-SA')}
+                      {entry.endsAt && ` • حتى ${new Date(entry.endsAt).toLocaleDateString('ar-SA')}`}
+                      {entry.changedBy && ` • ${entry.changedBy.email}`}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Stock Ledger */}
+          {formData._id && !isBundle && !isGiftCard && (
+            <StockLedger
+              productId={formData._id}
+              variants={formData.variants}
+              stockDrift={formData.stockDrift}
+              onStockChange={handleStockMovement}
+            />
+          )}
+
           {/* Action Buttons */}
           <div className="flex gap-3 pt-4">
             <Button
@@ -14,6 +14,8 @@ import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { toast } from 'sonner';
 import { ProductDialog } from './ProductDialog';
+import { categoryService, Category } from '@/services/categoryService';
+import type { ProductCategory } from '@/services/productService';
 import { Input } from '@/components/ui/input';
 import { Button } from '@/components/ui/button';
 import { 
@@ -36,7 +38,7 @@ interface Product {
   };
   price: number;
   size: string;
-  category: string;
+  categories: Array<string | ProductCategory>;
   images: Array<string | { url: string; alt?: { en: string; ar: string }; order?: number }>;
   inStock: boolean;
   stock: number;
@@ -54,7 +56,7 @@ export function ProductsManager({ currentLang }: ProductsManagerProps) {
   const [isDialogOpen, setIsDialogOpen] = useState(false);
   const [editingProduct, setEditingProduct] = useState<Product | null>(null);
   const [isLoading, setIsLoading] = useState(true);
-  const [categories, setCategories] = useState<Array<{value: string; label: string}>>([]);
+  const [categories, setCategories] = useState<Category[]>([]);
   const [isDeleting, setIsDeleting] = useState(false);
   const [deleteProductId, setDeleteProductId] = useState<string | null>(null);
 
@@ -97,6 +99,9 @@ export function ProductsManager({ currentLang }: ProductsManagerProps) {
 
   useEffect(() => {
     fetchProducts();
+    categoryService.getCategories()
+      .then(setCategories)
+      .catch(() => toast.error('فشل في تحميل الفئات'));
   }, []);
 
   // Handle product deletion
@@ -218,18 +223,24 @@ export function ProductsManager({ currentLang }: ProductsManagerProps) {
 
   const isRTL = currentLang === 'ar';
 
-  // Category translations
-  const categoryTranslations = {
-    'floral': 'زهري',
-    'oriental': 'شرقي', 
-    'fresh': 'منعش',
-    'woody': 'خشبي',
-    'citrus': 'حمضي',
-    'spicy': 'حار',
-    'aquatic': 'مائي',
-    'gourmand': 'حلو'
+  // Saved products come back with category IDs, listed products with populated categories
+  const categoryId = (category: string | ProductCategory) =>
+    typeof category === 'string' ? category : category._id;
+
+  const categoryName = (category: string | ProductCategory) => {
+    const id = categoryId(category);
+    return categories.find(c => c._id === id)?.name.ar ||
+      (typeof category === 'string' ? category : category.name.ar);
   };
 
+  // Filtering by a category includes its subcategories
+  const isInCategory = (product: Product, id: string) =>
+    (product.categories || []).some(category => {
+      const productCategoryId = categoryId(category);
+      return productCategoryId === id ||
+        !!categories.find(c => c._id === productCategoryId)?.ancestors?.includes(id);
+    });
+
   // Fallback images for products
   const fallbackImages = [
     'https://images.unsplash.com/photo-1541643600914-78b084683601?w=400&h=400&fit=crop&q=80',
@@ -263,7 +274,7 @@ export function ProductsManager({ currentLang }: ProductsManagerProps) {
     const matchesSearch = product.name?.ar?.toLowerCase().includes(searchQuery.toLowerCase()) ||
                          product.name?.en?.toLowerCase().includes(searchQuery.toLowerCase()) ||
                          product.description?.ar?.toLowerCase().includes(searchQuery.toLowerCase());
-    const matchesCategory = selectedCategory === 'all' || product.category === selectedCategory;
+    const matchesCategory = selectedCategory === 'all' || isInCategory(product, selectedCategory);
     return matchesSearch && matchesCategory;
   });
 
@@ -348,8 +359,10 @@ export function ProductsManager({ currentLang }: ProductsManagerProps) {
               </SelectTrigger>
               <SelectContent>
                 <SelectItem value="all">جميع الفئات</SelectItem>
-                {Object.entries(categoryTranslations).map(([key, value]) => (
-                  <SelectItem key={key} value={key}>{value}</SelectItem>
+                {categories.map(category => (
+                  <SelectItem key={category._id} value={category._id}>
+                    {'— '.repeat(category.ancestors?.length || 0)}{category.name.ar}
+                  </SelectItem>
                 ))}
               </SelectContent>
             </Select>
@@ -401,9 +414,11 @@ export function ProductsManager({ currentLang }: ProductsManagerProps) {
                           {product.description?.ar || product.description?.en || 'لا يوجد وصف'}
                         </p>
                         <div className="flex flex-wrap gap-2 mb-3">
-                          <Badge variant="secondary" className="bg-gold/20 text-dark-tea">
-                            {categoryTranslations[product.category] || product.category}
-                          </Badge>
+                          {(product.categories || []).map(category => (
+                            <Badge key={categoryId(category)} variant="secondary" className="bg-gold/20 text-dark-tea">
+                              {categoryName(category)}
+                            </Badge>
+                          ))}
                           <Badge variant="secondary" className="bg-light-brown/20 text-dark-tea">
                             {product.size}
                           </Badge>
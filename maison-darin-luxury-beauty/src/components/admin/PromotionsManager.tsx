@@ -0,0 +1,697 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Plus, Pencil, Trash2, Loader2, Search } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+import { productService, Product } from '@/services/productService';
+import { categoryService, Category } from '@/services/categoryService';
+import {
+  promotionService,
+  getPromotionStatus,
+  Promotion,
+  PromotionData,
+  PromotionType,
+  PromotionTarget,
+  PromotionStatus,
+  CustomerTier
+} from '@/services/promotionService';
+
+interface PromotionsManagerProps {
+  currentLang: 'en' | 'ar';
+}
+
+const STATUS_LABELS: Record<PromotionStatus, { en: string; ar: string }> = {
+  running: { en: 'Running', ar: 'جارٍ' },
+  scheduled: { en: 'Scheduled', ar: 'مجدول' },
+  ended: { en: 'Ended', ar: 'منتهٍ' },
+  paused: { en: 'Paused', ar: 'متوقف' },
+};
+
+const STATUS_COLORS: Record<PromotionStatus, string> = {
+  running: 'bg-green-100 text-green-800',
+  scheduled: 'bg-blue-100 text-blue-800',
+  ended: 'bg-gray-100 text-gray-800',
+  paused: 'bg-amber-100 text-amber-800',
+};
+
+const TYPE_LABELS: Record<PromotionType, { en: string; ar: string }> = {
+  percentage: { en: 'Percentage off', ar: 'نسبة مئوية' },
+  fixed: { en: 'Amount off', ar: 'مبلغ ثابت' },
+  free_shipping: { en: 'Free shipping', ar: 'شحن مجاني' },
+  buy_x_get_y: { en: 'Buy X get Y', ar: 'اشترِ X واحصل على Y' },
+};
+
+const TIER_LABELS: Record<CustomerTier, { en: string; ar: string }> = {
+  bronze: { en: 'Bronze', ar: 'برونزي' },
+  silver: { en: 'Silver', ar: 'فضي' },
+  gold: { en: 'Gold', ar: 'ذهبي' },
+  platinum: { en: 'Platinum', ar: 'بلاتيني' },
+};
+
+interface PromotionForm {
+  nameEn: string;
+  nameAr: string;
+  code: string;
+  type: PromotionType;
+  value: string;
+  buyQuantity: string;
+  getQuantity: string;
+  getDiscountPercent: string;
+  minOrderValue: string;
+  appliesTo: PromotionTarget;
+  products: string[];
+  categories: string[];
+  customerTiers: CustomerTier[];
+  excludeSaleItems: boolean;
+  stackable: boolean;
+  usageLimit: string;
+  perCustomerLimit: string;
+  startsAt: string;
+  endsAt: string;
+  active: boolean;
+}
+
+// <input type="datetime-local"> works in local time without a zone
+const toLocalInput = (date: Date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+const emptyForm = (): PromotionForm => ({
+  nameEn: '',
+  nameAr: '',
+  code: '',
+  type: 'percentage',
+  value: '',
+  buyQuantity: '2',
+  getQuantity: '1',
+  getDiscountPercent: '100',
+  minOrderValue: '',
+  appliesTo: 'all',
+  products: [],
+  categories: [],
+  customerTiers: [],
+  excludeSaleItems: false,
+  stackable: false,
+  usageLimit: '',
+  perCustomerLimit: '',
+  startsAt: toLocalInput(new Date()),
+  endsAt: '',
+  active: true
+});
+
+const idOf = (ref: string | { _id: string }) => (typeof ref === 'string' ? ref : ref._id);
+
+const toggle = <T,>(list: T[], value: T) =>
+  list.includes(value) ? list.filter(item => item !== value) : [...list, value];
+
+export const PromotionsManager = ({ currentLang }: PromotionsManagerProps) => {
+  const [promotions, setPromotions] = useState<Promotion[]>([]);
+  const [products, setProducts] = useState<Product[]>([]);
+  const [categories, setCategories] = useState<Category[]>([]);
+  const [status, setStatus] = useState<PromotionStatus | 'all'>('all');
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [editingPromotion, setEditingPromotion] = useState<Promotion | null>(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [form, setForm] = useState<PromotionForm>(emptyForm);
+  const [submitting, setSubmitting] = useState(false);
+  const { toast } = useToast();
+  const isRTL = currentLang === 'ar';
+
+  const fetchPromotions = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await promotionService.getPromotions({
+        status: status === 'all' ? undefined : status,
+        search: search.trim() || undefined,
+        limit: 50
+      });
+      setPromotions(result.promotions);
+    } catch (error) {
+      console.error('Error fetching promotions:', error);
+      toast({
+        title: isRTL ? 'خطأ' : 'Error',
+        description: isRTL ? 'فشل في تحميل العروض' : 'Failed to load promotions',
+        variant: 'destructive',
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [status, search, isRTL, toast]);
+
+  useEffect(() => {
+    const timer = setTimeout(fetchPromotions, 300);
+    return () => clearTimeout(timer);
+  }, [fetchPromotions]);
+
+  useEffect(() => {
+    productService.getProducts({ limit: 100 })
+      .then((response) => setProducts(response.products))
+      .catch((error) => console.error('Error fetching products:', error));
+    categoryService.getCategories()
+      .then(setCategories)
+      .catch((error) => console.error('Error fetching categories:', error));
+  }, []);
+
+  const openCreate = () => {
+    setEditingPromotion(null);
+    setForm(emptyForm());
+    setDialogOpen(true);
+  };
+
+  const openEdit = (promotion: Promotion) => {
+    setEditingPromotion(promotion);
+    setForm({
+      nameEn: promotion.name.en,
+      nameAr: promotion.name.ar || '',
+      code: promotion.code || '',
+      type: promotion.type,
+      value: promotion.value ? String(promotion.value) : '',
+      buyQuantity: String(promotion.buyQuantity || 2),
+      getQuantity: String(promotion.getQuantity || 1),
+      getDiscountPercent: String(promotion.getDiscountPercent || 100),
+      minOrderValue: promotion.minOrderValue ? String(promotion.minOrderValue) : '',
+      appliesTo: promotion.appliesTo,
+      products: promotion.products.map(idOf),
+      categories: promotion.categories.map(idOf),
+      customerTiers: promotion.customerTiers,
+      excludeSaleItems: promotion.excludeSaleItems,
+      stackable: promotion.stackable,
+      usageLimit: promotion.usageLimit ? String(promotion.usageLimit) : '',
+      perCustomerLimit: promotion.perCustomerLimit ? String(promotion.perCustomerLimit) : '',
+      startsAt: toLocalInput(new Date(promotion.startsAt)),
+      endsAt: promotion.endsAt ? toLocalInput(new Date(promotion.endsAt)) : '',
+      active: promotion.active
+    });
+    setDialogOpen(true);
+  };
+
+  const handleSave = async () => {
+    const needsValue = form.type === 'percentage' || form.type === 'fixed';
+    if (!form.nameEn.trim() || (needsValue && !form.value) ||
+      (form.appliesTo === 'products' && form.products.length === 0) ||
+      (form.appliesTo === 'categories' && form.categories.length === 0)) {
+      toast({
+        title: isRTL ? 'خطأ' : 'Error',
+        description: isRTL
+          ? 'يرجى تعبئة الاسم والقيمة واختيار المنتجات أو الفئات'
+          : 'Please fill in the name and value, and choose the products or categories',
+        variant: 'destructive',
+      });
+      return;
+    }
+
+    const data: PromotionData = {
+      name: { en: form.nameEn.trim(), ar: form.nameAr.trim() || undefined },
+      code: form.code.trim() || null,
+      type: form.type,
+      value: needsValue ? Number(form.value) : undefined,
+      buyQuantity: form.type === 'buy_x_get_y' ? Number(form.buyQuantity) : undefined,
+      getQuantity: form.type === 'buy_x_get_y' ? Number(form.getQuantity) : undefined,
+      getDiscountPercent: form.type === 'buy_x_get_y' ? Number(form.getDiscountPercent) : undefined,
+      minOrderValue: Number(form.minOrderValue) || 0,
+      appliesTo: form.appliesTo,
+      products: form.appliesTo === 'products' ? form.products : [],
+      categories: form.appliesTo === 'categories' ? form.categories : [],
+      customerTiers: form.customerTiers,
+      excludeSaleItems: form.excludeSaleItems,
+      stackable: form.stackable,
+      usageLimit: form.usageLimit ? Number(form.usageLimit) : null,
+      perCustomerLimit: form.perCustomerLimit ? Number(form.perCustomerLimit) : null,
+      startsAt: new Date(form.startsAt).toISOString(),
+      endsAt: form.endsAt ? new Date(form.endsAt).toISOString() : null,
+      active: form.active
+    };
+
+    setSubmitting(true);
+    try {
+      if (editingPromotion) {
+        await promotionService.updatePromotion(editingPromotion._id, data);
+      } else {
+        await promotionService.createPromotion(data);
+      }
+
+      toast({
+        title: isRTL ? 'تم الحفظ' : 'Saved',
+        description: isRTL ? 'تم حفظ العرض' : 'Promotion saved',
+      });
+      setDialogOpen(false);
+      fetchPromotions();
+    } catch (error) {
+      console.error('Error saving promotion:', error);
+      toast({
+        title: isRTL ? 'خطأ' : 'Error',
+        description: error instanceof Error ? error.message : (isRTL ? 'فشل في حفظ العرض' : 'Failed to save promotion'),
+        variant: 'destructive',
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDelete = async (promotion: Promotion) => {
+    if (!confirm(isRTL ? 'هل أنت متأكد من حذف هذا العرض؟' : 'Are you sure you want to delete this promotion?')) {
+      return;
+    }
+
+    try {
+      await promotionService.deletePromotion(promotion._id);
+      setPromotions(promotions.filter(item => item._id !== promotion._id));
+      toast({
+        title: isRTL ? 'تم الحذف' : 'Deleted',
+        description: isRTL ? 'تم حذف العرض' : 'Promotion deleted',
+      });
+    } catch (error) {
+      console.error('Error deleting promotion:', error);
+      toast({
+        title: isRTL ? 'خطأ' : 'Error',
+        description: isRTL ? 'فشل في حذف العرض' : 'Failed to delete promotion',
+        variant: 'destructive',
+      });
+    }
+  };
+
+  const discountLabel = (promotion: Promotion) => {
+    switch (promotion.type) {
+      case 'percentage':
+        return `-${promotion.value}%`;
+      case 'fixed':
+        return `-$${promotion.value}`;
+      case 'buy_x_get_y':
+        return isRTL
+          ? `اشترِ ${promotion.buyQuantity} واحصل على ${promotion.getQuantity} (-${promotion.getDiscountPercent}%)`
+          : `Buy ${promotion.buyQuantity} get ${promotion.getQuantity} (-${promotion.getDiscountPercent}%)`;
+      default:
+        return TYPE_LABELS[promotion.type][currentLang];
+    }
+  };
+
+  const targetLabel = (promotion: Promotion) => {
+    if (promotion.appliesTo === 'products') {
+      return `${isRTL ? 'منتجات: ' : 'Products: '}${promotion.products
+        .map(product => (typeof product === 'string' ? product : product.name[currentLang]))
+        .join('، ')}`;
+    }
+    if (promotion.appliesTo === 'categories') {
+      return `${isRTL ? 'فئات: ' : 'Categories: '}${promotion.categories
+        .map(category => (typeof category === 'string'
+          ? categories.find(item => item._id === category)?.name[currentLang] || category
+          : category.name[currentLang]))
+        .join('، ')}`;
+    }
+    return isRTL ? 'جميع المنتجات' : 'All products';
+  };
+
+  const formatDate = (date: string) =>
+    new Date(date).toLocaleString(isRTL ? 'ar-SA' : 'en-US', { dateStyle: 'medium', timeStyle: 'short' });
+
+  return (
+    <div className="space-y-6" dir={isRTL ? 'rtl' : 'ltr'}>
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="text-2xl font-bold">{isRTL ? 'العروض والكوبونات' : 'Promotions & Coupons'}</h2>
+        <div className="flex flex-wrap items-center gap-2">
+          <div className="relative">
+            <Search className={`absolute top-1/2 -translate-y-1/2 w-4 h-4 text-muted-foreground ${isRTL ? 'right-3' : 'left-3'}`} />
+            <Input
+              className={`w-48 ${isRTL ? 'pr-9' : 'pl-9'}`}
+              placeholder={isRTL ? 'بحث بالاسم أو الكود' : 'Search name or code'}
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+            />
+          </div>
+          <Select value={status} onValueChange={(value) => setStatus(value as PromotionStatus | 'all')}>
+            <SelectTrigger className="w-44">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">{isRTL ? 'الكل' : 'All'}</SelectItem>
+              {(Object.keys(STATUS_LABELS) as PromotionStatus[]).map((key) => (
+                <SelectItem key={key} value={key}>{STATUS_LABELS[key][currentLang]}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button onClick={openCreate}>
+            <Plus className="w-4 h-4 mr-1" />
+            {isRTL ? 'عرض جديد' : 'New Promotion'}
+          </Button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <Loader2 className="w-8 h-8 animate-spin" />
+        </div>
+      ) : promotions.length === 0 ? (
+        <Card>
+          <CardContent className="py-12 text-center text-muted-foreground">
+            {isRTL ? 'لا توجد عروض' : 'No promotions found'}
+          </CardContent>
+        </Card>
+      ) : (
+        <div className="space-y-4">
+          {promotions.map((promotion) => {
+            const promotionStatus = getPromotionStatus(promotion);
+
+            return (
+              <Card key={promotion._id}>
+                <CardHeader className="pb-2">
+                  <div className="flex flex-wrap items-center justify-between gap-2">
+                    <CardTitle className="text-base flex items-center gap-2">
+                      {promotion.name[currentLang] || promotion.name.en}
+                      {promotion.code ? (
+                        <Badge variant="secondary" className="font-mono">{promotion.code}</Badge>
+                      ) : (
+                        <Badge variant="outline">{isRTL ? 'تلقائي' : 'Automatic'}</Badge>
+                      )}
+                    </CardTitle>
+                    <div className="flex items-center gap-2">
+                      <Badge className={STATUS_COLORS[promotionStatus]}>{STATUS_LABELS[promotionStatus][currentLang]}</Badge>
+                      <Badge variant="outline">{discountLabel(promotion)}</Badge>
+                      {promotion.stackable && <Badge variant="outline">{isRTL ? 'قابل للجمع' : 'Stackable'}</Badge>}
+                    </div>
+                  </div>
+                </CardHeader>
+                <CardContent className="space-y-3">
+                  <div className="flex flex-wrap items-center gap-3 text-sm">
+                    <span className="font-medium">{targetLabel(promotion)}</span>
+                    {promotion.minOrderValue > 0 && (
+                      <span className="text-muted-foreground">
+                        {isRTL ? `حد أدنى $${promotion.minOrderValue}` : `Min. order $${promotion.minOrderValue}`}
+                      </span>
+                    )}
+                    {promotion.customerTiers.length > 0 && (
+                      <span className="text-muted-foreground">
+                        {promotion.customerTiers.map(tier => TIER_LABELS[tier][currentLang]).join('، ')}
+                      </span>
+                    )}
+                    <span className="text-muted-foreground">
+                      {isRTL ? 'الاستخدام: ' : 'Used: '}
+                      {promotion.usedCount}{promotion.usageLimit ? ` / ${promotion.usageLimit}` : ''}
+                    </span>
+                    <span className="text-muted-foreground">
+                      {formatDate(promotion.startsAt)} → {promotion.endsAt ? formatDate(promotion.endsAt) : (isRTL ? 'بدون نهاية' : 'No end')}
+                    </span>
+                  </div>
+                  <div className="flex gap-2 pt-2">
+                    <Button size="sm" onClick={() => openEdit(promotion)}>
+                      <Pencil className="w-4 h-4 mr-1" />
+                      {isRTL ? 'تعديل' : 'Edit'}
+                    </Button>
+                    <Button size="sm" variant="destructive" onClick={() => handleDelete(promotion)}>
+                      <Trash2 className="w-4 h-4" />
+                    </Button>
+                  </div>
+                </CardContent>
+              </Card>
+            );
+          })}
+        </div>
+      )}
+
+      <Dialog open={dialogOpen} onOpenChange={setDialogOpen}>
+        <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto" dir={isRTL ? 'rtl' : 'ltr'}>
+          <DialogHeader>
+            <DialogTitle>
+              {editingPromotion ? (isRTL ? 'تعديل العرض' : 'Edit Promotion') : (isRTL ? 'عرض جديد' : 'New Promotion')}
+            </DialogTitle>
+            <DialogDescription>
+              {isRTL
+                ? 'العروض بدون كود تُطبق تلقائياً. العروض القابلة للجمع تُجمع معاً، وغيرها يُطبق وحده ويحصل العميل على الأوفر'
+                : 'Promotions without a code apply automatically. Stackable promotions combine; any other is used on its own and customers get the better saving'}
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-1">
+                <Label htmlFor="promotionNameEn">{isRTL ? 'الاسم (إنجليزي)' : 'Name (English)'}</Label>
+                <Input
+                  id="promotionNameEn"
+                  dir="ltr"
+                  value={form.nameEn}
+                  onChange={(e) => setForm({ ...form, nameEn: e.target.value })}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="promotionNameAr">{isRTL ? 'الاسم (عربي)' : 'Name (Arabic)'}</Label>
+                <Input
+                  id="promotionNameAr"
+                  dir="rtl"
+                  value={form.nameAr}
+                  onChange={(e) => setForm({ ...form, nameAr: e.target.value })}
+                />
+              </div>
+
+              <div className="space-y-1">
+                <Label htmlFor="promotionCode">{isRTL ? 'كود الخصم (اختياري)' : 'Coupon code (optional)'}</Label>
+                <Input
+                  id="promotionCode"
+                  dir="ltr"
+                  className="font-mono uppercase"
+                  maxLength={30}
+                  value={form.code}
+                  onChange={(e) => setForm({ ...form, code: e.target.value.toUpperCase().replace(/[^A-Z0-9_-]/g, '') })}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label>{isRTL ? 'نوع العرض' : 'Promotion type'}</Label>
+                <Select value={form.type} onValueChange={(value) => setForm({ ...form, type: value as PromotionType })}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {(Object.keys(TYPE_LABELS) as PromotionType[]).map((key) => (
+                      <SelectItem key={key} value={key}>{TYPE_LABELS[key][currentLang]}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              {(form.type === 'percentage' || form.type === 'fixed') && (
+                <div className="space-y-1">
+                  <Label htmlFor="promotionValue">
+                    {form.type === 'percentage'
+                      ? (isRTL ? 'نسبة الخصم (%)' : 'Discount (%)')
+                      : (isRTL ? 'مبلغ الخصم من الطلب' : 'Amount off the order')}
+                  </Label>
+                  <Input
+                    id="promotionValue"
+                    type="number"
+                    min="0.01"
+                    max={form.type === 'percentage' ? '100' : undefined}
+                    step="0.01"
+                    value={form.value}
+                    onChange={(e) => setForm({ ...form, value: e.target.value })}
+                  />
+                </div>
+              )}
+              {form.type === 'buy_x_get_y' && (
+                <>
+                  <div className="space-y-1">
+                    <Label htmlFor="promotionBuy">{isRTL ? 'اشترِ (عدد القطع)' : 'Buy (units)'}</Label>
+                    <Input
+                      id="promotionBuy"
+                      type="number"
+                      min="1"
+                      step="1"
+                      value={form.buyQuantity}
+                      onChange={(e) => setForm({ ...form, buyQuantity: e.target.value })}
+                    />
+                  </div>
+                  <div className="space-y-1">
+                    <Label htmlFor="promotionGet">{isRTL ? 'احصل على (عدد القطع)' : 'Get (units)'}</Label>
+                    <Input
+                      id="promotionGet"
+                      type="number"
+                      min="1"
+                      step="1"
+                      value={form.getQuantity}
+                      onChange={(e) => setForm({ ...form, getQuantity: e.target.value })}
+                    />
+                  </div>
+                  <div className="space-y-1">
+                    <Label htmlFor="promotionGetPercent">{isRTL ? 'خصم القطع المجانية (%)' : 'Discount on those units (%)'}</Label>
+                    <Input
+                      id="promotionGetPercent"
+                      type="number"
+                      min="1"
+                      max="100"
+                      step="1"
+                      value={form.getDiscountPercent}
+                      onChange={(e) => setForm({ ...form, getDiscountPercent: e.target.value })}
+                    />
+                  </div>
+                </>
+              )}
+              <div className="space-y-1">
+                <Label htmlFor="promotionMinOrder">{isRTL ? 'الحد الأدنى للطلب' : 'Minimum order value'}</Label>
+                <Input
+                  id="promotionMinOrder"
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={form.minOrderValue}
+                  onChange={(e) => setForm({ ...form, minOrderValue: e.target.value })}
+                />
+              </div>
+
+              <div className="space-y-1">
+                <Label>{isRTL ? 'ينطبق على' : 'Applies to'}</Label>
+                <Select value={form.appliesTo} onValueChange={(value) => setForm({ ...form, appliesTo: value as PromotionTarget })}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="all">{isRTL ? 'جميع المنتجات' : 'All products'}</SelectItem>
+                    <SelectItem value="products">{isRTL ? 'منتجات محددة' : 'Selected products'}</SelectItem>
+                    <SelectItem value="categories">{isRTL ? 'فئات محددة' : 'Selected categories'}</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            {form.appliesTo === 'products' && (
+              <div className="max-h-40 overflow-y-auto rounded-md border p-3 space-y-2">
+                {products.map((product) => (
+                  <div key={product._id} className="flex items-center gap-2">
+                    <Checkbox
+                      id={`promotion-product-${product._id}`}
+                      checked={form.products.includes(product._id)}
+                      onCheckedChange={() => setForm({ ...form, products: toggle(form.products, product._id) })}
+                    />
+                    <Label htmlFor={`promotion-product-${product._id}`} className="font-normal">
+                      {product.name[currentLang]} (${product.price})
+                    </Label>
+                  </div>
+                ))}
+              </div>
+            )}
+            {form.appliesTo === 'categories' && (
+              <div className="max-h-40 overflow-y-auto rounded-md border p-3 space-y-2">
+                {categories.map((category) => (
+                  <div key={category._id} className="flex items-center gap-2">
+                    <Checkbox
+                      id={`promotion-category-${category._id}`}
+                      checked={form.categories.includes(category._id)}
+                      onCheckedChange={() => setForm({ ...form, categories: toggle(form.categories, category._id) })}
+                    />
+                    <Label htmlFor={`promotion-category-${category._id}`} className="font-normal">
+                      {'— '.repeat(category.ancestors?.length || 0)}{category.name[currentLang]}
+                    </Label>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div className="space-y-2">
+              <Label>{isRTL ? 'فئات العملاء (اتركها فارغة للجميع)' : 'Customer tiers (leave empty for everyone)'}</Label>
+              <div className="flex flex-wrap gap-4">
+                {(Object.keys(TIER_LABELS) as CustomerTier[]).map((tier) => (
+                  <div key={tier} className="flex items-center gap-2">
+                    <Checkbox
+                      id={`promotion-tier-${tier}`}
+                      checked={form.customerTiers.includes(tier)}
+                      onCheckedChange={() => setForm({ ...form, customerTiers: toggle(form.customerTiers, tier) })}
+                    />
+                    <Label htmlFor={`promotion-tier-${tier}`} className="font-normal">{TIER_LABELS[tier][currentLang]}</Label>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-1">
+                <Label htmlFor="promotionUsageLimit">{isRTL ? 'حد الاستخدام الكلي' : 'Total usage limit'}</Label>
+                <Input
+                  id="promotionUsageLimit"
+                  type="number"
+                  min="1"
+                  step="1"
+                  placeholder={isRTL ? 'بدون حد' : 'Unlimited'}
+                  value={form.usageLimit}
+                  onChange={(e) => setForm({ ...form, usageLimit: e.target.value })}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="promotionPerCustomer">{isRTL ? 'حد الاستخدام لكل عميل' : 'Uses per customer'}</Label>
+                <Input
+                  id="promotionPerCustomer"
+                  type="number"
+                  min="1"
+                  step="1"
+                  placeholder={isRTL ? 'بدون حد' : 'Unlimited'}
+                  value={form.perCustomerLimit}
+                  onChange={(e) => setForm({ ...form, perCustomerLimit: e.target.value })}
+                />
+              </div>
+
+              <div className="space-y-1">
+                <Label htmlFor="promotionStartsAt">{isRTL ? 'يبدأ في' : 'Starts'}</Label>
+                <Input
+                  id="promotionStartsAt"
+                  type="datetime-local"
+                  value={form.startsAt}
+                  onChange={(e) => setForm({ ...form, startsAt: e.target.value })}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="promotionEndsAt">{isRTL ? 'ينتهي في (اختياري)' : 'Ends (optional)'}</Label>
+                <Input
+                  id="promotionEndsAt"
+                  type="datetime-local"
+                  value={form.endsAt}
+                  onChange={(e) => setForm({ ...form, endsAt: e.target.value })}
+                />
+              </div>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-6">
+              <div className="flex items-center gap-2">
+                <Switch
+                  id="promotionStackable"
+                  checked={form.stackable}
+                  onCheckedChange={(checked) => setForm({ ...form, stackable: checked })}
+                />
+                <Label htmlFor="promotionStackable">{isRTL ? 'قابل للجمع مع عروض أخرى' : 'Combines with other promotions'}</Label>
+              </div>
+              <div className="flex items-center gap-2">
+                <Switch
+                  id="promotionExcludeSale"
+                  checked={form.excludeSaleItems}
+                  onCheckedChange={(checked) => setForm({ ...form, excludeSaleItems: checked })}
+                />
+                <Label htmlFor="promotionExcludeSale">{isRTL ? 'استثناء المنتجات المخفضة' : 'Exclude items on sale'}</Label>
+              </div>
+              <div className="flex items-center gap-2">
+                <Switch
+                  id="promotionActive"
+                  checked={form.active}
+                  onCheckedChange={(checked) => setForm({ ...form, active: checked })}
+                />
+                <Label htmlFor="promotionActive">{isRTL ? 'مفعّل' : 'Active'}</Label>
+              </div>
+            </div>
+
+            <div className="flex justify-end gap-2">
+              <Button variant="outline" disabled={submitting} onClick={() => setDialogOpen(false)}>
+                {isRTL ? 'إلغاء' : 'Cancel'}
+              </Button>
+              <Button disabled={submitting} onClick={handleSave}>
+                {submitting && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+                {isRTL ? 'حفظ' : 'Save'}
+              </Button>
+            </div>
+          </div>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
@@ -0,0 +1,551 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Plus, Pencil, Trash2, Loader2, X } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+import { categoryService, Category } from '@/services/categoryService';
+import {
+  quizService,
+  ConcentrationCode,
+  QuizAnswer,
+  QuizQuestion,
+  QuizQuestionData,
+  QuizStats
+} from '@/services/quizService';
+
+interface QuizManagerProps {
+  currentLang: 'en' | 'ar';
+}
+
+const CONCENTRATIONS: Record<ConcentrationCode, { en: string; ar: string }> = {
+  extrait: { en: 'Extrait de Parfum', ar: 'خلاصة العطر' },
+  parfum: { en: 'Parfum', ar: 'بارفان' },
+  edp: { en: 'Eau de Parfum', ar: 'ماء العطر' },
+  edt: { en: 'Eau de Toilette', ar: 'ماء التواليت' },
+  edc: { en: 'Eau de Cologne', ar: 'ماء الكولونيا' },
+};
+
+interface WeightRow {
+  key: string;
+  weight: string;
+}
+
+interface AnswerForm {
+  _id?: string;
+  labelEn: string;
+  labelAr: string;
+  // "oud:2, vanilla, bergamot:-1"; a note without a weight weighs 1
+  notes: string;
+  categories: WeightRow[];
+  concentrations: WeightRow[];
+}
+
+interface QuestionForm {
+  questionEn: string;
+  questionAr: string;
+  multiple: boolean;
+  sortOrder: string;
+  isActive: boolean;
+  answers: AnswerForm[];
+}
+
+const emptyAnswer = (): AnswerForm => ({
+  labelEn: '',
+  labelAr: '',
+  notes: '',
+  categories: [],
+  concentrations: []
+});
+
+const emptyForm = (): QuestionForm => ({
+  questionEn: '',
+  questionAr: '',
+  multiple: false,
+  sortOrder: '0',
+  isActive: true,
+  answers: [emptyAnswer(), emptyAnswer()]
+});
+
+const toAnswerForm = (answer: QuizAnswer): AnswerForm => ({
+  _id: answer._id,
+  labelEn: answer.label.en,
+  labelAr: answer.label.ar,
+  notes: (answer.notes || []).map(note => (note.weight === 1 ? note.name : `${note.name}:${note.weight}`)).join(', '),
+  categories: (answer.categories || []).map(({ category, weight }) => ({
+    key: typeof category === 'string' ? category : category._id,
+    weight: String(weight)
+  })),
+  concentrations: (answer.concentrations || []).map(({ code, weight }) => ({ key: code, weight: String(weight) }))
+});
+
+const isValidWeight = (weight: number) => Number.isFinite(weight) && weight !== 0 && weight >= -5 && weight <= 5;
+
+// Turns the form into request data, or returns null when a weight is out of range
+const toQuestionData = (form: QuestionForm): QuizQuestionData | null => {
+  const answers: QuizAnswer[] = [];
+
+  for (const answer of form.answers) {
+    const notes = answer.notes.split(',').map(item => item.trim()).filter(Boolean).map(item => {
+      const [name, weight] = item.split(':').map(part => part.trim());
+      return { name, weight: weight === undefined ? 1 : Number(weight) };
+    });
+    const categories = answer.categories.filter(row => row.key).map(row => ({ category: row.key, weight: Number(row.weight) }));
+    const concentrations = answer.concentrations.filter(row => row.key)
+      .map(row => ({ code: row.key as ConcentrationCode, weight: Number(row.weight) }));
+
+    if ([...notes, ...categories, ...concentrations].some(trait => !isValidWeight(trait.weight))) {
+      return null;
+    }
+
+    answers.push({
+      ...(answer._id && { _id: answer._id }),
+      label: { en: answer.labelEn.trim(), ar: answer.labelAr.trim() },
+      notes,
+      categories,
+      concentrations
+    });
+  }
+
+  return {
+    question: { en: form.questionEn.trim(), ar: form.questionAr.trim() },
+    multiple: form.multiple,
+    sortOrder: Number(form.sortOrder) || 0,
+    isActive: form.isActive,
+    answers
+  };
+};
+
+export const QuizManager = ({ currentLang }: QuizManagerProps) => {
+  const [questions, setQuestions] = useState<QuizQuestion[]>([]);
+  const [stats, setStats] = useState<QuizStats | null>(null);
+  const [categories, setCategories] = useState<Category[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [editingQuestion, setEditingQuestion] = useState<QuizQuestion | null>(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [form, setForm] = useState<QuestionForm>(emptyForm);
+  const [submitting, setSubmitting] = useState(false);
+  const { toast } = useToast();
+  const isRTL = currentLang === 'ar';
+
+  const fetchQuestions = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [allQuestions, quizStats] = await Promise.all([
+        quizService.getAllQuestions(),
+        quizService.getStats()
+      ]);
+      setQuestions(allQuestions);
+      setStats(quizStats);
+    } catch (error) {
+      console.error('Error fetching quiz:', error);
+      toast({
+        title: isRTL ? 'خطأ' : 'Error',
+        description: isRTL ? 'فشل في تحميل الاختبار' : 'Failed to load the quiz',
+        variant: 'destructive',
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [isRTL, toast]);
+
+  useEffect(() => {
+    fetchQuestions();
+  }, [fetchQuestions]);
+
+  useEffect(() => {
+    categoryService.getCategories()
+      .then(setCategories)
+      .catch((error) => console.error('Error fetching categories:', error));
+  }, []);
+
+  const answerCount = (questionId: string, answerId?: string) =>
+    stats?.questions.find(question => question._id === questionId)?.answers
+      .find(answer => answer._id === answerId)?.count || 0;
+
+  const openCreate = () => {
+    setEditingQuestion(null);
+    setForm({ ...emptyForm(), sortOrder: String(questions.length) });
+    setDialogOpen(true);
+  };
+
+  const openEdit = (question: QuizQuestion) => {
+    setEditingQuestion(question);
+    setForm({
+      questionEn: question.question.en,
+      questionAr: question.question.ar,
+      multiple: question.multiple,
+      sortOrder: String(question.sortOrder),
+      isActive: question.isActive,
+      answers: question.answers.map(toAnswerForm)
+    });
+    setDialogOpen(true);
+  };
+
+  const updateAnswer = (index: number, changes: Partial<AnswerForm>) => {
+    setForm(prev => ({
+      ...prev,
+      answers: prev.answers.map((answer, i) => (i === index ? { ...answer, ...changes } : answer))
+    }));
+  };
+
+  const handleSave = async () => {
+    if (!form.questionEn.trim() || !form.questionAr.trim() ||
+      form.answers.length < 2 ||
+      form.answers.some(answer => !answer.labelEn.trim() || !answer.labelAr.trim())) {
+      toast({
+        title: isRTL ? 'خطأ' : 'Error',
+        description: isRTL
+          ? 'يرجى كتابة السؤال وإجابتين على الأقل باللغتين'
+          : 'Please write the question and at least two answers in both languages',
+        variant: 'destructive',
+      });
+      return;
+    }
+
+    const data = toQuestionData(form);
+    if (!data) {
+      toast({
+        title: isRTL ? 'خطأ' : 'Error',
+        description: isRTL ? 'يجب أن يكون كل وزن بين -5 و 5 وألا يساوي صفراً' : 'Each weight must be between -5 and 5 and not zero',
+        variant: 'destructive',
+      });
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      if (editingQuestion) {
+        await quizService.updateQuestion(editingQuestion._id, data);
+      } else {
+        await quizService.createQuestion(data);
+      }
+
+      toast({
+        title: isRTL ? 'تم الحفظ' : 'Saved',
+        description: isRTL ? 'تم حفظ السؤال' : 'Question saved',
+      });
+      setDialogOpen(false);
+      fetchQuestions();
+    } catch (error) {
+      console.error('Error saving quiz question:', error);
+      toast({
+        title: isRTL ? 'خطأ' : 'Error',
+        description: error instanceof Error ? error.message : (isRTL ? 'فشل في حفظ السؤال' : 'Failed to save question'),
+        variant: 'destructive',
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDelete = async (question: QuizQuestion) => {
+    if (!confirm(isRTL ? 'هل أنت متأكد من حذف هذا السؤال؟' : 'Are you sure you want to delete this question?')) {
+      return;
+    }
+
+    try {
+      await quizService.deleteQuestion(question._id);
+      setQuestions(questions.filter(item => item._id !== question._id));
+      toast({
+        title: isRTL ? 'تم الحذف' : 'Deleted',
+        description: isRTL ? 'تم حذف السؤال' : 'Question deleted',
+      });
+    } catch (error) {
+      console.error('Error deleting quiz question:', error);
+      toast({
+        title: isRTL ? 'خطأ' : 'Error',
+        description: isRTL ? 'فشل في حذف السؤال' : 'Failed to delete question',
+        variant: 'destructive',
+      });
+    }
+  };
+
+  const renderWeightRows = (
+    index: number,
+    field: 'categories' | 'concentrations',
+    options: Array<{ value: string; label: string }>
+  ) => {
+    const rows = form.answers[index][field];
+    const setRows = (next: WeightRow[]) => updateAnswer(index, { [field]: next });
+
+    return (
+      <div className="space-y-2">
+        {rows.map((row, rowIndex) => (
+          <div key={rowIndex} className="flex gap-2">
+            <Select
+              value={row.key}
+              onValueChange={(value) => setRows(rows.map((item, i) => (i === rowIndex ? { ...item, key: value } : item)))}
+            >
+              <SelectTrigger className="flex-1">
+                <SelectValue placeholder={isRTL ? 'اختر' : 'Choose'} />
+              </SelectTrigger>
+              <SelectContent>
+                {options.map(option => (
+                  <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Input
+              type="number"
+              min="-5"
+              max="5"
+              step="0.5"
+              className="w-20"
+              value={row.weight}
+              onChange={(e) => setRows(rows.map((item, i) => (i === rowIndex ? { ...item, weight: e.target.value } : item)))}
+            />
+            <Button variant="ghost" size="icon" onClick={() => setRows(rows.filter((_, i) => i !== rowIndex))}>
+              <X className="w-4 h-4" />
+            </Button>
+          </div>
+        ))}
+        <Button variant="outline" size="sm" onClick={() => setRows([...rows, { key: '', weight: '1' }])}>
+          <Plus className="w-4 h-4 mr-1" />
+          {field === 'categories' ? (isRTL ? 'فئة' : 'Category') : (isRTL ? 'تركيز' : 'Concentration')}
+        </Button>
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-6" dir={isRTL ? 'rtl' : 'ltr'}>
+      <div className="flex items-center justify-between gap-2">
+        <h2 className="text-2xl font-bold">{isRTL ? 'اختبار العطور' : 'Fragrance Quiz'}</h2>
+        <Button onClick={openCreate}>
+          <Plus className="w-4 h-4 mr-1" />
+          {isRTL ? 'سؤال جديد' : 'New Question'}
+        </Button>
+      </div>
+
+      {stats && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <Card>
+            <CardContent className="pt-6">
+              <p className="text-sm text-muted-foreground">{isRTL ? 'اختبارات مكتملة' : 'Completed quizzes'}</p>
+              <p className="text-2xl font-bold">{stats.completions}</p>
+            </CardContent>
+          </Card>
+          <Card>
+            <CardContent className="pt-6">
+              <p className="text-sm text-muted-foreground">{isRTL ? 'مع بريد إلكتروني' : 'With an email'}</p>
+              <p className="text-2xl font-bold">{stats.withEmail}</p>
+            </CardContent>
+          </Card>
+          <Card>
+            <CardContent className="pt-6 space-y-1">
+              <p className="text-sm text-muted-foreground">{isRTL ? 'الأكثر ترشيحاً' : 'Most recommended'}</p>
+              {stats.topProducts.length === 0 ? (
+                <p className="text-sm">—</p>
+              ) : stats.topProducts.slice(0, 3).map(({ product, count }) => (
+                <p key={product._id} className="text-sm flex justify-between gap-2">
+                  <span className="truncate">{product.name[currentLang]}</span>
+                  <span className="text-muted-foreground">{count}</span>
+                </p>
+              ))}
+            </CardContent>
+          </Card>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <Loader2 className="w-8 h-8 animate-spin" />
+        </div>
+      ) : questions.length === 0 ? (
+        <Card>
+          <CardContent className="py-12 text-center text-muted-foreground">
+            {isRTL ? 'لا توجد أسئلة' : 'No questions yet'}
+          </CardContent>
+        </Card>
+      ) : (
+        <div className="space-y-4">
+          {questions.map((question) => (
+            <Card key={question._id}>
+              <CardHeader className="pb-2">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <CardTitle className="text-base">
+                    {question.sortOrder + 1}. {question.question[currentLang]}
+                  </CardTitle>
+                  <div className="flex items-center gap-2">
+                    {question.multiple && (
+                      <Badge variant="outline">{isRTL ? 'إجابات متعددة' : 'Multiple answers'}</Badge>
+                    )}
+                    <Badge variant={question.isActive ? 'default' : 'secondary'}>
+                      {question.isActive ? (isRTL ? 'نشط' : 'Active') : (isRTL ? 'غير نشط' : 'Inactive')}
+                    </Badge>
+                  </div>
+                </div>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                <div className="flex flex-wrap gap-2">
+                  {question.answers.map(answer => (
+                    <Badge key={answer._id} variant="secondary">
+                      {answer.label[currentLang]} · {answerCount(question._id, answer._id)}
+                    </Badge>
+                  ))}
+                </div>
+                <div className="flex gap-2 pt-2">
+                  <Button size="sm" onClick={() => openEdit(question)}>
+                    <Pencil className="w-4 h-4 mr-1" />
+                    {isRTL ? 'تعديل' : 'Edit'}
+                  </Button>
+                  <Button size="sm" variant="destructive" onClick={() => handleDelete(question)}>
+                    <Trash2 className="w-4 h-4" />
+                  </Button>
+                </div>
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+      )}
+
+      <Dialog open={dialogOpen} onOpenChange={setDialogOpen}>
+        <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto" dir={isRTL ? 'rtl' : 'ltr'}>
+          <DialogHeader>
+            <DialogTitle>
+              {editingQuestion ? (isRTL ? 'تعديل السؤال' : 'Edit Question') : (isRTL ? 'سؤال جديد' : 'New Question')}
+            </DialogTitle>
+            <DialogDescription>
+              {isRTL
+                ? 'كل إجابة تضيف أوزاناً للمكونات والفئات والتركيزات؛ الوزن السالب يبعد عن الصفة'
+                : 'Each answer adds weight to notes, categories and concentrations; a negative weight steers away from the trait'}
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-1">
+                <Label htmlFor="questionEn">{isRTL ? 'السؤال (إنجليزي)' : 'Question (English)'}</Label>
+                <Input
+                  id="questionEn"
+                  dir="ltr"
+                  value={form.questionEn}
+                  onChange={(e) => setForm({ ...form, questionEn: e.target.value })}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="questionAr">{isRTL ? 'السؤال (عربي)' : 'Question (Arabic)'}</Label>
+                <Input
+                  id="questionAr"
+                  dir="rtl"
+                  value={form.questionAr}
+                  onChange={(e) => setForm({ ...form, questionAr: e.target.value })}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="questionOrder">{isRTL ? 'الترتيب' : 'Order'}</Label>
+                <Input
+                  id="questionOrder"
+                  type="number"
+                  min="0"
+                  value={form.sortOrder}
+                  onChange={(e) => setForm({ ...form, sortOrder: e.target.value })}
+                />
+              </div>
+              <div className="flex items-end gap-6 pb-2">
+                <div className="flex items-center gap-2">
+                  <Switch
+                    id="questionMultiple"
+                    checked={form.multiple}
+                    onCheckedChange={(checked) => setForm({ ...form, multiple: checked })}
+                  />
+                  <Label htmlFor="questionMultiple">{isRTL ? 'إجابات متعددة' : 'Multiple answers'}</Label>
+                </div>
+                <div className="flex items-center gap-2">
+                  <Switch
+                    id="questionActive"
+                    checked={form.isActive}
+                    onCheckedChange={(checked) => setForm({ ...form, isActive: checked })}
+                  />
+                  <Label htmlFor="questionActive">{isRTL ? 'نشط' : 'Active'}</Label>
+                </div>
+              </div>
+            </div>
+
+            {form.answers.map((answer, index) => (
+              <Card key={answer._id || index}>
+                <CardContent className="pt-4 space-y-3">
+                  <div className="flex items-center justify-between">
+                    <span className="font-medium">{isRTL ? `الإجابة ${index + 1}` : `Answer ${index + 1}`}</span>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      disabled={form.answers.length <= 2}
+                      onClick={() => setForm({ ...form, answers: form.answers.filter((_, i) => i !== index) })}
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </Button>
+                  </div>
+                  <div className="grid grid-cols-2 gap-3">
+                    <Input
+                      dir="ltr"
+                      placeholder={isRTL ? 'النص (إنجليزي)' : 'Label (English)'}
+                      value={answer.labelEn}
+                      onChange={(e) => updateAnswer(index, { labelEn: e.target.value })}
+                    />
+                    <Input
+                      dir="rtl"
+                      placeholder={isRTL ? 'النص (عربي)' : 'Label (Arabic)'}
+                      value={answer.labelAr}
+                      onChange={(e) => updateAnswer(index, { labelAr: e.target.value })}
+                    />
+                  </div>
+                  <div className="space-y-1">
+                    <Label>{isRTL ? 'المكونات (بالإنجليزية)' : 'Notes (in English)'}</Label>
+                    <Input
+                      dir="ltr"
+                      placeholder="oud:2, vanilla, bergamot:-1"
+                      value={answer.notes}
+                      onChange={(e) => updateAnswer(index, { notes: e.target.value })}
+                    />
+                  </div>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                    <div className="space-y-1">
+                      <Label>{isRTL ? 'الفئات' : 'Categories'}</Label>
+                      {renderWeightRows(index, 'categories', categories.map(category => ({
+                        value: category._id,
+                        label: `${'— '.repeat(category.ancestors?.length || 0)}${category.name[currentLang]}`
+                      })))}
+                    </div>
+                    <div className="space-y-1">
+                      <Label>{isRTL ? 'التركيز' : 'Concentration'}</Label>
+                      {renderWeightRows(index, 'concentrations', (Object.keys(CONCENTRATIONS) as ConcentrationCode[]).map(code => ({
+                        value: code,
+                        label: CONCENTRATIONS[code][currentLang]
+                      })))}
+                    </div>
+                  </div>
+                </CardContent>
+              </Card>
+            ))}
+
+            <Button
+              variant="outline"
+              disabled={form.answers.length >= 12}
+              onClick={() => setForm({ ...form, answers: [...form.answers, emptyAnswer()] })}
+            >
+              <Plus className="w-4 h-4 mr-1" />
+              {isRTL ? 'إضافة إجابة' : 'Add answer'}
+            </Button>
+
+            <div className="flex justify-end gap-2">
+              <Button variant="outline" disabled={submitting} onClick={() => setDialogOpen(false)}>
+                {isRTL ? 'إلغاء' : 'Cancel'}
+              </Button>
+              <Button disabled={submitting} onClick={handleSave}>
+                {submitting && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+                {isRTL ? 'حفظ' : 'Save'}
+              </Button>
+            </div>
+          </div>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
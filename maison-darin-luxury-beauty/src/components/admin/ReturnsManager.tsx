@@ -0,0 +1,474 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Loader2, Search, History, CheckCircle, XCircle, PackageCheck, ClipboardCheck, Banknote } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+import {
+  returnService,
+  Return,
+  ReturnStatus,
+  ReturnItemCondition,
+  ReturnRefundStatus,
+  RETURN_REASON_LABELS,
+  RETURN_STATUS_LABELS,
+} from '@/services/returnService';
+
+interface ReturnsManagerProps {
+  currentLang: 'en' | 'ar';
+}
+
+const STATUS_COLORS: Record<ReturnStatus, string> = {
+  requested: 'bg-amber-100 text-amber-800',
+  approved: 'bg-blue-100 text-blue-800',
+  rejected: 'bg-red-100 text-red-800',
+  received: 'bg-indigo-100 text-indigo-800',
+  inspected: 'bg-purple-100 text-purple-800',
+  refunded: 'bg-green-100 text-green-800',
+};
+
+const REFUND_STATUS_LABELS: Record<ReturnRefundStatus, { en: string; ar: string }> = {
+  processing: { en: 'Refund being sent', ar: 'جارٍ رد المبلغ' },
+  pending: { en: 'Awaiting payment', ar: 'بانتظار الدفع' },
+  completed: { en: 'Refunded', ar: 'تم رد المبلغ' },
+  failed: { en: 'Refund failed', ar: 'فشل رد المبلغ' },
+};
+
+const CONDITION_LABELS: Record<ReturnItemCondition, { en: string; ar: string }> = {
+  resellable: { en: 'Back to stock', ar: 'يعود للمخزون' },
+  damaged: { en: 'Damaged', ar: 'تالف' },
+};
+
+// The step an admin is taking on a return, and what they fill in for it
+type ReturnAction = 'approved' | 'rejected' | 'received' | 'inspected' | 'refund';
+
+export const ReturnsManager = ({ currentLang }: ReturnsManagerProps) => {
+  const [returns, setReturns] = useState<Return[]>([]);
+  const [status, setStatus] = useState<ReturnStatus | 'all'>('all');
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [acting, setActing] = useState<{ action: ReturnAction; returnRequest: Return } | null>(null);
+  const [note, setNote] = useState('');
+  const [reference, setReference] = useState('');
+  const [received, setReceived] = useState<Record<string, string>>({});
+  const [conditions, setConditions] = useState<Record<string, ReturnItemCondition>>({});
+  const [history, setHistory] = useState<Return | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+  const { toast } = useToast();
+  const isRTL = currentLang === 'ar';
+  const currency = isRTL ? 'ريال' : 'SAR';
+
+  const fetchReturns = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await returnService.getReturns({
+        status: status === 'all' ? undefined : status,
+        search: search.trim() || undefined,
+        limit: 50
+      });
+      setReturns(result.returns);
+    } catch (error) {
+      console.error('Error fetching returns:', error);
+      toast({
+        title: isRTL ? 'خطأ' : 'Error',
+        description: isRTL ? 'فشل في تحميل طلبات الإرجاع' : 'Failed to load returns',
+        variant: 'destructive',
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [status, search, isRTL, toast]);
+
+  useEffect(() => {
+    const timer = setTimeout(fetchReturns, 300);
+    return () => clearTimeout(timer);
+  }, [fetchReturns]);
+
+  const replaceReturn = (updated: Return) => {
+    setReturns(list => list.map(item => (item._id === updated._id ? updated : item)));
+  };
+
+  const showError = (error: unknown, fallback: string) => {
+    toast({
+      title: isRTL ? 'خطأ' : 'Error',
+      description: error instanceof Error ? error.message : fallback,
+      variant: 'destructive',
+    });
+  };
+
+  const openAction = (action: ReturnAction, returnRequest: Return) => {
+    setActing({ action, returnRequest });
+    setNote('');
+    setReference('');
+    setReceived(Object.fromEntries(returnRequest.items.map(item => [item.orderItem, String(item.quantity)])));
+    setConditions(Object.fromEntries(returnRequest.items.map(item => [item.orderItem, 'resellable'])));
+  };
+
+  const handleAction = async () => {
+    if (!acting) return;
+    const { action, returnRequest } = acting;
+
+    setSubmitting(true);
+    try {
+      let updated: Return;
+      if (action === 'refund') {
+        updated = await returnService.refundReturn(returnRequest._id, reference.trim() || undefined);
+      } else {
+        updated = await returnService.updateStatus(returnRequest._id, {
+          status: action,
+          note: note.trim() || undefined,
+          items: action === 'received'
+            ? returnRequest.items.map(item => ({
+              orderItem: item.orderItem,
+              receivedQuantity: Number(received[item.orderItem]) || 0
+            }))
+            : action === 'inspected'
+              ? returnRequest.items.map(item => ({ orderItem: item.orderItem, condition: conditions[item.orderItem] }))
+              : undefined
+        });
+      }
+      replaceReturn(updated);
+
+      if (updated.refund?.status === 'failed') {
+        toast({
+          title: isRTL ? 'تعذر رد المبلغ' : 'Refund failed',
+          description: updated.refund.error,
+          variant: 'destructive',
+        });
+      } else {
+        toast({
+          title: isRTL ? 'تم التحديث' : 'Updated',
+          description: `${updated.returnNumber}: ${RETURN_STATUS_LABELS[updated.status][currentLang]}`,
+        });
+      }
+      setActing(null);
+    } catch (error) {
+      console.error('Error updating return:', error);
+      showError(error, isRTL ? 'فشل في تحديث طلب الإرجاع' : 'Failed to update return');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const formatDate = (date: string) =>
+    new Date(date).toLocaleDateString(isRTL ? 'ar-SA' : 'en-US', { dateStyle: 'medium' });
+
+  const formatAmount = (amount: number) => `${amount.toFixed(2)} ${currency}`;
+
+  const actionTitles: Record<ReturnAction, { en: string; ar: string }> = {
+    approved: { en: 'Approve return', ar: 'الموافقة على الإرجاع' },
+    rejected: { en: 'Reject return', ar: 'رفض الإرجاع' },
+    received: { en: 'Receive items', ar: 'استلام المنتجات' },
+    inspected: { en: 'Inspect items', ar: 'فحص المنتجات' },
+    refund: { en: 'Refund', ar: 'رد المبلغ' },
+  };
+
+  return (
+    <div className="space-y-6" dir={isRTL ? 'rtl' : 'ltr'}>
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="text-2xl font-bold">{isRTL ? 'طلبات الإرجاع' : 'Returns'}</h2>
+        <div className="flex flex-wrap items-center gap-2">
+          <div className="relative">
+            <Search className={`absolute top-1/2 -translate-y-1/2 w-4 h-4 text-muted-foreground ${isRTL ? 'right-3' : 'left-3'}`} />
+            <Input
+              className={`w-56 ${isRTL ? 'pr-9' : 'pl-9'}`}
+              placeholder={isRTL ? 'بحث برقم الإرجاع أو الطلب أو البريد' : 'Search return, order or email'}
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+            />
+          </div>
+          <Select value={status} onValueChange={(value) => setStatus(value as ReturnStatus | 'all')}>
+            <SelectTrigger className="w-40">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">{isRTL ? 'كل الحالات' : 'Any status'}</SelectItem>
+              {(Object.keys(RETURN_STATUS_LABELS) as ReturnStatus[]).map((key) => (
+                <SelectItem key={key} value={key}>{RETURN_STATUS_LABELS[key][currentLang]}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <Loader2 className="w-8 h-8 animate-spin" />
+        </div>
+      ) : returns.length === 0 ? (
+        <Card>
+          <CardContent className="py-12 text-center text-muted-foreground">
+            {isRTL ? 'لا توجد طلبات إرجاع' : 'No returns found'}
+          </CardContent>
+        </Card>
+      ) : (
+        <div className="space-y-4">
+          {returns.map((returnRequest) => (
+            <Card key={returnRequest._id}>
+              <CardHeader className="pb-2">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <CardTitle className="text-base flex items-center gap-2">
+                    <span className="font-mono" dir="ltr">{returnRequest.returnNumber}</span>
+                    <span className="text-sm text-muted-foreground">
+                      {isRTL ? 'الطلب ' : 'Order '}{returnRequest.orderNumber}
+                    </span>
+                  </CardTitle>
+                  <div className="flex items-center gap-2">
+                    {returnRequest.refund?.status && returnRequest.status !== 'refunded' && (
+                      <Badge variant={returnRequest.refund.status === 'failed' ? 'destructive' : 'outline'}>
+                        {REFUND_STATUS_LABELS[returnRequest.refund.status][currentLang]}
+                      </Badge>
+                    )}
+                    <Badge className={STATUS_COLORS[returnRequest.status]}>
+                      {RETURN_STATUS_LABELS[returnRequest.status][currentLang]}
+                    </Badge>
+                  </div>
+                </div>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                <div className="flex flex-wrap items-center gap-3 text-sm text-muted-foreground">
+                  <span dir="auto">
+                    {returnRequest.customer.name ? `${returnRequest.customer.name} - ` : ''}{returnRequest.customer.email}
+                  </span>
+                  <span>{RETURN_REASON_LABELS[returnRequest.reason][currentLang]}</span>
+                  <span>{formatDate(returnRequest.createdAt)}</span>
+                </div>
+
+                <div className="space-y-1 text-sm">
+                  {returnRequest.items.map((item) => (
+                    <div key={item.orderItem} className="flex flex-wrap items-center gap-2">
+                      <span className="font-medium">
+                        {item.productName}{item.variantSize && ` (${item.variantSize})`}
+                      </span>
+                      <span>× {item.quantity}</span>
+                      {item.receivedQuantity !== undefined && (
+                        <span className="text-muted-foreground">
+                          {isRTL ? `المستلم ${item.receivedQuantity}` : `${item.receivedQuantity} received`}
+                        </span>
+                      )}
+                      {item.condition && (
+                        <Badge variant="outline">{CONDITION_LABELS[item.condition][currentLang]}</Badge>
+                      )}
+                    </div>
+                  ))}
+                </div>
+
+                {returnRequest.details && (
+                  <p className="text-sm italic" dir="auto">{returnRequest.details}</p>
+                )}
+
+                {returnRequest.photos.length > 0 && (
+                  <div className="flex flex-wrap gap-2">
+                    {returnRequest.photos.map((photo) => (
+                      <a key={photo.url} href={photo.url} target="_blank" rel="noopener noreferrer">
+                        <img src={photo.thumbnail || photo.url} alt="" className="w-16 h-16 rounded-md object-cover" />
+                      </a>
+                    ))}
+                  </div>
+                )}
+
+                {returnRequest.refund?.amount !== undefined && (
+                  <div className="text-sm">
+                    <span className="font-medium">
+                      {isRTL ? 'المبلغ المسترد: ' : 'Refund: '}{formatAmount(returnRequest.refund.amount)}
+                    </span>
+                    {!!returnRequest.refund.storeCreditAmount && (
+                      <span className="text-muted-foreground">
+                        {' '}({isRTL ? 'رصيد متجر ' : 'store credit '}{formatAmount(returnRequest.refund.storeCreditAmount)})
+                      </span>
+                    )}
+                    {returnRequest.refund.refundId && (
+                      <span className="text-muted-foreground font-mono" dir="ltr"> {returnRequest.refund.refundId}</span>
+                    )}
+                    {returnRequest.refund.error && (
+                      <p className={returnRequest.refund.status === 'pending' ? 'text-yellow-800' : 'text-destructive'}>
+                        {returnRequest.refund.error}
+                      </p>
+                    )}
+                  </div>
+                )}
+
+                <div className="flex flex-wrap gap-2 pt-2">
+                  <Button size="sm" variant="outline" onClick={() => setHistory(returnRequest)}>
+                    <History className="w-4 h-4 mr-1" />
+                    {isRTL ? 'السجل' : 'History'}
+                  </Button>
+                  {returnRequest.status === 'requested' && (
+                    <Button size="sm" onClick={() => openAction('approved', returnRequest)}>
+                      <CheckCircle className="w-4 h-4 mr-1" />
+                      {isRTL ? 'موافقة' : 'Approve'}
+                    </Button>
+                  )}
+                  {returnRequest.status === 'approved' && (
+                    <Button size="sm" onClick={() => openAction('received', returnRequest)}>
+                      <PackageCheck className="w-4 h-4 mr-1" />
+                      {isRTL ? 'استلام' : 'Receive'}
+                    </Button>
+                  )}
+                  {returnRequest.status === 'received' && (
+                    <Button size="sm" onClick={() => openAction('inspected', returnRequest)}>
+                      <ClipboardCheck className="w-4 h-4 mr-1" />
+                      {isRTL ? 'فحص' : 'Inspect'}
+                    </Button>
+                  )}
+                  {returnRequest.status === 'inspected' && returnRequest.refund?.status !== 'processing' && (
+                    <Button size="sm" onClick={() => openAction('refund', returnRequest)}>
+                      <Banknote className="w-4 h-4 mr-1" />
+                      {returnRequest.refund?.status === 'pending'
+                        ? (isRTL ? 'تسجيل الدفع' : 'Record payment')
+                        : (isRTL ? 'إعادة المحاولة' : 'Retry refund')}
+                    </Button>
+                  )}
+                  {(returnRequest.status === 'requested' || returnRequest.status === 'approved') && (
+                    <Button size="sm" variant="destructive" onClick={() => openAction('rejected', returnRequest)}>
+                      <XCircle className="w-4 h-4 mr-1" />
+                      {isRTL ? 'رفض' : 'Reject'}
+                    </Button>
+                  )}
+                </div>
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+      )}
+
+      <Dialog open={!!acting} onOpenChange={(open) => !open && setActing(null)}>
+        <DialogContent className="max-w-lg max-h-[90vh] overflow-y-auto" dir={isRTL ? 'rtl' : 'ltr'}>
+          <DialogHeader>
+            <DialogTitle>{acting && actionTitles[acting.action][currentLang]}</DialogTitle>
+            <DialogDescription>
+              {acting?.action === 'received' && (isRTL
+                ? 'أدخل عدد ما وصل من كل منتج'
+                : 'Enter how many of each item arrived')}
+              {acting?.action === 'inspected' && (isRTL
+                ? 'تعود المنتجات السليمة إلى المخزون، ثم يُرد المبلغ بطريقة الدفع الأصلية'
+                : 'Resellable items go back into stock, then the refund is sent through the original payment method')}
+              {acting?.action === 'refund' && (isRTL
+                ? 'أعد المحاولة عبر بوابة الدفع، أو أدخل مرجع التحويل إذا دفعت المبلغ يدوياً'
+                : 'Retry through the payment gateway, or enter the transfer reference if you paid it by hand')}
+              {acting?.action === 'rejected' && (isRTL
+                ? 'يصل السبب إلى العميل بالبريد الإلكتروني'
+                : 'The reason is emailed to the customer')}
+            </DialogDescription>
+          </DialogHeader>
+
+          {acting && (
+            <div className="space-y-4">
+              {acting.action === 'received' && acting.returnRequest.items.map((item) => (
+                <div key={item.orderItem} className="flex items-center justify-between gap-2">
+                  <Label htmlFor={`received-${item.orderItem}`}>
+                    {item.productName}{item.variantSize && ` (${item.variantSize})`} × {item.quantity}
+                  </Label>
+                  <Input
+                    id={`received-${item.orderItem}`}
+                    className="w-20"
+                    type="number"
+                    min="0"
+                    max={item.quantity}
+                    value={received[item.orderItem] ?? ''}
+                    onChange={(e) => setReceived({ ...received, [item.orderItem]: e.target.value })}
+                  />
+                </div>
+              ))}
+
+              {acting.action === 'inspected' && acting.returnRequest.items
+                .filter((item) => item.receivedQuantity)
+                .map((item) => (
+                  <div key={item.orderItem} className="flex items-center justify-between gap-2">
+                    <span className="text-sm">
+                      {item.productName}{item.variantSize && ` (${item.variantSize})`} × {item.receivedQuantity}
+                    </span>
+                    <Select
+                      value={conditions[item.orderItem]}
+                      onValueChange={(value) => setConditions({ ...conditions, [item.orderItem]: value as ReturnItemCondition })}
+                    >
+                      <SelectTrigger className="w-40">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {(Object.keys(CONDITION_LABELS) as ReturnItemCondition[]).map((key) => (
+                          <SelectItem key={key} value={key}>{CONDITION_LABELS[key][currentLang]}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                ))}
+
+              {acting.action === 'refund' ? (
+                <div className="space-y-1">
+                  <Label htmlFor="returnRefundReference">
+                    {isRTL ? 'مرجع الدفع اليدوي (اختياري)' : 'Manual payment reference (optional)'}
+                  </Label>
+                  <Input
+                    id="returnRefundReference"
+                    maxLength={100}
+                    dir="ltr"
+                    value={reference}
+                    onChange={(e) => setReference(e.target.value)}
+                  />
+                </div>
+              ) : (
+                <div className="space-y-1">
+                  <Label htmlFor="returnNote">
+                    {acting.action === 'rejected'
+                      ? (isRTL ? 'السبب' : 'Reason')
+                      : (isRTL ? 'ملاحظة (اختياري)' : 'Note (optional)')}
+                  </Label>
+                  <Input
+                    id="returnNote"
+                    maxLength={500}
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                  />
+                </div>
+              )}
+
+              <div className="flex justify-end gap-2">
+                <Button variant="outline" disabled={submitting} onClick={() => setActing(null)}>
+                  {isRTL ? 'إلغاء' : 'Cancel'}
+                </Button>
+                <Button
+                  variant={acting.action === 'rejected' ? 'destructive' : 'default'}
+                  disabled={submitting}
+                  onClick={handleAction}
+                >
+                  {submitting && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+                  {isRTL ? 'تأكيد' : 'Confirm'}
+                </Button>
+              </div>
+            </div>
+          )}
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={!!history} onOpenChange={(open) => !open && setHistory(null)}>
+        <DialogContent className="max-w-lg max-h-[80vh] overflow-y-auto" dir={isRTL ? 'rtl' : 'ltr'}>
+          <DialogHeader>
+            <DialogTitle className="font-mono" dir="ltr">{history?.returnNumber}</DialogTitle>
+            <DialogDescription>
+              {history?.refund?.reference && (
+                <span className="block">{isRTL ? 'مرجع الدفع ' : 'Payment reference '}{history.refund.reference}</span>
+              )}
+            </DialogDescription>
+          </DialogHeader>
+          <div className="space-y-2">
+            {history?.timeline.slice().reverse().map((entry, index) => (
+              <div key={index} className="rounded-md border px-3 py-2 text-sm">
+                <p className="font-medium">{RETURN_STATUS_LABELS[entry.status][currentLang]}</p>
+                <p className="text-xs text-muted-foreground">
+                  {formatDate(entry.at)}
+                  {entry.actor?.name && ` • ${entry.actor.name}`}
+                  {entry.note && ` • ${entry.note}`}
+                </p>
+              </div>
+            ))}
+          </div>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
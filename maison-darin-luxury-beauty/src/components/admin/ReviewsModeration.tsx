@@ -0,0 +1,300 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { StarRating } from '@/components/ui/star-rating';
+import { Check, X, Trash2, Loader2, BadgeCheck } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+import { reviewService, Review, ReviewStatus } from '@/services/reviewService';
+
+interface ReviewsModerationProps {
+  currentLang: 'en' | 'ar';
+}
+
+const STATUS_LABELS: Record<ReviewStatus, { en: string; ar: string }> = {
+  pending: { en: 'Pending', ar: 'قيد المراجعة' },
+  approved: { en: 'Approved', ar: 'مقبول' },
+  rejected: { en: 'Rejected', ar: 'مرفوض' },
+};
+
+const STATUS_COLORS: Record<ReviewStatus, string> = {
+  pending: 'bg-amber-100 text-amber-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+};
+
+export const ReviewsModeration = ({ currentLang }: ReviewsModerationProps) => {
+  const [reviews, setReviews] = useState<Review[]>([]);
+  const [status, setStatus] = useState<ReviewStatus | 'all'>('pending');
+  const [loading, setLoading] = useState(true);
+  const [selectedReview, setSelectedReview] = useState<Review | null>(null);
+  const [decision, setDecision] = useState({
+    reason: '',
+    titleEn: '',
+    titleAr: '',
+    commentEn: '',
+    commentAr: ''
+  });
+  const [submitting, setSubmitting] = useState(false);
+  const { toast } = useToast();
+  const isRTL = currentLang === 'ar';
+
+  const fetchReviews = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await reviewService.getReviews({
+        status: status === 'all' ? undefined : status,
+        limit: 50
+      });
+      setReviews(result.reviews);
+    } catch (error) {
+      console.error('Error fetching reviews:', error);
+      toast({
+        title: isRTL ? 'خطأ' : 'Error',
+        description: isRTL ? 'فشل في تحميل التقييمات' : 'Failed to load reviews',
+        variant: 'destructive',
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [status, isRTL, toast]);
+
+  useEffect(() => {
+    fetchReviews();
+  }, [fetchReviews]);
+
+  const openReview = (review: Review) => {
+    setSelectedReview(review);
+    setDecision({
+      reason: review.moderation?.reason || '',
+      titleEn: review.title?.en || '',
+      titleAr: review.title?.ar || '',
+      commentEn: review.comment.en || '',
+      commentAr: review.comment.ar || ''
+    });
+  };
+
+  const handleModerate = async (newStatus: 'approved' | 'rejected') => {
+    if (!selectedReview) return;
+
+    setSubmitting(true);
+    try {
+      // Only send translations that were filled in
+      const optional = (value: string) => value.trim() || undefined;
+      await reviewService.moderateReview(selectedReview._id, {
+        status: newStatus,
+        reason: optional(decision.reason),
+        title: { en: optional(decision.titleEn), ar: optional(decision.titleAr) },
+        comment: { en: optional(decision.commentEn), ar: optional(decision.commentAr) }
+      });
+
+      toast({
+        title: isRTL ? 'تم الحفظ' : 'Saved',
+        description: newStatus === 'approved'
+          ? (isRTL ? 'تم نشر التقييم' : 'Review published')
+          : (isRTL ? 'تم رفض التقييم' : 'Review rejected'),
+      });
+      setSelectedReview(null);
+      fetchReviews();
+    } catch (error) {
+      console.error('Error moderating review:', error);
+      toast({
+        title: isRTL ? 'خطأ' : 'Error',
+        description: isRTL ? 'فشل في حفظ القرار' : 'Failed to save decision',
+        variant: 'destructive',
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDelete = async (review: Review) => {
+    if (!confirm(isRTL ? 'هل أنت متأكد من حذف هذا التقييم؟' : 'Are you sure you want to delete this review?')) {
+      return;
+    }
+
+    try {
+      await reviewService.deleteReview(review._id);
+      setReviews(reviews.filter(item => item._id !== review._id));
+      toast({
+        title: isRTL ? 'تم الحذف' : 'Deleted',
+        description: isRTL ? 'تم حذف التقييم' : 'Review deleted',
+      });
+    } catch (error) {
+      console.error('Error deleting review:', error);
+      toast({
+        title: isRTL ? 'خطأ' : 'Error',
+        description: isRTL ? 'فشل في حذف التقييم' : 'Failed to delete review',
+        variant: 'destructive',
+      });
+    }
+  };
+
+  const productName = (review: Review) =>
+    typeof review.product === 'string' ? review.product : review.product?.name?.[currentLang];
+
+  return (
+    <div className="space-y-6" dir={isRTL ? 'rtl' : 'ltr'}>
+      <div className="flex items-center justify-between">
+        <h2 className="text-2xl font-bold">{isRTL ? 'التقييمات' : 'Reviews'}</h2>
+        <Select value={status} onValueChange={(value) => setStatus(value as ReviewStatus | 'all')}>
+          <SelectTrigger className="w-44">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">{isRTL ? 'الكل' : 'All'}</SelectItem>
+            {(Object.keys(STATUS_LABELS) as ReviewStatus[]).map((key) => (
+              <SelectItem key={key} value={key}>{STATUS_LABELS[key][currentLang]}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <Loader2 className="w-8 h-8 animate-spin" />
+        </div>
+      ) : reviews.length === 0 ? (
+        <Card>
+          <CardContent className="py-12 text-center text-muted-foreground">
+            {isRTL ? 'لا توجد تقييمات' : 'No reviews found'}
+          </CardContent>
+        </Card>
+      ) : (
+        <div className="space-y-4">
+          {reviews.map((review) => (
+            <Card key={review._id}>
+              <CardHeader className="pb-2">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <CardTitle className="text-base">{productName(review)}</CardTitle>
+                  <div className="flex items-center gap-2">
+                    <Badge className={STATUS_COLORS[review.status]}>{STATUS_LABELS[review.status][currentLang]}</Badge>
+                    <span className="text-xs text-muted-foreground">
+                      {new Date(review.createdAt).toLocaleDateString(isRTL ? 'ar-SA' : 'en-US')}
+                    </span>
+                  </div>
+                </div>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                <div className="flex flex-wrap items-center gap-3 text-sm">
+                  <StarRating rating={review.rating} size="sm" />
+                  <span className="font-medium">{review.customer.name}</span>
+                  <span className="text-muted-foreground">{review.customer.email}</span>
+                  <span className="text-muted-foreground">{review.orderNumber}</span>
+                  {review.verifiedPurchase && <BadgeCheck className="w-4 h-4 text-green-600" />}
+                </div>
+                {review.title?.[review.language] && (
+                  <p className="font-semibold">{review.title[review.language]}</p>
+                )}
+                <p className="text-muted-foreground">{review.comment[review.language]}</p>
+                {review.photos.length > 0 && (
+                  <div className="flex gap-2">
+                    {review.photos.map((photo) => (
+                      <a key={photo.url} href={photo.url} target="_blank" rel="noopener noreferrer">
+                        <img src={photo.thumbnail || photo.url} alt="" className="w-16 h-16 rounded object-cover" />
+                      </a>
+                    ))}
+                  </div>
+                )}
+                {review.moderation?.reason && (
+                  <p className="text-xs text-muted-foreground">
+                    {isRTL ? 'سبب القرار: ' : 'Reason: '}{review.moderation.reason}
+                  </p>
+                )}
+                <div className="flex gap-2 pt-2">
+                  <Button size="sm" onClick={() => openReview(review)}>
+                    {isRTL ? 'مراجعة' : 'Moderate'}
+                  </Button>
+                  <Button size="sm" variant="destructive" onClick={() => handleDelete(review)}>
+                    <Trash2 className="w-4 h-4" />
+                  </Button>
+                </div>
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+      )}
+
+      <Dialog open={!!selectedReview} onOpenChange={(open) => !open && setSelectedReview(null)}>
+        <DialogContent className="max-w-2xl" dir={isRTL ? 'rtl' : 'ltr'}>
+          <DialogHeader>
+            <DialogTitle>{isRTL ? 'مراجعة التقييم' : 'Moderate Review'}</DialogTitle>
+            <DialogDescription>
+              {isRTL
+                ? 'يمكنك إضافة ترجمة للعنوان والتعليق قبل النشر'
+                : 'You can add a translation of the title and comment before publishing'}
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-1">
+                <Label htmlFor="titleEn">{isRTL ? 'العنوان (إنجليزي)' : 'Title (English)'}</Label>
+                <Input
+                  id="titleEn"
+                  dir="ltr"
+                  value={decision.titleEn}
+                  onChange={(e) => setDecision({ ...decision, titleEn: e.target.value })}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="titleAr">{isRTL ? 'العنوان (عربي)' : 'Title (Arabic)'}</Label>
+                <Input
+                  id="titleAr"
+                  dir="rtl"
+                  value={decision.titleAr}
+                  onChange={(e) => setDecision({ ...decision, titleAr: e.target.value })}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="commentEn">{isRTL ? 'التعليق (إنجليزي)' : 'Comment (English)'}</Label>
+                <Textarea
+                  id="commentEn"
+                  dir="ltr"
+                  rows={4}
+                  value={decision.commentEn}
+                  onChange={(e) => setDecision({ ...decision, commentEn: e.target.value })}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="commentAr">{isRTL ? 'التعليق (عربي)' : 'Comment (Arabic)'}</Label>
+                <Textarea
+                  id="commentAr"
+                  dir="rtl"
+                  rows={4}
+                  value={decision.commentAr}
+                  onChange={(e) => setDecision({ ...decision, commentAr: e.target.value })}
+                />
+              </div>
+            </div>
+
+            <div className="space-y-1">
+              <Label htmlFor="reason">{isRTL ? 'سبب القرار (اختياري)' : 'Reason (optional)'}</Label>
+              <Input
+                id="reason"
+                value={decision.reason}
+                onChange={(e) => setDecision({ ...decision, reason: e.target.value })}
+              />
+            </div>
+
+            <div className="flex justify-end gap-2">
+              <Button variant="outline" disabled={submitting} onClick={() => handleModerate('rejected')}>
+                <X className="w-4 h-4 mr-1" />
+                {isRTL ? 'رفض' : 'Reject'}
+              </Button>
+              <Button disabled={submitting} onClick={() => handleModerate('approved')}>
+                {submitting ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Check className="w-4 h-4 mr-1" />}
+                {isRTL ? 'نشر' : 'Approve'}
+              </Button>
+            </div>
+          </div>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
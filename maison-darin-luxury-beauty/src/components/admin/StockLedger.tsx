@@ -0,0 +1,197 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { toast } from 'sonner';
+import { AlertTriangle, Plus } from 'lucide-react';
+import { productService } from '@/services/productService';
+import type {
+  ManualStockMovementType,
+  ProductVariantInput,
+  StockDrift,
+  StockMovement,
+  StockMovementType
+} from '@/services/productService';
+
+const MOVEMENT_TYPES: Record<StockMovementType, string> = {
+  opening_balance: 'رصيد افتتاحي',
+  sale: 'بيع',
+  cancellation_restock: 'إرجاع بعد إلغاء',
+  return: 'مرتجع',
+  refund: 'استرداد',
+  manual_adjustment: 'تعديل يدوي',
+  damage: 'تالف',
+  sample_usage: 'عينات',
+  stock_count: 'جرد'
+};
+
+const MANUAL_TYPES: ManualStockMovementType[] = ['damage', 'sample_usage', 'stock_count', 'manual_adjustment'];
+
+const QUANTITY_LABELS: Record<ManualStockMovementType, string> = {
+  damage: 'الكمية التالفة',
+  sample_usage: 'الكمية المستخدمة',
+  stock_count: 'الكمية المعدودة',
+  manual_adjustment: 'التغيير (+ أو -)'
+};
+
+interface StockLedgerProps {
+  productId: string;
+  variants?: ProductVariantInput[];
+  stockDrift?: StockDrift;
+  onStockChange: (movement: StockMovement) => void;
+}
+
+export function StockLedger({ productId, variants = [], stockDrift, onStockChange }: StockLedgerProps) {
+  const [movements, setMovements] = useState<StockMovement[]>([]);
+  const [type, setType] = useState<ManualStockMovementType>('damage');
+  const [variantId, setVariantId] = useState('');
+  const [quantity, setQuantity] = useState('');
+  const [reason, setReason] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Only saved sizes have stock of their own on the server
+  const savedVariants = variants.filter(variant => variant._id);
+
+  const loadMovements = useCallback(() => {
+    productService.getStockMovements(productId, { limit: 20 })
+      .then(setMovements)
+      .catch(() => setMovements([]));
+  }, [productId]);
+
+  useEffect(() => {
+    loadMovements();
+  }, [loadMovements]);
+
+  const handleRecord = async () => {
+    const value = parseInt(quantity, 10);
+    if (Number.isNaN(value) || (type !== 'manual_adjustment' && value < 0) || (type === 'manual_adjustment' && value === 0)) {
+      toast.error('يرجى إدخال كمية صحيحة');
+      return;
+    }
+    if (savedVariants.length > 0 && !variantId) {
+      toast.error('يرجى اختيار الحجم');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const movement = await productService.recordStockMovement(productId, {
+        type,
+        ...(type === 'stock_count' ? { stock: value } : { quantity: value }),
+        variantId: variantId || undefined,
+        reason: reason.trim() || undefined
+      });
+      toast.success('تم تسجيل حركة المخزون');
+      setQuantity('');
+      setReason('');
+      onStockChange(movement);
+      loadMovements();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'فشل في تسجيل حركة المخزون');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <Label className="text-dark-tea font-semibold">سجل المخزون</Label>
+
+      {stockDrift?.detectedAt && (
+        <div className="flex items-start gap-2 rounded-lg border border-amber-300 bg-amber-50 px-3 py-2 text-sm text-amber-800">
+          <AlertTriangle className="w-4 h-4 mt-0.5 shrink-0" />
+          <span>
+            المخزون لا يطابق سجل الحركات: السجل يشير إلى {stockDrift.ledgerStock} (فرق {stockDrift.difference > 0 ? '+' : ''}{stockDrift.difference})
+            {' • '}{new Date(stockDrift.detectedAt).toLocaleDateString('ar-SA')}
+          </span>
+        </div>
+      )}
+
+      <div className={`grid grid-cols-1 gap-2 items-end ${savedVariants.length > 0 ? 'md:grid-cols-5' : 'md:grid-cols-4'}`}>
+        <div className="space-y-1">
+          <Label className="text-xs">نوع الحركة</Label>
+          <Select value={type} onValueChange={(value) => setType(value as ManualStockMovementType)}>
+            <SelectTrigger className="border-gold/30">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {MANUAL_TYPES.map(option => (
+                <SelectItem key={option} value={option}>{MOVEMENT_TYPES[option]}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        {savedVariants.length > 0 && (
+          <div className="space-y-1">
+            <Label className="text-xs">الحجم</Label>
+            <Select value={variantId} onValueChange={setVariantId}>
+              <SelectTrigger className="border-gold/30">
+                <SelectValue placeholder="اختر الحجم" />
+              </SelectTrigger>
+              <SelectContent>
+                {savedVariants.map(variant => (
+                  <SelectItem key={variant._id} value={variant._id!}>{variant.size}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        )}
+        <div className="space-y-1">
+          <Label className="text-xs">{QUANTITY_LABELS[type]}</Label>
+          <Input
+            type="number"
+            value={quantity}
+            onChange={(e) => setQuantity(e.target.value)}
+            className="border-gold/30"
+          />
+        </div>
+        <div className="space-y-1">
+          <Label className="text-xs">السبب</Label>
+          <Input
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="اختياري"
+            className="border-gold/30"
+          />
+        </div>
+        <Button
+          type="button"
+          onClick={handleRecord}
+          disabled={isSaving}
+          variant="outline"
+          className="border-gold/30"
+        >
+          <Plus className="w-4 h-4 mr-1" />
+          تسجيل
+        </Button>
+      </div>
+
+      {movements.length > 0 && (
+        <div className="max-h-48 overflow-y-auto rounded-lg border border-gold/20 divide-y divide-gold/10">
+          {movements.map(movement => (
+            <div key={movement._id} className="flex flex-wrap items-center justify-between gap-2 px-3 py-2 text-sm">
+              <span className="text-dark-tea">
+                {MOVEMENT_TYPES[movement.type]}
+                {movement.size && ` • ${movement.size}`}
+                {movement.order && ` • ${movement.order.orderNumber}`}
+                {movement.sampleRequest && ` • ${movement.sampleRequest.requestNumber}`}
+              </span>
+              <span className="font-medium">
+                <span className={movement.quantity < 0 ? 'text-red-600' : 'text-green-600'}>
+                  {movement.quantity > 0 ? '+' : ''}{movement.quantity}
+                </span>
+                <span className="text-muted-foreground"> ({movement.previousStock} ← {movement.newStock})</span>
+              </span>
+              <span className="w-full text-xs text-muted-foreground">
+                {new Date(movement.createdAt).toLocaleString('ar-SA')}
+                {movement.performedBy && ` • ${movement.performedBy.email}`}
+                {movement.reason && ` • ${movement.reason}`}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -11,12 +11,27 @@ import { Separator } from "@/components/ui/separator";
 import { Save, Download, Upload, RefreshCcw } from "lucide-react";
 import { motion } from "framer-motion";
 import { useToast } from "@/hooks/use-toast";
-import { settingsService, SiteSettings } from "@/services/settingsService";
+import { settingsService, SiteSettings, NumberedDocument } from "@/services/settingsService";
 
 interface AdminSettingsProps {
   currentLang: 'en' | 'ar';
 }
 
+const NUMBERED_DOCUMENTS: Array<{ key: NumberedDocument; label: { en: string; ar: string } }> = [
+  { key: 'order', label: { en: 'Orders', ar: 'الطلبات' } },
+  { key: 'invoice', label: { en: 'Invoices', ar: 'الفواتير' } },
+  { key: 'creditNote', label: { en: 'Credit Notes', ar: 'إشعارات الدائن' } },
+  { key: 'sampleRequest', label: { en: 'Sample Requests', ar: 'طلبات العينات' } },
+  { key: 'refund', label: { en: 'Refunds', ar: 'المبالغ المستردة' } },
+  { key: 'return', label: { en: 'Returns', ar: 'طلبات الإرجاع' } }
+];
+
+// What the next number will look like, e.g. INV-2026-000001
+const previewNumber = (prefix: string, reset: 'daily' | 'yearly', padding: number) => {
+  const today = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `${prefix}-${reset === 'daily' ? today : today.slice(0, 4)}-${'1'.padStart(padding, '0')}`;
+};
+
 export const AdminSettings = ({ currentLang }: AdminSettingsProps) => {
   const [settings, setSettings] = useState<SiteSettings>({
     site: {
@@ -141,6 +156,14 @@ export const AdminSettings = ({ currentLang }: AdminSettingsProps) => {
       taxExemptProducts: [],
       displayTaxBreakdown: true
     },
+    numbering: {
+      order: { prefix: "MD", reset: "daily", padding: 3 },
+      invoice: { prefix: "INV", reset: "yearly", padding: 6 },
+      creditNote: { prefix: "CN", reset: "yearly", padding: 6 },
+      sampleRequest: { prefix: "SR", reset: "yearly", padding: 5 },
+      refund: { prefix: "RF", reset: "yearly", padding: 5 },
+      return: { prefix: "RMA", reset: "yearly", padding: 5 }
+    },
     localization: {
       defaultLanguage: "en",
       enableRTL: true,
@@ -300,7 +323,7 @@ export const AdminSettings = ({ currentLang }: AdminSettingsProps) => {
       </div>
 
       <Tabs defaultValue="general" className="space-y-4">
-        <TabsList className="grid w-full grid-cols-8">
+        <TabsList className="grid w-full grid-cols-9">
           <TabsTrigger value="general">
             {currentLang === 'ar' ? 'عام' : 'General'}
           </TabsTrigger>
@@ -322,6 +345,9 @@ export const AdminSettings = ({ currentLang }: AdminSettingsProps) => {
           <TabsTrigger value="payment">
             {currentLang === 'ar' ? 'الدفع' : 'Payment'}
           </TabsTrigger>
+          <TabsTrigger value="numbering">
+            {currentLang === 'ar' ? 'الترقيم' : 'Numbering'}
+          </TabsTrigger>
           <TabsTrigger value="localization">
             {currentLang === 'ar' ? 'الترجمة' : 'Localization'}
           </TabsTrigger>
@@ -983,6 +1009,22 @@ export const AdminSettings = ({ currentLang }: AdminSettingsProps) => {
                   />
                 </div>
 
+                <div>
+                  <Label>{currentLang === 'ar' ? 'الرقم الضريبي' : 'VAT Number'}</Label>
+                  <Input
+                    value={settings.taxes.vatNumber || ''}
+                    onChange={(e) => handleSettingChange('taxes', 'vatNumber', e.target.value.trim())}
+                    placeholder="3XXXXXXXXXXXXX3"
+                    maxLength={15}
+                    dir="ltr"
+                  />
+                  <p className="text-sm text-muted-foreground mt-1">
+                    {currentLang === 'ar'
+                      ? 'يظهر على الفواتير الضريبية ورمز QR الخاص بها، ولا تصدر الفواتير بدونه'
+                      : 'Shown on tax invoices and their QR code; invoices are not issued without it'}
+                  </p>
+                </div>
+
                 <div className="flex items-center justify-between">
                   <div>
                     <Label>{currentLang === 'ar' ? 'عرض تفصيل الضرائب' : 'Display Tax Breakdown'}</Label>
@@ -1082,6 +1124,78 @@ export const AdminSettings = ({ currentLang }: AdminSettingsProps) => {
           </motion.div>
         </TabsContent>
 
+        <TabsContent value="numbering">
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="space-y-6"
+          >
+            <Card>
+              <CardHeader>
+                <CardTitle>{currentLang === 'ar' ? 'ترقيم المستندات' : 'Document Numbering'}</CardTitle>
+                <CardDescription>
+                  {currentLang === 'ar'
+                    ? 'لكل نوع تسلسل خاص به بدون فجوات. تغيير البادئة لا يؤثر على الأرقام الصادرة سابقاً'
+                    : 'Each document type has its own gap-free sequence. Changing a prefix does not renumber documents already issued'}
+                </CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                {NUMBERED_DOCUMENTS.map(({ key, label }) => {
+                  const format = settings.numbering[key];
+
+                  return (
+                    <Card key={key}>
+                      <CardContent className="p-4">
+                        <div className="flex items-center justify-between mb-4">
+                          <Label>{label[currentLang]}</Label>
+                          <span className="text-sm text-muted-foreground font-mono">
+                            {previewNumber(format.prefix, format.reset, format.padding)}
+                          </span>
+                        </div>
+                        <div className="grid grid-cols-3 gap-4">
+                          <div>
+                            <Label>{currentLang === 'ar' ? 'البادئة' : 'Prefix'}</Label>
+                            <Input
+                              value={format.prefix}
+                              maxLength={10}
+                              onChange={(e) => handleSettingChange('numbering', `${key}.prefix`, e.target.value.toUpperCase())}
+                            />
+                          </div>
+                          <div>
+                            <Label>{currentLang === 'ar' ? 'إعادة البدء' : 'Restart'}</Label>
+                            <Select
+                              value={format.reset}
+                              onValueChange={(value) => handleSettingChange('numbering', `${key}.reset`, value)}
+                            >
+                              <SelectTrigger>
+                                <SelectValue />
+                              </SelectTrigger>
+                              <SelectContent>
+                                <SelectItem value="daily">{currentLang === 'ar' ? 'يومياً' : 'Daily'}</SelectItem>
+                                <SelectItem value="yearly">{currentLang === 'ar' ? 'سنوياً' : 'Yearly'}</SelectItem>
+                              </SelectContent>
+                            </Select>
+                          </div>
+                          <div>
+                            <Label>{currentLang === 'ar' ? 'عدد الخانات' : 'Digits'}</Label>
+                            <Input
+                              type="number"
+                              min={1}
+                              max={10}
+                              value={format.padding}
+                              onChange={(e) => handleSettingChange('numbering', `${key}.padding`, parseInt(e.target.value, 10) || 1)}
+                            />
+                          </div>
+                        </div>
+                      </CardContent>
+                    </Card>
+                  );
+                })}
+              </CardContent>
+            </Card>
+          </motion.div>
+        </TabsContent>
+
         <TabsContent value="localization">
           <motion.div
             initial={{ opacity: 0, y: 20 }}
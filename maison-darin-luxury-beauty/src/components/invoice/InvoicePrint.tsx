@@ -1,6 +1,6 @@
 import { useState } from 'react';
 import { Download, Printer, Mail } from 'lucide-react';
-import { Order } from '@/services/orderService';
+import { Order, orderService } from '@/services/orderService';
 import { Button } from '@/components/ui/button';
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog';
 import InvoiceTemplate from './InvoiceTemplate';
@@ -211,12 +211,27 @@ export default function InvoicePrint({ order, currentLang, trigger }: InvoicePri
     });
   };
 
-  const handleDownloadPDF = () => {
-    // This would integrate with a PDF generation service
-    toast({
-      title: currentLang === 'ar' ? "قريباً" : "Coming Soon",
-      description: currentLang === 'ar' ? "ميزة تحميل PDF ستكون متاحة قريباً" : "PDF download feature coming soon",
-    });
+  // The tax invoice PDF, with its QR code, comes from the server
+  const handleDownloadPDF = async () => {
+    try {
+      const blob = await orderService.downloadInvoice(order._id);
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${order.invoiceNumber || order.orderNumber}.pdf`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast({
+        title: currentLang === 'ar' ? "خطأ" : "Error",
+        description: currentLang === 'ar'
+          ? "لا تتوفر الفاتورة الضريبية إلا بعد دفع الطلب"
+          : "The tax invoice is available once the order is paid",
+        variant: "destructive",
+      });
+    }
   };
 
   const handleEmailInvoice = () => {
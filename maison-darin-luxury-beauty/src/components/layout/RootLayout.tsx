@@ -1,6 +1,7 @@
 import { Outlet } from "react-router-dom";
 import { CartDrawer } from "@/components/ui/cart-drawer";
 import { WhatsAppFloat } from "@/components/ui/whatsapp-float";
+import { CompareTray } from "@/components/ui/compare-tray";
 
 interface RootLayoutProps {
   currentLang: 'en' | 'ar';
@@ -12,6 +13,7 @@ export const RootLayout = ({ currentLang }: RootLayoutProps) => {
       <Outlet />
       <CartDrawer currentLang={currentLang} />
       <WhatsAppFloat currentLang={currentLang} />
+      <CompareTray currentLang={currentLang} />
     </>
   );
 };
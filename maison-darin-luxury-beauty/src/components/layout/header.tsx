@@ -1,10 +1,12 @@
 import { motion } from "framer-motion";
 import { Link } from "react-router-dom";
 import { LanguageSwitcher } from "@/components/ui/language-switcher";
+import { SearchAutocomplete } from "@/components/ui/search-autocomplete";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
-import { ShoppingBag, Menu, LogOut, X } from "lucide-react";
+import { ShoppingBag, Menu, LogOut, X, Heart, Award } from "lucide-react";
 import { useCart } from "@/contexts/CartContext";
+import { useWishlist } from "@/contexts/WishlistContext";
 import { useAuth } from "@/contexts/AuthContext";
 import { useState } from "react";
 import logo from "@/assets/logo.png";
@@ -18,7 +20,9 @@ interface HeaderProps {
 export function Header({ currentLang, onLanguageChange, translations }: HeaderProps) {
   const { getItemCount, toggleCart } = useCart();
   const { state, logout } = useAuth();
+  const isCustomer = state.isAuthenticated && state.user?.role === 'customer';
   const cartItemCount = getItemCount();
+  const { items: wishlistItems } = useWishlist();
   const isRTL = currentLang === 'ar';
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
 
@@ -74,6 +78,9 @@ export function Header({ currentLang, onLanguageChange, translations }: HeaderPr
             <Link to="/products" className="text-foreground hover:text-primary transition-colors duration-300 font-medium">
               {extractString(translations?.nav?.collections)}
             </Link>
+            <Link to="/fragrance-quiz" className="text-foreground hover:text-primary transition-colors duration-300 font-medium">
+              {isRTL ? 'اكتشف عطرك' : 'Find your scent'}
+            </Link>
             <Link to="/#about" className="text-foreground hover:text-primary transition-colors duration-300 font-medium">
               {extractString(translations?.nav?.about)}
             </Link>
@@ -90,6 +97,26 @@ export function Header({ currentLang, onLanguageChange, translations }: HeaderPr
             />
             
             <div className={`hidden md:flex items-center ${isRTL ? 'space-x-reverse space-x-2' : 'space-x-2'}`}>
+              <SearchAutocomplete currentLang={currentLang} className="w-48 lg:w-64" />
+
+              <Button 
+                variant="ghost" 
+                size="icon" 
+                className="hover:bg-muted/50 relative"
+                asChild
+              >
+                <Link to="/wishlist" aria-label={isRTL ? 'المفضلة' : 'Wishlist'}>
+                  <Heart className="w-5 h-5" />
+                  {wishlistItems.length > 0 && (
+                    <Badge 
+                      className={`absolute -top-2 h-5 w-5 rounded-full p-0 flex items-center justify-center text-xs bg-primary text-primary-foreground ${isRTL ? '-left-2' : '-right-2'}`}
+                    >
+                      {wishlistItems.length}
+                    </Badge>
+                  )}
+                </Link>
+              </Button>
+
               <Button 
                 variant="ghost" 
                 size="icon" 
@@ -112,6 +139,18 @@ export function Header({ currentLang, onLanguageChange, translations }: HeaderPr
                   <span className="text-sm text-muted-foreground hidden lg:block">
                     مرحباً، {state.user?.firstName || state.user?.email}
                   </span>
+                  {isCustomer && (
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      className="hover:bg-muted/50"
+                      asChild
+                    >
+                      <Link to="/loyalty" aria-label={isRTL ? 'نقاط الولاء' : 'Loyalty points'}>
+                        <Award className="w-5 h-5" />
+                      </Link>
+                    </Button>
+                  )}
                   <Button 
                     variant="ghost" 
                     size="icon" 
@@ -152,6 +191,9 @@ export function Header({ currentLang, onLanguageChange, translations }: HeaderPr
             dir={isRTL ? 'rtl' : 'ltr'}
           >
             <div className="px-4 py-6 space-y-4">
+              {/* Mobile Search */}
+              <SearchAutocomplete currentLang={currentLang} onNavigate={() => setIsMobileMenuOpen(false)} />
+
               {/* Mobile Navigation Links */}
               <div className="space-y-2">
                 <Link 
@@ -168,6 +210,13 @@ export function Header({ currentLang, onLanguageChange, translations }: HeaderPr
                 >
                   {extractString(translations?.nav?.collections)}
                 </Link>
+                <Link 
+                  to="/fragrance-quiz" 
+                  className={`block w-full px-4 py-3 text-lg font-medium text-gray-800 hover:text-primary hover:bg-gray-50 rounded-lg transition-all duration-300 ${isRTL ? 'text-right' : 'text-left'}`}
+                  onClick={() => setIsMobileMenuOpen(false)}
+                >
+                  {isRTL ? 'اكتشف عطرك' : 'Find your scent'}
+                </Link>
                 <Link 
                   to="/#about" 
                   className={`block w-full px-4 py-3 text-lg font-medium text-gray-800 hover:text-primary hover:bg-gray-50 rounded-lg transition-all duration-300 ${isRTL ? 'text-right' : 'text-left'}`}
@@ -209,6 +258,43 @@ export function Header({ currentLang, onLanguageChange, translations }: HeaderPr
                   </div>
                 </Button>
 
+                <Button 
+                  variant="ghost" 
+                  className="w-full justify-between text-right px-4 py-3 text-lg font-medium hover:bg-gray-50 rounded-lg"
+                  asChild
+                >
+                  <Link to="/wishlist" onClick={() => setIsMobileMenuOpen(false)}>
+                    <div className="flex items-center">
+                      {wishlistItems.length > 0 && (
+                        <Badge 
+                          className="h-6 w-6 rounded-full p-0 flex items-center justify-center text-xs bg-primary text-primary-foreground"
+                        >
+                          {wishlistItems.length}
+                        </Badge>
+                      )}
+                    </div>
+                    <div className={`flex items-center ${isRTL ? 'flex-row-reverse' : ''}`}>
+                      <span>{isRTL ? 'المفضلة' : 'Wishlist'}</span>
+                      <Heart className={`w-5 h-5 ${isRTL ? 'mr-3' : 'ml-3'}`} />
+                    </div>
+                  </Link>
+                </Button>
+
+                {isCustomer && (
+                  <Button
+                    variant="ghost"
+                    className="w-full justify-end text-right px-4 py-3 text-lg font-medium hover:bg-gray-50 rounded-lg"
+                    asChild
+                  >
+                    <Link to="/loyalty" onClick={() => setIsMobileMenuOpen(false)}>
+                      <div className={`flex items-center ${isRTL ? 'flex-row-reverse' : ''}`}>
+                        <span>{isRTL ? 'نقاط الولاء' : 'Loyalty points'}</span>
+                        <Award className={`w-5 h-5 ${isRTL ? 'mr-3' : 'ml-3'}`} />
+                      </div>
+                    </Link>
+                  </Button>
+                )}
+
                 {/* Auth Buttons for Mobile */}
                 {state.isAuthenticated && (
                   <Button 
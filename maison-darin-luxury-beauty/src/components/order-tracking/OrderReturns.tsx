@@ -0,0 +1,261 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { Camera, RotateCcw, X } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/hooks/use-toast';
+import {
+  MAX_RETURN_PHOTOS,
+  OrderReturns as OrderReturnsData,
+  RETURN_REASON_LABELS,
+  RETURN_STATUS_LABELS,
+  ReturnReason,
+  returnService,
+} from '@/services/returnService';
+
+interface OrderReturnsProps {
+  orderNumber: string;
+  email: string;
+  currentLang: 'en' | 'ar';
+  formatCurrency: (amount: number) => string;
+}
+
+export function OrderReturns({ orderNumber, email, currentLang, formatCurrency }: OrderReturnsProps) {
+  const { toast } = useToast();
+  const isRTL = currentLang === 'ar';
+
+  const [data, setData] = useState<OrderReturnsData | null>(null);
+  const [formOpen, setFormOpen] = useState(false);
+  // Quantity to return of each order line, by line ID
+  const [quantities, setQuantities] = useState<Record<string, number>>({});
+  const [reason, setReason] = useState<ReturnReason | ''>('');
+  const [details, setDetails] = useState('');
+  const [photos, setPhotos] = useState<File[]>([]);
+  const [submitting, setSubmitting] = useState(false);
+
+  const photoPreviews = useMemo(() => photos.map((photo) => URL.createObjectURL(photo)), [photos]);
+  useEffect(() => () => photoPreviews.forEach((url) => URL.revokeObjectURL(url)), [photoPreviews]);
+
+  const loadReturns = useCallback(async () => {
+    try {
+      setData(await returnService.getOrderReturns(orderNumber, email));
+    } catch (error) {
+      console.error('Error loading returns:', error);
+    }
+  }, [orderNumber, email]);
+
+  useEffect(() => {
+    loadReturns();
+  }, [loadReturns]);
+
+  const handlePhotos = (event: React.ChangeEvent<HTMLInputElement>) => {
+    const files = Array.from(event.target.files || []);
+    setPhotos((previous) => [...previous, ...files].slice(0, MAX_RETURN_PHOTOS));
+    event.target.value = '';
+  };
+
+  const resetForm = () => {
+    setQuantities({});
+    setReason('');
+    setDetails('');
+    setPhotos([]);
+  };
+
+  const handleSubmit = async (event: React.FormEvent) => {
+    event.preventDefault();
+
+    const items = Object.entries(quantities)
+      .filter(([, quantity]) => quantity > 0)
+      .map(([orderItem, quantity]) => ({ orderItem, quantity }));
+    if (items.length === 0 || !reason) {
+      toast({
+        title: isRTL ? 'خطأ' : 'Error',
+        description: isRTL
+          ? 'يرجى اختيار المنتجات المراد إرجاعها وسبب الإرجاع'
+          : 'Please choose the items to return and a reason',
+        variant: 'destructive',
+      });
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const created = await returnService.requestReturn({
+        orderNumber,
+        email,
+        items,
+        reason,
+        details: details.trim() || undefined,
+        language: currentLang,
+        photos,
+      });
+      toast({
+        title: isRTL ? 'تم إرسال طلب الإرجاع' : 'Return requested',
+        description: isRTL
+          ? `رقم الإرجاع ${created.returnNumber}. سنراسلك بعد مراجعته`
+          : `Return number ${created.returnNumber}. We will email you once it is reviewed`,
+      });
+      resetForm();
+      setFormOpen(false);
+      loadReturns();
+    } catch (error) {
+      toast({
+        title: isRTL ? 'تعذر إرسال طلب الإرجاع' : 'Could not request return',
+        description: error instanceof Error ? error.message : undefined,
+        variant: 'destructive',
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const formatDate = (date: string) =>
+    new Date(date).toLocaleDateString(isRTL ? 'ar-EG' : 'en-US', { dateStyle: 'medium' });
+
+  if (!data || (data.returns.length === 0 && data.returnableItems.length === 0)) {
+    return null;
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <CardTitle className="flex items-center">
+            <RotateCcw className={`h-5 w-5 ${isRTL ? 'ml-2' : 'mr-2'}`} />
+            {isRTL ? 'الإرجاع' : 'Returns'}
+          </CardTitle>
+          {data.returnableItems.length > 0 && !formOpen && (
+            <Button variant="outline" size="sm" onClick={() => setFormOpen(true)}>
+              {isRTL ? 'طلب إرجاع' : 'Request a return'}
+            </Button>
+          )}
+        </div>
+        {data.returnableItems.length > 0 && data.windowEndsAt && (
+          <p className="text-sm text-gray-600">
+            {isRTL ? 'يمكن طلب الإرجاع حتى ' : 'Returns can be requested until '}
+            {formatDate(data.windowEndsAt)}
+          </p>
+        )}
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {data.returns.map((returnRequest) => (
+          <div key={returnRequest._id} className="rounded-md border p-3 text-sm space-y-1">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <span className="font-mono" dir="ltr">{returnRequest.returnNumber}</span>
+              <Badge variant={returnRequest.status === 'rejected' ? 'destructive' : 'secondary'}>
+                {RETURN_STATUS_LABELS[returnRequest.status][currentLang]}
+              </Badge>
+            </div>
+            {returnRequest.items.map((item) => (
+              <p key={item.orderItem} className="text-gray-600">
+                {item.productName}{item.variantSize && ` (${item.variantSize})`} × {item.receivedQuantity ?? item.quantity}
+              </p>
+            ))}
+            <p className="text-xs text-gray-500">
+              {RETURN_REASON_LABELS[returnRequest.reason][currentLang]} • {formatDate(returnRequest.createdAt)}
+              {returnRequest.refund?.amount !== undefined && (
+                <> • {isRTL ? 'المبلغ المسترد ' : 'Refund '}{formatCurrency(returnRequest.refund.amount)}</>
+              )}
+            </p>
+          </div>
+        ))}
+
+        {formOpen && (
+          <form onSubmit={handleSubmit} className="space-y-4 border-t pt-4">
+            <div className="space-y-2">
+              <Label>{isRTL ? 'المنتجات المراد إرجاعها' : 'Items to return'}</Label>
+              {data.returnableItems.map((line) => (
+                <div key={line.orderItem} className="flex items-center justify-between gap-2">
+                  <span className="text-sm">
+                    {line.productName}{line.variantSize && ` (${line.variantSize})`}
+                  </span>
+                  <Select
+                    value={String(quantities[line.orderItem] || 0)}
+                    onValueChange={(value) => setQuantities({ ...quantities, [line.orderItem]: Number(value) })}
+                  >
+                    <SelectTrigger className="w-20">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {Array.from({ length: line.returnableQuantity + 1 }, (_, quantity) => (
+                        <SelectItem key={quantity} value={String(quantity)}>{quantity}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              ))}
+            </div>
+
+            <div className="space-y-1">
+              <Label>{isRTL ? 'سبب الإرجاع' : 'Reason'}</Label>
+              <Select value={reason} onValueChange={(value) => setReason(value as ReturnReason)}>
+                <SelectTrigger>
+                  <SelectValue placeholder={isRTL ? 'اختر السبب' : 'Choose a reason'} />
+                </SelectTrigger>
+                <SelectContent>
+                  {(Object.keys(RETURN_REASON_LABELS) as ReturnReason[]).map((key) => (
+                    <SelectItem key={key} value={key}>{RETURN_REASON_LABELS[key][currentLang]}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="space-y-1">
+              <Label htmlFor="returnDetails">{isRTL ? 'تفاصيل (اختياري)' : 'Details (optional)'}</Label>
+              <Textarea
+                id="returnDetails"
+                maxLength={1000}
+                rows={3}
+                value={details}
+                onChange={(e) => setDetails(e.target.value)}
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label>{isRTL ? `الصور (حتى ${MAX_RETURN_PHOTOS})` : `Photos (up to ${MAX_RETURN_PHOTOS})`}</Label>
+              <div className="flex flex-wrap gap-2">
+                {photoPreviews.map((preview, index) => (
+                  <div key={preview} className="relative">
+                    <img src={preview} alt="" className="w-16 h-16 rounded-lg object-cover" />
+                    <button
+                      type="button"
+                      onClick={() => setPhotos(photos.filter((_, i) => i !== index))}
+                      className="absolute -top-2 -right-2 bg-destructive text-white rounded-full p-0.5"
+                    >
+                      <X className="w-3 h-3" />
+                    </button>
+                  </div>
+                ))}
+                {photos.length < MAX_RETURN_PHOTOS && (
+                  <label className="w-16 h-16 rounded-lg border border-dashed border-gray-300 flex items-center justify-center cursor-pointer hover:bg-gray-100">
+                    <Camera className="w-5 h-5 text-muted-foreground" />
+                    <input type="file" accept="image/jpeg,image/png,image/webp" multiple className="hidden" onChange={handlePhotos} />
+                  </label>
+                )}
+              </div>
+            </div>
+
+            <div className="flex justify-end gap-2">
+              <Button
+                type="button"
+                variant="outline"
+                disabled={submitting}
+                onClick={() => { resetForm(); setFormOpen(false); }}
+              >
+                {isRTL ? 'إلغاء' : 'Cancel'}
+              </Button>
+              <Button type="submit" disabled={submitting}>
+                {submitting
+                  ? (isRTL ? 'جاري الإرسال...' : 'Submitting...')
+                  : (isRTL ? 'إرسال طلب الإرجاع' : 'Submit return')}
+              </Button>
+            </div>
+          </form>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
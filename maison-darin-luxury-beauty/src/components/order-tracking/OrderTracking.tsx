@@ -5,19 +5,16 @@ import {
   Clock, 
   CheckCircle, 
   Truck, 
-  MapPin,
-  Calendar,
-  User,
-  Mail,
-  Phone,
-  AlertCircle
+  AlertCircle,
+  RotateCcw
 } from 'lucide-react';
-import { orderService, Order } from '@/services/orderService';
+import { orderService, type OrderStatus, type TrackedOrder } from '@/services/orderService';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { useToast } from '@/hooks/use-toast';
+import { OrderReturns } from './OrderReturns';
 
 interface OrderTrackingProps {
   currentLang: 'en' | 'ar';
@@ -26,7 +23,9 @@ interface OrderTrackingProps {
 export default function OrderTracking({ currentLang }: OrderTrackingProps) {
   const [orderNumber, setOrderNumber] = useState('');
   const [email, setEmail] = useState('');
-  const [order, setOrder] = useState<Order | null>(null);
+  const [order, setOrder] = useState<TrackedOrder | null>(null);
+  // Email the shown order was found with; returns are requested with it
+  const [trackedEmail, setTrackedEmail] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const { toast } = useToast();
@@ -45,30 +44,18 @@ export default function OrderTracking({ currentLang }: OrderTrackingProps) {
     setError(null);
     
     try {
-      // Search for order by order number and email
-      const response = await orderService.searchOrders(orderNumber.trim(), {
-        customerEmail: email.trim(),
-        limit: 1
-      });
-
-      if (response.orders.length === 0) {
+      // The server only answers when the email matches the order
+      const trackedOrder = await orderService.trackOrder(orderNumber.trim().toUpperCase(), email.trim());
+      setOrder(trackedOrder);
+      setTrackedEmail(email.trim());
+    } catch (err) {
+      setOrder(null);
+      if (err instanceof Error && err.message.includes('not found')) {
         setError(currentLang === 'ar' ? 'لم يتم العثور على الطلب' : 'Order not found');
-        setOrder(null);
-      } else {
-        const foundOrder = response.orders[0];
-        // Verify email matches
-        if (foundOrder.customerInfo.email.toLowerCase() === email.trim().toLowerCase()) {
-          setOrder(foundOrder);
-          setError(null);
-        } else {
-          setError(currentLang === 'ar' ? 'البيانات غير صحيحة' : 'Invalid credentials');
-          setOrder(null);
-        }
+        return;
       }
-    } catch (err) {
       const errorMessage = currentLang === 'ar' ? 'حدث خطأ أثناء البحث عن الطلب' : 'Error searching for order';
       setError(errorMessage);
-      setOrder(null);
       toast({
         title: currentLang === 'ar' ? "خطأ" : "Error",
         description: errorMessage,
@@ -197,7 +184,7 @@ export default function OrderTracking({ currentLang }: OrderTrackingProps) {
                       variant="default" 
                       className="text-sm mb-2"
                     >
-                      {orderService.formatOrderStatus(order.orderStatus, currentLang)}
+                      {orderService.formatOrderStatus(order.status, currentLang)}
                     </Badge>
                     <div className="text-lg font-bold">
                       {formatCurrency(order.total)}
@@ -220,61 +207,19 @@ export default function OrderTracking({ currentLang }: OrderTrackingProps) {
               </CardContent>
             </Card>
 
-            {/* Customer & Shipping Info */}
-            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Tracking Number */}
+            {order.trackingNumber && (
               <Card>
-                <CardHeader>
-                  <CardTitle className="flex items-center">
-                    <User className={`h-5 w-5 ${currentLang === 'ar' ? 'ml-2' : 'mr-2'}`} />
-                    {currentLang === 'ar' ? 'معلومات العميل' : 'Customer Information'}
-                  </CardTitle>
-                </CardHeader>
-                <CardContent className="space-y-3">
-                  <div>
-                    <label className="text-sm font-medium text-gray-600">
-                      {currentLang === 'ar' ? 'الاسم' : 'Name'}
-                    </label>
-                    <div className="mt-1">
-                      {order.customerInfo.firstName} {order.customerInfo.lastName}
-                    </div>
-                  </div>
-                  <div>
-                    <label className="text-sm font-medium text-gray-600">
-                      {currentLang === 'ar' ? 'البريد الإلكتروني' : 'Email'}
-                    </label>
-                    <div className="mt-1 flex items-center">
-                      <Mail className={`h-4 w-4 text-gray-400 ${currentLang === 'ar' ? 'ml-2' : 'mr-2'}`} />
-                      {order.customerInfo.email}
-                    </div>
-                  </div>
-                  <div>
-                    <label className="text-sm font-medium text-gray-600">
-                      {currentLang === 'ar' ? 'الهاتف' : 'Phone'}
-                    </label>
-                    <div className="mt-1 flex items-center">
-                      <Phone className={`h-4 w-4 text-gray-400 ${currentLang === 'ar' ? 'ml-2' : 'mr-2'}`} />
-                      {order.customerInfo.phone}
-                    </div>
-                  </div>
-                </CardContent>
-              </Card>
-
-              <Card>
-                <CardHeader>
-                  <CardTitle className="flex items-center">
-                    <MapPin className={`h-5 w-5 ${currentLang === 'ar' ? 'ml-2' : 'mr-2'}`} />
-                    {currentLang === 'ar' ? 'عنوان التسليم' : 'Shipping Address'}
-                  </CardTitle>
-                </CardHeader>
-                <CardContent>
-                  <div className="text-sm">
-                    <div>{order.customerInfo.address}</div>
-                    <div>{order.customerInfo.city}, {order.customerInfo.postalCode}</div>
-                    <div>{order.customerInfo.country}</div>
+                <CardContent className="pt-6">
+                  <div className="flex justify-between items-center">
+                    <span className="text-sm font-medium text-gray-600">
+                      {currentLang === 'ar' ? 'رقم التتبع لدى شركة الشحن' : 'Carrier Tracking Number'}
+                    </span>
+                    <span className="font-mono">{order.trackingNumber}</span>
                   </div>
                 </CardContent>
               </Card>
-            </div>
+            )}
 
             {/* Order Items */}
             <Card>
@@ -290,7 +235,8 @@ export default function OrderTracking({ currentLang }: OrderTrackingProps) {
                     <div key={index} className="flex justify-between items-center py-3 border-b last:border-b-0">
                       <div className="flex-1">
                         <h4 className="font-medium">
-                          {currentLang === 'ar' ? item.name.ar : item.name.en}
+                          {item.productName}
+                          {item.variantSize && <span className="text-sm text-gray-500"> ({item.variantSize})</span>}
                         </h4>
                         <p className="text-sm text-gray-600">
                           {currentLang === 'ar' ? 'الكمية:' : 'Quantity:'} {item.quantity}
@@ -314,18 +260,14 @@ export default function OrderTracking({ currentLang }: OrderTrackingProps) {
               </CardContent>
             </Card>
 
-            {/* Notes */}
-            {order.notes && (
-              <Card>
-                <CardHeader>
-                  <CardTitle>
-                    {currentLang === 'ar' ? 'ملاحظات' : 'Notes'}
-                  </CardTitle>
-                </CardHeader>
-                <CardContent>
-                  <p className="text-gray-700">{order.notes}</p>
-                </CardContent>
-              </Card>
+            {order.status === 'delivered' && (
+              <OrderReturns
+                key={order.orderNumber}
+                orderNumber={order.orderNumber}
+                email={trackedEmail}
+                currentLang={currentLang}
+                formatCurrency={formatCurrency}
+              />
             )}
           </div>
         )}
@@ -336,10 +278,13 @@ export default function OrderTracking({ currentLang }: OrderTrackingProps) {
 
 // Order Status Timeline Component
 interface OrderStatusTimelineProps {
-  order: Order;
+  order: TrackedOrder;
   currentLang: 'en' | 'ar';
 }
 
+// Statuses that take the order off the normal path to the customer
+const CLOSING_STATUSES: OrderStatus[] = ['cancelled', 'returned', 'refunded'];
+
 function OrderStatusTimeline({ order, currentLang }: OrderStatusTimelineProps) {
   const statusSteps = [
     { 
@@ -374,32 +319,26 @@ function OrderStatusTimeline({ order, currentLang }: OrderStatusTimelineProps) {
     }
   ];
 
-  const currentStatusIndex = statusSteps.findIndex(step => step.key === order.orderStatus);
-  const isCancelled = order.orderStatus === 'cancelled';
-
-  if (isCancelled) {
-    return (
-      <div className="flex items-center justify-center py-8">
-        <div className="text-center">
-          <AlertCircle className="h-12 w-12 text-red-500 mx-auto mb-2" />
-          <p className="text-red-600 font-medium">
-            {currentLang === 'ar' ? 'تم إلغاء الطلب' : 'Order Cancelled'}
-          </p>
-          {order.notes && (
-            <p className="text-sm text-gray-500 mt-1">{order.notes}</p>
-          )}
-        </div>
-      </div>
+  // When each status was reached; an order waiting for a pre-order release counts as confirmed
+  const reachedAt = (status: string) => {
+    const entries = order.timeline.filter(entry =>
+      entry.status === status || (status === 'confirmed' && entry.status === 'awaiting_release')
     );
-  }
+    return entries.length > 0 ? entries[entries.length - 1].at : undefined;
+  };
+
+  const closingEntries = order.timeline.filter(entry => CLOSING_STATUSES.includes(entry.status));
+  const lastStepIndex = statusSteps.reduce((last, step, index) => (reachedAt(step.key) ? index : last), -1);
+  const currentStatusIndex = CLOSING_STATUSES.includes(order.status) ? -1 : lastStepIndex;
 
   return (
     <div className="relative">
       <div className="space-y-6">
         {statusSteps.map((step, index) => {
           const Icon = step.icon;
-          const isCompleted = index <= currentStatusIndex;
+          const isCompleted = index <= lastStepIndex;
           const isCurrent = index === currentStatusIndex;
+          const at = reachedAt(step.key);
           
           return (
             <div key={step.key} className="flex items-start">
@@ -415,10 +354,10 @@ function OrderStatusTimeline({ order, currentLang }: OrderStatusTimelineProps) {
               {/* Status Icon */}
               <div 
                 className={`w-12 h-12 rounded-full flex items-center justify-center border-2 relative z-10 ${
-                  isCompleted 
-                    ? 'bg-green-500 border-green-500 text-white' 
-                    : isCurrent
+                  isCurrent
                     ? 'bg-blue-500 border-blue-500 text-white'
+                    : isCompleted 
+                    ? 'bg-green-500 border-green-500 text-white' 
                     : 'bg-white border-gray-300 text-gray-400'
                 }`}
               >
@@ -429,7 +368,7 @@ function OrderStatusTimeline({ order, currentLang }: OrderStatusTimelineProps) {
               <div className={`flex-1 ${currentLang === 'ar' ? 'mr-4' : 'ml-4'}`}>
                 <div className="flex items-center justify-between">
                   <h4 className={`font-medium ${
-                    isCompleted ? 'text-green-600' : isCurrent ? 'text-blue-600' : 'text-gray-400'
+                    isCurrent ? 'text-blue-600' : isCompleted ? 'text-green-600' : 'text-gray-400'
                   }`}>
                     {step.label}
                   </h4>
@@ -442,26 +381,46 @@ function OrderStatusTimeline({ order, currentLang }: OrderStatusTimelineProps) {
                 <p className="text-sm text-gray-600 mt-1">
                   {step.description}
                 </p>
-                {isCurrent && (
+                {at && (
                   <p className="text-xs text-gray-500 mt-1">
-                    {currentLang === 'ar' ? 'آخر تحديث:' : 'Last updated:'} {formatDate(order.updatedAt)}
+                    {formatDate(at, currentLang)}
                   </p>
                 )}
               </div>
             </div>
           );
         })}
+
+        {closingEntries.map((entry, index) => {
+          const Icon = entry.status === 'cancelled' ? AlertCircle : RotateCcw;
+
+          return (
+            <div key={`${entry.status}-${index}`} className="flex items-start">
+              <div className="w-12 h-12 rounded-full flex items-center justify-center border-2 relative z-10 bg-red-500 border-red-500 text-white">
+                <Icon className="h-5 w-5" />
+              </div>
+              <div className={`flex-1 ${currentLang === 'ar' ? 'mr-4' : 'ml-4'}`}>
+                <h4 className="font-medium text-red-600">
+                  {orderService.formatOrderStatus(entry.status, currentLang)}
+                </h4>
+                <p className="text-xs text-gray-500 mt-1">
+                  {formatDate(entry.at, currentLang)}
+                </p>
+              </div>
+            </div>
+          );
+        })}
       </div>
     </div>
   );
 }
 
-function formatDate(dateString: string) {
-  return new Intl.DateTimeFormat('ar-EG', {
+function formatDate(dateString: string, currentLang: 'en' | 'ar') {
+  return new Intl.DateTimeFormat(currentLang === 'ar' ? 'ar-EG' : 'en-US', {
     year: 'numeric',
     month: 'short',
     day: 'numeric',
     hour: '2-digit',
     minute: '2-digit'
   }).format(new Date(dateString));
-}
\ No newline at end of file
+}
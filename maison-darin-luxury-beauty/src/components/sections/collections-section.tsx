@@ -7,6 +7,7 @@ import { Card, CardContent } from "@/components/ui/card";
 import { useFeaturedCollections } from '../../hooks/useFeaturedCollections';
 import { useProducts } from '../../hooks/useProducts';
 import LoadingSpinner from '../ui/LoadingSpinner';
+import { getDisplayPrice } from '../../services/productService';
 
 interface CollectionsSectionProps {
   currentLang: 'en' | 'ar';
@@ -77,8 +78,9 @@ export function CollectionsSection({ currentLang }: CollectionsSectionProps) {
       image: typeof product.images?.[0] === 'object' ? product.images[0].url : (product.images?.[0] || 'https://images.unsplash.com/photo-1541643600914-78b084683601?w=500'),
       name: typeof product.name === 'object' ? (product.name[currentLang] || product.name.en) : product.name,
       description: typeof product.description === 'object' ? (product.description[currentLang] || product.description.en) : product.description,
-      price: `${product.price} ريال`,
-      category: product.category ? (typeof product.category === 'object' ? (product.category[currentLang] || product.category.en) : product.category) : 'عطور',
+      price: `${getDisplayPrice(product).price} ريال`,
+      compareAtPrice: getDisplayPrice(product).compareAtPrice,
+      category: product.categories?.[0]?.name?.[currentLang] || 'عطور',
       slug: product._id || product.id || Math.random().toString(),
       rating: 4.8, // Default rating since it's not in Product interface
       link: `/product/${product._id || product.id}`
@@ -93,8 +95,9 @@ export function CollectionsSection({ currentLang }: CollectionsSectionProps) {
         image: typeof product.images?.[0] === 'object' ? product.images[0].url : (product.images?.[0] || 'https://images.unsplash.com/photo-1541643600914-78b084683601?w=500'),
         name: typeof product.name === 'object' ? (product.name[currentLang] || product.name.en) : product.name,
         description: typeof product.description === 'object' ? (product.description[currentLang] || product.description.en) : product.description,
-        price: `${product.price} ريال`,
-        category: product.category ? (typeof product.category === 'object' ? (product.category[currentLang] || product.category.en) : product.category) : 'عطور',
+        price: `${getDisplayPrice(product).price} ريال`,
+        compareAtPrice: getDisplayPrice(product).compareAtPrice,
+        category: product.categories?.[0]?.name?.[currentLang] || 'عطور',
         slug: product._id || product.id || Math.random().toString(),
         rating: 4.8,
         link: `/product/${product._id || product.id}`
@@ -197,6 +200,11 @@ export function CollectionsSection({ currentLang }: CollectionsSectionProps) {
                         {collection.price}
                       </span>
                     )}
+                    {collectionsData.showPrices && collection.compareAtPrice && (
+                      <span className="text-sm text-muted-foreground line-through mr-2">
+                        {collection.compareAtPrice} ريال
+                      </span>
+                    )}
                     <Link to={collection.link || `/products`} className="mx-auto">
                       <Button 
                         variant="outline" 
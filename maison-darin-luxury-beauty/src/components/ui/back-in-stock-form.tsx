@@ -0,0 +1,81 @@
+import { useState } from "react";
+import { motion } from "framer-motion";
+import { Bell, CheckCircle2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { useToast } from "@/hooks/use-toast";
+import { stockAlertService } from "@/services/stockAlertService";
+
+interface BackInStockFormProps {
+  productId: string;
+  currentLang: 'en' | 'ar';
+}
+
+export function BackInStockForm({ productId, currentLang }: BackInStockFormProps) {
+  const { toast } = useToast();
+  const isRTL = currentLang === 'ar';
+
+  const [email, setEmail] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [subscribed, setSubscribed] = useState(false);
+
+  const handleSubmit = async (event: React.FormEvent) => {
+    event.preventDefault();
+
+    setSubmitting(true);
+    try {
+      await stockAlertService.subscribe(productId, email.trim(), currentLang);
+      setSubscribed(true);
+    } catch (error) {
+      toast({
+        title: isRTL ? "تعذر تسجيل طلبك" : "Could not sign you up",
+        description: error instanceof Error ? error.message : undefined,
+        variant: "destructive",
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      className="p-4 rounded-xl bg-destructive/10 border border-destructive/20 space-y-3"
+      dir={isRTL ? 'rtl' : 'ltr'}
+    >
+      <p className="text-destructive font-medium text-center">
+        {isRTL ? "هذا المنتج غير متوفر حالياً" : "This product is currently out of stock"}
+      </p>
+
+      {subscribed ? (
+        <p className="flex items-center justify-center gap-2 text-sm text-foreground">
+          <CheckCircle2 className="w-4 h-4 text-green-600" />
+          {isRTL
+            ? "سنرسل لك بريداً إلكترونياً فور توفره من جديد"
+            : "We'll email you as soon as it's back in stock"}
+        </p>
+      ) : (
+        <form onSubmit={handleSubmit} className="flex flex-col sm:flex-row gap-2">
+          <Input
+            type="email"
+            required
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder={isRTL ? "بريدك الإلكتروني" : "Your email"}
+            className="border-gold/30"
+          />
+          <Button
+            type="submit"
+            disabled={submitting}
+            variant="outline"
+            className="border-gold/30 hover:bg-gold/10 hover:border-gold shrink-0"
+          >
+            <Bell className={`h-4 w-4 ${isRTL ? 'ml-2' : 'mr-2'}`} />
+            {isRTL ? "أعلمني عند التوفر" : "Notify me"}
+          </Button>
+        </form>
+      )}
+    </motion.div>
+  );
+}
@@ -3,7 +3,9 @@ import { X, Plus, Minus, ShoppingBag, Trash2, CreditCard } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent } from "@/components/ui/card";
 import { Separator } from "@/components/ui/separator";
-import { useCart } from "@/contexts/CartContext";
+import { CartRecommendations } from "@/components/ui/cart-recommendations";
+import { useCart, getCartItemKey, getCartItemPrice, getCartItemCompareAtPrice } from "@/contexts/CartContext";
+import type { CartLine } from "@/services/cartService";
 import { useToast } from "@/hooks/use-toast";
 import { useNavigate } from "react-router-dom";
 import { useState } from "react";
@@ -50,8 +52,26 @@ const getProductImage = (product: any): string => {
   return 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjAwIiBoZWlnaHQ9IjIwMCIgdmlld0JveD0iMCAwIDIwMCAyMDAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+CjxyZWN0IHdpZHRoPSIyMDAiIGhlaWdodD0iMjAwIiBmaWxsPSIjRjNGNEY2Ii8+CjxwYXRoIGQ9Ik04MCA4MEgxMjBWMTIwSDgwVjgwWiIgZmlsbD0iIzlDQTNBRiIvPgo8L3N2Zz4K';
 };
 
+// What changed about an item since it was added, as the server found it
+const getIssueMessage = (line: CartLine, currentLang: 'en' | 'ar'): string | null => {
+  switch (line.issue) {
+    case 'unavailable':
+      return currentLang === 'ar' ? 'لم يعد هذا المنتج متوفراً' : 'No longer available';
+    case 'out_of_stock':
+      return currentLang === 'ar' ? 'نفدت الكمية' : 'Sold out';
+    case 'insufficient_stock':
+      return currentLang === 'ar' ? `متبقي ${line.available} فقط` : `Only ${line.available} left`;
+    case 'price_changed':
+      return currentLang === 'ar'
+        ? `تغير السعر من $${line.previousPrice}`
+        : `Price changed from $${line.previousPrice}`;
+    default:
+      return null;
+  }
+};
+
 export function CartDrawer({ currentLang }: CartDrawerProps) {
-  const { state, removeFromCart, updateQuantity, closeCart, clearCart } = useCart();
+  const { state, removeFromCart, updateQuantity, closeCart, clearCart, issues } = useCart();
   const { toast } = useToast();
   const navigate = useNavigate();
   const isRTL = currentLang === 'ar';
@@ -61,11 +81,11 @@ export function CartDrawer({ currentLang }: CartDrawerProps) {
     navigate('/checkout'); // Navigate to checkout page
   };
 
-  const handleQuantityChange = (productId: number, newQuantity: number) => {
+  const handleQuantityChange = (itemKey: string, newQuantity: number) => {
     if (newQuantity <= 0) {
-      removeFromCart(productId);
+      removeFromCart(itemKey);
     } else {
-      updateQuantity(productId, newQuantity);
+      updateQuantity(itemKey, newQuantity);
     }
   };
 
@@ -125,7 +145,7 @@ export function CartDrawer({ currentLang }: CartDrawerProps) {
                 <div className="space-y-4">
                   {state.items.map((item) => (
                     <motion.div
-                      key={item.product.id}
+                      key={getCartItemKey(item)}
                       layout
                       initial={{ opacity: 0, y: 20 }}
                       animate={{ opacity: 1, y: 0 }}
@@ -149,18 +169,30 @@ export function CartDrawer({ currentLang }: CartDrawerProps) {
                                 {item.product.name[currentLang]}
                               </h3>
                               <p className="text-xs text-muted-foreground mt-1">
-                                {item.product.size} • {item.product.concentration?.[currentLang]}
+                                {item.variant?.size || item.product.size} • {item.product.concentration?.[currentLang]}
                               </p>
+                              {issues[getCartItemKey(item)] && (
+                                <p className={`text-xs mt-1 ${issues[getCartItemKey(item)].issue === 'price_changed' ? 'text-muted-foreground' : 'text-destructive'}`}>
+                                  {getIssueMessage(issues[getCartItemKey(item)], currentLang)}
+                                </p>
+                              )}
                               <div className="flex items-center justify-between mt-2">
-                                <span className="font-bold text-primary">
-                                  ${item.product.price}
-                                </span>
+                                <div className="flex items-baseline gap-2">
+                                  <span className="font-bold text-primary">
+                                    ${getCartItemPrice(item)}
+                                  </span>
+                                  {getCartItemCompareAtPrice(item) && (
+                                    <span className="text-xs text-muted-foreground line-through">
+                                      ${getCartItemCompareAtPrice(item)}
+                                    </span>
+                                  )}
+                                </div>
                                 <div className="flex items-center gap-2">
                                   <Button
                                     variant="outline"
                                     size="icon"
                                     className="h-8 w-8"
-                                    onClick={() => handleQuantityChange(item.product.id, item.quantity - 1)}
+                                    onClick={() => handleQuantityChange(getCartItemKey(item), item.quantity - 1)}
                                   >
                                     <Minus className="w-3 h-3" />
                                   </Button>
@@ -171,7 +203,7 @@ export function CartDrawer({ currentLang }: CartDrawerProps) {
                                     variant="outline"
                                     size="icon"
                                     className="h-8 w-8"
-                                    onClick={() => handleQuantityChange(item.product.id, item.quantity + 1)}
+                                    onClick={() => handleQuantityChange(getCartItemKey(item), item.quantity + 1)}
                                   >
                                     <Plus className="w-3 h-3" />
                                   </Button>
@@ -179,7 +211,7 @@ export function CartDrawer({ currentLang }: CartDrawerProps) {
                                     variant="ghost"
                                     size="icon"
                                     className="h-8 w-8 text-destructive hover:text-destructive"
-                                    onClick={() => removeFromCart(item.product.id)}
+                                    onClick={() => removeFromCart(getCartItemKey(item))}
                                   >
                                     <Trash2 className="w-3 h-3" />
                                   </Button>
@@ -191,6 +223,7 @@ export function CartDrawer({ currentLang }: CartDrawerProps) {
                       </Card>
                     </motion.div>
                   ))}
+                  <CartRecommendations currentLang={currentLang} />
                 </div>
               )}
             </div>
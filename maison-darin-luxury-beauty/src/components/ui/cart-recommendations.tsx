@@ -0,0 +1,125 @@
+import { useEffect, useMemo, useState } from "react";
+import { Plus } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { useCart, Product as CartProduct } from "@/contexts/CartContext";
+import { productService, RecommendedProduct, getDisplayPrice } from "@/services/productService";
+
+interface CartRecommendationsProps {
+  currentLang: 'en' | 'ar';
+}
+
+// Recommendations are based on the most recently added products
+const SOURCE_PRODUCTS = 2;
+const MAX_SUGGESTIONS = 3;
+
+export function CartRecommendations({ currentLang }: CartRecommendationsProps) {
+  const { state, addToCart } = useCart();
+  const [suggestions, setSuggestions] = useState<RecommendedProduct[]>([]);
+
+  const cartProductIds = useMemo(
+    () => [...new Set(state.items.map((item) => item.product._id).filter((id): id is string => !!id))],
+    [state.items]
+  );
+  const cartKey = cartProductIds.join(',');
+
+  useEffect(() => {
+    const sources = cartKey ? cartKey.split(',').slice(-SOURCE_PRODUCTS).reverse() : [];
+    if (sources.length === 0) {
+      setSuggestions([]);
+      return;
+    }
+
+    let cancelled = false;
+
+    Promise.all(sources.map((id) => productService.getRecommendations(id).catch(() => null)))
+      .then((results) => {
+        if (cancelled) return;
+
+        const inCart = new Set(cartKey.split(','));
+        const seen = new Set<string>();
+        // Products bought together rank ahead of merely similar ones
+        const merged = [
+          ...results.flatMap((result) => result?.boughtTogether || []),
+          ...results.flatMap((result) => result?.similar || []),
+        ].filter((product) => {
+          if (inCart.has(product._id) || seen.has(product._id)) return false;
+          seen.add(product._id);
+          return true;
+        });
+
+        setSuggestions(merged.slice(0, MAX_SUGGESTIONS));
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [cartKey]);
+
+  const handleAdd = (product: RecommendedProduct) => {
+    const variant = product.variants?.find((v) => v.isDefault && v.stock > 0)
+      || product.variants?.find((v) => v.stock > 0);
+
+    const cartProduct: CartProduct = {
+      _id: product._id,
+      id: parseInt(product._id) || 0,
+      name: product.name,
+      description: product.description,
+      price: product.price,
+      effectivePrice: product.effectivePrice,
+      sale: product.sale,
+      size: product.size,
+      image: product.images?.[0]?.url || '',
+      images: product.images,
+      featured: product.featured,
+      inStock: product.inStock,
+      concentration: product.concentration,
+      variants: product.variants,
+    };
+
+    addToCart(cartProduct, variant);
+  };
+
+  if (suggestions.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mt-6">
+      <h3 className="text-sm font-semibold text-muted-foreground mb-3">
+        {currentLang === 'ar' ? 'قد يعجبك أيضاً' : 'You may also like'}
+      </h3>
+      <div className="space-y-3">
+        {suggestions.map((product) => (
+          <div key={product._id} className="flex items-center gap-3">
+            <img
+              src={product.images?.[0]?.url}
+              alt={product.name[currentLang]}
+              className="w-12 h-12 object-cover rounded-lg"
+            />
+            <div className="flex-1 min-w-0">
+              <p className="text-sm font-medium truncate">{product.name[currentLang]}</p>
+              <p className="text-xs text-muted-foreground">
+                ${getDisplayPrice(product).price}
+                {getDisplayPrice(product).compareAtPrice && (
+                  <span className="ml-1 line-through">${getDisplayPrice(product).compareAtPrice}</span>
+                )}
+                {product.recommendation.orders
+                  ? ` • ${currentLang === 'ar' ? 'يُشترى معه عادةً' : 'Often bought together'}`
+                  : ''}
+              </p>
+            </div>
+            <Button
+              variant="outline"
+              size="icon"
+              className="h-8 w-8 shrink-0"
+              onClick={() => handleAdd(product)}
+              aria-label={currentLang === 'ar' ? 'أضف إلى السلة' : 'Add to cart'}
+            >
+              <Plus className="w-3 h-3" />
+            </Button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -4,11 +4,12 @@ import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Separator } from "@/components/ui/separator";
-import { X, CreditCard, MapPin, User, Mail, Phone, Shield } from "lucide-react";
+import { X, CreditCard, MapPin, User, Mail, Phone, Shield, Tag } from "lucide-react";
 import { useState } from "react";
-import { useCart } from "@/contexts/CartContext";
+import { useCart, getCartItemKey, getCartItemPrice } from "@/contexts/CartContext";
 import { useToast } from "@/hooks/use-toast";
 import { PayPalButtons } from "@/components/ui/paypal-buttons";
+import { orderService, OrderQuote } from "@/services/orderService";
 
 interface CheckoutModalProps {
   isOpen: boolean;
@@ -33,7 +34,47 @@ export function CheckoutModal({ isOpen, onClose, currentLang }: CheckoutModalPro
     country: ''
   });
 
+  const [couponInput, setCouponInput] = useState('');
+  const [couponQuote, setCouponQuote] = useState<OrderQuote | null>(null);
+  const [couponError, setCouponError] = useState<string | null>(null);
+  const [isApplyingCoupon, setIsApplyingCoupon] = useState(false);
+
   const isRTL = currentLang === 'ar';
+  // Shipping is free here, so only the promotion discount comes off the cart total
+  const amountDue = Math.max(0, total - (couponQuote?.promotionDiscount || 0));
+
+  const handleApplyCoupon = async () => {
+    const code = couponInput.trim().toUpperCase();
+    if (!code) return;
+
+    setIsApplyingCoupon(true);
+    setCouponError(null);
+    try {
+      const quote = await orderService.quoteOrder({
+        items: items.map(item => ({
+          productId: item.product._id || item.product.id.toString(),
+          variantId: item.variant?._id,
+          quantity: item.quantity
+        })),
+        // The modal has no country picker; the code is checked against the home market
+        countryCode: 'SA',
+        couponCode: code,
+        email: billingInfo.email.trim() || undefined
+      });
+      setCouponQuote(quote);
+    } catch (error) {
+      setCouponQuote(null);
+      setCouponError(error instanceof Error ? error.message : (currentLang === 'en' ? 'Invalid coupon code' : 'كود الخصم غير صالح'));
+    } finally {
+      setIsApplyingCoupon(false);
+    }
+  };
+
+  const handleRemoveCoupon = () => {
+    setCouponQuote(null);
+    setCouponInput('');
+    setCouponError(null);
+  };
 
   const handleInputChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     const { name, value } = e.target;
@@ -109,7 +150,7 @@ export function CheckoutModal({ isOpen, onClose, currentLang }: CheckoutModalPro
                   
                   <div className="space-y-4">
                     {items.map((item) => (
-                      <div key={item.product.id} className="flex items-center gap-4 p-4 rounded-lg bg-white/50">
+                      <div key={getCartItemKey(item)} className="flex items-center gap-4 p-4 rounded-lg bg-white/50">
                         <img
                           src={item.product.image}
                           alt={item.product.name[currentLang]}
@@ -120,18 +161,60 @@ export function CheckoutModal({ isOpen, onClose, currentLang }: CheckoutModalPro
                             {item.product.name[currentLang]}
                           </h4>
                           <p className="text-sm text-muted-foreground">
+                            {item.variant && `${item.variant.size} • `}
                             {currentLang === 'en' ? 'Quantity' : 'الكمية'}: {item.quantity}
                           </p>
                         </div>
                         <div className="text-right">
                           <p className="font-semibold text-dark-tea">
-                            ${(item.product.price * item.quantity).toFixed(2)}
+                            ${(getCartItemPrice(item) * item.quantity).toFixed(2)}
                           </p>
                         </div>
                       </div>
                     ))}
                   </div>
 
+                  <Separator />
+
+                  <div className="space-y-2">
+                    <Label htmlFor="checkoutCouponCode" className="text-sm font-medium">
+                      {currentLang === 'en' ? 'Coupon code' : 'كود الخصم'}
+                    </Label>
+                    {couponQuote?.couponCode ? (
+                      <div className="flex items-center justify-between rounded-md border px-3 py-2 text-sm">
+                        <span className="flex items-center gap-2 font-mono">
+                          <Tag className="w-4 h-4" />
+                          {couponQuote.couponCode}
+                        </span>
+                        <Button type="button" variant="ghost" size="sm" onClick={handleRemoveCoupon}>
+                          {currentLang === 'en' ? 'Remove' : 'إزالة'}
+                        </Button>
+                      </div>
+                    ) : (
+                      <div className="flex gap-2">
+                        <Input
+                          id="checkoutCouponCode"
+                          dir="ltr"
+                          className="font-mono uppercase"
+                          placeholder={currentLang === 'en' ? 'Enter code' : 'أدخل الكود'}
+                          value={couponInput}
+                          onChange={(e) => setCouponInput(e.target.value)}
+                        />
+                        <Button
+                          type="button"
+                          variant="outline"
+                          disabled={!couponInput.trim() || isApplyingCoupon}
+                          onClick={handleApplyCoupon}
+                        >
+                          {currentLang === 'en' ? 'Apply' : 'تطبيق'}
+                        </Button>
+                      </div>
+                    )}
+                    {couponError && (
+                      <p className="text-sm text-destructive">{couponError}</p>
+                    )}
+                  </div>
+
                   <Separator />
                   
                   <div className="space-y-2">
@@ -139,6 +222,12 @@ export function CheckoutModal({ isOpen, onClose, currentLang }: CheckoutModalPro
                       <span>{currentLang === 'en' ? 'Subtotal' : 'المجموع الفرعي'}</span>
                       <span>${total.toFixed(2)}</span>
                     </div>
+                    {couponQuote?.promotions.filter(promotion => promotion.discount > 0).map(promotion => (
+                      <div key={promotion.promotion} className="flex justify-between text-sm text-green-700">
+                        <span>{promotion.name[currentLang] || promotion.name.en}</span>
+                        <span>-${promotion.discount.toFixed(2)}</span>
+                      </div>
+                    ))}
                     <div className="flex justify-between text-sm">
                       <span>{currentLang === 'en' ? 'Shipping' : 'الشحن'}</span>
                       <span>{currentLang === 'en' ? 'Free' : 'مجاني'}</span>
@@ -146,7 +235,7 @@ export function CheckoutModal({ isOpen, onClose, currentLang }: CheckoutModalPro
                     <Separator />
                     <div className="flex justify-between text-lg font-semibold text-dark-tea">
                       <span>{currentLang === 'en' ? 'Total' : 'المجموع الكلي'}</span>
-                      <span>${total.toFixed(2)}</span>
+                      <span>${amountDue.toFixed(2)}</span>
                     </div>
                   </div>
                 </div>
@@ -312,7 +401,7 @@ export function CheckoutModal({ isOpen, onClose, currentLang }: CheckoutModalPro
                       {paymentMethod === 'paypal' && (
                         <div className="p-4 border rounded-lg bg-white/50">
                           <PayPalButtons
-                            amount={total}
+                            amount={amountDue}
                             currency="SAR"
                             onSuccess={handlePaymentSuccess}
                             onError={(error) => {
@@ -373,7 +462,7 @@ export function CheckoutModal({ isOpen, onClose, currentLang }: CheckoutModalPro
                               </div>
                             ) : (
                               <>
-                                {currentLang === 'en' ? 'Pay Now' : 'ادفع الآن'} ${total.toFixed(2)}
+                                {currentLang === 'en' ? 'Pay Now' : 'ادفع الآن'} ${amountDue.toFixed(2)}
                               </>
                             )}
                           </Button>
@@ -0,0 +1,52 @@
+import { GitCompareArrows } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { useToast } from "@/hooks/use-toast";
+import { useCompare, CompareItem, MAX_COMPARE_ITEMS } from "@/contexts/CompareContext";
+
+interface CompareButtonProps {
+  product: CompareItem;
+  currentLang: 'en' | 'ar';
+  className?: string;
+}
+
+// Adds a product card to the compare tray, or takes it out again
+export function CompareButton({ product, currentLang, className }: CompareButtonProps) {
+  const { isInCompare, addToCompare, removeFromCompare } = useCompare();
+  const { toast } = useToast();
+  const selected = isInCompare(product._id);
+  const label = currentLang === 'ar'
+    ? (selected ? 'إزالة من المقارنة' : 'أضف للمقارنة')
+    : (selected ? 'Remove from comparison' : 'Add to comparison');
+
+  const handleClick = (e: React.MouseEvent) => {
+    // Cards navigate to the product page on click
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (selected) {
+      removeFromCompare(product._id);
+    } else if (!addToCompare(product)) {
+      toast({
+        title: currentLang === 'ar' ? 'المقارنة ممتلئة' : 'Comparison is full',
+        description: currentLang === 'ar'
+          ? `يمكنك مقارنة ${MAX_COMPARE_ITEMS} منتجات كحد أقصى`
+          : `You can compare up to ${MAX_COMPARE_ITEMS} products`,
+        variant: "destructive",
+      });
+    }
+  };
+
+  return (
+    <Button
+      size="sm"
+      variant={selected ? "default" : "outline"}
+      onClick={handleClick}
+      className={className}
+      title={label}
+      aria-label={label}
+      aria-pressed={selected}
+    >
+      <GitCompareArrows className="w-4 h-4" />
+    </Button>
+  );
+}
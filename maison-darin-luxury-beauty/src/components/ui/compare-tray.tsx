@@ -0,0 +1,67 @@
+import { Link, useLocation } from "react-router-dom";
+import { motion, AnimatePresence } from "framer-motion";
+import { GitCompareArrows, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { useCompare, MAX_COMPARE_ITEMS } from "@/contexts/CompareContext";
+
+interface CompareTrayProps {
+  currentLang: 'en' | 'ar';
+}
+
+// Bar along the bottom of the storefront holding the products picked for comparison
+export function CompareTray({ currentLang }: CompareTrayProps) {
+  const { items, removeFromCompare, clearCompare } = useCompare();
+  const location = useLocation();
+  const isRTL = currentLang === 'ar';
+  const hidden = location.pathname === '/compare' || location.pathname.startsWith('/admin');
+
+  return (
+    <AnimatePresence>
+      {items.length > 0 && !hidden && (
+        <motion.div
+          initial={{ y: 100, opacity: 0 }}
+          animate={{ y: 0, opacity: 1 }}
+          exit={{ y: 100, opacity: 0 }}
+          className="fixed bottom-4 left-1/2 -translate-x-1/2 z-40 w-[calc(100%-2rem)] max-w-2xl"
+          dir={isRTL ? 'rtl' : 'ltr'}
+        >
+          <div className="flex items-center gap-3 rounded-xl border border-border bg-background/95 backdrop-blur p-3 shadow-lg">
+            <div className="flex flex-1 gap-2 overflow-x-auto">
+              {items.map(item => (
+                <div key={item._id} className="relative shrink-0">
+                  <img
+                    src={item.image || '/placeholder.svg'}
+                    alt={item.name[currentLang]}
+                    title={item.name[currentLang]}
+                    className="w-12 h-12 rounded-md object-cover border border-border"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => removeFromCompare(item._id)}
+                    className="absolute -top-1.5 -right-1.5 rounded-full bg-muted p-0.5 text-muted-foreground hover:text-foreground"
+                    aria-label={isRTL ? 'إزالة' : 'Remove'}
+                  >
+                    <X className="w-3 h-3" />
+                  </button>
+                </div>
+              ))}
+              {Array.from({ length: MAX_COMPARE_ITEMS - items.length }).map((_, index) => (
+                <div key={index} className="w-12 h-12 shrink-0 rounded-md border border-dashed border-border" />
+              ))}
+            </div>
+
+            <Button variant="ghost" size="sm" onClick={clearCompare}>
+              {isRTL ? 'مسح' : 'Clear'}
+            </Button>
+            <Button size="sm" asChild>
+              <Link to="/compare">
+                <GitCompareArrows className={`w-4 h-4 ${isRTL ? 'ml-1' : 'mr-1'}`} />
+                {isRTL ? `قارن (${items.length})` : `Compare (${items.length})`}
+              </Link>
+            </Button>
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
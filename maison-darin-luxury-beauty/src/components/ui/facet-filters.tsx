@@ -0,0 +1,151 @@
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Checkbox } from "@/components/ui/checkbox";
+import { SlidersHorizontal, X } from "lucide-react";
+import { FacetDimension, FacetSelection, FacetValue, ProductFacets } from "@/services/productService";
+
+interface FacetFiltersProps {
+  currentLang: 'en' | 'ar';
+  facets: ProductFacets | null;
+  selection: FacetSelection;
+  onToggle: (dimension: FacetDimension, value: string) => void;
+  onClear: () => void;
+}
+
+const FACET_TITLES: Record<FacetDimension, { en: string; ar: string }> = {
+  topNotes: { en: "Top Notes", ar: "النوتات العليا" },
+  middleNotes: { en: "Heart Notes", ar: "نوتات القلب" },
+  baseNotes: { en: "Base Notes", ar: "النوتات الأساسية" },
+  concentration: { en: "Concentration", ar: "التركيز" },
+  size: { en: "Size", ar: "الحجم" },
+  priceBand: { en: "Price (SAR)", ar: "السعر (ريال)" },
+  availability: { en: "Availability", ar: "التوفر" },
+};
+
+const FACET_ORDER: FacetDimension[] = [
+  'concentration',
+  'size',
+  'priceBand',
+  'availability',
+  'topNotes',
+  'middleNotes',
+  'baseNotes',
+];
+
+// Values shown per facet before "show more"
+const COLLAPSED_LIMIT = 6;
+
+export function FacetFilters({ currentLang, facets, selection, onToggle, onClear }: FacetFiltersProps) {
+  const [expanded, setExpanded] = useState<Partial<Record<FacetDimension, boolean>>>({});
+  const isRTL = currentLang === 'ar';
+  const activeCount = Object.values(selection).reduce((sum, values) => sum + (values?.length || 0), 0);
+
+  // Selected values stay visible even when the current results no longer contain them
+  const valuesFor = (dimension: FacetDimension): FacetValue[] => {
+    const values = facets?.[dimension] || [];
+    const missing = (selection[dimension] || [])
+      .filter((value) => !values.some((item) => item.value === value))
+      .map((value) => ({ value, label: { en: value, ar: value }, count: 0 }));
+    return [...values, ...missing];
+  };
+
+  const dimensions = FACET_ORDER.filter((dimension) => valuesFor(dimension).length > 0);
+
+  if (dimensions.length === 0) {
+    return null;
+  }
+
+  return (
+    <Card className="mb-6" dir={isRTL ? 'rtl' : 'ltr'}>
+      <CardHeader className="pb-3">
+        <div className="flex items-center justify-between">
+          <CardTitle className="text-lg flex items-center gap-2">
+            <SlidersHorizontal className="h-5 w-5" />
+            {isRTL ? "تصفية النتائج" : "Refine"}
+            {activeCount > 0 && (
+              <Badge variant="secondary" className="text-xs">{activeCount}</Badge>
+            )}
+          </CardTitle>
+          {activeCount > 0 && (
+            <Button variant="ghost" size="sm" onClick={onClear}>
+              <X className={`h-4 w-4 ${isRTL ? 'ml-1' : 'mr-1'}`} />
+              {isRTL ? "مسح الكل" : "Clear all"}
+            </Button>
+          )}
+        </div>
+
+        {activeCount > 0 && (
+          <div className="flex flex-wrap gap-2 pt-2">
+            {FACET_ORDER.flatMap((dimension) =>
+              (selection[dimension] || []).map((value) => {
+                const item = valuesFor(dimension).find((v) => v.value === value);
+                return (
+                  <Badge key={`${dimension}:${value}`} variant="outline" className="gap-1">
+                    {item?.label[currentLang] || value}
+                    <button
+                      type="button"
+                      onClick={() => onToggle(dimension, value)}
+                      aria-label={isRTL ? "إزالة" : "Remove"}
+                      className="hover:text-destructive"
+                    >
+                      <X className="h-3 w-3" />
+                    </button>
+                  </Badge>
+                );
+              })
+            )}
+          </div>
+        )}
+      </CardHeader>
+
+      <CardContent className="grid gap-6 sm:grid-cols-2 lg:grid-cols-4">
+        {dimensions.map((dimension) => {
+          const values = valuesFor(dimension);
+          const visible = expanded[dimension] ? values : values.slice(0, COLLAPSED_LIMIT);
+
+          return (
+            <fieldset key={dimension} className="space-y-2">
+              <legend className="text-sm font-semibold mb-2">{FACET_TITLES[dimension][currentLang]}</legend>
+              {visible.map((item) => {
+                const checked = selection[dimension]?.includes(item.value) || false;
+                const id = `facet-${dimension}-${item.value}`;
+                return (
+                  <label
+                    key={item.value}
+                    htmlFor={id}
+                    className={`flex items-center gap-2 text-sm cursor-pointer ${
+                      item.count === 0 && !checked ? 'text-muted-foreground' : ''
+                    }`}
+                  >
+                    <Checkbox
+                      id={id}
+                      checked={checked}
+                      disabled={item.count === 0 && !checked}
+                      onCheckedChange={() => onToggle(dimension, item.value)}
+                    />
+                    <span className="flex-1 truncate">{item.label[currentLang]}</span>
+                    <span className="text-xs text-muted-foreground">{item.count}</span>
+                  </label>
+                );
+              })}
+              {values.length > COLLAPSED_LIMIT && (
+                <Button
+                  variant="link"
+                  size="sm"
+                  className="h-auto p-0 text-xs"
+                  onClick={() => setExpanded((prev) => ({ ...prev, [dimension]: !prev[dimension] }))}
+                >
+                  {expanded[dimension]
+                    ? (isRTL ? "عرض أقل" : "Show less")
+                    : (isRTL ? `عرض المزيد (${values.length - COLLAPSED_LIMIT})` : `Show more (${values.length - COLLAPSED_LIMIT})`)}
+                </Button>
+              )}
+            </fieldset>
+          );
+        })}
+      </CardContent>
+    </Card>
+  );
+}
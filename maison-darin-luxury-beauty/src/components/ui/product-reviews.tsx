@@ -0,0 +1,346 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { motion } from "framer-motion";
+import { BadgeCheck, Camera, MessageSquare, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Progress } from "@/components/ui/progress";
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { StarRating } from "@/components/ui/star-rating";
+import { useToast } from "@/hooks/use-toast";
+import {
+  MAX_REVIEW_PHOTOS,
+  Review,
+  ReviewSort,
+  ReviewSummary,
+  reviewService,
+} from "@/services/reviewService";
+
+interface ProductReviewsProps {
+  productId: string;
+  currentLang: 'en' | 'ar';
+}
+
+const PAGE_SIZE = 5;
+
+const SORT_LABELS: Record<ReviewSort, { en: string; ar: string }> = {
+  newest: { en: "Newest", ar: "الأحدث" },
+  highest: { en: "Highest rated", ar: "الأعلى تقييماً" },
+  lowest: { en: "Lowest rated", ar: "الأقل تقييماً" },
+};
+
+const emptyForm = {
+  orderNumber: '',
+  email: '',
+  rating: 0,
+  title: '',
+  comment: '',
+};
+
+// Show the review in the visitor's language, falling back to the one it was written in
+const localized = (text: { en?: string; ar?: string } | undefined, lang: 'en' | 'ar', original: 'en' | 'ar') =>
+  text?.[lang] || text?.[original] || '';
+
+export function ProductReviews({ productId, currentLang }: ProductReviewsProps) {
+  const { toast } = useToast();
+  const isRTL = currentLang === 'ar';
+
+  const [reviews, setReviews] = useState<Review[]>([]);
+  const [summary, setSummary] = useState<ReviewSummary | null>(null);
+  const [sort, setSort] = useState<ReviewSort>('newest');
+  const [page, setPage] = useState(1);
+  const [hasNext, setHasNext] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  const [formOpen, setFormOpen] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [photos, setPhotos] = useState<File[]>([]);
+  const [submitting, setSubmitting] = useState(false);
+
+  const photoPreviews = useMemo(() => photos.map((photo) => URL.createObjectURL(photo)), [photos]);
+  useEffect(() => () => photoPreviews.forEach((url) => URL.revokeObjectURL(url)), [photoPreviews]);
+
+  const loadReviews = useCallback(async (nextPage: number) => {
+    setLoading(true);
+    try {
+      const result = await reviewService.getProductReviews(productId, { page: nextPage, limit: PAGE_SIZE, sort });
+      setReviews((previous) => (nextPage === 1 ? result.reviews : [...previous, ...result.reviews]));
+      setSummary(result.summary);
+      setHasNext(result.pagination.hasNext);
+      setPage(nextPage);
+    } catch (error) {
+      console.error('Error loading reviews:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [productId, sort]);
+
+  useEffect(() => {
+    loadReviews(1);
+  }, [loadReviews]);
+
+  const handlePhotos = (event: React.ChangeEvent<HTMLInputElement>) => {
+    const files = Array.from(event.target.files || []);
+    setPhotos((previous) => [...previous, ...files].slice(0, MAX_REVIEW_PHOTOS));
+    event.target.value = '';
+  };
+
+  const handleSubmit = async (event: React.FormEvent) => {
+    event.preventDefault();
+
+    if (!form.rating) {
+      toast({
+        title: isRTL ? "التقييم مطلوب" : "Rating required",
+        description: isRTL ? "يرجى اختيار عدد النجوم" : "Please choose a star rating",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await reviewService.submitReview(productId, {
+        ...form,
+        language: currentLang,
+        photos,
+      });
+      toast({
+        title: isRTL ? "شكراً لتقييمك!" : "Thank you for your review!",
+        description: isRTL
+          ? "سيظهر تقييمك بعد مراجعته من فريقنا"
+          : "Your review will appear once our team has approved it",
+      });
+      setForm(emptyForm);
+      setPhotos([]);
+      setFormOpen(false);
+    } catch (error) {
+      toast({
+        title: isRTL ? "تعذر إرسال التقييم" : "Could not submit review",
+        description: error instanceof Error ? error.message : undefined,
+        variant: "destructive",
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const reviewCount = summary?.reviewCount || 0;
+
+  return (
+    <motion.section
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.3 }}
+      className="mt-16"
+      dir={isRTL ? 'rtl' : 'ltr'}
+    >
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-8">
+        <h2 className="text-2xl font-bold text-primary flex items-center gap-2">
+          <MessageSquare className="w-5 h-5 text-gold" />
+          {isRTL ? "تقييمات العملاء" : "Customer Reviews"}
+        </h2>
+        <Button onClick={() => setFormOpen(true)} className="bg-gradient-to-r from-primary to-primary/80">
+          {isRTL ? "اكتب تقييماً" : "Write a Review"}
+        </Button>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        {/* Summary */}
+        <div className="p-6 rounded-2xl bg-gradient-to-br from-card/60 to-card/30 backdrop-blur-sm border border-gold/10 h-fit">
+          <div className="flex items-center gap-4 mb-6">
+            <span className="text-5xl font-bold text-primary">{(summary?.averageRating || 0).toFixed(1)}</span>
+            <div>
+              <StarRating rating={summary?.averageRating || 0} />
+              <p className="text-sm text-muted-foreground mt-1">
+                {isRTL ? `${reviewCount} تقييم` : `${reviewCount} ${reviewCount === 1 ? 'review' : 'reviews'}`}
+              </p>
+            </div>
+          </div>
+          <div className="space-y-2">
+            {([5, 4, 3, 2, 1] as const).map((stars) => {
+              const count = summary?.distribution[stars] || 0;
+              return (
+                <div key={stars} className="flex items-center gap-3 text-sm">
+                  <span className="w-3 text-muted-foreground">{stars}</span>
+                  <Progress value={reviewCount ? (count / reviewCount) * 100 : 0} className="h-2 flex-1" />
+                  <span className="w-8 text-muted-foreground text-end">{count}</span>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+
+        {/* List */}
+        <div className="lg:col-span-2 space-y-4">
+          {reviewCount > 0 && (
+            <div className="flex justify-end">
+              <Select value={sort} onValueChange={(value) => setSort(value as ReviewSort)}>
+                <SelectTrigger className="w-48">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {(Object.keys(SORT_LABELS) as ReviewSort[]).map((key) => (
+                    <SelectItem key={key} value={key}>{SORT_LABELS[key][currentLang]}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+
+          {!loading && reviews.length === 0 && (
+            <p className="text-muted-foreground py-8 text-center">
+              {isRTL ? "لا توجد تقييمات بعد. كن أول من يقيم هذا العطر!" : "No reviews yet. Be the first to review this fragrance!"}
+            </p>
+          )}
+
+          {reviews.map((review) => {
+            const title = localized(review.title, currentLang, review.language);
+            return (
+              <div key={review._id} className="p-5 rounded-xl border border-border/50 bg-card/40">
+                <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                  <div className="flex items-center gap-3">
+                    <StarRating rating={review.rating} size="sm" />
+                    <span className="font-medium">{review.customer.name}</span>
+                    {review.verifiedPurchase && (
+                      <Badge variant="outline" className="text-xs border-green-500/40 text-green-600 gap-1">
+                        <BadgeCheck className="w-3 h-3" />
+                        {isRTL ? "شراء موثق" : "Verified purchase"}
+                      </Badge>
+                    )}
+                  </div>
+                  <span className="text-xs text-muted-foreground">
+                    {new Date(review.createdAt).toLocaleDateString(isRTL ? 'ar-SA' : 'en-US')}
+                  </span>
+                </div>
+                {title && <h4 className="font-semibold mb-1">{title}</h4>}
+                <p className="text-muted-foreground leading-relaxed">
+                  {localized(review.comment, currentLang, review.language)}
+                </p>
+                {review.photos.length > 0 && (
+                  <div className="flex gap-2 mt-3">
+                    {review.photos.map((photo) => (
+                      <a key={photo.url} href={photo.url} target="_blank" rel="noopener noreferrer">
+                        <img
+                          src={photo.thumbnail || photo.url}
+                          alt=""
+                          className="w-20 h-20 rounded-lg object-cover border border-border/50"
+                        />
+                      </a>
+                    ))}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+
+          {hasNext && (
+            <div className="text-center">
+              <Button variant="outline" disabled={loading} onClick={() => loadReviews(page + 1)}>
+                {isRTL ? "عرض المزيد" : "Show more reviews"}
+              </Button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <Dialog open={formOpen} onOpenChange={setFormOpen}>
+        <DialogContent className="max-w-lg" dir={isRTL ? 'rtl' : 'ltr'}>
+          <DialogHeader>
+            <DialogTitle>{isRTL ? "اكتب تقييماً" : "Write a Review"}</DialogTitle>
+            <DialogDescription>
+              {isRTL
+                ? "التقييمات متاحة للطلبات التي تم توصيلها. أدخل رقم الطلب والبريد الإلكتروني المستخدم عند الشراء."
+                : "Reviews are open to delivered orders. Enter your order number and the email used at checkout."}
+            </DialogDescription>
+          </DialogHeader>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="grid grid-cols-2 gap-3">
+              <div className="space-y-1">
+                <Label htmlFor="review-order">{isRTL ? "رقم الطلب" : "Order number"}</Label>
+                <Input
+                  id="review-order"
+                  required
+                  placeholder="MD-20240101-001"
+                  value={form.orderNumber}
+                  onChange={(e) => setForm({ ...form, orderNumber: e.target.value })}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="review-email">{isRTL ? "البريد الإلكتروني" : "Email"}</Label>
+                <Input
+                  id="review-email"
+                  type="email"
+                  required
+                  value={form.email}
+                  onChange={(e) => setForm({ ...form, email: e.target.value })}
+                />
+              </div>
+            </div>
+
+            <div className="space-y-1">
+              <Label>{isRTL ? "تقييمك" : "Your rating"}</Label>
+              <StarRating rating={form.rating} size="lg" onChange={(rating) => setForm({ ...form, rating })} />
+            </div>
+
+            <div className="space-y-1">
+              <Label htmlFor="review-title">{isRTL ? "العنوان (اختياري)" : "Title (optional)"}</Label>
+              <Input
+                id="review-title"
+                maxLength={150}
+                value={form.title}
+                onChange={(e) => setForm({ ...form, title: e.target.value })}
+              />
+            </div>
+
+            <div className="space-y-1">
+              <Label htmlFor="review-comment">{isRTL ? "تقييمك بالتفصيل" : "Your review"}</Label>
+              <Textarea
+                id="review-comment"
+                required
+                minLength={10}
+                maxLength={2000}
+                rows={4}
+                value={form.comment}
+                onChange={(e) => setForm({ ...form, comment: e.target.value })}
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label>{isRTL ? `الصور (حتى ${MAX_REVIEW_PHOTOS})` : `Photos (up to ${MAX_REVIEW_PHOTOS})`}</Label>
+              <div className="flex flex-wrap gap-2">
+                {photoPreviews.map((preview, index) => (
+                  <div key={preview} className="relative">
+                    <img src={preview} alt="" className="w-16 h-16 rounded-lg object-cover" />
+                    <button
+                      type="button"
+                      onClick={() => setPhotos(photos.filter((_, i) => i !== index))}
+                      className="absolute -top-2 -right-2 bg-destructive text-white rounded-full p-0.5"
+                    >
+                      <X className="w-3 h-3" />
+                    </button>
+                  </div>
+                ))}
+                {photos.length < MAX_REVIEW_PHOTOS && (
+                  <label className="w-16 h-16 rounded-lg border border-dashed border-gold/40 flex items-center justify-center cursor-pointer hover:bg-gold/5">
+                    <Camera className="w-5 h-5 text-muted-foreground" />
+                    <input type="file" accept="image/jpeg,image/png,image/webp" multiple className="hidden" onChange={handlePhotos} />
+                  </label>
+                )}
+              </div>
+            </div>
+
+            <Button type="submit" className="w-full" disabled={submitting}>
+              {submitting
+                ? (isRTL ? "جاري الإرسال..." : "Submitting...")
+                : (isRTL ? "إرسال التقييم" : "Submit Review")}
+            </Button>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </motion.section>
+  );
+}
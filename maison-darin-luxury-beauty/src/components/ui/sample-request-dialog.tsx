@@ -0,0 +1,115 @@
+import { useEffect, useState } from "react";
+import { Loader2 } from "lucide-react";
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { useToast } from "@/hooks/use-toast";
+import { sampleService, SampleCustomerInfo } from "@/services/sampleService";
+
+interface SampleRequestDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  products: Array<{ _id: string; name: { en: string; ar: string } }>;
+  currentLang: 'en' | 'ar';
+  defaultEmail?: string;
+  onRequested?: () => void;
+}
+
+const emptyCustomer = (email = ''): SampleCustomerInfo => ({
+  firstName: '',
+  lastName: '',
+  email,
+  phone: '',
+  address: '',
+  city: '',
+  postalCode: '',
+  country: 'Saudi Arabia',
+});
+
+const FIELDS: Array<{ key: keyof SampleCustomerInfo; en: string; ar: string; type?: string }> = [
+  { key: 'firstName', en: 'First name', ar: 'الاسم الأول' },
+  { key: 'lastName', en: 'Last name', ar: 'اسم العائلة' },
+  { key: 'email', en: 'Email', ar: 'البريد الإلكتروني', type: 'email' },
+  { key: 'phone', en: 'Phone', ar: 'رقم الجوال', type: 'tel' },
+  { key: 'address', en: 'Address', ar: 'العنوان' },
+  { key: 'city', en: 'City', ar: 'المدينة' },
+  { key: 'postalCode', en: 'Postal code', ar: 'الرمز البريدي' },
+  { key: 'country', en: 'Country', ar: 'الدولة' },
+];
+
+export function SampleRequestDialog({ open, onOpenChange, products, currentLang, defaultEmail, onRequested }: SampleRequestDialogProps) {
+  const { toast } = useToast();
+  const isRTL = currentLang === 'ar';
+  const [customer, setCustomer] = useState<SampleCustomerInfo>(() => emptyCustomer(defaultEmail));
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (open && defaultEmail) {
+      setCustomer(prev => (prev.email ? prev : { ...prev, email: defaultEmail }));
+    }
+  }, [open, defaultEmail]);
+
+  const handleSubmit = async (event: React.FormEvent) => {
+    event.preventDefault();
+
+    setSubmitting(true);
+    try {
+      const request = await sampleService.requestSamples({
+        customerInfo: customer,
+        requestedProducts: products.map(product => ({ product: product._id })),
+      });
+      toast({
+        title: isRTL ? "تم طلب العينات!" : "Samples requested!",
+        description: isRTL
+          ? `رقم طلبك ${request.requestNumber}. سنتواصل معك قريباً لترتيب الإرسال`
+          : `Your request number is ${request.requestNumber}. We'll contact you soon to arrange delivery`,
+      });
+      onRequested?.();
+      onOpenChange(false);
+    } catch (error) {
+      toast({
+        title: isRTL ? "تعذر إرسال الطلب" : "Could not send your request",
+        description: error instanceof Error ? error.message : undefined,
+        variant: "destructive",
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg" dir={isRTL ? 'rtl' : 'ltr'}>
+        <DialogHeader>
+          <DialogTitle>{isRTL ? "طلب عينات مجانية" : "Request free samples"}</DialogTitle>
+          <DialogDescription>
+            {products.map(product => product.name[currentLang]).join(isRTL ? '، ' : ', ')}
+          </DialogDescription>
+        </DialogHeader>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            {FIELDS.map(field => (
+              <div key={field.key} className={field.key === 'address' ? 'sm:col-span-2 space-y-1' : 'space-y-1'}>
+                <Label htmlFor={`sample-${field.key}`}>{field[currentLang]}</Label>
+                <Input
+                  id={`sample-${field.key}`}
+                  type={field.type || 'text'}
+                  required
+                  value={customer[field.key]}
+                  onChange={(e) => setCustomer({ ...customer, [field.key]: e.target.value })}
+                />
+              </div>
+            ))}
+          </div>
+
+          <Button type="submit" disabled={submitting || products.length === 0} className="w-full">
+            {submitting && <Loader2 className={`h-4 w-4 animate-spin ${isRTL ? 'ml-2' : 'mr-2'}`} />}
+            {isRTL ? "إرسال الطلب" : "Send request"}
+          </Button>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,203 @@
+import { useEffect, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { AnimatePresence, motion } from "framer-motion";
+import { Loader2, Search, X } from "lucide-react";
+import { Input } from "@/components/ui/input";
+import { productService, SearchSuggestions, getDisplayPrice } from "@/services/productService";
+
+interface SearchAutocompleteProps {
+  currentLang: 'en' | 'ar';
+  className?: string;
+  onNavigate?: () => void;
+}
+
+const MIN_QUERY_LENGTH = 2;
+const DEBOUNCE_MS = 250;
+
+export function SearchAutocomplete({ currentLang, className = '', onNavigate }: SearchAutocompleteProps) {
+  const navigate = useNavigate();
+  const isRTL = currentLang === 'ar';
+  const [query, setQuery] = useState('');
+  const [suggestions, setSuggestions] = useState<SearchSuggestions | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef<HTMLDivElement>(null);
+
+  // Fetch suggestions after the user pauses typing; stale responses are ignored
+  useEffect(() => {
+    const trimmed = query.trim();
+    if (trimmed.length < MIN_QUERY_LENGTH) {
+      setSuggestions(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const result = await productService.autocomplete(trimmed);
+        if (!cancelled) {
+          setSuggestions(result);
+        }
+      } catch {
+        if (!cancelled) {
+          setSuggestions(null);
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    }, DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  // Close the dropdown when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event: MouseEvent) => {
+      if (containerRef.current && !containerRef.current.contains(event.target as Node)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const goTo = (path: string) => {
+    setIsOpen(false);
+    setQuery('');
+    onNavigate?.();
+    navigate(path);
+  };
+
+  const submitSearch = (term: string) => {
+    const trimmed = term.trim();
+    if (trimmed) {
+      goTo(`/products?search=${encodeURIComponent(trimmed)}`);
+    }
+  };
+
+  const hasResults = !!suggestions && (suggestions.products.length > 0 || suggestions.notes.length > 0);
+  const showDropdown = isOpen && query.trim().length >= MIN_QUERY_LENGTH;
+
+  return (
+    <div ref={containerRef} className={`relative ${className}`} dir={isRTL ? 'rtl' : 'ltr'}>
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          submitSearch(query);
+        }}
+      >
+        <Search className={`absolute top-1/2 -translate-y-1/2 h-4 w-4 text-muted-foreground ${isRTL ? 'right-3' : 'left-3'}`} />
+        <Input
+          type="search"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setIsOpen(true);
+          }}
+          onFocus={() => setIsOpen(true)}
+          onKeyDown={(e) => {
+            if (e.key === 'Escape') {
+              setIsOpen(false);
+            }
+          }}
+          placeholder={isRTL ? "ابحث عن العطور..." : "Search perfumes..."}
+          aria-label={isRTL ? "بحث" : "Search"}
+          className={`h-9 bg-muted/50 border-border/30 ${isRTL ? 'pr-9 pl-8' : 'pl-9 pr-8'}`}
+        />
+        {loading ? (
+          <Loader2 className={`absolute top-1/2 -translate-y-1/2 h-4 w-4 animate-spin text-muted-foreground ${isRTL ? 'left-3' : 'right-3'}`} />
+        ) : query && (
+          <button
+            type="button"
+            onClick={() => setQuery('')}
+            className={`absolute top-1/2 -translate-y-1/2 text-muted-foreground hover:text-foreground ${isRTL ? 'left-3' : 'right-3'}`}
+            aria-label={isRTL ? "مسح" : "Clear"}
+          >
+            <X className="h-4 w-4" />
+          </button>
+        )}
+      </form>
+
+      <AnimatePresence>
+        {showDropdown && (
+          <motion.div
+            initial={{ opacity: 0, y: -8 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -8 }}
+            transition={{ duration: 0.2 }}
+            className="absolute top-full mt-2 w-full min-w-[18rem] bg-background border border-border rounded-lg shadow-xl z-[60] overflow-hidden"
+          >
+            {!loading && !hasResults && suggestions && (
+              <p className="px-4 py-3 text-sm text-muted-foreground">
+                {isRTL ? "لا توجد نتائج" : "No results found"}
+              </p>
+            )}
+
+            {suggestions && suggestions.products.length > 0 && (
+              <ul>
+                {suggestions.products.map((product) => (
+                  <li key={product._id}>
+                    <button
+                      type="button"
+                      onClick={() => goTo(`/product/${product._id}`)}
+                      className={`w-full flex items-center gap-3 px-4 py-2 hover:bg-muted/50 transition-colors ${isRTL ? 'text-right' : 'text-left'}`}
+                    >
+                      {product.image && (
+                        <img src={product.image} alt={product.name[currentLang]} className="w-10 h-10 rounded object-cover" />
+                      )}
+                      <div className="flex-1 min-w-0">
+                        <p className="text-sm font-medium truncate">{product.name[currentLang]}</p>
+                        {product.concentration?.[currentLang] && (
+                          <p className="text-xs text-muted-foreground truncate">{product.concentration[currentLang]}</p>
+                        )}
+                      </div>
+                      <span className={`text-sm font-semibold ${product.inStock ? 'text-primary' : 'text-muted-foreground line-through'}`}>
+                        ${getDisplayPrice(product).price}
+                      </span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {suggestions && suggestions.notes.length > 0 && (
+              <div className="px-4 py-3 border-t border-border">
+                <p className="text-xs text-muted-foreground mb-2">
+                  {isRTL ? "ابحث بالنوتة" : "Search by note"}
+                </p>
+                <div className="flex flex-wrap gap-2">
+                  {suggestions.notes.map((note) => (
+                    <button
+                      key={note}
+                      type="button"
+                      onClick={() => submitSearch(note)}
+                      className="px-3 py-1 text-xs rounded-full bg-muted hover:bg-primary hover:text-primary-foreground transition-colors"
+                    >
+                      {note}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {hasResults && (
+              <button
+                type="button"
+                onClick={() => submitSearch(query)}
+                className="w-full px-4 py-2 text-sm font-medium text-primary border-t border-border hover:bg-muted/50"
+              >
+                {isRTL ? `عرض كل النتائج لـ "${query.trim()}"` : `See all results for "${query.trim()}"`}
+              </button>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
@@ -0,0 +1,49 @@
+import { Star } from "lucide-react";
+import { cn } from "@/lib/utils";
+
+interface StarRatingProps {
+  rating: number;
+  size?: 'sm' | 'md' | 'lg';
+  onChange?: (rating: number) => void;
+  className?: string;
+}
+
+const STAR_SIZES = {
+  sm: "w-3.5 h-3.5",
+  md: "w-4 h-4",
+  lg: "w-7 h-7",
+};
+
+// Read-only when no onChange is given; half stars are rounded to the nearest whole star
+export function StarRating({ rating, size = 'md', onChange, className }: StarRatingProps) {
+  const filled = Math.round(rating);
+
+  return (
+    <div className={cn("flex items-center gap-0.5", className)} dir="ltr">
+      {[1, 2, 3, 4, 5].map((value) => {
+        const star = (
+          <Star
+            className={cn(
+              STAR_SIZES[size],
+              value <= filled ? "fill-gold text-gold" : "text-muted-foreground/40"
+            )}
+          />
+        );
+
+        return onChange ? (
+          <button
+            key={value}
+            type="button"
+            onClick={() => onChange(value)}
+            className="p-0.5 transition-transform hover:scale-110"
+            aria-label={`${value}`}
+          >
+            {star}
+          </button>
+        ) : (
+          <span key={value}>{star}</span>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+import { useState } from "react";
+import { Heart } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { useToast } from "@/hooks/use-toast";
+import { useWishlist, WishlistEntry } from "@/contexts/WishlistContext";
+
+interface WishlistButtonProps {
+  product: WishlistEntry;
+  currentLang: 'en' | 'ar';
+  className?: string;
+}
+
+// Saves a product card to the wishlist, or takes it off again
+export function WishlistButton({ product, currentLang, className }: WishlistButtonProps) {
+  const { isInWishlist, toggleWishlist } = useWishlist();
+  const { toast } = useToast();
+  const [saving, setSaving] = useState(false);
+  const saved = isInWishlist(product._id);
+  const label = currentLang === 'ar'
+    ? (saved ? 'إزالة من المفضلة' : 'أضف إلى المفضلة')
+    : (saved ? 'Remove from wishlist' : 'Add to wishlist');
+
+  const handleClick = async (e: React.MouseEvent) => {
+    // Cards navigate to the product page on click
+    e.preventDefault();
+    e.stopPropagation();
+
+    setSaving(true);
+    try {
+      await toggleWishlist(product);
+    } catch (error) {
+      toast({
+        title: currentLang === 'ar' ? 'فشل في تحديث المفضلة' : 'Failed to update your wishlist',
+        description: error instanceof Error ? error.message : undefined,
+        variant: "destructive",
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Button
+      size="sm"
+      variant="outline"
+      onClick={handleClick}
+      disabled={saving}
+      className={className}
+      title={label}
+      aria-label={label}
+      aria-pressed={saved}
+    >
+      <Heart className={`w-4 h-4 ${saved ? 'fill-red-500 text-red-500' : ''}`} />
+    </Button>
+  );
+}
@@ -1,4 +1,11 @@
-import React, { createContext, useContext, useReducer, ReactNode, useEffect } from 'react';
+import React, { createContext, useContext, useReducer, ReactNode, useEffect, useCallback, useRef, useState, useMemo } from 'react';
+import { useAuth } from '@/contexts/AuthContext';
+import { productService, getDisplayPrice } from '@/services/productService';
+import type { Product as CatalogProduct, ProductSale, ProductType, ProductVariant } from '@/services/productService';
+import { cartService, isCartNotFound, MAX_CART_ITEMS, MAX_CART_QUANTITY } from '@/services/cartService';
+import type { CartItemInput, CartLine, ServerCart } from '@/services/cartService';
+
+export type { ProductVariant };
 
 export interface Product {
   _id?: string;
@@ -7,8 +14,10 @@ export interface Product {
   description: { en: string; ar: string };
   longDescription?: { en: string; ar: string };
   price: number;
+  effectivePrice?: number;
+  sale?: ProductSale | null;
   size: string;
-  category: string;
+  category?: string;
   image?: string; // For backward compatibility
   images?: Array<{
     url: string;
@@ -25,13 +34,29 @@ export interface Product {
     middle: { en: string[]; ar: string[] };
     base: { en: string[]; ar: string[] };
   };
+  variants?: ProductVariant[];
+  type?: ProductType;
 }
 
 export interface CartItem {
   product: Product;
+  variant?: ProductVariant;
   quantity: number;
 }
 
+// The same fragrance in two sizes is two separate cart lines
+export const getCartItemKey = (item: Pick<CartItem, 'product' | 'variant'>): string => {
+  const productKey = item.product._id || String(item.product.id);
+  return item.variant ? `${productKey}:${item.variant._id}` : productKey;
+};
+
+// Unit price after any running sale
+export const getCartItemPrice = (item: Pick<CartItem, 'product' | 'variant'>): number =>
+  getDisplayPrice(item.product, item.variant).price;
+
+export const getCartItemCompareAtPrice = (item: Pick<CartItem, 'product' | 'variant'>): number | undefined =>
+  getDisplayPrice(item.product, item.variant).compareAtPrice;
+
 interface CartState {
   items: CartItem[];
   isOpen: boolean;
@@ -39,14 +64,15 @@ interface CartState {
 }
 
 type CartAction =
-  | { type: 'ADD_TO_CART'; payload: Product }
-  | { type: 'REMOVE_FROM_CART'; payload: number }
-  | { type: 'UPDATE_QUANTITY'; payload: { id: number; quantity: number } }
+  | { type: 'ADD_TO_CART'; payload: { product: Product; variant?: ProductVariant } }
+  | { type: 'REMOVE_FROM_CART'; payload: string }
+  | { type: 'UPDATE_QUANTITY'; payload: { key: string; quantity: number } }
   | { type: 'CLEAR_CART' }
   | { type: 'TOGGLE_CART' }
   | { type: 'OPEN_CART' }
   | { type: 'CLOSE_CART' }
-  | { type: 'LOAD_FROM_STORAGE'; payload: CartItem[] };
+  | { type: 'LOAD_FROM_STORAGE'; payload: CartItem[] }
+  | { type: 'REFRESH_PRICES'; payload: Record<string, CatalogProduct> };
 
 const initialState: CartState = {
   items: [],
@@ -57,11 +83,12 @@ const initialState: CartState = {
 function cartReducer(state: CartState, action: CartAction): CartState {
   switch (action.type) {
     case 'ADD_TO_CART': {
-      const existingItem = state.items.find(item => item.product.id === action.payload.id);
+      const key = getCartItemKey(action.payload);
+      const existingItem = state.items.find(item => getCartItemKey(item) === key);
       
       if (existingItem) {
         const updatedItems = state.items.map(item =>
-          item.product.id === action.payload.id
+          getCartItemKey(item) === key
             ? { ...item, quantity: item.quantity + 1 }
             : item
         );
@@ -71,7 +98,7 @@ function cartReducer(state: CartState, action: CartAction): CartState {
           total: calculateTotal(updatedItems),
         };
       } else {
-        const newItems = [...state.items, { product: action.payload, quantity: 1 }];
+        const newItems = [...state.items, { ...action.payload, quantity: 1 }];
         return {
           ...state,
           items: newItems,
@@ -81,7 +108,7 @@ function cartReducer(state: CartState, action: CartAction): CartState {
     }
     
     case 'REMOVE_FROM_CART': {
-      const newItems = state.items.filter(item => item.product.id !== action.payload);
+      const newItems = state.items.filter(item => getCartItemKey(item) !== action.payload);
       return {
         ...state,
         items: newItems,
@@ -91,7 +118,7 @@ function cartReducer(state: CartState, action: CartAction): CartState {
     
     case 'UPDATE_QUANTITY': {
       const updatedItems = state.items.map(item =>
-        item.product.id === action.payload.id
+        getCartItemKey(item) === action.payload.key
           ? { ...item, quantity: Math.max(0, action.payload.quantity) }
           : item
       ).filter(item => item.quantity > 0);
@@ -137,13 +164,38 @@ function cartReducer(state: CartState, action: CartAction): CartState {
       };
     }
     
+    case 'REFRESH_PRICES': {
+      // Sales start and end while items sit in the cart
+      const items = state.items.map(item => {
+        const fresh = item.product._id ? action.payload[item.product._id] : undefined;
+        if (!fresh) return item;
+
+        return {
+          ...item,
+          product: {
+            ...item.product,
+            price: fresh.price,
+            effectivePrice: fresh.effectivePrice,
+            sale: fresh.sale,
+            variants: fresh.variants
+          },
+          variant: fresh.variants?.find(v => v._id === item.variant?._id) || item.variant
+        };
+      });
+      return {
+        ...state,
+        items,
+        total: calculateTotal(items),
+      };
+    }
+    
     default:
       return state;
   }
 }
 
 function calculateTotal(items: CartItem[]): number {
-  return items.reduce((total, item) => total + (item.product.price * item.quantity), 0);
+  return items.reduce((total, item) => total + (getCartItemPrice(item) * item.quantity), 0);
 }
 
 // localStorage utilities
@@ -178,46 +230,274 @@ const loadCartFromStorage = (): CartItem[] => {
   return [];
 };
 
+// The server cart is found again by this token, which reminder emails also link to
+const CART_TOKEN_KEY = 'maison-darin-cart-token';
+const CART_SYNC_DELAY = 800;
+
+const saveCartToken = (token: string | null) => {
+  try {
+    if (token) {
+      localStorage.setItem(CART_TOKEN_KEY, token);
+    } else {
+      localStorage.removeItem(CART_TOKEN_KEY);
+    }
+  } catch (error) {
+    console.warn('Failed to save cart token to localStorage:', error);
+  }
+};
+
+const loadCartToken = (): string | null => {
+  try {
+    return localStorage.getItem(CART_TOKEN_KEY);
+  } catch (error) {
+    console.warn('Failed to load cart token from localStorage:', error);
+    return null;
+  }
+};
+
+const getLanguage = (): 'en' | 'ar' => (localStorage.getItem('lang') as 'en' | 'ar') || 'ar';
+
+// Items from the static catalogue have no database id and stay local
+const toItemInputs = (items: CartItem[]): CartItemInput[] =>
+  items
+    .map(item => ({
+      productId: item.product._id || String(item.product.id),
+      variantId: item.variant?._id || null,
+      quantity: Math.min(item.quantity, MAX_CART_QUANTITY),
+    }))
+    .filter(item => /^[a-f\d]{24}$/i.test(item.productId))
+    .slice(0, MAX_CART_ITEMS);
+
+const toCartItems = (lines: CartLine[]): CartItem[] =>
+  lines.flatMap(line => {
+    const { product } = line;
+    if (!product) return [];
+
+    return [{
+      product: {
+        _id: product._id,
+        id: parseInt(product._id) || 0,
+        name: product.name,
+        description: product.description,
+        price: product.price,
+        effectivePrice: product.effectivePrice,
+        sale: product.sale,
+        size: product.size,
+        image: product.images?.[0]?.url || '',
+        images: product.images,
+        featured: product.featured,
+        inStock: product.inStock,
+        stock: product.stock,
+        concentration: product.concentration,
+        variants: product.variants,
+        type: product.type,
+      },
+      variant: product.variants?.find(v => v._id === line.variantId),
+      quantity: line.quantity,
+    }];
+  });
+
+const getLineKey = (line: Pick<CartLine, 'productId' | 'variantId'>): string =>
+  line.variantId ? `${line.productId}:${line.variantId}` : line.productId;
+
 interface CartContextType {
   state: CartState;
-  addToCart: (product: Product) => void;
-  removeFromCart: (productId: number) => void;
-  updateQuantity: (productId: number, quantity: number) => void;
+  addToCart: (product: Product, variant?: ProductVariant) => void;
+  removeFromCart: (itemKey: string) => void;
+  updateQuantity: (itemKey: string, quantity: number) => void;
   clearCart: () => void;
   toggleCart: () => void;
   openCart: () => void;
   closeCart: () => void;
   getItemCount: () => number;
+  refreshPrices: () => Promise<void>;
+  // Token of the server copy of the cart, sent with the order so the cart is closed
+  cartToken: string | null;
+  // Current price and stock problems, by cart item key
+  issues: Record<string, CartLine>;
+  // Record the email step of checkout so an abandoned cart gets reminders
+  startCheckout: (email: string, firstName?: string) => Promise<void>;
+  // Replace the cart with the server cart a reminder email links to
+  restoreCart: (token: string) => Promise<void>;
 }
 
 const CartContext = createContext<CartContextType | undefined>(undefined);
 
 export function CartProvider({ children }: { children: ReactNode }) {
-  const [state, dispatch] = useReducer(cartReducer, initialState);
+  // Read the saved cart up front so the first server sync sees it
+  const [state, dispatch] = useReducer(cartReducer, initialState, (initial): CartState => {
+    const items = loadCartFromStorage();
+    return { ...initial, items, total: calculateTotal(items) };
+  });
+  const { state: authState } = useAuth();
+  const [cartToken, setCartToken] = useState<string | null>(loadCartToken);
+  const [issues, setIssues] = useState<Record<string, CartLine>>({});
+  const isCustomer = authState.isAuthenticated && authState.user?.role === 'customer';
 
-  // Load cart from localStorage on mount
+  // Save cart to localStorage whenever items change
   useEffect(() => {
-    const savedCart = loadCartFromStorage();
-    if (savedCart.length > 0) {
-      dispatch({ type: 'LOAD_FROM_STORAGE', payload: savedCart });
+    saveCartToStorage(state.items);
+  }, [state.items]);
+
+  const itemsRef = useRef(state.items);
+  itemsRef.current = state.items;
+  const tokenRef = useRef(cartToken);
+  tokenRef.current = cartToken;
+  // Items last sent to the server, so price refreshes don't trigger another sync
+  const syncedRef = useRef<string | null>(null);
+  // Server calls run one at a time so a new cart is only ever created once
+  const queueRef = useRef<Promise<void>>(Promise.resolve());
+
+  const enqueue = useCallback((task: () => Promise<void>) => {
+    const run = queueRef.current.then(task);
+    queueRef.current = run.catch(() => undefined);
+    return run;
+  }, []);
+
+  const forgetToken = useCallback(() => {
+    tokenRef.current = null;
+    setCartToken(null);
+    saveCartToken(null);
+    setIssues({});
+  }, []);
+
+  // Adopt the server's view of the cart; its items replace ours when it may hold more
+  const applyServerCart = useCallback((cart: ServerCart, replaceItems: boolean) => {
+    tokenRef.current = cart.token;
+    setCartToken(cart.token);
+    saveCartToken(cart.token);
+    setIssues(Object.fromEntries(cart.items.filter(line => line.issue).map(line => [getLineKey(line), line])));
+
+    if (replaceItems) {
+      const items = toCartItems(cart.items);
+      syncedRef.current = JSON.stringify(toItemInputs(items));
+      dispatch({ type: 'LOAD_FROM_STORAGE', payload: items });
+      return;
     }
+
+    dispatch({
+      type: 'REFRESH_PRICES',
+      payload: Object.fromEntries(
+        cart.items.filter(line => line.product).map(line => [line.productId, line.product as CatalogProduct])
+      )
+    });
   }, []);
 
-  // Save cart to localStorage whenever items change
+  const syncCart = useCallback(() => enqueue(async () => {
+    const items = toItemInputs(itemsRef.current);
+    const signature = JSON.stringify(items);
+    const language = getLanguage();
+    syncedRef.current = signature;
+
+    try {
+      if (tokenRef.current) {
+        try {
+          applyServerCart(await cartService.updateCart(tokenRef.current, items, language), false);
+          return;
+        } catch (error) {
+          if (!isCartNotFound(error)) throw error;
+          // Checked out, or expired
+          forgetToken();
+        }
+      }
+      if (items.length > 0) {
+        applyServerCart(await cartService.createCart(items, language), false);
+      }
+    } catch (error) {
+      syncedRef.current = null;
+      console.warn('Failed to sync cart:', error);
+    }
+  }), [enqueue, applyServerCart, forgetToken]);
+
+  const itemsSignature = useMemo(() => JSON.stringify(toItemInputs(state.items)), [state.items]);
+
+  // Keep the server copy in step with the cart so it can be recovered later
   useEffect(() => {
-    saveCartToStorage(state.items);
-  }, [state.items]);
+    if (itemsSignature === syncedRef.current) return;
+
+    const timer = setTimeout(syncCart, CART_SYNC_DELAY);
+    return () => clearTimeout(timer);
+  }, [itemsSignature, syncCart]);
+
+  // A customer's cart follows them across devices; a guest's cart is added to it on login
+  const wasCustomerRef = useRef(isCustomer);
+  useEffect(() => {
+    const wasCustomer = wasCustomerRef.current;
+    wasCustomerRef.current = isCustomer;
+
+    if (!isCustomer) {
+      // The account's cart isn't the next guest's
+      if (wasCustomer) forgetToken();
+      return;
+    }
+
+    enqueue(async () => {
+      const token = tokenRef.current;
+      const cart = token
+        ? await cartService.getCart(token)
+        : await cartService.createCart(toItemInputs(itemsRef.current), getLanguage());
+      applyServerCart(cart, true);
+    }).catch(error => {
+      if (isCartNotFound(error)) forgetToken();
+      console.warn('Failed to load customer cart:', error);
+    });
+  }, [isCustomer, enqueue, applyServerCart, forgetToken]);
+
+  // Re-read current prices so the cart shows what checkout will charge
+  const refreshPrices = useCallback(async () => {
+    if (tokenRef.current) {
+      const token = tokenRef.current;
+      try {
+        await enqueue(async () => applyServerCart(await cartService.getCart(token), false));
+        return;
+      } catch (error) {
+        console.warn('Failed to refresh cart:', error);
+      }
+    }
+
+    const ids = [...new Set(itemsRef.current.map(item => item.product._id).filter((id): id is string => !!id))];
+    if (ids.length === 0) return;
+
+    const products = await Promise.all(ids.map(id => productService.getProductById(id).catch(() => null)));
+    dispatch({
+      type: 'REFRESH_PRICES',
+      payload: Object.fromEntries(products.filter((p): p is CatalogProduct => !!p).map(p => [p._id, p]))
+    });
+  }, [enqueue, applyServerCart]);
+
+  useEffect(() => {
+    if (state.isOpen) {
+      refreshPrices();
+    }
+  }, [state.isOpen, refreshPrices]);
+
+  const startCheckout = useCallback(async (email: string, firstName?: string) => {
+    // The cart may not have reached the server yet
+    if (!tokenRef.current || syncedRef.current !== JSON.stringify(toItemInputs(itemsRef.current))) {
+      await syncCart();
+    }
+    const token = tokenRef.current;
+    if (!token) return;
+
+    await enqueue(async () => {
+      await cartService.startCheckout(token, { email, firstName, language: getLanguage() });
+    });
+  }, [syncCart, enqueue]);
+
+  const restoreCart = useCallback(async (token: string) => {
+    await enqueue(async () => applyServerCart(await cartService.getCart(token), true));
+  }, [enqueue, applyServerCart]);
 
-  const addToCart = (product: Product) => {
-    dispatch({ type: 'ADD_TO_CART', payload: product });
+  const addToCart = (product: Product, variant?: ProductVariant) => {
+    dispatch({ type: 'ADD_TO_CART', payload: { product, variant } });
   };
 
-  const removeFromCart = (productId: number) => {
-    dispatch({ type: 'REMOVE_FROM_CART', payload: productId });
+  const removeFromCart = (itemKey: string) => {
+    dispatch({ type: 'REMOVE_FROM_CART', payload: itemKey });
   };
 
-  const updateQuantity = (productId: number, quantity: number) => {
-    dispatch({ type: 'UPDATE_QUANTITY', payload: { id: productId, quantity } });
+  const updateQuantity = (itemKey: string, quantity: number) => {
+    dispatch({ type: 'UPDATE_QUANTITY', payload: { key: itemKey, quantity } });
   };
 
   const clearCart = () => {
@@ -252,6 +532,11 @@ export function CartProvider({ children }: { children: ReactNode }) {
         openCart,
         closeCart,
         getItemCount,
+        refreshPrices,
+        cartToken,
+        issues,
+        startCheckout,
+        restoreCart,
       }}
     >
       {children}
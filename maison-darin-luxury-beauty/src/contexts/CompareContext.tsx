@@ -0,0 +1,95 @@
+import React, { createContext, useContext, useState, ReactNode, useEffect, useCallback } from 'react';
+
+export const MAX_COMPARE_ITEMS = 4;
+
+// What the compare tray needs to show a product; the comparison itself is fetched fresh
+export interface CompareItem {
+  _id: string;
+  name: { en: string; ar: string };
+  image?: string;
+}
+
+// localStorage utilities
+const COMPARE_STORAGE_KEY = 'maison-darin-compare';
+
+const saveCompareToStorage = (items: CompareItem[]) => {
+  try {
+    localStorage.setItem(COMPARE_STORAGE_KEY, JSON.stringify(items));
+  } catch (error) {
+    console.warn('Failed to save comparison to localStorage:', error);
+  }
+};
+
+const loadCompareFromStorage = (): CompareItem[] => {
+  try {
+    const stored = localStorage.getItem(COMPARE_STORAGE_KEY);
+    if (stored) {
+      const parsed = JSON.parse(stored);
+      if (Array.isArray(parsed)) {
+        return parsed.filter(item => item && typeof item._id === 'string' && item.name).slice(0, MAX_COMPARE_ITEMS);
+      }
+    }
+  } catch (error) {
+    console.warn('Failed to load comparison from localStorage:', error);
+  }
+  return [];
+};
+
+interface CompareContextType {
+  items: CompareItem[];
+  isInCompare: (productId: string) => boolean;
+  // Returns false when the tray is already full
+  addToCompare: (item: CompareItem) => boolean;
+  removeFromCompare: (productId: string) => void;
+  clearCompare: () => void;
+}
+
+const CompareContext = createContext<CompareContextType | undefined>(undefined);
+
+export function CompareProvider({ children }: { children: ReactNode }) {
+  const [items, setItems] = useState<CompareItem[]>(loadCompareFromStorage);
+
+  useEffect(() => {
+    saveCompareToStorage(items);
+  }, [items]);
+
+  const isInCompare = useCallback((productId: string) => items.some(item => item._id === productId), [items]);
+
+  const addToCompare = (item: CompareItem) => {
+    if (isInCompare(item._id)) return true;
+    if (items.length >= MAX_COMPARE_ITEMS) return false;
+
+    setItems(prev => [...prev, item]);
+    return true;
+  };
+
+  const removeFromCompare = useCallback((productId: string) => {
+    setItems(prev => prev.filter(item => item._id !== productId));
+  }, []);
+
+  const clearCompare = () => {
+    setItems([]);
+  };
+
+  return (
+    <CompareContext.Provider
+      value={{
+        items,
+        isInCompare,
+        addToCompare,
+        removeFromCompare,
+        clearCompare,
+      }}
+    >
+      {children}
+    </CompareContext.Provider>
+  );
+}
+
+export function useCompare() {
+  const context = useContext(CompareContext);
+  if (context === undefined) {
+    throw new Error('useCompare must be used within a CompareProvider');
+  }
+  return context;
+}
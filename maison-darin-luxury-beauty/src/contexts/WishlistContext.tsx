@@ -0,0 +1,152 @@
+import React, { createContext, useContext, useState, ReactNode, useEffect, useCallback, useMemo } from 'react';
+import { useAuth } from '@/contexts/AuthContext';
+import { wishlistService, Wishlist } from '@/services/wishlistService';
+
+// What a heart button needs to save a product; customers' wishlists are priced by the server
+export interface WishlistEntry {
+  _id: string;
+  name: { en: string; ar: string };
+  image?: string;
+}
+
+// localStorage utilities; only guests keep their wishlist in the browser
+const WISHLIST_STORAGE_KEY = 'maison-darin-wishlist';
+
+const saveWishlistToStorage = (items: WishlistEntry[]) => {
+  try {
+    if (items.length > 0) {
+      localStorage.setItem(WISHLIST_STORAGE_KEY, JSON.stringify(items));
+    } else {
+      localStorage.removeItem(WISHLIST_STORAGE_KEY);
+    }
+  } catch (error) {
+    console.warn('Failed to save wishlist to localStorage:', error);
+  }
+};
+
+const loadWishlistFromStorage = (): WishlistEntry[] => {
+  try {
+    const stored = localStorage.getItem(WISHLIST_STORAGE_KEY);
+    if (stored) {
+      const parsed = JSON.parse(stored);
+      if (Array.isArray(parsed)) {
+        return parsed.filter(item => item && typeof item._id === 'string' && item.name);
+      }
+    }
+  } catch (error) {
+    console.warn('Failed to load wishlist from localStorage:', error);
+  }
+  return [];
+};
+
+const toEntries = (wishlist: Wishlist): WishlistEntry[] =>
+  wishlist.items.map(({ product }) => ({
+    _id: product._id,
+    name: product.name,
+    image: product.images?.[0]?.url,
+  }));
+
+interface WishlistContextType {
+  items: WishlistEntry[];
+  // The customer's wishlist as priced by the server; null for guests
+  wishlist: Wishlist | null;
+  isCustomer: boolean;
+  isLoading: boolean;
+  isInWishlist: (productId: string) => boolean;
+  addToWishlist: (item: WishlistEntry) => Promise<void>;
+  removeFromWishlist: (productId: string) => Promise<void>;
+  toggleWishlist: (item: WishlistEntry) => Promise<void>;
+  // Replace the server wishlist after a settings or sharing change
+  setWishlist: (wishlist: Wishlist) => void;
+}
+
+const WishlistContext = createContext<WishlistContextType | undefined>(undefined);
+
+export function WishlistProvider({ children }: { children: ReactNode }) {
+  const { state: authState } = useAuth();
+  const [guestItems, setGuestItems] = useState<WishlistEntry[]>(loadWishlistFromStorage);
+  const [wishlist, setWishlist] = useState<Wishlist | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const isCustomer = authState.isAuthenticated && authState.user?.role === 'customer';
+  const items = useMemo(
+    () => (isCustomer ? (wishlist ? toEntries(wishlist) : []) : guestItems),
+    [isCustomer, wishlist, guestItems]
+  );
+
+  useEffect(() => {
+    if (!isCustomer) {
+      saveWishlistToStorage(guestItems);
+    }
+  }, [guestItems, isCustomer]);
+
+  // Once a customer logs in, what they saved as a guest moves to their account
+  useEffect(() => {
+    if (!isCustomer) {
+      setWishlist(null);
+      return;
+    }
+
+    const pending = loadWishlistFromStorage();
+    const language = (localStorage.getItem('lang') as 'en' | 'ar') || 'ar';
+
+    setIsLoading(true);
+    (pending.length > 0
+      ? wishlistService.merge(pending.map(item => item._id), language)
+      : wishlistService.getWishlist())
+      .then(serverWishlist => {
+        setWishlist(serverWishlist);
+        setGuestItems([]);
+        saveWishlistToStorage([]);
+      })
+      .catch(error => console.warn('Failed to sync wishlist:', error))
+      .finally(() => setIsLoading(false));
+  }, [isCustomer]);
+
+  const isInWishlist = useCallback((productId: string) => items.some(item => item._id === productId), [items]);
+
+  const addToWishlist = async (item: WishlistEntry) => {
+    if (!isCustomer) {
+      setGuestItems(prev => (prev.some(entry => entry._id === item._id) ? prev : [item, ...prev]));
+      return;
+    }
+    setWishlist(await wishlistService.addItem(item._id));
+  };
+
+  const removeFromWishlist = async (productId: string) => {
+    if (!isCustomer) {
+      setGuestItems(prev => prev.filter(entry => entry._id !== productId));
+      return;
+    }
+    setWishlist(await wishlistService.removeItem(productId));
+  };
+
+  const toggleWishlist = (item: WishlistEntry) =>
+    isInWishlist(item._id) ? removeFromWishlist(item._id) : addToWishlist(item);
+
+  return (
+    <WishlistContext.Provider
+      value={{
+        items,
+        wishlist,
+        isCustomer,
+        isLoading,
+        isInWishlist,
+        addToWishlist,
+        removeFromWishlist,
+        toggleWishlist,
+        setWishlist,
+      }}
+    >
+      {children}
+    </WishlistContext.Provider>
+  );
+}
+
+export function useWishlist() {
+  const context = useContext(WishlistContext);
+  if (context === undefined) {
+    throw new Error('useWishlist must be used within a WishlistProvider');
+  }
+  return context;
+}
@@ -0,0 +1,62 @@
+import { useCallback, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { FacetDimension, FacetSelection } from '@/services/productService';
+
+export const FACET_DIMENSIONS: FacetDimension[] = [
+  'topNotes',
+  'middleNotes',
+  'baseNotes',
+  'concentration',
+  'size',
+  'priceBand',
+  'availability',
+];
+
+/**
+ * Facet filter state kept in the URL (e.g. ?concentration=edp,edt&size=50ml)
+ * so filtered views can be bookmarked and shared.
+ */
+export function useFacetFilters() {
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  // Re-derived only when a facet param changes, not on unrelated params like search
+  const facetKey = JSON.stringify(FACET_DIMENSIONS.map((dimension) => searchParams.get(dimension) || ''));
+
+  const selection = useMemo<FacetSelection>(() => {
+    const raw: string[] = JSON.parse(facetKey);
+    const result: FacetSelection = {};
+    FACET_DIMENSIONS.forEach((dimension, index) => {
+      const values = raw[index].split(',').filter(Boolean);
+      if (values.length > 0) {
+        result[dimension] = values;
+      }
+    });
+    return result;
+  }, [facetKey]);
+
+  const activeCount = Object.values(selection).reduce((sum, values) => sum + (values?.length || 0), 0);
+
+  const toggle = useCallback((dimension: FacetDimension, value: string) => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      const values = (next.get(dimension) || '').split(',').filter(Boolean);
+      const updated = values.includes(value) ? values.filter((v) => v !== value) : [...values, value];
+      if (updated.length > 0) {
+        next.set(dimension, updated.join(','));
+      } else {
+        next.delete(dimension);
+      }
+      return next;
+    }, { replace: true });
+  }, [setSearchParams]);
+
+  const clear = useCallback(() => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      FACET_DIMENSIONS.forEach((dimension) => next.delete(dimension));
+      return next;
+    }, { replace: true });
+  }, [setSearchParams]);
+
+  return { selection, activeCount, toggle, clear };
+}
@@ -1,5 +1,5 @@
 import { useState, useEffect, useCallback } from 'react';
-import { orderService, Order, OrderFilters, OrderStats, OrdersResponse } from '@/services/orderService';
+import { orderService, Order, OrderFilters, OrderStats, OrdersResponse, OrderStatus, OrderStatusChange, RefundRequest } from '@/services/orderService';
 import { useToast } from '@/hooks/use-toast';
 
 export const useOrders = (initialFilters: OrderFilters = {}) => {
@@ -101,19 +101,19 @@ export const useOrder = (orderId: string | null) => {
   }, [orderId, toast]);
 
   const updateOrderStatus = useCallback(async (
-    status: string, 
-    statusType: 'order' | 'payment' = 'order'
+    status: OrderStatus, 
+    change: OrderStatusChange = {}
   ) => {
     if (!orderId) return;
     
     setLoading(true);
     
     try {
-      const updatedOrder = await orderService.updateOrderStatus(orderId, status, statusType);
+      const updatedOrder = await orderService.updateOrderStatus(orderId, status, change);
       setOrder(updatedOrder);
       toast({
         title: "Success",
-        description: `Order ${statusType} status updated successfully`,
+        description: 'Order status updated successfully',
       });
       return updatedOrder;
     } catch (err) {
@@ -184,13 +184,13 @@ export const useOrder = (orderId: string | null) => {
     }
   }, [orderId, toast]);
 
-  const refundOrder = useCallback(async (reason?: string) => {
+  const refundOrder = useCallback(async (request: RefundRequest) => {
     if (!orderId) return;
     
     setLoading(true);
     
     try {
-      const updatedOrder = await orderService.refundOrder(orderId, reason);
+      const updatedOrder = await orderService.refundOrder(orderId, request);
       setOrder(updatedOrder);
       toast({
         title: "Success",
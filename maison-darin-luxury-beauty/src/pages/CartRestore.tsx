@@ -0,0 +1,85 @@
+import { useEffect, useState } from 'react';
+import { Link, useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { BellOff, Loader2, XCircle } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { useTranslations } from '@/hooks/useTranslations';
+import { useCart } from '@/contexts/CartContext';
+import { cartService } from '@/services/cartService';
+
+// Landing page of the links in abandoned-cart reminder emails
+const CartRestore = () => {
+  const { token } = useParams<{ token: string }>();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { currentLang } = useTranslations();
+  const { restoreCart } = useCart();
+  const isRTL = currentLang === 'ar';
+  const stopReminders = searchParams.get('reminders') === 'off';
+
+  const [status, setStatus] = useState<'loading' | 'stopped' | 'failed'>('loading');
+
+  useEffect(() => {
+    if (!token) return;
+
+    if (stopReminders) {
+      cartService.stopReminders(token)
+        .then(() => setStatus('stopped'))
+        .catch(() => setStatus('failed'));
+      return;
+    }
+
+    restoreCart(token)
+      .then(() => navigate('/checkout', { replace: true }))
+      .catch(() => setStatus('failed'));
+  }, [token, stopReminders, restoreCart, navigate]);
+
+  const handleContinue = () => {
+    if (!token) return;
+    setStatus('loading');
+    restoreCart(token)
+      .then(() => navigate('/checkout'))
+      .catch(() => setStatus('failed'));
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-soft-neutral via-beige/50 to-off-white flex items-center justify-center px-4 py-16" dir={isRTL ? 'rtl' : 'ltr'}>
+      <div className="max-w-lg w-full bg-white/70 backdrop-blur-sm border border-gold/20 rounded-2xl p-8 shadow-glass text-center space-y-6">
+        {status === 'loading' && token ? (
+          <Loader2 className="w-10 h-10 mx-auto animate-spin text-gold" />
+        ) : status === 'failed' || !token ? (
+          <>
+            <XCircle className="w-12 h-12 mx-auto text-destructive" />
+            <h1 className="text-2xl font-display font-bold text-dark-tea">
+              {isRTL ? "رابط السلة غير صالح" : "This cart link is not valid"}
+            </h1>
+            <p className="text-muted-foreground">
+              {isRTL
+                ? "ربما تم إتمام الطلب بالفعل أو انتهت صلاحية السلة."
+                : "The order may already have been placed, or the cart has expired."}
+            </p>
+            <Button asChild variant="outline" className="border-gold/30 hover:bg-gold/10 hover:border-gold">
+              <Link to="/products">{isRTL ? "تصفح المنتجات" : "Browse products"}</Link>
+            </Button>
+          </>
+        ) : (
+          <>
+            <BellOff className="w-12 h-12 mx-auto text-gold" />
+            <h1 className="text-2xl font-display font-bold text-dark-tea">
+              {isRTL ? "لن نرسل لك المزيد من التذكيرات" : "You won't get more reminders"}
+            </h1>
+            <p className="text-muted-foreground">
+              {isRTL
+                ? "ما زالت المنتجات محفوظة في سلتك إذا أردت إتمام الطلب."
+                : "The products are still saved in your cart if you'd like to finish your order."}
+            </p>
+            <Button onClick={handleContinue}>
+              {isRTL ? "العودة إلى السلة" : "Back to your cart"}
+            </Button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CartRestore;
@@ -6,11 +6,15 @@ import { Footer } from '@/components/layout/footer';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
-import { ArrowLeft, ArrowRight, Star, Filter, SortAsc } from 'lucide-react';
+import { ArrowLeft, ArrowRight, Star, SortAsc } from 'lucide-react';
 import { useSiteContent } from '@/hooks/useSiteContent';
-import { categoryService, Category } from '@/services/categoryService';
-import { productService, Product, ProductsResponse } from '@/services/productService';
+import { categoryService, Category, CategoryWithAncestors } from '@/services/categoryService';
+import { productService, Product, ProductsResponse, ProductFacets, getDisplayPrice } from '@/services/productService';
 import { useToast } from '@/hooks/use-toast';
+import { useFacetFilters } from '@/hooks/useFacetFilters';
+import { FacetFilters } from '@/components/ui/facet-filters';
+import { CompareButton } from '@/components/ui/compare-button';
+import { WishlistButton } from '@/components/ui/wishlist-button';
 
 const CategoryPage = () => {
   const { slug } = useParams<{ slug: string }>();
@@ -19,12 +23,14 @@ const CategoryPage = () => {
     () => (localStorage.getItem('lang') as 'en' | 'ar') || 'ar'
   );
 
-  const [category, setCategory] = useState<Category | null>(null);
+  const [category, setCategory] = useState<CategoryWithAncestors | null>(null);
+  const [subcategories, setSubcategories] = useState<Category[]>([]);
   const [products, setProducts] = useState<Product[]>([]);
   const [loading, setLoading] = useState(true);
   const [productsLoading, setProductsLoading] = useState(true);
-  const [sortBy, setSortBy] = useState<'newest' | 'oldest' | 'price-low' | 'price-high' | 'name'>('newest');
-  const [filterInStock, setFilterInStock] = useState<boolean | null>(null);
+  const [sortBy, setSortBy] = useState<'newest' | 'oldest' | 'price-low' | 'price-high' | 'name' | 'top-rated'>('newest');
+  const [facets, setFacets] = useState<ProductFacets | null>(null);
+  const { selection: facetSelection, toggle: toggleFacet, clear: clearFacets } = useFacetFilters();
 
   const { content: t } = useSiteContent(currentLang);
   const { toast } = useToast();
@@ -66,6 +72,15 @@ const CategoryPage = () => {
     fetchCategory();
   }, [slug, navigate, currentLang, toast]);
 
+  // Subcategories are optional; the page works without them
+  useEffect(() => {
+    if (!category) return;
+
+    categoryService.getActiveCategories()
+      .then(categories => setSubcategories(categories.filter(c => c.parentCategory === category._id)))
+      .catch(() => setSubcategories([]));
+  }, [category]);
+
   // Fetch products for this category
   useEffect(() => {
     const fetchProducts = async () => {
@@ -74,12 +89,13 @@ const CategoryPage = () => {
       try {
         setProductsLoading(true);
         const productsResponse = await productService.getProducts({
+          ...facetSelection,
           category: category._id,
-          inStock: filterInStock ?? undefined,
           sortBy: getSortBy(sortBy),
           sortOrder: getSortOrder(sortBy),
         });
         setProducts(productsResponse.products);
+        setFacets(productsResponse.facets ?? null);
       } catch (error) {
         console.error('Error fetching products:', error);
         toast({
@@ -95,7 +111,7 @@ const CategoryPage = () => {
     };
 
     fetchProducts();
-  }, [category, sortBy, filterInStock, currentLang, toast]);
+  }, [category, sortBy, facetSelection, currentLang, toast]);
 
   const getSortBy = (sort: string) => {
     switch (sort) {
@@ -107,6 +123,8 @@ const CategoryPage = () => {
         return 'price';
       case 'name':
         return 'name';
+      case 'top-rated':
+        return 'averageRating';
       default:
         return 'createdAt';
     }
@@ -193,6 +211,19 @@ const CategoryPage = () => {
                 >
                   {currentLang === 'ar' ? 'المنتجات' : 'Products'}
                 </Button>
+                {category.ancestors.map(ancestor => (
+                  <span key={ancestor._id} className="flex items-center gap-2">
+                    <ArrowRight className="w-4 h-4" />
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => navigate(`/category/${ancestor.slug}`)}
+                      className="p-0 h-auto font-normal"
+                    >
+                      {ancestor.name[currentLang]}
+                    </Button>
+                  </span>
+                ))}
                 <ArrowRight className="w-4 h-4" />
                 <span>{category.name[currentLang]}</span>
               </div>
@@ -217,6 +248,21 @@ const CategoryPage = () => {
                   </Badge>
                 )}
               </div>
+
+              {subcategories.length > 0 && (
+                <div className="flex flex-wrap items-center justify-center gap-2 mt-6">
+                  {subcategories.map(subcategory => (
+                    <Button
+                      key={subcategory._id}
+                      variant="outline"
+                      size="sm"
+                      onClick={() => navigate(`/category/${subcategory.slug}`)}
+                    >
+                      {subcategory.name[currentLang]}
+                    </Button>
+                  ))}
+                </div>
+              )}
             </motion.div>
           </div>
         </section>
@@ -224,32 +270,15 @@ const CategoryPage = () => {
         {/* Filters and Sort */}
         <section className="py-8 border-b">
           <div className="container mx-auto px-6">
-            <div className="flex flex-col sm:flex-row items-center justify-between gap-4">
-              <div className="flex items-center gap-4">
-                <Button
-                  variant={filterInStock === null ? "default" : "outline"}
-                  size="sm"
-                  onClick={() => setFilterInStock(null)}
-                >
-                  <Filter className="w-4 h-4 mr-2" />
-                  {currentLang === 'ar' ? 'الكل' : 'All'}
-                </Button>
-                <Button
-                  variant={filterInStock === true ? "default" : "outline"}
-                  size="sm"
-                  onClick={() => setFilterInStock(true)}
-                >
-                  {currentLang === 'ar' ? 'متوفر' : 'In Stock'}
-                </Button>
-                <Button
-                  variant={filterInStock === false ? "default" : "outline"}
-                  size="sm"
-                  onClick={() => setFilterInStock(false)}
-                >
-                  {currentLang === 'ar' ? 'غير متوفر' : 'Out of Stock'}
-                </Button>
-              </div>
+            <FacetFilters
+              currentLang={currentLang}
+              facets={facets}
+              selection={facetSelection}
+              onToggle={toggleFacet}
+              onClear={clearFacets}
+            />
 
+            <div className="flex flex-col sm:flex-row items-center justify-end gap-4">
               <div className="flex items-center gap-2">
                 <SortAsc className="w-4 h-4" />
                 <select
@@ -272,6 +301,9 @@ const CategoryPage = () => {
                   <option value="name">
                     {currentLang === 'ar' ? 'الاسم' : 'Name'}
                   </option>
+                  <option value="top-rated">
+                    {currentLang === 'ar' ? 'الأعلى تقييماً' : 'Top Rated'}
+                  </option>
                 </select>
               </div>
             </div>
@@ -323,6 +355,18 @@ const CategoryPage = () => {
                               </Badge>
                             </div>
                           )}
+                          <div className={`absolute top-3 ${currentLang === 'ar' ? 'left-3' : 'right-3'} flex flex-col gap-2`}>
+                            <CompareButton
+                              product={{ _id: product._id, name: product.name, image: product.images?.[0]?.url }}
+                              currentLang={currentLang}
+                              className="px-2"
+                            />
+                            <WishlistButton
+                              product={{ _id: product._id, name: product.name, image: product.images?.[0]?.url }}
+                              currentLang={currentLang}
+                              className="px-2 bg-background/80"
+                            />
+                          </div>
                         </div>
 
                         <CardContent className="p-4">
@@ -339,14 +383,23 @@ const CategoryPage = () => {
                           <div className="flex items-center justify-between">
                             <div className="flex flex-col">
                               <span className="text-lg font-bold text-primary">
-                                ${product.price || 0}
+                                ${getDisplayPrice(product).price || 0}
                               </span>
+                              {getDisplayPrice(product).compareAtPrice && (
+                                <span className="text-sm text-muted-foreground line-through">
+                                  ${getDisplayPrice(product).compareAtPrice}
+                                </span>
+                              )}
                             </div>
                             
-                            <div className="flex items-center gap-1">
-                              <Star className="w-4 h-4 fill-yellow-400 text-yellow-400" />
-                              <span className="text-sm text-muted-foreground">4.5</span>
-                            </div>
+                            {!!product.reviewCount && (
+                              <div className="flex items-center gap-1">
+                                <Star className="w-4 h-4 fill-yellow-400 text-yellow-400" />
+                                <span className="text-sm text-muted-foreground">
+                                  {product.averageRating?.toFixed(1)} ({product.reviewCount})
+                                </span>
+                              </div>
+                            )}
                           </div>
                         </CardContent>
                       </div>
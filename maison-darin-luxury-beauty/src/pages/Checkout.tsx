@@ -1,18 +1,34 @@
-import { useState } from "react";
+import { useState, useEffect, useRef } from "react";
 import { motion } from "framer-motion";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Separator } from "@/components/ui/separator";
-import { ArrowLeft, User, Mail, Phone, CheckCircle, CreditCard, MapPin, Globe } from "lucide-react";
+import { Textarea } from "@/components/ui/textarea";
+import { Switch } from "@/components/ui/switch";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { ArrowLeft, User, Mail, Phone, CheckCircle, CreditCard, MapPin, Globe, Tag, Award, Gift, Wallet } from "lucide-react";
 import { LuxuryNotification } from "@/components/ui/LuxuryNotification";
-import { useCart } from "@/contexts/CartContext";
+import { useCart, getCartItemKey, getCartItemPrice, CartItem } from "@/contexts/CartContext";
 import { useNotifications } from "@/hooks/useNotifications";
+import { orderService, OrderQuote } from "@/services/orderService";
+import type { GiftCardRecipient } from "@/services/giftCardService";
 import { Link, useNavigate } from "react-router-dom";
 
+// Countries we ship to; the code selects the shipping zone and tax rate
+const COUNTRIES = [
+  { code: 'SA', name: 'السعودية' },
+  { code: 'AE', name: 'الإمارات' },
+  { code: 'KW', name: 'الكويت' },
+  { code: 'QA', name: 'قطر' },
+  { code: 'BH', name: 'البحرين' },
+  { code: 'OM', name: 'عُمان' },
+  { code: 'EG', name: 'مصر' }
+];
+
 export default function CheckoutSimple() {
-  const { state, clearCart } = useCart();
+  const { state, clearCart, refreshPrices, cartToken, startCheckout } = useCart();
   const { items, total } = state;
   const { notifications, showSaveError, showSaveSuccess } = useNotifications();
   const navigate = useNavigate();
@@ -25,9 +41,168 @@ export default function CheckoutSimple() {
     phone: '',
     address: '',
     city: '',
-    country: 'السعودية'
+    country: 'السعودية',
+    countryCode: 'SA'
+  });
+  const [quote, setQuote] = useState<OrderQuote | null>(null);
+  const [quoteError, setQuoteError] = useState<string | null>(null);
+  const [couponInput, setCouponInput] = useState('');
+  const [couponCode, setCouponCode] = useState('');
+  const [couponError, setCouponError] = useState<string | null>(null);
+  // Set once the email is complete, so tier and per-customer coupon limits are checked without re-quoting per keystroke
+  const [quoteEmail, setQuoteEmail] = useState('');
+  // Loyalty points to redeem; the server caps them to what the order allows
+  const [redeemPoints, setRedeemPoints] = useState(0);
+  const [loyaltyError, setLoyaltyError] = useState<string | null>(null);
+  const [giftCardInput, setGiftCardInput] = useState('');
+  const [giftCardCodes, setGiftCardCodes] = useState<string[]>([]);
+  const [giftCardError, setGiftCardError] = useState<string | null>(null);
+  const [useStoreCredit, setUseStoreCredit] = useState(false);
+  // Who each gift card in the cart is emailed to, by cart line
+  const [recipients, setRecipients] = useState<Record<string, GiftCardRecipient>>({});
+
+  const giftCardItems = items.filter(item => item.product.type === 'gift_card');
+  // Gift cards and store credit cover the whole order, so there is nothing to pay with PayPal
+  const paidByGiftCards = !!quote && quote.amountDue === 0 && quote.giftCardTotal > 0;
+
+  // Show the prices the order will be charged at, including sales that started or ended since items were added
+  useEffect(() => {
+    refreshPrices();
+  }, [refreshPrices]);
+
+  // Totals come from the server so shipping, tax and sale prices match what will be charged
+  useEffect(() => {
+    if (items.length === 0) {
+      setQuote(null);
+      return;
+    }
+
+    let cancelled = false;
+    orderService.quoteOrder({
+      items: items.map(item => ({
+        productId: item.product._id || item.product.id.toString(),
+        variantId: item.variant?._id,
+        quantity: item.quantity
+      })),
+      countryCode: customerInfo.countryCode,
+      couponCode: couponCode || undefined,
+      email: quoteEmail || undefined,
+      loyaltyPoints: redeemPoints || undefined,
+      giftCardCodes: giftCardCodes.length > 0 ? giftCardCodes : undefined,
+      useStoreCredit: useStoreCredit || undefined
+    })
+      .then(result => {
+        if (cancelled) return;
+        setQuote(result);
+        setQuoteError(null);
+      })
+      .catch((error: Error) => {
+        if (cancelled) return;
+        // A code that no longer applies is dropped and the order re-quoted without it
+        if (couponCode && /coupon code/i.test(error.message)) {
+          setCouponError(error.message);
+          setCouponCode('');
+          return;
+        }
+        // Likewise points that can no longer be redeemed on this order
+        if (redeemPoints && /loyalty points/i.test(error.message)) {
+          setLoyaltyError(error.message);
+          setRedeemPoints(0);
+          return;
+        }
+        // A gift card that can't pay for this order is removed, last entered first
+        if (giftCardCodes.length > 0 && /gift card/i.test(error.message)) {
+          setGiftCardError(error.message);
+          setGiftCardCodes(codes => codes.slice(0, -1));
+          return;
+        }
+        if (useStoreCredit && /store credit/i.test(error.message)) {
+          setGiftCardError(error.message);
+          setUseStoreCredit(false);
+          return;
+        }
+        setQuote(null);
+        setQuoteError(error.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [items, customerInfo.countryCode, couponCode, quoteEmail, redeemPoints, giftCardCodes, useStoreCredit]);
+
+  const handleApplyCoupon = () => {
+    const code = couponInput.trim().toUpperCase();
+    if (!code) return;
+
+    setCouponError(null);
+    setCouponCode(code);
+  };
+
+  const handleRemoveCoupon = () => {
+    setCouponCode('');
+    setCouponInput('');
+    setCouponError(null);
+  };
+
+  const handleRedeemChange = (checked: boolean) => {
+    setLoyaltyError(null);
+    setRedeemPoints(checked && quote?.loyalty ? quote.loyalty.maxRedeemablePoints : 0);
+  };
+
+  const handleApplyGiftCard = () => {
+    const code = giftCardInput.trim().toUpperCase();
+    if (!code) return;
+
+    setGiftCardError(null);
+    if (!giftCardCodes.includes(code)) {
+      setGiftCardCodes(codes => [...codes, code]);
+    }
+    setGiftCardInput('');
+  };
+
+  const handleRemoveGiftCard = (index: number) => {
+    setGiftCardError(null);
+    setGiftCardCodes(codes => codes.filter((_, i) => i !== index));
+  };
+
+  const handleStoreCreditChange = (checked: boolean) => {
+    setGiftCardError(null);
+    setUseStoreCredit(checked);
+  };
+
+  const handleRecipientChange = (item: CartItem, field: keyof GiftCardRecipient, value: string) => {
+    const key = getCartItemKey(item);
+    setRecipients(prev => ({
+      ...prev,
+      [key]: { recipientName: '', recipientEmail: '', ...prev[key], [field]: value }
+    }));
+  };
+
+  const hasRecipients = () => giftCardItems.every(item => {
+    const recipient = recipients[getCartItemKey(item)];
+    return !!recipient?.recipientName.trim() && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(recipient.recipientEmail.trim());
   });
 
+  const orderItems = () => items.map(item => ({
+    productId: item.product._id || item.product.id.toString(),
+    productName: typeof item.product.name === 'string'
+      ? item.product.name
+      : item.product.name?.ar || item.product.name?.en || 'منتج',
+    productImage: item.product.images?.[0] || '',
+    variantId: item.variant?._id,
+    quantity: item.quantity,
+    ...(item.product.type === 'gift_card' && { giftCard: recipients[getCartItemKey(item)] })
+  }));
+
+  const handleCountryChange = (code: string) => {
+    const country = COUNTRIES.find(c => c.code === code);
+    setCustomerInfo(prev => ({
+      ...prev,
+      countryCode: code,
+      country: country?.name || code
+    }));
+  };
+
   const handleInputChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     const { name, value } = e.target;
     setCustomerInfo(prev => ({
@@ -36,6 +211,18 @@ export default function CheckoutSimple() {
     }));
   };
 
+  // Once we have an email the cart can be recovered if checkout is left unfinished
+  const checkoutEmailRef = useRef('');
+  const handleEmailBlur = () => {
+    const email = customerInfo.email.trim();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) || email === checkoutEmailRef.current) return;
+
+    checkoutEmailRef.current = email;
+    setQuoteEmail(email);
+    startCheckout(email, customerInfo.name.split(' ')[0] || undefined)
+      .catch(error => console.warn('Failed to record checkout email:', error));
+  };
+
   const handlePayPalPayment = async () => {
     // Validate required fields
     if (!customerInfo.name.trim() || !customerInfo.email.trim() || !customerInfo.phone.trim() || 
@@ -44,27 +231,33 @@ export default function CheckoutSimple() {
       return;
     }
 
+    if (!hasRecipients()) {
+      showSaveError("يرجى إدخال اسم وبريد مستلم كل بطاقة هدية");
+      return;
+    }
+
+    if (!quote) {
+      showSaveError(quoteError || "جاري حساب المجموع، يرجى المحاولة بعد لحظات");
+      return;
+    }
+
     setIsProcessing(true);
     
     try {
       // Create order data
       const orderData = {
-        items: items.map(item => ({
-          productId: item.product._id || item.product.id.toString(),
-          productName: typeof item.product.name === 'string' 
-            ? item.product.name
-            : item.product.name?.ar || item.product.name?.en || 'منتج',
-          productImage: item.product.images?.[0] || '',
-          price: item.product.price,
-          quantity: item.quantity,
-          subtotal: item.product.price * item.quantity
-        })),
-        subtotal: total,
-        shippingCost: 0,
-        tax: 0,
-        total: total,
+        items: orderItems(),
+        shippingType: quote.shippingType,
+        // The server prices the order itself and rejects it if this no longer matches
+        total: quote.total,
+        couponCode: quote.couponCode || undefined,
+        loyaltyPoints: quote.loyalty?.pointsRedeemed || undefined,
+        giftCardCodes: giftCardCodes.length > 0 ? giftCardCodes : undefined,
+        useStoreCredit: useStoreCredit || undefined,
         paymentMethod: 'paypal',
         paymentStatus: 'pending',
+        // Closes the server cart so no reminder emails follow the order
+        cartToken: cartToken || undefined,
         status: 'pending',
         customerInfo: {
           firstName: customerInfo.name.split(' ')[0] || customerInfo.name,
@@ -75,18 +268,23 @@ export default function CheckoutSimple() {
           city: customerInfo.city,
           postalCode: '12345', // Default postal code
           country: customerInfo.country,
+          countryCode: customerInfo.countryCode,
           notes: 'طلب عبر PayPal'
         }
       };
 
+      // Logged-in customers send their token so their loyalty points can be redeemed
+      const token = localStorage.getItem('authToken');
+
       // Create PayPal order
       const response = await fetch(`${import.meta.env.VITE_API_URL || 'http://localhost:5000/api'}/paypal/orders`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...(token && { 'Authorization': `Bearer ${token}` }),
         },
         body: JSON.stringify({ 
-          amount: total,
+          amount: quote.amountDue,
           currency: 'SAR',  // تغيير من USD إلى SAR
           orderData 
         })
@@ -109,6 +307,52 @@ export default function CheckoutSimple() {
     }
   };
 
+  // Orders fully paid with gift cards and store credit are placed directly
+  const handleGiftCardPayment = async () => {
+    if (!customerInfo.name.trim() || !customerInfo.email.trim() || !customerInfo.phone.trim() ||
+        !customerInfo.address.trim() || !customerInfo.city.trim() || !customerInfo.country.trim()) {
+      showSaveError("يرجى ملء جميع الحقول المطلوبة (الاسم، الإيميل، الهاتف، العنوان، المدينة، الدولة)");
+      return;
+    }
+
+    if (!quote) return;
+
+    setIsProcessing(true);
+
+    try {
+      const order = await orderService.createOrder({
+        items: orderItems(),
+        shippingType: quote.shippingType,
+        total: quote.total,
+        couponCode: quote.couponCode || undefined,
+        loyaltyPoints: quote.loyalty?.pointsRedeemed || undefined,
+        giftCardCodes: giftCardCodes.length > 0 ? giftCardCodes : undefined,
+        useStoreCredit: useStoreCredit || undefined,
+        paymentMethod: 'gift_card',
+        cartToken: cartToken || undefined,
+        customerInfo: {
+          firstName: customerInfo.name.split(' ')[0] || customerInfo.name,
+          lastName: customerInfo.name.split(' ').slice(1).join(' ') || 'العميل',
+          email: customerInfo.email,
+          phone: customerInfo.phone,
+          address: customerInfo.address,
+          city: customerInfo.city,
+          postalCode: '12345', // Default postal code
+          country: customerInfo.country,
+          countryCode: customerInfo.countryCode
+        }
+      });
+
+      clearCart();
+      navigate(`/checkout/success?orderNumber=${order.orderNumber}`);
+    } catch (error) {
+      console.error('Gift card payment error:', error);
+      showSaveError(error instanceof Error ? error.message : "حدث خطأ أثناء إتمام الطلب. يرجى المحاولة مرة أخرى.");
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
   const handleCashPayment = () => {
     // Validate required fields
     if (!customerInfo.name.trim() || !customerInfo.email.trim() || !customerInfo.phone.trim()) {
@@ -200,7 +444,7 @@ export default function CheckoutSimple() {
                 {/* Items */}
                 <div className="space-y-3">
                   {items.map((item) => (
-                    <div key={item.product.id} className="flex items-center justify-between">
+                    <div key={getCartItemKey(item)} className="flex items-center justify-between">
                       <div className="flex items-center gap-3">
                         <img
                           src={item.product.image}
@@ -217,31 +461,210 @@ export default function CheckoutSimple() {
                               : item.product.name?.ar || item.product.name?.en || 'منتج'
                             }
                           </p>
-                          <p className="text-xs text-muted-foreground">الكمية: {item.quantity}</p>
+                          <p className="text-xs text-muted-foreground">
+                            {item.variant && `${item.variant.size} • `}الكمية: {item.quantity}
+                          </p>
                         </div>
                       </div>
-                      <span className="font-semibold">${(item.product.price * item.quantity).toFixed(2)}</span>
+                      <span className="font-semibold">${(getCartItemPrice(item) * item.quantity).toFixed(2)}</span>
                     </div>
                   ))}
                 </div>
 
                 <Separator />
 
+                {/* Coupon */}
+                <div className="space-y-2">
+                  <Label htmlFor="couponCode">كود الخصم</Label>
+                  {quote?.couponCode ? (
+                    <div className="flex items-center justify-between rounded-md border px-3 py-2 text-sm">
+                      <span className="flex items-center gap-2 font-mono">
+                        <Tag className="w-4 h-4" />
+                        {quote.couponCode}
+                      </span>
+                      <Button type="button" variant="ghost" size="sm" onClick={handleRemoveCoupon}>
+                        إزالة
+                      </Button>
+                    </div>
+                  ) : (
+                    <div className="flex gap-2">
+                      <Input
+                        id="couponCode"
+                        dir="ltr"
+                        className="font-mono uppercase"
+                        placeholder="أدخل الكود"
+                        value={couponInput}
+                        onChange={(e) => setCouponInput(e.target.value)}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') {
+                            e.preventDefault();
+                            handleApplyCoupon();
+                          }
+                        }}
+                      />
+                      <Button
+                        type="button"
+                        variant="outline"
+                        disabled={!couponInput.trim() || !!couponCode}
+                        onClick={handleApplyCoupon}
+                      >
+                        تطبيق
+                      </Button>
+                    </div>
+                  )}
+                  {couponError && (
+                    <p className="text-sm text-destructive">{couponError}</p>
+                  )}
+                </div>
+
+                {/* Loyalty points */}
+                {quote?.loyalty && (quote.loyalty.maxRedeemablePoints > 0 || quote.loyalty.pointsRedeemed > 0) && (
+                  <div className="flex items-center justify-between gap-4 rounded-md border px-3 py-2">
+                    <Label htmlFor="redeemPoints" className="flex items-center gap-2 text-sm font-normal">
+                      <Award className="w-4 h-4 text-primary" />
+                      <span>
+                        استخدم {(quote.loyalty.pointsRedeemed || quote.loyalty.maxRedeemablePoints).toLocaleString()} نقطة
+                        {' '}(رصيدك {quote.loyalty.balance.toLocaleString()})
+                      </span>
+                    </Label>
+                    <Switch
+                      id="redeemPoints"
+                      checked={quote.loyalty.pointsRedeemed > 0}
+                      onCheckedChange={handleRedeemChange}
+                    />
+                  </div>
+                )}
+                {loyaltyError && (
+                  <p className="text-sm text-destructive">{loyaltyError}</p>
+                )}
+
+                {/* Gift cards and store credit */}
+                {giftCardItems.length === 0 && (
+                  <div className="space-y-2">
+                    <Label htmlFor="giftCardCode">بطاقة هدية</Label>
+                    {giftCardCodes.map((code, index) => (
+                      <div key={code} className="flex items-center justify-between rounded-md border px-3 py-2 text-sm">
+                        <span className="flex items-center gap-2 font-mono" dir="ltr">
+                          <Gift className="w-4 h-4" />
+                          ****-{code.slice(-4)}
+                        </span>
+                        <Button type="button" variant="ghost" size="sm" onClick={() => handleRemoveGiftCard(index)}>
+                          إزالة
+                        </Button>
+                      </div>
+                    ))}
+                    <div className="flex gap-2">
+                      <Input
+                        id="giftCardCode"
+                        dir="ltr"
+                        className="font-mono uppercase"
+                        placeholder="XXXX-XXXX-XXXX-XXXX"
+                        value={giftCardInput}
+                        onChange={(e) => setGiftCardInput(e.target.value)}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') {
+                            e.preventDefault();
+                            handleApplyGiftCard();
+                          }
+                        }}
+                      />
+                      <Button
+                        type="button"
+                        variant="outline"
+                        disabled={!giftCardInput.trim() || paidByGiftCards}
+                        onClick={handleApplyGiftCard}
+                      >
+                        تطبيق
+                      </Button>
+                    </div>
+                    {!!quote?.storeCreditBalance && (
+                      <div className="flex items-center justify-between gap-4 rounded-md border px-3 py-2">
+                        <Label htmlFor="useStoreCredit" className="flex items-center gap-2 text-sm font-normal">
+                          <Wallet className="w-4 h-4 text-primary" />
+                          <span>استخدم رصيد المتجر (${quote.storeCreditBalance.toFixed(2)})</span>
+                        </Label>
+                        <Switch
+                          id="useStoreCredit"
+                          checked={useStoreCredit}
+                          onCheckedChange={handleStoreCreditChange}
+                        />
+                      </div>
+                    )}
+                    {giftCardError && (
+                      <p className="text-sm text-destructive">{giftCardError}</p>
+                    )}
+                  </div>
+                )}
+
+                <Separator />
+
                 {/* Totals */}
                 <div className="space-y-2">
                   <div className="flex justify-between text-sm">
                     <span>المجموع الفرعي</span>
-                    <span>${total.toFixed(2)}</span>
+                    <span>${(quote?.subtotal ?? total).toFixed(2)}</span>
                   </div>
+                  {!!quote?.discountTotal && (
+                    <div className="flex justify-between text-sm text-green-700">
+                      <span>وفّرت</span>
+                      <span>-${quote.discountTotal.toFixed(2)}</span>
+                    </div>
+                  )}
+                  {quote?.promotions.map(promotion => (
+                    <div key={promotion.promotion} className="flex justify-between text-sm text-green-700">
+                      <span>{promotion.name.ar || promotion.name.en}{promotion.code && ` (${promotion.code})`}</span>
+                      <span>{promotion.discount > 0 ? `-$${promotion.discount.toFixed(2)}` : 'شحن مجاني'}</span>
+                    </div>
+                  ))}
+                  {!!quote?.loyalty?.discount && (
+                    <div className="flex justify-between text-sm text-green-700">
+                      <span>نقاط الولاء ({quote.loyalty.pointsRedeemed.toLocaleString()})</span>
+                      <span>-${quote.loyalty.discount.toFixed(2)}</span>
+                    </div>
+                  )}
                   <div className="flex justify-between text-sm">
                     <span>الشحن</span>
-                    <span>مجاني</span>
+                    <span>{!quote ? '—' : quote.shippingCost > 0 ? `$${quote.shippingCost.toFixed(2)}` : 'مجاني'}</span>
                   </div>
+                  {!!quote?.tax && (
+                    <div className="flex justify-between text-sm">
+                      <span>
+                        الضريبة ({quote.taxRate}%){quote.taxIncluded && ' - مشمولة في السعر'}
+                      </span>
+                      <span>${quote.tax.toFixed(2)}</span>
+                    </div>
+                  )}
                   <Separator />
                   <div className="flex justify-between text-lg font-semibold text-dark-tea">
                     <span>المجموع الكلي</span>
-                    <span>${total.toFixed(2)}</span>
+                    <span>{quote ? `$${quote.total.toFixed(2)}` : '—'}</span>
                   </div>
+                  {quote?.giftCards.map(card => (
+                    <div key={card.giftCard} className="flex justify-between text-sm text-green-700">
+                      <span dir="auto">{card.kind === 'store_credit' ? 'رصيد المتجر' : `بطاقة هدية ${card.code}`}</span>
+                      <span>-${card.amount.toFixed(2)}</span>
+                    </div>
+                  ))}
+                  {(!!quote?.balanceDue || !!quote?.giftCardTotal) && (
+                    <div className="flex justify-between text-dark-tea font-semibold">
+                      <span>{quote.balanceDue ? 'المطلوب الآن (عربون الطلب المسبق)' : 'المطلوب دفعه'}</span>
+                      <span>${quote.amountDue.toFixed(2)}</span>
+                    </div>
+                  )}
+                  {!!quote?.balanceDue && (
+                    <div className="flex justify-between text-sm text-muted-foreground">
+                      <span>المتبقي عند الإطلاق</span>
+                      <span>${quote.balanceDue.toFixed(2)}</span>
+                    </div>
+                  )}
+                  {!!quote?.loyalty?.pointsToEarn && (
+                    <p className="text-sm text-muted-foreground">
+                      ستحصل على {quote.loyalty.pointsToEarn.toLocaleString()} نقطة عند توصيل الطلب
+                    </p>
+                  )}
+                  {quoteError && (
+                    <p className="text-sm text-destructive">{quoteError}</p>
+                  )}
                 </div>
               </CardContent>
             </Card>
@@ -284,6 +707,7 @@ export default function CheckoutSimple() {
                     type="email"
                     value={customerInfo.email}
                     onChange={handleInputChange}
+                    onBlur={handleEmailBlur}
                     placeholder="البريد@الإلكتروني.com"
                     className="mt-1"
                     required
@@ -344,62 +768,171 @@ export default function CheckoutSimple() {
                       <Globe className="w-3 h-3" />
                       الدولة *
                     </Label>
-                    <Input
-                      id="country"
-                      name="country"
-                      value={customerInfo.country}
-                      onChange={handleInputChange}
-                      placeholder="السعودية"
-                      className="mt-1"
-                      required
-                    />
+                    <Select value={customerInfo.countryCode} onValueChange={handleCountryChange}>
+                      <SelectTrigger id="country" className="mt-1">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {COUNTRIES.map(country => (
+                          <SelectItem key={country.code} value={country.code}>{country.name}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
                   </div>
                 </div>
               </CardContent>
             </Card>
 
+            {/* Gift card recipients */}
+            {giftCardItems.length > 0 && (
+              <Card className="glass border-0 shadow-luxury">
+                <CardHeader>
+                  <CardTitle className="flex items-center gap-2">
+                    <Gift className="w-5 h-5" />
+                    مستلمو بطاقات الهدايا
+                  </CardTitle>
+                </CardHeader>
+                <CardContent className="space-y-6">
+                  <p className="text-xs text-muted-foreground">
+                    تُرسل كل بطاقة إلى بريد مستلمها فور الدفع
+                  </p>
+                  {giftCardItems.map(item => {
+                    const key = getCartItemKey(item);
+                    const recipient = recipients[key];
+                    return (
+                      <div key={key} className="space-y-3">
+                        <p className="font-medium text-sm">
+                          {item.product.name?.ar || item.product.name?.en}
+                          {item.quantity > 1 && ` (${item.quantity} بطاقات للمستلم نفسه)`}
+                        </p>
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                          <div>
+                            <Label htmlFor={`recipientName-${key}`} className="text-sm font-medium">
+                              اسم المستلم *
+                            </Label>
+                            <Input
+                              id={`recipientName-${key}`}
+                              value={recipient?.recipientName || ''}
+                              onChange={(e) => handleRecipientChange(item, 'recipientName', e.target.value)}
+                              className="mt-1"
+                              required
+                            />
+                          </div>
+                          <div>
+                            <Label htmlFor={`recipientEmail-${key}`} className="text-sm font-medium">
+                              بريد المستلم *
+                            </Label>
+                            <Input
+                              id={`recipientEmail-${key}`}
+                              type="email"
+                              dir="ltr"
+                              value={recipient?.recipientEmail || ''}
+                              onChange={(e) => handleRecipientChange(item, 'recipientEmail', e.target.value)}
+                              className="mt-1"
+                              required
+                            />
+                          </div>
+                        </div>
+                        <div>
+                          <Label htmlFor={`senderName-${key}`} className="text-sm font-medium">
+                            من (اختياري)
+                          </Label>
+                          <Input
+                            id={`senderName-${key}`}
+                            value={recipient?.senderName || ''}
+                            onChange={(e) => handleRecipientChange(item, 'senderName', e.target.value)}
+                            placeholder={customerInfo.name}
+                            className="mt-1"
+                          />
+                        </div>
+                        <div>
+                          <Label htmlFor={`giftMessage-${key}`} className="text-sm font-medium">
+                            رسالة (اختياري)
+                          </Label>
+                          <Textarea
+                            id={`giftMessage-${key}`}
+                            value={recipient?.message || ''}
+                            onChange={(e) => handleRecipientChange(item, 'message', e.target.value)}
+                            maxLength={500}
+                            className="mt-1"
+                          />
+                        </div>
+                      </div>
+                    );
+                  })}
+                </CardContent>
+              </Card>
+            )}
+
             {/* Payment Methods */}
             <Card className="glass border-0 shadow-luxury">
               <CardHeader>
                 <CardTitle>طريقة الدفع</CardTitle>
               </CardHeader>
               <CardContent className="space-y-4">
-                {/* PayPal Payment */}
-                <Button
-                  onClick={handlePayPalPayment}
-                  disabled={isProcessing}
-                  className="w-full bg-[#0070ba] hover:bg-[#005ea6] text-white h-12 text-lg font-semibold"
-                >
-                  {isProcessing ? (
-                    <div className="flex items-center gap-2">
-                      <div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
-                      جاري المعالجة...
-                    </div>
-                  ) : (
-                    <>
-                      <CreditCard className="w-5 h-5 mr-2" />
-                      الدفع عبر PayPal
-                    </>
-                  )}
-                </Button>
+                {paidByGiftCards ? (
+                  <Button
+                    onClick={handleGiftCardPayment}
+                    disabled={isProcessing}
+                    className="w-full btn-luxury h-12 text-lg font-semibold"
+                  >
+                    {isProcessing ? (
+                      <div className="flex items-center gap-2">
+                        <div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+                        جاري المعالجة...
+                      </div>
+                    ) : (
+                      <>
+                        <Gift className="w-5 h-5 mr-2" />
+                        إتمام الطلب بالبطاقة والرصيد
+                      </>
+                    )}
+                  </Button>
+                ) : (
+                  <>
+                    {/* PayPal Payment */}
+                    <Button
+                      onClick={handlePayPalPayment}
+                      disabled={isProcessing}
+                      className="w-full bg-[#0070ba] hover:bg-[#005ea6] text-white h-12 text-lg font-semibold"
+                    >
+                      {isProcessing ? (
+                        <div className="flex items-center gap-2">
+                          <div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+                          جاري المعالجة...
+                        </div>
+                      ) : (
+                        <>
+                          <CreditCard className="w-5 h-5 mr-2" />
+                          الدفع عبر PayPal
+                        </>
+                      )}
+                    </Button>
 
-                <div className="relative">
-                  <div className="absolute inset-0 flex items-center">
-                    <span className="w-full border-t" />
-                  </div>
-                  <div className="relative flex justify-center text-xs uppercase">
-                    <span className="bg-white px-2 text-muted-foreground">أو</span>
-                  </div>
-                </div>
+                    {/* Gift cards can only be bought online */}
+                    {giftCardItems.length === 0 && (
+                      <>
+                        <div className="relative">
+                          <div className="absolute inset-0 flex items-center">
+                            <span className="w-full border-t" />
+                          </div>
+                          <div className="relative flex justify-center text-xs uppercase">
+                            <span className="bg-white px-2 text-muted-foreground">أو</span>
+                          </div>
+                        </div>
 
-                {/* Cash on Delivery */}
-                <Button
-                  onClick={handleCashPayment}
-                  variant="outline"
-                  className="w-full h-12 text-lg font-semibold border-2 border-teal-green text-teal-green hover:bg-teal-green hover:text-white"
-                >
-                  الدفع عند الاستلام
-                </Button>
+                        {/* Cash on Delivery */}
+                        <Button
+                          onClick={handleCashPayment}
+                          variant="outline"
+                          className="w-full h-12 text-lg font-semibold border-2 border-teal-green text-teal-green hover:bg-teal-green hover:text-white"
+                        >
+                          الدفع عند الاستلام
+                        </Button>
+                      </>
+                    )}
+                  </>
+                )}
 
                 <p className="text-xs text-muted-foreground text-center">
                   * جميع الحقول مطلوبة لإتمام الطلب
@@ -0,0 +1,378 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { ArrowLeft, ArrowRight, Check, Gift, Loader2, RotateCcw, ShoppingBag, Sparkles } from 'lucide-react';
+import { Header } from '@/components/layout/header';
+import { Footer } from '@/components/layout/footer';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Progress } from '@/components/ui/progress';
+import { SampleRequestDialog } from '@/components/ui/sample-request-dialog';
+import { useSiteContent } from '@/hooks/useSiteContent';
+import { useToast } from '@/hooks/use-toast';
+import { useCart, Product as CartProduct } from '@/contexts/CartContext';
+import { getDisplayPrice } from '@/services/productService';
+import { quizService, QuizQuestion, QuizRecommendation } from '@/services/quizService';
+
+// The sample request form takes at most this many products
+const MAX_SAMPLES = 5;
+
+const FragranceQuiz = () => {
+  const [currentLang, setCurrentLang] = useState<'en' | 'ar'>(
+    () => (localStorage.getItem('lang') as 'en' | 'ar') || 'ar'
+  );
+  const [questions, setQuestions] = useState<QuizQuestion[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [step, setStep] = useState(0);
+  const [selections, setSelections] = useState<Record<string, string[]>>({});
+  const [email, setEmail] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [results, setResults] = useState<QuizRecommendation[] | null>(null);
+  const [sampleIds, setSampleIds] = useState<string[]>([]);
+  const [sampleDialogOpen, setSampleDialogOpen] = useState(false);
+
+  const { content: t } = useSiteContent(currentLang);
+  const { toast } = useToast();
+  const { addToCart } = useCart();
+  const isRTL = currentLang === 'ar';
+
+  const handleLanguageChange = (lang: 'en' | 'ar') => {
+    setCurrentLang(lang);
+    document.documentElement.setAttribute('dir', lang === 'ar' ? 'rtl' : 'ltr');
+    document.documentElement.setAttribute('lang', lang);
+  };
+
+  useEffect(() => {
+    quizService.getQuestions()
+      .then(setQuestions)
+      .catch(() => toast({
+        title: currentLang === 'ar' ? 'خطأ' : 'Error',
+        description: currentLang === 'ar' ? 'فشل في تحميل الاختبار' : 'Failed to load the quiz',
+        variant: 'destructive',
+      }))
+      .finally(() => setLoading(false));
+  }, [currentLang, toast]);
+
+  // The last step, after the questions, asks for an optional email
+  const isEmailStep = step === questions.length;
+  const question = questions[step];
+  const chosen = question ? selections[question._id] || [] : [];
+
+  const toggleAnswer = (answerId: string) => {
+    if (!question) return;
+    setSelections(prev => {
+      const current = prev[question._id] || [];
+      const next = question.multiple
+        ? (current.includes(answerId) ? current.filter(id => id !== answerId) : [...current, answerId])
+        : [answerId];
+      return { ...prev, [question._id]: next };
+    });
+  };
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    try {
+      const recommendations = await quizService.submit({
+        answers: Object.entries(selections)
+          .filter(([, answers]) => answers.length > 0)
+          .map(([questionId, answers]) => ({ question: questionId, answers })),
+        email: email.trim() || undefined,
+        language: currentLang,
+      });
+      setResults(recommendations);
+      setSampleIds([]);
+    } catch (error) {
+      toast({
+        title: isRTL ? 'تعذر حساب النتائج' : 'Could not find your matches',
+        description: error instanceof Error ? error.message : undefined,
+        variant: 'destructive',
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const restart = () => {
+    setResults(null);
+    setSelections({});
+    setStep(0);
+  };
+
+  const handleAddToCart = (product: QuizRecommendation) => {
+    const variant = product.variants?.find(v => v.isDefault && v.stock > 0)
+      || product.variants?.find(v => v.stock > 0);
+
+    const cartProduct: CartProduct = {
+      _id: product._id,
+      id: parseInt(product._id) || 0,
+      name: product.name,
+      description: product.description,
+      price: product.price,
+      effectivePrice: product.effectivePrice,
+      sale: product.sale,
+      size: product.size,
+      image: product.images?.[0]?.url || '',
+      images: product.images,
+      featured: product.featured,
+      inStock: product.inStock,
+      concentration: product.concentration,
+      variants: product.variants,
+    };
+
+    addToCart(cartProduct, variant);
+    toast({
+      title: isRTL ? 'تم إضافة المنتج!' : 'Product Added!',
+      description: isRTL ? `تم إضافة ${product.name.ar} إلى السلة` : `${product.name.en} added to cart`,
+    });
+  };
+
+  const toggleSample = (productId: string) => {
+    setSampleIds(prev => {
+      if (prev.includes(productId)) return prev.filter(id => id !== productId);
+      if (prev.length >= MAX_SAMPLES) {
+        toast({
+          title: isRTL ? `يمكنك طلب ${MAX_SAMPLES} عينات كحد أقصى` : `You can request up to ${MAX_SAMPLES} samples`,
+        });
+        return prev;
+      }
+      return [...prev, productId];
+    });
+  };
+
+  const NextIcon = isRTL ? ArrowLeft : ArrowRight;
+  const BackIcon = isRTL ? ArrowRight : ArrowLeft;
+
+  return (
+    <div className="min-h-screen bg-background" dir={isRTL ? 'rtl' : 'ltr'}>
+      <Header
+        currentLang={currentLang}
+        onLanguageChange={handleLanguageChange}
+        translations={t}
+      />
+
+      <main className="pt-20">
+        <section className="py-16 bg-gradient-to-r from-primary/10 to-secondary/10">
+          <div className="container mx-auto px-6 text-center">
+            <Sparkles className="w-10 h-10 mx-auto text-gold mb-4" />
+            <h1 className="text-4xl md:text-5xl font-display font-bold text-foreground mb-4">
+              {isRTL ? 'اكتشف عطرك' : 'Find Your Fragrance'}
+            </h1>
+            <p className="text-lg text-muted-foreground max-w-2xl mx-auto">
+              {isRTL
+                ? 'أجب عن بضعة أسئلة وسنقترح عليك العطور الأنسب لذوقك'
+                : 'Answer a few questions and we will suggest the perfumes that suit you best'}
+            </p>
+          </div>
+        </section>
+
+        <section className="py-12">
+          <div className="container mx-auto px-6">
+            {loading ? (
+              <Loader2 className="w-10 h-10 mx-auto animate-spin text-gold" />
+            ) : questions.length === 0 ? (
+              <p className="text-center text-muted-foreground">
+                {isRTL ? 'الاختبار غير متاح حالياً' : 'The quiz is not available right now'}
+              </p>
+            ) : results ? (
+              <div className="space-y-8">
+                <div className="flex flex-wrap items-center justify-between gap-4">
+                  <h2 className="text-2xl font-display font-bold">
+                    {isRTL ? 'العطور الأنسب لك' : 'Your Matches'}
+                  </h2>
+                  <Button variant="outline" onClick={restart}>
+                    <RotateCcw className={`h-4 w-4 ${isRTL ? 'ml-2' : 'mr-2'}`} />
+                    {isRTL ? 'أعد الاختبار' : 'Retake the quiz'}
+                  </Button>
+                </div>
+
+                {results.length === 0 ? (
+                  <p className="text-center text-muted-foreground py-8">
+                    {isRTL
+                      ? 'لم نجد عطراً متوفراً يطابق إجاباتك. جرّب إجابات أخرى أو تصفح المنتجات.'
+                      : "We couldn't find an in-stock perfume matching your answers. Try other answers or browse the collection."}
+                  </p>
+                ) : (
+                  <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+                    {results.map((product, index) => {
+                      const { price, compareAtPrice } = getDisplayPrice(product);
+                      const wantsSample = sampleIds.includes(product._id);
+                      return (
+                        <motion.div
+                          key={product._id}
+                          initial={{ y: 20, opacity: 0 }}
+                          animate={{ y: 0, opacity: 1 }}
+                          transition={{ delay: index * 0.05 }}
+                        >
+                          <Card className="h-full overflow-hidden">
+                            <Link to={`/product/${product._id}`}>
+                              <img
+                                src={product.images?.[0]?.url}
+                                alt={product.name[currentLang]}
+                                className="w-full h-56 object-cover"
+                              />
+                            </Link>
+                            <CardContent className="p-5 space-y-3">
+                              <div className="flex items-start justify-between gap-2">
+                                <Link to={`/product/${product._id}`} className="font-semibold hover:text-primary">
+                                  {product.name[currentLang]}
+                                </Link>
+                                <Badge className="shrink-0">
+                                  {isRTL ? `تطابق ${product.quiz.match}%` : `${product.quiz.match}% match`}
+                                </Badge>
+                              </div>
+                              {/* Notes are matched on their English names */}
+                              {currentLang === 'en' && product.quiz.matchedNotes.length > 0 && (
+                                <div className="flex flex-wrap gap-1">
+                                  {product.quiz.matchedNotes.map(note => (
+                                    <Badge key={note} variant="outline" className="text-xs">{note}</Badge>
+                                  ))}
+                                </div>
+                              )}
+                              <div className="flex items-center gap-2">
+                                <span className="font-bold text-primary">${price || 0}</span>
+                                {compareAtPrice && (
+                                  <span className="text-sm text-muted-foreground line-through">${compareAtPrice}</span>
+                                )}
+                              </div>
+                              <div className="flex gap-2">
+                                <Button className="flex-1" onClick={() => handleAddToCart(product)}>
+                                  <ShoppingBag className={`h-4 w-4 ${isRTL ? 'ml-2' : 'mr-2'}`} />
+                                  {isRTL ? 'أضف للسلة' : 'Add to cart'}
+                                </Button>
+                                <Button
+                                  variant={wantsSample ? 'secondary' : 'outline'}
+                                  onClick={() => toggleSample(product._id)}
+                                >
+                                  {wantsSample
+                                    ? <Check className={`h-4 w-4 ${isRTL ? 'ml-2' : 'mr-2'}`} />
+                                    : <Gift className={`h-4 w-4 ${isRTL ? 'ml-2' : 'mr-2'}`} />}
+                                  {isRTL ? 'عينة' : 'Sample'}
+                                </Button>
+                              </div>
+                            </CardContent>
+                          </Card>
+                        </motion.div>
+                      );
+                    })}
+                  </div>
+                )}
+
+                {sampleIds.length > 0 && (
+                  <div className="flex justify-center">
+                    <Button size="lg" onClick={() => setSampleDialogOpen(true)}>
+                      <Gift className={`h-4 w-4 ${isRTL ? 'ml-2' : 'mr-2'}`} />
+                      {isRTL ? `اطلب ${sampleIds.length} عينات` : `Request ${sampleIds.length} sample(s)`}
+                    </Button>
+                  </div>
+                )}
+
+                <SampleRequestDialog
+                  open={sampleDialogOpen}
+                  onOpenChange={setSampleDialogOpen}
+                  products={results.filter(product => sampleIds.includes(product._id))}
+                  currentLang={currentLang}
+                  defaultEmail={email.trim()}
+                  onRequested={() => setSampleIds([])}
+                />
+              </div>
+            ) : (
+              <div className="max-w-2xl mx-auto space-y-6">
+                <div className="space-y-2">
+                  <p className="text-sm text-muted-foreground">
+                    {isEmailStep
+                      ? (isRTL ? 'الخطوة الأخيرة' : 'Last step')
+                      : (isRTL ? `السؤال ${step + 1} من ${questions.length}` : `Question ${step + 1} of ${questions.length}`)}
+                  </p>
+                  <Progress value={(step / questions.length) * 100} />
+                </div>
+
+                <AnimatePresence mode="wait">
+                  <motion.div
+                    key={step}
+                    initial={{ x: isRTL ? -30 : 30, opacity: 0 }}
+                    animate={{ x: 0, opacity: 1 }}
+                    exit={{ x: isRTL ? 30 : -30, opacity: 0 }}
+                    transition={{ duration: 0.25 }}
+                    className="space-y-4"
+                  >
+                    {isEmailStep ? (
+                      <>
+                        <h2 className="text-2xl font-display font-bold">
+                          {isRTL ? 'هل تريد حفظ نتائجك؟' : 'Want to keep your results?'}
+                        </h2>
+                        <p className="text-muted-foreground">
+                          {isRTL
+                            ? 'أدخل بريدك الإلكتروني لربط النتائج بحسابك (اختياري)'
+                            : 'Enter your email to link the results to your account (optional)'}
+                        </p>
+                        <Input
+                          type="email"
+                          value={email}
+                          onChange={(e) => setEmail(e.target.value)}
+                          placeholder={isRTL ? 'بريدك الإلكتروني' : 'Your email'}
+                        />
+                      </>
+                    ) : (
+                      <>
+                        <h2 className="text-2xl font-display font-bold">{question.question[currentLang]}</h2>
+                        {question.multiple && (
+                          <p className="text-sm text-muted-foreground">
+                            {isRTL ? 'يمكنك اختيار أكثر من إجابة' : 'You can choose more than one answer'}
+                          </p>
+                        )}
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                          {question.answers.map(answer => {
+                            const selected = !!answer._id && chosen.includes(answer._id);
+                            return (
+                              <button
+                                key={answer._id}
+                                type="button"
+                                onClick={() => answer._id && toggleAnswer(answer._id)}
+                                className={`p-4 rounded-xl border text-start transition-colors ${
+                                  selected ? 'border-primary bg-primary/10' : 'border-border hover:bg-muted/50'
+                                }`}
+                              >
+                                <span className="flex items-center justify-between gap-2">
+                                  {answer.label[currentLang]}
+                                  {selected && <Check className="h-4 w-4 text-primary" />}
+                                </span>
+                              </button>
+                            );
+                          })}
+                        </div>
+                      </>
+                    )}
+                  </motion.div>
+                </AnimatePresence>
+
+                <div className="flex justify-between gap-2">
+                  <Button variant="outline" disabled={step === 0} onClick={() => setStep(step - 1)}>
+                    <BackIcon className={`h-4 w-4 ${isRTL ? 'ml-2' : 'mr-2'}`} />
+                    {isRTL ? 'السابق' : 'Back'}
+                  </Button>
+                  {isEmailStep ? (
+                    <Button onClick={handleSubmit} disabled={submitting || Object.keys(selections).length === 0}>
+                      {submitting && <Loader2 className={`h-4 w-4 animate-spin ${isRTL ? 'ml-2' : 'mr-2'}`} />}
+                      {isRTL ? 'اعرض العطور المناسبة' : 'Show my matches'}
+                    </Button>
+                  ) : (
+                    <Button onClick={() => setStep(step + 1)} disabled={chosen.length === 0}>
+                      {isRTL ? 'التالي' : 'Next'}
+                      <NextIcon className={`h-4 w-4 ${isRTL ? 'mr-2' : 'ml-2'}`} />
+                    </Button>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+        </section>
+      </main>
+
+      <Footer currentLang={currentLang} translations={t} />
+    </div>
+  );
+};
+
+export default FragranceQuiz;
@@ -0,0 +1,338 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Award, Clock, Loader2, Wallet } from 'lucide-react';
+import { Header } from '@/components/layout/header';
+import { Footer } from '@/components/layout/footer';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { useSiteContent } from '@/hooks/useSiteContent';
+import { useToast } from '@/hooks/use-toast';
+import { useAuth } from '@/contexts/AuthContext';
+import {
+  loyaltyService,
+  LoyaltyProgram,
+  LoyaltySummary,
+  LoyaltyTransaction,
+  LoyaltyTransactionsResponse,
+} from '@/services/loyaltyService';
+import { giftCardService, StoreCredit } from '@/services/giftCardService';
+
+const TIER_LABELS: Record<string, { en: string; ar: string }> = {
+  bronze: { en: 'Bronze', ar: 'برونزي' },
+  silver: { en: 'Silver', ar: 'فضي' },
+  gold: { en: 'Gold', ar: 'ذهبي' },
+  platinum: { en: 'Platinum', ar: 'بلاتيني' },
+};
+
+const TYPE_LABELS: Record<LoyaltyTransaction['type'], { en: string; ar: string }> = {
+  earn: { en: 'Earned', ar: 'مكتسبة' },
+  redeem: { en: 'Redeemed', ar: 'مستبدلة' },
+  reverse: { en: 'Refunded order', ar: 'طلب مسترد' },
+  restore: { en: 'Returned', ar: 'مُعادة' },
+  expire: { en: 'Expired', ar: 'منتهية' },
+};
+
+const LoyaltyPoints = () => {
+  const [currentLang, setCurrentLang] = useState<'en' | 'ar'>(
+    () => (localStorage.getItem('lang') as 'en' | 'ar') || 'ar'
+  );
+  const [summary, setSummary] = useState<LoyaltySummary | null>(null);
+  const [program, setProgram] = useState<LoyaltyProgram | null>(null);
+  const [history, setHistory] = useState<LoyaltyTransactionsResponse | null>(null);
+  const [page, setPage] = useState(1);
+  const [isLoading, setIsLoading] = useState(true);
+  const [storeCredit, setStoreCredit] = useState<StoreCredit | null>(null);
+
+  const { content: t } = useSiteContent(currentLang);
+  const { toast } = useToast();
+  const { state: authState } = useAuth();
+  const isCustomer = authState.isAuthenticated && authState.user?.role === 'customer';
+  const isRTL = currentLang === 'ar';
+  const currency = isRTL ? 'ريال' : 'SAR';
+  const locale = isRTL ? 'ar-SA' : 'en-US';
+
+  const handleLanguageChange = (lang: 'en' | 'ar') => {
+    setCurrentLang(lang);
+    document.documentElement.setAttribute('dir', lang === 'ar' ? 'rtl' : 'ltr');
+    document.documentElement.setAttribute('lang', lang);
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+
+    const load = isCustomer
+      ? Promise.all([loyaltyService.getSummary(), loyaltyService.getTransactions(page)])
+        .then(([loadedSummary, loadedHistory]) => {
+          if (cancelled) return;
+          setSummary(loadedSummary);
+          setProgram(loadedSummary.program);
+          setHistory(loadedHistory);
+        })
+      : loyaltyService.getProgram().then(loadedProgram => {
+        if (!cancelled) setProgram(loadedProgram);
+      });
+
+    load
+      .catch(() => {
+        if (cancelled) return;
+        toast({
+          title: isRTL ? 'خطأ' : 'Error',
+          description: isRTL ? 'فشل في تحميل نقاط الولاء' : 'Failed to load your loyalty points',
+          variant: 'destructive',
+        });
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isCustomer, page]);
+
+  // Store credit is spent at checkout alongside points, so it is shown here too
+  useEffect(() => {
+    if (!isCustomer) {
+      setStoreCredit(null);
+      return;
+    }
+
+    giftCardService.getStoreCredit()
+      .then(setStoreCredit)
+      .catch(() => setStoreCredit(null));
+  }, [isCustomer]);
+
+  const formatDate = (date: string) => new Date(date).toLocaleDateString(locale);
+
+  return (
+    <div className="min-h-screen bg-background" dir={isRTL ? 'rtl' : 'ltr'}>
+      <Header
+        currentLang={currentLang}
+        onLanguageChange={handleLanguageChange}
+        translations={t}
+      />
+
+      <main className="pt-20">
+        <section className="py-12 bg-gradient-to-r from-primary/10 to-secondary/10">
+          <div className="container mx-auto px-6 text-center">
+            <Award className="w-10 h-10 mx-auto text-gold mb-4" />
+            <h1 className="text-4xl md:text-5xl font-display font-bold text-foreground">
+              {isRTL ? 'نقاط الولاء' : 'Loyalty Points'}
+            </h1>
+          </div>
+        </section>
+
+        <section className="py-12">
+          <div className="container mx-auto px-6 space-y-8">
+            {!isCustomer && (
+              <Card>
+                <CardContent className="p-4 flex flex-col md:flex-row items-center justify-between gap-4">
+                  <p className="text-muted-foreground">
+                    {isRTL
+                      ? 'سجّل الدخول لمتابعة نقاطك واستبدالها عند الدفع'
+                      : 'Log in to follow your points and redeem them at checkout'}
+                  </p>
+                  <Button asChild>
+                    <Link to="/login" state={{ from: '/loyalty' }}>
+                      {isRTL ? 'تسجيل الدخول' : 'Log in'}
+                    </Link>
+                  </Button>
+                </CardContent>
+              </Card>
+            )}
+
+            {isLoading && !summary && !program ? (
+              <Loader2 className="w-10 h-10 mx-auto animate-spin text-gold" />
+            ) : (
+              <>
+                {summary && (
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                    <Card>
+                      <CardContent className="p-6 text-center space-y-1">
+                        <p className="text-sm text-muted-foreground">{isRTL ? 'رصيد النقاط' : 'Points balance'}</p>
+                        <p className="text-3xl font-bold text-primary">{summary.balance.toLocaleString(locale)}</p>
+                        <p className="text-sm text-muted-foreground">
+                          {isRTL ? 'تعادل' : 'Worth'} {summary.balanceValue.toFixed(2)} {currency}
+                        </p>
+                      </CardContent>
+                    </Card>
+                    <Card>
+                      <CardContent className="p-6 text-center space-y-1">
+                        <p className="text-sm text-muted-foreground">{isRTL ? 'مستوى العضوية' : 'Membership tier'}</p>
+                        <p className="text-3xl font-bold">{TIER_LABELS[summary.tier]?.[currentLang] || summary.tier}</p>
+                        <p className="text-sm text-muted-foreground">
+                          {isRTL ? `نقاط ×${summary.multiplier} على كل طلب` : `×${summary.multiplier} points on every order`}
+                        </p>
+                      </CardContent>
+                    </Card>
+                    <Card>
+                      <CardContent className="p-6 text-center space-y-1">
+                        <p className="text-sm text-muted-foreground">{isRTL ? 'تنتهي قريباً' : 'Expiring soon'}</p>
+                        {summary.expiring ? (
+                          <>
+                            <p className="text-3xl font-bold text-destructive">
+                              {summary.expiring.points.toLocaleString(locale)}
+                            </p>
+                            <p className="text-sm text-muted-foreground">
+                              {isRTL ? 'بتاريخ' : 'on'} {formatDate(summary.expiring.expiresAt)}
+                            </p>
+                          </>
+                        ) : (
+                          <p className="text-3xl font-bold">—</p>
+                        )}
+                      </CardContent>
+                    </Card>
+                  </div>
+                )}
+
+                {!!storeCredit?.balance && (
+                  <Card>
+                    <CardContent className="p-6 flex flex-col md:flex-row items-center justify-between gap-4">
+                      <div className="flex items-center gap-3">
+                        <Wallet className="w-8 h-8 text-gold" />
+                        <div>
+                          <p className="text-sm text-muted-foreground">{isRTL ? 'رصيد المتجر' : 'Store credit'}</p>
+                          <p className="text-2xl font-bold">{storeCredit.balance.toFixed(2)} {currency}</p>
+                        </div>
+                      </div>
+                      <div className="text-sm text-muted-foreground space-y-1">
+                        {storeCredit.credits.filter(credit => credit.expiresAt).map(credit => (
+                          <p key={credit._id}>
+                            {credit.balance.toFixed(2)} {currency} {isRTL ? 'حتى' : 'until'} {formatDate(credit.expiresAt as string)}
+                          </p>
+                        ))}
+                        <p>{isRTL ? 'فعّل "استخدم رصيد المتجر" عند الدفع' : 'Turn on "Use store credit" at checkout'}</p>
+                      </div>
+                    </CardContent>
+                  </Card>
+                )}
+
+                {program && (
+                  <Card>
+                    <CardHeader>
+                      <CardTitle>{isRTL ? 'كيف يعمل البرنامج' : 'How it works'}</CardTitle>
+                    </CardHeader>
+                    <CardContent>
+                      {program.enabled ? (
+                        <ul className="list-disc ps-6 space-y-2 text-muted-foreground">
+                          <li>
+                            {isRTL
+                              ? `اكسب ${program.pointsPerCurrency} نقطة لكل ريال عند توصيل طلبك، مضاعفة حسب مستواك`
+                              : `Earn ${program.pointsPerCurrency} point per SAR once your order is delivered, multiplied by your tier`}
+                          </li>
+                          <li>
+                            {isRTL
+                              ? `كل نقطة تساوي ${program.pointValue} ريال، واستبدل من ${program.minRedeemPoints} نقطة حتى ${program.maxRedeemPercent}% من قيمة الطلب`
+                              : `Each point is worth ${program.pointValue} SAR; redeem from ${program.minRedeemPoints} points for up to ${program.maxRedeemPercent}% of an order`}
+                          </li>
+                          {program.expiryMonths > 0 && (
+                            <li>
+                              {isRTL
+                                ? `تنتهي النقاط بعد ${program.expiryMonths} شهراً من اكتسابها`
+                                : `Points expire ${program.expiryMonths} months after they are earned`}
+                            </li>
+                          )}
+                          <li className="flex flex-wrap gap-2 list-none -ms-6">
+                            {Object.entries(program.tierMultipliers).map(([tier, multiplier]) => (
+                              <Badge key={tier} variant={summary?.tier === tier ? 'default' : 'outline'}>
+                                {TIER_LABELS[tier]?.[currentLang] || tier} ×{multiplier}
+                              </Badge>
+                            ))}
+                          </li>
+                        </ul>
+                      ) : (
+                        <p className="text-muted-foreground">
+                          {isRTL ? 'برنامج الولاء متوقف حالياً' : 'The loyalty program is paused at the moment'}
+                        </p>
+                      )}
+                    </CardContent>
+                  </Card>
+                )}
+
+                {history && (
+                  <Card>
+                    <CardHeader>
+                      <CardTitle className="flex items-center gap-2">
+                        <Clock className="w-5 h-5" />
+                        {isRTL ? 'سجل النقاط' : 'Points history'}
+                      </CardTitle>
+                    </CardHeader>
+                    <CardContent>
+                      {history.transactions.length === 0 ? (
+                        <p className="text-muted-foreground">
+                          {isRTL
+                            ? 'لا توجد نقاط بعد. تُضاف النقاط عند توصيل طلباتك'
+                            : 'No points yet. Points are added when your orders are delivered'}
+                        </p>
+                      ) : (
+                        <div className="divide-y">
+                          {history.transactions.map(transaction => (
+                            <div key={transaction._id} className="flex items-center justify-between gap-4 py-3">
+                              <div>
+                                <p className="font-medium">
+                                  {TYPE_LABELS[transaction.type][currentLang]}
+                                  {transaction.orderNumber && (
+                                    <span className="text-muted-foreground font-normal"> · {transaction.orderNumber}</span>
+                                  )}
+                                </p>
+                                <p className="text-sm text-muted-foreground">
+                                  {formatDate(transaction.createdAt)}
+                                  {transaction.type === 'earn' && transaction.expiresAt && !!transaction.remaining && (
+                                    <> · {isRTL ? 'تنتهي' : 'expires'} {formatDate(transaction.expiresAt)}</>
+                                  )}
+                                </p>
+                              </div>
+                              <div className="text-end">
+                                <p className={`font-semibold ${transaction.points > 0 ? 'text-green-700' : 'text-destructive'}`}>
+                                  {transaction.points > 0 ? '+' : ''}{transaction.points.toLocaleString(locale)}
+                                </p>
+                                <p className="text-sm text-muted-foreground">
+                                  {isRTL ? 'الرصيد' : 'Balance'} {transaction.balance.toLocaleString(locale)}
+                                </p>
+                              </div>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+
+                      {history.pagination.pages > 1 && (
+                        <div className="flex items-center justify-center gap-4 pt-4">
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            disabled={!history.pagination.hasPrev || isLoading}
+                            onClick={() => setPage(page - 1)}
+                          >
+                            {isRTL ? 'السابق' : 'Previous'}
+                          </Button>
+                          <span className="text-sm text-muted-foreground">
+                            {history.pagination.page} / {history.pagination.pages}
+                          </span>
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            disabled={!history.pagination.hasNext || isLoading}
+                            onClick={() => setPage(page + 1)}
+                          >
+                            {isRTL ? 'التالي' : 'Next'}
+                          </Button>
+                        </div>
+                      )}
+                    </CardContent>
+                  </Card>
+                )}
+              </>
+            )}
+          </div>
+        </section>
+      </main>
+
+      <Footer currentLang={currentLang} translations={t} />
+    </div>
+  );
+};
+
+export default LoyaltyPoints;
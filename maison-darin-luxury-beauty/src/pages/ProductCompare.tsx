@@ -0,0 +1,241 @@
+import { useState, useEffect, ReactNode } from 'react';
+import { Link } from 'react-router-dom';
+import { GitCompareArrows, Loader2, Star, X } from 'lucide-react';
+import { Header } from '@/components/layout/header';
+import { Footer } from '@/components/layout/footer';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { useSiteContent } from '@/hooks/useSiteContent';
+import { useToast } from '@/hooks/use-toast';
+import { useCompare } from '@/contexts/CompareContext';
+import { productService, ProductAvailability, ProductComparison } from '@/services/productService';
+
+const AVAILABILITY: Record<ProductAvailability, { en: string; ar: string; variant: 'default' | 'secondary' | 'destructive' | 'outline' }> = {
+  in_stock: { en: 'In stock', ar: 'متوفر', variant: 'default' },
+  low_stock: { en: 'Only a few left', ar: 'كمية محدودة', variant: 'outline' },
+  out_of_stock: { en: 'Out of stock', ar: 'غير متوفر', variant: 'destructive' },
+  pre_order: { en: 'Pre-order', ar: 'طلب مسبق', variant: 'secondary' },
+};
+
+const NOTE_LAYERS = [
+  { key: 'top', en: 'Top notes', ar: 'المقدمة' },
+  { key: 'middle', en: 'Heart notes', ar: 'القلب' },
+  { key: 'base', en: 'Base notes', ar: 'القاعدة' },
+] as const;
+
+const ProductCompare = () => {
+  const [currentLang, setCurrentLang] = useState<'en' | 'ar'>(
+    () => (localStorage.getItem('lang') as 'en' | 'ar') || 'ar'
+  );
+  const [products, setProducts] = useState<ProductComparison[]>([]);
+  const [loading, setLoading] = useState(false);
+
+  const { content: t } = useSiteContent(currentLang);
+  const { toast } = useToast();
+  const { items, removeFromCompare, clearCompare } = useCompare();
+  const isRTL = currentLang === 'ar';
+  const currency = isRTL ? 'ريال' : 'SAR';
+  const ids = items.map(item => item._id).join(',');
+
+  const handleLanguageChange = (lang: 'en' | 'ar') => {
+    setCurrentLang(lang);
+    document.documentElement.setAttribute('dir', lang === 'ar' ? 'rtl' : 'ltr');
+    document.documentElement.setAttribute('lang', lang);
+  };
+
+  useEffect(() => {
+    if (!ids) {
+      setProducts([]);
+      return;
+    }
+
+    setLoading(true);
+    productService.compareProducts(ids.split(','))
+      .then(comparison => {
+        setProducts(comparison);
+        // Products taken off the catalogue drop out of the tray
+        const found = new Set(comparison.map(product => product._id));
+        ids.split(',').filter(id => !found.has(id)).forEach(removeFromCompare);
+      })
+      .catch(() => toast({
+        title: isRTL ? 'خطأ' : 'Error',
+        description: isRTL ? 'فشل في تحميل المقارنة' : 'Failed to load the comparison',
+        variant: 'destructive',
+      }))
+      .finally(() => setLoading(false));
+  }, [ids, isRTL, removeFromCompare, toast]);
+
+  const formatPrice = (price: number) => `${Number(price.toFixed(2))} ${currency}`;
+
+  const rows: Array<{ label: string; render: (product: ProductComparison) => ReactNode }> = [
+    {
+      label: isRTL ? 'السعر' : 'Price',
+      render: product => (
+        <div>
+          <span className="font-bold text-primary">{formatPrice(product.effectivePrice)}</span>
+          {product.effectivePrice < product.price && (
+            <span className="block text-sm text-muted-foreground line-through">{formatPrice(product.price)}</span>
+          )}
+        </div>
+      ),
+    },
+    {
+      label: isRTL ? 'السعر لكل مل' : 'Price per ml',
+      render: product => (product.pricePerMl !== null ? formatPrice(product.pricePerMl) : '—'),
+    },
+    {
+      label: isRTL ? 'التركيز' : 'Concentration',
+      render: product => product.concentration.label[currentLang] || '—',
+    },
+    {
+      label: isRTL ? 'الأحجام' : 'Sizes',
+      render: product => (
+        <ul className="space-y-1">
+          {product.sizes.map(size => (
+            <li key={size.variant || size.size} className={size.inStock ? '' : 'text-muted-foreground line-through'}>
+              {size.size} · {formatPrice(size.effectivePrice)}
+              {size.pricePerMl !== null && (
+                <span className="text-xs text-muted-foreground"> ({formatPrice(size.pricePerMl)} / {isRTL ? 'مل' : 'ml'})</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      ),
+    },
+    ...NOTE_LAYERS.map(layer => ({
+      label: layer[currentLang],
+      render: (product: ProductComparison) => {
+        const notes = product.notes[layer.key][currentLang];
+        return notes.length > 0 ? notes.join(isRTL ? '، ' : ', ') : '—';
+      },
+    })),
+    {
+      label: isRTL ? 'التقييم' : 'Rating',
+      render: product => (product.rating.count > 0 ? (
+        <span className="flex items-center gap-1">
+          <Star className="w-4 h-4 fill-yellow-400 text-yellow-400" />
+          {product.rating.average.toFixed(1)}
+          <span className="text-sm text-muted-foreground">
+            ({product.rating.count} {isRTL ? 'تقييم' : product.rating.count === 1 ? 'review' : 'reviews'})
+          </span>
+        </span>
+      ) : (
+        <span className="text-muted-foreground">{isRTL ? 'لا توجد تقييمات' : 'No reviews yet'}</span>
+      )),
+    },
+    {
+      label: isRTL ? 'التوفر' : 'Availability',
+      render: product => {
+        const { status, releaseDate } = product.availability;
+        return (
+          <div className="space-y-1">
+            <Badge variant={AVAILABILITY[status].variant}>{AVAILABILITY[status][currentLang]}</Badge>
+            {releaseDate && (
+              <span className="block text-xs text-muted-foreground">
+                {isRTL ? 'الإصدار: ' : 'Releases '}
+                {new Date(releaseDate).toLocaleDateString(isRTL ? 'ar-SA' : 'en-US')}
+              </span>
+            )}
+          </div>
+        );
+      },
+    },
+  ];
+
+  return (
+    <div className="min-h-screen bg-background" dir={isRTL ? 'rtl' : 'ltr'}>
+      <Header
+        currentLang={currentLang}
+        onLanguageChange={handleLanguageChange}
+        translations={t}
+      />
+
+      <main className="pt-20">
+        <section className="py-12 bg-gradient-to-r from-primary/10 to-secondary/10">
+          <div className="container mx-auto px-6 text-center">
+            <GitCompareArrows className="w-10 h-10 mx-auto text-gold mb-4" />
+            <h1 className="text-4xl md:text-5xl font-display font-bold text-foreground">
+              {isRTL ? 'مقارنة العطور' : 'Compare Fragrances'}
+            </h1>
+          </div>
+        </section>
+
+        <section className="py-12">
+          <div className="container mx-auto px-6">
+            {items.length === 0 ? (
+              <div className="text-center space-y-4">
+                <p className="text-muted-foreground">
+                  {isRTL
+                    ? 'لم تختر أي منتجات بعد. أضف حتى 4 عطور من صفحة المنتجات لمقارنتها'
+                    : 'You have not picked any products yet. Add up to 4 fragrances from the shop to compare them'}
+                </p>
+                <Button asChild>
+                  <Link to="/products">{isRTL ? 'تصفح المنتجات' : 'Browse products'}</Link>
+                </Button>
+              </div>
+            ) : loading && products.length === 0 ? (
+              <Loader2 className="w-10 h-10 mx-auto animate-spin text-gold" />
+            ) : (
+              <div className="space-y-4">
+                <div className="flex justify-end">
+                  <Button variant="outline" size="sm" onClick={clearCompare}>
+                    {isRTL ? 'مسح المقارنة' : 'Clear comparison'}
+                  </Button>
+                </div>
+                <div className="overflow-x-auto">
+                  <table className="w-full min-w-[640px] border-collapse text-sm">
+                    <thead>
+                      <tr>
+                        <th className="w-40" />
+                        {products.map(product => (
+                          <th key={product._id} className="p-3 align-top font-normal">
+                            <div className="relative">
+                              <button
+                                type="button"
+                                onClick={() => removeFromCompare(product._id)}
+                                className={`absolute top-1 ${isRTL ? 'left-1' : 'right-1'} rounded-full bg-background/80 p-1 text-muted-foreground hover:text-foreground`}
+                                aria-label={isRTL ? 'إزالة' : 'Remove'}
+                              >
+                                <X className="w-4 h-4" />
+                              </button>
+                              <Link to={`/product/${product._id}`} className="block space-y-2">
+                                <img
+                                  src={product.image || '/placeholder.svg'}
+                                  alt={product.name[currentLang]}
+                                  className="w-full h-40 object-cover rounded-lg"
+                                />
+                                <span className="block font-semibold text-base hover:text-primary">
+                                  {product.name[currentLang]}
+                                </span>
+                              </Link>
+                            </div>
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {rows.map(row => (
+                        <tr key={row.label} className="border-t border-border">
+                          <th className={`p-3 font-medium text-muted-foreground align-top ${isRTL ? 'text-right' : 'text-left'}`}>
+                            {row.label}
+                          </th>
+                          {products.map(product => (
+                            <td key={product._id} className="p-3 align-top">{row.render(product)}</td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+          </div>
+        </section>
+      </main>
+
+      <Footer currentLang={currentLang} translations={t} />
+    </div>
+  );
+};
+
+export default ProductCompare;
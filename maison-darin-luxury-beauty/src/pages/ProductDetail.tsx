@@ -6,13 +6,15 @@ import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { Separator } from "@/components/ui/separator";
-import { ShoppingBag, Heart, Share2, Star, Sparkles, Award, Shield, Truck, RotateCcw, ChevronLeft, ChevronRight, Zap, ArrowLeft } from "lucide-react";
+import { ShoppingBag, Heart, Share2, Sparkles, Award, Shield, Truck, RotateCcw, ChevronLeft, ChevronRight, Zap, ArrowLeft } from "lucide-react";
 import { motion, AnimatePresence } from "framer-motion";
 import { translations } from "@/data/translations";
-import { categories } from "@/data/products";
 import { useCart } from "@/contexts/CartContext";
 import { useToast } from "@/hooks/use-toast";
-import { productService, Product } from "@/services/productService";
+import { productService, Product, ProductRecommendations, getDisplayPrice } from "@/services/productService";
+import { ProductReviews } from "@/components/ui/product-reviews";
+import { BackInStockForm } from "@/components/ui/back-in-stock-form";
+import { StarRating } from "@/components/ui/star-rating";
 
 const ProductDetail = () => {
   const { id } = useParams();
@@ -23,7 +25,9 @@ const ProductDetail = () => {
   const [selectedImage, setSelectedImage] = useState(0);
   const [isWishlisted, setIsWishlisted] = useState(false);
   const [product, setProduct] = useState<Product | null>(null);
+  const [selectedVariantId, setSelectedVariantId] = useState<string | null>(null);
   const [loading, setLoading] = useState(true);
+  const [recommendations, setRecommendations] = useState<ProductRecommendations>({ similar: [], boughtTogether: [] });
 
   const handleLanguageChange = (lang: 'en' | 'ar') => {
     setCurrentLang(lang);
@@ -44,6 +48,8 @@ const ProductDetail = () => {
         setLoading(true);
         const fetchedProduct = await productService.getProductById(id);
         setProduct(fetchedProduct);
+        const defaultVariant = fetchedProduct.variants?.find(v => v.isDefault) || fetchedProduct.variants?.[0];
+        setSelectedVariantId(defaultVariant?._id || null);
       } catch (error) {
         console.error('Error fetching product:', error);
         toast({
@@ -59,17 +65,37 @@ const ProductDetail = () => {
     fetchProduct();
   }, [id, toast]);
 
+  useEffect(() => {
+    if (!id) return;
+
+    // Recommendations are optional; the page works without them
+    productService.getRecommendations(id)
+      .then(setRecommendations)
+      .catch(() => setRecommendations({ similar: [], boughtTogether: [] }));
+  }, [id]);
+
+  const selectedVariant = product?.variants?.find(v => v._id === selectedVariantId);
+  const { price: displayPrice, compareAtPrice } = product
+    ? getDisplayPrice(product, selectedVariant)
+    : { price: undefined, compareAtPrice: undefined };
+  const displaySize = selectedVariant ? selectedVariant.size : product?.size;
+  // Upcoming launches can be ordered before they are in stock
+  const isPreOrder = !!product?.preOrder?.enabled;
+  const isPurchasable = isPreOrder || (selectedVariant ? selectedVariant.stock > 0 : !!product?.inStock);
+
   const handleAddToCart = () => {
     if (product) {
       // Convert API Product to Cart Product format
       const cartProduct = {
+        _id: product._id,
         id: parseInt(product._id) || 0,
         name: product.name,
         description: product.description,
         longDescription: product.longDescription,
         price: product.price,
+        effectivePrice: product.effectivePrice,
+        sale: product.sale,
         size: product.size,
-        category: product.category,
         image: product.images?.[0]?.url || '',
         images: product.images?.map(img => img.url) || [],
         featured: product.featured,
@@ -79,10 +105,12 @@ const ProductDetail = () => {
           top: { en: [], ar: [] },
           middle: { en: [], ar: [] },
           base: { en: [], ar: [] }
-        }
+        },
+        variants: product.variants,
+        type: product.type
       };
       
-      addToCart(cartProduct as any);
+      addToCart(cartProduct as any, selectedVariant);
       toast({
         title: currentLang === 'ar' ? "تم إضافة المنتج!" : "Product Added!",
         description: currentLang === 'ar' 
@@ -150,8 +178,18 @@ const ProductDetail = () => {
   }
 
   const t = translations[currentLang];
-  // Skip related products for now since we're using API data
-  const relatedProducts: any[] = [];
+  const recommendationSections = [
+    {
+      key: 'boughtTogether',
+      title: currentLang === 'ar' ? "يُشترى معه عادةً" : "Frequently Bought Together",
+      products: recommendations.boughtTogether,
+    },
+    {
+      key: 'similar',
+      title: currentLang === 'ar' ? "قد يعجبك أيضاً" : "You May Also Like",
+      products: recommendations.similar,
+    },
+  ].filter((section) => section.products.length > 0);
 
   return (
     <div className="min-h-screen bg-background">
@@ -209,10 +247,10 @@ const ProductDetail = () => {
                       product.images?.[selectedImage]?.url && !product.images[selectedImage].url.includes('/api/placeholder') 
                         ? product.images[selectedImage].url 
                         : `https://images.unsplash.com/photo-${
-                            product.category === 'woody' ? '1541643600914-78b084683601' :
-                            product.category === 'floral' ? '1594736797933-d0501ba2fe65' :
-                            product.category === 'citrus' ? '1615397349754-cda4d2238e1c' :
-                            product.category === 'oriental' ? '1615397349754-cda4d2238e1c' :
+                            product.categories?.[0]?.slug === 'woody' ? '1541643600914-78b084683601' :
+                            product.categories?.[0]?.slug === 'floral' ? '1594736797933-d0501ba2fe65' :
+                            product.categories?.[0]?.slug === 'citrus' ? '1615397349754-cda4d2238e1c' :
+                            product.categories?.[0]?.slug === 'oriental' ? '1615397349754-cda4d2238e1c' :
                             '1541643600914-78b084683601'
                           }?w=600&h=800&fit=crop&auto=format`
                     }
@@ -233,13 +271,15 @@ const ProductDetail = () => {
                       {currentLang === 'ar' ? "مميز" : "Featured"}
                     </Badge>
                   )}
-                  <Badge className="bg-gradient-to-r from-primary/90 to-primary/70 text-white border-0 shadow-lg backdrop-blur-sm">
-                    <Award className="w-3 h-3 mr-1" />
-                    {categories[product.category as keyof typeof categories][currentLang]}
-                  </Badge>
+                  {product.categories?.[0] && (
+                    <Badge className="bg-gradient-to-r from-primary/90 to-primary/70 text-white border-0 shadow-lg backdrop-blur-sm">
+                      <Award className="w-3 h-3 mr-1" />
+                      {product.categories[0].name[currentLang]}
+                    </Badge>
+                  )}
                 </div>
 
-                {!product.inStock && (
+                {!product.inStock && !isPreOrder && (
                   <div className="absolute inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center">
                     <Badge variant="destructive" className="text-lg px-6 py-2">
                       {currentLang === 'ar' ? "غير متوفر" : "Out of Stock"}
@@ -290,10 +330,10 @@ const ProductDetail = () => {
                       image?.url && !image.url.includes('/api/placeholder') 
                         ? image.url 
                         : `https://images.unsplash.com/photo-${
-                            product.category === 'woody' ? '1541643600914-78b084683601' :
-                            product.category === 'floral' ? '1594736797933-d0501ba2fe65' :
-                            product.category === 'citrus' ? '1615397349754-cda4d2238e1c' :
-                            product.category === 'oriental' ? '1615397349754-cda4d2238e1c' :
+                            product.categories?.[0]?.slug === 'woody' ? '1541643600914-78b084683601' :
+                            product.categories?.[0]?.slug === 'floral' ? '1594736797933-d0501ba2fe65' :
+                            product.categories?.[0]?.slug === 'citrus' ? '1615397349754-cda4d2238e1c' :
+                            product.categories?.[0]?.slug === 'oriental' ? '1615397349754-cda4d2238e1c' :
                             '1541643600914-78b084683601'
                           }?w=200&h=200&fit=crop&auto=format`
                     }
@@ -344,25 +384,109 @@ const ProductDetail = () => {
             >
               <div className="flex items-center gap-2">
                 <span className="text-4xl font-bold bg-gradient-to-r from-primary to-gold bg-clip-text text-transparent">
-                  ${product.price}
+                  ${displayPrice}
                 </span>
-                <div className="flex items-center gap-1 ml-2">
-                  {[...Array(5)].map((_, i) => (
-                    <Star key={i} className="w-4 h-4 fill-gold text-gold" />
-                  ))}
-                  <span className="text-sm text-muted-foreground ml-1">(4.9)</span>
-                </div>
+                {compareAtPrice && (
+                  <span className="text-lg text-muted-foreground line-through">
+                    ${compareAtPrice}
+                  </span>
+                )}
+                {product.sale && (
+                  <Badge className="bg-red-500 text-white">
+                    {currentLang === 'ar'
+                      ? `تخفيض حتى ${new Date(product.sale.endsAt).toLocaleDateString('ar-SA')}`
+                      : `On sale until ${new Date(product.sale.endsAt).toLocaleDateString('en-US')}`}
+                  </Badge>
+                )}
+                {!!product.reviewCount && (
+                  <div className="flex items-center gap-1 ml-2">
+                    <StarRating rating={product.averageRating || 0} />
+                    <span className="text-sm text-muted-foreground ml-1">
+                      {product.averageRating?.toFixed(1)} ({product.reviewCount})
+                    </span>
+                  </div>
+                )}
               </div>
               <div className="flex gap-2">
                 <Badge className="bg-gradient-to-r from-primary to-primary/80 text-white border-primary/50 px-3 py-1 font-medium">
                   {product.concentration[currentLang]}
                 </Badge>
                 <Badge className="bg-gradient-to-r from-amber-600 to-amber-500 text-white border-amber-400 px-3 py-1 font-medium">
-                  {product.size}
+                  {displaySize}
                 </Badge>
               </div>
             </motion.div>
 
+            {/* Size Selector */}
+            {product.variants && product.variants.length > 1 && (
+              <motion.div
+                className="space-y-3"
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ delay: 0.55, duration: 0.6 }}
+              >
+                <h3 className="text-sm font-semibold text-foreground">
+                  {currentLang === 'ar' ? "الحجم" : "Size"}
+                </h3>
+                <div className="flex flex-wrap gap-3">
+                  {product.variants.map((variant) => (
+                    <Button
+                      key={variant._id}
+                      variant="outline"
+                      onClick={() => setSelectedVariantId(variant._id)}
+                      disabled={variant.stock <= 0}
+                      className={`h-auto px-4 py-2 flex flex-col items-center transition-all duration-300 ${
+                        variant._id === selectedVariantId
+                          ? 'border-gold bg-gold/10 text-foreground'
+                          : 'border-gold/30 hover:border-gold'
+                      }`}
+                    >
+                      <span className="font-semibold">{variant.size}</span>
+                      <span className="text-xs text-muted-foreground">
+                        {variant.stock > 0
+                          ? `$${getDisplayPrice(product, variant).price}`
+                          : (currentLang === 'ar' ? "نفذت الكمية" : "Sold out")}
+                      </span>
+                    </Button>
+                  ))}
+                </div>
+              </motion.div>
+            )}
+
+            {/* Gift set contents */}
+            {product.type === 'bundle' && product.components && product.components.length > 0 && (
+              <motion.div
+                className="space-y-3"
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ delay: 0.55, duration: 0.6 }}
+              >
+                <h3 className="text-sm font-semibold text-foreground">
+                  {currentLang === 'ar' ? "محتويات المجموعة" : "What's inside"}
+                </h3>
+                <ul className="space-y-2">
+                  {product.components.map((component, index) => {
+                    if (typeof component.product === 'string') return null;
+                    const item = component.product;
+                    const size = item.variants?.find(v => v._id === component.variant)?.size || item.size;
+                    return (
+                      <li key={index}>
+                        <Link to={`/product/${item._id}`} className="flex items-center gap-3 hover:text-gold transition-colors">
+                          {item.images?.[0]?.url && (
+                            <img src={item.images[0].url} alt={item.name[currentLang]} className="w-10 h-10 rounded object-cover" />
+                          )}
+                          <span className="text-sm">
+                            {component.quantity > 1 ? `${component.quantity} × ` : ''}
+                            {item.name[currentLang]} • {size}
+                          </span>
+                        </Link>
+                      </li>
+                    );
+                  })}
+                </ul>
+              </motion.div>
+            )}
+
             {/* Luxury Features */}
             <motion.div 
               className="grid grid-cols-2 gap-4"
@@ -502,18 +626,47 @@ const ProductDetail = () => {
                 >
                   <Button 
                     onClick={handleAddToCart}
-                    disabled={!product.inStock}
+                    disabled={!isPurchasable}
                     className="w-full h-14 text-lg font-semibold bg-gradient-to-r from-primary via-gold to-primary hover:from-primary/90 hover:via-gold/90 hover:to-primary/90 text-white border-0 shadow-xl hover:shadow-2xl transition-all duration-300 relative overflow-hidden group"
                   >
                     <div className="absolute inset-0 bg-gradient-to-r from-white/0 via-white/20 to-white/0 translate-x-[-100%] group-hover:translate-x-[100%] transition-transform duration-700"></div>
                     <ShoppingBag className="h-5 w-5 mr-3" />
-                    {currentLang === 'ar' ? "أضف إلى السلة" : "Add to Cart"}
+                    {isPreOrder
+                      ? (currentLang === 'ar' ? "اطلب مسبقاً" : "Pre-order")
+                      : (currentLang === 'ar' ? "أضف إلى السلة" : "Add to Cart")}
                     <span className="ml-2 text-sm opacity-80">
-                      ${product.price}
+                      ${displayPrice}
                     </span>
                   </Button>
                 </motion.div>
 
+                {isPreOrder && product.preOrder?.releaseDate && (
+                  <div className="p-4 rounded-xl bg-gold/10 border border-gold/20 text-sm text-center space-y-1">
+                    <p className="font-medium text-foreground">
+                      {currentLang === 'ar'
+                        ? `يُشحن عند الإطلاق في ${new Date(product.preOrder.releaseDate).toLocaleDateString('ar-SA')}`
+                        : `Ships on release, ${new Date(product.preOrder.releaseDate).toLocaleDateString('en-US')}`}
+                    </p>
+                    {product.preOrder.depositPercent && (
+                      <p className="text-muted-foreground">
+                        {currentLang === 'ar'
+                          ? `ادفع عربوناً بنسبة ${product.preOrder.depositPercent}% الآن والباقي عند الإطلاق`
+                          : `Pay a ${product.preOrder.depositPercent}% deposit now and the rest on release`}
+                      </p>
+                    )}
+                  </div>
+                )}
+
+                {product.type === 'gift_card' && (
+                  <div className="p-4 rounded-xl bg-gold/10 border border-gold/20 text-sm text-center">
+                    <p className="text-muted-foreground">
+                      {currentLang === 'ar'
+                        ? "تُرسل البطاقة بالبريد الإلكتروني إلى من تهديه فور الدفع، وتضيف بياناته عند إتمام الطلب"
+                        : "The card is emailed to its recipient once paid; you add their details at checkout"}
+                    </p>
+                  </div>
+                )}
+
                 {/* Secondary Actions */}
                 <div className="grid grid-cols-3 gap-3">
                   <motion.div whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>
@@ -556,64 +709,66 @@ const ProductDetail = () => {
                 </div>
               </div>
               
-              {!product.inStock && (
-                <motion.div
-                  initial={{ opacity: 0 }}
-                  animate={{ opacity: 1 }}
-                  className="p-4 rounded-xl bg-destructive/10 border border-destructive/20 text-center"
-                >
-                  <p className="text-destructive font-medium">
-                    {currentLang === 'ar' 
-                      ? "هذا المنتج غير متوفر حالياً - سيتم إشعارك عند توفره" 
-                      : "This product is currently out of stock - We'll notify you when available"}
-                  </p>
-                </motion.div>
+              {!product.inStock && !isPreOrder && (
+                <BackInStockForm productId={product._id} currentLang={currentLang} />
               )}
             </motion.div>
           </motion.div>
         </div>
 
-        {/* Related Products */}
-        {relatedProducts.length > 0 && (
+        <ProductReviews productId={product._id} currentLang={currentLang} />
+
+        {/* Recommendations */}
+        {recommendationSections.map((section) => (
           <motion.section
+            key={section.key}
             initial={{ opacity: 0, y: 20 }}
             animate={{ opacity: 1, y: 0 }}
             transition={{ delay: 0.3 }}
             className="mt-16"
           >
             <h2 className="text-2xl font-bold text-primary mb-8">
-              {currentLang === 'ar' ? "منتجات مشابهة" : "Related Products"}
+              {section.title}
             </h2>
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-              {relatedProducts.map((relatedProduct) => (
-                <Link key={relatedProduct.id} to={`/product/${relatedProduct.id}`}>
-                  <Card className="group hover:shadow-lg transition-all duration-300 hover:-translate-y-1 bg-card/50 backdrop-blur border-border/50">
-                    <div className="relative overflow-hidden rounded-t-lg">
-                      <img
-                        src={relatedProduct.image}
-                        alt={relatedProduct.name[currentLang]}
-                        className="w-full h-48 object-cover transition-transform duration-300 group-hover:scale-105"
-                      />
-                    </div>
-                    <CardHeader>
-                      <CardTitle className="text-lg group-hover:text-primary transition-colors">
-                        {relatedProduct.name[currentLang]}
-                      </CardTitle>
-                      <CardDescription className="text-sm">
-                        {relatedProduct.description[currentLang]}
-                      </CardDescription>
-                    </CardHeader>
-                    <CardContent>
-                      <span className="text-xl font-bold text-primary">
-                        ${relatedProduct.price}
-                      </span>
-                    </CardContent>
-                  </Card>
-                </Link>
-              ))}
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+              {section.products.map((relatedProduct) => {
+                const sharedNotes = relatedProduct.recommendation.sharedNotes?.[currentLang] || [];
+                return (
+                  <Link key={relatedProduct._id} to={`/product/${relatedProduct._id}`}>
+                    <Card className="group h-full hover:shadow-lg transition-all duration-300 hover:-translate-y-1 bg-card/50 backdrop-blur border-border/50">
+                      <div className="relative overflow-hidden rounded-t-lg">
+                        <img
+                          src={relatedProduct.images?.[0]?.url}
+                          alt={relatedProduct.name[currentLang]}
+                          className="w-full h-48 object-cover transition-transform duration-300 group-hover:scale-105"
+                        />
+                      </div>
+                      <CardHeader>
+                        <CardTitle className="text-lg group-hover:text-primary transition-colors">
+                          {relatedProduct.name[currentLang]}
+                        </CardTitle>
+                        {sharedNotes.length > 0 && (
+                          <CardDescription className="text-sm">
+                            {currentLang === 'ar' ? "نوتات مشتركة: " : "Shared notes: "}
+                            {sharedNotes.slice(0, 3).join(currentLang === 'ar' ? '، ' : ', ')}
+                          </CardDescription>
+                        )}
+                      </CardHeader>
+                      <CardContent className="flex items-center justify-between">
+                        <span className="text-xl font-bold text-primary">
+                          ${getDisplayPrice(relatedProduct).price}
+                        </span>
+                        {!!relatedProduct.reviewCount && (
+                          <StarRating rating={relatedProduct.averageRating || 0} size="sm" />
+                        )}
+                      </CardContent>
+                    </Card>
+                  </Link>
+                );
+              })}
             </div>
           </motion.section>
-        )}
+        ))}
       </main>
 
       <Footer currentLang={currentLang} translations={t} />
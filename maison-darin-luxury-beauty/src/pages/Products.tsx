@@ -1,5 +1,5 @@
 import { useState, useEffect } from "react";
-import { Link, useNavigate } from "react-router-dom";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
 import { Header } from "@/components/layout/header";
 import { Footer } from "@/components/layout/footer";
 import { motion } from "framer-motion";
@@ -10,11 +10,15 @@ import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/com
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Filter, Search, Grid, List, ArrowUpDown, Heart, Loader2, ShoppingCart } from "lucide-react";
 import { translations } from "@/data/translations";
-import { categories } from "@/data/products";
-import { useCart } from "@/contexts/CartContext";
+import { useCart, ProductVariant } from "@/contexts/CartContext";
 import { useToast } from "@/hooks/use-toast";
 import { CategoryFilter } from "@/components/ui/category-filter";
+import { FacetFilters } from "@/components/ui/facet-filters";
+import { CompareButton } from "@/components/ui/compare-button";
+import { WishlistButton } from "@/components/ui/wishlist-button";
 import { useProducts } from "@/hooks/useProducts";
+import { useFacetFilters } from "@/hooks/useFacetFilters";
+import { productService, Product, ProductFacets, getDisplayPrice } from "@/services/productService";
 
 const Products = () => {
   const navigate = useNavigate(); // إضافة استخدام useNavigate للتنقل
@@ -22,7 +26,11 @@ const Products = () => {
     () => (localStorage.getItem('lang') as 'en' | 'ar') || 'en'
   );
   const [viewMode, setViewMode] = useState<'grid' | 'list'>('grid');
-  const [searchTerm, setSearchTerm] = useState('');
+  const [searchParams, setSearchParams] = useSearchParams();
+  const searchTerm = searchParams.get('search') || '';
+  const { selection: facetSelection, activeCount: activeFacetCount, toggle: toggleFacet, clear: clearFacets } = useFacetFilters();
+  const [serverResults, setServerResults] = useState<Product[] | null>(null);
+  const [facets, setFacets] = useState<ProductFacets | null>(null);
   const [selectedCategory, setSelectedCategory] = useState('all');
   const [priceRange, setPriceRange] = useState('all');
   const [filteredProducts, setFilteredProducts] = useState<any[]>([]);
@@ -70,8 +78,9 @@ const Products = () => {
       description: product.description,
       longDescription: product.longDescription,
       price: product.price,
+      effectivePrice: product.effectivePrice,
+      sale: product.sale,
       size: product.size,
-      category: product.category,
       image: product.images?.[0]?.url || '',
       images: product.images?.map((img: any) => img.url) || [],
       featured: product.featured,
@@ -82,9 +91,14 @@ const Products = () => {
         top: { en: [], ar: [] },
         middle: { en: [], ar: [] },
         base: { en: [], ar: [] }
-      }
+      },
+      variants: product.variants,
+      type: product.type
     };
 
+    // Quick add from the grid uses the default size
+    const defaultVariant = product.variants?.find((v: ProductVariant) => v.isDefault) || product.variants?.[0];
+
     // Debug: log converted product
     console.log('🛒 Adding product to cart - Converted:', {
       cartProductId: cartProduct.id,
@@ -94,7 +108,7 @@ const Products = () => {
       fullCartProduct: cartProduct
     });
     
-    addToCart(cartProduct);
+    addToCart(cartProduct, defaultVariant);
     toast({
       title: currentLang === 'ar' ? "تم إضافة المنتج!" : "Product Added!",
       description: currentLang === 'ar' 
@@ -103,6 +117,48 @@ const Products = () => {
     });
   };
 
+  // Keep the search term in the URL so searches from the header land here and can be shared
+  const setSearchTerm = (value: string) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      if (value) {
+        next.set('search', value);
+      } else {
+        next.delete('search');
+      }
+      return next;
+    }, { replace: true });
+  };
+
+  // Ranked, Arabic-aware search and facet filtering run on the server, which also
+  // returns the facet counts; fall back to local filtering if it fails
+  useEffect(() => {
+    const term = searchTerm.trim();
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await productService.getProducts({
+          ...facetSelection,
+          search: term || undefined,
+          limit: 100
+        });
+        if (!cancelled) {
+          setServerResults(term || activeFacetCount > 0 ? response.products : null);
+          setFacets(response.facets ?? null);
+        }
+      } catch {
+        if (!cancelled) {
+          setServerResults(null);
+        }
+      }
+    }, term ? 300 : 0);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchTerm, facetSelection, activeFacetCount]);
+
   // Filter products from database
   useEffect(() => {
     if (!dbProducts || !Array.isArray(dbProducts)) {
@@ -110,10 +166,10 @@ const Products = () => {
       return;
     }
 
-    let filtered = dbProducts;
+    let filtered = serverResults ?? dbProducts;
 
     // Filter by search term
-    if (searchTerm) {
+    if (searchTerm && !serverResults) {
       filtered = filtered.filter(product =>
         product.name?.[currentLang]?.toLowerCase().includes(searchTerm.toLowerCase()) ||
         product.description?.[currentLang]?.toLowerCase().includes(searchTerm.toLowerCase())
@@ -122,23 +178,24 @@ const Products = () => {
 
     // Filter by category
     if (selectedCategory !== 'all') {
-      filtered = filtered.filter(product => product.category === selectedCategory);
+      filtered = filtered.filter(product => product.categories?.some(category => category.slug === selectedCategory));
     }
 
     // Filter by price range
     if (priceRange !== 'all') {
       const [min, max] = priceRange.split('-').map(Number);
       filtered = filtered.filter(product => {
+        const { price } = getDisplayPrice(product);
         if (max) {
-          return product.price >= min && product.price <= max;
+          return price >= min && price <= max;
         } else {
-          return product.price >= min;
+          return price >= min;
         }
       });
     }
 
     setFilteredProducts(filtered);
-  }, [searchTerm, selectedCategory, priceRange, currentLang, dbProducts]);
+  }, [searchTerm, serverResults, selectedCategory, priceRange, currentLang, dbProducts]);
 
   const t = translations[currentLang];
 
@@ -218,6 +275,13 @@ const Products = () => {
             onPriceRangeChange={setPriceRange}
             productCount={filteredProducts?.length || 0}
           />
+          <FacetFilters
+            currentLang={currentLang}
+            facets={facets}
+            selection={facetSelection}
+            onToggle={toggleFacet}
+            onClear={clearFacets}
+          />
         </motion.div>
 
         {/* Loading State */}
@@ -284,10 +348,10 @@ const Products = () => {
                       product.images?.[0]?.url && !product.images[0].url.includes('/api/placeholder') 
                         ? product.images[0].url 
                         : `https://images.unsplash.com/photo-${
-                            product.category === 'woody' ? '1541643600914-78b084683601' :
-                            product.category === 'floral' ? '1594736797933-d0501ba2fe65' :
-                            product.category === 'citrus' ? '1615397349754-cda4d2238e1c' :
-                            product.category === 'oriental' ? '1615397349754-cda4d2238e1c' :
+                            product.categories?.[0]?.slug === 'woody' ? '1541643600914-78b084683601' :
+                            product.categories?.[0]?.slug === 'floral' ? '1594736797933-d0501ba2fe65' :
+                            product.categories?.[0]?.slug === 'citrus' ? '1615397349754-cda4d2238e1c' :
+                            product.categories?.[0]?.slug === 'oriental' ? '1615397349754-cda4d2238e1c' :
                             '1541643600914-78b084683601'
                           }?w=400&h=600&fit=crop&auto=format`
                     }
@@ -311,7 +375,7 @@ const Products = () => {
                       {product.name?.[currentLang] || product.name?.ar || product.name?.en || 'منتج'}
                     </CardTitle>
                     <Badge variant="secondary" className="text-xs">
-                      {categories[product.category as keyof typeof categories]?.[currentLang] || product.category}
+                      {product.categories?.[0]?.name?.[currentLang]}
                     </Badge>
                   </div>
                   <CardDescription className="text-sm">
@@ -320,9 +384,16 @@ const Products = () => {
                 </CardHeader>
                 <CardContent>
                   <div className="flex items-center justify-between mb-3">
-                    <span className="text-2xl font-bold text-primary">
-                      {product.price} {currentLang === 'ar' ? 'ريال' : 'SAR'}
-                    </span>
+                    <div className="flex items-baseline gap-2">
+                      <span className="text-2xl font-bold text-primary">
+                        {getDisplayPrice(product).price} {currentLang === 'ar' ? 'ريال' : 'SAR'}
+                      </span>
+                      {getDisplayPrice(product).compareAtPrice && (
+                        <span className="text-sm text-muted-foreground line-through">
+                          {getDisplayPrice(product).compareAtPrice}
+                        </span>
+                      )}
+                    </div>
                     <Badge variant="outline">{product.size}</Badge>
                   </div>
                   <div className="flex gap-2">
@@ -347,6 +418,16 @@ const Products = () => {
                     >
                       <ShoppingCart className="w-4 h-4" />
                     </Button>
+                    <CompareButton
+                      product={{ _id: product._id, name: product.name, image: product.images?.[0]?.url }}
+                      currentLang={currentLang}
+                      className="px-3"
+                    />
+                    <WishlistButton
+                      product={{ _id: product._id, name: product.name, image: product.images?.[0]?.url }}
+                      currentLang={currentLang}
+                      className="px-3"
+                    />
                   </div>
                 </CardContent>
               </Card>
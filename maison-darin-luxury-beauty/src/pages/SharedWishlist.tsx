@@ -0,0 +1,127 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { Heart, Loader2 } from 'lucide-react';
+import { Header } from '@/components/layout/header';
+import { Footer } from '@/components/layout/footer';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent } from '@/components/ui/card';
+import { WishlistButton } from '@/components/ui/wishlist-button';
+import { useSiteContent } from '@/hooks/useSiteContent';
+import { wishlistService, SharedWishlist as SharedWishlistData } from '@/services/wishlistService';
+import { getDisplayPrice } from '@/services/productService';
+
+// Read-only view of a wishlist someone shared by link
+const SharedWishlist = () => {
+  const { token } = useParams<{ token: string }>();
+  const [currentLang, setCurrentLang] = useState<'en' | 'ar'>(
+    () => (localStorage.getItem('lang') as 'en' | 'ar') || 'ar'
+  );
+  const [wishlist, setWishlist] = useState<SharedWishlistData | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [notFound, setNotFound] = useState(false);
+
+  const { content: t } = useSiteContent(currentLang);
+  const isRTL = currentLang === 'ar';
+  const currency = isRTL ? 'ريال' : 'SAR';
+
+  const handleLanguageChange = (lang: 'en' | 'ar') => {
+    setCurrentLang(lang);
+    document.documentElement.setAttribute('dir', lang === 'ar' ? 'rtl' : 'ltr');
+    document.documentElement.setAttribute('lang', lang);
+  };
+
+  useEffect(() => {
+    if (!token) return;
+
+    setLoading(true);
+    wishlistService.getShared(token)
+      .then(setWishlist)
+      .catch(() => setNotFound(true))
+      .finally(() => setLoading(false));
+  }, [token]);
+
+  const title = wishlist?.owner
+    ? (isRTL ? `مفضلة ${wishlist.owner}` : `${wishlist.owner}'s Wishlist`)
+    : (isRTL ? 'قائمة مفضلة' : 'Wishlist');
+
+  return (
+    <div className="min-h-screen bg-background" dir={isRTL ? 'rtl' : 'ltr'}>
+      <Header
+        currentLang={currentLang}
+        onLanguageChange={handleLanguageChange}
+        translations={t}
+      />
+
+      <main className="pt-20">
+        <section className="py-12 bg-gradient-to-r from-primary/10 to-secondary/10">
+          <div className="container mx-auto px-6 text-center">
+            <Heart className="w-10 h-10 mx-auto text-gold mb-4" />
+            <h1 className="text-4xl md:text-5xl font-display font-bold text-foreground">{title}</h1>
+          </div>
+        </section>
+
+        <section className="py-12">
+          <div className="container mx-auto px-6">
+            {loading ? (
+              <Loader2 className="w-10 h-10 mx-auto animate-spin text-gold" />
+            ) : notFound || !wishlist ? (
+              <div className="text-center space-y-4">
+                <p className="text-muted-foreground">
+                  {isRTL
+                    ? 'هذه القائمة غير موجودة أو لم تعد مشتركة'
+                    : 'This wishlist does not exist or is no longer shared'}
+                </p>
+                <Button asChild>
+                  <Link to="/products">{isRTL ? 'تصفح المنتجات' : 'Browse products'}</Link>
+                </Button>
+              </div>
+            ) : wishlist.items.length === 0 ? (
+              <p className="text-center text-muted-foreground">
+                {isRTL ? 'لا توجد منتجات في هذه القائمة بعد' : 'There is nothing on this wishlist yet'}
+              </p>
+            ) : (
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
+                {wishlist.items.map(({ product }) => {
+                  const display = getDisplayPrice(product);
+                  const image = product.images?.[0]?.url;
+
+                  return (
+                    <Card key={product._id} className="overflow-hidden">
+                      <Link to={`/product/${product._id}`} className="block relative">
+                        <img
+                          src={image || '/placeholder.svg'}
+                          alt={product.name[currentLang]}
+                          className="w-full h-56 object-cover"
+                        />
+                        <WishlistButton
+                          product={{ _id: product._id, name: product.name, image }}
+                          currentLang={currentLang}
+                          className={`absolute top-3 ${isRTL ? 'left-3' : 'right-3'} px-2 bg-background/80`}
+                        />
+                      </Link>
+                      <CardContent className="p-4 space-y-2">
+                        <Link to={`/product/${product._id}`} className="block font-semibold hover:text-primary">
+                          {product.name[currentLang]}
+                        </Link>
+                        <div className="flex items-baseline gap-2">
+                          <span className="font-bold text-primary">{display.price} {currency}</span>
+                          {display.compareAtPrice && (
+                            <span className="text-sm text-muted-foreground line-through">{display.compareAtPrice}</span>
+                          )}
+                        </div>
+                      </CardContent>
+                    </Card>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        </section>
+      </main>
+
+      <Footer currentLang={currentLang} translations={t} />
+    </div>
+  );
+};
+
+export default SharedWishlist;
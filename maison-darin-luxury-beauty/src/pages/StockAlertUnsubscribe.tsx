@@ -0,0 +1,67 @@
+import { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { BellOff, Loader2, XCircle } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { useTranslations } from '@/hooks/useTranslations';
+import { stockAlertService, StockSubscription } from '@/services/stockAlertService';
+
+// Landing page of the unsubscribe link in back-in-stock emails
+const StockAlertUnsubscribe = () => {
+  const { token } = useParams<{ token: string }>();
+  const { currentLang } = useTranslations();
+  const isRTL = currentLang === 'ar';
+
+  const [subscription, setSubscription] = useState<StockSubscription | null>(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    if (!token) return;
+    stockAlertService.unsubscribe(token)
+      .then(setSubscription)
+      .catch(() => setFailed(true));
+  }, [token]);
+
+  const productName = subscription && typeof subscription.product !== 'string'
+    ? subscription.product.name[currentLang]
+    : '';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-soft-neutral via-beige/50 to-off-white flex items-center justify-center px-4 py-16" dir={isRTL ? 'rtl' : 'ltr'}>
+      <div className="max-w-lg w-full bg-white/70 backdrop-blur-sm border border-gold/20 rounded-2xl p-8 shadow-glass text-center space-y-6">
+        {!subscription && !failed && token ? (
+          <Loader2 className="w-10 h-10 mx-auto animate-spin text-gold" />
+        ) : failed || !token ? (
+          <>
+            <XCircle className="w-12 h-12 mx-auto text-destructive" />
+            <h1 className="text-2xl font-display font-bold text-dark-tea">
+              {isRTL ? "رابط إلغاء الاشتراك غير صالح" : "This unsubscribe link is not valid"}
+            </h1>
+            <p className="text-muted-foreground">
+              {isRTL
+                ? "ربما انتهت صلاحية الرابط أو تم نسخه بشكل غير كامل."
+                : "The link may be incomplete or no longer in use."}
+            </p>
+          </>
+        ) : (
+          <>
+            <BellOff className="w-12 h-12 mx-auto text-gold" />
+            <h1 className="text-2xl font-display font-bold text-dark-tea">
+              {isRTL ? "تم إلغاء الاشتراك" : "You have been unsubscribed"}
+            </h1>
+            <p className="text-muted-foreground">
+              {isRTL
+                ? `لن نرسل لك إشعاراً عند توفر ${productName || 'هذا المنتج'}.`
+                : `We won't email you when ${productName || 'this product'} is back in stock.`}
+            </p>
+          </>
+        )}
+
+        <Button asChild variant="outline" className="border-gold/30 hover:bg-gold/10 hover:border-gold">
+          <Link to="/products">{isRTL ? "تصفح المنتجات" : "Browse products"}</Link>
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default StockAlertUnsubscribe;
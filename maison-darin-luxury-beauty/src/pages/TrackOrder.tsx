@@ -0,0 +1,37 @@
+import { useState } from 'react';
+import { Header } from '@/components/layout/header';
+import { Footer } from '@/components/layout/footer';
+import OrderTracking from '@/components/order-tracking/OrderTracking';
+import { useSiteContent } from '@/hooks/useSiteContent';
+
+const TrackOrder = () => {
+  const [currentLang, setCurrentLang] = useState<'en' | 'ar'>(
+    () => (localStorage.getItem('lang') as 'en' | 'ar') || 'ar'
+  );
+
+  const { content: t } = useSiteContent(currentLang);
+
+  const handleLanguageChange = (lang: 'en' | 'ar') => {
+    setCurrentLang(lang);
+    document.documentElement.setAttribute('dir', lang === 'ar' ? 'rtl' : 'ltr');
+    document.documentElement.setAttribute('lang', lang);
+  };
+
+  return (
+    <div className="min-h-screen bg-background" dir={currentLang === 'ar' ? 'rtl' : 'ltr'}>
+      <Header
+        currentLang={currentLang}
+        onLanguageChange={handleLanguageChange}
+        translations={t}
+      />
+
+      <main className="pt-20">
+        <OrderTracking currentLang={currentLang} />
+      </main>
+
+      <Footer currentLang={currentLang} translations={t} />
+    </div>
+  );
+};
+
+export default TrackOrder;
@@ -0,0 +1,240 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Heart, Link2, Loader2, Trash2, TrendingDown } from 'lucide-react';
+import { Header } from '@/components/layout/header';
+import { Footer } from '@/components/layout/footer';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Card, CardContent } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { useSiteContent } from '@/hooks/useSiteContent';
+import { useToast } from '@/hooks/use-toast';
+import { useWishlist } from '@/contexts/WishlistContext';
+import { wishlistService } from '@/services/wishlistService';
+import { getDisplayPrice } from '@/services/productService';
+
+const Wishlist = () => {
+  const [currentLang, setCurrentLang] = useState<'en' | 'ar'>(
+    () => (localStorage.getItem('lang') as 'en' | 'ar') || 'ar'
+  );
+  const [updating, setUpdating] = useState(false);
+
+  const { content: t } = useSiteContent(currentLang);
+  const { toast } = useToast();
+  const { items, wishlist, isCustomer, isLoading, removeFromWishlist, setWishlist } = useWishlist();
+  const isRTL = currentLang === 'ar';
+  const currency = isRTL ? 'ريال' : 'SAR';
+  const shareUrl = wishlist?.shareToken
+    ? `${window.location.origin}/wishlist/shared/${wishlist.shareToken}`
+    : null;
+
+  const handleLanguageChange = (lang: 'en' | 'ar') => {
+    setCurrentLang(lang);
+    document.documentElement.setAttribute('dir', lang === 'ar' ? 'rtl' : 'ltr');
+    document.documentElement.setAttribute('lang', lang);
+  };
+
+  const showError = (description: string) => toast({
+    title: isRTL ? 'خطأ' : 'Error',
+    description,
+    variant: 'destructive',
+  });
+
+  const handleRemove = async (productId: string) => {
+    try {
+      await removeFromWishlist(productId);
+    } catch {
+      showError(isRTL ? 'فشل في إزالة المنتج' : 'Failed to remove the product');
+    }
+  };
+
+  const handlePriceAlerts = async (priceAlerts: boolean) => {
+    setUpdating(true);
+    try {
+      setWishlist(await wishlistService.updateSettings({ priceAlerts, language: currentLang }));
+    } catch {
+      showError(isRTL ? 'فشل في تحديث الإعدادات' : 'Failed to update your settings');
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  const handleSharing = async (shared: boolean) => {
+    if (!wishlist) return;
+
+    setUpdating(true);
+    try {
+      if (shared) {
+        setWishlist({ ...wishlist, shareToken: await wishlistService.share() });
+      } else {
+        await wishlistService.unshare();
+        setWishlist({ ...wishlist, shareToken: null });
+      }
+    } catch {
+      showError(isRTL ? 'فشل في تحديث المشاركة' : 'Failed to update sharing');
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  const copyShareUrl = async () => {
+    if (!shareUrl) return;
+    try {
+      await navigator.clipboard.writeText(shareUrl);
+      toast({ title: isRTL ? 'تم نسخ الرابط' : 'Link copied' });
+    } catch {
+      showError(isRTL ? 'تعذر نسخ الرابط' : 'Could not copy the link');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-background" dir={isRTL ? 'rtl' : 'ltr'}>
+      <Header
+        currentLang={currentLang}
+        onLanguageChange={handleLanguageChange}
+        translations={t}
+      />
+
+      <main className="pt-20">
+        <section className="py-12 bg-gradient-to-r from-primary/10 to-secondary/10">
+          <div className="container mx-auto px-6 text-center">
+            <Heart className="w-10 h-10 mx-auto text-gold mb-4" />
+            <h1 className="text-4xl md:text-5xl font-display font-bold text-foreground">
+              {isRTL ? 'قائمة المفضلة' : 'My Wishlist'}
+            </h1>
+          </div>
+        </section>
+
+        <section className="py-12">
+          <div className="container mx-auto px-6 space-y-8">
+            {!isCustomer && (
+              <Card>
+                <CardContent className="p-4 flex flex-col md:flex-row items-center justify-between gap-4">
+                  <p className="text-muted-foreground">
+                    {isRTL
+                      ? 'سجّل الدخول لحفظ مفضلتك في حسابك ومشاركتها وتلقي تنبيه عند انخفاض الأسعار'
+                      : 'Log in to keep your wishlist in your account, share it and hear when prices drop'}
+                  </p>
+                  <Button asChild>
+                    <Link to="/login" state={{ from: '/wishlist' }}>
+                      {isRTL ? 'تسجيل الدخول' : 'Log in'}
+                    </Link>
+                  </Button>
+                </CardContent>
+              </Card>
+            )}
+
+            {isCustomer && wishlist && (
+              <Card>
+                <CardContent className="p-4 space-y-4">
+                  <div className="flex items-center justify-between gap-4">
+                    <Label htmlFor="price-alerts">
+                      {isRTL ? 'راسلني عند انخفاض سعر منتج في المفضلة' : 'Email me when a saved product drops in price'}
+                    </Label>
+                    <Switch
+                      id="price-alerts"
+                      checked={wishlist.priceAlerts}
+                      disabled={updating}
+                      onCheckedChange={handlePriceAlerts}
+                    />
+                  </div>
+                  <div className="flex items-center justify-between gap-4">
+                    <Label htmlFor="share-wishlist">
+                      {isRTL ? 'مشاركة المفضلة عبر رابط عام' : 'Share my wishlist with a public link'}
+                    </Label>
+                    <Switch
+                      id="share-wishlist"
+                      checked={!!wishlist.shareToken}
+                      disabled={updating}
+                      onCheckedChange={handleSharing}
+                    />
+                  </div>
+                  {shareUrl && (
+                    <div className="flex gap-2">
+                      <Input value={shareUrl} readOnly dir="ltr" />
+                      <Button variant="outline" onClick={copyShareUrl}>
+                        <Link2 className={`w-4 h-4 ${isRTL ? 'ml-1' : 'mr-1'}`} />
+                        {isRTL ? 'نسخ' : 'Copy'}
+                      </Button>
+                    </div>
+                  )}
+                </CardContent>
+              </Card>
+            )}
+
+            {isLoading ? (
+              <Loader2 className="w-10 h-10 mx-auto animate-spin text-gold" />
+            ) : items.length === 0 ? (
+              <div className="text-center space-y-4">
+                <p className="text-muted-foreground">
+                  {isRTL
+                    ? 'لا توجد منتجات في المفضلة بعد. اضغط على القلب في أي منتج لحفظه هنا'
+                    : 'Your wishlist is empty. Tap the heart on any product to save it here'}
+                </p>
+                <Button asChild>
+                  <Link to="/products">{isRTL ? 'تصفح المنتجات' : 'Browse products'}</Link>
+                </Button>
+              </div>
+            ) : (
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
+                {items.map(item => {
+                  // Customers' wishlists come priced by the server
+                  const saved = wishlist?.items.find(entry => entry.product._id === item._id);
+                  const display = saved ? getDisplayPrice(saved.product) : null;
+
+                  return (
+                    <Card key={item._id} className="overflow-hidden">
+                      <Link to={`/product/${item._id}`} className="block relative">
+                        <img
+                          src={item.image || '/placeholder.svg'}
+                          alt={item.name[currentLang]}
+                          className="w-full h-56 object-cover"
+                        />
+                        {saved?.priceDrop && (
+                          <Badge className={`absolute top-3 ${isRTL ? 'right-3' : 'left-3'} bg-green-600`}>
+                            <TrendingDown className={`w-3 h-3 ${isRTL ? 'ml-1' : 'mr-1'}`} />
+                            {isRTL ? 'انخفض السعر' : 'Price dropped'}
+                          </Badge>
+                        )}
+                      </Link>
+                      <CardContent className="p-4 space-y-3">
+                        <Link to={`/product/${item._id}`} className="block font-semibold hover:text-primary">
+                          {item.name[currentLang]}
+                        </Link>
+                        {display && (
+                          <div className="flex items-baseline gap-2">
+                            <span className="font-bold text-primary">{display.price} {currency}</span>
+                            {(saved?.priceDrop?.from ?? display.compareAtPrice) && (
+                              <span className="text-sm text-muted-foreground line-through">
+                                {saved?.priceDrop?.from ?? display.compareAtPrice}
+                              </span>
+                            )}
+                          </div>
+                        )}
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          className="w-full"
+                          onClick={() => handleRemove(item._id)}
+                        >
+                          <Trash2 className={`w-4 h-4 ${isRTL ? 'ml-1' : 'mr-1'}`} />
+                          {isRTL ? 'إزالة' : 'Remove'}
+                        </Button>
+                      </CardContent>
+                    </Card>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        </section>
+      </main>
+
+      <Footer currentLang={currentLang} translations={t} />
+    </div>
+  );
+};
+
+export default Wishlist;
@@ -9,8 +9,16 @@ import { ProtectedRoute } from '../components/auth/ProtectedRoute';
 import CheckoutSuccess from '../pages/CheckoutSuccess';
 import Checkout from '../pages/Checkout';
 import CheckoutCancel from '../pages/CheckoutCancel';
+import CartRestore from '../pages/CartRestore';
 import PayPalReturn from '../pages/PayPalReturn';
 import CategoryPage from '../pages/CategoryPage';
+import StockAlertUnsubscribe from '../pages/StockAlertUnsubscribe';
+import FragranceQuiz from '../pages/FragranceQuiz';
+import ProductCompare from '../pages/ProductCompare';
+import Wishlist from '../pages/Wishlist';
+import SharedWishlist from '../pages/SharedWishlist';
+import LoyaltyPoints from '../pages/LoyaltyPoints';
+import TrackOrder from '../pages/TrackOrder';
 import RootLayout from '../components/layout/RootLayout';
 
 // تمرير currentLang إلى router من App.tsx
@@ -25,9 +33,17 @@ const createAppRouter = (currentLang: 'en' | 'ar') => {
         <Route path="/collections" element={<Products />} />
         <Route path="/product/:id" element={<ProductDetail />} />
         <Route path="/category/:slug" element={<CategoryPage />} />
+        <Route path="/fragrance-quiz" element={<FragranceQuiz />} />
+        <Route path="/compare" element={<ProductCompare />} />
+        <Route path="/wishlist" element={<Wishlist />} />
+        <Route path="/wishlist/shared/:token" element={<SharedWishlist />} />
+        <Route path="/loyalty" element={<LoyaltyPoints />} />
+        <Route path="/track-order" element={<TrackOrder />} />
+        <Route path="/stock-alerts/unsubscribe/:token" element={<StockAlertUnsubscribe />} />
         
         {/* Guest Checkout - No Auth Required */}
         <Route path="/checkout" element={<Checkout />} />
+        <Route path="/cart/restore/:token" element={<CartRestore />} />
         <Route path="/checkout/success" element={<CheckoutSuccess />} />
         <Route path="/checkout/cancel" element={<CheckoutCancel />} />
         <Route path="/payment/return" element={<PayPalReturn />} />
@@ -4,6 +4,7 @@
  */
 
 import { productService } from '@/services/productService';
+import { categoryService } from '@/services/categoryService';
 import { orderService } from '@/services/orderService';
 import { dashboardService } from '@/services/dashboardService';
 import { uploadService } from '@/services/uploadService';
@@ -107,6 +108,7 @@ class ComprehensiveTestSuite {
       'Products - Create',
       'المنتجات - إنشاء',
       async () => {
+        const category = await categoryService.getCategoryBySlug('floral');
         const testProduct = {
           name: {
             en: 'Test Product ' + Date.now(),
@@ -118,7 +120,7 @@ class ComprehensiveTestSuite {
           },
           price: 99.99,
           size: '50ml',
-          category: 'floral',
+          categories: [category._id],
           stock: 10,
           inStock: true,
           featured: false
@@ -0,0 +1,77 @@
+import { apiClient } from './apiClient';
+import { Product } from './productService';
+
+export type CartIssue = 'unavailable' | 'out_of_stock' | 'insufficient_stock' | 'price_changed';
+
+export interface CartItemInput {
+  productId: string;
+  variantId?: string | null;
+  quantity: number;
+}
+
+// A cart item checked against the catalogue as it is now
+export interface CartLine {
+  productId: string;
+  variantId: string | null;
+  quantity: number;
+  // Null when the product has been removed from the catalogue
+  product: (Product & { stock?: number; variants?: Product['variants'] }) | null;
+  price: number | null;
+  // Price when the item was added, if it has changed since
+  previousPrice: number | null;
+  // Units in stock; null when not limited
+  available: number | null;
+  issue: CartIssue | null;
+}
+
+export interface ServerCart {
+  token: string;
+  items: CartLine[];
+  subtotal: number;
+  hasIssues: boolean;
+  email: string | null;
+  language: 'en' | 'ar';
+}
+
+// Limits the server enforces on a cart
+export const MAX_CART_ITEMS = 20;
+export const MAX_CART_QUANTITY = 10;
+
+// The token is forgotten once its cart has been checked out
+export const isCartNotFound = (error: unknown): boolean =>
+  error instanceof Error && error.message.includes('Cart not found');
+
+class CartService {
+  async createCart(items: CartItemInput[], language: 'en' | 'ar'): Promise<ServerCart> {
+    const response = await apiClient.post('/cart', { items, language });
+    return response.data.data;
+  }
+
+  /** Get a cart re-validated by the server; the token changes if it was merged into the customer's cart */
+  async getCart(token: string): Promise<ServerCart> {
+    const response = await apiClient.get(`/cart/${token}`);
+    return response.data.data;
+  }
+
+  async updateCart(token: string, items: CartItemInput[], language: 'en' | 'ar'): Promise<ServerCart> {
+    const response = await apiClient.put(`/cart/${token}`, { items, language });
+    return response.data.data;
+  }
+
+  /** Record the email step of checkout, after which abandoned carts get reminder emails */
+  async startCheckout(token: string, data: { email: string; firstName?: string; language: 'en' | 'ar' }): Promise<ServerCart> {
+    const response = await apiClient.put(`/cart/${token}/checkout`, data);
+    return response.data.data;
+  }
+
+  async stopReminders(token: string): Promise<void> {
+    try {
+      await apiClient.delete(`/cart/${token}/reminders`);
+    } catch (error) {
+      console.error('Error stopping cart reminders:', error);
+      throw new Error('Failed to stop cart reminders');
+    }
+  }
+}
+
+export const cartService = new CartService();
@@ -11,6 +11,10 @@ export interface Category {
     ar: string;
   };
   slug: string;
+  // Subcategories (e.g. Women > Oriental) point at their parent
+  parentCategory?: string | null;
+  // IDs from the top-level category down to the parent
+  ancestors?: string[];
   isActive: boolean;
   image?: {
     url: string;
@@ -26,6 +30,11 @@ export interface Category {
   updatedAt: string;
 }
 
+// A category with its ancestors populated, top-level first, for breadcrumbs
+export type CategoryWithAncestors = Omit<Category, 'ancestors'> & {
+  ancestors: Array<Pick<Category, '_id' | 'name' | 'slug'>>;
+};
+
 export interface CreateCategoryData {
   name: {
     en: string;
@@ -36,6 +45,7 @@ export interface CreateCategoryData {
     ar: string;
   };
   slug?: string;
+  parentCategory?: string | null;
   isActive?: boolean;
   image?: {
     url: string;
@@ -97,9 +107,9 @@ class CategoryService {
   }
 
   /**
-   * Get category by slug
+   * Get category by slug, with its ancestors populated for the breadcrumb
    */
-  async getCategoryBySlug(slug: string): Promise<Category> {
+  async getCategoryBySlug(slug: string): Promise<CategoryWithAncestors> {
     try {
       const response = await apiClient.get(`/categories/slug/${slug}`);
       return response.data.data.category;
@@ -154,6 +164,7 @@ class CategoryService {
     _id: string;
     name: { en: string; ar: string };
     slug: string;
+    parentCategory?: string | null;
     isActive: boolean;
     totalProducts: number;
     inStockProducts: number;
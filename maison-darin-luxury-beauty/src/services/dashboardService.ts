@@ -12,6 +12,7 @@ export interface DashboardStats {
     inStock: number;
     outOfStock: number;
     lowStock: number;
+    mostWishlisted: WishlistedProduct[];
   };
   orders: {
     today: number;
@@ -31,6 +32,18 @@ export interface DashboardStats {
   lastUpdated: string;
 }
 
+// A product and the number of customer wishlists it is saved to
+export interface WishlistedProduct {
+  _id: string;
+  name: {
+    en: string;
+    ar: string;
+  };
+  image?: string;
+  price: number;
+  count: number;
+}
+
 export interface RecentOrder {
   _id: string;
   orderNumber: string;
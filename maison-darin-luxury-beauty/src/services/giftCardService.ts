@@ -0,0 +1,177 @@
+import { apiClient } from './apiClient';
+
+export type GiftCardKind = 'gift_card' | 'store_credit';
+export type GiftCardSource = 'purchase' | 'manual' | 'return' | 'refund' | 'goodwill';
+export type GiftCardStatus = 'active' | 'disabled';
+
+export interface GiftCardTransaction {
+  type: 'issue' | 'redeem' | 'release' | 'adjust' | 'void';
+  // Signed change to the balance
+  amount: number;
+  balance: number;
+  orderNumber?: string;
+  note?: string;
+  createdAt: string;
+}
+
+export interface GiftCard {
+  _id: string;
+  kind: GiftCardKind;
+  code: string;
+  source: GiftCardSource;
+  initialBalance: number;
+  balance: number;
+  currency: string;
+  expiresAt?: string | null;
+  status: GiftCardStatus;
+  customer?: { _id: string; firstName: string; lastName: string; email: string } | string;
+  recipient?: { name?: string; email?: string };
+  sender?: { name?: string };
+  message?: string;
+  // Order the card was bought with
+  orderNumber?: string;
+  deliveredAt?: string;
+  transactions?: GiftCardTransaction[];
+  createdAt: string;
+}
+
+// A gift card or store credit paying for an order quote
+export interface AppliedGiftCard {
+  giftCard: string;
+  kind: GiftCardKind;
+  // Masked, e.g. ****-AB12
+  code: string;
+  balance: number;
+  amount: number;
+  expiresAt: string | null;
+}
+
+// Who a gift card bought at checkout is emailed to
+export interface GiftCardRecipient {
+  recipientName: string;
+  recipientEmail: string;
+  senderName?: string;
+  message?: string;
+}
+
+export interface GiftCardBalance {
+  code: string;
+  kind: GiftCardKind;
+  balance: number;
+  currency: string;
+  expiresAt: string | null;
+  usable: boolean;
+}
+
+export interface StoreCredit {
+  balance: number;
+  credits: Array<{
+    _id: string;
+    code: string;
+    balance: number;
+    currency: string;
+    source: GiftCardSource;
+    expiresAt: string | null;
+    createdAt: string;
+  }>;
+}
+
+export interface GiftCardFilters {
+  kind?: GiftCardKind;
+  status?: GiftCardStatus;
+  search?: string;
+  page?: number;
+  limit?: number;
+}
+
+export interface GiftCardsResponse {
+  giftCards: GiftCard[];
+  pagination: {
+    page: number;
+    limit: number;
+    total: number;
+    pages: number;
+    hasNext: boolean;
+    hasPrev: boolean;
+  };
+}
+
+export interface IssueGiftCardData {
+  amount: number;
+  recipientName: string;
+  recipientEmail: string;
+  senderName?: string;
+  message?: string;
+  expiresAt?: string | null;
+  note?: string;
+}
+
+export interface IssueStoreCreditData {
+  email: string;
+  amount: number;
+  source: 'return' | 'goodwill';
+  expiresAt?: string | null;
+  note?: string;
+}
+
+class GiftCardService {
+  async checkBalance(code: string): Promise<GiftCardBalance> {
+    const response = await apiClient.post('/gift-cards/check', { code });
+    return response.data.data;
+  }
+
+  async getStoreCredit(): Promise<StoreCredit> {
+    try {
+      const response = await apiClient.get('/gift-cards/store-credit');
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching store credit:', error);
+      throw new Error('Failed to fetch store credit');
+    }
+  }
+
+  async getGiftCards(filters: GiftCardFilters = {}): Promise<GiftCardsResponse> {
+    try {
+      const response = await apiClient.get('/gift-cards', { params: filters });
+      return {
+        giftCards: response.data.data,
+        pagination: response.data.pagination,
+      };
+    } catch (error) {
+      console.error('Error fetching gift cards:', error);
+      throw new Error('Failed to fetch gift cards');
+    }
+  }
+
+  async getGiftCard(id: string): Promise<GiftCard> {
+    try {
+      const response = await apiClient.get(`/gift-cards/${id}`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching gift card:', error);
+      throw new Error('Failed to fetch gift card');
+    }
+  }
+
+  async issueGiftCard(data: IssueGiftCardData): Promise<GiftCard> {
+    const response = await apiClient.post('/gift-cards', data);
+    return response.data.data;
+  }
+
+  async issueStoreCredit(data: IssueStoreCreditData): Promise<GiftCard> {
+    const response = await apiClient.post('/gift-cards/store-credit', data);
+    return response.data.data;
+  }
+
+  async adjustBalance(id: string, amount: number, note: string): Promise<GiftCard> {
+    const response = await apiClient.post(`/gift-cards/${id}/adjust`, { amount, note });
+    return response.data.data;
+  }
+
+  async setStatus(id: string, status: GiftCardStatus): Promise<GiftCard> {
+    const response = await apiClient.patch(`/gift-cards/${id}/status`, { status });
+    return response.data.data;
+  }
+}
+
+export const giftCardService = new GiftCardService();
@@ -0,0 +1,106 @@
+import { apiClient } from './apiClient';
+
+export type LoyaltyTier = 'bronze' | 'silver' | 'gold' | 'platinum';
+
+export interface LoyaltyProgram {
+  enabled: boolean;
+  // Points per SAR spent, before the tier multiplier
+  pointsPerCurrency: number;
+  // SAR one point takes off an order
+  pointValue: number;
+  minRedeemPoints: number;
+  // Largest share of an order's items points can pay for
+  maxRedeemPercent: number;
+  // 0 keeps points forever
+  expiryMonths: number;
+  tierMultipliers: Record<LoyaltyTier, number>;
+}
+
+export interface LoyaltySummary {
+  balance: number;
+  balanceValue: number;
+  tier: LoyaltyTier;
+  multiplier: number;
+  // Points expiring within the next 30 days
+  expiring: { points: number; expiresAt: string } | null;
+  program: LoyaltyProgram;
+}
+
+export interface LoyaltyTransaction {
+  _id: string;
+  type: 'earn' | 'redeem' | 'reverse' | 'restore' | 'expire';
+  // Signed change to the balance
+  points: number;
+  balance: number;
+  orderNumber?: string;
+  remaining?: number;
+  expiresAt?: string | null;
+  tier?: LoyaltyTier;
+  multiplier?: number;
+  description?: string;
+  createdAt: string;
+}
+
+// Points of the logged-in customer on an order quote
+export interface LoyaltyQuote {
+  balance: number;
+  tier: LoyaltyTier;
+  multiplier: number;
+  pointValue: number;
+  minRedeemPoints: number;
+  // 0 when no points can be redeemed on the order
+  maxRedeemablePoints: number;
+  pointsRedeemed: number;
+  discount: number;
+  // Earned once the order is delivered
+  pointsToEarn: number;
+}
+
+export interface LoyaltyTransactionsResponse {
+  transactions: LoyaltyTransaction[];
+  pagination: {
+    page: number;
+    limit: number;
+    total: number;
+    pages: number;
+    hasNext: boolean;
+    hasPrev: boolean;
+  };
+}
+
+class LoyaltyService {
+  async getProgram(): Promise<LoyaltyProgram> {
+    try {
+      const response = await apiClient.get('/loyalty/program');
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching loyalty program:', error);
+      throw new Error('Failed to fetch loyalty program');
+    }
+  }
+
+  async getSummary(): Promise<LoyaltySummary> {
+    try {
+      const response = await apiClient.get('/loyalty');
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching loyalty points:', error);
+      throw new Error('Failed to fetch loyalty points');
+    }
+  }
+
+  async getTransactions(page = 1, limit = 20): Promise<LoyaltyTransactionsResponse> {
+    try {
+      const response = await apiClient.get('/loyalty/transactions', { params: { page, limit } });
+      return {
+        transactions: response.data.data,
+        pagination: response.data.pagination,
+      };
+    } catch (error) {
+      console.error('Error fetching loyalty history:', error);
+      throw new Error('Failed to fetch loyalty history');
+    }
+  }
+}
+
+export const loyaltyService = new LoyaltyService();
@@ -1,4 +1,7 @@
 import { apiClient } from './apiClient';
+import type { AppliedPromotion } from './promotionService';
+import type { LoyaltyQuote } from './loyaltyService';
+import type { AppliedGiftCard, GiftCardRecipient } from './giftCardService';
 
 export interface OrderItem {
   product: string;
@@ -21,20 +24,158 @@ export interface CustomerInfo {
   country: string;
 }
 
+export type OrderStatus =
+  | 'pending'
+  | 'awaiting_release'
+  | 'confirmed'
+  | 'processing'
+  | 'shipped'
+  | 'delivered'
+  | 'cancelled'
+  | 'returned'
+  | 'refunded';
+
+// Statuses an order can move to from each status, as enforced by the server;
+// orders paid online also need their payment before they go ahead
+export const ORDER_TRANSITIONS: Record<OrderStatus, OrderStatus[]> = {
+  pending: ['awaiting_release', 'confirmed', 'cancelled'],
+  awaiting_release: ['processing', 'cancelled'],
+  confirmed: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'returned'],
+  delivered: ['returned', 'refunded'],
+  returned: ['refunded'],
+  cancelled: ['refunded'],
+  refunded: [],
+};
+
+export interface OrderTimelineEntry {
+  status: OrderStatus;
+  at: string;
+  // Left out of the timeline customers see
+  actor?: {
+    type: 'admin' | 'customer' | 'system';
+    user?: string;
+    name?: string;
+  };
+  reason?: string;
+  // What the change set off, e.g. stock_restored, points_awarded
+  effects?: string[];
+}
+
+export type RefundReason =
+  | 'returned'
+  | 'damaged'
+  | 'wrong_item'
+  | 'not_delivered'
+  | 'late_delivery'
+  | 'cancelled'
+  | 'price_adjustment'
+  | 'duplicate_payment'
+  | 'goodwill'
+  | 'other';
+
+export const REFUND_REASON_LABELS: Record<RefundReason, { en: string; ar: string }> = {
+  returned: { en: 'Items returned', ar: 'إرجاع منتجات' },
+  damaged: { en: 'Arrived damaged', ar: 'وصل تالفاً' },
+  wrong_item: { en: 'Wrong item', ar: 'منتج خاطئ' },
+  not_delivered: { en: 'Not delivered', ar: 'لم يتم التوصيل' },
+  late_delivery: { en: 'Late delivery', ar: 'تأخر التوصيل' },
+  cancelled: { en: 'Order cancelled', ar: 'إلغاء الطلب' },
+  price_adjustment: { en: 'Price adjustment', ar: 'تعديل السعر' },
+  duplicate_payment: { en: 'Duplicate payment', ar: 'دفع مكرر' },
+  goodwill: { en: 'Goodwill', ar: 'تعويض' },
+  other: { en: 'Other', ar: 'أخرى' },
+};
+
+// pending: to be paid by hand (cash on delivery, bank transfer) and its
+// reference recorded; failed: the gateway refused it and it can be retried
+export type RefundStatus = 'processing' | 'pending' | 'completed' | 'failed';
+
+export interface OrderRefund {
+  refundId: string;
+  reason: RefundReason;
+  note?: string;
+  lines: Array<{
+    orderItem: string;
+    productName: string;
+    variantSize?: string;
+    quantity: number;
+    amount: number;
+  }>;
+  shipping: number;
+  // Paid back on top of the lines and shipping
+  adjustment: number;
+  amount: number;
+  gatewayAmount: number;
+  storeCreditAmount: number;
+  method?: 'paypal' | 'paymob' | 'fawry' | 'card' | 'store_credit' | 'manual';
+  status: RefundStatus;
+  gatewayRefundId?: string;
+  reference?: string;
+  error?: string;
+  return?: string;
+  creditNoteNumber?: string;
+  createdAt: string;
+  completedAt?: string;
+}
+
+// Lines, shipping and an amount to refund; everything left when none is given
+export interface RefundRequest {
+  items?: Array<{ orderItem: string; quantity: number }>;
+  shipping?: number;
+  amount?: number;
+  reason: RefundReason;
+  note?: string;
+  // Reference of a refund paid by hand
+  reference?: string;
+}
+
 export interface Order {
   _id: string;
   orderNumber: string;
   items: OrderItem[];
   total: number;
   customerInfo: CustomerInfo;
-  paymentMethod: 'paypal' | 'card' | 'bank_transfer';
-  paymentStatus: 'pending' | 'completed' | 'failed' | 'refunded';
-  orderStatus: 'pending' | 'confirmed' | 'processing' | 'shipped' | 'delivered' | 'cancelled';
+  paymentMethod: 'paypal' | 'card' | 'bank_transfer' | 'gift_card' | 'store_credit';
+  paymentStatus: 'pending' | 'partially_paid' | 'completed' | 'failed' | 'partially_refunded' | 'refunded';
+  orderStatus: OrderStatus;
+  trackingNumber?: string;
+  timeline?: OrderTimelineEntry[];
+  // Set once the order is paid and its tax invoice issued
+  invoiceNumber?: string;
+  refunds?: OrderRefund[];
+  refundedTotal?: number;
   notes?: string;
   createdAt: string;
   updatedAt: string;
 }
 
+export interface OrderStatusChange {
+  reason?: string;
+  // Courier tracking number, when shipping
+  trackingNumber?: string;
+}
+
+// What a customer sees of their order when tracking it
+export interface TrackedOrder {
+  orderNumber: string;
+  status: OrderStatus;
+  paymentStatus: string;
+  trackingNumber?: string;
+  createdAt: string;
+  total: number;
+  items: Array<{
+    _id: string;
+    productName: string;
+    productImage?: string;
+    variantSize?: string;
+    quantity: number;
+    price: number;
+  }>;
+  timeline: Array<Pick<OrderTimelineEntry, 'status' | 'at'>>;
+}
+
 export interface OrderFilters {
   page?: number;
   limit?: number;
@@ -55,6 +196,79 @@ export interface OrderStats {
   statusBreakdown: string[];
 }
 
+export type ShippingType = 'standard' | 'express';
+
+export interface OrderQuoteRequest {
+  items: Array<{
+    productId: string;
+    variantId?: string;
+    quantity: number;
+    // Gift card lines can be quoted before the recipient is filled in
+    giftCard?: GiftCardRecipient;
+  }>;
+  countryCode: string;
+  shippingType?: ShippingType;
+  couponCode?: string;
+  // For coupons limited per customer or to customer tiers
+  email?: string;
+  // Points to redeem; only for logged-in customers
+  loyaltyPoints?: number;
+  giftCardCodes?: string[];
+  // Store credit of the logged-in customer
+  useStoreCredit?: boolean;
+}
+
+// An order placed without going through PayPal
+export interface OrderCreateRequest extends Omit<OrderQuoteRequest, 'countryCode' | 'email'> {
+  customerInfo: CustomerInfo & { countryCode?: string };
+  paymentMethod: Order['paymentMethod'];
+  // Total shown at checkout; the order is rejected if prices changed since
+  total?: number;
+  notes?: string;
+  cartToken?: string;
+}
+
+// Prices the server will charge for a cart; orders are rejected if their total differs
+export interface OrderQuote {
+  items: Array<{
+    productId: string;
+    variantId?: string;
+    productName: string;
+    quantity: number;
+    price: number;
+    regularPrice: number;
+    subtotal: number;
+    preOrder?: {
+      releaseDate: string;
+      deposit: number;
+    };
+  }>;
+  subtotal: number;
+  discountTotal: number;
+  // Promotions and coupon, taken off the subtotal before tax
+  promotions: AppliedPromotion[];
+  promotionDiscount: number;
+  couponCode: string | null;
+  // Points of the logged-in customer, also taken off before tax; null for guests
+  loyalty: LoyaltyQuote | null;
+  shippingType: ShippingType;
+  shippingCost: number;
+  freeShipping: boolean;
+  taxRate: number;
+  taxIncluded: boolean;
+  tax: number;
+  total: number;
+  // Left to pay when pre-ordered products are released
+  balanceDue: number;
+  // Gift cards and store credit paying for the order
+  giftCards: AppliedGiftCard[];
+  giftCardTotal: number;
+  // Store credit the logged-in customer can spend; 0 for guests
+  storeCreditBalance: number;
+  // Charged at checkout with the payment method
+  amountDue: number;
+}
+
 export interface OrdersResponse {
   orders: Order[];
   pagination: {
@@ -88,6 +302,22 @@ class OrderService {
     };
   }
 
+  /**
+   * Price a cart with shipping and tax before placing the order
+   */
+  async quoteOrder(data: OrderQuoteRequest): Promise<OrderQuote> {
+    const response = await apiClient.post(`${this.baseUrl}/quote`, data);
+    return response.data.data;
+  }
+
+  /**
+   * Place an order; the server prices it and takes any gift cards and store credit
+   */
+  async createOrder(data: OrderCreateRequest): Promise<Order> {
+    const response = await apiClient.post(this.baseUrl, data);
+    return response.data.data;
+  }
+
   /**
    * Get order by ID
    */
@@ -97,20 +327,38 @@ class OrderService {
   }
 
   /**
-   * Update order status
+   * Move an order to a new status; the server refuses moves not in ORDER_TRANSITIONS
    */
   async updateOrderStatus(
     id: string, 
-    status: string, 
-    statusType: 'order' | 'payment' = 'order'
+    status: OrderStatus, 
+    change: OrderStatusChange = {}
   ): Promise<Order> {
     const response = await apiClient.put(`${this.baseUrl}/${id}/status`, {
       status,
-      statusType
+      ...change
     });
     return response.data.data;
   }
 
+  /**
+   * Download an order's tax invoice PDF; it is issued once the order is paid
+   */
+  async downloadInvoice(id: string): Promise<Blob> {
+    const response = await apiClient.get(`${this.baseUrl}/${id}/invoice`, {
+      responseType: 'blob'
+    });
+    return response.data;
+  }
+
+  /**
+   * Look up an order by its number and the email it was placed with
+   */
+  async trackOrder(orderNumber: string, email: string): Promise<TrackedOrder> {
+    const response = await apiClient.post(`${this.baseUrl}/track`, { orderNumber, email });
+    return response.data.data;
+  }
+
   /**
    * Confirm an order
    */
@@ -130,15 +378,34 @@ class OrderService {
   }
 
   /**
-   * Refund an order
+   * Refund part or all of a paid order; a refund the gateway refuses is kept
+   * on the order as failed
    */
-  async refundOrder(id: string, reason?: string): Promise<Order> {
-    const response = await apiClient.put(`${this.baseUrl}/${id}/refund`, {
-      reason
+  async refundOrder(id: string, request: RefundRequest): Promise<Order> {
+    const response = await apiClient.put(`${this.baseUrl}/${id}/refund`, request);
+    return response.data.data;
+  }
+
+  /**
+   * Retry a failed refund, or complete one paid by hand with its reference
+   */
+  async retryRefund(id: string, refundId: string, reference?: string): Promise<Order> {
+    const response = await apiClient.post(`${this.baseUrl}/${id}/refunds/${refundId}/retry`, {
+      reference
     });
     return response.data.data;
   }
 
+  /**
+   * Download the credit note PDF issued for a refund
+   */
+  async downloadCreditNote(id: string, refundId: string): Promise<Blob> {
+    const response = await apiClient.get(`${this.baseUrl}/${id}/credit-notes/${refundId}`, {
+      responseType: 'blob'
+    });
+    return response.data;
+  }
+
   /**
    * Check refund eligibility
    */
@@ -224,19 +491,25 @@ class OrderService {
     const statusMap = {
       en: {
         pending: 'Pending',
+        awaiting_release: 'Awaiting release',
         confirmed: 'Confirmed',
         processing: 'Processing',
         shipped: 'Shipped',
         delivered: 'Delivered',
-        cancelled: 'Cancelled'
+        cancelled: 'Cancelled',
+        returned: 'Returned',
+        refunded: 'Refunded'
       },
       ar: {
         pending: 'في الانتظار',
+        awaiting_release: 'بانتظار الإطلاق',
         confirmed: 'مؤكد',
         processing: 'قيد المعالجة',
         shipped: 'تم الشحن',
         delivered: 'تم التسليم',
-        cancelled: 'ملغي'
+        cancelled: 'ملغي',
+        returned: 'مرتجع',
+        refunded: 'مسترد'
       }
     };
 
@@ -250,14 +523,18 @@ class OrderService {
     const statusMap = {
       en: {
         pending: 'Pending',
+        partially_paid: 'Deposit paid',
         completed: 'Completed',
         failed: 'Failed',
+        partially_refunded: 'Partially refunded',
         refunded: 'Refunded'
       },
       ar: {
         pending: 'في الانتظار',
+        partially_paid: 'عربون مدفوع',
         completed: 'مكتمل',
         failed: 'فشل',
+        partially_refunded: 'مسترد جزئياً',
         refunded: 'مسترد'
       }
     };
@@ -271,13 +548,17 @@ class OrderService {
   getStatusColor(status: string): string {
     const colorMap: Record<string, string> = {
       pending: 'bg-yellow-100 text-yellow-800',
+      awaiting_release: 'bg-cyan-100 text-cyan-800',
       confirmed: 'bg-blue-100 text-blue-800',
       processing: 'bg-purple-100 text-purple-800',
       shipped: 'bg-indigo-100 text-indigo-800',
       delivered: 'bg-green-100 text-green-800',
       cancelled: 'bg-red-100 text-red-800',
+      returned: 'bg-orange-100 text-orange-800',
       completed: 'bg-green-100 text-green-800',
+      partially_paid: 'bg-cyan-100 text-cyan-800',
       failed: 'bg-red-100 text-red-800',
+      partially_refunded: 'bg-slate-100 text-slate-800',
       refunded: 'bg-gray-100 text-gray-800'
     };
 
@@ -0,0 +1,114 @@
+import { apiClient } from './apiClient';
+
+export type PriceRuleScope = 'product' | 'category';
+export type PriceRuleStatus = 'running' | 'scheduled' | 'ended' | 'paused';
+export type DiscountType = 'percentage' | 'fixed';
+
+export interface PriceRule {
+  _id: string;
+  name: {
+    en: string;
+    ar?: string;
+  };
+  scope: PriceRuleScope;
+  product?: string | {
+    _id: string;
+    name: {
+      en: string;
+      ar: string;
+    };
+    price: number;
+  };
+  // Covers the category's subcategories too
+  category?: string | {
+    _id: string;
+    name: {
+      en: string;
+      ar: string;
+    };
+    slug: string;
+  } | null;
+  discountType: DiscountType;
+  value: number;
+  startsAt: string;
+  endsAt: string;
+  active: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface PriceRuleData {
+  name: {
+    en: string;
+    ar?: string;
+  };
+  scope: PriceRuleScope;
+  product?: string;
+  category?: string;
+  discountType: DiscountType;
+  value: number;
+  startsAt: string;
+  endsAt: string;
+  active?: boolean;
+}
+
+export interface PriceRulePagination {
+  page: number;
+  limit: number;
+  total: number;
+  pages: number;
+  hasNext: boolean;
+  hasPrev: boolean;
+}
+
+const emptyPagination: PriceRulePagination = { page: 1, limit: 20, total: 0, pages: 0, hasNext: false, hasPrev: false };
+
+/** Where a rule is in its lifecycle at a given moment */
+export const getPriceRuleStatus = (rule: Pick<PriceRule, 'active' | 'startsAt' | 'endsAt'>, now = new Date()): PriceRuleStatus => {
+  if (new Date(rule.endsAt) <= now) return 'ended';
+  if (!rule.active) return 'paused';
+  return new Date(rule.startsAt) > now ? 'scheduled' : 'running';
+};
+
+class PriceRuleService {
+  async getRules(params: { status?: PriceRuleStatus; product?: string; category?: string; page?: number; limit?: number } = {}): Promise<{
+    rules: PriceRule[];
+    pagination: PriceRulePagination;
+  }> {
+    try {
+      const response = await apiClient.get('/price-rules', { params });
+      return {
+        rules: response.data.data || [],
+        pagination: response.data.pagination || emptyPagination
+      };
+    } catch (error) {
+      console.error('Error fetching price rules:', error);
+      throw new Error('Failed to fetch price rules');
+    }
+  }
+
+  /**
+   * Create or update a rule; the server's message is kept so the admin
+   * knows which field was rejected
+   */
+  async createRule(data: PriceRuleData): Promise<PriceRule> {
+    const response = await apiClient.post('/price-rules', data);
+    return response.data.data;
+  }
+
+  async updateRule(id: string, data: Partial<PriceRuleData>): Promise<PriceRule> {
+    const response = await apiClient.put(`/price-rules/${id}`, data);
+    return response.data.data;
+  }
+
+  async deleteRule(id: string): Promise<void> {
+    try {
+      await apiClient.delete(`/price-rules/${id}`);
+    } catch (error) {
+      console.error('Error deleting price rule:', error);
+      throw new Error('Failed to delete price rule');
+    }
+  }
+}
+
+export const priceRuleService = new PriceRuleService();
@@ -1,5 +1,73 @@
 import { apiClient } from './apiClient';
 
+export interface ProductVariant {
+  _id: string;
+  size: string;
+  sku: string;
+  price: number;
+  compareAtPrice?: number;
+  stock: number;
+  barcode?: string;
+  isDefault?: boolean;
+  effectivePrice?: number;
+}
+
+export type ProductVariantInput = Omit<ProductVariant, '_id' | 'effectivePrice'> & { _id?: string };
+
+// The scheduled sale discounting a product right now
+export interface ProductSale {
+  _id: string;
+  name: {
+    en: string;
+    ar?: string;
+  };
+  discountType: 'percentage' | 'fixed';
+  value: number;
+  endsAt: string;
+}
+
+/**
+ * Price a customer pays right now for a product or one of its sizes, and the
+ * struck-through price to show next to it (the regular price during a sale,
+ * otherwise the size's own compare-at price)
+ */
+export const getDisplayPrice = (
+  product: { price: number; effectivePrice?: number },
+  variant?: Pick<ProductVariant, 'price' | 'compareAtPrice' | 'effectivePrice'>
+): { price: number; compareAtPrice?: number } => {
+  const regularPrice = variant ? variant.price : product.price;
+  const price = (variant ? variant.effectivePrice : product.effectivePrice) ?? regularPrice;
+  const compareAtPrice = price < regularPrice ? regularPrice : variant?.compareAtPrice;
+
+  return { price, compareAtPrice: compareAtPrice && compareAtPrice > price ? compareAtPrice : undefined };
+};
+
+export type ProductType = 'single' | 'bundle' | 'gift_card';
+
+// A product (or one of its sizes) inside a bundle; `product` is populated on detail reads
+export interface BundleComponent {
+  product: string | Pick<Product, '_id' | 'name' | 'price' | 'size' | 'images' | 'variants'>;
+  variant?: string;
+  quantity: number;
+}
+
+export interface BundleComponentInput {
+  product: string;
+  variant?: string;
+  quantity: number;
+}
+
+// A category or subcategory a product is listed under, as populated on product reads
+export interface ProductCategory {
+  _id: string;
+  name: {
+    en: string;
+    ar: string;
+  };
+  slug: string;
+  parentCategory?: string | null;
+}
+
 export interface Product {
   _id: string;
   name: {
@@ -15,8 +83,10 @@ export interface Product {
     ar: string;
   };
   price: number;
+  effectivePrice?: number;
+  sale?: ProductSale | null;
   size: string;
-  category: string;
+  categories: ProductCategory[];
   images: Array<{
     url: string;
     cloudinaryId: string;
@@ -29,6 +99,15 @@ export interface Product {
   featured: boolean;
   inStock: boolean;
   stock: number;
+  // Stock level at or below which admins are alerted; null for no alerts
+  lowStockThreshold?: number | null;
+  stockDrift?: StockDrift;
+  preOrder?: PreOrderSettings;
+  type?: ProductType;
+  components?: BundleComponent[];
+  variants?: ProductVariant[];
+  averageRating?: number;
+  reviewCount?: number;
   concentration?: {
     en: string;
     ar: string;
@@ -61,6 +140,29 @@ export interface Product {
   updatedAt: string;
 }
 
+export type FacetDimension =
+  | 'topNotes'
+  | 'middleNotes'
+  | 'baseNotes'
+  | 'concentration'
+  | 'size'
+  | 'priceBand'
+  | 'availability';
+
+export interface FacetValue {
+  value: string;
+  label: {
+    en: string;
+    ar: string;
+  };
+  count: number;
+}
+
+export type ProductFacets = Record<FacetDimension, FacetValue[]>;
+
+// Selected values per facet; values within a dimension are OR-ed
+export type FacetSelection = Partial<Record<FacetDimension, string[]>>;
+
 export interface ProductsResponse {
   products: Product[];
   pagination: {
@@ -71,18 +173,20 @@ export interface ProductsResponse {
     hasNext: boolean;
     hasPrev: boolean;
   };
+  facets?: ProductFacets;
 }
 
-export interface ProductQueryParams {
+export interface ProductQueryParams extends FacetSelection {
   page?: number;
   limit?: number;
   category?: string;
   featured?: boolean;
   inStock?: boolean;
+  type?: ProductType;
   search?: string;
   minPrice?: number;
   maxPrice?: number;
-  sortBy?: 'name' | 'price' | 'createdAt' | 'updatedAt';
+  sortBy?: 'relevance' | 'name' | 'price' | 'averageRating' | 'createdAt' | 'updatedAt';
   sortOrder?: 'asc' | 'desc';
   language?: 'en' | 'ar';
 }
@@ -102,7 +206,8 @@ export interface CreateProductData {
   };
   price: number;
   size: string;
-  category: string;
+  // Category IDs
+  categories: string[];
   images?: Array<{
     url: string;
     cloudinaryId: string;
@@ -115,6 +220,11 @@ export interface CreateProductData {
   featured?: boolean;
   inStock?: boolean;
   stock?: number;
+  lowStockThreshold?: number | null;
+  preOrder?: PreOrderSettingsInput;
+  type?: ProductType;
+  components?: BundleComponentInput[];
+  variants?: ProductVariantInput[];
   concentration?: {
     en: string;
     ar: string;
@@ -145,20 +255,197 @@ export interface CreateProductData {
   };
 }
 
+export interface SearchSuggestions {
+  products: Array<{
+    _id: string;
+    name: { en: string; ar: string };
+    price: number;
+    effectivePrice?: number;
+    categories: ProductCategory[];
+    concentration?: { en: string; ar: string };
+    image: string | null;
+    inStock: boolean;
+  }>;
+  notes: string[];
+}
+
+export interface RecommendedProduct extends Product {
+  recommendation: {
+    // Similarity from 0 to 1 (similar products only)
+    score?: number;
+    sharedNotes?: {
+      en: string[];
+      ar: string[];
+    };
+    // Orders containing both products (bought-together only)
+    orders?: number;
+  };
+}
+
+export interface ProductRecommendations {
+  similar: RecommendedProduct[];
+  boughtTogether: RecommendedProduct[];
+}
+
+export type ProductAvailability = 'in_stock' | 'low_stock' | 'out_of_stock' | 'pre_order';
+
+// One product normalized for the side-by-side comparison
+export interface ProductComparison {
+  _id: string;
+  name: { en: string; ar: string };
+  image: string | null;
+  categories: ProductCategory[];
+  type: ProductType;
+  price: number;
+  effectivePrice: number;
+  sale: ProductSale | null;
+  sizes: Array<{
+    variant: string | null;
+    size: string;
+    price: number;
+    effectivePrice: number;
+    // null for sizes sold by weight
+    pricePerMl: number | null;
+    inStock: boolean;
+  }>;
+  // Cheapest per-ml price across the sizes
+  pricePerMl: number | null;
+  concentration: {
+    code: string | null;
+    label: { en: string; ar: string };
+  };
+  notes: {
+    top: { en: string[]; ar: string[] };
+    middle: { en: string[]; ar: string[] };
+    base: { en: string[]; ar: string[] };
+  };
+  rating: {
+    average: number;
+    count: number;
+  };
+  availability: {
+    status: ProductAvailability;
+    releaseDate: string | null;
+  };
+}
+
+export interface PriceHistoryEntry {
+  _id: string;
+  product: string;
+  variant?: string;
+  size?: string;
+  source: 'manual' | 'price_rule';
+  action: 'created' | 'changed' | 'sale_scheduled' | 'sale_updated' | 'sale_cancelled';
+  previousPrice?: number;
+  price: number;
+  rule?: {
+    _id: string;
+    name: {
+      en: string;
+      ar?: string;
+    };
+  };
+  startsAt?: string;
+  endsAt?: string;
+  changedBy?: {
+    _id: string;
+    email: string;
+  };
+  createdAt: string;
+}
+
+export type StockMovementType =
+  | 'opening_balance'
+  | 'sale'
+  | 'cancellation_restock'
+  | 'return'
+  | 'refund'
+  | 'manual_adjustment'
+  | 'damage'
+  | 'sample_usage'
+  | 'stock_count';
+
+// Movements an admin records by hand; the others come from orders
+export type ManualStockMovementType = Extract<StockMovementType, 'manual_adjustment' | 'damage' | 'sample_usage' | 'stock_count'>;
+
+export interface StockMovement {
+  _id: string;
+  product: string;
+  variant?: string;
+  size?: string;
+  type: StockMovementType;
+  quantity: number;
+  previousStock: number;
+  newStock: number;
+  order?: {
+    _id: string;
+    orderNumber: string;
+  };
+  sampleRequest?: {
+    _id: string;
+    requestNumber: string;
+  };
+  reason?: string;
+  performedBy?: {
+    _id: string;
+    email: string;
+  };
+  createdAt: string;
+}
+
+export interface StockMovementInput {
+  type: ManualStockMovementType;
+  // Signed for an adjustment, units taken for damage and sample usage
+  quantity?: number;
+  // Units counted, for a stock count
+  stock?: number;
+  variantId?: string;
+  reason?: string;
+  sampleRequest?: string;
+}
+
+// Set by the stock reconciliation when stock no longer matches the ledger
+// Pre-order mode of an upcoming launch; switched off on the release date
+export interface PreOrderSettings {
+  enabled: boolean;
+  releaseDate?: string;
+  // Units that can be pre-ordered; unlimited when null
+  cap?: number | null;
+  // Share of the price paid up front; the full price when null
+  depositPercent?: number | null;
+  reserved?: number;
+  releasedAt?: string;
+}
+
+export type PreOrderSettingsInput = Pick<PreOrderSettings, 'enabled' | 'releaseDate' | 'cap' | 'depositPercent'>;
+
+export interface StockDrift {
+  ledgerStock: number;
+  difference: number;
+  detectedAt: string;
+}
+
 export interface Category {
   value: string;
   label: {
+    en: string;
     ar: string;
   };
+  parentCategory?: string | null;
 }
 
 class ProductService {
   async getProducts(params: ProductQueryParams = {}): Promise<ProductsResponse> {
     try {
-      const response = await apiClient.get('/products', { params });
+      // Multi-value facet filters are sent comma-separated
+      const query = Object.fromEntries(
+        Object.entries(params).map(([key, value]) => [key, Array.isArray(value) ? value.join(',') : value])
+      );
+      const response = await apiClient.get('/products', { params: query });
       return {
         products: response.data.data || [],
-        pagination: response.data.pagination || { page: 1, limit: 10, total: 0, pages: 0, hasNext: false, hasPrev: false }
+        pagination: response.data.pagination || { page: 1, limit: 10, total: 0, pages: 0, hasNext: false, hasPrev: false },
+        facets: response.data.facets
       };
     } catch (error) {
       console.error('Error fetching products:', error);
@@ -166,6 +453,16 @@ class ProductService {
     }
   }
 
+  async autocomplete(query: string, limit: number = 6): Promise<SearchSuggestions> {
+    try {
+      const response = await apiClient.get('/products/autocomplete', { params: { q: query, limit } });
+      return response.data.data || { products: [], notes: [] };
+    } catch (error) {
+      console.error('Error fetching search suggestions:', error);
+      throw new Error('Failed to fetch search suggestions');
+    }
+  }
+
   async getProductById(id: string): Promise<Product> {
     try {
       const response = await apiClient.get(`/products/${id}`);
@@ -176,12 +473,63 @@ class ProductService {
     }
   }
 
+  async getRecommendations(id: string, limit: number = 4): Promise<ProductRecommendations> {
+    try {
+      const response = await apiClient.get(`/products/${id}/recommendations`, { params: { limit } });
+      return response.data.data || { similar: [], boughtTogether: [] };
+    } catch (error) {
+      console.error('Error fetching recommendations:', error);
+      throw new Error('Failed to fetch recommendations');
+    }
+  }
+
+  /** Compare up to four products; products that no longer exist are left out */
+  async compareProducts(ids: string[]): Promise<ProductComparison[]> {
+    try {
+      const response = await apiClient.get('/products/compare', { params: { ids: ids.join(',') } });
+      return response.data.data || [];
+    } catch (error) {
+      console.error('Error comparing products:', error);
+      throw new Error('Failed to compare products');
+    }
+  }
+
+  async getPriceHistory(id: string, params: { page?: number; limit?: number } = {}): Promise<PriceHistoryEntry[]> {
+    try {
+      const response = await apiClient.get(`/products/${id}/price-history`, { params });
+      return response.data.data || [];
+    } catch (error) {
+      console.error('Error fetching price history:', error);
+      throw new Error('Failed to fetch price history');
+    }
+  }
+
+  async getStockMovements(id: string, params: { type?: StockMovementType; page?: number; limit?: number } = {}): Promise<StockMovement[]> {
+    try {
+      const response = await apiClient.get(`/products/${id}/stock-movements`, { params });
+      return response.data.data || [];
+    } catch (error) {
+      console.error('Error fetching stock movements:', error);
+      throw new Error('Failed to fetch stock movements');
+    }
+  }
+
+  /**
+   * Record damage, sample usage, a count or an adjustment; the server's message
+   * is kept so the admin sees why it was refused (e.g. not enough stock)
+   */
+  async recordStockMovement(id: string, data: StockMovementInput): Promise<StockMovement> {
+    const response = await apiClient.post(`/products/${id}/stock-movements`, data);
+    return response.data.data;
+  }
+
   async getCategories(): Promise<Category[]> {
     try {
       const response = await apiClient.get('/categories/active');
       return response.data.data.categories.map((cat: any) => ({
         value: cat._id,
-        label: cat.name
+        label: cat.name,
+        parentCategory: cat.parentCategory
       }));
     } catch (error) {
       console.error('Error fetching categories:', error);
@@ -231,8 +579,21 @@ class ProductService {
     }
   }
 
+  async updateVariantStock(id: string, variantId: string, stock: number): Promise<Product> {
+    try {
+      const response = await apiClient.patch(`/products/${id}/variants/${variantId}/stock`, { stock });
+      return response.data.data.product;
+    } catch (error) {
+      console.error('Error updating variant stock:', error);
+      throw new Error('Failed to update variant stock');
+    }
+  }
+
+  // Counts include each category's subcategories
   async getCategoryStats(): Promise<Array<{
     category: string;
+    slug: string;
+    parentCategory?: string | null;
     label: { en: string; ar: string };
     totalProducts: number;
     inStockProducts: number;
@@ -281,13 +642,15 @@ class ProductService {
     lowStockProducts: Array<{
       _id: string;
       name: { en: string; ar: string };
-      category: string;
+      categories: ProductCategory[];
       stock: number;
       price: number;
     }>;
     totalInventoryValue: number;
     categoryBreakdown: Array<{
       category: string;
+      name: { en: string; ar: string };
+      slug: string;
       count: number;
       value: number;
       stock: number;
@@ -0,0 +1,150 @@
+import { apiClient } from './apiClient';
+
+export type PromotionType = 'percentage' | 'fixed' | 'free_shipping' | 'buy_x_get_y';
+export type PromotionTarget = 'all' | 'products' | 'categories';
+export type PromotionStatus = 'running' | 'scheduled' | 'ended' | 'paused';
+export type CustomerTier = 'bronze' | 'silver' | 'gold' | 'platinum';
+
+export interface Promotion {
+  _id: string;
+  name: {
+    en: string;
+    ar?: string;
+  };
+  // Coupons have a code; promotions without one apply automatically
+  code?: string | null;
+  type: PromotionType;
+  value?: number;
+  buyQuantity?: number;
+  getQuantity?: number;
+  getDiscountPercent?: number;
+  minOrderValue: number;
+  appliesTo: PromotionTarget;
+  products: Array<string | {
+    _id: string;
+    name: {
+      en: string;
+      ar: string;
+    };
+    price: number;
+  }>;
+  // Covers the categories' subcategories too
+  categories: Array<string | {
+    _id: string;
+    name: {
+      en: string;
+      ar: string;
+    };
+    slug: string;
+  }>;
+  customerTiers: CustomerTier[];
+  excludeSaleItems: boolean;
+  stackable: boolean;
+  usageLimit: number | null;
+  perCustomerLimit: number | null;
+  usedCount: number;
+  startsAt: string;
+  endsAt: string | null;
+  active: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface PromotionData {
+  name: {
+    en: string;
+    ar?: string;
+  };
+  code?: string | null;
+  type: PromotionType;
+  value?: number;
+  buyQuantity?: number;
+  getQuantity?: number;
+  getDiscountPercent?: number;
+  minOrderValue?: number;
+  appliesTo?: PromotionTarget;
+  products?: string[];
+  categories?: string[];
+  customerTiers?: CustomerTier[];
+  excludeSaleItems?: boolean;
+  stackable?: boolean;
+  usageLimit?: number | null;
+  perCustomerLimit?: number | null;
+  startsAt: string;
+  endsAt?: string | null;
+  active?: boolean;
+}
+
+// A promotion as applied to a quote or an order
+export interface AppliedPromotion {
+  promotion: string;
+  code: string | null;
+  name: {
+    en: string;
+    ar?: string;
+  };
+  type: PromotionType;
+  discount: number;
+  freeShipping: boolean;
+}
+
+export interface PromotionPagination {
+  page: number;
+  limit: number;
+  total: number;
+  pages: number;
+  hasNext: boolean;
+  hasPrev: boolean;
+}
+
+const emptyPagination: PromotionPagination = { page: 1, limit: 20, total: 0, pages: 0, hasNext: false, hasPrev: false };
+
+/** Where a promotion is in its lifecycle at a given moment */
+export const getPromotionStatus = (promotion: Pick<Promotion, 'active' | 'startsAt' | 'endsAt'>, now = new Date()): PromotionStatus => {
+  if (promotion.endsAt && new Date(promotion.endsAt) <= now) return 'ended';
+  if (!promotion.active) return 'paused';
+  return new Date(promotion.startsAt) > now ? 'scheduled' : 'running';
+};
+
+class PromotionService {
+  async getPromotions(params: { status?: PromotionStatus; type?: PromotionType; search?: string; page?: number; limit?: number } = {}): Promise<{
+    promotions: Promotion[];
+    pagination: PromotionPagination;
+  }> {
+    try {
+      const response = await apiClient.get('/promotions', { params });
+      return {
+        promotions: response.data.data || [],
+        pagination: response.data.pagination || emptyPagination
+      };
+    } catch (error) {
+      console.error('Error fetching promotions:', error);
+      throw new Error('Failed to fetch promotions');
+    }
+  }
+
+  /**
+   * Create or update a promotion; the server's message is kept so the admin
+   * knows which field was rejected
+   */
+  async createPromotion(data: PromotionData): Promise<Promotion> {
+    const response = await apiClient.post('/promotions', data);
+    return response.data.data;
+  }
+
+  async updatePromotion(id: string, data: Partial<PromotionData>): Promise<Promotion> {
+    const response = await apiClient.put(`/promotions/${id}`, data);
+    return response.data.data;
+  }
+
+  async deletePromotion(id: string): Promise<void> {
+    try {
+      await apiClient.delete(`/promotions/${id}`);
+    } catch (error) {
+      console.error('Error deleting promotion:', error);
+      throw new Error('Failed to delete promotion');
+    }
+  }
+}
+
+export const promotionService = new PromotionService();
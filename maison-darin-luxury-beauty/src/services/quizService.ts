@@ -0,0 +1,143 @@
+import { apiClient } from './apiClient';
+import type { Product } from './productService';
+
+export type ConcentrationCode = 'extrait' | 'parfum' | 'edp' | 'edt' | 'edc';
+
+export interface QuizAnswer {
+  _id?: string;
+  label: {
+    en: string;
+    ar: string;
+  };
+  // Weights run from -5 to 5; negative ones steer away from the trait.
+  // The storefront gets answers without them.
+  notes?: Array<{ name: string; weight: number }>;
+  categories?: Array<{
+    category: string | {
+      _id: string;
+      name: {
+        en: string;
+        ar: string;
+      };
+      slug: string;
+    };
+    weight: number;
+  }>;
+  concentrations?: Array<{ code: ConcentrationCode; weight: number }>;
+}
+
+export interface QuizQuestion {
+  _id: string;
+  question: {
+    en: string;
+    ar: string;
+  };
+  multiple: boolean;
+  answers: QuizAnswer[];
+  sortOrder: number;
+  isActive: boolean;
+}
+
+export type QuizQuestionData = Omit<QuizQuestion, '_id'>;
+
+export interface QuizSubmission {
+  answers: Array<{ question: string; answers: string[] }>;
+  email?: string;
+  language: 'en' | 'ar';
+  limit?: number;
+}
+
+export interface QuizRecommendation extends Product {
+  quiz: {
+    // Percentage of the best possible score
+    match: number;
+    matchedNotes: string[];
+  };
+}
+
+export interface QuizStats {
+  completions: number;
+  withEmail: number;
+  questions: Array<{
+    _id: string;
+    question: {
+      en: string;
+      ar: string;
+    };
+    answers: Array<{
+      _id: string;
+      label: {
+        en: string;
+        ar: string;
+      };
+      count: number;
+    }>;
+  }>;
+  topProducts: Array<{
+    product: Pick<Product, '_id' | 'name' | 'images'>;
+    count: number;
+  }>;
+}
+
+class QuizService {
+  async getQuestions(): Promise<QuizQuestion[]> {
+    try {
+      const response = await apiClient.get('/quiz/questions');
+      return response.data.data || [];
+    } catch (error) {
+      console.error('Error fetching quiz questions:', error);
+      throw new Error('Failed to fetch quiz questions');
+    }
+  }
+
+  /** Score a completed quiz; products come back best match first */
+  async submit(submission: QuizSubmission): Promise<QuizRecommendation[]> {
+    const response = await apiClient.post('/quiz/results', submission);
+    return response.data.data.recommendations;
+  }
+
+  async getAllQuestions(): Promise<QuizQuestion[]> {
+    try {
+      const response = await apiClient.get('/quiz/admin/questions');
+      return response.data.data || [];
+    } catch (error) {
+      console.error('Error fetching quiz questions:', error);
+      throw new Error('Failed to fetch quiz questions');
+    }
+  }
+
+  /**
+   * Create or update a question; the server's message is kept so the
+   * admin knows which field was rejected
+   */
+  async createQuestion(data: QuizQuestionData): Promise<QuizQuestion> {
+    const response = await apiClient.post('/quiz/admin/questions', data);
+    return response.data.data;
+  }
+
+  async updateQuestion(id: string, data: Partial<QuizQuestionData>): Promise<QuizQuestion> {
+    const response = await apiClient.put(`/quiz/admin/questions/${id}`, data);
+    return response.data.data;
+  }
+
+  async deleteQuestion(id: string): Promise<void> {
+    try {
+      await apiClient.delete(`/quiz/admin/questions/${id}`);
+    } catch (error) {
+      console.error('Error deleting quiz question:', error);
+      throw new Error('Failed to delete quiz question');
+    }
+  }
+
+  async getStats(params: { from?: string; to?: string } = {}): Promise<QuizStats> {
+    try {
+      const response = await apiClient.get('/quiz/admin/stats', { params });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching quiz stats:', error);
+      throw new Error('Failed to fetch quiz stats');
+    }
+  }
+}
+
+export const quizService = new QuizService();
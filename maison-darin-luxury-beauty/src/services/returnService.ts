@@ -0,0 +1,192 @@
+import { apiClient } from './apiClient';
+
+// Matches the server's limit on photos per return
+export const MAX_RETURN_PHOTOS = 5;
+
+export type ReturnStatus = 'requested' | 'approved' | 'rejected' | 'received' | 'inspected' | 'refunded';
+export type ReturnReason =
+  | 'damaged'
+  | 'wrong_item'
+  | 'not_as_described'
+  | 'allergic_reaction'
+  | 'changed_mind'
+  | 'other';
+export type ReturnItemCondition = 'resellable' | 'damaged';
+export type ReturnRefundStatus = 'processing' | 'pending' | 'completed' | 'failed';
+
+export const RETURN_REASON_LABELS: Record<ReturnReason, { en: string; ar: string }> = {
+  damaged: { en: 'Arrived damaged', ar: 'وصل تالفاً' },
+  wrong_item: { en: 'Wrong item', ar: 'منتج خاطئ' },
+  not_as_described: { en: 'Not as described', ar: 'لا يطابق الوصف' },
+  allergic_reaction: { en: 'Allergic reaction', ar: 'حساسية' },
+  changed_mind: { en: 'Changed my mind', ar: 'غيّرت رأيي' },
+  other: { en: 'Other', ar: 'أخرى' },
+};
+
+export const RETURN_STATUS_LABELS: Record<ReturnStatus, { en: string; ar: string }> = {
+  requested: { en: 'Requested', ar: 'قيد المراجعة' },
+  approved: { en: 'Approved', ar: 'تمت الموافقة' },
+  rejected: { en: 'Rejected', ar: 'مرفوض' },
+  received: { en: 'Received', ar: 'تم الاستلام' },
+  inspected: { en: 'Inspected', ar: 'تم الفحص' },
+  refunded: { en: 'Refunded', ar: 'تم رد المبلغ' },
+};
+
+export interface ReturnItem {
+  // Line of the order being returned
+  orderItem: string;
+  productName: string;
+  variantSize?: string;
+  price: number;
+  quantity: number;
+  receivedQuantity?: number;
+  condition?: ReturnItemCondition;
+}
+
+export interface ReturnTimelineEntry {
+  status: ReturnStatus;
+  at: string;
+  actor?: { type: 'admin' | 'customer' | 'system'; name?: string };
+  note?: string;
+}
+
+export interface ReturnRefund {
+  amount?: number;
+  gatewayAmount?: number;
+  storeCreditAmount?: number;
+  method?: 'paypal' | 'paymob' | 'fawry' | 'card' | 'store_credit' | 'manual';
+  status?: ReturnRefundStatus;
+  refundId?: string;
+  reference?: string;
+  error?: string;
+  refundedAt?: string;
+}
+
+export interface Return {
+  _id: string;
+  returnNumber: string;
+  order: string;
+  orderNumber: string;
+  customer: { name?: string; email: string };
+  language: 'en' | 'ar';
+  items: ReturnItem[];
+  reason: ReturnReason;
+  details?: string;
+  photos: Array<{ url: string; thumbnail?: string }>;
+  status: ReturnStatus;
+  timeline: ReturnTimelineEntry[];
+  refund?: ReturnRefund;
+  createdAt: string;
+}
+
+// What a customer sees of an order's returns on the tracking page
+export interface OrderReturns {
+  returns: Array<Pick<Return, '_id' | 'returnNumber' | 'items' | 'reason' | 'status' | 'createdAt'> & {
+    timeline: Array<Pick<ReturnTimelineEntry, 'status' | 'at'>>;
+    refund?: Pick<ReturnRefund, 'amount' | 'status'>;
+  }>;
+  // Last day a return can be requested; null until the order is delivered
+  windowEndsAt: string | null;
+  returnableItems: Array<{
+    orderItem: string;
+    productName: string;
+    variantSize?: string;
+    returnableQuantity: number;
+  }>;
+}
+
+export interface RequestReturnData {
+  orderNumber: string;
+  email: string;
+  items: Array<{ orderItem: string; quantity: number }>;
+  reason: ReturnReason;
+  details?: string;
+  language: 'en' | 'ar';
+  photos?: File[];
+}
+
+export interface ReturnFilters {
+  status?: ReturnStatus;
+  search?: string;
+  page?: number;
+  limit?: number;
+}
+
+export interface ReturnsResponse {
+  returns: Return[];
+  pagination: {
+    currentPage: number;
+    totalPages: number;
+    totalItems: number;
+    itemsPerPage: number;
+  };
+}
+
+export interface ReturnStatusChange {
+  status: 'approved' | 'rejected' | 'received' | 'inspected';
+  note?: string;
+  items?: Array<{ orderItem: string; receivedQuantity?: number; condition?: ReturnItemCondition }>;
+}
+
+class ReturnService {
+  /**
+   * Request a return; the server's message is kept so customers know
+   * why items could not be returned
+   */
+  async requestReturn(data: RequestReturnData): Promise<Pick<Return, 'returnNumber' | 'status' | 'items' | 'createdAt'>> {
+    const formData = new FormData();
+    formData.append('orderNumber', data.orderNumber);
+    formData.append('email', data.email);
+    formData.append('items', JSON.stringify(data.items));
+    formData.append('reason', data.reason);
+    formData.append('language', data.language);
+    if (data.details) {
+      formData.append('details', data.details);
+    }
+    (data.photos || []).forEach(photo => formData.append('photos', photo));
+
+    const response = await apiClient.post('/returns', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+    return response.data.data;
+  }
+
+  async getOrderReturns(orderNumber: string, email: string): Promise<OrderReturns> {
+    const response = await apiClient.post('/returns/lookup', { orderNumber, email });
+    return response.data.data;
+  }
+
+  async getReturns(filters: ReturnFilters = {}): Promise<ReturnsResponse> {
+    try {
+      const response = await apiClient.get('/returns', { params: filters });
+      return {
+        returns: response.data.data,
+        pagination: response.data.pagination,
+      };
+    } catch (error) {
+      console.error('Error fetching returns:', error);
+      throw new Error('Failed to fetch returns');
+    }
+  }
+
+  async getReturn(id: string): Promise<Return> {
+    const response = await apiClient.get(`/returns/${id}`);
+    return response.data.data;
+  }
+
+  async updateStatus(id: string, change: ReturnStatusChange): Promise<Return> {
+    const response = await apiClient.put(`/returns/${id}/status`, change);
+    return response.data.data;
+  }
+
+  /**
+   * Refund an inspected return, retry a failed refund, or record one paid
+   * by hand with its reference
+   */
+  async refundReturn(id: string, reference?: string): Promise<Return> {
+    const response = await apiClient.post(`/returns/${id}/refund`, reference ? { reference } : {});
+    return response.data.data;
+  }
+}
+
+export const returnService = new ReturnService();
@@ -0,0 +1,173 @@
+import { apiClient } from './apiClient';
+
+export type ReviewStatus = 'pending' | 'approved' | 'rejected';
+export type ReviewSort = 'newest' | 'highest' | 'lowest';
+
+export interface ReviewPhoto {
+  url: string;
+  cloudinaryId?: string;
+  thumbnail?: string;
+}
+
+export interface Review {
+  _id: string;
+  product: string | {
+    _id: string;
+    name: {
+      en: string;
+      ar: string;
+    };
+    images?: Array<{ url: string }>;
+  };
+  customer: {
+    name: string;
+    email?: string;
+  };
+  orderNumber?: string;
+  rating: number;
+  language: 'en' | 'ar';
+  title?: {
+    en?: string;
+    ar?: string;
+  };
+  comment: {
+    en?: string;
+    ar?: string;
+  };
+  photos: ReviewPhoto[];
+  status: ReviewStatus;
+  moderation?: {
+    moderatedBy?: { _id: string; email: string } | string;
+    moderatedAt?: string;
+    reason?: string;
+  };
+  verifiedPurchase: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface ReviewSummary {
+  averageRating: number;
+  reviewCount: number;
+  distribution: Record<1 | 2 | 3 | 4 | 5, number>;
+}
+
+export interface ReviewPagination {
+  page: number;
+  limit: number;
+  total: number;
+  pages: number;
+  hasNext: boolean;
+  hasPrev: boolean;
+}
+
+export interface ProductReviewsResponse {
+  reviews: Review[];
+  summary: ReviewSummary;
+  pagination: ReviewPagination;
+}
+
+export interface SubmitReviewData {
+  orderNumber: string;
+  email: string;
+  rating: number;
+  language: 'en' | 'ar';
+  title?: string;
+  comment: string;
+  photos?: File[];
+}
+
+export interface ModerateReviewData {
+  status: Exclude<ReviewStatus, 'pending'>;
+  reason?: string;
+  title?: {
+    en?: string;
+    ar?: string;
+  };
+  comment?: {
+    en?: string;
+    ar?: string;
+  };
+}
+
+export const MAX_REVIEW_PHOTOS = 3;
+
+const emptyPagination: ReviewPagination = { page: 1, limit: 5, total: 0, pages: 0, hasNext: false, hasPrev: false };
+
+class ReviewService {
+  async getProductReviews(
+    productId: string,
+    params: { page?: number; limit?: number; sort?: ReviewSort } = {}
+  ): Promise<ProductReviewsResponse> {
+    try {
+      const response = await apiClient.get(`/reviews/products/${productId}`, { params });
+      return {
+        reviews: response.data.data || [],
+        summary: response.data.summary || { averageRating: 0, reviewCount: 0, distribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 } },
+        pagination: response.data.pagination || emptyPagination
+      };
+    } catch (error) {
+      console.error('Error fetching product reviews:', error);
+      throw new Error('Failed to fetch reviews');
+    }
+  }
+
+  /**
+   * Submit a review; the server's message is kept so customers know
+   * why an order was not accepted
+   */
+  async submitReview(productId: string, data: SubmitReviewData): Promise<{ _id: string; status: ReviewStatus }> {
+    const formData = new FormData();
+    formData.append('orderNumber', data.orderNumber);
+    formData.append('email', data.email);
+    formData.append('rating', String(data.rating));
+    formData.append('language', data.language);
+    formData.append('comment', data.comment);
+    if (data.title) {
+      formData.append('title', data.title);
+    }
+    (data.photos || []).forEach(photo => formData.append('photos', photo));
+
+    const response = await apiClient.post(`/reviews/products/${productId}`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+    return response.data.data;
+  }
+
+  async getReviews(params: { status?: ReviewStatus; product?: string; page?: number; limit?: number } = {}): Promise<{
+    reviews: Review[];
+    pagination: ReviewPagination;
+  }> {
+    try {
+      const response = await apiClient.get('/reviews', { params });
+      return {
+        reviews: response.data.data || [],
+        pagination: response.data.pagination || emptyPagination
+      };
+    } catch (error) {
+      console.error('Error fetching reviews:', error);
+      throw new Error('Failed to fetch reviews');
+    }
+  }
+
+  async moderateReview(id: string, data: ModerateReviewData): Promise<Review> {
+    try {
+      const response = await apiClient.patch(`/reviews/${id}/moderate`, data);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error moderating review:', error);
+      throw new Error('Failed to moderate review');
+    }
+  }
+
+  async deleteReview(id: string): Promise<void> {
+    try {
+      await apiClient.delete(`/reviews/${id}`);
+    } catch (error) {
+      console.error('Error deleting review:', error);
+      throw new Error('Failed to delete review');
+    }
+  }
+}
+
+export const reviewService = new ReviewService();
@@ -0,0 +1,35 @@
+import { apiClient } from './apiClient';
+
+export interface SampleCustomerInfo {
+  firstName: string;
+  lastName: string;
+  email: string;
+  phone: string;
+  address: string;
+  city: string;
+  postalCode: string;
+  country: string;
+}
+
+export interface SampleRequestData {
+  customerInfo: SampleCustomerInfo;
+  // Up to five products per request
+  requestedProducts: Array<{ product: string; notes?: string }>;
+  notes?: string;
+}
+
+export interface SampleRequest {
+  _id: string;
+  requestNumber: string;
+  status: 'pending' | 'approved' | 'shipped' | 'delivered' | 'rejected';
+}
+
+class SampleService {
+  /** Request free samples; the server's message is kept so customers know what to fix */
+  async requestSamples(data: SampleRequestData): Promise<SampleRequest> {
+    const response = await apiClient.post('/samples/request', data);
+    return response.data.data;
+  }
+}
+
+export const sampleService = new SampleService();
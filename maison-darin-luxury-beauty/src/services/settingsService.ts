@@ -1,4 +1,14 @@
 import { apiClient } from './apiClient';
+import type { LoyaltyProgram } from './loyaltyService';
+
+export type NumberedDocument = 'order' | 'invoice' | 'creditNote' | 'sampleRequest' | 'refund' | 'return';
+
+// Documents are numbered PREFIX-PERIOD-NNN, the period being the day or year the count restarts on
+export interface NumberingFormat {
+  prefix: string;
+  reset: 'daily' | 'yearly';
+  padding: number;
+}
 
 export interface SiteSettings {
   site: {
@@ -65,6 +75,8 @@ export interface SiteSettings {
     taxIncludedInPrice: boolean;
     defaultTaxRate: number;
     displayTaxBreakdown: boolean;
+    // Printed on tax invoices; 15 digits starting and ending with 3
+    vatNumber?: string;
     taxRates: Array<{
       name: { en: string; ar: string };
       rate: number;
@@ -72,6 +84,8 @@ export interface SiteSettings {
       enabled: boolean;
     }>;
   };
+  loyalty: LoyaltyProgram;
+  numbering: Record<NumberedDocument, NumberingFormat>;
   localization: {
     defaultLanguage: 'en' | 'ar';
     enableRTL: boolean;
@@ -0,0 +1,34 @@
+import { apiClient } from './apiClient';
+
+export type StockSubscriptionStatus = 'active' | 'notified' | 'unsubscribed';
+
+export interface StockSubscription {
+  product: string | {
+    _id: string;
+    name: {
+      en: string;
+      ar: string;
+    };
+  };
+  email: string;
+  status: StockSubscriptionStatus;
+}
+
+class StockAlertService {
+  /**
+   * Ask to be emailed when a sold-out product is back; the server's message
+   * is kept so customers know why a subscription was refused
+   */
+  async subscribe(productId: string, email: string, language: 'en' | 'ar'): Promise<StockSubscription> {
+    const response = await apiClient.post(`/stock-alerts/products/${productId}`, { email, language });
+    return response.data.data;
+  }
+
+  /** Unsubscribe with the token from the link in the back-in-stock email */
+  async unsubscribe(token: string): Promise<StockSubscription> {
+    const response = await apiClient.delete(`/stock-alerts/subscriptions/${token}`);
+    return response.data.data;
+  }
+}
+
+export const stockAlertService = new StockAlertService();
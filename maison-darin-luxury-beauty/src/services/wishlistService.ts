@@ -0,0 +1,97 @@
+import { apiClient } from './apiClient';
+import { Product } from './productService';
+
+export interface WishlistItem {
+  product: Product;
+  addedAt: string;
+  // Set when the product sells for less than when it was saved
+  priceDrop: { from: number; to: number } | null;
+}
+
+export interface Wishlist {
+  items: WishlistItem[];
+  priceAlerts: boolean;
+  language: 'en' | 'ar';
+  shareToken: string | null;
+}
+
+export interface SharedWishlist {
+  owner: string | null;
+  items: WishlistItem[];
+}
+
+class WishlistService {
+  async getWishlist(): Promise<Wishlist> {
+    try {
+      const response = await apiClient.get('/wishlist');
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching wishlist:', error);
+      throw new Error('Failed to fetch wishlist');
+    }
+  }
+
+  /** Save a product; the server's message is kept so customers know when the wishlist is full */
+  async addItem(productId: string): Promise<Wishlist> {
+    const response = await apiClient.post('/wishlist/items', { product: productId });
+    return response.data.data;
+  }
+
+  async removeItem(productId: string): Promise<Wishlist> {
+    try {
+      const response = await apiClient.delete(`/wishlist/items/${productId}`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error removing wishlist item:', error);
+      throw new Error('Failed to remove wishlist item');
+    }
+  }
+
+  /** Move the products saved as a guest into the account after logging in */
+  async merge(productIds: string[], language: 'en' | 'ar'): Promise<Wishlist> {
+    const response = await apiClient.post('/wishlist/merge', { products: productIds, language });
+    return response.data.data;
+  }
+
+  async updateSettings(settings: Partial<Pick<Wishlist, 'priceAlerts' | 'language'>>): Promise<Wishlist> {
+    try {
+      const response = await apiClient.put('/wishlist/settings', settings);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error updating wishlist settings:', error);
+      throw new Error('Failed to update wishlist settings');
+    }
+  }
+
+  /** Turn on the public link; sharing again returns the same token */
+  async share(): Promise<string> {
+    try {
+      const response = await apiClient.post('/wishlist/share');
+      return response.data.data.shareToken;
+    } catch (error) {
+      console.error('Error sharing wishlist:', error);
+      throw new Error('Failed to share wishlist');
+    }
+  }
+
+  async unshare(): Promise<void> {
+    try {
+      await apiClient.delete('/wishlist/share');
+    } catch (error) {
+      console.error('Error unsharing wishlist:', error);
+      throw new Error('Failed to stop sharing wishlist');
+    }
+  }
+
+  async getShared(token: string): Promise<SharedWishlist> {
+    try {
+      const response = await apiClient.get(`/wishlist/shared/${token}`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching shared wishlist:', error);
+      throw new Error('Failed to fetch shared wishlist');
+    }
+  }
+}
+
+export const wishlistService = new WishlistService();